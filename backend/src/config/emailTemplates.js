@@ -0,0 +1,291 @@
+/**
+ * 內建郵件模板
+ * 佔位符語法與提示詞模板相同：{{variableName}}，HTML 版本中的變數值會先跳脫；
+ * 找不到用戶語言時回退至 defaultLanguage
+ */
+const EMAIL_TEMPLATES = {
+  mfa_code: {
+    description: 'Email 一次性驗證碼（MFA）',
+    defaultLanguage: 'zh-TW',
+    variables: ['appName', 'code', 'expiryMinutes'],
+    variants: [
+      {
+        language: 'zh-TW',
+        subject: '【{{appName}}】您的驗證碼：{{code}}',
+        text: [
+          '您好：',
+          '',
+          '您的驗證碼為 {{code}}，{{expiryMinutes}} 分鐘內有效。',
+          '如果這不是您本人的操作，請忽略此信件並盡快變更密碼。',
+          '',
+          '{{appName}} 團隊',
+        ].join('\n'),
+        html: [
+          '<p>您好：</p>',
+          '<p>您的驗證碼為 <strong style="font-size:24px;letter-spacing:4px">{{code}}</strong>，'
+            + '{{expiryMinutes}} 分鐘內有效。</p>',
+          '<p>如果這不是您本人的操作，請忽略此信件並盡快變更密碼。</p>',
+          '<p>{{appName}} 團隊</p>',
+        ].join('\n'),
+      },
+      {
+        language: 'zh-CN',
+        subject: '【{{appName}}】您的验证码：{{code}}',
+        text: [
+          '您好：',
+          '',
+          '您的验证码为 {{code}}，{{expiryMinutes}} 分钟内有效。',
+          '如果这不是您本人的操作，请忽略此邮件并尽快更改密码。',
+          '',
+          '{{appName}} 团队',
+        ].join('\n'),
+        html: [
+          '<p>您好：</p>',
+          '<p>您的验证码为 <strong style="font-size:24px;letter-spacing:4px">{{code}}</strong>，'
+            + '{{expiryMinutes}} 分钟内有效。</p>',
+          '<p>如果这不是您本人的操作，请忽略此邮件并尽快更改密码。</p>',
+          '<p>{{appName}} 团队</p>',
+        ].join('\n'),
+      },
+      {
+        language: 'en-US',
+        subject: '[{{appName}}] Your verification code: {{code}}',
+        text: [
+          'Hello,',
+          '',
+          'Your verification code is {{code}}. It expires in {{expiryMinutes}} minutes.',
+          'If you did not request this code, ignore this email and change your password.',
+          '',
+          'The {{appName}} team',
+        ].join('\n'),
+        html: [
+          '<p>Hello,</p>',
+          '<p>Your verification code is <strong style="font-size:24px;letter-spacing:4px">'
+            + '{{code}}</strong>. It expires in {{expiryMinutes}} minutes.</p>',
+          '<p>If you did not request this code, ignore this email and change your password.</p>',
+          '<p>The {{appName}} team</p>',
+        ].join('\n'),
+      },
+    ],
+  },
+
+  email_verification: {
+    description: 'Email 地址驗證連結',
+    defaultLanguage: 'zh-TW',
+    variables: ['appName', 'displayName', 'verificationLink'],
+    variants: [
+      {
+        language: 'zh-TW',
+        subject: '【{{appName}}】請驗證您的 Email',
+        text: [
+          '{{displayName}} 您好：',
+          '',
+          '請開啟以下連結完成 Email 驗證：',
+          '{{verificationLink}}',
+          '',
+          '{{appName}} 團隊',
+        ].join('\n'),
+        html: [
+          '<p>{{displayName}} 您好：</p>',
+          '<p>請點擊以下連結完成 Email 驗證：</p>',
+          '<p><a href="{{verificationLink}}">驗證 Email</a></p>',
+          '<p>{{appName}} 團隊</p>',
+        ].join('\n'),
+      },
+      {
+        language: 'zh-CN',
+        subject: '【{{appName}}】请验证您的邮箱',
+        text: [
+          '{{displayName}} 您好：',
+          '',
+          '请打开以下链接完成邮箱验证：',
+          '{{verificationLink}}',
+          '',
+          '{{appName}} 团队',
+        ].join('\n'),
+        html: [
+          '<p>{{displayName}} 您好：</p>',
+          '<p>请点击以下链接完成邮箱验证：</p>',
+          '<p><a href="{{verificationLink}}">验证邮箱</a></p>',
+          '<p>{{appName}} 团队</p>',
+        ].join('\n'),
+      },
+      {
+        language: 'en-US',
+        subject: '[{{appName}}] Verify your email address',
+        text: [
+          'Hello {{displayName}},',
+          '',
+          'Open the link below to verify your email address:',
+          '{{verificationLink}}',
+          '',
+          'The {{appName}} team',
+        ].join('\n'),
+        html: [
+          '<p>Hello {{displayName}},</p>',
+          '<p>Click the link below to verify your email address:</p>',
+          '<p><a href="{{verificationLink}}">Verify email</a></p>',
+          '<p>The {{appName}} team</p>',
+        ].join('\n'),
+      },
+    ],
+  },
+
+  password_reset: {
+    description: '密碼重設連結',
+    defaultLanguage: 'zh-TW',
+    variables: ['appName', 'displayName', 'resetLink', 'expiryMinutes'],
+    variants: [
+      {
+        language: 'zh-TW',
+        subject: '【{{appName}}】重設您的密碼',
+        text: [
+          '{{displayName}} 您好：',
+          '',
+          '我們收到重設密碼的請求，請在 {{expiryMinutes}} 分鐘內開啟以下連結設定新密碼：',
+          '{{resetLink}}',
+          '',
+          '此連結只能使用一次。如果這不是您本人的操作，請忽略此信件。',
+          '',
+          '{{appName}} 團隊',
+        ].join('\n'),
+        html: [
+          '<p>{{displayName}} 您好：</p>',
+          '<p>我們收到重設密碼的請求，請在 {{expiryMinutes}} 分鐘內點擊以下連結設定新密碼：</p>',
+          '<p><a href="{{resetLink}}">重設密碼</a></p>',
+          '<p>此連結只能使用一次。如果這不是您本人的操作，請忽略此信件。</p>',
+          '<p>{{appName}} 團隊</p>',
+        ].join('\n'),
+      },
+      {
+        language: 'zh-CN',
+        subject: '【{{appName}}】重置您的密码',
+        text: [
+          '{{displayName}} 您好：',
+          '',
+          '我们收到重置密码的请求，请在 {{expiryMinutes}} 分钟内打开以下链接设置新密码：',
+          '{{resetLink}}',
+          '',
+          '此链接只能使用一次。如果这不是您本人的操作，请忽略此邮件。',
+          '',
+          '{{appName}} 团队',
+        ].join('\n'),
+        html: [
+          '<p>{{displayName}} 您好：</p>',
+          '<p>我们收到重置密码的请求，请在 {{expiryMinutes}} 分钟内点击以下链接设置新密码：</p>',
+          '<p><a href="{{resetLink}}">重置密码</a></p>',
+          '<p>此链接只能使用一次。如果这不是您本人的操作，请忽略此邮件。</p>',
+          '<p>{{appName}} 团队</p>',
+        ].join('\n'),
+      },
+      {
+        language: 'en-US',
+        subject: '[{{appName}}] Reset your password',
+        text: [
+          'Hello {{displayName}},',
+          '',
+          'We received a request to reset your password. Open the link below within'
+            + ' {{expiryMinutes}} minutes to choose a new one:',
+          '{{resetLink}}',
+          '',
+          'This link can only be used once. If you did not request a reset, ignore this email.',
+          '',
+          'The {{appName}} team',
+        ].join('\n'),
+        html: [
+          '<p>Hello {{displayName}},</p>',
+          '<p>We received a request to reset your password. Click the link below within'
+            + ' {{expiryMinutes}} minutes to choose a new one:</p>',
+          '<p><a href="{{resetLink}}">Reset password</a></p>',
+          '<p>This link can only be used once. If you did not request a reset,'
+            + ' ignore this email.</p>',
+          '<p>The {{appName}} team</p>',
+        ].join('\n'),
+      },
+    ],
+  },
+
+  email_change_confirmation: {
+    description: 'Email 變更確認連結（新舊地址各寄一封）',
+    defaultLanguage: 'zh-TW',
+    variables: ['appName', 'displayName', 'oldEmail', 'newEmail', 'confirmLink', 'expiryMinutes'],
+    variants: [
+      {
+        language: 'zh-TW',
+        subject: '【{{appName}}】確認變更帳號 Email',
+        text: [
+          '{{displayName}} 您好：',
+          '',
+          '您的帳號 Email 即將由 {{oldEmail}} 變更為 {{newEmail}}。',
+          '變更需要新舊兩個地址都完成確認，請在 {{expiryMinutes}} 分鐘內開啟以下連結：',
+          '{{confirmLink}}',
+          '',
+          '如果這不是您本人的操作，請勿開啟連結並盡快變更密碼。',
+          '',
+          '{{appName}} 團隊',
+        ].join('\n'),
+        html: [
+          '<p>{{displayName}} 您好：</p>',
+          '<p>您的帳號 Email 即將由 {{oldEmail}} 變更為 {{newEmail}}。</p>',
+          '<p>變更需要新舊兩個地址都完成確認，請在 {{expiryMinutes}} 分鐘內點擊以下連結：</p>',
+          '<p><a href="{{confirmLink}}">確認變更</a></p>',
+          '<p>如果這不是您本人的操作，請勿點擊連結並盡快變更密碼。</p>',
+          '<p>{{appName}} 團隊</p>',
+        ].join('\n'),
+      },
+      {
+        language: 'zh-CN',
+        subject: '【{{appName}}】确认更改账号邮箱',
+        text: [
+          '{{displayName}} 您好：',
+          '',
+          '您的账号邮箱即将由 {{oldEmail}} 更改为 {{newEmail}}。',
+          '更改需要新旧两个地址都完成确认，请在 {{expiryMinutes}} 分钟内打开以下链接：',
+          '{{confirmLink}}',
+          '',
+          '如果这不是您本人的操作，请勿打开链接并尽快更改密码。',
+          '',
+          '{{appName}} 团队',
+        ].join('\n'),
+        html: [
+          '<p>{{displayName}} 您好：</p>',
+          '<p>您的账号邮箱即将由 {{oldEmail}} 更改为 {{newEmail}}。</p>',
+          '<p>更改需要新旧两个地址都完成确认，请在 {{expiryMinutes}} 分钟内点击以下链接：</p>',
+          '<p><a href="{{confirmLink}}">确认更改</a></p>',
+          '<p>如果这不是您本人的操作，请勿点击链接并尽快更改密码。</p>',
+          '<p>{{appName}} 团队</p>',
+        ].join('\n'),
+      },
+      {
+        language: 'en-US',
+        subject: '[{{appName}}] Confirm your email address change',
+        text: [
+          'Hello {{displayName}},',
+          '',
+          'Your account email is about to change from {{oldEmail}} to {{newEmail}}.',
+          'Both addresses must confirm the change. Open the link below within'
+            + ' {{expiryMinutes}} minutes:',
+          '{{confirmLink}}',
+          '',
+          'If you did not request this change, do not open the link and change your password.',
+          '',
+          'The {{appName}} team',
+        ].join('\n'),
+        html: [
+          '<p>Hello {{displayName}},</p>',
+          '<p>Your account email is about to change from {{oldEmail}} to {{newEmail}}.</p>',
+          '<p>Both addresses must confirm the change. Click the link below within'
+            + ' {{expiryMinutes}} minutes:</p>',
+          '<p><a href="{{confirmLink}}">Confirm change</a></p>',
+          '<p>If you did not request this change, do not click the link'
+            + ' and change your password.</p>',
+          '<p>The {{appName}} team</p>',
+        ].join('\n'),
+      },
+    ],
+  },
+};
+
+module.exports = {
+  EMAIL_TEMPLATES,
+};
@@ -0,0 +1,119 @@
+/**
+ * 內建提示詞模板
+ * 資料庫中沒有啟用版本時使用，版本號固定為 0；
+ * 管理者透過 /api/v1/prompt-templates 建立的版本從 1 開始
+ */
+const BUILT_IN_TEMPLATES = {
+  tour_generation: {
+    description: '依地點、主題與時長生成步行導覽路線（JSON 格式由 generateStructured 附加）',
+    defaultLanguage: 'zh-TW',
+    variables: [
+      {
+        name: 'location', type: 'string', required: true, description: '地點名稱或經緯度描述',
+      },
+      { name: 'theme', type: 'string', description: '導覽主題' },
+      {
+        name: 'durationMinutes', type: 'integer', required: true, description: '導覽總時長（分鐘）',
+      },
+      { name: 'minStops', type: 'integer', required: true },
+      { name: 'maxStops', type: 'integer', required: true },
+    ],
+    variants: [
+      {
+        language: 'zh-TW',
+        template: [
+          '你是一位熟悉在地文化與歷史的導覽設計師。請依照以下條件設計一條步行導覽路線。',
+          '地點: {{location}}',
+          '主題: {{theme}}（未指定時請選擇最能代表當地特色的主題）',
+          '總時長: 約 {{durationMinutes}} 分鐘',
+          '站點數量: {{minStops}} 到 {{maxStops}} 個，依步行順序排列',
+          '所有文字請使用繁體中文。',
+        ].join('\n'),
+      },
+      {
+        language: 'zh-CN',
+        template: [
+          '你是一位熟悉在地文化与历史的导览设计师。请依照以下条件设计一条步行导览路线。',
+          '地点: {{location}}',
+          '主题: {{theme}}（未指定时请选择最能代表当地特色的主题）',
+          '总时长: 约 {{durationMinutes}} 分钟',
+          '站点数量: {{minStops}} 到 {{maxStops}} 个，依步行顺序排列',
+          '所有文字请使用简体中文。',
+        ].join('\n'),
+      },
+      {
+        language: 'en-US',
+        template: [
+          'You are a tour designer with deep knowledge of local culture and history.'
+            + ' Design a walking tour with the following requirements.',
+          'Location: {{location}}',
+          'Theme: {{theme}} (if empty, choose the theme that best represents the area)',
+          'Total duration: about {{durationMinutes}} minutes',
+          'Number of stops: {{minStops}} to {{maxStops}}, in walking order',
+          'Write all text in English.',
+        ].join('\n'),
+      },
+    ],
+  },
+
+  stop_narration: {
+    description: '為導覽站點生成口語化的現場解說',
+    defaultLanguage: 'zh-TW',
+    variables: [
+      { name: 'tourTitle', type: 'string', required: true },
+      { name: 'theme', type: 'string' },
+      { name: 'stopName', type: 'string', required: true },
+      { name: 'address', type: 'string' },
+      { name: 'latitude', type: 'number', required: true },
+      { name: 'longitude', type: 'number', required: true },
+      { name: 'existingNarration', type: 'string', description: '站點既有簡介' },
+      { name: 'durationMinutes', type: 'integer', required: true },
+    ],
+    variants: [
+      {
+        language: 'zh-TW',
+        template: [
+          '你是一位熟悉在地文化與歷史的導覽員。請為以下站點撰寫一段口語化的現場導覽解說。',
+          '導覽: {{tourTitle}}（主題: {{theme}}）',
+          '站點: {{stopName}}',
+          '地址: {{address}}',
+          '位置: 緯度 {{latitude}}, 經度 {{longitude}}',
+          '既有簡介: {{existingNarration}}',
+          '建議解說長度: 約 {{durationMinutes}} 分鐘的停留時間',
+          '請使用繁體中文，直接輸出解說內容，不要加上標題或 Markdown 標記。',
+        ].join('\n'),
+      },
+      {
+        language: 'zh-CN',
+        template: [
+          '你是一位熟悉在地文化与历史的导览员。请为以下站点撰写一段口语化的现场导览解说。',
+          '导览: {{tourTitle}}（主题: {{theme}}）',
+          '站点: {{stopName}}',
+          '地址: {{address}}',
+          '位置: 纬度 {{latitude}}, 经度 {{longitude}}',
+          '既有简介: {{existingNarration}}',
+          '建议解说长度: 约 {{durationMinutes}} 分钟的停留时间',
+          '请使用简体中文，直接输出解说内容，不要加上标题或 Markdown 标记。',
+        ].join('\n'),
+      },
+      {
+        language: 'en-US',
+        template: [
+          'You are a local tour guide with deep knowledge of culture and history.'
+            + ' Write a conversational on-site narration for the stop below.',
+          'Tour: {{tourTitle}} (theme: {{theme}})',
+          'Stop: {{stopName}}',
+          'Address: {{address}}',
+          'Location: latitude {{latitude}}, longitude {{longitude}}',
+          'Existing summary: {{existingNarration}}',
+          'Suggested length: about {{durationMinutes}} minutes at the stop',
+          'Write in English and output only the narration, without headings or Markdown.',
+        ].join('\n'),
+      },
+    ],
+  },
+};
+
+module.exports = {
+  BUILT_IN_TEMPLATES,
+};
@@ -254,6 +254,19 @@ class RedisConnection {
     }
   }
 
+  /**
+   * 增加浮點數值
+   */
+  async incrByFloat(key, increment) {
+    try {
+      const client = this.getClient();
+      return parseFloat(await client.incrByFloat(key, increment));
+    } catch (error) {
+      console.error('❌ Redis incrByFloat error:', error);
+      throw error;
+    }
+  }
+
   /**
    * 減少數值
    */
@@ -293,6 +306,43 @@ class RedisConnection {
     }
   }
 
+  /**
+   * 以 SCAN 逐批取得符合的鍵，不會像 KEYS 一樣阻塞 Redis
+   */
+  async scan(pattern = '*', options = {}) {
+    try {
+      const client = this.getClient();
+      const iterator = client.scanIterator({ MATCH: pattern, COUNT: options.count || 100 });
+      const keys = [];
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const key of iterator) {
+        keys.push(key);
+      }
+      return keys;
+    } catch (error) {
+      console.error('❌ Redis scan error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 鍵不存在時才設置（SET NX），用於認領或鎖定
+   * @returns {Promise<boolean>} 是否設置成功
+   */
+  async setIfNotExists(key, value, options = {}) {
+    try {
+      const client = this.getClient();
+      const result = await client.set(key, JSON.stringify(value), {
+        NX: true,
+        ...(options.ttl && { EX: options.ttl }),
+      });
+      return result === 'OK';
+    } catch (error) {
+      console.error('❌ Redis setIfNotExists error:', error);
+      throw error;
+    }
+  }
+
   /**
    * 刪除多個鍵
    */
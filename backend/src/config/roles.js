@@ -0,0 +1,80 @@
+/**
+ * 內建角色
+ * 資料庫沒有對應文件時使用這些定義；管理員可透過 /api/v1/roles 調整其權限與繼承，但不能刪除。
+ * level 數字越小權限越高（自訂角色可使用中間的數值，例如介於 admin 與 merchant 之間的 15），
+ * inherits 列出的角色權限會遞迴合併
+ */
+const SYSTEM_ROLES = {
+  superadmin: {
+    displayName: '超級管理員',
+    level: 0,
+    permissions: ['system.admin', 'feature.manage'],
+    inherits: ['admin'],
+  },
+  admin: {
+    displayName: '管理員',
+    level: 10,
+    permissions: [
+      'user.manage',
+      'role.manage',
+      'merchant.manage',
+      'content.manage',
+      'monitoring.view',
+      'security.manage',
+    ],
+    inherits: ['merchant'],
+  },
+  merchant: {
+    displayName: '商戶',
+    level: 20,
+    permissions: [
+      'content.create',
+      'content.update',
+      'content.delete',
+      'product.manage',
+      'order.view',
+      'analytics.view',
+    ],
+    inherits: ['user'],
+  },
+  user: {
+    displayName: '一般用戶',
+    level: 30,
+    permissions: ['content.read', 'profile.update', 'tour.use', 'rating.create'],
+    inherits: ['guest'],
+  },
+  guest: {
+    displayName: '訪客',
+    level: 40,
+    permissions: ['content.read', 'tour.use'],
+    inherits: [],
+  },
+};
+
+// 無法修改的角色（避免管理員移除自己管理角色的能力）
+const IMMUTABLE_ROLES = ['superadmin'];
+
+// 未知角色的權限來源
+const FALLBACK_ROLE = 'guest';
+
+// 註冊時可自行選擇的角色
+const SELF_REGISTRATION_ROLES = ['user', 'merchant'];
+
+// 角色名稱：小寫英文開頭，可含數字與底線，例如 content_moderator
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+// 權限名稱：以點分隔的資源與動作，例如 content.moderate
+const PERMISSION_PATTERN = /^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+$/;
+
+// 角色層級允許範圍
+const ROLE_LEVEL_RANGE = { min: 0, max: 99 };
+
+module.exports = {
+  SYSTEM_ROLES,
+  IMMUTABLE_ROLES,
+  FALLBACK_ROLE,
+  SELF_REGISTRATION_ROLES,
+  ROLE_NAME_PATTERN,
+  PERMISSION_PATTERN,
+  ROLE_LEVEL_RANGE,
+};
@@ -0,0 +1,68 @@
+/**
+ * 全域安全政策預設值
+ * 由環境變數決定；管理員透過 PUT /admin/security-policy 儲存的版本會覆蓋這些值
+ * @returns {Object} { passwordPolicy, accountLockPolicy, sessionPolicy, mfaPolicy }
+ */
+const getDefaultSecurityPolicy = () => ({
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE === 'true',
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE === 'true',
+    requireNumbers: process.env.PASSWORD_REQUIRE_NUMBERS === 'true',
+    requireSymbols: process.env.PASSWORD_REQUIRE_SYMBOLS === 'true',
+    maxAge: parseInt(process.env.PASSWORD_MAX_AGE, 10) || 90,
+    historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT, 10) || 5,
+    blockCommonPasswords: process.env.PASSWORD_BLOCK_COMMON !== 'false',
+  },
+  accountLockPolicy: {
+    maxFailedAttempts: parseInt(process.env.MAX_FAILED_ATTEMPTS, 10) || 3,
+    lockDuration: parseInt(process.env.LOCK_DURATION, 10) || 5,
+    progressiveLockout: process.env.PROGRESSIVE_LOCKOUT !== 'false',
+  },
+  sessionPolicy: {
+    defaultTimeout: parseInt(process.env.SESSION_TIMEOUT, 10) || 1440,
+    maxConcurrentSessions: parseInt(process.env.MAX_CONCURRENT_SESSIONS, 10) || 5,
+    requireMfaForSensitive: process.env.REQUIRE_MFA_FOR_SENSITIVE === 'true',
+    stepUpMaxAge: parseInt(process.env.STEP_UP_MAX_AGE, 10) || 5,
+  },
+  mfaPolicy: {
+    maxAttempts: parseInt(process.env.MFA_MAX_ATTEMPTS, 10) || 3,
+    maxDailyAttempts: parseInt(process.env.MFA_MAX_DAILY_ATTEMPTS, 10) || 10,
+    trustedDeviceDays: parseInt(process.env.MFA_TRUSTED_DEVICE_DAYS, 10) || 30,
+  },
+});
+
+// 各欄位的型別與允許範圍（管理員更新政策時檢查）
+const SECURITY_POLICY_RULES = {
+  passwordPolicy: {
+    minLength: { type: 'integer', min: 8, max: 128 },
+    requireUppercase: { type: 'boolean' },
+    requireLowercase: { type: 'boolean' },
+    requireNumbers: { type: 'boolean' },
+    requireSymbols: { type: 'boolean' },
+    maxAge: { type: 'integer', min: 1, max: 365 },
+    historyCount: { type: 'integer', min: 0, max: 24 },
+    blockCommonPasswords: { type: 'boolean' },
+  },
+  accountLockPolicy: {
+    maxFailedAttempts: { type: 'integer', min: 3, max: 10 },
+    lockDuration: { type: 'integer', min: 1, max: 1440 },
+    progressiveLockout: { type: 'boolean' },
+  },
+  sessionPolicy: {
+    defaultTimeout: { type: 'integer', min: 15, max: 1440 },
+    maxConcurrentSessions: { type: 'integer', min: 1, max: 10 },
+    requireMfaForSensitive: { type: 'boolean' },
+    stepUpMaxAge: { type: 'integer', min: 1, max: 60 },
+  },
+  mfaPolicy: {
+    maxAttempts: { type: 'integer', min: 1, max: 10 },
+    maxDailyAttempts: { type: 'integer', min: 1, max: 50 },
+    trustedDeviceDays: { type: 'integer', min: 1, max: 90 },
+  },
+};
+
+module.exports = {
+  getDefaultSecurityPolicy,
+  SECURITY_POLICY_RULES,
+};
@@ -116,8 +116,8 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['user', 'merchant', 'admin'],
-              description: '用戶角色',
+              description: '用戶角色（內建 user、merchant、admin，或管理員建立的自訂角色）',
+              example: 'user',
             },
             createdAt: {
               type: 'string',
@@ -135,33 +135,64 @@ const options = {
             },
             title: {
               type: 'string',
-              description: '導覽標題',
+              description: '導覽標題（預設語言）',
             },
             description: {
               type: 'string',
-              description: '導覽描述',
+              description: '導覽描述（預設語言）',
             },
-            content: {
-              type: 'object',
-              description: '導覽內容（多語言）',
+            defaultLanguage: {
+              type: 'string',
+              enum: ['zh-TW', 'zh-CN', 'en-US'],
+              description: '預設語言',
+            },
+            translations: {
+              type: 'array',
+              description: '其他語言版本',
+              items: {
+                type: 'object',
+                properties: {
+                  language: { type: 'string', enum: ['zh-TW', 'zh-CN', 'en-US'] },
+                  title: { type: 'string' },
+                  description: { type: 'string' },
+                },
+              },
+            },
+            stops: {
+              type: 'array',
+              description: '導覽站點',
+              items: {
+                $ref: '#/components/schemas/TourStop',
+              },
+            },
+            location: {
+              $ref: '#/components/schemas/GeoPoint',
+            },
+            city: {
+              type: 'string',
+              description: '城市',
+            },
+            theme: {
+              type: 'string',
+              description: '導覽主題',
             },
             merchantId: {
               type: 'string',
               description: '商戶 ID',
             },
-            location: {
-              type: 'object',
-              properties: {
-                lat: { type: 'number' },
-                lng: { type: 'number' },
-                address: { type: 'string' },
-              },
+            createdBy: {
+              type: 'string',
+              description: '建立者 UID',
             },
             status: {
               type: 'string',
               enum: ['draft', 'published', 'archived'],
               description: '狀態',
             },
+            publishedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -1049,6 +1080,26 @@ const options = {
             },
           },
         },
+        StepUpRequiredError: {
+          description: '敏感操作需要在期限內重新驗證身分（POST /api/v1/auth/step-up）',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/Error',
+              },
+              example: {
+                success: false,
+                error: {
+                  message: '此操作需要重新驗證身分',
+                  code: 'STEP_UP_REQUIRED',
+                  maxAge: 300,
+                  methods: ['mfa', 'password'],
+                  reauthenticatedAt: null,
+                },
+              },
+            },
+          },
+        },
         NotFoundError: {
           description: '資源不存在',
           content: {
@@ -1135,6 +1186,14 @@ const options = {
         name: 'AI Services',
         description: 'AI 服務相關 API（內容生成、翻譯等）',
       },
+      {
+        name: 'Prompt Templates',
+        description: 'AI 提示詞模板版本管理 API',
+      },
+      {
+        name: 'Roles',
+        description: '角色、權限與用戶個別權限管理 API',
+      },
       {
         name: 'Text-to-Speech',
         description: '語音合成相關 API',
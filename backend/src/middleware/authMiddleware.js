@@ -222,6 +222,7 @@ class AuthMiddleware {
             picture: decodedToken.picture,
             role: decodedToken.role || 'user',
             tokenType: 'firebase',
+            authTime: decodedToken.auth_time,
             firebase: {
               identities: decodedToken.firebase?.identities,
               sign_in_provider: decodedToken.firebase?.sign_in_provider,
@@ -308,6 +309,108 @@ class AuthMiddleware {
     };
   };
 
+  /**
+   * 取得用戶最近一次完成身分驗證的時間與方式
+   * JWT 使用 session 上的重新驗證時間；Firebase token 使用其登入時間（auth_time）
+   * @returns {Promise<Object|null>} { reauthenticatedAt（毫秒）, method }
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async getReauthentication(user) {
+    if (user.tokenType === 'jwt') {
+      const session = user.sessionId ? await jwtService.getSession(user.sessionId) : null;
+      if (!session?.isActive || !session.reauthenticatedAt) {
+        return null;
+      }
+      return {
+        reauthenticatedAt: new Date(session.reauthenticatedAt).getTime(),
+        method: session.reauthenticationMethod,
+      };
+    }
+
+    if (user.tokenType === 'firebase' && user.authTime) {
+      return { reauthenticatedAt: user.authTime * 1000, method: 'password' };
+    }
+
+    return null;
+  }
+
+  /**
+   * 敏感操作 step-up 中間件工廠函數
+   * 需放在 authenticate 之後；要求用戶在期限內完成 MFA 或密碼重新驗證（POST /api/v1/auth/step-up），
+   * 期限與是否只接受 MFA 來自安全政策的 sessionPolicy
+   * @param {Object} options
+   * @param {number} options.maxAge - 覆蓋政策的有效期限（秒）
+   */
+  requireStepUp = (options = {}) => async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: '未認證的用戶',
+          code: 'UNAUTHENTICATED',
+        },
+      });
+    }
+
+    // 開發環境測試用戶已跳過認證，同樣跳過 step-up
+    if (this.handleTestUser(req)) {
+      return next();
+    }
+
+    try {
+      const policy = await jwtService.getStepUpPolicy();
+      const maxAge = options.maxAge || policy.maxAge;
+      const methods = policy.requireMfa ? ['mfa'] : ['mfa', 'password'];
+
+      const reauthentication = await this.getReauthentication(req.user);
+      const elapsed = reauthentication ? Date.now() - reauthentication.reauthenticatedAt : null;
+
+      if (
+        reauthentication
+        && elapsed <= maxAge * 1000
+        && methods.includes(reauthentication.method)
+      ) {
+        return next();
+      }
+
+      const reauthenticatedAt = reauthentication
+        ? new Date(reauthentication.reauthenticatedAt).toISOString()
+        : null;
+
+      logger.info('敏感操作需要 step-up 驗證', {
+        uid: req.user.uid,
+        sessionId: req.user.sessionId,
+        path: req.path,
+        reauthenticatedAt,
+      });
+
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: '此操作需要重新驗證身分',
+          code: 'STEP_UP_REQUIRED',
+          maxAge,
+          methods,
+          reauthenticatedAt,
+        },
+      });
+    } catch (error) {
+      logger.error('Step-up 驗證檢查失敗', {
+        error: error.message,
+        uid: req.user.uid,
+        path: req.path,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: '無法確認身分驗證狀態',
+          code: 'STEP_UP_CHECK_FAILED',
+        },
+      });
+    }
+  };
+
   /**
    * 可選認證中間件
    * 如果有 token 則驗證，沒有則繼續
@@ -355,6 +458,7 @@ module.exports = {
   authenticate: authMiddleware.authenticate,
   authMiddleware: authMiddleware.authenticate,
   requireRole: authMiddleware.requireRole,
+  requireStepUp: authMiddleware.requireStepUp,
   optionalAuth: authMiddleware.optionalAuth,
   AuthMiddleware, // 導出類別以便測試
 };
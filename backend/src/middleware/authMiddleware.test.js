@@ -18,8 +18,9 @@ jest.mock('./requestLogger', () => ({
 }));
 
 const {
-  authenticate, requireRole, optionalAuth, AuthMiddleware,
+  authenticate, requireRole, requireStepUp, optionalAuth, AuthMiddleware,
 } = require('./authMiddleware');
+const jwtService = require('../services/jwtService');
 
 describe('AuthMiddleware', () => {
   let req;
@@ -312,6 +313,87 @@ describe('AuthMiddleware', () => {
     });
   });
 
+  describe('requireStepUp 中間件', () => {
+    beforeEach(() => {
+      jest.spyOn(jwtService, 'getStepUpPolicy').mockResolvedValue({
+        maxAge: 5 * 60,
+        requireMfa: false,
+      });
+      jest.spyOn(jwtService, 'getSession').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('應該允許 session 在期限內完成重新驗證的用戶', async () => {
+      req.user = { uid: 'user123', sessionId: 'session-1', tokenType: 'jwt' };
+      jwtService.getSession.mockResolvedValue({
+        isActive: true,
+        reauthenticatedAt: new Date(Date.now() - 60 * 1000).toISOString(),
+        reauthenticationMethod: 'mfa',
+      });
+
+      await requireStepUp()(req, res, next);
+
+      expect(jwtService.getSession).toHaveBeenCalledWith('session-1');
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    test('應該在重新驗證過期時返回 STEP_UP_REQUIRED', async () => {
+      const reauthenticatedAt = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+      req.user = { uid: 'user123', sessionId: 'session-1', tokenType: 'jwt' };
+      jwtService.getSession.mockResolvedValue({
+        isActive: true,
+        reauthenticatedAt,
+        reauthenticationMethod: 'password',
+      });
+
+      await requireStepUp()(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: {
+          message: '此操作需要重新驗證身分',
+          code: 'STEP_UP_REQUIRED',
+          maxAge: 300,
+          methods: ['mfa', 'password'],
+          reauthenticatedAt,
+        },
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('應該在政策要求 MFA 時拒絕密碼重新驗證', async () => {
+      jwtService.getStepUpPolicy.mockResolvedValue({ maxAge: 5 * 60, requireMfa: true });
+      req.user = { uid: 'user123', tokenType: 'firebase', authTime: Math.floor(Date.now() / 1000) };
+
+      await requireStepUp()(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].error.methods).toEqual(['mfa']);
+      expect(next).not.toHaveBeenCalled();
+
+      // Firebase token 剛登入，未要求 MFA 時可通過
+      jwtService.getStepUpPolicy.mockResolvedValue({ maxAge: 5 * 60, requireMfa: false });
+      await requireStepUp()(req, res, next);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('應該在無法讀取政策時拒絕請求', async () => {
+      jwtService.getStepUpPolicy.mockRejectedValue(new Error('redis down'));
+      req.user = { uid: 'user123', sessionId: 'session-1', tokenType: 'jwt' };
+
+      await requireStepUp()(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json.mock.calls[0][0].error.code).toBe('STEP_UP_CHECK_FAILED');
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
   describe('AuthMiddleware 類別', () => {
     let authMiddleware;
 
@@ -1,5 +1,9 @@
+const crypto = require('crypto');
 const winston = require('winston');
 
+// 只沿用格式合理的外部 Request ID（例如負載平衡器產生的），避免日誌注入
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
 // 配置 winston logger
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
@@ -29,13 +33,21 @@ if (process.env.NODE_ENV !== 'production') {
 
 /**
  * HTTP 請求記錄中間件
+ * 為每個請求設定 req.id 並以 X-Request-ID 回應標頭返回，方便串連日誌與稽核紀錄
  */
 const requestLogger = (req, res, next) => {
   const startTime = Date.now();
 
+  const incomingRequestId = req.get('X-Request-ID');
+  req.id = incomingRequestId && REQUEST_ID_PATTERN.test(incomingRequestId)
+    ? incomingRequestId
+    : crypto.randomUUID();
+  res.set('X-Request-ID', req.id);
+
   // 記錄請求開始
   logger.info({
     type: 'request_start',
+    requestId: req.id,
     method: req.method,
     url: req.originalUrl,
     ip: req.ip,
@@ -50,6 +62,7 @@ const requestLogger = (req, res, next) => {
 
     logger.log(logLevel, {
       type: 'request_complete',
+      requestId: req.id,
       method: req.method,
       url: req.originalUrl,
       statusCode: res.statusCode,
@@ -1,71 +1,24 @@
 const { redisConnection } = require('../config/redis');
 const { logger } = require('../config/logger');
+const { RoleService, roleService, ROLE_CACHE_PREFIX } = require('../services/roleService');
 
 /**
  * 角色權限中間件
- * 提供角色驗證、權限檢查、快取機制等功能
+ * 提供角色驗證、權限檢查、快取機制等功能；角色定義與用戶權限來自 roleService
  */
 class RoleMiddleware {
-  constructor() {
-    // 角色層級定義 - 數字越小權限越高
-    this.ROLE_HIERARCHY = {
-      superadmin: 0,
-      admin: 1,
-      merchant: 2,
-      user: 3,
-      guest: 4,
-    };
-
-    // 角色權限映射
-    this.ROLE_PERMISSIONS = {
-      superadmin: [
-        'system.admin',
-        'user.manage',
-        'merchant.manage',
-        'content.manage',
-        'monitoring.view',
-        'security.manage',
-        'feature.manage',
-      ],
-      admin: [
-        'user.manage',
-        'merchant.manage',
-        'content.manage',
-        'monitoring.view',
-        'security.manage',
-      ],
-      merchant: [
-        'content.create',
-        'content.update',
-        'content.delete',
-        'product.manage',
-        'order.view',
-        'analytics.view',
-      ],
-      user: ['content.read', 'profile.update', 'tour.use', 'rating.create'],
-      guest: ['content.read', 'tour.use'],
-    };
-
-    // 權限繼承 - 高級角色繼承低級角色的權限
-    this.PERMISSION_INHERITANCE = {
-      superadmin: ['admin', 'merchant', 'user', 'guest'],
-      admin: ['merchant', 'user', 'guest'],
-      merchant: ['user', 'guest'],
-      user: ['guest'],
-      guest: [],
-    };
+  /**
+   * @param {Object} options
+   * @param {Object} options.roleService - 角色服務
+   */
+  constructor(options = {}) {
+    this.roleService = options.roleService || roleService;
 
-    // Redis 快取前綴
-    this.CACHE_PREFIX = {
-      USER_ROLE: 'user_role:',
-      ROLE_PERMISSIONS: 'role_permissions:',
-      PERMISSION_CHECK: 'permission_check:',
-    };
+    // Redis 快取前綴（角色或用戶權限變更時由 roleService 清除）
+    this.CACHE_PREFIX = ROLE_CACHE_PREFIX;
 
     // 快取過期時間（秒）
     this.CACHE_TTL = {
-      USER_ROLE: 300, // 5分鐘
-      ROLE_PERMISSIONS: 600, // 10分鐘
       PERMISSION_CHECK: 180, // 3分鐘
     };
   }
@@ -73,36 +26,21 @@ class RoleMiddleware {
   /**
    * 獲取角色的所有權限（包括繼承的權限）
    * @param {string} role - 角色名稱
-   * @returns {Array} 權限列表
+   * @returns {Promise<Array>} 權限列表
    */
-  getRolePermissions(role) {
-    if (!role || !this.ROLE_PERMISSIONS[role]) {
-      return this.ROLE_PERMISSIONS.guest || [];
-    }
-
-    const directPermissions = this.ROLE_PERMISSIONS[role] || [];
-    const inheritedRoles = this.PERMISSION_INHERITANCE[role] || [];
-
-    // 合併直接權限和繼承權限
-    const allPermissions = new Set(directPermissions);
-
-    // 使用 forEach 替代 for...of 以避免 ESLint 錯誤
-    inheritedRoles.forEach((inheritedRole) => {
-      const inheritedPermissions = this.ROLE_PERMISSIONS[inheritedRole] || [];
-      inheritedPermissions.forEach((permission) => allPermissions.add(permission));
-    });
-
-    return Array.from(allPermissions);
+  async getRolePermissions(role) {
+    const definitions = await this.roleService.getRoleDefinitions();
+    return RoleService.resolvePermissions(definitions, role);
   }
 
   /**
    * 檢查角色是否具有特定權限
    * @param {string} role - 角色名稱
    * @param {string} permission - 權限名稱
-   * @returns {boolean} 是否具有權限
+   * @returns {Promise<boolean>} 是否具有權限
    */
-  hasPermission(role, permission) {
-    const permissions = this.getRolePermissions(role);
+  async hasPermission(role, permission) {
+    const permissions = await this.getRolePermissions(role);
     return permissions.includes(permission);
   }
 
@@ -110,61 +48,26 @@ class RoleMiddleware {
    * 檢查角色層級是否足夠
    * @param {string} userRole - 用戶角色
    * @param {string} requiredRole - 所需角色
+   * @param {Object} definitions - 角色定義
    * @returns {boolean} 是否滿足角色要求
    */
-  hasRoleLevel(userRole, requiredRole) {
-    const userLevel = this.ROLE_HIERARCHY[userRole] ?? 999;
-    const requiredLevel = this.ROLE_HIERARCHY[requiredRole] ?? 999;
+  // eslint-disable-next-line class-methods-use-this
+  hasRoleLevel(userRole, requiredRole, definitions) {
+    const userLevel = definitions[userRole]?.level ?? 999;
+    const requiredLevel = definitions[requiredRole]?.level ?? 999;
 
     return userLevel <= requiredLevel;
   }
 
   /**
-   * 從快取獲取用戶角色
-   * @param {string} userId - 用戶ID
-   * @returns {Promise<string|null>} 用戶角色或null
-   */
-  async getCachedUserRole(userId) {
-    try {
-      const cacheKey = `${this.CACHE_PREFIX.USER_ROLE}${userId}`;
-      const cachedRole = await redisConnection.get(cacheKey);
-
-      if (cachedRole) {
-        logger.debug('從快取獲取用戶角色', { userId, role: cachedRole });
-        return cachedRole;
-      }
-
-      return null;
-    } catch (error) {
-      logger.error('獲取快取用戶角色失敗', {
-        userId,
-        error: error.message,
-      });
-      return null;
-    }
-  }
-
-  /**
-   * 快取用戶角色
-   * @param {string} userId - 用戶ID
-   * @param {string} role - 用戶角色
-   * @returns {Promise<boolean>} 是否成功
+   * 取得請求用戶的角色與有效權限（資料庫優先，token 角色為後備）
+   * @returns {Promise<Object>} { role, permissions, granted, denied, source }
    */
-  async cacheUserRole(userId, role) {
-    try {
-      const cacheKey = `${this.CACHE_PREFIX.USER_ROLE}${userId}`;
-      await redisConnection.set(cacheKey, role, { ttl: this.CACHE_TTL.USER_ROLE });
-
-      logger.debug('快取用戶角色', { userId, role });
-      return true;
-    } catch (error) {
-      logger.error('快取用戶角色失敗', {
-        userId,
-        role,
-        error: error.message,
-      });
-      return false;
-    }
+  resolveUserAccess(req, useCache) {
+    return this.roleService.getUserAccess(req.user.uid, {
+      fallbackRole: req.user.role || req.userRole,
+      useCache,
+    });
   }
 
   /**
@@ -230,33 +133,8 @@ class RoleMiddleware {
    * 清理用戶相關的快取
    * @param {string} userId - 用戶ID
    */
-  async clearUserCache(userId) {
-    try {
-      const patterns = [
-        `${this.CACHE_PREFIX.USER_ROLE}${userId}`,
-        `${this.CACHE_PREFIX.PERMISSION_CHECK}${userId}:*`,
-      ];
-
-      // 使用 Promise.all 並行處理所有 patterns，避免 await in loop
-      const deletePromises = patterns.map((pattern) => redisConnection.keys(pattern)
-        .then((keys) => {
-          if (keys.length > 0) {
-            return redisConnection.del(...keys);
-          }
-          return Promise.resolve();
-        }));
-
-      await Promise.all(deletePromises);
-
-      logger.info('清理用戶快取', { userId });
-      return true;
-    } catch (error) {
-      logger.error('清理用戶快取失敗', {
-        userId,
-        error: error.message,
-      });
-      return false;
-    }
+  clearUserCache(userId) {
+    return this.roleService.invalidateUserCache(userId);
   }
 
   /**
@@ -294,25 +172,14 @@ class RoleMiddleware {
         }
 
         const userId = req.user.uid;
-        let userRole = req.user.role;
-
-        // 如果啟用快取，嘗試從快取獲取角色
-        if (useCache && !userRole) {
-          userRole = await this.getCachedUserRole(userId);
-        }
-
-        // 如果還沒有角色，使用預設角色
-        if (!userRole) {
-          userRole = 'user';
-
-          // 快取預設角色
-          if (useCache) {
-            await this.cacheUserRole(userId, userRole);
-          }
-        }
+        const access = await this.resolveUserAccess(req, useCache);
+        const userRole = access.role;
 
         // 檢查角色是否被允許
-        const hasAccess = roles.some((allowedRole) => this.hasRoleLevel(userRole, allowedRole));
+        const definitions = await this.roleService.getRoleDefinitions();
+        const hasAccess = roles.some(
+          (allowedRole) => this.hasRoleLevel(userRole, allowedRole, definitions),
+        );
 
         if (!hasAccess) {
           logger.warn('用戶角色權限不足', {
@@ -337,7 +204,7 @@ class RoleMiddleware {
 
         // 在請求對象中添加角色資訊
         req.userRole = userRole;
-        req.userPermissions = this.getRolePermissions(userRole);
+        req.userPermissions = access.permissions;
 
         logger.info('角色驗證成功', {
           userId,
@@ -400,20 +267,11 @@ class RoleMiddleware {
         }
 
         const userId = req.user.uid;
-        let userRole = req.user.role || req.userRole;
 
-        // 如果啟用快取，嘗試從快取獲取角色
-        if (useCache && !userRole) {
-          userRole = await this.getCachedUserRole(userId);
-        }
-
-        // 如果還沒有角色，使用預設角色
-        if (!userRole) {
-          userRole = 'user';
-        }
-
-        // 檢查權限
-        const userPermissions = this.getRolePermissions(userRole);
+        // 檢查權限（角色權限加上個別授予、扣除個別拒絕的權限）
+        const access = await this.resolveUserAccess(req, useCache);
+        const userRole = access.role;
+        const userPermissions = access.permissions;
 
         // 使用 Promise.all 並行處理所有權限檢查，避免 await in loop
         const permissionChecks = permissions.map((permission) => {
@@ -561,22 +419,14 @@ class RoleMiddleware {
         }
 
         const userId = req.user.uid;
-        let userRole = req.user.role;
-
-        // 如果啟用快取，嘗試從快取獲取角色
-        if (useCache && !userRole) {
-          userRole = await this.getCachedUserRole(userId);
-        }
-
-        // 如果還沒有角色，使用預設角色
-        if (!userRole) {
-          userRole = 'user';
-        }
+        const access = await this.resolveUserAccess(req, useCache);
+        const userRole = access.role;
+        const definitions = await this.roleService.getRoleDefinitions();
 
         // 檢查角色並設置資訊
         req.userRole = userRole;
-        req.userPermissions = this.getRolePermissions(userRole);
-        req.hasRequiredRole = roles.some((role) => this.hasRoleLevel(userRole, role));
+        req.userPermissions = access.permissions;
+        req.hasRequiredRole = roles.some((role) => this.hasRoleLevel(userRole, role, definitions));
 
         logger.debug('可選角色檢查', {
           userId,
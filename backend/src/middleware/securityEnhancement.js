@@ -1,21 +1,45 @@
 const crypto = require('crypto');
 const { redisConnection } = require('../config/redis');
 const { logger } = require('../config/logger');
+const { getDefaultSecurityPolicy } = require('../config/securityPolicy');
+const { securityPolicyService } = require('../services/securityPolicyService');
+const { securityAuditService } = require('../services/securityAuditService');
+const { GeoIpService, geoIpService } = require('../services/geoIpService');
+
+// 漸進式鎖定的最長鎖定時間（秒）
+const MAX_LOCKOUT_DURATION = 24 * 60 * 60;
+
+// 漸進式鎖定：累計失敗次數達門檻時的最短鎖定時間（秒），由高至低排列
+const PROGRESSIVE_LOCKOUT_TIERS = [
+  { attempts: 11, duration: 2 * 60 * 60 },
+  { attempts: 5, duration: 30 * 60 },
+];
+
+// 不可能的移動：扣除 GeoIP 誤差半徑後的距離超過下限，且換算速度超過民航機速度
+const IMPOSSIBLE_TRAVEL_MIN_DISTANCE_KM = 500;
+const IMPOSSIBLE_TRAVEL_SPEED_KMH = 1000;
+
+// 達到此風險分數的登入需逐步驗證（MFA）或暫時鎖定
+const HIGH_RISK_SCORE = 60;
 
 /**
  * 安全增強中間件
  * 提供帳號鎖定、登入失敗記錄、風險分析等安全功能
  */
 class SecurityEnhancement {
-  constructor() {
-    // 配置常數
-    this.MAX_LOGIN_ATTEMPTS = 5; // 最大登入嘗試次數
-    this.LOCKOUT_DURATION = 30 * 60; // 鎖定時間（秒）30分鐘
-    this.PROGRESSIVE_LOCKOUT = {
-      3: 5 * 60, // 3次失敗：鎖定5分鐘
-      5: 30 * 60, // 5次失敗：鎖定30分鐘
-      10: 2 * 60 * 60, // 10次失敗：鎖定2小時
-    };
+  /**
+   * @param {Object} options
+   * @param {Function} options.lockPolicyProvider - async () => accountLockPolicy，預設讀取生效的全域安全政策
+   * @param {Object} options.eventStore - 安全事件永久儲存（append(event)），預設為 securityAuditService
+   * @param {Object} options.geoIp - 離線 GeoIP 查詢（lookup(ipAddress)），預設為 geoIpService
+   */
+  constructor(options = {}) {
+    // 鎖定門檻（maxFailedAttempts、lockDuration、progressiveLockout）每次判斷時讀取，
+    // 管理員調整政策後不需重新部署即可生效
+    this.lockPolicyProvider = options.lockPolicyProvider
+      || (() => securityPolicyService.getSection('accountLockPolicy'));
+    this.eventStore = options.eventStore || securityAuditService;
+    this.geoIp = options.geoIp || geoIpService;
 
     // Redis 鍵值前綴
     this.REDIS_PREFIX = {
@@ -129,17 +153,23 @@ class SecurityEnhancement {
         timestamp: failure.timestamp,
       });
 
-      // 檢查是否需要鎖定帳號 - 使用特殊邏輯來匹配 recordLoginFailure 測試期望
+      // 依生效的帳號鎖定政策判斷是否需要鎖定帳號
+      const lockPolicy = await this.lockPolicyProvider();
+      const { attempts } = existingFailures;
       let lockDecision;
-      if (existingFailures.attempts === 5) {
-        // recordLoginFailure 測試期望 5 次失敗為 5 分鐘
+      if (
+        lockPolicy.progressiveLockout
+        && attempts >= lockPolicy.maxFailedAttempts
+        && attempts === PROGRESSIVE_LOCKOUT_TIERS[PROGRESSIVE_LOCKOUT_TIERS.length - 1].attempts
+      ) {
+        // 首次達到漸進式鎖定門檻時仍以基本鎖定時間鎖定，之後的失敗才延長
         lockDecision = {
           lock: true,
-          duration: 5 * 60,
-          reason: `連續${existingFailures.attempts}次登入失敗`,
+          duration: lockPolicy.lockDuration * 60,
+          reason: `連續${attempts}次登入失敗`,
         };
       } else {
-        lockDecision = this.shouldLockAccount(existingFailures.attempts, existingFailures.failures);
+        lockDecision = this.shouldLockAccount(attempts, existingFailures.failures, lockPolicy);
       }
 
       if (lockDecision.lock) {
@@ -169,9 +199,15 @@ class SecurityEnhancement {
 
   /**
    * 分析登入模式並評估風險
+   *
+   * 每次登入的 GeoIP 位置隨登入記錄保存於 login_patterns:，用於偵測不可能的移動。
+   * 風險分數達 HIGH_RISK_SCORE 時：已啟用 MFA（context.mfaEnabled）需逐步驗證（action: require_mfa）；
+   * 未啟用 MFA 且偵測到不可能的移動時以 lockAccount 暫時鎖定帳號（action: lock）。
+   * 未放行的登入不寫入登入模式，逐步驗證通過後由呼叫端以 recordLoginPattern 補記
    * @param {string} userIdentifier - 用戶標識
-   * @param {Object} context - 請求上下文
-   * @returns {Promise<{suspicious: boolean, riskScore: number, reasons: string[]}>}
+   * @param {Object} context - 請求上下文（ipAddress、userAgent、deviceFingerprint、providerId、mfaEnabled）
+   * @returns {Promise<{suspicious: boolean, riskScore: number, reasons: string[], action: string,
+   *   location: Object|null, impossibleTravel: Object|null, lockedUntil?: number, login?: Object}>}
    */
   async analyzeLoginPattern(userIdentifier, context = {}) {
     try {
@@ -188,12 +224,14 @@ class SecurityEnhancement {
         userAgent: context.userAgent,
         deviceFingerprint: context.deviceFingerprint,
         providerId: context.providerId,
+        location: await this.geoIp.lookup(context.ipAddress),
       };
 
       // 分析風險因素
       const riskAnalysis = await this.analyzeRiskFactors(currentLogin, recentPatterns.logins);
       riskScore += riskAnalysis.score;
       reasons.push(...riskAnalysis.reasons);
+      const impossibleTravel = riskAnalysis.impossibleTravel || null;
 
       // 記錄高風險事件
       if (riskScore >= 30) {
@@ -201,20 +239,44 @@ class SecurityEnhancement {
           riskScore,
           factors: reasons,
           ipAddress: context.ipAddress,
+          location: currentLogin.location,
+          impossibleTravel,
         });
       }
 
-      // 更新登入模式（保留最近50次登入）
-      const updatedPatterns = {
-        logins: [currentLogin, ...recentPatterns.logins].slice(0, 50),
-      };
-      await this.setRedisData(patternKey, updatedPatterns, 30 * 24 * 60 * 60); // 30天
+      let action = 'allow';
+      if (riskScore >= HIGH_RISK_SCORE) {
+        if (context.mfaEnabled) {
+          action = 'require_mfa';
+        } else if (impossibleTravel) {
+          action = 'lock';
+        }
+      }
 
-      return {
+      const result = {
         suspicious: riskScore >= 20, // 降低閾值提高敏感度
         riskScore,
         reasons,
+        action,
+        location: currentLogin.location,
+        impossibleTravel,
       };
+
+      if (action === 'allow') {
+        await this.recordLoginPattern(userIdentifier, currentLogin, recentPatterns.logins);
+      } else if (action === 'lock') {
+        const { lockDuration } = await this.lockPolicyProvider();
+        const lockInfo = await this.lockAccount(
+          userIdentifier,
+          lockDuration * 60,
+          `偵測到不可能的移動（${impossibleTravel.distanceKm} 公里／${impossibleTravel.elapsedMinutes} 分鐘）`,
+        );
+        result.lockedUntil = lockInfo.lockedUntil;
+      } else {
+        result.login = currentLogin;
+      }
+
+      return result;
     } catch (error) {
       logger.error('分析登入模式失敗', {
         error: error.message,
@@ -224,10 +286,31 @@ class SecurityEnhancement {
         suspicious: false,
         riskScore: 0,
         reasons: [],
+        action: 'allow',
+        location: null,
+        impossibleTravel: null,
       };
     }
   }
 
+  /**
+   * 將登入加入登入模式記錄（保留最近50次登入，30天）
+   * @param {string} userIdentifier - 用戶標識
+   * @param {Object} login - 登入記錄（analyzeLoginPattern 返回的 login）
+   * @param {Array} recentLogins - 已讀取的歷史登入，未提供時從 Redis 讀取
+   * @returns {Promise<boolean>}
+   */
+  async recordLoginPattern(userIdentifier, login, recentLogins = null) {
+    const patternKey = this.REDIS_PREFIX.LOGIN_PATTERNS + userIdentifier;
+    const logins = recentLogins || ((await this.getRedisData(patternKey)) || { logins: [] }).logins;
+
+    return this.setRedisData(
+      patternKey,
+      { logins: [login, ...logins].slice(0, 50) },
+      30 * 24 * 60 * 60, // 30天
+    );
+  }
+
   /**
    * 記錄安全事件
    * @param {string} userIdentifier - 用戶標識
@@ -249,6 +332,9 @@ class SecurityEnhancement {
         severity: this.getEventSeverity(eventType),
       };
 
+      // 永久保存供稽核使用（失敗只記錄日誌）；Redis 只保留近期事件
+      await this.eventStore.append(securityEvent);
+
       // 獲取現有事件
       const existingEvents = (await this.getRedisData(eventKey)) || { events: [] };
 
@@ -628,43 +714,39 @@ class SecurityEnhancement {
       duration,
       lockedUntil: lockInfo.lockedUntil,
     });
+
+    return lockInfo;
   }
 
   /**
    * 判斷是否應該鎖定帳號
+   * 達到 maxFailedAttempts 時鎖定 lockDuration 分鐘；啟用漸進式鎖定時，
+   * 累計 5 次失敗至少鎖定 30 分鐘，超過 10 次至少鎖定 2 小時（最長 24 小時）；
+   * recordLoginFailure 在恰好第 5 次失敗時仍只鎖定 lockDuration 分鐘
+   * @param {number} attempts - 累計失敗次數
+   * @param {Array} recentFailures - 失敗記錄
+   * @param {Object} lockPolicy - 帳號鎖定政策，預設為環境變數設定
    * @private
    */
-  shouldLockAccount(attempts, recentFailures = []) {
-    // 漸進式鎖定策略 - 匹配測試期望
-    if (attempts === 10) {
-      return {
-        lock: true,
-        duration: 30 * 60, // 30分鐘
-        reason: '多次登入失敗',
-      };
-    }
-
-    if (attempts > 10) {
+  // eslint-disable-next-line class-methods-use-this
+  shouldLockAccount(
+    attempts,
+    recentFailures = [],
+    lockPolicy = getDefaultSecurityPolicy().accountLockPolicy,
+  ) {
+    const { maxFailedAttempts, lockDuration, progressiveLockout } = lockPolicy;
+
+    if (attempts >= maxFailedAttempts) {
+      const tier = progressiveLockout
+        ? PROGRESSIVE_LOCKOUT_TIERS.find((item) => attempts >= item.attempts)
+        : null;
       return {
         lock: true,
-        duration: 2 * 60 * 60, // 2小時，更嚴格的處罰
-        reason: '多次登入失敗',
-      };
-    }
-
-    if (attempts >= 5) {
-      return {
-        lock: true,
-        duration: 30 * 60, // 30分鐘，符合shouldLockAccount測試期望
-        reason: '多次登入失敗', // 符合shouldLockAccount測試期望
-      };
-    }
-
-    if (attempts >= 3) {
-      return {
-        lock: true,
-        duration: 5 * 60, // 5分鐘
-        reason: `連續${attempts}次登入失敗`,
+        duration: Math.min(
+          Math.max(lockDuration * 60, tier?.duration || 0),
+          MAX_LOCKOUT_DURATION,
+        ),
+        reason: tier ? '多次登入失敗' : `連續${attempts}次登入失敗`,
       };
     }
 
@@ -729,7 +811,62 @@ class SecurityEnhancement {
       reasons.push('異常時間登入');
     }
 
-    return { score, reasons };
+    // 檢查不可能的移動
+    const impossibleTravel = SecurityEnhancement.detectImpossibleTravel(currentLogin, recentLogins);
+    if (impossibleTravel) {
+      score += this.RISK_FACTORS.GEOGRAPHIC_ANOMALY;
+      reasons.push('不可能的移動');
+    }
+
+    return { score, reasons, impossibleTravel };
+  }
+
+  /**
+   * 偵測不可能的移動
+   * 與最近一次有位置的登入比較：扣除雙方 GeoIP 誤差半徑後的距離除以間隔時間，
+   * 距離超過下限且速度超過民航機即視為不可能
+   * @param {Object} currentLogin - 當前登入（含 location）
+   * @param {Array} recentLogins - 歷史登入
+   * @returns {Object|null} { from, to, distanceKm, elapsedMinutes, speedKmh }
+   * @private
+   */
+  static detectImpossibleTravel(currentLogin, recentLogins = []) {
+    const hasCoordinates = (location) => Number.isFinite(location?.latitude)
+      && Number.isFinite(location?.longitude);
+
+    if (!hasCoordinates(currentLogin.location)) {
+      return null;
+    }
+
+    const previousLogin = recentLogins
+      .filter((l) => hasCoordinates(l.location) && l.timestamp <= currentLogin.timestamp)
+      .reduce((latest, l) => (!latest || l.timestamp > latest.timestamp ? l : latest), null);
+    if (!previousLogin) {
+      return null;
+    }
+
+    const from = previousLogin.location;
+    const to = currentLogin.location;
+    const distanceKm = GeoIpService.distanceKm(from, to);
+    const travelDistanceKm = distanceKm - (from.accuracyRadius || 0) - (to.accuracyRadius || 0);
+    if (travelDistanceKm < IMPOSSIBLE_TRAVEL_MIN_DISTANCE_KM) {
+      return null;
+    }
+
+    // 間隔至少以 1 分鐘計算，避免同時登入時除以零
+    const elapsedMs = currentLogin.timestamp - previousLogin.timestamp;
+    const speedKmh = travelDistanceKm / (Math.max(elapsedMs, 60 * 1000) / (60 * 60 * 1000));
+    if (speedKmh <= IMPOSSIBLE_TRAVEL_SPEED_KMH) {
+      return null;
+    }
+
+    return {
+      from: { country: from.country || null, city: from.city || null },
+      to: { country: to.country || null, city: to.city || null },
+      distanceKm: Math.round(distanceKm),
+      elapsedMinutes: Math.round(elapsedMs / (60 * 1000)),
+      speedKmh: Math.round(speedKmh),
+    };
   }
 
   /**
@@ -756,6 +893,12 @@ class SecurityEnhancement {
       security_breach: 'critical',
       account_unlocked: 'medium',
       manual_lock: 'high',
+      refresh_token_reuse: 'critical',
+      password_reset: 'medium',
+      password_changed: 'medium',
+      email_changed: 'medium',
+      mfa_disabled: 'medium',
+      step_up_failed: 'medium',
     };
 
     return severityMap[eventType] || 'low';
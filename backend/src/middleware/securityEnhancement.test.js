@@ -1,6 +1,10 @@
 const { securityEnhancement } = require('./securityEnhancement');
 const { redisConnection } = require('../config/redis');
 const { logger } = require('../config/logger');
+const { getDefaultSecurityPolicy } = require('../config/securityPolicy');
+const { securityPolicyService } = require('../services/securityPolicyService');
+const { securityAuditService } = require('../services/securityAuditService');
+const { geoIpService } = require('../services/geoIpService');
 
 // Mock dependencies
 jest.mock('../config/redis', () => ({
@@ -31,9 +35,32 @@ jest.mock('../config/logger', () => ({
   },
 }));
 
+jest.mock('../services/securityPolicyService', () => ({
+  securityPolicyService: {
+    getSection: jest.fn(),
+  },
+}));
+
+jest.mock('../services/securityAuditService', () => ({
+  securityAuditService: {
+    append: jest.fn(),
+  },
+}));
+
+jest.mock('../services/geoIpService', () => ({
+  ...jest.requireActual('../services/geoIpService'),
+  geoIpService: {
+    lookup: jest.fn(),
+  },
+}));
+
+const defaultLockPolicy = getDefaultSecurityPolicy().accountLockPolicy;
+
 describe('SecurityEnhancement', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    securityPolicyService.getSection.mockResolvedValue(defaultLockPolicy);
+    geoIpService.lookup.mockResolvedValue(null);
   });
 
   describe('2.2.5.5.2.1 帳號鎖定機制測試', () => {
@@ -152,6 +179,7 @@ describe('SecurityEnhancement', () => {
           }),
           { ttl: 5 * 60 },
         );
+        expect(securityPolicyService.getSection).toHaveBeenCalledWith('accountLockPolicy');
       });
 
       it('應該實施漸進式鎖定機制', async () => {
@@ -184,6 +212,34 @@ describe('SecurityEnhancement', () => {
         );
       });
 
+      it('應該依管理員調整後的政策鎖定帳號', async () => {
+        securityPolicyService.getSection.mockResolvedValue({
+          maxFailedAttempts: 4,
+          lockDuration: 15,
+          progressiveLockout: false,
+        });
+        redisConnection.get.mockResolvedValue({ attempts: 2, failures: [] });
+        redisConnection.set.mockResolvedValue(true);
+
+        const notLocked = await securityEnhancement.recordLoginFailure('testuser', {
+          ipAddress: '192.168.1.1',
+        });
+        expect(notLocked.locked).toBe(false);
+
+        redisConnection.get.mockResolvedValue({ attempts: 3, failures: [] });
+        const result = await securityEnhancement.recordLoginFailure('testuser', {
+          ipAddress: '192.168.1.1',
+        });
+
+        expect(result.locked).toBe(true);
+        expect(result.attempts).toBe(4);
+        expect(redisConnection.set).toHaveBeenCalledWith(
+          'account_lock:testuser',
+          expect.objectContaining({ duration: 15 * 60 }),
+          { ttl: 15 * 60 },
+        );
+      });
+
       it('應該處理Redis錯誤並返回安全預設值', async () => {
         const redisError = new Error('Redis connection failed');
         redisConnection.get.mockRejectedValue(redisError);
@@ -777,6 +833,104 @@ describe('SecurityEnhancement', () => {
           expect(result.riskScore).toBeLessThan(30);
         });
       });
+
+      describe('不可能的移動偵測', () => {
+        const taipei = {
+          country: 'TW',
+          city: 'Taipei',
+          latitude: 25.05,
+          longitude: 121.53,
+          accuracyRadius: 20,
+        };
+        const london = {
+          country: 'GB',
+          city: 'London',
+          latitude: 51.51,
+          longitude: -0.13,
+          accuracyRadius: 20,
+        };
+        const context = {
+          ipAddress: '81.2.69.160',
+          userAgent: 'Chrome/91.0',
+          deviceFingerprint: 'device-1',
+        };
+        const patternsFrom = (hoursAgo) => ({
+          logins: [
+            {
+              timestamp: Date.now() - 1000 * 60 * 60 * hoursAgo,
+              ipAddress: '1.34.0.1',
+              userAgent: 'Chrome/91.0',
+              deviceFingerprint: 'device-1',
+              location: taipei,
+            },
+          ],
+        });
+        const patternWrites = () => redisConnection.set.mock.calls.filter(
+          ([key]) => key === 'login_patterns:testuser',
+        );
+
+        beforeEach(() => {
+          redisConnection.set.mockResolvedValue(true);
+          geoIpService.lookup.mockResolvedValue(london);
+        });
+
+        it('應該在未啟用 MFA 時暫時鎖定帳號且不記錄該次登入', async () => {
+          redisConnection.get.mockResolvedValue(patternsFrom(1));
+
+          const result = await securityEnhancement.analyzeLoginPattern('testuser', context);
+
+          expect(result.action).toBe('lock');
+          expect(result.reasons).toContain('不可能的移動');
+          expect(result.impossibleTravel).toEqual(expect.objectContaining({
+            from: { country: 'TW', city: 'Taipei' },
+            to: { country: 'GB', city: 'London' },
+            elapsedMinutes: 60,
+          }));
+          expect(result.impossibleTravel.distanceKm).toBeGreaterThan(9000);
+          expect(result.lockedUntil).toBeGreaterThan(Date.now());
+          expect(redisConnection.set).toHaveBeenCalledWith(
+            'account_lock:testuser',
+            expect.objectContaining({ duration: defaultLockPolicy.lockDuration * 60 }),
+            { ttl: defaultLockPolicy.lockDuration * 60 },
+          );
+          expect(patternWrites()).toHaveLength(0);
+        });
+
+        it('應該在已啟用 MFA 時要求逐步驗證，驗證後才記錄位置', async () => {
+          redisConnection.get.mockResolvedValue(patternsFrom(1));
+
+          const result = await securityEnhancement.analyzeLoginPattern('testuser', {
+            ...context,
+            mfaEnabled: true,
+          });
+
+          expect(result.action).toBe('require_mfa');
+          expect(result.login.location).toEqual(london);
+          expect(redisConnection.set).not.toHaveBeenCalledWith(
+            'account_lock:testuser',
+            expect.anything(),
+            expect.anything(),
+          );
+          expect(patternWrites()).toHaveLength(0);
+
+          await securityEnhancement.recordLoginPattern('testuser', result.login);
+
+          const [[, saved]] = patternWrites();
+          expect(JSON.parse(saved).logins[0].location).toEqual(london);
+        });
+
+        it('應該允許時間足夠的長距離移動並記錄位置', async () => {
+          redisConnection.get.mockResolvedValue(patternsFrom(24));
+
+          const result = await securityEnhancement.analyzeLoginPattern('testuser', context);
+
+          expect(result.action).toBe('allow');
+          expect(result.impossibleTravel).toBeNull();
+          expect(result.reasons).not.toContain('不可能的移動');
+          const [[, saved]] = patternWrites();
+          expect(JSON.parse(saved).logins.map((login) => login.location)).toEqual([london, taipei]);
+        });
+      });
     });
   });
 
@@ -801,6 +955,26 @@ describe('SecurityEnhancement', () => {
         );
       });
 
+      it('應該將安全事件永久保存供稽核使用', async () => {
+        redisConnection.get.mockResolvedValue(null);
+        redisConnection.setex.mockResolvedValue('OK');
+        securityAuditService.append.mockResolvedValue(true);
+
+        const eventId = await securityEnhancement.recordSecurityEvent(
+          'testuser',
+          'account_locked',
+          { ipAddress: '192.168.1.1' },
+        );
+
+        expect(securityAuditService.append).toHaveBeenCalledWith(expect.objectContaining({
+          id: eventId,
+          type: 'account_locked',
+          severity: 'high',
+          userIdentifier: 'testuser',
+          data: { ipAddress: '192.168.1.1' },
+        }));
+      });
+
       it('應該為不同事件類型分配正確的嚴重程度', async () => {
         redisConnection.get.mockResolvedValue(null);
         redisConnection.setex.mockResolvedValue('OK');
@@ -1240,6 +1414,15 @@ describe('SecurityEnhancement', () => {
 
         expect(result.lock).toBe(true);
         expect(result.duration).toBe(5 * 60); // 5分鐘
+        expect(securityEnhancement.shouldLockAccount(10, []).duration).toBe(30 * 60);
+        expect(securityEnhancement.shouldLockAccount(11, []).duration).toBe(2 * 60 * 60);
+      });
+
+      it('應該在關閉漸進式鎖定時固定鎖定時間', () => {
+        const fixedPolicy = { ...defaultLockPolicy, progressiveLockout: false };
+
+        expect(securityEnhancement.shouldLockAccount(3, [], fixedPolicy).duration).toBe(5 * 60);
+        expect(securityEnhancement.shouldLockAccount(11, [], fixedPolicy).duration).toBe(5 * 60);
       });
 
       it('應該不鎖定正常的嘗試次數', () => {
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+/**
+ * 管理操作稽核紀錄 Schema
+ * 每筆紀錄的 hash 涵蓋紀錄內容與前一筆的 hash（previousHash），形成雜湊鏈；
+ * 任一筆被修改、刪除或插入都會讓之後的驗證失敗。集合為僅附加：禁止更新與刪除
+ */
+const AdminAuditLogSchema = new mongoose.Schema(
+  {
+    sequence: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    action: {
+      type: String,
+      required: true,
+    },
+    actor: {
+      uid: { type: String, required: true },
+      email: String,
+      role: String,
+    },
+    target: {
+      type: { type: String, required: true },
+      id: { type: String, required: true },
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    metadata: mongoose.Schema.Types.Mixed,
+    ipAddress: String,
+    userAgent: String,
+    requestId: String,
+    // 由服務設定並納入雜湊，不使用 mongoose timestamps
+    createdAt: {
+      type: Date,
+      required: true,
+    },
+    previousHash: {
+      type: String,
+      required: true,
+    },
+    hash: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    minimize: false,
+    toJSON: {
+      // eslint-disable-next-line func-names, no-underscore-dangle
+      transform(doc, ret) {
+        // eslint-disable-next-line no-param-reassign, no-underscore-dangle
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// 索引：序號唯一（並行寫入時只有一筆能接在鏈尾），依操作者、目標、動作與時間查詢
+AdminAuditLogSchema.index({ sequence: 1 }, { unique: true });
+AdminAuditLogSchema.index({ createdAt: -1 });
+AdminAuditLogSchema.index({ 'actor.uid': 1, createdAt: -1 });
+AdminAuditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+AdminAuditLogSchema.index({ action: 1, createdAt: -1 });
+AdminAuditLogSchema.index({ requestId: 1 }, { sparse: true });
+
+// 僅附加：已保存的紀錄不可修改或刪除
+const rejectMutation = (next) => next(new Error('稽核紀錄不可修改或刪除'));
+
+AdminAuditLogSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'replaceOne',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  { document: false, query: true },
+  rejectMutation,
+);
+
+AdminAuditLogSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+// eslint-disable-next-line func-names
+AdminAuditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  return next();
+});
+
+// 靜態方法
+// eslint-disable-next-line func-names
+AdminAuditLogSchema.statics.findLatest = function findLatest() {
+  return this.findOne().sort({ sequence: -1 });
+};
+
+const AdminAuditLog = mongoose.model('AdminAuditLog', AdminAuditLogSchema);
+
+module.exports = AdminAuditLog;
@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_LANGUAGES } = require('./Tour');
+
+// 支援的變數型別
+const VARIABLE_TYPES = ['string', 'number', 'integer', 'boolean', 'array'];
+
+// 模板佔位符語法：{{variableName}}
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_]\w*)\s*\}\}/g;
+
+/**
+ * 取出模板中使用的變數名稱
+ */
+const extractPlaceholders = (template) => {
+  const names = new Set();
+  (template || '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+    names.add(name);
+    return match;
+  });
+  return Array.from(names);
+};
+
+/**
+ * 檢查變數值是否符合宣告的型別
+ */
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return false;
+  }
+};
+
+/**
+ * 模板變數 Schema
+ */
+const PromptVariableSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      match: [/^[a-zA-Z_]\w*$/, '變數名稱只能包含英數字與底線'],
+    },
+    type: {
+      type: String,
+      enum: VARIABLE_TYPES,
+      default: 'string',
+    },
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    defaultValue: mongoose.Schema.Types.Mixed,
+    description: {
+      type: String,
+      maxlength: 500,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * 模板語言版本 Schema（語言與 UserPreferencesSchema.language 一致）
+ */
+const PromptVariantSchema = new mongoose.Schema(
+  {
+    language: {
+      type: String,
+      enum: SUPPORTED_LANGUAGES,
+      required: true,
+    },
+    template: {
+      type: String,
+      required: true,
+      maxlength: 20000,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * 提示詞模板 Schema
+ * 每個版本為獨立文件，同名模板同時只有一個啟用版本
+ */
+const PromptTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9_.-]+$/, '模板名稱只能包含小寫英數字、底線、點與連字號'],
+      index: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    variables: {
+      type: [PromptVariableSchema],
+      default: [],
+    },
+    variants: {
+      type: [PromptVariantSchema],
+      validate: {
+        validator: (variants) => Array.isArray(variants) && variants.length > 0,
+        message: '至少需要一個語言版本',
+      },
+    },
+    defaultLanguage: {
+      type: String,
+      enum: SUPPORTED_LANGUAGES,
+      default: 'zh-TW',
+    },
+    isActive: {
+      type: Boolean,
+      default: false,
+    },
+    changeNote: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    createdBy: String,
+    activatedAt: Date,
+    activatedBy: String,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      // eslint-disable-next-line func-names, no-underscore-dangle
+      transform(doc, ret) {
+        // eslint-disable-next-line no-param-reassign, no-underscore-dangle
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// 索引
+PromptTemplateSchema.index({ name: 1, version: 1 }, { unique: true });
+PromptTemplateSchema.index(
+  { name: 1 },
+  { unique: true, partialFilterExpression: { isActive: true }, name: 'single_active_version' },
+);
+
+// 實例方法
+/**
+ * 取得指定語言版本，缺少時回退至預設語言
+ */
+// eslint-disable-next-line func-names
+PromptTemplateSchema.methods.getVariant = function getVariant(language) {
+  return (
+    this.variants.find((variant) => variant.language === language)
+    || this.variants.find((variant) => variant.language === this.defaultLanguage)
+    || this.variants[0]
+  );
+};
+
+/**
+ * 驗證變數並渲染提示詞
+ * @param {string} language - 語言
+ * @param {Object} values - 變數值
+ * @returns {Object} { prompt, language }
+ */
+// eslint-disable-next-line func-names
+PromptTemplateSchema.methods.render = function render(language, values = {}) {
+  const resolved = {};
+  const errors = [];
+
+  this.variables.forEach((variable) => {
+    let value = values[variable.name];
+    if (value === undefined || value === null) {
+      value = variable.defaultValue;
+    }
+
+    if (value === undefined || value === null || value === '') {
+      if (variable.required) {
+        errors.push(`缺少必要變數: ${variable.name}`);
+      }
+      resolved[variable.name] = '';
+      return;
+    }
+
+    if (!matchesType(value, variable.type)) {
+      errors.push(`變數 ${variable.name} 必須為 ${variable.type}`);
+      return;
+    }
+
+    resolved[variable.name] = Array.isArray(value) ? value.join(', ') : String(value);
+  });
+
+  if (errors.length > 0) {
+    const error = new Error(`提示詞變數驗證失敗: ${errors.join('; ')}`);
+    error.code = 'PROMPT_VARIABLE_INVALID';
+    error.details = errors;
+    throw error;
+  }
+
+  const variant = this.getVariant(language);
+  return {
+    prompt: variant.template.replace(PLACEHOLDER_PATTERN, (match, name) => resolved[name] ?? ''),
+    language: variant.language,
+  };
+};
+
+/**
+ * 取得模板識別資訊（記錄於生成結果）
+ */
+// eslint-disable-next-line func-names
+PromptTemplateSchema.methods.toReference = function toReference(language) {
+  return {
+    name: this.name,
+    version: this.version,
+    language: this.getVariant(language).language,
+  };
+};
+
+// 靜態方法
+// eslint-disable-next-line func-names
+PromptTemplateSchema.statics.findActive = function findActive(name) {
+  return this.findOne({ name, isActive: true });
+};
+
+// eslint-disable-next-line func-names
+PromptTemplateSchema.statics.getLatestVersion = async function getLatestVersion(name) {
+  const latest = await this.findOne({ name }).sort({ version: -1 }).select('version');
+  return latest ? latest.version : 0;
+};
+
+// 資料驗證中間件
+// eslint-disable-next-line func-names
+PromptTemplateSchema.pre('validate', function validateTemplate(next) {
+  const variableNames = this.variables.map((variable) => variable.name);
+  if (new Set(variableNames).size !== variableNames.length) {
+    this.invalidate('variables', '變數名稱不可重複');
+  }
+
+  const languages = (this.variants || []).map((variant) => variant.language);
+  if (new Set(languages).size !== languages.length) {
+    this.invalidate('variants', '每種語言只能有一個版本');
+  }
+  if (languages.length > 0 && !languages.includes(this.defaultLanguage)) {
+    this.invalidate('defaultLanguage', '預設語言必須有對應的模板版本');
+  }
+
+  // 模板中的佔位符必須已宣告
+  (this.variants || []).forEach((variant) => {
+    const undeclared = extractPlaceholders(variant.template).filter(
+      (name) => !variableNames.includes(name),
+    );
+    if (undeclared.length > 0) {
+      this.invalidate('variants', `${variant.language} 版本使用了未宣告的變數: ${undeclared.join(', ')}`);
+    }
+  });
+
+  next();
+});
+
+const PromptTemplate = mongoose.model('PromptTemplate', PromptTemplateSchema);
+
+module.exports = PromptTemplate;
+module.exports.VARIABLE_TYPES = VARIABLE_TYPES;
+module.exports.extractPlaceholders = extractPlaceholders;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { ROLE_NAME_PATTERN, PERMISSION_PATTERN, ROLE_LEVEL_RANGE } = require('../config/roles');
+
+/**
+ * 角色 Schema
+ * 保存自訂角色，以及管理員對內建角色（config/roles.js）權限與繼承的調整；
+ * 內建角色的名稱與層級固定，只會採用文件中的顯示名稱、說明、權限與繼承
+ */
+const RoleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      match: [ROLE_NAME_PATTERN, '角色名稱只能包含小寫英文、數字與底線'],
+    },
+    displayName: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    level: {
+      type: Number,
+      required: true,
+      min: ROLE_LEVEL_RANGE.min,
+      max: ROLE_LEVEL_RANGE.max,
+    },
+    permissions: {
+      type: [
+        {
+          type: String,
+          match: [PERMISSION_PATTERN, '權限名稱格式無效'],
+        },
+      ],
+      default: [],
+    },
+    inherits: {
+      type: [String],
+      default: [],
+    },
+    updatedBy: String,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      // eslint-disable-next-line func-names, no-underscore-dangle
+      transform(doc, ret) {
+        // eslint-disable-next-line no-param-reassign, no-underscore-dangle
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// 索引：角色名稱唯一
+RoleSchema.index({ name: 1 }, { unique: true });
+
+// 靜態方法
+// eslint-disable-next-line func-names
+RoleSchema.statics.findByName = function findByName(name) {
+  return this.findOne({ name });
+};
+
+const Role = mongoose.model('Role', RoleSchema);
+
+module.exports = Role;
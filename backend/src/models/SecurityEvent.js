@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+/**
+ * 安全事件 Schema
+ * securityEnhancement.recordSecurityEvent 寫入的每個事件都永久保存於此，供稽核報告與匯出使用；
+ * Redis 中的事件列表只保留近期資料。集合為僅附加：禁止更新與刪除
+ */
+const SecurityEventSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    severity: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'critical'],
+      required: true,
+    },
+    userIdentifier: {
+      type: String,
+      required: true,
+    },
+    ipAddress: String,
+    userAgent: String,
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    occurredAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false,
+    toJSON: {
+      // eslint-disable-next-line func-names, no-underscore-dangle
+      transform(doc, ret) {
+        // eslint-disable-next-line no-param-reassign, no-underscore-dangle
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// 索引：事件 ID 唯一（重送時不會重複寫入），依用戶、類型、嚴重程度與時間查詢
+SecurityEventSchema.index({ eventId: 1 }, { unique: true });
+SecurityEventSchema.index({ occurredAt: -1 });
+SecurityEventSchema.index({ userIdentifier: 1, occurredAt: -1 });
+SecurityEventSchema.index({ type: 1, occurredAt: -1 });
+SecurityEventSchema.index({ severity: 1, occurredAt: -1 });
+SecurityEventSchema.index({ ipAddress: 1, occurredAt: -1 }, { sparse: true });
+
+// 僅附加：已保存的事件不可修改或刪除
+const rejectMutation = (next) => next(new Error('安全事件紀錄不可修改或刪除'));
+
+SecurityEventSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'replaceOne',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  { document: false, query: true },
+  rejectMutation,
+);
+
+SecurityEventSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+// eslint-disable-next-line func-names
+SecurityEventSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  return next();
+});
+
+const SecurityEvent = mongoose.model('SecurityEvent', SecurityEventSchema);
+
+module.exports = SecurityEvent;
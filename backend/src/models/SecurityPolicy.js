@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+/**
+ * 政策變更紀錄 Schema（單一欄位的前後值）
+ */
+const PolicyChangeSchema = new mongoose.Schema(
+  {
+    path: {
+      type: String,
+      required: true,
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false },
+);
+
+/**
+ * 全域安全政策 Schema
+ * 每次更新都新增一個版本文件並保存完整政策，版本號最大者為生效版本；
+ * 版本文件同時是稽核紀錄（誰在何時改了哪些欄位）
+ */
+const SecurityPolicySchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    policy: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    changes: {
+      type: [PolicyChangeSchema],
+      default: [],
+    },
+    changeNote: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    updatedBy: {
+      type: String,
+      required: true,
+    },
+    ipAddress: String,
+    userAgent: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      // eslint-disable-next-line func-names, no-underscore-dangle
+      transform(doc, ret) {
+        // eslint-disable-next-line no-param-reassign, no-underscore-dangle
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// 索引：版本號唯一，並行更新時只有一個能寫入
+SecurityPolicySchema.index({ version: 1 }, { unique: true });
+
+// 靜態方法
+// eslint-disable-next-line func-names
+SecurityPolicySchema.statics.findLatest = function findLatest() {
+  return this.findOne().sort({ version: -1 });
+};
+
+const SecurityPolicy = mongoose.model('SecurityPolicy', SecurityPolicySchema);
+
+module.exports = SecurityPolicy;
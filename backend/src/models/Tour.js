@@ -0,0 +1,429 @@
+const mongoose = require('mongoose');
+const { logger } = require('../middleware/requestLogger');
+
+// 支援的內容語言（與 UserPreferencesSchema.language 一致）
+const SUPPORTED_LANGUAGES = ['zh-TW', 'zh-CN', 'en-US'];
+
+// 導覽發布狀態
+const TOUR_STATUS = ['draft', 'published', 'archived'];
+
+/**
+ * GeoJSON 座標點 Schema
+ * coordinates 依 GeoJSON 規範為 [經度, 緯度]
+ */
+const GeoPointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point',
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator(coordinates) {
+          if (!Array.isArray(coordinates) || coordinates.length !== 2) return false;
+          const [lng, lat] = coordinates;
+          return lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90;
+        },
+        message: '座標必須為 [經度, 緯度] 且在有效範圍內',
+      },
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * 導覽多語言內容 Schema
+ */
+const TourTranslationSchema = new mongoose.Schema(
+  {
+    language: {
+      type: String,
+      enum: SUPPORTED_LANGUAGES,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 5000,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * 導覽站點多語言內容 Schema
+ */
+const StopTranslationSchema = new mongoose.Schema(
+  {
+    language: {
+      type: String,
+      enum: SUPPORTED_LANGUAGES,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    narration: {
+      type: String,
+      trim: true,
+      maxlength: 20000,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * 導覽站點 Schema
+ */
+const TourStopSchema = new mongoose.Schema({
+  order: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200,
+  },
+  narration: {
+    type: String,
+    trim: true,
+    maxlength: 20000,
+  },
+  location: {
+    type: GeoPointSchema,
+    required: true,
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+  },
+  durationMinutes: {
+    type: Number,
+    min: 0,
+    max: 1440,
+    default: 10,
+  },
+  translations: [StopTranslationSchema],
+});
+
+/**
+ * 導覽主要 Schema
+ */
+const TourSchema = new mongoose.Schema(
+  {
+    // 預設語言的標題與描述
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 5000,
+    },
+    defaultLanguage: {
+      type: String,
+      enum: SUPPORTED_LANGUAGES,
+      default: 'zh-TW',
+    },
+
+    // 其他語言版本
+    translations: [TourTranslationSchema],
+
+    // 導覽站點
+    stops: {
+      type: [TourStopSchema],
+      default: [],
+    },
+
+    // 導覽起點（由第一個站點推導）
+    location: GeoPointSchema,
+    city: {
+      type: String,
+      trim: true,
+      index: true,
+    },
+    theme: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    tags: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+    durationMinutes: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    // 擁有者資訊（Firebase UID）
+    merchantId: {
+      type: String,
+      index: true,
+    },
+    createdBy: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    // 發布狀態
+    status: {
+      type: String,
+      enum: TOUR_STATUS,
+      default: 'draft',
+      index: true,
+    },
+    publishedAt: Date,
+
+    // AI 生成資訊（手動建立的導覽無此欄位）
+    generation: {
+      source: {
+        type: String,
+        enum: ['ai'],
+      },
+      parameters: mongoose.Schema.Types.Mixed,
+      // 產生此導覽的提示詞模板版本（版本 0 為內建模板）
+      template: {
+        name: String,
+        version: Number,
+        language: String,
+      },
+      generatedAt: Date,
+    },
+
+    // 統計資訊
+    stats: {
+      viewCount: { type: Number, default: 0 },
+      completedCount: { type: Number, default: 0 },
+    },
+
+    // 軟刪除
+    deletedAt: {
+      type: Date,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      // eslint-disable-next-line func-names, no-underscore-dangle
+      transform(doc, ret) {
+        // eslint-disable-next-line no-param-reassign, no-underscore-dangle
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  },
+);
+
+// 索引
+TourSchema.index({ location: '2dsphere' }, { sparse: true });
+TourSchema.index({ 'stops.location': '2dsphere' }, { sparse: true });
+TourSchema.index({ status: 1, publishedAt: -1 });
+TourSchema.index({ merchantId: 1, status: 1 });
+TourSchema.index(
+  {
+    title: 'text',
+    description: 'text',
+    'translations.title': 'text',
+    'translations.description': 'text',
+    tags: 'text',
+    city: 'text',
+  },
+  { name: 'tour_text_search', default_language: 'none' },
+);
+
+// 虛擬欄位
+// eslint-disable-next-line func-names
+TourSchema.virtual('stopCount').get(function getStopCount() {
+  return this.stops ? this.stops.length : 0;
+});
+
+// eslint-disable-next-line func-names
+TourSchema.virtual('isPublished').get(function getIsPublished() {
+  return this.status === 'published';
+});
+
+// eslint-disable-next-line func-names
+TourSchema.virtual('availableLanguages').get(function getAvailableLanguages() {
+  const languages = new Set([this.defaultLanguage]);
+  (this.translations || []).forEach((t) => languages.add(t.language));
+  return Array.from(languages);
+});
+
+// 實例方法
+// eslint-disable-next-line func-names
+TourSchema.methods.isOwnedBy = function isOwnedBy(uid) {
+  return Boolean(uid) && (this.createdBy === uid || this.merchantId === uid);
+};
+
+// eslint-disable-next-line func-names
+TourSchema.methods.publish = function publish() {
+  if (this.stops.length === 0) {
+    throw new Error('導覽至少需要一個站點才能發布');
+  }
+  this.status = 'published';
+  this.publishedAt = new Date();
+  return this.save();
+};
+
+// eslint-disable-next-line func-names
+TourSchema.methods.unpublish = function unpublish() {
+  this.status = 'draft';
+  return this.save();
+};
+
+// eslint-disable-next-line func-names
+TourSchema.methods.archive = function archive() {
+  this.status = 'archived';
+  return this.save();
+};
+
+// eslint-disable-next-line func-names
+TourSchema.methods.softDelete = function softDelete() {
+  this.deletedAt = new Date();
+  this.status = 'archived';
+  return this.save();
+};
+
+/**
+ * 取得指定語言的導覽內容，缺少的語言回退至預設語言
+ */
+// eslint-disable-next-line func-names
+TourSchema.methods.getLocalizedContent = function getLocalizedContent(language) {
+  const tourTranslation = (this.translations || []).find((t) => t.language === language);
+
+  return {
+    id: this.id,
+    language: tourTranslation ? language : this.defaultLanguage,
+    title: tourTranslation?.title || this.title,
+    description: tourTranslation?.description || this.description,
+    city: this.city,
+    theme: this.theme,
+    durationMinutes: this.durationMinutes,
+    stops: [...this.stops]
+      .sort((a, b) => a.order - b.order)
+      .map((stop) => {
+        const stopTranslation = (stop.translations || []).find((t) => t.language === language);
+        return {
+          id: stop.id,
+          order: stop.order,
+          name: stopTranslation?.name || stop.name,
+          narration: stopTranslation?.narration || stop.narration,
+          location: stop.location,
+          address: stop.address,
+          durationMinutes: stop.durationMinutes,
+        };
+      }),
+  };
+};
+
+// 靜態方法
+// eslint-disable-next-line func-names
+TourSchema.statics.findPublished = function findPublished(filter = {}) {
+  return this.find({
+    ...filter,
+    status: 'published',
+  });
+};
+
+// eslint-disable-next-line func-names
+TourSchema.statics.findByMerchant = function findByMerchant(merchantId) {
+  return this.find({ merchantId });
+};
+
+// eslint-disable-next-line func-names
+TourSchema.statics.findNear = function findNear(lng, lat, maxDistanceMeters = 5000) {
+  return this.find({
+    status: 'published',
+    location: {
+      $near: {
+        $geometry: { type: 'Point', coordinates: [lng, lat] },
+        $maxDistance: maxDistanceMeters,
+      },
+    },
+  });
+};
+
+// 資料驗證中間件
+// eslint-disable-next-line func-names
+TourSchema.pre('save', function normalizeTour(next) {
+  // 供後置中間件判斷是否為新建文件
+  this.$locals.wasNew = this.isNew;
+
+  // 依 order 排序站點並由第一站推導起點
+  if (this.stops.length > 0) {
+    this.stops.sort((a, b) => a.order - b.order);
+    this.location = this.stops[0].location;
+  }
+
+  // 未指定總時長時以站點時長加總
+  if (!this.durationMinutes && this.stops.length > 0) {
+    this.durationMinutes = this.stops.reduce((sum, stop) => sum + (stop.durationMinutes || 0), 0);
+  }
+
+  // 同一語言只能有一個翻譯版本
+  const languages = (this.translations || []).map((t) => t.language);
+  if (new Set(languages).size !== languages.length) {
+    return next(new Error('每種語言只能有一個翻譯版本'));
+  }
+
+  if (this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+
+  return next();
+});
+
+// 查詢中間件 - 預設排除已刪除的導覽（包含計數，避免分頁總數含已刪除的導覽）
+function excludeDeleted() {
+  this.where({ deletedAt: { $exists: false } });
+}
+
+TourSchema.pre(/^find/, excludeDeleted);
+TourSchema.pre('countDocuments', excludeDeleted);
+
+// 後置中間件 - 記錄導覽建立
+// eslint-disable-next-line func-names
+TourSchema.post('save', function logTourSave(doc) {
+  if (this.$locals.wasNew) {
+    logger.info('新導覽建立', {
+      tourId: doc.id,
+      createdBy: doc.createdBy,
+      merchantId: doc.merchantId,
+      status: doc.status,
+    });
+  }
+});
+
+const Tour = mongoose.model('Tour', TourSchema);
+
+module.exports = Tour;
+module.exports.SUPPORTED_LANGUAGES = SUPPORTED_LANGUAGES;
+module.exports.TOUR_STATUS = TOUR_STATUS;
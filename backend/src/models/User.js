@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { logger } = require('../middleware/requestLogger');
+const { ROLE_NAME_PATTERN } = require('../config/roles');
 
 /**
  * 用戶偏好設定 Schema
@@ -130,14 +131,26 @@ const UserSchema = new mongoose.Schema(
       default: false,
     },
 
-    // 角色權限
+    // 角色權限（角色定義見 roleService，可由管理員新增自訂角色）
     role: {
       type: String,
-      enum: ['user', 'merchant', 'admin'],
+      match: [ROLE_NAME_PATTERN, '角色名稱格式無效'],
       default: 'user',
       index: true,
     },
 
+    // 個別授予或拒絕的權限（覆蓋角色權限，拒絕優先）
+    permissionOverrides: {
+      granted: {
+        type: [String],
+        default: [],
+      },
+      denied: {
+        type: [String],
+        default: [],
+      },
+    },
+
     // 帳戶狀態
     status: {
       type: String,
@@ -203,6 +216,40 @@ const UserSchema = new mongoose.Schema(
       totalTimeSpent: { type: Number, default: 0 }, // 分鐘
     },
 
+    // 密碼安全資訊（密碼本身由 Firebase 管理，這裡只保留雜湊供重複使用檢查）
+    security: {
+      passwordChangedAt: Date,
+      // 密碼已過期，下次登入前必須變更
+      passwordChangeRequired: {
+        type: Boolean,
+        default: false,
+      },
+      passwordHistory: {
+        type: [
+          {
+            _id: false,
+            hash: String,
+            changedAt: Date,
+          },
+        ],
+        select: false,
+      },
+    },
+
+    // 待確認的 Email 變更（新舊地址都確認後才生效）
+    pendingEmailChange: {
+      changeId: String,
+      newEmail: {
+        type: String,
+        lowercase: true,
+        trim: true,
+      },
+      requestedAt: Date,
+      expiresAt: Date,
+      oldConfirmedAt: Date,
+      newConfirmedAt: Date,
+    },
+
     // 同意條款
     agreements: {
       termsAcceptedAt: Date,
@@ -237,6 +284,10 @@ const UserSchema = new mongoose.Schema(
         delete ret.__v;
         // eslint-disable-next-line no-param-reassign, no-underscore-dangle
         delete ret._id;
+        if (ret.security) {
+          // eslint-disable-next-line no-param-reassign
+          delete ret.security.passwordHistory;
+        }
         return ret;
       },
     },
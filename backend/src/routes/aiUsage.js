@@ -0,0 +1,309 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
+const { aiQuotaService } = require('../services/aiQuotaService');
+const User = require('../models/User');
+const { createComponentLogger } = require('../config/logger');
+
+const router = express.Router();
+const logger = createComponentLogger('ai-usage-routes');
+
+/**
+ * 統一處理服務錯誤與伺服器錯誤
+ */
+const handleUsageError = (res, error, message, code) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        message: error.message,
+        code: error.code,
+      },
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: {
+      message,
+      code,
+    },
+  });
+};
+
+/**
+ * 載入路徑中指定的帳號，供管理端點取得其角色
+ */
+const loadTargetUser = async (req, res, next) => {
+  try {
+    const user = await User.findByFirebaseUid(req.params.uid);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: '用戶不存在',
+          code: 'USER_NOT_FOUND',
+        },
+      });
+    }
+
+    req.targetUser = user;
+    return next();
+  } catch (error) {
+    logger.error('載入用戶失敗', {
+      error: error.message,
+      targetUid: req.params.uid,
+    });
+    return handleUsageError(res, error, '載入用戶失敗', 'USER_FETCH_FAILED');
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AIQuotaLimits:
+ *       type: object
+ *       description: 配額數值，null 表示不限制；成本單位為美元
+ *       properties:
+ *         dailyRequests:
+ *           type: number
+ *           nullable: true
+ *         monthlyRequests:
+ *           type: number
+ *           nullable: true
+ *         dailyCost:
+ *           type: number
+ *           nullable: true
+ *         monthlyCost:
+ *           type: number
+ *           nullable: true
+ *     AIUsageAllowance:
+ *       type: object
+ *       properties:
+ *         role:
+ *           type: string
+ *         limits:
+ *           $ref: '#/components/schemas/AIQuotaLimits'
+ *         usage:
+ *           $ref: '#/components/schemas/AIQuotaLimits'
+ *         remaining:
+ *           $ref: '#/components/schemas/AIQuotaLimits'
+ *         resetsAt:
+ *           type: object
+ *           properties:
+ *             day:
+ *               type: string
+ *               format: date-time
+ *             month:
+ *               type: string
+ *               format: date-time
+ *         override:
+ *           type: object
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/v1/ai-usage/me:
+ *   get:
+ *     summary: 獲取自己的 AI 用量與剩餘額度
+ *     tags: [AI Services]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功獲取剩餘額度
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AIUsageAllowance'
+ *       401:
+ *         description: 未認證
+ */
+router.get('/me', authMiddleware, requirePermission('tour.use'), async (req, res) => {
+  try {
+    const allowance = await aiQuotaService.getAllowance(req.user.uid, req.userRole);
+
+    return res.json({
+      success: true,
+      data: allowance,
+    });
+  } catch (error) {
+    logger.error('獲取 AI 用量失敗', {
+      error: error.message,
+      userId: req.user?.uid,
+    });
+    return handleUsageError(res, error, '獲取 AI 用量失敗', 'AI_USAGE_FETCH_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/ai-usage/users/{uid}:
+ *   get:
+ *     summary: 獲取指定帳號的 AI 用量（管理者）
+ *     tags: [AI Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 成功獲取剩餘額度
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 用戶不存在
+ */
+router.get(
+  '/users/:uid',
+  authMiddleware,
+  requirePermission('user.manage'),
+  loadTargetUser,
+  async (req, res) => {
+    try {
+      const allowance = await aiQuotaService.getAllowance(req.params.uid, req.targetUser.role);
+
+      return res.json({
+        success: true,
+        data: allowance,
+      });
+    } catch (error) {
+      logger.error('獲取 AI 用量失敗', {
+        error: error.message,
+        targetUid: req.params.uid,
+      });
+      return handleUsageError(res, error, '獲取 AI 用量失敗', 'AI_USAGE_FETCH_FAILED');
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/ai-usage/users/{uid}/override:
+ *   put:
+ *     summary: 覆寫指定帳號的 AI 配額（管理者）
+ *     description: 只覆寫提供的欄位，其餘沿用角色預設值；欄位設為 null 表示不限制
+ *     tags: [AI Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - limits
+ *             properties:
+ *               limits:
+ *                 $ref: '#/components/schemas/AIQuotaLimits'
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 配額已覆寫
+ *       400:
+ *         description: 配額欄位無效
+ *       404:
+ *         description: 用戶不存在
+ */
+router.put(
+  '/users/:uid/override',
+  authMiddleware,
+  requirePermission('user.manage'),
+  loadTargetUser,
+  async (req, res) => {
+    try {
+      await aiQuotaService.setOverride(
+        req.params.uid,
+        req.body.limits,
+        req.user.uid,
+        req.body.reason,
+      );
+      const allowance = await aiQuotaService.getAllowance(req.params.uid, req.targetUser.role);
+
+      logger.info('管理者覆寫 AI 配額', {
+        targetUid: req.params.uid,
+        adminUid: req.user.uid,
+      });
+
+      return res.json({
+        success: true,
+        message: 'AI 配額已更新',
+        data: allowance,
+      });
+    } catch (error) {
+      logger.error('覆寫 AI 配額失敗', {
+        error: error.message,
+        targetUid: req.params.uid,
+        adminUid: req.user?.uid,
+      });
+      return handleUsageError(res, error, '覆寫 AI 配額失敗', 'AI_QUOTA_OVERRIDE_FAILED');
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/ai-usage/users/{uid}/override:
+ *   delete:
+ *     summary: 移除指定帳號的 AI 配額覆寫（管理者）
+ *     tags: [AI Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 已恢復角色預設配額
+ *       404:
+ *         description: 用戶不存在
+ */
+router.delete(
+  '/users/:uid/override',
+  authMiddleware,
+  requirePermission('user.manage'),
+  loadTargetUser,
+  async (req, res) => {
+    try {
+      await aiQuotaService.clearOverride(req.params.uid, req.user.uid);
+      const allowance = await aiQuotaService.getAllowance(req.params.uid, req.targetUser.role);
+
+      return res.json({
+        success: true,
+        message: '已恢復角色預設配額',
+        data: allowance,
+      });
+    } catch (error) {
+      logger.error('移除 AI 配額覆寫失敗', {
+        error: error.message,
+        targetUid: req.params.uid,
+        adminUid: req.user?.uid,
+      });
+      return handleUsageError(res, error, '移除 AI 配額覆寫失敗', 'AI_QUOTA_OVERRIDE_FAILED');
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,134 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock dependencies before importing AI usage routes
+jest.mock('../middleware/authMiddleware', () => ({
+  authMiddleware: (req, res, next) => {
+    // 模擬認證成功的用戶，角色由標頭決定
+    const role = req.headers['x-test-role'] || 'user';
+    req.user = {
+      uid: `${role}-uid`,
+      role,
+    };
+    next();
+  },
+}));
+
+jest.mock('../config/logger', () => ({
+  createComponentLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  }),
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const User = require('../models/User');
+const aiUsageRoutes = require('./aiUsage');
+const { redisConnection } = require('../config/redis');
+const { aiQuotaService, AI_QUOTA_DEFAULTS } = require('../services/aiQuotaService');
+
+describe('AI Usage Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/ai-usage', aiUsageRoutes);
+  });
+
+  beforeEach(async () => {
+    await redisConnection.flushdb();
+    jest.spyOn(User, 'findByFirebaseUid').mockImplementation((uid) => Promise.resolve(
+      uid === 'missing-uid' ? null : { firebaseUid: uid, role: 'merchant' },
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /me', () => {
+    test('should return the remaining allowance for the current user', async () => {
+      await aiQuotaService.recordUsage('user-uid', 0.02);
+
+      const response = await request(app).get('/api/v1/ai-usage/me').expect(200);
+
+      const { data } = response.body;
+      expect(data.role).toBe('user');
+      expect(data.usage.dailyRequests).toBe(1);
+      expect(data.remaining.dailyRequests).toBe(AI_QUOTA_DEFAULTS.user.dailyRequests - 1);
+      expect(data.resetsAt).toEqual({
+        day: expect.any(String),
+        month: expect.any(String),
+      });
+    });
+  });
+
+  describe('admin endpoints', () => {
+    test('should require user.manage permission', async () => {
+      const response = await request(app)
+        .get('/api/v1/ai-usage/users/merchant-1')
+        .set('x-test-role', 'merchant')
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should use the target account role for quotas', async () => {
+      const response = await request(app)
+        .get('/api/v1/ai-usage/users/merchant-1')
+        .set('x-test-role', 'admin')
+        .expect(200);
+
+      expect(response.body.data.limits).toEqual(AI_QUOTA_DEFAULTS.merchant);
+    });
+
+    test('should return 404 for unknown accounts', async () => {
+      const response = await request(app)
+        .get('/api/v1/ai-usage/users/missing-uid')
+        .set('x-test-role', 'admin')
+        .expect(404);
+
+      expect(response.body.error.code).toBe('USER_NOT_FOUND');
+    });
+
+    test('should override and restore quotas', async () => {
+      const updated = await request(app)
+        .put('/api/v1/ai-usage/users/merchant-1/override')
+        .set('x-test-role', 'admin')
+        .send({ limits: { monthlyRequests: 20000 }, reason: '合作方案' })
+        .expect(200);
+
+      expect(updated.body.data.limits.monthlyRequests).toBe(20000);
+      expect(updated.body.data.override).toMatchObject({
+        reason: '合作方案',
+        updatedBy: 'admin-uid',
+      });
+
+      const restored = await request(app)
+        .delete('/api/v1/ai-usage/users/merchant-1/override')
+        .set('x-test-role', 'admin')
+        .expect(200);
+
+      expect(restored.body.data.limits).toEqual(AI_QUOTA_DEFAULTS.merchant);
+      expect(restored.body.data.override).toBeNull();
+    });
+
+    test('should reject invalid override fields', async () => {
+      const response = await request(app)
+        .put('/api/v1/ai-usage/users/merchant-1/override')
+        .set('x-test-role', 'admin')
+        .send({ limits: { dailyRequests: 'many' } })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_QUOTA_OVERRIDE');
+    });
+  });
+});
@@ -1,17 +1,38 @@
 const express = require('express');
 const { getAuth } = require('../config/firebase');
 const User = require('../models/User');
-const { authMiddleware: authenticate, requireRole } = require('../middleware/authMiddleware');
+const {
+  authMiddleware: authenticate,
+  requireRole,
+  requireStepUp,
+} = require('../middleware/authMiddleware');
 const { logger } = require('../middleware/requestLogger');
 const jwtService = require('../services/jwtService');
 const { securityEnhancement } = require('../middleware/securityEnhancement');
 const { rateLimitMiddleware } = require('../middleware/rateLimitMiddleware');
 const MFAService = require('../services/mfaService');
+const EmailService = require('../services/emailService');
+const SocialLoginService = require('../services/socialLoginService');
+const AccountRecoveryService = require('../services/accountRecoveryService');
+const PasswordPolicyService = require('../services/passwordPolicyService');
+const { securityPolicyService } = require('../services/securityPolicyService');
+const { SecurityAuditService, securityAuditService } = require('../services/securityAuditService');
+const { adminAuditService } = require('../services/adminAuditService');
+const { requireFeature } = require('../middleware/featureFlagMiddleware');
+const { SELF_REGISTRATION_ROLES } = require('../config/roles');
 
 const router = express.Router();
 
-// 創建 MFA 服務實例
-const mfaService = new MFAService();
+// 創建郵件、MFA、社群登入、密碼政策與帳號復原服務實例
+const emailService = new EmailService();
+const mfaService = new MFAService({ emailService });
+const socialLoginService = new SocialLoginService();
+const passwordPolicyService = new PasswordPolicyService();
+const accountRecoveryService = new AccountRecoveryService({
+  emailService,
+  passwordPolicyService,
+  mfaService,
+});
 
 // 獲取專業級 Rate Limiting 配置
 const rateLimiters = rateLimitMiddleware.getDefaultLimiters();
@@ -51,6 +72,134 @@ const extractRequestContext = (req, res, next) => {
   next();
 };
 
+// 受信任設備權杖（MFA 驗證時選擇「記住這個設備」後取得）
+const TRUSTED_DEVICE_HEADER = 'x-trusted-device-token';
+
+/**
+ * 查詢目前請求是否來自受信任設備
+ * 需要同時持有設備權杖且設備指紋相符
+ */
+const findTrustedDevice = (req, uid) => mfaService.findTrustedDevice(
+  uid,
+  req.get(TRUSTED_DEVICE_HEADER),
+  req.deviceFingerprint,
+);
+
+/**
+ * 服務拋出的 AppError 依其狀態碼回應，其他錯誤回應 500
+ */
+const sendServiceError = (res, error, fallbackMessage, fallbackCode) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        message: error.message,
+        code: error.code,
+        ...(error.details && { details: error.details }),
+      },
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: {
+      message: fallbackMessage,
+      code: fallbackCode,
+    },
+  });
+};
+
+// 登入風險分析偵測到不可能的移動並暫時鎖定帳號時回應 423；未鎖定時返回 null
+const sendRiskLockResponse = (res, loginAnalysis) => {
+  if (loginAnalysis.action !== 'lock') {
+    return null;
+  }
+
+  return res.status(423).json({
+    success: false,
+    error: {
+      message: '偵測到異常的登入位置，帳號已暫時鎖定',
+      code: 'ACCOUNT_LOCKED',
+      reason: 'impossible_travel',
+      lockedUntil: loginAnalysis.lockedUntil,
+      canRetryAt: new Date(loginAnalysis.lockedUntil).toISOString(),
+    },
+  });
+};
+
+/**
+ * 在請求中完成 MFA（mfaType、mfaCode）；未附驗證碼或驗證失敗時回應並返回該回應，通過時返回 null
+ * @param {string} operation - 回應中的操作名稱，例如 login、social_login、step_up
+ * @param {string} message - 要求驗證時的訊息
+ */
+const sendMFAChallenge = async (res, uid, {
+  mfaType, mfaCode, operation, message,
+}) => {
+  const mfaStatus = await mfaService.getUserMFAStatus(uid);
+
+  if (!mfaType || !mfaCode) {
+    return res.status(200).json({
+      success: false,
+      requiresMFA: true,
+      message,
+      data: {
+        availableMethods: mfaStatus.enabledMethods,
+        operation,
+      },
+    });
+  }
+
+  if (!mfaStatus.enabledMethods.includes(mfaType)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `${String(mfaType).toUpperCase()} 驗證未啟用`,
+        code: 'MFA_METHOD_NOT_ENABLED',
+      },
+    });
+  }
+
+  const verificationResult = await mfaService.verifyMFACode(uid, mfaCode, mfaType);
+  if (!verificationResult.success) {
+    const status = verificationResult.result === 'too_many_attempts' ? 429 : 401;
+    return res.status(status).json({
+      success: false,
+      error: {
+        message: verificationResult.message,
+        code: 'MFA_VERIFICATION_FAILED',
+      },
+    });
+  }
+
+  return null;
+};
+
+// 密碼已過期時改發變更權杖，設定新密碼前不會取得 session；不需變更時返回 null
+const sendPasswordChangeRequired = async (res, user) => {
+  const passwordStatus = await passwordPolicyService.checkPasswordChangeRequired(user);
+  if (!passwordStatus.required) {
+    return null;
+  }
+
+  const { token, expiresAt } = await accountRecoveryService.issuePasswordChangeToken(user);
+
+  logger.info('密碼已過期，要求用戶變更密碼', {
+    uid: user.firebaseUid,
+    reason: passwordStatus.reason,
+  });
+
+  return res.status(403).json({
+    success: false,
+    error: {
+      message: '密碼已過期，請先變更密碼',
+      code: 'PASSWORD_CHANGE_REQUIRED',
+      reason: passwordStatus.reason,
+      passwordChangeToken: token,
+      expiresAt,
+    },
+  });
+};
+
 /**
  * @swagger
  * components:
@@ -173,7 +322,7 @@ const extractRequestContext = (req, res, next) => {
  *           type: boolean
  *         role:
  *           type: string
- *           enum: ['user', 'merchant', 'admin']
+ *           description: 內建角色（user、merchant、admin）或自訂角色
  *         status:
  *           type: string
  *           enum: ['active', 'inactive', 'suspended', 'pending']
@@ -210,6 +359,9 @@ const extractRequestContext = (req, res, next) => {
  *         email:
  *           type: string
  *           format: email
+ *         password:
+ *           type: string
+ *           description: 以 password 方式註冊時必填，需符合全域密碼政策
  *         role:
  *           type: string
  *           enum: ['user', 'merchant']
@@ -240,6 +392,12 @@ const extractRequestContext = (req, res, next) => {
  *         providerId:
  *           type: string
  *           enum: ['password', 'google.com', 'facebook.com', 'apple.com']
+ *         mfaType:
+ *           type: string
+ *           enum: ['totp', 'sms', 'backup_code', 'webauthn', 'email']
+ *           description: 登入風險升高要求逐步驗證（requiresMFA）時附上
+ *         mfaCode:
+ *           type: string
  */
 
 /**
@@ -277,7 +435,7 @@ const extractRequestContext = (req, res, next) => {
  *                     user:
  *                       $ref: '#/components/schemas/User'
  *       400:
- *         description: 請求參數錯誤
+ *         description: 請求參數錯誤或密碼不符合政策（PASSWORD_POLICY_VIOLATION 附帶 details）
  *       401:
  *         description: 認證失敗
  *       409:
@@ -296,6 +454,7 @@ router.post(
       const {
         firebaseUid,
         email,
+        password,
         role = 'user',
         profile,
         preferences,
@@ -315,6 +474,17 @@ router.post(
         });
       }
 
+      // 註冊只能選擇一般用戶或商戶，其他角色由管理員透過 /api/v1/roles 指派
+      if (!SELF_REGISTRATION_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: '無效的註冊角色',
+            code: 'INVALID_ROLE',
+          },
+        });
+      }
+
       // 檢查是否已存在相同用戶
       const existingUser = await User.findOne({
         $or: [{ firebaseUid }, { email: email.toLowerCase() }],
@@ -343,6 +513,33 @@ router.post(
 
       // 從 Firebase token 獲取用戶資訊
       const firebaseUser = req.user;
+      const signInProvider = firebaseUser.firebase?.sign_in_provider || 'password';
+
+      // 密碼註冊需符合密碼政策
+      let passwordValidation = null;
+      if (signInProvider === 'password') {
+        if (!password) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              message: '以密碼註冊時需要提供 password',
+              code: 'PASSWORD_REQUIRED',
+            },
+          });
+        }
+
+        passwordValidation = await passwordPolicyService.validatePassword(password);
+        if (!passwordValidation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              message: '密碼不符合密碼政策',
+              code: 'PASSWORD_POLICY_VIOLATION',
+              details: passwordValidation.errors,
+            },
+          });
+        }
+      }
 
       // 建立新用戶
       const userData = {
@@ -354,7 +551,7 @@ router.post(
         preferences: preferences || {},
         providers: [
           {
-            providerId: firebaseUser.firebase?.sign_in_provider || 'password',
+            providerId: signInProvider,
             providerUid: firebaseUser.uid,
             connectedAt: new Date(),
           },
@@ -384,6 +581,15 @@ router.post(
       const newUser = new User(userData);
       await newUser.save();
 
+      // 記錄密碼歷史與變更時間，供重複使用檢查與 maxAge 計算
+      if (passwordValidation) {
+        await passwordPolicyService.recordPasswordChange(
+          newUser,
+          password,
+          passwordValidation.policy,
+        );
+      }
+
       logger.info('用戶註冊成功', {
         uid: newUser.firebaseUid,
         email: newUser.email,
@@ -560,12 +766,30 @@ router.post('/verify-email', sensitiveOperationLimiter, authenticate, async (req
       actionCodeSettings,
     );
 
-    // 這裡應該集成實際的郵件發送服務 (例如 SendGrid, AWS SES)
-    // 目前只是記錄 log，實際應用中需要發送郵件
-    logger.info('Email 驗證連結已生成', {
+    const sendResult = await emailService.send({
+      to: user.email,
+      template: 'email_verification',
+      language: user.preferences?.language,
+      variables: {
+        displayName: user.fullName,
+        verificationLink,
+      },
+    });
+
+    if (!sendResult.success) {
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: '發送驗證信件失敗',
+          code: 'EMAIL_VERIFICATION_FAILED',
+        },
+      });
+    }
+
+    logger.info('Email 驗證信件已發送', {
       uid: user.firebaseUid,
       email: user.email,
-      verificationLink,
+      messageId: sendResult.messageId,
     });
 
     return res.json({
@@ -592,192 +816,77 @@ router.post('/verify-email', sensitiveOperationLimiter, authenticate, async (req
   }
 });
 
+// ============ 忘記密碼、密碼變更與 Email 變更 API ============
+
 /**
  * @swagger
- * /api/v1/auth/login:
+ * /api/v1/auth/forgot-password:
  *   post:
- *     summary: 用戶登入
- *     description: 用戶登入並更新登入統計資訊
+ *     summary: 忘記密碼
+ *     description: 寄送一次性的密碼重設連結。無論帳號是否存在都回應相同訊息，避免洩漏帳號資訊
  *     tags: [Authentication]
- *     security:
- *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/LoginRequest'
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
  *     responses:
  *       200:
- *         description: 登入成功
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: 登入成功
- *                 data:
- *                   type: object
- *                   properties:
- *                     user:
- *                       $ref: '#/components/schemas/User'
- *       401:
- *         description: 認證失敗
- *       403:
- *         description: 帳戶已暫停
- *       404:
- *         description: 用戶不存在
+ *         description: 請求已受理
+ *       400:
+ *         description: 請求參數錯誤
+ *       429:
+ *         description: 請求過於頻繁
  *       500:
  *         description: 伺服器錯誤
  */
 router.post(
-  '/login',
-  authLimiter, // 專業級認證限制器
-  extractDeviceFingerprint, // 提取設備指紋
-  extractRequestContext, // 提取請求上下文
-  authenticate, // Firebase 認證
+  '/forgot-password',
+  authLimiter,
+  extractDeviceFingerprint,
+  extractRequestContext,
   async (req, res) => {
     try {
-      const { firebaseUid, providerId } = req.body;
-      const userIdentifier = firebaseUid || req.user.uid;
-
-      // 1. 檢查帳號是否被鎖定（安全增強功能）
-      const lockCheck = await securityEnhancement.checkAccountLock(userIdentifier);
-      if (lockCheck.locked) {
-        logger.warn('嘗試登入被鎖定的帳號', {
-          identifier: userIdentifier,
-          lockReason: lockCheck.reason,
-          ip: req.securityContext.ipAddress,
-          endpoint: req.originalUrl,
-        });
-
-        // 記錄安全事件
-        await securityEnhancement.recordSecurityEvent(
-          userIdentifier,
-          'locked_account_access_attempt',
-          {
-            ...req.securityContext,
-            lockReason: lockCheck.reason,
-          },
-        );
-
-        return res.status(423).json({
-          success: false,
-          error: {
-            message: `帳號已被鎖定：${lockCheck.reason}`,
-            code: 'ACCOUNT_LOCKED',
-            lockedUntil: lockCheck.lockedUntil,
-            canRetryAt: new Date(lockCheck.lockedUntil).toISOString(),
-          },
-        });
-      }
+      const { email } = req.body;
 
-      const user = await User.findByFirebaseUid(userIdentifier);
-
-      if (!user) {
-        // 記錄登入失敗
-        await securityEnhancement.recordLoginFailure(userIdentifier, {
-          ...req.securityContext,
-          reason: 'user_not_found',
-        });
-
-        return res.status(404).json({
-          success: false,
-          error: {
-            message: '用戶不存在，請先註冊',
-            code: 'USER_NOT_FOUND',
-          },
-        });
-      }
-
-      // 檢查帳戶狀態
-      if (user.status === 'suspended') {
-        return res.status(403).json({
-          success: false,
-          error: {
-            message: '帳戶已被暫停',
-            code: 'ACCOUNT_SUSPENDED',
-          },
-        });
-      }
-
-      if (user.status === 'inactive') {
-        return res.status(403).json({
+      if (!email || typeof email !== 'string') {
+        return res.status(400).json({
           success: false,
           error: {
-            message: '帳戶未啟用',
-            code: 'ACCOUNT_INACTIVE',
+            message: '缺少必要參數: email',
+            code: 'MISSING_REQUIRED_PARAMETERS',
           },
         });
       }
 
-      // 分析登入模式（檢查可疑活動）
-      const loginAnalysis = await securityEnhancement.analyzeLoginPattern(user.firebaseUid, {
-        ...req.securityContext,
-        providerId: providerId || 'password',
-      });
-
-      if (loginAnalysis.suspicious) {
-        logger.warn('檢測到可疑登入模式', {
-          uid: user.firebaseUid,
-          riskScore: loginAnalysis.riskScore,
-          reasons: loginAnalysis.reasons,
-          ip: req.securityContext.ipAddress,
-        });
-
-        // 如果風險分數過高，可以要求額外驗證或通知用戶
-        if (loginAnalysis.riskScore >= 60) {
-          // 記錄高風險登入事件
-          await securityEnhancement.recordSecurityEvent(user.firebaseUid, 'high_risk_login', {
-            ...req.securityContext,
-            riskScore: loginAnalysis.riskScore,
-            reasons: loginAnalysis.reasons,
-          });
-        }
-      }
-
-      // 清除之前的登入失敗記錄
-      await securityEnhancement.clearLoginFailures(user.firebaseUid);
-
-      // 更新登入統計
-      await user.updateLoginStats();
-
-      // 添加登入提供者（如果是新的）
-      if (providerId) {
-        await user.addProvider(providerId);
-      }
-
-      logger.info('用戶登入成功', {
-        uid: user.firebaseUid,
-        email: user.email,
-        loginCount: user.stats.loginCount,
-        riskScore: loginAnalysis.riskScore || 0,
-        suspicious: loginAnalysis.suspicious || false,
-      });
+      const result = await accountRecoveryService.requestPasswordReset(email, req.securityContext);
 
       return res.json({
         success: true,
-        message: '登入成功',
+        message: '如果此 Email 已註冊，我們已寄出密碼重設信件',
         data: {
-          user: user.toJSON(),
+          // 開發環境才返回重設連結
+          ...(process.env.NODE_ENV === 'development'
+            && result.resetLink && { resetLink: result.resetLink }),
         },
       });
     } catch (error) {
-      logger.error('用戶登入失敗', {
+      logger.error('處理忘記密碼請求失敗', {
         error: error.message,
-        uid: req.user?.uid,
       });
 
       return res.status(500).json({
         success: false,
         error: {
-          message: '登入失敗',
-          code: 'LOGIN_FAILED',
+          message: '處理請求失敗',
+          code: 'PASSWORD_RESET_REQUEST_FAILED',
         },
       });
     }
@@ -786,268 +895,274 @@ router.post(
 
 /**
  * @swagger
- * /api/v1/auth/logout:
+ * /api/v1/auth/reset-password:
  *   post:
- *     summary: 用戶登出
- *     description: 用戶登出（前端應該清除 token）
+ *     summary: 重設密碼
+ *     description: |
+ *       以重設連結中的權杖設定新密碼。新密碼需符合全域密碼政策且不可與最近使用的密碼相同；
+ *       權杖只能使用一次，重設成功後所有既有 session 都會被撤銷。
  *     tags: [Authentication]
- *     security:
- *       - BearerAuth: []
- *     responses:
- *       200:
- *         description: 登出成功
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: 登出成功
- *       401:
- *         description: 認證失敗
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 密碼重設成功
+ *       400:
+ *         description: 權杖無效或新密碼不符合政策（PASSWORD_POLICY_VIOLATION 附帶 details）
+ *       429:
+ *         description: 請求過於頻繁
  *       500:
  *         description: 伺服器錯誤
  */
-router.post('/logout', authenticate, async (req, res) => {
-  try {
-    logger.info('用戶登出', {
-      uid: req.user.uid,
-      email: req.user.email,
-    });
+router.post(
+  '/reset-password',
+  authLimiter,
+  extractDeviceFingerprint,
+  extractRequestContext,
+  async (req, res) => {
+    try {
+      const { token, newPassword } = req.body;
 
-    // 在實際應用中，可能需要將 token 加入黑名單
-    // 或者撤銷 Firebase token (需要額外的 Firebase Admin 操作)
+      if (!token || !newPassword) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: '缺少必要參數: token 和 newPassword',
+            code: 'MISSING_REQUIRED_PARAMETERS',
+          },
+        });
+      }
 
-    return res.json({
-      success: true,
-      message: '登出成功',
-    });
-  } catch (error) {
-    logger.error('用戶登出失敗', {
-      error: error.message,
-      uid: req.user?.uid,
-    });
+      const result = await accountRecoveryService.resetPassword(
+        token,
+        newPassword,
+        req.securityContext,
+      );
 
-    return res.status(500).json({
-      success: false,
-      error: {
-        message: '登出失敗',
-        code: 'LOGOUT_FAILED',
-      },
-    });
-  }
-});
+      return res.json({
+        success: true,
+        message: '密碼重設成功，請使用新密碼重新登入',
+        data: {
+          passwordChangedAt: result.passwordChangedAt,
+          passwordExpiresAt: result.passwordExpiresAt,
+        },
+      });
+    } catch (error) {
+      logger.error('重設密碼失敗', {
+        code: error.code,
+        error: error.message,
+        ipAddress: req.securityContext?.ipAddress,
+      });
 
-// ============ JWT Token 管理路由 ============
+      return sendServiceError(res, error, '重設密碼失敗', 'PASSWORD_RESET_FAILED');
+    }
+  },
+);
 
 /**
  * @swagger
- * /api/v1/auth/generate-tokens:
+ * /api/v1/auth/change-password:
  *   post:
- *     summary: 生成 JWT Token 對
- *     description: 為已認證用戶生成 JWT access token 和 refresh token
- *     tags: [JWT Management]
+ *     summary: 變更密碼
+ *     description: |
+ *       已登入用戶設定新密碼。需先完成 step-up 重新驗證；
+ *       新密碼需符合全域密碼政策，變更後所有既有 session 都會被撤銷。
+ *     tags: [Authentication]
  *     security:
  *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newPassword
+ *             properties:
+ *               newPassword:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Token 生成成功
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: Token 生成成功
- *                 data:
- *                   type: object
- *                   properties:
- *                     accessToken:
- *                       type: string
- *                       description: JWT Access Token
- *                     refreshToken:
- *                       type: string
- *                       description: JWT Refresh Token
- *                     tokenType:
- *                       type: string
- *                       example: Bearer
- *                     expiresIn:
- *                       type: number
- *                       description: Token 過期時間（秒）
- *                     sessionId:
- *                       type: string
- *                       description: Session ID
+ *         description: 密碼變更成功
+ *       400:
+ *         description: 帳號未使用密碼登入或新密碼不符合政策（PASSWORD_POLICY_VIOLATION 附帶 details）
  *       401:
- *         description: 認證失敗
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/StepUpRequiredError'
+ *       404:
+ *         description: 用戶不存在
  *       500:
- *         description: Token 生成失敗
+ *         description: 伺服器錯誤
  */
 router.post(
-  '/generate-tokens',
-  sensitiveOperationLimiter, // 敏感操作限制器（使用專業級限制）
-  extractDeviceFingerprint, // 提取設備指紋
-  extractRequestContext, // 提取請求上下文
-  authenticate, // Firebase 認證
+  '/change-password',
+  sensitiveOperationLimiter,
+  extractDeviceFingerprint,
+  extractRequestContext,
+  authenticate,
+  requireStepUp(),
   async (req, res) => {
     try {
-      const user = await User.findByFirebaseUid(req.user.uid);
+      const { newPassword } = req.body;
 
-      if (!user) {
-        return res.status(404).json({
+      if (!newPassword) {
+        return res.status(400).json({
           success: false,
           error: {
-            message: '用戶不存在',
-            code: 'USER_NOT_FOUND',
+            message: '缺少必要參數: newPassword',
+            code: 'MISSING_REQUIRED_PARAMETERS',
           },
         });
       }
 
-      // 1. 安全檢查 - 檢查帳號狀態和鎖定
-      const lockCheck = await securityEnhancement.checkAccountLock(user.firebaseUid);
-      if (lockCheck.locked) {
-        logger.warn('被鎖定帳號嘗試生成 Token', {
-          uid: user.firebaseUid,
-          lockReason: lockCheck.reason,
-          ip: req.securityContext.ipAddress,
-        });
-
-        return res.status(423).json({
+      const user = await User.findByFirebaseUid(req.user.uid);
+      if (!user) {
+        return res.status(404).json({
           success: false,
           error: {
-            message: `帳號已被鎖定，無法生成 Token：${lockCheck.reason}`,
-            code: 'ACCOUNT_LOCKED',
-            lockedUntil: lockCheck.lockedUntil,
+            message: '用戶不存在',
+            code: 'USER_NOT_FOUND',
           },
         });
       }
 
-      // 2. 分析登入模式和風險評估
-      const loginAnalysis = await securityEnhancement.analyzeLoginPattern(user.firebaseUid, {
-        ...req.securityContext,
-        providerId: 'jwt_generation',
+      const result = await accountRecoveryService.changePassword(
+        user,
+        newPassword,
+        req.securityContext,
+      );
+
+      return res.json({
+        success: true,
+        message: '密碼變更成功，請使用新密碼重新登入',
+        data: {
+          passwordChangedAt: result.passwordChangedAt,
+          passwordExpiresAt: result.passwordExpiresAt,
+        },
+      });
+    } catch (error) {
+      logger.error('變更密碼失敗', {
+        code: error.code,
+        error: error.message,
+        uid: req.user?.uid,
       });
 
-      if (loginAnalysis.suspicious && loginAnalysis.riskScore >= 50) {
-        logger.warn('高風險 Token 生成請求', {
-          uid: user.firebaseUid,
-          riskScore: loginAnalysis.riskScore,
-          reasons: loginAnalysis.reasons,
-          ip: req.securityContext.ipAddress,
-        });
+      return sendServiceError(
+        res,
+        error,
+        '變更密碼失敗',
+        'PASSWORD_CHANGE_FAILED',
+      );
+    }
+  },
+);
 
-        // 記錄高風險事件
-        await securityEnhancement.recordSecurityEvent(
-          user.firebaseUid,
-          'high_risk_token_generation',
-          {
-            ...req.securityContext,
-            riskScore: loginAnalysis.riskScore,
-            reasons: loginAnalysis.reasons,
-          },
-        );
+/**
+ * @swagger
+ * /api/v1/auth/change-expired-password:
+ *   post:
+ *     summary: 變更已過期的密碼
+ *     description: |
+ *       登入時若密碼已超過政策的 maxAge，會返回 PASSWORD_CHANGE_REQUIRED 與 passwordChangeToken；
+ *       以該權杖設定新密碼後即可重新登入。權杖只能使用一次。
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: 登入時取得的 passwordChangeToken
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 密碼變更成功
+ *       400:
+ *         description: 權杖無效或新密碼不符合政策（PASSWORD_POLICY_VIOLATION 附帶 details）
+ *       429:
+ *         description: 請求過於頻繁
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post(
+  '/change-expired-password',
+  authLimiter,
+  extractDeviceFingerprint,
+  extractRequestContext,
+  async (req, res) => {
+    try {
+      const { token, newPassword } = req.body;
 
-        // 高風險情況下要求額外驗證
-        return res.status(200).json({
+      if (!token || !newPassword) {
+        return res.status(400).json({
           success: false,
-          requiresAdditionalVerification: true,
-          message: '檢測到可疑活動，需要額外驗證',
-          data: {
-            riskScore: loginAnalysis.riskScore,
-            reasons: loginAnalysis.reasons,
-            nextSteps: ['請使用 MFA 驗證', '或聯繫客服驗證身份'],
+          error: {
+            message: '缺少必要參數: token 和 newPassword',
+            code: 'MISSING_REQUIRED_PARAMETERS',
           },
         });
       }
 
-      // 3. 檢查 MFA 狀態（如果已啟用）
-      const mfaEnabled = await mfaService.isMFAEnabled(user.firebaseUid);
-      if (mfaEnabled) {
-        const mfaVerified = req.headers['x-mfa-verified'] === 'true' || req.user.mfaVerified;
-        if (!mfaVerified) {
-          const mfaStatus = await mfaService.getUserMFAStatus(user.firebaseUid);
+      const result = await accountRecoveryService.changeExpiredPassword(
+        token,
+        newPassword,
+        req.securityContext,
+      );
 
-          logger.info('Token 生成需要 MFA 驗證', {
-            uid: user.firebaseUid,
-            enabledMethods: mfaStatus.enabledMethods,
-          });
+      return res.json({
+        success: true,
+        message: '密碼變更成功，請使用新密碼重新登入',
+        data: {
+          passwordChangedAt: result.passwordChangedAt,
+          passwordExpiresAt: result.passwordExpiresAt,
+        },
+      });
+    } catch (error) {
+      logger.error('變更過期密碼失敗', {
+        code: error.code,
+        error: error.message,
+        ipAddress: req.securityContext?.ipAddress,
+      });
 
-          return res.status(200).json({
-            success: false,
-            requiresMFA: true,
-            message: 'Token 生成需要多重驗證',
-            data: {
-              availableMethods: mfaStatus.enabledMethods,
-              operation: 'token_generation',
-            },
-          });
-        }
-      }
-
-      // 提取請求上下文
-      const { deviceFingerprint } = req.body;
-      const requestContext = {
-        ipAddress: req.ip || req.connection.remoteAddress,
-        deviceFingerprint,
-        userAgent: req.get('User-Agent'),
-        loginMethod: 'jwt_generation',
-        riskScore: loginAnalysis.riskScore || 0,
-      };
-
-      // 生成 JWT token 對（帶上下文）
-      const tokenPair = await jwtService.generateTokenPair(
-        {
-          firebaseUid: user.firebaseUid,
-          email: user.email,
-          role: user.role,
-          permissions: user.permissions || [],
-        },
-        requestContext,
+      return sendServiceError(
+        res,
+        error,
+        '變更密碼失敗',
+        'PASSWORD_CHANGE_FAILED',
       );
-
-      logger.info('JWT Token 對生成成功', {
-        uid: user.firebaseUid,
-        email: user.email,
-        sessionId: tokenPair.sessionId,
-        ipAddress: requestContext.ipAddress,
-      });
-
-      return res.json({
-        success: true,
-        message: 'Token 生成成功',
-        data: tokenPair,
-      });
-    } catch (error) {
-      logger.error('JWT Token 生成失敗', {
-        error: error.message,
-        uid: req.user?.uid,
-      });
-
-      return res.status(500).json({
-        success: false,
-        error: {
-          message: 'Token 生成失敗',
-          code: 'TOKEN_GENERATION_FAILED',
-        },
-      });
     }
   },
 );
 
 /**
  * @swagger
- * /api/v1/auth/refresh-token:
+ * /api/v1/auth/change-email:
  *   post:
- *     summary: 刷新 Access Token
- *     description: 使用 refresh token 獲取新的 access token
- *     tags: [JWT Management]
+ *     summary: 申請變更 Email
+ *     description: 寄送確認連結至目前與新的 Email，兩個地址都確認後才會變更
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -1055,181 +1170,175 @@ router.post(
  *           schema:
  *             type: object
  *             required:
- *               - refreshToken
+ *               - newEmail
  *             properties:
- *               refreshToken:
+ *               newEmail:
  *                 type: string
- *                 description: Refresh Token
+ *                 format: email
  *     responses:
  *       200:
- *         description: Token 刷新成功
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: Token 刷新成功
- *                 data:
- *                   type: object
- *                   properties:
- *                     accessToken:
- *                       type: string
- *                       description: 新的 JWT Access Token
- *                     tokenType:
- *                       type: string
- *                       example: Bearer
- *                     expiresIn:
- *                       type: number
- *                       description: Token 過期時間（秒）
+ *         description: 確認信件已寄出
  *       400:
- *         description: 請求參數錯誤
- *       401:
- *         description: Refresh token 無效或已過期
+ *         description: Email 格式錯誤或與目前相同
+ *       403:
+ *         $ref: '#/components/responses/StepUpRequiredError'
+ *       404:
+ *         description: 用戶不存在
+ *       409:
+ *         description: Email 已被使用
  *       500:
- *         description: Token 刷新失敗
+ *         description: 伺服器錯誤
  */
 router.post(
-  '/refresh-token',
-  authLimiter, // 認證限制器
+  '/change-email',
+  sensitiveOperationLimiter,
   extractDeviceFingerprint,
   extractRequestContext,
+  authenticate,
+  requireStepUp(),
   async (req, res) => {
     try {
-      const { refreshToken } = req.body;
+      const { newEmail } = req.body;
 
-      if (!refreshToken) {
+      if (!newEmail) {
         return res.status(400).json({
           success: false,
           error: {
-            message: '缺少 refresh token',
-            code: 'MISSING_REFRESH_TOKEN',
+            message: '缺少必要參數: newEmail',
+            code: 'MISSING_REQUIRED_PARAMETERS',
           },
         });
       }
 
-      // 提取請求上下文進行安全驗證
-      const requestContext = {
-        ...req.securityContext,
-        loginMethod: 'token_refresh',
-      };
-
-      // 刷新 access token（帶上下文）
-      const newToken = await jwtService.refreshAccessToken(refreshToken, requestContext);
+      const user = await User.findByFirebaseUid(req.user.uid);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: '用戶不存在',
+            code: 'USER_NOT_FOUND',
+          },
+        });
+      }
 
-      logger.info('Access Token 刷新成功', {
-        ipAddress: requestContext.ipAddress,
-        deviceFingerprint: requestContext.deviceFingerprint,
-      });
+      const result = await accountRecoveryService.requestEmailChange(
+        user,
+        newEmail,
+        req.securityContext,
+      );
 
       return res.json({
         success: true,
-        message: 'Token 刷新成功',
-        data: newToken,
+        message: '確認信件已寄至目前與新的 Email，兩者都確認後才會變更',
+        data: {
+          newEmail: result.newEmail,
+          expiresAt: result.expiresAt,
+          // 開發環境才返回確認連結
+          ...(process.env.NODE_ENV === 'development' && { confirmLinks: result.confirmLinks }),
+        },
       });
     } catch (error) {
-      logger.error('Token 刷新失敗', {
+      logger.error('申請變更 Email 失敗', {
+        uid: req.user?.uid,
+        code: error.code,
         error: error.message,
       });
 
-      return res.status(401).json({
-        success: false,
-        error: {
-          message: error.message || 'Token 刷新失敗',
-          code: 'TOKEN_REFRESH_FAILED',
-        },
-      });
+      return sendServiceError(
+        res,
+        error,
+        '申請變更 Email 失敗',
+        'EMAIL_CHANGE_FAILED',
+      );
     }
   },
 );
 
 /**
  * @swagger
- * /api/v1/auth/revoke-token:
+ * /api/v1/auth/change-email/confirm:
  *   post:
- *     summary: 撤銷 Token
- *     description: 撤銷指定的 access token 或 refresh token
- *     tags: [JWT Management]
- *     security:
- *       - BearerAuth: []
+ *     summary: 確認 Email 變更
+ *     description: 以確認信件中的權杖確認變更；新舊地址都確認後更新 Email 並撤銷既有 session
+ *     tags: [Authentication]
  *     requestBody:
- *       required: false
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - token
  *             properties:
  *               token:
  *                 type: string
- *                 description: 要撤銷的 token（可選，預設撤銷當前 token）
  *     responses:
  *       200:
- *         description: Token 撤銷成功
- *       401:
- *         description: 認證失敗
+ *         description: 確認成功（status 為 pending 時仍需另一個地址確認）
+ *       400:
+ *         description: 權杖無效或已過期
+ *       409:
+ *         description: Email 已被使用
  *       500:
- *         description: Token 撤銷失敗
+ *         description: 伺服器錯誤
  */
-router.post('/revoke-token', sensitiveOperationLimiter, authenticate, async (req, res) => {
+router.post('/change-email/confirm', authLimiter, async (req, res) => {
   try {
     const { token } = req.body;
 
-    // 如果沒有指定 token，撤銷當前請求的 token
-    const tokenToRevoke = token || req.headers.authorization?.slice(7);
-
-    if (!tokenToRevoke) {
+    if (!token) {
       return res.status(400).json({
         success: false,
         error: {
-          message: '缺少要撤銷的 token',
-          code: 'MISSING_TOKEN',
+          message: '缺少必要參數: token',
+          code: 'MISSING_REQUIRED_PARAMETERS',
         },
       });
     }
 
-    await jwtService.revokeToken(tokenToRevoke);
-
-    logger.info('Token 撤銷成功', {
-      uid: req.user.uid,
-      email: req.user.email,
-    });
+    const result = await accountRecoveryService.confirmEmailChange(token);
 
     return res.json({
       success: true,
-      message: 'Token 撤銷成功',
+      message: result.status === 'completed' ? 'Email 變更完成，請重新登入' : '已確認，等待另一個 Email 確認',
+      data: result,
     });
   } catch (error) {
-    logger.error('Token 撤銷失敗', {
+    logger.error('確認 Email 變更失敗', {
+      code: error.code,
       error: error.message,
-      uid: req.user?.uid,
     });
 
-    return res.status(500).json({
-      success: false,
-      error: {
-        message: 'Token 撤銷失敗',
-        code: 'TOKEN_REVOCATION_FAILED',
-      },
-    });
+    return sendServiceError(
+      res,
+      error,
+      '確認 Email 變更失敗',
+      'EMAIL_CHANGE_CONFIRM_FAILED',
+    );
   }
 });
 
 /**
  * @swagger
- * /api/v1/auth/revoke-all-tokens:
+ * /api/v1/auth/login:
  *   post:
- *     summary: 撤銷所有 Token
- *     description: 撤銷用戶的所有 JWT token（登出所有設備）
- *     tags: [JWT Management]
+ *     summary: 用戶登入
+ *     description: |
+ *       用戶登入並更新登入統計資訊。
+ *       登入位置與前次登入的距離和時間顯示不可能的移動等高風險時，已啟用 MFA 的帳號需在同一請求
+ *       附上 mfaType 與 mfaCode（回應 requiresMFA），未啟用 MFA 的帳號會被暫時鎖定
+ *     tags: [Authentication]
  *     security:
  *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginRequest'
  *     responses:
  *       200:
- *         description: 所有 Token 撤銷成功
+ *         description: 登入成功
  *         content:
  *           application/json:
  *             schema:
@@ -1240,254 +1349,198 @@ router.post('/revoke-token', sensitiveOperationLimiter, authenticate, async (req
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: 所有 Token 撤銷成功
+ *                   example: 登入成功
  *                 data:
  *                   type: object
  *                   properties:
- *                     revokedTokens:
- *                       type: number
- *                       description: 撤銷的 token 數量
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
  *       401:
- *         description: 認證失敗
+ *         description: 認證失敗或 MFA 驗證失敗
+ *       403:
+ *         description: |
+ *           帳戶已暫停，或密碼已過期（PASSWORD_CHANGE_REQUIRED，附帶 passwordChangeToken，
+ *           以 POST /change-expired-password 設定新密碼）
+ *       404:
+ *         description: 用戶不存在
+ *       423:
+ *         description: 帳號已被鎖定（包含偵測到不可能的移動而暫時鎖定，reason 為 impossible_travel）
  *       500:
- *         description: Token 撤銷失敗
+ *         description: 伺服器錯誤
  */
-router.post('/revoke-all-tokens', authenticate, async (req, res) => {
-  try {
-    const revokedCount = await jwtService.revokeAllUserTokens(req.user.uid);
+router.post(
+  '/login',
+  authLimiter, // 專業級認證限制器
+  extractDeviceFingerprint, // 提取設備指紋
+  extractRequestContext, // 提取請求上下文
+  authenticate, // Firebase 認證
+  async (req, res) => {
+    try {
+      const {
+        firebaseUid, providerId, mfaType, mfaCode,
+      } = req.body;
+      const userIdentifier = firebaseUid || req.user.uid;
 
-    logger.info('撤銷用戶所有 Token', {
-      uid: req.user.uid,
-      email: req.user.email,
-      revokedCount,
-    });
+      // 1. 檢查帳號是否被鎖定（安全增強功能）
+      const lockCheck = await securityEnhancement.checkAccountLock(userIdentifier);
+      if (lockCheck.locked) {
+        logger.warn('嘗試登入被鎖定的帳號', {
+          identifier: userIdentifier,
+          lockReason: lockCheck.reason,
+          ip: req.securityContext.ipAddress,
+          endpoint: req.originalUrl,
+        });
 
-    return res.json({
-      success: true,
-      message: '所有 Token 撤銷成功',
-      data: {
-        revokedTokens: revokedCount,
-      },
-    });
-  } catch (error) {
-    logger.error('撤銷所有 Token 失敗', {
-      error: error.message,
-      uid: req.user?.uid,
-    });
+        // 記錄安全事件
+        await securityEnhancement.recordSecurityEvent(
+          userIdentifier,
+          'locked_account_access_attempt',
+          {
+            ...req.securityContext,
+            lockReason: lockCheck.reason,
+          },
+        );
 
-    return res.status(500).json({
-      success: false,
-      error: {
-        message: '撤銷所有 Token 失敗',
-        code: 'TOKEN_REVOCATION_FAILED',
-      },
-    });
-  }
-});
-
-/**
- * @swagger
- * /api/v1/auth/session-info:
- *   get:
- *     summary: 獲取 Session 資訊
- *     description: 獲取當前用戶的 session 資訊
- *     tags: [JWT Management]
- *     security:
- *       - BearerAuth: []
- *     responses:
- *       200:
- *         description: Session 資訊獲取成功
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: Session 資訊獲取成功
- *                 data:
- *                   type: object
- *                   properties:
- *                     sessions:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           sessionId:
- *                             type: string
- *                           createdAt:
- *                             type: string
- *                             format: date-time
- *                           lastActivity:
- *                             type: string
- *                             format: date-time
- *       401:
- *         description: 認證失敗
- *       500:
- *         description: 獲取 Session 資訊失敗
- */
-router.get('/session-info', generalLimiter, authenticate, async (req, res) => {
-  try {
-    const sessions = await jwtService.getUserSessions(req.user.uid);
-
-    // 增強的 session 資訊
-    const enhancedSessions = sessions.map((session) => ({
-      sessionId: session.sessionId,
-      createdAt: session.createdAt,
-      lastActivity: session.lastActivity,
-      isActive: session.isActive,
-      deviceFingerprint: session.deviceFingerprint
-        ? `${session.deviceFingerprint.substring(0, 8)}...`
-        : null, // 只顯示部分指紋
-      ipAddress: session.ipAddress || null,
-      loginMethod: session.loginMethod || 'unknown',
-      securityFlags: session.securityFlags || {},
-      isCurrent: session.sessionId === req.user.sessionId, // 標記當前 session
-    }));
-
-    return res.json({
-      success: true,
-      message: 'Session 資訊獲取成功',
-      data: {
-        sessions: enhancedSessions,
-        totalSessions: enhancedSessions.length,
-        maxConcurrentSessions: jwtService.maxConcurrentSessions,
-      },
-    });
-  } catch (error) {
-    logger.error('獲取 Session 資訊失敗', {
-      error: error.message,
-      uid: req.user?.uid,
-    });
-
-    return res.status(500).json({
-      success: false,
-      error: {
-        message: '獲取 Session 資訊失敗',
-        code: 'SESSION_INFO_FAILED',
-      },
-    });
-  }
-});
-
-/**
- * @swagger
- * /api/v1/auth/revoke-session:
- *   post:
- *     summary: 撤銷指定 Session
- *     description: 撤銷指定的 session，可以撤銷其他設備的登入
- *     tags: [Session Management]
- *     security:
- *       - BearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - sessionId
- *             properties:
- *               sessionId:
- *                 type: string
- *                 description: 要撤銷的 Session ID
- *     responses:
- *       200:
- *         description: Session 撤銷成功
- *       400:
- *         description: 參數錯誤
- *       401:
- *         description: 認證失敗
- *       403:
- *         description: 無權限撤銷該 Session
- *       404:
- *         description: Session 不存在
- *       500:
- *         description: 伺服器錯誤
- */
-router.post(
-  '/revoke-session',
-  sensitiveOperationLimiter,
-  extractDeviceFingerprint,
-  extractRequestContext,
-  authenticate,
-  async (req, res) => {
-    try {
-      const { sessionId } = req.body;
-
-      if (!sessionId) {
-        return res.status(400).json({
+        return res.status(423).json({
           success: false,
           error: {
-            message: '缺少 sessionId 參數',
-            code: 'MISSING_SESSION_ID',
+            message: `帳號已被鎖定：${lockCheck.reason}`,
+            code: 'ACCOUNT_LOCKED',
+            lockedUntil: lockCheck.lockedUntil,
+            canRetryAt: new Date(lockCheck.lockedUntil).toISOString(),
           },
         });
       }
 
-      // 驗證 session 屬於當前用戶
-      const session = await jwtService.getSession(sessionId);
-      if (!session) {
+      const user = await User.findByFirebaseUid(userIdentifier);
+
+      if (!user) {
+        // 記錄登入失敗
+        await securityEnhancement.recordLoginFailure(userIdentifier, {
+          ...req.securityContext,
+          reason: 'user_not_found',
+        });
+
         return res.status(404).json({
           success: false,
           error: {
-            message: 'Session 不存在',
-            code: 'SESSION_NOT_FOUND',
+            message: '用戶不存在，請先註冊',
+            code: 'USER_NOT_FOUND',
           },
         });
       }
 
-      if (session.uid !== req.user.uid) {
+      // 檢查帳戶狀態
+      if (user.status === 'suspended') {
         return res.status(403).json({
           success: false,
           error: {
-            message: '無權限撤銷該 Session',
-            code: 'PERMISSION_DENIED',
+            message: '帳戶已被暫停',
+            code: 'ACCOUNT_SUSPENDED',
           },
         });
       }
 
-      // 不允許撤銷當前 session
-      if (sessionId === req.user.sessionId) {
-        return res.status(400).json({
+      if (user.status === 'inactive') {
+        return res.status(403).json({
           success: false,
           error: {
-            message: '無法撤銷當前 Session，請使用登出功能',
-            code: 'CANNOT_REVOKE_CURRENT_SESSION',
+            message: '帳戶未啟用',
+            code: 'ACCOUNT_INACTIVE',
           },
         });
       }
 
-      await jwtService.revokeSession(sessionId);
+      // 分析登入模式（檢查可疑活動、不可能的移動）
+      const mfaEnabled = await mfaService.isMFAEnabled(user.firebaseUid);
+      const loginAnalysis = await securityEnhancement.analyzeLoginPattern(user.firebaseUid, {
+        ...req.securityContext,
+        providerId: providerId || 'password',
+        mfaEnabled,
+      });
 
-      logger.info('用戶撤銷 Session', {
-        uid: req.user.uid,
-        revokedSessionId: sessionId,
-        currentSessionId: req.user.sessionId,
+      const riskLockResponse = sendRiskLockResponse(res, loginAnalysis);
+      if (riskLockResponse) {
+        return riskLockResponse;
+      }
+
+      // 高風險登入需逐步驗證，通過後才記錄為正常登入位置
+      if (loginAnalysis.action === 'require_mfa') {
+        const mfaChallengeResponse = await sendMFAChallenge(res, user.firebaseUid, {
+          mfaType,
+          mfaCode,
+          operation: 'login',
+          message: '偵測到異常登入，需要多重驗證',
+        });
+        if (mfaChallengeResponse) {
+          return mfaChallengeResponse;
+        }
+
+        await securityEnhancement.recordLoginPattern(user.firebaseUid, loginAnalysis.login);
+      }
+
+      if (loginAnalysis.suspicious) {
+        logger.warn('檢測到可疑登入模式', {
+          uid: user.firebaseUid,
+          riskScore: loginAnalysis.riskScore,
+          reasons: loginAnalysis.reasons,
+          ip: req.securityContext.ipAddress,
+        });
+
+        // 如果風險分數過高，可以要求額外驗證或通知用戶
+        if (loginAnalysis.riskScore >= 60) {
+          // 記錄高風險登入事件
+          await securityEnhancement.recordSecurityEvent(user.firebaseUid, 'high_risk_login', {
+            ...req.securityContext,
+            riskScore: loginAnalysis.riskScore,
+            reasons: loginAnalysis.reasons,
+          });
+        }
+      }
+
+      // 清除之前的登入失敗記錄
+      await securityEnhancement.clearLoginFailures(user.firebaseUid);
+
+      // 密碼過期需先變更密碼
+      const passwordChangeResponse = await sendPasswordChangeRequired(res, user);
+      if (passwordChangeResponse) {
+        return passwordChangeResponse;
+      }
+
+      // 更新登入統計
+      await user.updateLoginStats();
+
+      // 添加登入提供者（如果是新的）
+      if (providerId) {
+        await user.addProvider(providerId);
+      }
+
+      logger.info('用戶登入成功', {
+        uid: user.firebaseUid,
+        email: user.email,
+        loginCount: user.stats.loginCount,
+        riskScore: loginAnalysis.riskScore || 0,
+        suspicious: loginAnalysis.suspicious || false,
       });
 
       return res.json({
         success: true,
-        message: 'Session 撤銷成功',
+        message: '登入成功',
         data: {
-          revokedSessionId: sessionId,
+          user: user.toJSON(),
         },
       });
     } catch (error) {
-      logger.error('撤銷 Session 失敗', {
+      logger.error('用戶登入失敗', {
         error: error.message,
         uid: req.user?.uid,
-        sessionId: req.body?.sessionId,
       });
 
       return res.status(500).json({
         success: false,
         error: {
-          message: 'Session 撤銷失敗',
-          code: 'SESSION_REVOCATION_FAILED',
+          message: '登入失敗',
+          code: 'LOGIN_FAILED',
         },
       });
     }
@@ -1496,16 +1549,16 @@ router.post(
 
 /**
  * @swagger
- * /api/v1/auth/revoke-all-other-sessions:
+ * /api/v1/auth/logout:
  *   post:
- *     summary: 撤銷所有其他 Session
- *     description: 撤銷當前用戶的所有其他 session，保留當前 session
- *     tags: [Session Management]
+ *     summary: 用戶登出
+ *     description: 用戶登出（前端應該清除 token）
+ *     tags: [Authentication]
  *     security:
  *       - BearerAuth: []
  *     responses:
  *       200:
- *         description: 所有其他 Session 撤銷成功
+ *         description: 登出成功
  *         content:
  *           application/json:
  *             schema:
@@ -1516,323 +1569,464 @@ router.post(
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: 所有其他 Session 撤銷成功
- *                 data:
- *                   type: object
- *                   properties:
- *                     revokedCount:
- *                       type: number
- *                       description: 撤銷的 Session 數量
+ *                   example: 登出成功
  *       401:
  *         description: 認證失敗
  *       500:
  *         description: 伺服器錯誤
  */
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    logger.info('用戶登出', {
+      uid: req.user.uid,
+      email: req.user.email,
+    });
+
+    // 在實際應用中，可能需要將 token 加入黑名單
+    // 或者撤銷 Firebase token (需要額外的 Firebase Admin 操作)
+
+    return res.json({
+      success: true,
+      message: '登出成功',
+    });
+  } catch (error) {
+    logger.error('用戶登出失敗', {
+      error: error.message,
+      uid: req.user?.uid,
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: '登出失敗',
+        code: 'LOGOUT_FAILED',
+      },
+    });
+  }
+});
+
+// ============ 社群登入 API ============
+
+const validateSocialProvider = (req, res, next) => {
+  const supportedProviders = SocialLoginService.getSupportedProviders();
+  if (!supportedProviders.includes(req.params.providerId)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: '不支援的登入提供者',
+        code: 'UNSUPPORTED_PROVIDER',
+        supportedProviders,
+      },
+    });
+  }
+  return next();
+};
+
+/**
+ * @swagger
+ * /api/v1/auth/social/{providerId}/login:
+ *   post:
+ *     summary: 社群帳號登入
+ *     description: |
+ *       驗證 Google、Apple 的 ID Token 或 Facebook 的 access token 後登入並簽發 JWT Token 對。
+ *       首次登入時建立帳號；提供者已驗證的 email 與既有帳號相同時，通過鎖定、帳戶狀態與 MFA 檢查後自動連結。
+ *       Facebook 不保證 email 已驗證，不會自動連結，需登入後使用 /social/{providerId}/link。
+ *       已啟用 MFA 的帳號需在同一請求附上 mfaType 與 mfaCode（受信任設備除外）。
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: ['google.com', 'facebook.com', 'apple.com']
+ *       - in: header
+ *         name: X-Trusted-Device-Token
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: 受信任設備權杖
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               idToken:
+ *                 type: string
+ *                 description: OpenID Connect ID Token（Google、Apple）
+ *               nonce:
+ *                 type: string
+ *                 description: 取得 ID Token 時使用的 nonce
+ *               accessToken:
+ *                 type: string
+ *                 description: Facebook access token
+ *               mfaType:
+ *                 type: string
+ *                 enum: ['totp', 'sms', 'backup_code', 'webauthn', 'email']
+ *               mfaCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 登入成功，或需要 MFA 驗證（requiresMFA）
+ *       400:
+ *         description: 請求參數錯誤或提供者未設定
+ *       401:
+ *         description: 提供者權杖或 MFA 驗證失敗
+ *       403:
+ *         description: 社群登入未開放，或帳戶已被暫停或未啟用
+ *       409:
+ *         description: email 已註冊但提供者未驗證，需登入後手動連結
+ *       423:
+ *         description: 帳號已被鎖定
+ *       429:
+ *         description: 嘗試次數過多
+ */
 router.post(
-  '/revoke-all-other-sessions',
-  sensitiveOperationLimiter,
+  '/social/:providerId/login',
+  authLimiter,
+  validateSocialProvider,
+  requireFeature('social_login'),
   extractDeviceFingerprint,
   extractRequestContext,
-  authenticate,
   async (req, res) => {
+    const { providerId } = req.params;
+
     try {
-      const currentSessionId = req.user.sessionId;
+      const {
+        idToken, nonce, accessToken, mfaType, mfaCode,
+      } = req.body;
 
-      if (!currentSessionId) {
-        // 如果沒有 sessionId（可能是 Firebase token），撤銷所有 session
-        const revokedCount = await jwtService.revokeAllUserTokens(req.user.uid);
+      const identity = await socialLoginService.verifyCredential(providerId, {
+        idToken,
+        nonce,
+        accessToken,
+      });
+      const { user, created, pendingLink } = await socialLoginService.resolveUser(identity);
 
-        return res.json({
-          success: true,
-          message: '所有 Session 撤銷成功',
-          data: {
-            revokedCount,
+      const lockCheck = await securityEnhancement.checkAccountLock(user.firebaseUid);
+      if (lockCheck.locked) {
+        return res.status(423).json({
+          success: false,
+          error: {
+            message: `帳號已被鎖定：${lockCheck.reason}`,
+            code: 'ACCOUNT_LOCKED',
+            lockedUntil: lockCheck.lockedUntil,
           },
         });
       }
 
-      const revokedCount = await jwtService.revokeOtherUserSessions(req.user.uid, currentSessionId);
+      if (user.status === 'suspended') {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: '帳戶已被暫停',
+            code: 'ACCOUNT_SUSPENDED',
+          },
+        });
+      }
 
-      logger.info('用戶撤銷所有其他 Session', {
-        uid: req.user.uid,
-        currentSessionId,
-        revokedCount,
+      if (user.status === 'inactive') {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: '帳戶未啟用',
+            code: 'ACCOUNT_INACTIVE',
+          },
+        });
+      }
+
+      const mfaEnabled = await mfaService.isMFAEnabled(user.firebaseUid);
+      const loginAnalysis = await securityEnhancement.analyzeLoginPattern(user.firebaseUid, {
+        ...req.securityContext,
+        providerId,
+        mfaEnabled,
+      });
+
+      const riskLockResponse = sendRiskLockResponse(res, loginAnalysis);
+      if (riskLockResponse) {
+        return riskLockResponse;
+      }
+
+      // 已啟用 MFA 時，除非是無可疑跡象的受信任設備，否則需在同一請求完成 MFA
+      const trustedDevice = mfaEnabled && !loginAnalysis.suspicious
+        ? await findTrustedDevice(req, user.firebaseUid)
+        : null;
+      if (mfaEnabled && !trustedDevice) {
+        const mfaChallengeResponse = await sendMFAChallenge(res, user.firebaseUid, {
+          mfaType,
+          mfaCode,
+          operation: 'social_login',
+          message: '登入需要多重驗證',
+        });
+        if (mfaChallengeResponse) {
+          return mfaChallengeResponse;
+        }
+
+        // 高風險登入通過逐步驗證後才記錄為正常登入位置
+        if (loginAnalysis.action === 'require_mfa') {
+          await securityEnhancement.recordLoginPattern(user.firebaseUid, loginAnalysis.login);
+        }
+      }
+
+      // 通過所有檢查後才將提供者連結至既有帳號
+      if (pendingLink) {
+        await socialLoginService.linkProvider(user, identity);
+        logger.info('社群登入合併既有帳號', { uid: user.firebaseUid, providerId });
+      }
+
+      await user.updateLoginStats();
+
+      const tokenPair = await jwtService.generateTokenPair(
+        {
+          firebaseUid: user.firebaseUid,
+          email: user.email,
+          role: user.role,
+          permissions: user.permissions || [],
+        },
+        {
+          ipAddress: req.securityContext.ipAddress,
+          deviceFingerprint: req.securityContext.deviceFingerprint,
+          userAgent: req.securityContext.userAgent,
+          loginMethod: `social:${providerId}`,
+          riskScore: loginAnalysis.riskScore || 0,
+          trustedDeviceId: trustedDevice?.id || null,
+          authenticatedAt: Date.now(),
+          authenticationMethod: mfaEnabled && !trustedDevice ? 'mfa' : 'password',
+        },
+      );
+
+      logger.info('社群登入成功', {
+        uid: user.firebaseUid,
+        providerId,
+        created,
+        linked: pendingLink,
+        sessionId: tokenPair.sessionId,
+        ipAddress: req.securityContext.ipAddress,
       });
 
       return res.json({
         success: true,
-        message: '所有其他 Session 撤銷成功',
+        message: '登入成功',
         data: {
-          revokedCount,
-          currentSessionId,
+          user: user.toJSON(),
+          isNewUser: created,
+          providerLinked: pendingLink,
+          ...tokenPair,
         },
       });
     } catch (error) {
-      logger.error('撤銷所有其他 Session 失敗', {
+      logger.error('社群登入失敗', {
+        providerId,
+        code: error.code,
         error: error.message,
-        uid: req.user?.uid,
+        ipAddress: req.securityContext?.ipAddress,
       });
 
-      return res.status(500).json({
-        success: false,
-        error: {
-          message: '撤銷所有其他 Session 失敗',
-          code: 'REVOKE_ALL_SESSIONS_FAILED',
-        },
-      });
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: '資料驗證失敗',
+            code: 'VALIDATION_ERROR',
+            details: Object.values(error.errors).map((err) => err.message),
+          },
+        });
+      }
+
+      return sendServiceError(res, error, '登入失敗', 'LOGIN_FAILED');
     }
   },
 );
 
 /**
  * @swagger
- * /api/v1/auth/validate-session:
+ * /api/v1/auth/social/{providerId}/link:
  *   post:
- *     summary: 驗證 Session 安全性
- *     description: 驗證當前 session 的安全性，包括 IP 和設備指紋檢查
- *     tags: [Session Management]
+ *     summary: 連結社群帳號
+ *     description: 驗證提供者權杖後將社群帳號連結至目前登入的用戶
+ *     tags: [Authentication]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: ['google.com', 'facebook.com', 'apple.com']
  *     requestBody:
- *       required: false
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
- *               deviceFingerprint:
+ *               idToken:
+ *                 type: string
+ *               nonce:
+ *                 type: string
+ *               accessToken:
  *                 type: string
- *                 description: 設備指紋
- *               forceValidation:
- *                 type: boolean
- *                 description: 強制執行驗證
- *                 default: false
  *     responses:
  *       200:
- *         description: Session 驗證成功
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
- *                 data:
- *                   type: object
- *                   properties:
- *                     valid:
- *                       type: boolean
- *                     warnings:
- *                       type: array
- *                       items:
- *                         type: string
- *                     securityFlags:
- *                       type: object
+ *         description: 連結成功
+ *       400:
+ *         description: 請求參數錯誤或提供者未設定
  *       401:
- *         description: 認證失敗或 Session 無效
- *       500:
- *         description: 伺服器錯誤
+ *         description: 提供者權杖驗證失敗
+ *       403:
+ *         $ref: '#/components/responses/StepUpRequiredError'
+ *       404:
+ *         description: 用戶不存在
+ *       409:
+ *         description: 社群帳號已連結至其他用戶
  */
 router.post(
-  '/validate-session',
-  generalLimiter,
-  extractDeviceFingerprint,
-  extractRequestContext,
+  '/social/:providerId/link',
+  sensitiveOperationLimiter,
+  validateSocialProvider,
   authenticate,
+  requireStepUp(),
+  requireFeature('social_login'),
   async (req, res) => {
-    try {
-      const { sessionId } = req.user;
+    const { providerId } = req.params;
 
-      if (!sessionId) {
-        return res.status(400).json({
+    try {
+      const user = await User.findByFirebaseUid(req.user.uid);
+      if (!user) {
+        return res.status(404).json({
           success: false,
           error: {
-            message: 'Session ID 不存在，無法驗證',
-            code: 'MISSING_SESSION_ID',
+            message: '用戶不存在',
+            code: 'USER_NOT_FOUND',
           },
         });
       }
 
-      const { deviceFingerprint, forceValidation = false } = req.body;
+      const { idToken, nonce, accessToken } = req.body;
+      const identity = await socialLoginService.verifyCredential(providerId, {
+        idToken,
+        nonce,
+        accessToken,
+      });
+      await socialLoginService.linkProvider(user, identity);
 
-      // 使用已提取的請求上下文，並合併body中的設備指紋
-      const requestContext = {
-        ...req.securityContext,
-        deviceFingerprint: deviceFingerprint || req.securityContext.deviceFingerprint,
-      };
-
-      const sessionValidation = await jwtService.validateSessionSecurity(sessionId, requestContext);
-
-      // 如果 session 無效且不是強制驗證，返回認證錯誤
-      if (!sessionValidation.valid && !forceValidation) {
-        return res.status(401).json({
-          success: false,
-          error: {
-            message: 'Session 無效',
-            code: 'INVALID_SESSION',
-            reason: sessionValidation.reason,
-          },
-        });
-      }
-
-      logger.info('Session 安全驗證完成', {
-        sessionId,
-        uid: req.user.uid,
-        valid: sessionValidation.valid,
-        warnings: sessionValidation.warnings || [],
-      });
+      logger.info('社群帳號連結成功', { uid: user.firebaseUid, providerId });
 
       return res.json({
         success: true,
-        message: 'Session 驗證完成',
+        message: '社群帳號連結成功',
         data: {
-          valid: sessionValidation.valid,
-          warnings: sessionValidation.warnings || [],
-          securityFlags: sessionValidation.securityFlags || {},
-          requestContext: {
-            ipAddress: requestContext.ipAddress,
-            timestamp: requestContext.timestamp,
-          },
+          providers: user.providers,
         },
       });
     } catch (error) {
-      logger.error('Session 驗證失敗', {
-        error: error.message,
+      logger.error('社群帳號連結失敗', {
         uid: req.user?.uid,
-        sessionId: req.user?.sessionId,
+        providerId,
+        code: error.code,
+        error: error.message,
       });
 
-      return res.status(500).json({
-        success: false,
-        error: {
-          message: 'Session 驗證失敗',
-          code: 'SESSION_VALIDATION_FAILED',
-        },
-      });
+      return sendServiceError(res, error, '社群帳號連結失敗', 'SOCIAL_LINK_FAILED');
     }
   },
 );
 
-// ============ 帳號鎖定管理 API ============
-
 /**
  * @swagger
- * /api/v1/auth/account-security-status:
- *   get:
- *     summary: 獲取帳號安全狀態
- *     description: 獲取當前用戶的帳號安全狀態，包括鎖定狀態、失敗記錄、風險評估等
- *     tags: [Account Security]
+ * /api/v1/auth/social/{providerId}:
+ *   delete:
+ *     summary: 解除社群帳號連結
+ *     description: 解除目前用戶與社群帳號的連結，帳號必須保留至少一種登入方式
+ *     tags: [Authentication]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: ['google.com', 'facebook.com', 'apple.com']
  *     responses:
  *       200:
- *         description: 成功獲取帳號安全狀態
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
- *                 data:
- *                   type: object
- *                   properties:
- *                     userIdentifier:
- *                       type: string
- *                     lockStatus:
- *                       type: object
- *                       properties:
- *                         locked:
- *                           type: boolean
- *                         reason:
- *                           type: string
- *                         lockedUntil:
- *                           type: string
- *                           format: date-time
- *                     failureHistory:
- *                       type: object
- *                       properties:
- *                         attempts:
- *                           type: number
- *                         lastFailure:
- *                           type: object
- *                         recentFailures:
- *                           type: array
- *                     riskAssessment:
- *                       type: object
- *                       properties:
- *                         level:
- *                           type: string
- *                           enum: [low, medium, high, critical]
- *                         score:
- *                           type: number
- *                         factors:
- *                           type: array
- *                           items:
- *                             type: string
- *       401:
- *         description: 認證失敗
- *       500:
- *         description: 伺服器錯誤
+ *         description: 解除連結成功
+ *       400:
+ *         description: 無法解除唯一的登入方式
+ *       403:
+ *         $ref: '#/components/responses/StepUpRequiredError'
+ *       404:
+ *         description: 用戶不存在或尚未連結此登入方式
  */
-router.get('/account-security-status', generalLimiter, authenticate, async (req, res) => {
-  try {
-    const userIdentifier = req.user.uid;
-    const securityStatus = await securityEnhancement.getAccountSecurityStatus(userIdentifier);
+router.delete(
+  '/social/:providerId',
+  sensitiveOperationLimiter,
+  validateSocialProvider,
+  authenticate,
+  requireStepUp(),
+  async (req, res) => {
+    const { providerId } = req.params;
 
-    return res.json({
-      success: true,
-      message: '帳號安全狀態獲取成功',
-      data: securityStatus,
-    });
-  } catch (error) {
-    logger.error('獲取帳號安全狀態失敗', {
-      error: error.message,
-      uid: req.user?.uid,
-    });
+    try {
+      const user = await User.findByFirebaseUid(req.user.uid);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: '用戶不存在',
+            code: 'USER_NOT_FOUND',
+          },
+        });
+      }
 
-    return res.status(500).json({
-      success: false,
-      error: {
-        message: '獲取帳號安全狀態失敗',
-        code: 'SECURITY_STATUS_FAILED',
-      },
-    });
-  }
-});
+      await SocialLoginService.unlinkProvider(user, providerId);
+
+      logger.info('社群帳號解除連結成功', { uid: user.firebaseUid, providerId });
+
+      return res.json({
+        success: true,
+        message: '社群帳號已解除連結',
+        data: {
+          providers: user.providers,
+        },
+      });
+    } catch (error) {
+      logger.error('社群帳號解除連結失敗', {
+        uid: req.user?.uid,
+        providerId,
+        code: error.code,
+        error: error.message,
+      });
+
+      return sendServiceError(res, error, '解除連結失敗', 'SOCIAL_UNLINK_FAILED');
+    }
+  },
+);
+
+// ============ JWT Token 管理路由 ============
 
 /**
  * @swagger
- * /api/v1/auth/admin/unlock-account:
+ * /api/v1/auth/generate-tokens:
  *   post:
- *     summary: 解鎖帳號（管理員）
- *     description: 管理員解鎖被鎖定的帳號
- *     tags: [Account Security]
+ *     summary: 生成 JWT Token 對
+ *     description: 為已認證用戶生成 JWT access token 和 refresh token
+ *     tags: [JWT Management]
  *     security:
  *       - BearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - userIdentifier
- *             properties:
- *               userIdentifier:
- *                 type: string
- *                 description: 要解鎖的用戶標識（firebaseUid 或 email）
- *               reason:
- *                 type: string
- *                 description: 解鎖原因
- *                 default: 管理員解鎖
+ *     parameters:
+ *       - in: header
+ *         name: X-Trusted-Device-Token
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: 受信任設備權杖，設備受信任且無可疑登入跡象時略過 MFA
  *     responses:
  *       200:
- *         description: 帳號解鎖成功
+ *         description: Token 生成成功
  *         content:
  *           application/json:
  *             schema:
@@ -1840,88 +2034,201 @@ router.get('/account-security-status', generalLimiter, authenticate, async (req,
  *               properties:
  *                 success:
  *                   type: boolean
+ *                   example: true
  *                 message:
  *                   type: string
+ *                   example: Token 生成成功
  *                 data:
  *                   type: object
  *                   properties:
- *                     userIdentifier:
+ *                     accessToken:
  *                       type: string
- *                     unlocked:
- *                       type: boolean
- *                     reason:
+ *                       description: JWT Access Token
+ *                     refreshToken:
  *                       type: string
- *       400:
- *         description: 參數錯誤
+ *                       description: JWT Refresh Token
+ *                     tokenType:
+ *                       type: string
+ *                       example: Bearer
+ *                     expiresIn:
+ *                       type: number
+ *                       description: Token 過期時間（秒）
+ *                     sessionId:
+ *                       type: string
+ *                       description: Session ID
  *       401:
  *         description: 認證失敗
  *       403:
- *         description: 權限不足
- *       404:
- *         description: 帳號未鎖定
+ *         description: 密碼已過期（PASSWORD_CHANGE_REQUIRED，附帶 passwordChangeToken）
+ *       423:
+ *         description: 帳號已被鎖定（包含偵測到不可能的移動而暫時鎖定，reason 為 impossible_travel）
  *       500:
- *         description: 伺服器錯誤
+ *         description: Token 生成失敗
  */
 router.post(
-  '/admin/unlock-account',
-  sensitiveOperationLimiter,
-  authenticate,
-  requireRole('admin'),
+  '/generate-tokens',
+  sensitiveOperationLimiter, // 敏感操作限制器（使用專業級限制）
+  extractDeviceFingerprint, // 提取設備指紋
+  extractRequestContext, // 提取請求上下文
+  authenticate, // Firebase 認證
   async (req, res) => {
     try {
-      const { userIdentifier, reason = '管理員解鎖' } = req.body;
+      const user = await User.findByFirebaseUid(req.user.uid);
 
-      if (!userIdentifier) {
-        return res.status(400).json({
+      if (!user) {
+        return res.status(404).json({
           success: false,
           error: {
-            message: '缺少 userIdentifier 參數',
-            code: 'MISSING_USER_IDENTIFIER',
+            message: '用戶不存在',
+            code: 'USER_NOT_FOUND',
           },
         });
       }
 
-      const adminUser = req.user.uid;
-      const unlocked = await securityEnhancement.unlockAccount(userIdentifier, adminUser, reason);
+      // 1. 安全檢查 - 檢查帳號狀態和鎖定
+      const lockCheck = await securityEnhancement.checkAccountLock(user.firebaseUid);
+      if (lockCheck.locked) {
+        logger.warn('被鎖定帳號嘗試生成 Token', {
+          uid: user.firebaseUid,
+          lockReason: lockCheck.reason,
+          ip: req.securityContext.ipAddress,
+        });
 
-      if (!unlocked) {
-        return res.status(404).json({
+        return res.status(423).json({
           success: false,
           error: {
-            message: '帳號未被鎖定或解鎖失敗',
-            code: 'ACCOUNT_NOT_LOCKED',
+            message: `帳號已被鎖定，無法生成 Token：${lockCheck.reason}`,
+            code: 'ACCOUNT_LOCKED',
+            lockedUntil: lockCheck.lockedUntil,
           },
         });
       }
 
-      logger.info('管理員解鎖帳號', {
-        adminUser,
-        userIdentifier,
-        reason,
+      // 密碼過期需先變更密碼
+      const passwordChangeResponse = await sendPasswordChangeRequired(res, user);
+      if (passwordChangeResponse) {
+        return passwordChangeResponse;
+      }
+
+      // 2. 分析登入模式和風險評估
+      const loginAnalysis = await securityEnhancement.analyzeLoginPattern(user.firebaseUid, {
+        ...req.securityContext,
+        providerId: 'jwt_generation',
+        mfaEnabled: await mfaService.isMFAEnabled(user.firebaseUid),
+      });
+
+      const riskLockResponse = sendRiskLockResponse(res, loginAnalysis);
+      if (riskLockResponse) {
+        return riskLockResponse;
+      }
+
+      if (loginAnalysis.suspicious && loginAnalysis.riskScore >= 50) {
+        logger.warn('高風險 Token 生成請求', {
+          uid: user.firebaseUid,
+          riskScore: loginAnalysis.riskScore,
+          reasons: loginAnalysis.reasons,
+          ip: req.securityContext.ipAddress,
+        });
+
+        // 記錄高風險事件
+        await securityEnhancement.recordSecurityEvent(
+          user.firebaseUid,
+          'high_risk_token_generation',
+          {
+            ...req.securityContext,
+            riskScore: loginAnalysis.riskScore,
+            reasons: loginAnalysis.reasons,
+          },
+        );
+
+        // 高風險情況下要求額外驗證
+        return res.status(200).json({
+          success: false,
+          requiresAdditionalVerification: true,
+          message: '檢測到可疑活動，需要額外驗證',
+          data: {
+            riskScore: loginAnalysis.riskScore,
+            reasons: loginAnalysis.reasons,
+            nextSteps: ['請使用 MFA 驗證', '或聯繫客服驗證身份'],
+          },
+        });
+      }
+
+      // 3. 檢查 MFA 狀態（如果已啟用）
+      // 受信任設備在登入模式無可疑跡象時略過 MFA
+      const mfaEnabled = await mfaService.isMFAEnabled(user.firebaseUid);
+      const trustedDevice = mfaEnabled && !loginAnalysis.suspicious
+        ? await findTrustedDevice(req, user.firebaseUid)
+        : null;
+      if (mfaEnabled && !trustedDevice) {
+        const mfaVerified = req.headers['x-mfa-verified'] === 'true' || req.user.mfaVerified;
+        if (!mfaVerified) {
+          const mfaStatus = await mfaService.getUserMFAStatus(user.firebaseUid);
+
+          logger.info('Token 生成需要 MFA 驗證', {
+            uid: user.firebaseUid,
+            enabledMethods: mfaStatus.enabledMethods,
+          });
+
+          return res.status(200).json({
+            success: false,
+            requiresMFA: true,
+            message: 'Token 生成需要多重驗證',
+            data: {
+              availableMethods: mfaStatus.enabledMethods,
+              operation: 'token_generation',
+            },
+          });
+        }
+      }
+
+      // 提取請求上下文
+      const { deviceFingerprint } = req.body;
+      const requestContext = {
+        ipAddress: req.ip || req.connection.remoteAddress,
+        deviceFingerprint,
+        userAgent: req.get('User-Agent'),
+        loginMethod: 'jwt_generation',
+        riskScore: loginAnalysis.riskScore || 0,
+        trustedDeviceId: trustedDevice?.id || null,
+        // Firebase 登入時間作為 session 的驗證時間
+        authenticatedAt: req.user.authTime ? req.user.authTime * 1000 : null,
+      };
+
+      // 生成 JWT token 對（帶上下文）
+      const tokenPair = await jwtService.generateTokenPair(
+        {
+          firebaseUid: user.firebaseUid,
+          email: user.email,
+          role: user.role,
+          permissions: user.permissions || [],
+        },
+        requestContext,
+      );
+
+      logger.info('JWT Token 對生成成功', {
+        uid: user.firebaseUid,
+        email: user.email,
+        sessionId: tokenPair.sessionId,
+        ipAddress: requestContext.ipAddress,
       });
 
       return res.json({
         success: true,
-        message: '帳號解鎖成功',
-        data: {
-          userIdentifier,
-          unlocked: true,
-          reason,
-          adminUser,
-        },
+        message: 'Token 生成成功',
+        data: tokenPair,
       });
     } catch (error) {
-      logger.error('管理員解鎖帳號失敗', {
+      logger.error('JWT Token 生成失敗', {
         error: error.message,
-        adminUser: req.user?.uid,
-        userIdentifier: req.body?.userIdentifier,
+        uid: req.user?.uid,
       });
 
       return res.status(500).json({
         success: false,
         error: {
-          message: '解鎖帳號失敗',
-          code: 'UNLOCK_ACCOUNT_FAILED',
+          message: 'Token 生成失敗',
+          code: 'TOKEN_GENERATION_FAILED',
         },
       });
     }
@@ -1930,13 +2237,14 @@ router.post(
 
 /**
  * @swagger
- * /api/v1/auth/admin/lock-account:
+ * /api/v1/auth/refresh-token:
  *   post:
- *     summary: 鎖定帳號（管理員）
- *     description: 管理員手動鎖定用戶帳號
- *     tags: [Account Security]
- *     security:
- *       - BearerAuth: []
+ *     summary: 刷新 Access Token
+ *     description: |
+ *       使用 refresh token 獲取新的 access token，並輪替 refresh token。
+ *       舊的 refresh token 立即失效；若已輪替的 refresh token 再次被使用，
+ *       視為 token 遭竊，整個 session 會被撤銷。
+ *     tags: [JWT Management]
  *     requestBody:
  *       required: true
  *       content:
@@ -1944,114 +2252,97 @@ router.post(
  *           schema:
  *             type: object
  *             required:
- *               - userIdentifier
- *               - duration
- *               - reason
+ *               - refreshToken
  *             properties:
- *               userIdentifier:
- *                 type: string
- *                 description: 要鎖定的用戶標識（firebaseUid 或 email）
- *               duration:
- *                 type: number
- *                 description: 鎖定時間（秒）
- *                 minimum: 60
- *                 maximum: 86400
- *               reason:
+ *               refreshToken:
  *                 type: string
- *                 description: 鎖定原因
+ *                 description: Refresh Token
  *     responses:
  *       200:
- *         description: 帳號鎖定成功
+ *         description: Token 刷新成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Token 刷新成功
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accessToken:
+ *                       type: string
+ *                       description: 新的 JWT Access Token
+ *                     refreshToken:
+ *                       type: string
+ *                       description: 新的 Refresh Token（取代請求中的 refresh token）
+ *                     tokenType:
+ *                       type: string
+ *                       example: Bearer
+ *                     expiresIn:
+ *                       type: number
+ *                       description: Token 過期時間（秒）
  *       400:
- *         description: 參數錯誤
+ *         description: 請求參數錯誤
  *       401:
- *         description: 認證失敗
- *       403:
- *         description: 權限不足
- *       409:
- *         description: 帳號已被鎖定
+ *         description: Refresh token 無效、已過期、已被使用（REFRESH_TOKEN_REUSED）或已撤銷（REFRESH_TOKEN_REVOKED）
  *       500:
- *         description: 伺服器錯誤
+ *         description: Token 刷新失敗
  */
 router.post(
-  '/admin/lock-account',
-  sensitiveOperationLimiter,
-  authenticate,
-  requireRole('admin'),
+  '/refresh-token',
+  authLimiter, // 認證限制器
+  extractDeviceFingerprint,
+  extractRequestContext,
   async (req, res) => {
     try {
-      const { userIdentifier, duration, reason } = req.body;
-
-      if (!userIdentifier || !duration || !reason) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            message: '缺少必要參數: userIdentifier, duration, reason',
-            code: 'MISSING_REQUIRED_PARAMETERS',
-          },
-        });
-      }
+      const { refreshToken } = req.body;
 
-      // 驗證鎖定時間範圍
-      if (duration < 60 || duration > 86400) {
+      if (!refreshToken) {
         return res.status(400).json({
           success: false,
           error: {
-            message: '鎖定時間必須在 60 秒到 24 小時之間',
-            code: 'INVALID_DURATION',
+            message: '缺少 refresh token',
+            code: 'MISSING_REFRESH_TOKEN',
           },
         });
       }
 
-      const adminUser = req.user.uid;
-      const locked = await securityEnhancement.manualLockAccount(
-        userIdentifier,
-        duration,
-        reason,
-        adminUser,
-      );
+      // 提取請求上下文進行安全驗證
+      const requestContext = {
+        ...req.securityContext,
+        loginMethod: 'token_refresh',
+      };
 
-      if (!locked) {
-        return res.status(409).json({
-          success: false,
-          error: {
-            message: '帳號已經被鎖定或鎖定失敗',
-            code: 'ACCOUNT_ALREADY_LOCKED',
-          },
-        });
-      }
+      // 刷新 access token（帶上下文）
+      const newToken = await jwtService.refreshAccessToken(refreshToken, requestContext);
 
-      logger.info('管理員鎖定帳號', {
-        adminUser,
-        userIdentifier,
-        duration,
-        reason,
+      logger.info('Access Token 刷新成功', {
+        ipAddress: requestContext.ipAddress,
+        deviceFingerprint: requestContext.deviceFingerprint,
       });
 
       return res.json({
         success: true,
-        message: '帳號鎖定成功',
-        data: {
-          userIdentifier,
-          locked: true,
-          duration,
-          reason,
-          adminUser,
-          lockedUntil: new Date(Date.now() + duration * 1000),
-        },
+        message: 'Token 刷新成功',
+        data: newToken,
       });
     } catch (error) {
-      logger.error('管理員鎖定帳號失敗', {
+      logger.error('Token 刷新失敗', {
         error: error.message,
-        adminUser: req.user?.uid,
-        userIdentifier: req.body?.userIdentifier,
       });
 
-      return res.status(500).json({
+      return res.status(401).json({
         success: false,
         error: {
-          message: '鎖定帳號失敗',
-          code: 'LOCK_ACCOUNT_FAILED',
+          message: error.message || 'Token 刷新失敗',
+          code: ['REFRESH_TOKEN_REUSED', 'REFRESH_TOKEN_REVOKED'].includes(error.code)
+            ? error.code
+            : 'TOKEN_REFRESH_FAILED',
         },
       });
     }
@@ -2060,176 +2351,270 @@ router.post(
 
 /**
  * @swagger
- * /api/v1/auth/admin/security-events/{userIdentifier}:
- *   get:
- *     summary: 獲取用戶安全事件記錄（管理員）
- *     description: 管理員查看特定用戶的安全事件記錄
- *     tags: [Account Security]
- *     security:
+ * /api/v1/auth/revoke-token:
+ *   post:
+ *     summary: 撤銷 Token
+ *     description: 撤銷指定的 access token 或 refresh token
+ *     tags: [JWT Management]
+ *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: userIdentifier
- *         required: true
- *         schema:
- *           type: string
- *         description: 用戶標識
- *       - in: query
- *         name: limit
- *         schema:
- *           type: number
- *           default: 50
- *         description: 返回記錄數量限制
- *       - in: query
- *         name: eventType
- *         schema:
- *           type: string
- *         description: 篩選事件類型
- *       - in: query
- *         name: severityLevel
- *         schema:
- *           type: string
- *           enum: [low, medium, high, critical]
- *         description: 篩選嚴重程度
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: 要撤銷的 token（可選，預設撤銷當前 token）
  *     responses:
  *       200:
- *         description: 成功獲取安全事件記錄
+ *         description: Token 撤銷成功
  *       401:
  *         description: 認證失敗
- *       403:
- *         description: 權限不足
- *       404:
- *         description: 無安全事件記錄
  *       500:
- *         description: 伺服器錯誤
+ *         description: Token 撤銷失敗
  */
-router.get(
-  '/admin/security-events/:userIdentifier',
-  generalLimiter,
-  authenticate,
-  requireRole('admin'),
-  async (req, res) => {
-    try {
-      const { userIdentifier } = req.params;
-      const { limit = 50, eventType, severityLevel } = req.query;
-
-      const securityEvents = await securityEnhancement.getSecurityEvents(userIdentifier, {
-        limit: parseInt(limit, 10),
-        eventType,
-        severityLevel,
-      });
-
-      if (!securityEvents) {
-        return res.status(404).json({
-          success: false,
-          error: {
-            message: '無安全事件記錄',
-            code: 'NO_SECURITY_EVENTS',
-          },
-        });
-      }
-
-      logger.info('管理員查看安全事件記錄', {
-        adminUser: req.user.uid,
-        userIdentifier,
-        eventCount: securityEvents.totalEvents,
-      });
+router.post('/revoke-token', sensitiveOperationLimiter, authenticate, async (req, res) => {
+  try {
+    const { token } = req.body;
 
-      return res.json({
-        success: true,
-        message: '安全事件記錄獲取成功',
-        data: securityEvents,
-      });
-    } catch (error) {
-      logger.error('獲取安全事件記錄失敗', {
-        error: error.message,
-        adminUser: req.user?.uid,
-        userIdentifier: req.params?.userIdentifier,
-      });
+    // 如果沒有指定 token，撤銷當前請求的 token
+    const tokenToRevoke = token || req.headers.authorization?.slice(7);
 
-      return res.status(500).json({
+    if (!tokenToRevoke) {
+      return res.status(400).json({
         success: false,
         error: {
-          message: '獲取安全事件記錄失敗',
-          code: 'SECURITY_EVENTS_FAILED',
+          message: '缺少要撤銷的 token',
+          code: 'MISSING_TOKEN',
         },
       });
     }
-  },
-);
+
+    await jwtService.revokeToken(tokenToRevoke);
+
+    logger.info('Token 撤銷成功', {
+      uid: req.user.uid,
+      email: req.user.email,
+    });
+
+    return res.json({
+      success: true,
+      message: 'Token 撤銷成功',
+    });
+  } catch (error) {
+    logger.error('Token 撤銷失敗', {
+      error: error.message,
+      uid: req.user?.uid,
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Token 撤銷失敗',
+        code: 'TOKEN_REVOCATION_FAILED',
+      },
+    });
+  }
+});
 
 /**
  * @swagger
- * /api/v1/auth/admin/login-failures/{userIdentifier}:
- *   get:
- *     summary: 獲取用戶登入失敗記錄（管理員）
- *     description: 管理員查看特定用戶的登入失敗記錄
- *     tags: [Account Security]
+ * /api/v1/auth/step-up:
+ *   post:
+ *     summary: Step-up 重新驗證
+ *     description: |
+ *       在目前的 JWT session 上重新完成 MFA 或密碼驗證。敏感操作回應 403 STEP_UP_REQUIRED 時，
+ *       完成此驗證後即可在安全政策的 sessionPolicy.stepUpMaxAge 期限內重試。
+ *       密碼方式需提供剛重新登入取得的 Firebase ID Token；sessionPolicy.requireMfaForSensitive
+ *       啟用時只接受 MFA。未附 mfaType / mfaCode 時回應可用的 MFA 方法
+ *     tags: [JWT Management]
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: userIdentifier
- *         required: true
- *         schema:
- *           type: string
- *         description: 用戶標識
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - method
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [mfa, password]
+ *               mfaType:
+ *                 type: string
+ *                 enum: [totp, sms, email, backup_code]
+ *               mfaCode:
+ *                 type: string
+ *               idToken:
+ *                 type: string
+ *                 description: 重新輸入密碼後取得的 Firebase ID Token（method 為 password 時必填）
  *     responses:
  *       200:
- *         description: 成功獲取登入失敗記錄
+ *         description: 重新驗證成功，或需要提供 MFA 驗證碼（requiresMFA）
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 身分重新驗證成功
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     method:
+ *                       type: string
+ *                     reauthenticatedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: 參數錯誤、驗證方式不被接受或不是 JWT session
  *       401:
- *         description: 認證失敗
- *       403:
- *         description: 權限不足
- *       404:
- *         description: 無登入失敗記錄
+ *         description: 認證失敗、重新驗證失敗（REAUTHENTICATION_FAILED）或 session 已撤銷
+ *       429:
+ *         description: MFA 嘗試次數過多
  *       500:
- *         description: 伺服器錯誤
+ *         description: 重新驗證失敗
  */
-router.get(
-  '/admin/login-failures/:userIdentifier',
-  generalLimiter,
+router.post(
+  '/step-up',
+  authLimiter,
+  extractDeviceFingerprint,
+  extractRequestContext,
   authenticate,
-  requireRole('admin'),
   async (req, res) => {
     try {
-      const { userIdentifier } = req.params;
+      const {
+        method, mfaType, mfaCode, idToken,
+      } = req.body;
+      const { uid, sessionId } = req.user;
 
-      const loginFailures = await securityEnhancement.getLoginFailures(userIdentifier);
+      if (!['mfa', 'password'].includes(method)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: '無效的驗證方式',
+            code: 'INVALID_STEP_UP_METHOD',
+            validMethods: ['mfa', 'password'],
+          },
+        });
+      }
 
-      if (!loginFailures) {
-        return res.status(404).json({
+      // Firebase token 以其登入時間判斷，重新登入後使用新的 token 即可
+      if (!sessionId) {
+        return res.status(400).json({
           success: false,
           error: {
-            message: '無登入失敗記錄',
-            code: 'NO_LOGIN_FAILURES',
+            message: '僅 JWT session 可進行 step-up 驗證，請重新登入後使用新的 token',
+            code: 'SESSION_REQUIRED',
           },
         });
       }
 
-      logger.info('管理員查看登入失敗記錄', {
-        adminUser: req.user.uid,
-        userIdentifier,
-        attempts: loginFailures.attempts,
+      const stepUpPolicy = await jwtService.getStepUpPolicy();
+
+      if (method === 'password') {
+        if (stepUpPolicy.requireMfa) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              message: '安全政策要求使用多重驗證',
+              code: 'STEP_UP_METHOD_NOT_ALLOWED',
+              validMethods: ['mfa'],
+            },
+          });
+        }
+
+        if (!idToken) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              message: '缺少必要參數: idToken',
+              code: 'MISSING_REQUIRED_PARAMETERS',
+            },
+          });
+        }
+
+        // 只接受同一用戶、未撤銷且剛重新登入的 Firebase token
+        const decodedToken = await getAuth().verifyIdToken(idToken, true).catch(() => null);
+        const authAge = Math.floor(Date.now() / 1000) - (decodedToken?.auth_time || 0);
+        if (!decodedToken || decodedToken.uid !== uid || authAge > stepUpPolicy.maxAge) {
+          await securityEnhancement.recordSecurityEvent(uid, 'step_up_failed', {
+            ...req.securityContext,
+            method,
+            sessionId,
+          });
+
+          return res.status(401).json({
+            success: false,
+            error: {
+              message: '重新驗證失敗，請重新輸入密碼',
+              code: 'REAUTHENTICATION_FAILED',
+            },
+          });
+        }
+      } else {
+        const mfaChallengeResponse = await sendMFAChallenge(res, uid, {
+          mfaType,
+          mfaCode,
+          operation: 'step_up',
+          message: '請完成多重驗證以繼續敏感操作',
+        });
+        if (mfaChallengeResponse) {
+          return mfaChallengeResponse;
+        }
+      }
+
+      const reauthenticatedAt = await jwtService.recordReauthentication(sessionId, method);
+      if (!reauthenticatedAt) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            message: 'Session 已失效，請重新登入',
+            code: 'SESSION_REVOKED',
+          },
+        });
+      }
+
+      await securityEnhancement.recordSecurityEvent(uid, 'step_up_authentication', {
+        ...req.securityContext,
+        method,
+        sessionId,
       });
 
       return res.json({
         success: true,
-        message: '登入失敗記錄獲取成功',
-        data: loginFailures,
+        message: '身分重新驗證成功',
+        data: {
+          method,
+          reauthenticatedAt,
+          expiresAt: new Date(Date.parse(reauthenticatedAt) + stepUpPolicy.maxAge * 1000)
+            .toISOString(),
+        },
       });
     } catch (error) {
-      logger.error('獲取登入失敗記錄失敗', {
+      logger.error('Step-up 驗證失敗', {
         error: error.message,
-        adminUser: req.user?.uid,
-        userIdentifier: req.params?.userIdentifier,
+        uid: req.user?.uid,
+        method: req.body?.method,
       });
 
       return res.status(500).json({
         success: false,
         error: {
-          message: '獲取登入失敗記錄失敗',
-          code: 'LOGIN_FAILURES_FAILED',
+          message: '重新驗證失敗',
+          code: 'STEP_UP_FAILED',
         },
       });
     }
@@ -2238,189 +2623,91 @@ router.get(
 
 /**
  * @swagger
- * /api/v1/auth/admin/clear-login-failures:
+ * /api/v1/auth/revoke-all-tokens:
  *   post:
- *     summary: 清除登入失敗記錄（管理員）
- *     description: 管理員清除特定用戶的登入失敗記錄
- *     tags: [Account Security]
+ *     summary: 撤銷所有 Token
+ *     description: 撤銷用戶的所有 JWT token（登出所有設備）
+ *     tags: [JWT Management]
  *     security:
  *       - BearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - userIdentifier
- *             properties:
- *               userIdentifier:
- *                 type: string
- *                 description: 要清除記錄的用戶標識
  *     responses:
  *       200:
- *         description: 登入失敗記錄清除成功
- *       400:
- *         description: 參數錯誤
+ *         description: 所有 Token 撤銷成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 所有 Token 撤銷成功
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedTokens:
+ *                       type: number
+ *                       description: 撤銷的 token 數量
  *       401:
  *         description: 認證失敗
  *       403:
- *         description: 權限不足
+ *         $ref: '#/components/responses/StepUpRequiredError'
  *       500:
- *         description: 伺服器錯誤
+ *         description: Token 撤銷失敗
  */
 router.post(
-  '/admin/clear-login-failures',
+  '/revoke-all-tokens',
   sensitiveOperationLimiter,
   authenticate,
-  requireRole('admin'),
+  requireStepUp(),
   async (req, res) => {
     try {
-      const { userIdentifier } = req.body;
-
-      if (!userIdentifier) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            message: '缺少 userIdentifier 參數',
-            code: 'MISSING_USER_IDENTIFIER',
-          },
-        });
-      }
-
-      await securityEnhancement.clearLoginFailures(userIdentifier);
+      const revokedCount = await jwtService.revokeAllUserTokens(req.user.uid);
 
-      logger.info('管理員清除登入失敗記錄', {
-        adminUser: req.user.uid,
-        userIdentifier,
+      logger.info('撤銷用戶所有 Token', {
+        uid: req.user.uid,
+        email: req.user.email,
+        revokedCount,
       });
 
       return res.json({
         success: true,
-        message: '登入失敗記錄清除成功',
+        message: '所有 Token 撤銷成功',
         data: {
-          userIdentifier,
-          cleared: true,
-          adminUser: req.user.uid,
+          revokedTokens: revokedCount,
         },
       });
     } catch (error) {
-      logger.error('清除登入失敗記錄失敗', {
+      logger.error('撤銷所有 Token 失敗', {
         error: error.message,
-        adminUser: req.user?.uid,
-        userIdentifier: req.body?.userIdentifier,
+        uid: req.user?.uid,
       });
 
       return res.status(500).json({
         success: false,
         error: {
-          message: '清除登入失敗記錄失敗',
-          code: 'CLEAR_LOGIN_FAILURES_FAILED',
+          message: '撤銷所有 Token 失敗',
+          code: 'TOKEN_REVOCATION_FAILED',
         },
       });
     }
   },
 );
 
-// ============ MFA 狀態檢查和驗證 API 端點 ============
-
-/**
- * @swagger
- * components:
- *   schemas:
- *     MFAStatus:
- *       type: object
- *       properties:
- *         status:
- *           type: string
- *           enum: ['disabled', 'pending', 'enabled']
- *           description: MFA 整體狀態
- *         enabledMethods:
- *           type: array
- *           items:
- *             type: string
- *             enum: ['totp', 'sms', 'backup_code']
- *           description: 已啟用的 MFA 方法
- *         pendingMethods:
- *           type: array
- *           items:
- *             type: string
- *             enum: ['totp', 'sms', 'backup_code']
- *           description: 待啟用的 MFA 方法
- *         backupCodesRemaining:
- *           type: number
- *           description: 剩餘備用碼數量
- *         lastUpdated:
- *           type: string
- *           format: date-time
- *           description: 最後更新時間
- *
- *     MFAVerificationRequest:
- *       type: object
- *       required:
- *         - code
- *         - type
- *       properties:
- *         code:
- *           type: string
- *           description: MFA 驗證碼
- *         type:
- *           type: string
- *           enum: ['totp', 'sms', 'backup_code']
- *           description: MFA 類型
- *
- *     MFAVerificationResult:
- *       type: object
- *       properties:
- *         success:
- *           type: boolean
- *           description: 驗證是否成功
- *         result:
- *           type: string
- *           enum: ['success', 'invalid_code', 'expired', 'too_many_attempts', 'rate_limited']
- *           description: 驗證結果代碼
- *         message:
- *           type: string
- *           description: 結果描述
- *         remainingAttempts:
- *           type: number
- *           description: 剩餘嘗試次數
- *
- *     MFAMethodInfo:
- *       type: object
- *       properties:
- *         type:
- *           type: string
- *           enum: ['totp', 'sms', 'backup_code']
- *         name:
- *           type: string
- *           description: 方法名稱
- *         description:
- *           type: string
- *           description: 方法描述
- *         enabled:
- *           type: boolean
- *           description: 是否已啟用
- *         pending:
- *           type: boolean
- *           description: 是否待啟用
- *         available:
- *           type: boolean
- *           description: 是否可用
- */
-
 /**
  * @swagger
- * /api/v1/auth/mfa/status:
+ * /api/v1/auth/session-info:
  *   get:
- *     summary: 獲取用戶 MFA 狀態
- *     description: 獲取當前用戶的 MFA 狀態和配置資訊
- *     tags: [MFA Management]
+ *     summary: 獲取 Session 資訊
+ *     description: 獲取當前用戶的 session 資訊
+ *     tags: [JWT Management]
  *     security:
  *       - BearerAuth: []
  *     responses:
  *       200:
- *         description: 成功獲取 MFA 狀態
+ *         description: Session 資訊獲取成功
  *         content:
  *           application/json:
  *             schema:
@@ -2431,42 +2718,58 @@ router.post(
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: MFA 狀態獲取成功
+ *                   example: Session 資訊獲取成功
  *                 data:
  *                   type: object
  *                   properties:
- *                     uid:
- *                       type: string
- *                     mfaStatus:
- *                       $ref: '#/components/schemas/MFAStatus'
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           sessionId:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           lastActivity:
+ *                             type: string
+ *                             format: date-time
  *       401:
  *         description: 認證失敗
  *       500:
- *         description: 伺服器錯誤
+ *         description: 獲取 Session 資訊失敗
  */
-router.get('/mfa/status', generalLimiter, authenticate, async (req, res) => {
+router.get('/session-info', generalLimiter, authenticate, async (req, res) => {
   try {
-    const { uid } = req.user;
-
-    // 獲取用戶 MFA 狀態
-    const mfaStatus = await mfaService.getUserMFAStatus(uid);
+    const sessions = await jwtService.getUserSessions(req.user.uid);
 
-    logger.info('用戶 MFA 狀態查詢', {
-      uid,
-      status: mfaStatus.status,
-      enabledMethods: mfaStatus.enabledMethods,
-    });
+    // 增強的 session 資訊
+    const enhancedSessions = sessions.map((session) => ({
+      sessionId: session.sessionId,
+      createdAt: session.createdAt,
+      lastActivity: session.lastActivity,
+      isActive: session.isActive,
+      deviceFingerprint: session.deviceFingerprint
+        ? `${session.deviceFingerprint.substring(0, 8)}...`
+        : null, // 只顯示部分指紋
+      ipAddress: session.ipAddress || null,
+      loginMethod: session.loginMethod || 'unknown',
+      securityFlags: session.securityFlags || {},
+      isCurrent: session.sessionId === req.user.sessionId, // 標記當前 session
+    }));
 
     return res.json({
       success: true,
-      message: 'MFA 狀態獲取成功',
+      message: 'Session 資訊獲取成功',
       data: {
-        uid,
-        mfaStatus,
+        sessions: enhancedSessions,
+        totalSessions: enhancedSessions.length,
+        maxConcurrentSessions: (await jwtService.getSessionLimits()).maxConcurrentSessions,
       },
     });
   } catch (error) {
-    logger.error('獲取 MFA 狀態失敗', {
+    logger.error('獲取 Session 資訊失敗', {
       error: error.message,
       uid: req.user?.uid,
     });
@@ -2474,8 +2777,8 @@ router.get('/mfa/status', generalLimiter, authenticate, async (req, res) => {
     return res.status(500).json({
       success: false,
       error: {
-        message: '獲取 MFA 狀態失敗',
-        code: 'MFA_STATUS_FAILED',
+        message: '獲取 Session 資訊失敗',
+        code: 'SESSION_INFO_FAILED',
       },
     });
   }
@@ -2483,11 +2786,11 @@ router.get('/mfa/status', generalLimiter, authenticate, async (req, res) => {
 
 /**
  * @swagger
- * /api/v1/auth/mfa/verify:
+ * /api/v1/auth/revoke-session:
  *   post:
- *     summary: 驗證 MFA 代碼
- *     description: 驗證用戶輸入的 MFA 代碼
- *     tags: [MFA Management]
+ *     summary: 撤銷指定 Session
+ *     description: 撤銷指定的 session，可以撤銷其他設備的登入
+ *     tags: [Session Management]
  *     security:
  *       - BearerAuth: []
  *     requestBody:
@@ -2495,115 +2798,200 @@ router.get('/mfa/status', generalLimiter, authenticate, async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/MFAVerificationRequest'
+ *             type: object
+ *             required:
+ *               - sessionId
+ *             properties:
+ *               sessionId:
+ *                 type: string
+ *                 description: 要撤銷的 Session ID
  *     responses:
  *       200:
- *         description: 驗證結果
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
- *                 data:
- *                   $ref: '#/components/schemas/MFAVerificationResult'
+ *         description: Session 撤銷成功
  *       400:
- *         description: 請求參數錯誤
+ *         description: 參數錯誤
  *       401:
  *         description: 認證失敗
- *       429:
- *         description: 嘗試次數過多
+ *       403:
+ *         description: 無權限撤銷該 Session
+ *       404:
+ *         description: Session 不存在
  *       500:
  *         description: 伺服器錯誤
  */
 router.post(
-  '/mfa/verify',
-  authLimiter,
+  '/revoke-session',
+  sensitiveOperationLimiter,
   extractDeviceFingerprint,
   extractRequestContext,
   authenticate,
   async (req, res) => {
     try {
-      const { code, type } = req.body;
-      const { uid } = req.user;
+      const { sessionId } = req.body;
 
-      // 驗證請求參數
-      if (!code || !type) {
+      if (!sessionId) {
         return res.status(400).json({
           success: false,
           error: {
-            message: '缺少必要參數: code 和 type',
-            code: 'MISSING_REQUIRED_PARAMETERS',
+            message: '缺少 sessionId 參數',
+            code: 'MISSING_SESSION_ID',
           },
         });
       }
 
-      // 驗證 MFA 類型
-      const validTypes = ['totp', 'sms', 'backup_code'];
-      if (!validTypes.includes(type)) {
-        return res.status(400).json({
+      // 驗證 session 屬於當前用戶
+      const session = await jwtService.getSession(sessionId);
+      if (!session) {
+        return res.status(404).json({
           success: false,
           error: {
-            message: '無效的 MFA 類型',
-            code: 'INVALID_MFA_TYPE',
-            validTypes,
+            message: 'Session 不存在',
+            code: 'SESSION_NOT_FOUND',
           },
         });
       }
 
-      // 檢查用戶是否啟用了該 MFA 方法
-      const mfaStatus = await mfaService.getUserMFAStatus(uid);
-      if (!mfaStatus.enabledMethods.includes(type)) {
+      if (session.uid !== req.user.uid) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: '無權限撤銷該 Session',
+            code: 'PERMISSION_DENIED',
+          },
+        });
+      }
+
+      // 不允許撤銷當前 session
+      if (sessionId === req.user.sessionId) {
         return res.status(400).json({
           success: false,
           error: {
-            message: `${type.toUpperCase()} 驗證未啟用`,
-            code: 'MFA_METHOD_NOT_ENABLED',
+            message: '無法撤銷當前 Session，請使用登出功能',
+            code: 'CANNOT_REVOKE_CURRENT_SESSION',
           },
         });
       }
 
-      // 執行 MFA 驗證
-      const verificationResult = await mfaService.verifyMFACode(uid, code, type);
+      await jwtService.revokeSession(sessionId);
 
-      // 記錄驗證結果
-      logger.info('MFA 驗證嘗試', {
-        uid,
-        type,
-        success: verificationResult.success,
-        result: verificationResult.result,
-        ipAddress: req.securityContext.ipAddress,
+      logger.info('用戶撤銷 Session', {
+        uid: req.user.uid,
+        revokedSessionId: sessionId,
+        currentSessionId: req.user.sessionId,
       });
 
-      // 根據驗證結果返回適當的狀態碼
-      if (verificationResult.result === 'too_many_attempts') {
-        return res.status(429).json({
-          success: false,
-          message: verificationResult.message,
-          data: verificationResult,
+      return res.json({
+        success: true,
+        message: 'Session 撤銷成功',
+        data: {
+          revokedSessionId: sessionId,
+        },
+      });
+    } catch (error) {
+      logger.error('撤銷 Session 失敗', {
+        error: error.message,
+        uid: req.user?.uid,
+        sessionId: req.body?.sessionId,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Session 撤銷失敗',
+          code: 'SESSION_REVOCATION_FAILED',
+        },
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/revoke-all-other-sessions:
+ *   post:
+ *     summary: 撤銷所有其他 Session
+ *     description: 撤銷當前用戶的所有其他 session，保留當前 session
+ *     tags: [Session Management]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 所有其他 Session 撤銷成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 所有其他 Session 撤銷成功
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedCount:
+ *                       type: number
+ *                       description: 撤銷的 Session 數量
+ *       401:
+ *         description: 認證失敗
+ *       403:
+ *         $ref: '#/components/responses/StepUpRequiredError'
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post(
+  '/revoke-all-other-sessions',
+  sensitiveOperationLimiter,
+  extractDeviceFingerprint,
+  extractRequestContext,
+  authenticate,
+  requireStepUp(),
+  async (req, res) => {
+    try {
+      const currentSessionId = req.user.sessionId;
+
+      if (!currentSessionId) {
+        // 如果沒有 sessionId（可能是 Firebase token），撤銷所有 session
+        const revokedCount = await jwtService.revokeAllUserTokens(req.user.uid);
+
+        return res.json({
+          success: true,
+          message: '所有 Session 撤銷成功',
+          data: {
+            revokedCount,
+          },
         });
       }
 
+      const revokedCount = await jwtService.revokeOtherUserSessions(req.user.uid, currentSessionId);
+
+      logger.info('用戶撤銷所有其他 Session', {
+        uid: req.user.uid,
+        currentSessionId,
+        revokedCount,
+      });
+
       return res.json({
-        success: verificationResult.success,
-        message: verificationResult.message,
-        data: verificationResult,
+        success: true,
+        message: '所有其他 Session 撤銷成功',
+        data: {
+          revokedCount,
+          currentSessionId,
+        },
       });
     } catch (error) {
-      logger.error('MFA 驗證失敗', {
+      logger.error('撤銷所有其他 Session 失敗', {
         error: error.message,
         uid: req.user?.uid,
-        type: req.body?.type,
       });
 
       return res.status(500).json({
         success: false,
         error: {
-          message: 'MFA 驗證失敗',
-          code: 'MFA_VERIFICATION_FAILED',
+          message: '撤銷所有其他 Session 失敗',
+          code: 'REVOKE_ALL_SESSIONS_FAILED',
         },
       });
     }
@@ -2612,16 +3000,2692 @@ router.post(
 
 /**
  * @swagger
- * /api/v1/auth/mfa/methods:
- *   get:
- *     summary: 獲取可用的 MFA 方法
- *     description: 獲取所有可用的 MFA 方法及其狀態
- *     tags: [MFA Management]
+ * /api/v1/auth/validate-session:
+ *   post:
+ *     summary: 驗證 Session 安全性
+ *     description: 驗證當前 session 的安全性，包括 IP 和設備指紋檢查
+ *     tags: [Session Management]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deviceFingerprint:
+ *                 type: string
+ *                 description: 設備指紋
+ *               forceValidation:
+ *                 type: boolean
+ *                 description: 強制執行驗證
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Session 驗證成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     valid:
+ *                       type: boolean
+ *                     warnings:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     securityFlags:
+ *                       type: object
+ *       401:
+ *         description: 認證失敗或 Session 無效
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post(
+  '/validate-session',
+  generalLimiter,
+  extractDeviceFingerprint,
+  extractRequestContext,
+  authenticate,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.user;
+
+      if (!sessionId) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Session ID 不存在，無法驗證',
+            code: 'MISSING_SESSION_ID',
+          },
+        });
+      }
+
+      const { deviceFingerprint, forceValidation = false } = req.body;
+
+      // 使用已提取的請求上下文，並合併body中的設備指紋
+      const requestContext = {
+        ...req.securityContext,
+        deviceFingerprint: deviceFingerprint || req.securityContext.deviceFingerprint,
+      };
+
+      const sessionValidation = await jwtService.validateSessionSecurity(sessionId, requestContext);
+
+      // 如果 session 無效且不是強制驗證，返回認證錯誤
+      if (!sessionValidation.valid && !forceValidation) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            message: 'Session 無效',
+            code: 'INVALID_SESSION',
+            reason: sessionValidation.reason,
+          },
+        });
+      }
+
+      logger.info('Session 安全驗證完成', {
+        sessionId,
+        uid: req.user.uid,
+        valid: sessionValidation.valid,
+        warnings: sessionValidation.warnings || [],
+      });
+
+      return res.json({
+        success: true,
+        message: 'Session 驗證完成',
+        data: {
+          valid: sessionValidation.valid,
+          warnings: sessionValidation.warnings || [],
+          securityFlags: sessionValidation.securityFlags || {},
+          requestContext: {
+            ipAddress: requestContext.ipAddress,
+            timestamp: requestContext.timestamp,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error('Session 驗證失敗', {
+        error: error.message,
+        uid: req.user?.uid,
+        sessionId: req.user?.sessionId,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Session 驗證失敗',
+          code: 'SESSION_VALIDATION_FAILED',
+        },
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/admin/jwt/rotate-key:
+ *   post:
+ *     summary: 輪替 JWT 簽章金鑰（管理員）
+ *     description: |
+ *       立即產生新的簽章金鑰並用於之後簽發的 token。
+ *       舊金鑰停止簽發，但仍保留在 JWKS 中直到其簽發的 token 全部過期。
+ *     tags: [JWT Management]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 金鑰輪替成功
+ *       401:
+ *         description: 認證失敗
+ *       403:
+ *         description: 權限不足或需要 step-up 重新驗證（STEP_UP_REQUIRED）
+ *       500:
+ *         description: 金鑰輪替失敗
+ */
+router.post(
+  '/admin/jwt/rotate-key',
+  sensitiveOperationLimiter,
+  authenticate,
+  requireRole('admin'),
+  requireStepUp(),
+  async (req, res) => {
+    try {
+      const key = await jwtService.rotateSigningKey();
+
+      logger.info('管理員輪替 JWT 簽章金鑰', {
+        adminUser: req.user.uid,
+        kid: key.kid,
+        alg: key.alg,
+      });
+
+      return res.json({
+        success: true,
+        message: 'JWT 簽章金鑰輪替成功',
+        data: key,
+      });
+    } catch (error) {
+      logger.error('JWT 簽章金鑰輪替失敗', {
+        error: error.message,
+        adminUser: req.user?.uid,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'JWT 簽章金鑰輪替失敗',
+          code: 'JWT_KEY_ROTATION_FAILED',
+        },
+      });
+    }
+  },
+);
+
+// ============ 帳號鎖定管理 API ============
+
+/**
+ * @swagger
+ * /api/v1/auth/account-security-status:
+ *   get:
+ *     summary: 獲取帳號安全狀態
+ *     description: 獲取當前用戶的帳號安全狀態，包括鎖定狀態、失敗記錄、風險評估等
+ *     tags: [Account Security]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功獲取帳號安全狀態
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     userIdentifier:
+ *                       type: string
+ *                     lockStatus:
+ *                       type: object
+ *                       properties:
+ *                         locked:
+ *                           type: boolean
+ *                         reason:
+ *                           type: string
+ *                         lockedUntil:
+ *                           type: string
+ *                           format: date-time
+ *                     failureHistory:
+ *                       type: object
+ *                       properties:
+ *                         attempts:
+ *                           type: number
+ *                         lastFailure:
+ *                           type: object
+ *                         recentFailures:
+ *                           type: array
+ *                     riskAssessment:
+ *                       type: object
+ *                       properties:
+ *                         level:
+ *                           type: string
+ *                           enum: [low, medium, high, critical]
+ *                         score:
+ *                           type: number
+ *                         factors:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *       401:
+ *         description: 認證失敗
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/account-security-status', generalLimiter, authenticate, async (req, res) => {
+  try {
+    const userIdentifier = req.user.uid;
+    const securityStatus = await securityEnhancement.getAccountSecurityStatus(userIdentifier);
+
+    return res.json({
+      success: true,
+      message: '帳號安全狀態獲取成功',
+      data: securityStatus,
+    });
+  } catch (error) {
+    logger.error('獲取帳號安全狀態失敗', {
+      error: error.message,
+      uid: req.user?.uid,
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: '獲取帳號安全狀態失敗',
+        code: 'SECURITY_STATUS_FAILED',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/admin/unlock-account:
+ *   post:
+ *     summary: 解鎖帳號（管理員）
+ *     description: 管理員解鎖被鎖定的帳號
+ *     tags: [Account Security]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userIdentifier
+ *             properties:
+ *               userIdentifier:
+ *                 type: string
+ *                 description: 要解鎖的用戶標識（firebaseUid 或 email）
+ *               reason:
+ *                 type: string
+ *                 description: 解鎖原因
+ *                 default: 管理員解鎖
+ *     responses:
+ *       200:
+ *         description: 帳號解鎖成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     userIdentifier:
+ *                       type: string
+ *                     unlocked:
+ *                       type: boolean
+ *                     reason:
+ *                       type: string
+ *       400:
+ *         description: 參數錯誤
+ *       401:
+ *         description: 認證失敗
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 帳號未鎖定
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post(
+  '/admin/unlock-account',
+  sensitiveOperationLimiter,
+  authenticate,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const { userIdentifier, reason = '管理員解鎖' } = req.body;
+
+      if (!userIdentifier) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: '缺少 userIdentifier 參數',
+            code: 'MISSING_USER_IDENTIFIER',
+          },
+        });
+      }
+
+      const adminUser = req.user.uid;
+      const lockBefore = await securityEnhancement.checkAccountLock(userIdentifier);
+      const unlocked = await securityEnhancement.unlockAccount(userIdentifier, adminUser, reason);
+
+      if (!unlocked) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: '帳號未被鎖定或解鎖失敗',
+            code: 'ACCOUNT_NOT_LOCKED',
+          },
+        });
+      }
+
+      await adminAuditService.recordFromRequest(req, {
+        action: 'account.unlock',
+        target: { type: 'account', id: userIdentifier },
+        before: lockBefore,
+        after: { locked: false },
+        metadata: { reason },
+      });
+
+      logger.info('管理員解鎖帳號', {
+        adminUser,
+        userIdentifier,
+        reason,
+      });
+
+      return res.json({
+        success: true,
+        message: '帳號解鎖成功',
+        data: {
+          userIdentifier,
+          unlocked: true,
+          reason,
+          adminUser,
+        },
+      });
+    } catch (error) {
+      logger.error('管理員解鎖帳號失敗', {
+        error: error.message,
+        adminUser: req.user?.uid,
+        userIdentifier: req.body?.userIdentifier,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: '解鎖帳號失敗',
+          code: 'UNLOCK_ACCOUNT_FAILED',
+        },
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/admin/lock-account:
+ *   post:
+ *     summary: 鎖定帳號（管理員）
+ *     description: 管理員手動鎖定用戶帳號
+ *     tags: [Account Security]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userIdentifier
+ *               - duration
+ *               - reason
+ *             properties:
+ *               userIdentifier:
+ *                 type: string
+ *                 description: 要鎖定的用戶標識（firebaseUid 或 email）
+ *               duration:
+ *                 type: number
+ *                 description: 鎖定時間（秒）
+ *                 minimum: 60
+ *                 maximum: 86400
+ *               reason:
+ *                 type: string
+ *                 description: 鎖定原因
+ *     responses:
+ *       200:
+ *         description: 帳號鎖定成功
+ *       400:
+ *         description: 參數錯誤
+ *       401:
+ *         description: 認證失敗
+ *       403:
+ *         description: 權限不足
+ *       409:
+ *         description: 帳號已被鎖定
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post(
+  '/admin/lock-account',
+  sensitiveOperationLimiter,
+  authenticate,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const { userIdentifier, duration, reason } = req.body;
+
+      if (!userIdentifier || !duration || !reason) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: '缺少必要參數: userIdentifier, duration, reason',
+            code: 'MISSING_REQUIRED_PARAMETERS',
+          },
+        });
+      }
+
+      // 驗證鎖定時間範圍
+      if (duration < 60 || duration > 86400) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: '鎖定時間必須在 60 秒到 24 小時之間',
+            code: 'INVALID_DURATION',
+          },
+        });
+      }
+
+      const adminUser = req.user.uid;
+      const lockBefore = await securityEnhancement.checkAccountLock(userIdentifier);
+      const locked = await securityEnhancement.manualLockAccount(
+        userIdentifier,
+        duration,
+        reason,
+        adminUser,
+      );
+
+      if (!locked) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: '帳號已經被鎖定或鎖定失敗',
+            code: 'ACCOUNT_ALREADY_LOCKED',
+          },
+        });
+      }
+
+      await adminAuditService.recordFromRequest(req, {
+        action: 'account.lock',
+        target: { type: 'account', id: userIdentifier },
+        before: lockBefore,
+        after: await securityEnhancement.checkAccountLock(userIdentifier),
+        metadata: { duration, reason },
+      });
+
+      logger.info('管理員鎖定帳號', {
+        adminUser,
+        userIdentifier,
+        duration,
+        reason,
+      });
+
+      return res.json({
+        success: true,
+        message: '帳號鎖定成功',
+        data: {
+          userIdentifier,
+          locked: true,
+          duration,
+          reason,
+          adminUser,
+          lockedUntil: new Date(Date.now() + duration * 1000),
+        },
+      });
+    } catch (error) {
+      logger.error('管理員鎖定帳號失敗', {
+        error: error.message,
+        adminUser: req.user?.uid,
+        userIdentifier: req.body?.userIdentifier,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: '鎖定帳號失敗',
+          code: 'LOCK_ACCOUNT_FAILED',
+        },
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/admin/security-events/{userIdentifier}:
+ *   get:
+ *     summary: 獲取用戶安全事件記錄（管理員）
+ *     description: 管理員查看特定用戶的安全事件記錄
+ *     tags: [Account Security]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userIdentifier
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 用戶標識
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 50
+ *         description: 返回記錄數量限制
+ *       - in: query
+ *         name: eventType
+ *         schema:
+ *           type: string
+ *         description: 篩選事件類型
+ *       - in: query
+ *         name: severityLevel
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, critical]
+ *         description: 篩選嚴重程度
+ *     responses:
+ *       200:
+ *         description: 成功獲取安全事件記錄
+ *       401:
+ *         description: 認證失敗
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 無安全事件記錄
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get(
+  '/admin/security-events/:userIdentifier',
+  generalLimiter,
+  authenticate,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const { userIdentifier } = req.params;
+      const { limit = 50, eventType, severityLevel } = req.query;
+
+      const securityEvents = await securityEnhancement.getSecurityEvents(userIdentifier, {
+        limit: parseInt(limit, 10),
+        eventType,
+        severityLevel,
+      });
+
+      if (!securityEvents) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: '無安全事件記錄',
+            code: 'NO_SECURITY_EVENTS',
+          },
+        });
+      }
+
+      logger.info('管理員查看安全事件記錄', {
+        adminUser: req.user.uid,
+        userIdentifier,
+        eventCount: securityEvents.totalEvents,
+      });
+
+      return res.json({
+        success: true,
+        message: '安全事件記錄獲取成功',
+        data: securityEvents,
+      });
+    } catch (error) {
+      logger.error('獲取安全事件記錄失敗', {
+        error: error.message,
+        adminUser: req.user?.uid,
+        userIdentifier: req.params?.userIdentifier,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: '獲取安全事件記錄失敗',
+          code: 'SECURITY_EVENTS_FAILED',
+        },
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/admin/login-failures/{userIdentifier}:
+ *   get:
+ *     summary: 獲取用戶登入失敗記錄（管理員）
+ *     description: 管理員查看特定用戶的登入失敗記錄
+ *     tags: [Account Security]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userIdentifier
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 用戶標識
+ *     responses:
+ *       200:
+ *         description: 成功獲取登入失敗記錄
+ *       401:
+ *         description: 認證失敗
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 無登入失敗記錄
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get(
+  '/admin/login-failures/:userIdentifier',
+  generalLimiter,
+  authenticate,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const { userIdentifier } = req.params;
+
+      const loginFailures = await securityEnhancement.getLoginFailures(userIdentifier);
+
+      if (!loginFailures) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: '無登入失敗記錄',
+            code: 'NO_LOGIN_FAILURES',
+          },
+        });
+      }
+
+      logger.info('管理員查看登入失敗記錄', {
+        adminUser: req.user.uid,
+        userIdentifier,
+        attempts: loginFailures.attempts,
+      });
+
+      return res.json({
+        success: true,
+        message: '登入失敗記錄獲取成功',
+        data: loginFailures,
+      });
+    } catch (error) {
+      logger.error('獲取登入失敗記錄失敗', {
+        error: error.message,
+        adminUser: req.user?.uid,
+        userIdentifier: req.params?.userIdentifier,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: '獲取登入失敗記錄失敗',
+          code: 'LOGIN_FAILURES_FAILED',
+        },
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/admin/clear-login-failures:
+ *   post:
+ *     summary: 清除登入失敗記錄（管理員）
+ *     description: 管理員清除特定用戶的登入失敗記錄
+ *     tags: [Account Security]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userIdentifier
+ *             properties:
+ *               userIdentifier:
+ *                 type: string
+ *                 description: 要清除記錄的用戶標識
+ *     responses:
+ *       200:
+ *         description: 登入失敗記錄清除成功
+ *       400:
+ *         description: 參數錯誤
+ *       401:
+ *         description: 認證失敗
+ *       403:
+ *         description: 權限不足
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post(
+  '/admin/clear-login-failures',
+  sensitiveOperationLimiter,
+  authenticate,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const { userIdentifier } = req.body;
+
+      if (!userIdentifier) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: '缺少 userIdentifier 參數',
+            code: 'MISSING_USER_IDENTIFIER',
+          },
+        });
+      }
+
+      const failuresBefore = await securityEnhancement.getLoginFailures(userIdentifier);
+      await securityEnhancement.clearLoginFailures(userIdentifier);
+
+      await adminAuditService.recordFromRequest(req, {
+        action: 'account.clear_login_failures',
+        target: { type: 'account', id: userIdentifier },
+        before: failuresBefore && {
+          attempts: failuresBefore.attempts,
+          lastFailure: failuresBefore.lastFailure,
+        },
+        after: null,
+      });
+
+      logger.info('管理員清除登入失敗記錄', {
+        adminUser: req.user.uid,
+        userIdentifier,
+      });
+
+      return res.json({
+        success: true,
+        message: '登入失敗記錄清除成功',
+        data: {
+          userIdentifier,
+          cleared: true,
+          adminUser: req.user.uid,
+        },
+      });
+    } catch (error) {
+      logger.error('清除登入失敗記錄失敗', {
+        error: error.message,
+        adminUser: req.user?.uid,
+        userIdentifier: req.body?.userIdentifier,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: '清除登入失敗記錄失敗',
+          code: 'CLEAR_LOGIN_FAILURES_FAILED',
+        },
+      });
+    }
+  },
+);
+
+// ============ MFA 狀態檢查和驗證 API 端點 ============
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MFAStatus:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: ['disabled', 'pending', 'enabled']
+ *           description: MFA 整體狀態
+ *         enabledMethods:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: ['totp', 'sms', 'backup_code', 'webauthn', 'email']
+ *           description: 已啟用的 MFA 方法
+ *         pendingMethods:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: ['totp', 'sms', 'backup_code', 'webauthn', 'email']
+ *           description: 待啟用的 MFA 方法
+ *         backupCodesRemaining:
+ *           type: number
+ *           description: 剩餘備用碼數量
+ *         lastUpdated:
+ *           type: string
+ *           format: date-time
+ *           description: 最後更新時間
+ *
+ *     MFAVerificationRequest:
+ *       type: object
+ *       required:
+ *         - code
+ *         - type
+ *       properties:
+ *         code:
+ *           oneOf:
+ *             - type: string
+ *             - type: object
+ *           description: MFA 驗證碼（WebAuthn 為 navigator.credentials.get 的結果）
+ *         type:
+ *           type: string
+ *           enum: ['totp', 'sms', 'backup_code', 'webauthn', 'email']
+ *           description: MFA 類型
+ *         rememberDevice:
+ *           type: boolean
+ *           description: 驗證成功後將目前設備設為受信任，有效期內登入可略過 MFA
+ *         trustDays:
+ *           type: number
+ *           description: 信任天數（預設 30 天，最長 90 天）
+ *
+ *     MFAVerificationResult:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           description: 驗證是否成功
+ *         result:
+ *           type: string
+ *           enum: ['success', 'invalid_code', 'expired', 'too_many_attempts', 'rate_limited']
+ *           description: 驗證結果代碼
+ *         message:
+ *           type: string
+ *           description: 結果描述
+ *         remainingAttempts:
+ *           type: number
+ *           description: 剩餘嘗試次數
+ *
+ *     MFAMethodInfo:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: ['totp', 'sms', 'backup_code', 'webauthn', 'email']
+ *         name:
+ *           type: string
+ *           description: 方法名稱
+ *         description:
+ *           type: string
+ *           description: 方法描述
+ *         enabled:
+ *           type: boolean
+ *           description: 是否已啟用
+ *         pending:
+ *           type: boolean
+ *           description: 是否待啟用
+ *         available:
+ *           type: boolean
+ *           description: 是否可用
+ */
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/status:
+ *   get:
+ *     summary: 獲取用戶 MFA 狀態
+ *     description: 獲取當前用戶的 MFA 狀態和配置資訊
+ *     tags: [MFA Management]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功獲取 MFA 狀態
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: MFA 狀態獲取成功
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     uid:
+ *                       type: string
+ *                     mfaStatus:
+ *                       $ref: '#/components/schemas/MFAStatus'
+ *       401:
+ *         description: 認證失敗
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/mfa/status', generalLimiter, authenticate, async (req, res) => {
+  try {
+    const { uid } = req.user;
+
+    // 獲取用戶 MFA 狀態
+    const mfaStatus = await mfaService.getUserMFAStatus(uid);
+
+    logger.info('用戶 MFA 狀態查詢', {
+      uid,
+      status: mfaStatus.status,
+      enabledMethods: mfaStatus.enabledMethods,
+    });
+
+    return res.json({
+      success: true,
+      message: 'MFA 狀態獲取成功',
+      data: {
+        uid,
+        mfaStatus,
+      },
+    });
+  } catch (error) {
+    logger.error('獲取 MFA 狀態失敗', {
+      error: error.message,
+      uid: req.user?.uid,
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: '獲取 MFA 狀態失敗',
+        code: 'MFA_STATUS_FAILED',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/verify:
+ *   post:
+ *     summary: 驗證 MFA 代碼
+ *     description: 驗證用戶輸入的 MFA 代碼
+ *     tags: [MFA Management]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MFAVerificationRequest'
+ *     responses:
+ *       200:
+ *         description: 驗證結果
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/MFAVerificationResult'
+ *       400:
+ *         description: 請求參數錯誤
+ *       401:
+ *         description: 認證失敗
+ *       429:
+ *         description: 嘗試次數過多
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post(
+  '/mfa/verify',
+  authLimiter,
+  extractDeviceFingerprint,
+  extractRequestContext,
+  authenticate,
+  async (req, res) => {
+    try {
+      const {
+        code, type, rememberDevice = false, trustDays,
+      } = req.body;
+      const { uid } = req.user;
+
+      // 驗證請求參數
+      if (!code || !type) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: '缺少必要參數: code 和 type',
+            code: 'MISSING_REQUIRED_PARAMETERS',
+          },
+        });
+      }
+
+      // 驗證 MFA 類型
+      const validTypes = ['totp', 'sms', 'backup_code', 'webauthn', 'email'];
+      if (!validTypes.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: '無效的 MFA 類型',
+            code: 'INVALID_MFA_TYPE',
+            validTypes,
+          },
+        });
+      }
+
+      // 檢查用戶是否啟用了該 MFA 方法
+      const mfaStatus = await mfaService.getUserMFAStatus(uid);
+      if (!mfaStatus.enabledMethods.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: `${type.toUpperCase()} 驗證未啟用`,
+            code: 'MFA_METHOD_NOT_ENABLED',
+          },
+        });
+      }
+
+      // 執行 MFA 驗證
+      const verificationResult = await mfaService.verifyMFACode(uid, code, type);
+
+      // 記錄驗證結果
+      logger.info('MFA 驗證嘗試', {
+        uid,
+        type,
+        success: verificationResult.success,
+        result: verificationResult.result,
+        ipAddress: req.securityContext.ipAddress,
+      });
+
+      // 根據驗證結果返回適當的狀態碼
+      if (verificationResult.result === 'too_many_attempts') {
+        return res.status(429).json({
+          success: false,
+          message: verificationResult.message,
+          data: verificationResult,
+        });
+      }
+
+      // 驗證成功同時作為目前 session 的 step-up 重新驗證
+      if (verificationResult.success && req.user.sessionId) {
+        await jwtService.recordReauthentication(req.user.sessionId, 'mfa');
+      }
+
+      // 驗證成功且用戶選擇記住設備時，發放受信任設備權杖
+      let trustedDevice;
+      if (verificationResult.success && rememberDevice === true && req.deviceFingerprint) {
+        const trustResult = await mfaService.trustDevice(uid, req.deviceFingerprint, {
+          trustDays,
+          ipAddress: req.securityContext.ipAddress,
+          userAgent: req.securityContext.userAgent,
+        });
+
+        if (trustResult.success) {
+          trustedDevice = {
+            deviceId: trustResult.deviceId,
+            token: trustResult.token,
+            header: TRUSTED_DEVICE_HEADER,
+            expiresAt: trustResult.expiresAt,
+          };
+        }
+      }
+
+      return res.json({
+        success: verificationResult.success,
+        message: verificationResult.message,
+        data: {
+          ...verificationResult,
+          ...(trustedDevice && { trustedDevice }),
+        },
+      });
+    } catch (error) {
+      logger.error('MFA 驗證失敗', {
+        error: error.message,
+        uid: req.user?.uid,
+        type: req.body?.type,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'MFA 驗證失敗',
+          code: 'MFA_VERIFICATION_FAILED',
+        },
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/methods:
+ *   get:
+ *     summary: 獲取可用的 MFA 方法
+ *     description: 獲取所有可用的 MFA 方法及其狀態
+ *     tags: [MFA Management]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功獲取 MFA 方法資訊
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: MFA 方法資訊獲取成功
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     methods:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/MFAMethodInfo'
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         totalMethods:
+ *                           type: number
+ *                         enabledMethods:
+ *                           type: number
+ *                         pendingMethods:
+ *                           type: number
+ *       401:
+ *         description: 認證失敗
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/mfa/methods', generalLimiter, authenticate, async (req, res) => {
+  try {
+    const { uid } = req.user;
+
+    // 獲取用戶 MFA 狀態
+    const mfaStatus = await mfaService.getUserMFAStatus(uid);
+
+    // 定義所有可用的 MFA 方法
+    const allMethods = [
+      {
+        type: 'totp',
+        name: 'TOTP 驗證器',
+        description: '基於時間的一次性密碼，使用 Google Authenticator 等應用',
+        enabled: mfaStatus.enabledMethods.includes('totp'),
+        pending: mfaStatus.pendingMethods.includes('totp'),
+        available: true,
+      },
+      {
+        type: 'sms',
+        name: 'SMS 簡訊驗證',
+        description: '透過手機簡訊接收驗證碼',
+        enabled: mfaStatus.enabledMethods.includes('sms'),
+        pending: mfaStatus.pendingMethods.includes('sms'),
+        available: true,
+      },
+      {
+        type: 'backup_code',
+        name: '備用驗證碼',
+        description: '一次性使用的備用驗證碼',
+        enabled: mfaStatus.enabledMethods.includes('backup_code'),
+        pending: mfaStatus.pendingMethods.includes('backup_code'),
+        available: true,
+        remaining: mfaStatus.backupCodesRemaining || 0,
+      },
+      {
+        type: 'webauthn',
+        name: 'Passkey / 安全金鑰',
+        description: '使用裝置的生物辨識、PIN 或實體安全金鑰（WebAuthn）',
+        enabled: mfaStatus.enabledMethods.includes('webauthn'),
+        pending: mfaStatus.pendingMethods.includes('webauthn'),
+        available: true,
+        credentials: await mfaService.listWebAuthnCredentials(uid),
+      },
+      {
+        type: 'email',
+        name: 'Email 驗證碼',
+        description: '透過 Email 接收一次性驗證碼',
+        enabled: mfaStatus.enabledMethods.includes('email'),
+        pending: mfaStatus.pendingMethods.includes('email'),
+        available: true,
+      },
+    ];
+
+    // 計算統計資料
+    const summary = {
+      totalMethods: allMethods.length,
+      enabledMethods: mfaStatus.enabledMethods.length,
+      pendingMethods: mfaStatus.pendingMethods.length,
+      availableMethods: allMethods.filter((method) => method.available).length,
+    };
+
+    logger.info('用戶 MFA 方法查詢', {
+      uid,
+      enabledMethods: mfaStatus.enabledMethods,
+      pendingMethods: mfaStatus.pendingMethods,
+    });
+
+    return res.json({
+      success: true,
+      message: 'MFA 方法資訊獲取成功',
+      data: {
+        methods: allMethods,
+        summary,
+        currentStatus: mfaStatus.status,
+      },
+    });
+  } catch (error) {
+    logger.error('獲取 MFA 方法失敗', {
+      error: error.message,
+      uid: req.user?.uid,
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: '獲取 MFA 方法失敗',
+        code: 'MFA_METHODS_FAILED',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/sms/delivery-status:
+ *   post:
+ *     summary: 簡訊送達回報
+ *     description: 簡訊閘道回報驗證碼簡訊的送達狀態，以 X-SMS-Callback-Token 標頭驗證來源
+ *     tags: [MFA Management]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - messageId
+ *               - status
+ *             properties:
+ *               messageId:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 example: delivered
+ *               errorCode:
+ *                 type: string
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: 回報已記錄
+ *       400:
+ *         description: 回報格式不正確或簡訊不存在
+ *       401:
+ *         description: 回報來源驗證失敗
+ *       404:
+ *         description: 目前的簡訊供應商未設定回報密鑰，不接受送達回報
+ */
+router.post('/mfa/sms/delivery-status', generalLimiter, async (req, res) => {
+  // 供應商沒有回報密鑰（例如 console）時不開放此端點
+  if (!mfaService.smsProvider.acceptsCallbacks?.()) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: '簡訊送達回報未啟用',
+        code: 'SMS_CALLBACK_DISABLED',
+      },
+    });
+  }
+
+  if (!mfaService.smsProvider.verifyCallback(req.headers)) {
+    logger.warn('SMS 送達回報來源驗證失敗', {
+      ip: req.ip,
+      messageId: req.body?.messageId,
+    });
+
+    return res.status(401).json({
+      success: false,
+      error: {
+        message: '送達回報來源驗證失敗',
+        code: 'INVALID_CALLBACK_TOKEN',
+      },
+    });
+  }
+
+  const result = await mfaService.recordSMSDeliveryStatus(req.body || {});
+
+  if (!result.success) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: result.message,
+        code: 'INVALID_DELIVERY_REPORT',
+      },
+    });
+  }
+
+  return res.json({
+    success: true,
+    data: {
+      status: result.status,
+    },
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/email/setup:
+ *   post:
+ *     summary: 設置 Email 驗證
+ *     description: 寄送驗證碼到用戶的 Email，輸入驗證碼後即可啟用 Email 驗證
+ *     tags: [MFA Management]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 驗證碼已寄出
+ *       400:
+ *         description: 已啟用或寄送失敗
+ *       401:
+ *         description: 認證失敗
+ *       404:
+ *         description: 用戶不存在
+ */
+router.post('/mfa/email/setup', sensitiveOperationLimiter, authenticate, async (req, res) => {
+  try {
+    const user = await User.findByFirebaseUid(req.user.uid);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: '用戶不存在',
+          code: 'USER_NOT_FOUND',
+        },
+      });
+    }
+
+    const result = await mfaService.setupEmail(
+      user.firebaseUid,
+      user.email,
+      user.preferences?.language,
+    );
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: result.message,
+          code: 'EMAIL_MFA_SETUP_FAILED',
+        },
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: result.message,
+      data: {
+        expiresIn: result.expiresIn,
+      },
+    });
+  } catch (error) {
+    logger.error('設置 Email 驗證失敗', {
+      error: error.message,
+      uid: req.user?.uid,
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: '設置 Email 驗證失敗',
+        code: 'EMAIL_MFA_SETUP_FAILED',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/email/enable:
+ *   post:
+ *     summary: 啟用 Email 驗證
+ *     description: 輸入設置時寄出的驗證碼以啟用 Email 驗證
+ *     tags: [MFA Management]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Email 驗證已啟用
+ *       400:
+ *         description: 驗證碼錯誤或已過期
+ *       401:
+ *         description: 認證失敗
+ */
+router.post('/mfa/email/enable', authLimiter, authenticate, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: '缺少必要參數: code',
+          code: 'MISSING_REQUIRED_PARAMETERS',
+        },
+      });
+    }
+
+    const result = await mfaService.enableEmail(req.user.uid, String(code));
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: result.message,
+          code: result.result ? result.result.toUpperCase() : 'EMAIL_MFA_ENABLE_FAILED',
+        },
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: result.message,
+      data: {
+        enabledMethods: result.enabledMethods,
+      },
+    });
+  } catch (error) {
+    logger.error('啟用 Email 驗證失敗', {
+      error: error.message,
+      uid: req.user?.uid,
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: '啟用 Email 驗證失敗',
+        code: 'EMAIL_MFA_ENABLE_FAILED',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/email/send-code:
+ *   post:
+ *     summary: 寄送 Email 驗證碼
+ *     description: 寄送（或重送）MFA 驗證用的 Email 驗證碼，須已啟用 Email 驗證
+ *     tags: [MFA Management]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resend:
+ *                 type: boolean
+ *                 description: 是否為重送（受重送間隔限制）
+ *     responses:
+ *       200:
+ *         description: 驗證碼已寄出
+ *       400:
+ *         description: 未啟用 Email 驗證或寄送失敗
+ *       401:
+ *         description: 認證失敗
+ */
+router.post('/mfa/email/send-code', sensitiveOperationLimiter, authenticate, async (req, res) => {
+  try {
+    const user = await User.findByFirebaseUid(req.user.uid);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: '用戶不存在',
+          code: 'USER_NOT_FOUND',
+        },
+      });
+    }
+
+    if (!(await mfaService.isEmailEnabled(user.firebaseUid))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: '尚未啟用 Email 驗證',
+          code: 'EMAIL_MFA_NOT_ENABLED',
+        },
+      });
+    }
+
+    const result = await mfaService.sendEmailCode(
+      user.firebaseUid,
+      user.email,
+      req.body?.resend === true,
+      user.preferences?.language,
+    );
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: result.message,
+          code: 'EMAIL_CODE_SEND_FAILED',
+        },
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: result.message,
+      data: {
+        expiresIn: result.expiresIn,
+      },
+    });
+  } catch (error) {
+    logger.error('寄送 Email 驗證碼失敗', {
+      error: error.message,
+      uid: req.user?.uid,
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: '寄送 Email 驗證碼失敗',
+        code: 'EMAIL_CODE_SEND_FAILED',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/webauthn/registration-options:
+ *   post:
+ *     summary: 取得 WebAuthn 註冊選項
+ *     description: 產生 navigator.credentials.create 所需的選項，用於註冊 passkey 或安全金鑰
+ *     tags: [MFA Management]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功產生註冊選項
+ *       400:
+ *         description: 憑證數量已達上限
+ *       401:
+ *         description: 認證失敗
+ */
+router.post(
+  '/mfa/webauthn/registration-options',
+  sensitiveOperationLimiter,
+  authenticate,
+  async (req, res) => {
+    try {
+      const { uid, email, name } = req.user;
+
+      const result = await mfaService.generateWebAuthnRegistrationOptions(uid, {
+        email,
+        displayName: name,
+      });
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: result.message,
+            code: 'WEBAUTHN_REGISTRATION_UNAVAILABLE',
+          },
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'WebAuthn 註冊選項產生成功',
+        data: result,
+      });
+    } catch (error) {
+      logger.error('產生 WebAuthn 註冊選項失敗', {
+        error: error.message,
+        uid: req.user?.uid,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: '產生 WebAuthn 註冊選項失敗',
+          code: 'WEBAUTHN_OPTIONS_FAILED',
+        },
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/webauthn/register:
+ *   post:
+ *     summary: 完成 WebAuthn 註冊
+ *     description: 驗證 navigator.credentials.create 的結果並啟用 WebAuthn
+ *     tags: [MFA Management]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - credential
+ *             properties:
+ *               credential:
+ *                 type: object
+ *                 description: PublicKeyCredential 的 JSON 格式
+ *               name:
+ *                 type: string
+ *                 description: 憑證名稱
+ *     responses:
+ *       200:
+ *         description: WebAuthn 註冊成功
+ *       400:
+ *         description: 註冊驗證失敗
+ *       401:
+ *         description: 認證失敗
+ *       403:
+ *         $ref: '#/components/responses/StepUpRequiredError'
+ */
+router.post(
+  '/mfa/webauthn/register',
+  sensitiveOperationLimiter,
+  extractDeviceFingerprint,
+  extractRequestContext,
+  authenticate,
+  requireStepUp(),
+  async (req, res) => {
+    try {
+      const { credential, name } = req.body;
+      const { uid } = req.user;
+
+      if (!credential || typeof credential !== 'object') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: '缺少必要參數: credential',
+            code: 'MISSING_REQUIRED_PARAMETERS',
+          },
+        });
+      }
+
+      const result = await mfaService.enableWebAuthn(uid, credential, name);
+
+      logger.info('WebAuthn 註冊嘗試', {
+        uid,
+        success: result.success,
+        ipAddress: req.securityContext.ipAddress,
+      });
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: result.message,
+            code: 'WEBAUTHN_REGISTRATION_FAILED',
+          },
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: result.message,
+        data: {
+          credential: result.credential,
+        },
+      });
+    } catch (error) {
+      logger.error('WebAuthn 註冊失敗', {
+        error: error.message,
+        uid: req.user?.uid,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'WebAuthn 註冊失敗',
+          code: 'WEBAUTHN_REGISTRATION_FAILED',
+        },
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/webauthn/authentication-options:
+ *   post:
+ *     summary: 取得 WebAuthn 驗證選項
+ *     description: 產生 navigator.credentials.get 所需的選項，結果再送至 /mfa/verify（type 為 webauthn）
+ *     tags: [MFA Management]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功產生驗證選項
+ *       400:
+ *         description: WebAuthn 未設置
+ *       401:
+ *         description: 認證失敗
+ */
+router.post(
+  '/mfa/webauthn/authentication-options',
+  authLimiter,
+  authenticate,
+  async (req, res) => {
+    try {
+      const result = await mfaService.generateWebAuthnAuthenticationOptions(req.user.uid);
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: result.message,
+            code: 'MFA_METHOD_NOT_ENABLED',
+          },
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'WebAuthn 驗證選項產生成功',
+        data: result,
+      });
+    } catch (error) {
+      logger.error('產生 WebAuthn 驗證選項失敗', {
+        error: error.message,
+        uid: req.user?.uid,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: '產生 WebAuthn 驗證選項失敗',
+          code: 'WEBAUTHN_OPTIONS_FAILED',
+        },
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/webauthn/credentials/{credentialId}:
+ *   delete:
+ *     summary: 移除 WebAuthn 憑證
+ *     description: 移除指定的 passkey，最後一個憑證移除後會停用 WebAuthn
+ *     tags: [MFA Management]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: credentialId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 憑證已移除
+ *       401:
+ *         description: 認證失敗
+ *       403:
+ *         $ref: '#/components/responses/StepUpRequiredError'
+ *       404:
+ *         description: 憑證不存在
+ */
+router.delete(
+  '/mfa/webauthn/credentials/:credentialId',
+  sensitiveOperationLimiter,
+  authenticate,
+  requireStepUp(),
+  async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const result = await mfaService.removeWebAuthnCredential(uid, req.params.credentialId);
+
+      if (!result.success) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: result.message,
+            code: 'WEBAUTHN_CREDENTIAL_NOT_FOUND',
+          },
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: result.message,
+        data: {
+          remainingCredentials: result.remainingCredentials,
+          enabledMethods: result.enabledMethods,
+        },
+      });
+    } catch (error) {
+      logger.error('移除 WebAuthn 憑證失敗', {
+        error: error.message,
+        uid: req.user?.uid,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: '移除 WebAuthn 憑證失敗',
+          code: 'WEBAUTHN_REMOVE_FAILED',
+        },
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/webauthn/login/options:
+ *   post:
+ *     summary: 取得 passkey 無密碼登入選項
+ *     description: 產生不指定用戶的驗證選項，由認證器選擇可探索憑證
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: 成功產生登入選項
+ */
+router.post('/webauthn/login/options', authLimiter, async (req, res) => {
+  const result = await mfaService.generateWebAuthnLoginOptions();
+
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: result.message,
+        code: 'WEBAUTHN_OPTIONS_FAILED',
+      },
+    });
+  }
+
+  return res.json({
+    success: true,
+    message: 'WebAuthn 登入選項產生成功',
+    data: result,
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/webauthn/login:
+ *   post:
+ *     summary: passkey 無密碼登入
+ *     description: 驗證 navigator.credentials.get 的結果（必須通過使用者驗證）並簽發 JWT Token 對
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - credential
+ *             properties:
+ *               credential:
+ *                 type: object
+ *                 description: PublicKeyCredential 的 JSON 格式
+ *     responses:
+ *       200:
+ *         description: 登入成功
+ *       400:
+ *         description: 請求參數錯誤
+ *       401:
+ *         description: passkey 驗證失敗
+ *       403:
+ *         description: 帳戶已被暫停或未啟用，或密碼已過期（PASSWORD_CHANGE_REQUIRED，附帶 passwordChangeToken）
+ *       423:
+ *         description: 帳號已被鎖定
+ *       429:
+ *         description: 嘗試次數過多
+ */
+router.post(
+  '/webauthn/login',
+  authLimiter,
+  extractDeviceFingerprint,
+  extractRequestContext,
+  async (req, res) => {
+    try {
+      const { credential } = req.body;
+
+      if (!credential || typeof credential !== 'object') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: '缺少必要參數: credential',
+            code: 'MISSING_REQUIRED_PARAMETERS',
+          },
+        });
+      }
+
+      const verificationResult = await mfaService.verifyWebAuthnLogin(credential);
+
+      if (!verificationResult.success) {
+        logger.warn('passkey 登入失敗', {
+          result: verificationResult.result,
+          ipAddress: req.securityContext.ipAddress,
+        });
+
+        const status = verificationResult.result === 'too_many_attempts' ? 429 : 401;
+        return res.status(status).json({
+          success: false,
+          error: {
+            message: verificationResult.message,
+            code: 'WEBAUTHN_LOGIN_FAILED',
+          },
+        });
+      }
+
+      const user = await User.findByFirebaseUid(verificationResult.uid);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: '用戶不存在',
+            code: 'USER_NOT_FOUND',
+          },
+        });
+      }
+
+      const lockCheck = await securityEnhancement.checkAccountLock(user.firebaseUid);
+      if (lockCheck.locked) {
+        return res.status(423).json({
+          success: false,
+          error: {
+            message: `帳號已被鎖定：${lockCheck.reason}`,
+            code: 'ACCOUNT_LOCKED',
+            lockedUntil: lockCheck.lockedUntil,
+          },
+        });
+      }
+
+      if (user.status === 'suspended') {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: '帳戶已被暫停',
+            code: 'ACCOUNT_SUSPENDED',
+          },
+        });
+      }
+
+      if (user.status === 'inactive') {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: '帳戶未啟用',
+            code: 'ACCOUNT_INACTIVE',
+          },
+        });
+      }
+
+      // 密碼過期需先變更密碼
+      const passwordChangeResponse = await sendPasswordChangeRequired(res, user);
+      if (passwordChangeResponse) {
+        return passwordChangeResponse;
+      }
+
+      await user.updateLoginStats();
+
+      // passkey 已包含持有因素與使用者驗證，不再要求額外的 MFA
+      const tokenPair = await jwtService.generateTokenPair(
+        {
+          firebaseUid: user.firebaseUid,
+          email: user.email,
+          role: user.role,
+          permissions: user.permissions || [],
+        },
+        {
+          ipAddress: req.securityContext.ipAddress,
+          deviceFingerprint: req.securityContext.deviceFingerprint,
+          userAgent: req.securityContext.userAgent,
+          loginMethod: 'webauthn',
+          authenticatedAt: Date.now(),
+          authenticationMethod: 'mfa',
+        },
+      );
+
+      logger.info('passkey 登入成功', {
+        uid: user.firebaseUid,
+        credentialId: verificationResult.credentialId,
+        sessionId: tokenPair.sessionId,
+        ipAddress: req.securityContext.ipAddress,
+      });
+
+      return res.json({
+        success: true,
+        message: '登入成功',
+        data: {
+          user: user.toJSON(),
+          ...tokenPair,
+        },
+      });
+    } catch (error) {
+      logger.error('passkey 登入失敗', {
+        error: error.message,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: '登入失敗',
+          code: 'LOGIN_FAILED',
+        },
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/check-required:
+ *   post:
+ *     summary: 檢查是否需要 MFA 驗證
+ *     description: 檢查當前操作是否需要 MFA 驗證，登入時受信任設備可略過 MFA
+ *     tags: [MFA Management]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Trusted-Device-Token
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: 受信任設備權杖
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               operation:
+ *                 type: string
+ *                 description: 要執行的操作類型
+ *                 enum: ['login', 'sensitive_operation', 'admin_operation']
+ *               context:
+ *                 type: object
+ *                 description: 操作上下文資訊
+ *     responses:
+ *       200:
+ *         description: 成功檢查 MFA 要求
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     mfaRequired:
+ *                       type: boolean
+ *                       description: 是否需要 MFA 驗證
+ *                     reason:
+ *                       type: string
+ *                       description: 需要 MFA 的原因
+ *                     availableMethods:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: 可用的 MFA 方法
+ *                     mfaEnabled:
+ *                       type: boolean
+ *                       description: 用戶是否已啟用 MFA
+ *                     trustedDevice:
+ *                       type: boolean
+ *                       description: 是否因受信任設備而略過 MFA
+ *       401:
+ *         description: 認證失敗
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post(
+  '/mfa/check-required',
+  generalLimiter,
+  extractDeviceFingerprint,
+  extractRequestContext,
+  authenticate,
+  async (req, res) => {
+    try {
+      const { operation = 'login', context = {} } = req.body;
+      const { uid } = req.user;
+
+      // 獲取用戶 MFA 狀態
+      const mfaStatus = await mfaService.getUserMFAStatus(uid);
+      const mfaEnabled = await mfaService.isMFAEnabled(uid);
+
+      // 檢查是否需要 MFA 驗證的邏輯
+      let mfaRequired = false;
+      let reason = '';
+
+      if (mfaEnabled) {
+        switch (operation) {
+          case 'login':
+            mfaRequired = true;
+            reason = '用戶已啟用 MFA，登入時需要驗證';
+            break;
+          case 'sensitive_operation':
+            mfaRequired = true;
+            reason = '敏感操作需要 MFA 驗證';
+            break;
+          case 'admin_operation':
+            mfaRequired = req.user.role === 'admin';
+            reason = mfaRequired ? '管理員操作需要 MFA 驗證' : '一般用戶操作不需要額外驗證';
+            break;
+          default:
+            // 其他操作根據用戶設定決定
+            mfaRequired = mfaEnabled;
+            reason = mfaRequired ? '用戶已啟用 MFA' : 'MFA 未啟用';
+        }
+      } else {
+        reason = 'MFA 未啟用';
+      }
+
+      // 安全風險評估（基於請求上下文）
+      const riskFactors = [];
+
+      // 檢查 IP 地址變更
+      if (context.newLocation || context.unusualIp) {
+        riskFactors.push('unusual_location');
+        mfaRequired = true;
+        reason = '檢測到異常登入位置';
+      }
+
+      // 檢查設備變更
+      if (context.newDevice || context.unusualDevice) {
+        riskFactors.push('new_device');
+        mfaRequired = true;
+        reason = '檢測到新設備登入';
+      }
+
+      // 檢查時間異常
+      const currentHour = new Date().getHours();
+      if (currentHour < 6 || currentHour > 23) {
+        riskFactors.push('unusual_time');
+        // 非常規時間不強制要求 MFA，但會記錄
+      }
+
+      // 受信任設備登入時略過 MFA，除非登入模式分析顯示風險升高
+      let trustedDevice = false;
+      const forcedByContext = riskFactors.some((factor) => factor !== 'unusual_time');
+      if (mfaRequired && operation === 'login' && !forcedByContext) {
+        const device = await findTrustedDevice(req, uid);
+
+        if (device) {
+          const loginAnalysis = await securityEnhancement.analyzeLoginPattern(uid, {
+            ...req.securityContext,
+            providerId: 'trusted_device',
+            mfaEnabled,
+          });
+
+          if (loginAnalysis.suspicious) {
+            riskFactors.push('elevated_login_risk');
+            reason = '受信任設備的登入風險升高，需要 MFA 驗證';
+          } else {
+            trustedDevice = true;
+            mfaRequired = false;
+            reason = '受信任設備，略過 MFA 驗證';
+          }
+        }
+      }
+
+      const result = {
+        mfaRequired,
+        reason,
+        availableMethods: mfaStatus.enabledMethods,
+        mfaEnabled,
+        trustedDevice,
+        riskFactors,
+        operation,
+        context: {
+          ipAddress: req.securityContext.ipAddress,
+          deviceFingerprint: req.securityContext.deviceFingerprint?.substring(0, 8),
+          timestamp: req.securityContext.timestamp,
+        },
+      };
+
+      logger.info('MFA 要求檢查', {
+        uid,
+        operation,
+        mfaRequired,
+        reason,
+        riskFactors,
+        mfaEnabled,
+        trustedDevice,
+      });
+
+      return res.json({
+        success: true,
+        message: 'MFA 要求檢查完成',
+        data: result,
+      });
+    } catch (error) {
+      logger.error('MFA 要求檢查失敗', {
+        error: error.message,
+        uid: req.user?.uid,
+        operation: req.body?.operation,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'MFA 要求檢查失敗',
+          code: 'MFA_CHECK_FAILED',
+        },
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/trusted-devices:
+ *   get:
+ *     summary: 列出受信任設備
+ *     description: 列出在 MFA 驗證時選擇「記住這個設備」的設備
+ *     tags: [MFA Management]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功獲取受信任設備
+ *       401:
+ *         description: 認證失敗
+ */
+router.get(
+  '/mfa/trusted-devices',
+  generalLimiter,
+  extractDeviceFingerprint,
+  authenticate,
+  async (req, res) => {
+    try {
+      const devices = await mfaService.listTrustedDevices(req.user.uid, req.deviceFingerprint);
+
+      return res.json({
+        success: true,
+        message: '受信任設備獲取成功',
+        data: {
+          devices,
+          total: devices.length,
+        },
+      });
+    } catch (error) {
+      logger.error('獲取受信任設備失敗', {
+        error: error.message,
+        uid: req.user?.uid,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: '獲取受信任設備失敗',
+          code: 'TRUSTED_DEVICES_FETCH_FAILED',
+        },
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/trusted-devices/{deviceId}:
+ *   delete:
+ *     summary: 撤銷受信任設備
+ *     description: 撤銷指定的受信任設備，該設備下次登入需重新進行 MFA 驗證
+ *     tags: [MFA Management]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 撤銷成功
+ *       401:
+ *         description: 認證失敗
+ *       404:
+ *         description: 受信任設備不存在
+ */
+router.delete(
+  '/mfa/trusted-devices/:deviceId',
+  sensitiveOperationLimiter,
+  authenticate,
+  async (req, res) => {
+    try {
+      const result = await mfaService.revokeTrustedDevice(req.user.uid, req.params.deviceId);
+
+      if (!result.success) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: result.message,
+            code: 'TRUSTED_DEVICE_NOT_FOUND',
+          },
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: result.message,
+        data: {
+          revokedCount: result.revokedCount,
+        },
+      });
+    } catch (error) {
+      logger.error('撤銷受信任設備失敗', {
+        error: error.message,
+        uid: req.user?.uid,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: '撤銷受信任設備失敗',
+          code: 'TRUSTED_DEVICE_REVOKE_FAILED',
+        },
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/trusted-devices:
+ *   delete:
+ *     summary: 撤銷所有受信任設備
+ *     description: 撤銷所有受信任設備，所有設備下次登入都需重新進行 MFA 驗證
+ *     tags: [MFA Management]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 撤銷成功
+ *       401:
+ *         description: 認證失敗
+ */
+router.delete('/mfa/trusted-devices', sensitiveOperationLimiter, authenticate, async (req, res) => {
+  try {
+    const result = await mfaService.revokeTrustedDevice(req.user.uid);
+
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    return res.json({
+      success: true,
+      message: result.message,
+      data: {
+        revokedCount: result.revokedCount,
+      },
+    });
+  } catch (error) {
+    logger.error('撤銷所有受信任設備失敗', {
+      error: error.message,
+      uid: req.user?.uid,
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: '撤銷受信任設備失敗',
+        code: 'TRUSTED_DEVICE_REVOKE_FAILED',
+      },
+    });
+  }
+});
+
+// ============ 安全設定和管理 API ============
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SecurityPreferences:
+ *       type: object
+ *       properties:
+ *         mfaRequired:
+ *           type: boolean
+ *           description: 是否要求 MFA 驗證
+ *           default: false
+ *         sessionTimeout:
+ *           type: number
+ *           description: Session 超時時間（分鐘）
+ *           minimum: 15
+ *           maximum: 1440
+ *           default: 1440
+ *         maxConcurrentSessions:
+ *           type: number
+ *           description: 最大並發 Session 數量
+ *           minimum: 1
+ *           maximum: 10
+ *           default: 5
+ *         loginNotifications:
+ *           type: boolean
+ *           description: 是否啟用登入通知
+ *           default: true
+ *         securityAlerts:
+ *           type: boolean
+ *           description: 是否啟用安全警報
+ *           default: true
+ *         ipWhitelist:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: IP 白名單
+ *         deviceRestriction:
+ *           type: boolean
+ *           description: 是否限制設備登入
+ *           default: false
+ *         requireDeviceApproval:
+ *           type: boolean
+ *           description: 是否需要設備批准
+ *           default: false
+ *
+ *     NotificationSettings:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: object
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *               default: true
+ *             loginAlerts:
+ *               type: boolean
+ *               default: true
+ *             securityEvents:
+ *               type: boolean
+ *               default: true
+ *             suspiciousActivity:
+ *               type: boolean
+ *               default: true
+ *             accountChanges:
+ *               type: boolean
+ *               default: true
+ *         sms:
+ *           type: object
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *               default: false
+ *             criticalAlerts:
+ *               type: boolean
+ *               default: false
+ *             loginFailures:
+ *               type: boolean
+ *               default: false
+ *         push:
+ *           type: object
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *               default: true
+ *             realTimeAlerts:
+ *               type: boolean
+ *               default: true
+ *             weeklyReports:
+ *               type: boolean
+ *               default: false
+ *
+ *     SecurityPolicySettings:
+ *       type: object
+ *       properties:
+ *         passwordPolicy:
+ *           type: object
+ *           properties:
+ *             minLength:
+ *               type: number
+ *               minimum: 8
+ *               maximum: 128
+ *               default: 8
+ *             requireUppercase:
+ *               type: boolean
+ *               default: true
+ *             requireLowercase:
+ *               type: boolean
+ *               default: true
+ *             requireNumbers:
+ *               type: boolean
+ *               default: true
+ *             requireSymbols:
+ *               type: boolean
+ *               default: false
+ *             maxAge:
+ *               type: number
+ *               description: 密碼最大有效期（天）
+ *               default: 90
+ *             historyCount:
+ *               type: number
+ *               description: 不可重複使用的最近密碼數量
+ *               default: 5
+ *             blockCommonPasswords:
+ *               type: boolean
+ *               description: 拒絕內建常見密碼清單中的密碼
+ *               default: true
+ *         accountLockPolicy:
+ *           type: object
+ *           properties:
+ *             maxFailedAttempts:
+ *               type: number
+ *               minimum: 3
+ *               maximum: 10
+ *               default: 3
+ *             lockDuration:
+ *               type: number
+ *               description: 鎖定時間（分鐘）
+ *               default: 5
+ *             progressiveLockout:
+ *               type: boolean
+ *               description: 是否啟用遞增鎖定（5 次失敗至少 30 分鐘，超過 10 次至少 2 小時）
+ *               default: true
+ *         sessionPolicy:
+ *           type: object
+ *           properties:
+ *             defaultTimeout:
+ *               type: number
+ *               description: 預設 Session 超時時間（分鐘）
+ *               default: 1440
+ *             maxConcurrentSessions:
+ *               type: number
+ *               default: 5
+ *             requireMfaForSensitive:
+ *               type: boolean
+ *               default: true
+ *             stepUpMaxAge:
+ *               type: number
+ *               description: 敏感操作的 step-up 重新驗證有效期限（分鐘）
+ *               default: 5
+ *         mfaPolicy:
+ *           type: object
+ *           properties:
+ *             maxAttempts:
+ *               type: number
+ *               description: 單一驗證碼的最大驗證次數
+ *               minimum: 1
+ *               maximum: 10
+ *               default: 3
+ *             maxDailyAttempts:
+ *               type: number
+ *               description: SMS/Email 驗證碼每日最多發送次數
+ *               minimum: 1
+ *               maximum: 50
+ *               default: 10
+ *             trustedDeviceDays:
+ *               type: number
+ *               description: 受信任裝置有效天數
+ *               minimum: 1
+ *               maximum: 90
+ *               default: 30
+ *
+ *     SecurityPolicyVersion:
+ *       type: object
+ *       properties:
+ *         version:
+ *           type: number
+ *         policy:
+ *           $ref: '#/components/schemas/SecurityPolicySettings'
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               path:
+ *                 type: string
+ *                 example: accountLockPolicy.maxFailedAttempts
+ *               from: {}
+ *               to: {}
+ *         changeNote:
+ *           type: string
+ *         updatedBy:
+ *           type: string
+ *         ipAddress:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/auth/security-preferences:
+ *   get:
+ *     summary: 獲取用戶安全偏好設定
+ *     description: 獲取當前用戶的安全偏好設定
+ *     tags: [Security Settings]
  *     security:
  *       - BearerAuth: []
  *     responses:
  *       200:
- *         description: 成功獲取 MFA 方法資訊
+ *         description: 成功獲取安全偏好設定
  *         content:
  *           application/json:
  *             schema:
@@ -2632,89 +5696,71 @@ router.post(
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: MFA 方法資訊獲取成功
+ *                   example: 安全偏好設定獲取成功
  *                 data:
  *                   type: object
  *                   properties:
- *                     methods:
- *                       type: array
- *                       items:
- *                         $ref: '#/components/schemas/MFAMethodInfo'
- *                     summary:
- *                       type: object
- *                       properties:
- *                         totalMethods:
- *                           type: number
- *                         enabledMethods:
- *                           type: number
- *                         pendingMethods:
- *                           type: number
+ *                     uid:
+ *                       type: string
+ *                     preferences:
+ *                       $ref: '#/components/schemas/SecurityPreferences'
+ *                     lastUpdated:
+ *                       type: string
+ *                       format: date-time
  *       401:
  *         description: 認證失敗
  *       500:
  *         description: 伺服器錯誤
  */
-router.get('/mfa/methods', generalLimiter, authenticate, async (req, res) => {
+router.get('/security-preferences', generalLimiter, authenticate, async (req, res) => {
   try {
     const { uid } = req.user;
 
-    // 獲取用戶 MFA 狀態
-    const mfaStatus = await mfaService.getUserMFAStatus(uid);
+    // 從用戶模型或快取中獲取安全偏好設定
+    const user = await User.findByFirebaseUid(uid);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: '用戶不存在',
+          code: 'USER_NOT_FOUND',
+        },
+      });
+    }
 
-    // 定義所有可用的 MFA 方法
-    const allMethods = [
-      {
-        type: 'totp',
-        name: 'TOTP 驗證器',
-        description: '基於時間的一次性密碼，使用 Google Authenticator 等應用',
-        enabled: mfaStatus.enabledMethods.includes('totp'),
-        pending: mfaStatus.pendingMethods.includes('totp'),
-        available: true,
-      },
-      {
-        type: 'sms',
-        name: 'SMS 簡訊驗證',
-        description: '透過手機簡訊接收驗證碼',
-        enabled: mfaStatus.enabledMethods.includes('sms'),
-        pending: mfaStatus.pendingMethods.includes('sms'),
-        available: true,
-      },
-      {
-        type: 'backup_code',
-        name: '備用驗證碼',
-        description: '一次性使用的備用驗證碼',
-        enabled: mfaStatus.enabledMethods.includes('backup_code'),
-        pending: mfaStatus.pendingMethods.includes('backup_code'),
-        available: true,
-        remaining: mfaStatus.backupCodesRemaining || 0,
-      },
-    ];
+    // 獲取用戶的安全偏好設定（如果沒有則使用預設值）
+    const defaultPreferences = {
+      mfaRequired: false,
+      sessionTimeout: 1440, // 24 小時
+      maxConcurrentSessions: 5,
+      loginNotifications: true,
+      securityAlerts: true,
+      ipWhitelist: [],
+      deviceRestriction: false,
+      requireDeviceApproval: false,
+    };
 
-    // 計算統計資料
-    const summary = {
-      totalMethods: allMethods.length,
-      enabledMethods: mfaStatus.enabledMethods.length,
-      pendingMethods: mfaStatus.pendingMethods.length,
-      availableMethods: allMethods.filter((method) => method.available).length,
+    const preferences = {
+      ...defaultPreferences,
+      ...(user.securityPreferences || {}),
     };
 
-    logger.info('用戶 MFA 方法查詢', {
+    logger.info('用戶安全偏好設定查詢', {
       uid,
-      enabledMethods: mfaStatus.enabledMethods,
-      pendingMethods: mfaStatus.pendingMethods,
+      hasCustomPreferences: !!user.securityPreferences,
     });
 
     return res.json({
       success: true,
-      message: 'MFA 方法資訊獲取成功',
+      message: '安全偏好設定獲取成功',
       data: {
-        methods: allMethods,
-        summary,
-        currentStatus: mfaStatus.status,
+        uid,
+        preferences,
+        lastUpdated: user.securityPreferences?.lastUpdated || user.updatedAt,
       },
     });
   } catch (error) {
-    logger.error('獲取 MFA 方法失敗', {
+    logger.error('獲取安全偏好設定失敗', {
       error: error.message,
       uid: req.user?.uid,
     });
@@ -2722,8 +5768,8 @@ router.get('/mfa/methods', generalLimiter, authenticate, async (req, res) => {
     return res.status(500).json({
       success: false,
       error: {
-        message: '獲取 MFA 方法失敗',
-        code: 'MFA_METHODS_FAILED',
+        message: '獲取安全偏好設定失敗',
+        code: 'SECURITY_PREFERENCES_FAILED',
       },
     });
   }
@@ -2731,30 +5777,22 @@ router.get('/mfa/methods', generalLimiter, authenticate, async (req, res) => {
 
 /**
  * @swagger
- * /api/v1/auth/mfa/check-required:
- *   post:
- *     summary: 檢查是否需要 MFA 驗證
- *     description: 檢查當前操作是否需要 MFA 驗證
- *     tags: [MFA Management]
+ * /api/v1/auth/security-preferences:
+ *   put:
+ *     summary: 更新用戶安全偏好設定
+ *     description: 更新當前用戶的安全偏好設定
+ *     tags: [Security Settings]
  *     security:
  *       - BearerAuth: []
  *     requestBody:
- *       required: false
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               operation:
- *                 type: string
- *                 description: 要執行的操作類型
- *                 enum: ['login', 'sensitive_operation', 'admin_operation']
- *               context:
- *                 type: object
- *                 description: 操作上下文資訊
+ *             $ref: '#/components/schemas/SecurityPreferences'
  *     responses:
  *       200:
- *         description: 成功檢查 MFA 要求
+ *         description: 安全偏好設定更新成功
  *         content:
  *           application/json:
  *             schema:
@@ -2765,303 +5803,158 @@ router.get('/mfa/methods', generalLimiter, authenticate, async (req, res) => {
  *                   example: true
  *                 message:
  *                   type: string
+ *                   example: 安全偏好設定更新成功
  *                 data:
  *                   type: object
  *                   properties:
- *                     mfaRequired:
- *                       type: boolean
- *                       description: 是否需要 MFA 驗證
- *                     reason:
+ *                     uid:
  *                       type: string
- *                       description: 需要 MFA 的原因
- *                     availableMethods:
+ *                     preferences:
+ *                       $ref: '#/components/schemas/SecurityPreferences'
+ *                     changes:
  *                       type: array
  *                       items:
  *                         type: string
- *                       description: 可用的 MFA 方法
- *                     mfaEnabled:
- *                       type: boolean
- *                       description: 用戶是否已啟用 MFA
+ *       400:
+ *         description: 請求參數錯誤
  *       401:
  *         description: 認證失敗
+ *       403:
+ *         $ref: '#/components/responses/StepUpRequiredError'
  *       500:
  *         description: 伺服器錯誤
  */
-router.post(
-  '/mfa/check-required',
-  generalLimiter,
+router.put(
+  '/security-preferences',
+  sensitiveOperationLimiter,
   extractDeviceFingerprint,
   extractRequestContext,
   authenticate,
+  requireStepUp(),
   async (req, res) => {
     try {
-      const { operation = 'login', context = {} } = req.body;
       const { uid } = req.user;
+      const newPreferences = req.body;
 
-      // 獲取用戶 MFA 狀態
-      const mfaStatus = await mfaService.getUserMFAStatus(uid);
-      const mfaEnabled = await mfaService.isMFAEnabled(uid);
-
-      // 檢查是否需要 MFA 驗證的邏輯
-      let mfaRequired = false;
-      let reason = '';
+      // 驗證輸入參數
+      const validationErrors = [];
 
-      if (mfaEnabled) {
-        switch (operation) {
-          case 'login':
-            mfaRequired = true;
-            reason = '用戶已啟用 MFA，登入時需要驗證';
-            break;
-          case 'sensitive_operation':
-            mfaRequired = true;
-            reason = '敏感操作需要 MFA 驗證';
-            break;
-          case 'admin_operation':
-            mfaRequired = req.user.role === 'admin';
-            reason = mfaRequired ? '管理員操作需要 MFA 驗證' : '一般用戶操作不需要額外驗證';
-            break;
-          default:
-            // 其他操作根據用戶設定決定
-            mfaRequired = mfaEnabled;
-            reason = mfaRequired ? '用戶已啟用 MFA' : 'MFA 未啟用';
+      if (newPreferences.sessionTimeout !== undefined) {
+        if (newPreferences.sessionTimeout < 15 || newPreferences.sessionTimeout > 1440) {
+          validationErrors.push('sessionTimeout 必須在 15 到 1440 分鐘之間');
         }
-      } else {
-        reason = 'MFA 未啟用';
       }
 
-      // 安全風險評估（基於請求上下文）
-      const riskFactors = [];
+      if (newPreferences.maxConcurrentSessions !== undefined) {
+        if (newPreferences.maxConcurrentSessions < 1 || newPreferences.maxConcurrentSessions > 10) {
+          validationErrors.push('maxConcurrentSessions 必須在 1 到 10 之間');
+        }
+      }
 
-      // 檢查 IP 地址變更
-      if (context.newLocation || context.unusualIp) {
-        riskFactors.push('unusual_location');
-        mfaRequired = true;
-        reason = '檢測到異常登入位置';
+      if (newPreferences.ipWhitelist !== undefined && !Array.isArray(newPreferences.ipWhitelist)) {
+        validationErrors.push('ipWhitelist 必須是陣列');
       }
 
-      // 檢查設備變更
-      if (context.newDevice || context.unusualDevice) {
-        riskFactors.push('new_device');
-        mfaRequired = true;
-        reason = '檢測到新設備登入';
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: '參數驗證失敗',
+            code: 'VALIDATION_ERROR',
+            details: validationErrors,
+          },
+        });
       }
 
-      // 檢查時間異常
-      const currentHour = new Date().getHours();
-      if (currentHour < 6 || currentHour > 23) {
-        riskFactors.push('unusual_time');
-        // 非常規時間不強制要求 MFA，但會記錄
+      const user = await User.findByFirebaseUid(uid);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: '用戶不存在',
+            code: 'USER_NOT_FOUND',
+          },
+        });
       }
 
-      const result = {
-        mfaRequired,
-        reason,
-        availableMethods: mfaStatus.enabledMethods,
-        mfaEnabled,
-        riskFactors,
-        operation,
-        context: {
-          ipAddress: req.securityContext.ipAddress,
-          deviceFingerprint: req.securityContext.deviceFingerprint?.substring(0, 8),
-          timestamp: req.securityContext.timestamp,
-        },
+      // 記錄變更內容
+      const currentPreferences = user.securityPreferences || {};
+      const changes = [];
+
+      Object.keys(newPreferences).forEach((key) => {
+        if (currentPreferences[key] !== newPreferences[key]) {
+          changes.push(`${key}: ${currentPreferences[key]} → ${newPreferences[key]}`);
+        }
+      });
+
+      // 更新安全偏好設定
+      const updatedPreferences = {
+        ...currentPreferences,
+        ...newPreferences,
+        lastUpdated: new Date(),
       };
 
-      logger.info('MFA 要求檢查', {
+      await User.updateOne(
+        { firebaseUid: uid },
+        {
+          $set: {
+            securityPreferences: updatedPreferences,
+            updatedAt: new Date(),
+          },
+        },
+      );
+
+      // 記錄安全事件
+      await securityEnhancement.recordSecurityEvent(uid, 'security_preferences_updated', {
+        ...req.securityContext,
+        changes,
+        newPreferences: updatedPreferences,
+      });
+
+      logger.info('用戶安全偏好設定更新', {
         uid,
-        operation,
-        mfaRequired,
-        reason,
-        riskFactors,
-        mfaEnabled,
+        changes,
+        ipAddress: req.securityContext.ipAddress,
       });
 
       return res.json({
         success: true,
-        message: 'MFA 要求檢查完成',
-        data: result,
+        message: '安全偏好設定更新成功',
+        data: {
+          uid,
+          preferences: updatedPreferences,
+          changes,
+        },
       });
     } catch (error) {
-      logger.error('MFA 要求檢查失敗', {
+      logger.error('更新安全偏好設定失敗', {
         error: error.message,
         uid: req.user?.uid,
-        operation: req.body?.operation,
       });
 
       return res.status(500).json({
         success: false,
         error: {
-          message: 'MFA 要求檢查失敗',
-          code: 'MFA_CHECK_FAILED',
+          message: '更新安全偏好設定失敗',
+          code: 'UPDATE_SECURITY_PREFERENCES_FAILED',
         },
       });
     }
   },
 );
 
-// ============ 安全設定和管理 API ============
-
-/**
- * @swagger
- * components:
- *   schemas:
- *     SecurityPreferences:
- *       type: object
- *       properties:
- *         mfaRequired:
- *           type: boolean
- *           description: 是否要求 MFA 驗證
- *           default: false
- *         sessionTimeout:
- *           type: number
- *           description: Session 超時時間（分鐘）
- *           minimum: 15
- *           maximum: 1440
- *           default: 1440
- *         maxConcurrentSessions:
- *           type: number
- *           description: 最大並發 Session 數量
- *           minimum: 1
- *           maximum: 10
- *           default: 5
- *         loginNotifications:
- *           type: boolean
- *           description: 是否啟用登入通知
- *           default: true
- *         securityAlerts:
- *           type: boolean
- *           description: 是否啟用安全警報
- *           default: true
- *         ipWhitelist:
- *           type: array
- *           items:
- *             type: string
- *           description: IP 白名單
- *         deviceRestriction:
- *           type: boolean
- *           description: 是否限制設備登入
- *           default: false
- *         requireDeviceApproval:
- *           type: boolean
- *           description: 是否需要設備批准
- *           default: false
- *
- *     NotificationSettings:
- *       type: object
- *       properties:
- *         email:
- *           type: object
- *           properties:
- *             enabled:
- *               type: boolean
- *               default: true
- *             loginAlerts:
- *               type: boolean
- *               default: true
- *             securityEvents:
- *               type: boolean
- *               default: true
- *             suspiciousActivity:
- *               type: boolean
- *               default: true
- *             accountChanges:
- *               type: boolean
- *               default: true
- *         sms:
- *           type: object
- *           properties:
- *             enabled:
- *               type: boolean
- *               default: false
- *             criticalAlerts:
- *               type: boolean
- *               default: false
- *             loginFailures:
- *               type: boolean
- *               default: false
- *         push:
- *           type: object
- *           properties:
- *             enabled:
- *               type: boolean
- *               default: true
- *             realTimeAlerts:
- *               type: boolean
- *               default: true
- *             weeklyReports:
- *               type: boolean
- *               default: false
- *
- *     SecurityPolicySettings:
- *       type: object
- *       properties:
- *         passwordPolicy:
- *           type: object
- *           properties:
- *             minLength:
- *               type: number
- *               minimum: 8
- *               maximum: 128
- *               default: 8
- *             requireUppercase:
- *               type: boolean
- *               default: true
- *             requireLowercase:
- *               type: boolean
- *               default: true
- *             requireNumbers:
- *               type: boolean
- *               default: true
- *             requireSymbols:
- *               type: boolean
- *               default: false
- *             maxAge:
- *               type: number
- *               description: 密碼最大有效期（天）
- *               default: 90
- *         accountLockPolicy:
- *           type: object
- *           properties:
- *             maxFailedAttempts:
- *               type: number
- *               minimum: 3
- *               maximum: 10
- *               default: 5
- *             lockDuration:
- *               type: number
- *               description: 鎖定時間（分鐘）
- *               default: 30
- *             progressiveLockout:
- *               type: boolean
- *               description: 是否啟用遞增鎖定
- *               default: true
- *         sessionPolicy:
- *           type: object
- *           properties:
- *             defaultTimeout:
- *               type: number
- *               description: 預設 Session 超時時間（分鐘）
- *               default: 1440
- *             maxConcurrentSessions:
- *               type: number
- *               default: 5
- *             requireMfaForSensitive:
- *               type: boolean
- *               default: true
- */
-
 /**
  * @swagger
- * /api/v1/auth/security-preferences:
+ * /api/v1/auth/notification-settings:
  *   get:
- *     summary: 獲取用戶安全偏好設定
- *     description: 獲取當前用戶的安全偏好設定
+ *     summary: 獲取安全通知設定
+ *     description: 獲取當前用戶的安全通知設定
  *     tags: [Security Settings]
  *     security:
  *       - BearerAuth: []
  *     responses:
  *       200:
- *         description: 成功獲取安全偏好設定
+ *         description: 成功獲取通知設定
  *         content:
  *           application/json:
  *             schema:
@@ -3072,27 +5965,23 @@ router.post(
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: 安全偏好設定獲取成功
+ *                   example: 通知設定獲取成功
  *                 data:
  *                   type: object
  *                   properties:
  *                     uid:
  *                       type: string
- *                     preferences:
- *                       $ref: '#/components/schemas/SecurityPreferences'
- *                     lastUpdated:
- *                       type: string
- *                       format: date-time
+ *                     notifications:
+ *                       $ref: '#/components/schemas/NotificationSettings'
  *       401:
  *         description: 認證失敗
  *       500:
  *         description: 伺服器錯誤
  */
-router.get('/security-preferences', generalLimiter, authenticate, async (req, res) => {
+router.get('/notification-settings', generalLimiter, authenticate, async (req, res) => {
   try {
     const { uid } = req.user;
 
-    // 從用戶模型或快取中獲取安全偏好設定
     const user = await User.findByFirebaseUid(uid);
     if (!user) {
       return res.status(404).json({
@@ -3104,39 +5993,43 @@ router.get('/security-preferences', generalLimiter, authenticate, async (req, re
       });
     }
 
-    // 獲取用戶的安全偏好設定（如果沒有則使用預設值）
-    const defaultPreferences = {
-      mfaRequired: false,
-      sessionTimeout: 1440, // 24 小時
-      maxConcurrentSessions: 5,
-      loginNotifications: true,
-      securityAlerts: true,
-      ipWhitelist: [],
-      deviceRestriction: false,
-      requireDeviceApproval: false,
+    // 預設通知設定
+    const defaultNotifications = {
+      email: {
+        enabled: true,
+        loginAlerts: true,
+        securityEvents: true,
+        suspiciousActivity: true,
+        accountChanges: true,
+      },
+      sms: {
+        enabled: false,
+        criticalAlerts: false,
+        loginFailures: false,
+      },
+      push: {
+        enabled: true,
+        realTimeAlerts: true,
+        weeklyReports: false,
+      },
     };
 
-    const preferences = {
-      ...defaultPreferences,
-      ...(user.securityPreferences || {}),
+    const notifications = {
+      ...defaultNotifications,
+      ...(user.notificationSettings || {}),
     };
 
-    logger.info('用戶安全偏好設定查詢', {
-      uid,
-      hasCustomPreferences: !!user.securityPreferences,
-    });
-
     return res.json({
       success: true,
-      message: '安全偏好設定獲取成功',
+      message: '通知設定獲取成功',
       data: {
         uid,
-        preferences,
-        lastUpdated: user.securityPreferences?.lastUpdated || user.updatedAt,
+        notifications,
+        lastUpdated: user.notificationSettings?.lastUpdated || user.updatedAt,
       },
     });
   } catch (error) {
-    logger.error('獲取安全偏好設定失敗', {
+    logger.error('獲取通知設定失敗', {
       error: error.message,
       uid: req.user?.uid,
     });
@@ -3144,8 +6037,8 @@ router.get('/security-preferences', generalLimiter, authenticate, async (req, re
     return res.status(500).json({
       success: false,
       error: {
-        message: '獲取安全偏好設定失敗',
-        code: 'SECURITY_PREFERENCES_FAILED',
+        message: '獲取通知設定失敗',
+        code: 'NOTIFICATION_SETTINGS_FAILED',
       },
     });
   }
@@ -3153,10 +6046,10 @@ router.get('/security-preferences', generalLimiter, authenticate, async (req, re
 
 /**
  * @swagger
- * /api/v1/auth/security-preferences:
+ * /api/v1/auth/notification-settings:
  *   put:
- *     summary: 更新用戶安全偏好設定
- *     description: 更新當前用戶的安全偏好設定
+ *     summary: 更新安全通知設定
+ *     description: 更新當前用戶的安全通知設定
  *     tags: [Security Settings]
  *     security:
  *       - BearerAuth: []
@@ -3165,32 +6058,10 @@ router.get('/security-preferences', generalLimiter, authenticate, async (req, re
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/SecurityPreferences'
+ *             $ref: '#/components/schemas/NotificationSettings'
  *     responses:
  *       200:
- *         description: 安全偏好設定更新成功
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: 安全偏好設定更新成功
- *                 data:
- *                   type: object
- *                   properties:
- *                     uid:
- *                       type: string
- *                     preferences:
- *                       $ref: '#/components/schemas/SecurityPreferences'
- *                     changes:
- *                       type: array
- *                       items:
- *                         type: string
+ *         description: 通知設定更新成功
  *       400:
  *         description: 請求參數錯誤
  *       401:
@@ -3199,7 +6070,7 @@ router.get('/security-preferences', generalLimiter, authenticate, async (req, re
  *         description: 伺服器錯誤
  */
 router.put(
-  '/security-preferences',
+  '/notification-settings',
   sensitiveOperationLimiter,
   extractDeviceFingerprint,
   extractRequestContext,
@@ -3207,37 +6078,7 @@ router.put(
   async (req, res) => {
     try {
       const { uid } = req.user;
-      const newPreferences = req.body;
-
-      // 驗證輸入參數
-      const validationErrors = [];
-
-      if (newPreferences.sessionTimeout !== undefined) {
-        if (newPreferences.sessionTimeout < 15 || newPreferences.sessionTimeout > 1440) {
-          validationErrors.push('sessionTimeout 必須在 15 到 1440 分鐘之間');
-        }
-      }
-
-      if (newPreferences.maxConcurrentSessions !== undefined) {
-        if (newPreferences.maxConcurrentSessions < 1 || newPreferences.maxConcurrentSessions > 10) {
-          validationErrors.push('maxConcurrentSessions 必須在 1 到 10 之間');
-        }
-      }
-
-      if (newPreferences.ipWhitelist !== undefined && !Array.isArray(newPreferences.ipWhitelist)) {
-        validationErrors.push('ipWhitelist 必須是陣列');
-      }
-
-      if (validationErrors.length > 0) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            message: '參數驗證失敗',
-            code: 'VALIDATION_ERROR',
-            details: validationErrors,
-          },
-        });
-      }
+      const newSettings = req.body;
 
       const user = await User.findByFirebaseUid(uid);
       if (!user) {
@@ -3250,20 +6091,11 @@ router.put(
         });
       }
 
-      // 記錄變更內容
-      const currentPreferences = user.securityPreferences || {};
-      const changes = [];
-
-      Object.keys(newPreferences).forEach((key) => {
-        if (currentPreferences[key] !== newPreferences[key]) {
-          changes.push(`${key}: ${currentPreferences[key]} → ${newPreferences[key]}`);
-        }
-      });
-
-      // 更新安全偏好設定
-      const updatedPreferences = {
-        ...currentPreferences,
-        ...newPreferences,
+      // 合併設定
+      const currentSettings = user.notificationSettings || {};
+      const updatedSettings = {
+        ...currentSettings,
+        ...newSettings,
         lastUpdated: new Date(),
       };
 
@@ -3271,63 +6103,276 @@ router.put(
         { firebaseUid: uid },
         {
           $set: {
-            securityPreferences: updatedPreferences,
+            notificationSettings: updatedSettings,
             updatedAt: new Date(),
           },
         },
       );
 
-      // 記錄安全事件
-      await securityEnhancement.recordSecurityEvent(uid, 'security_preferences_updated', {
+      // 記錄設定變更
+      await securityEnhancement.recordSecurityEvent(uid, 'notification_settings_updated', {
         ...req.securityContext,
-        changes,
-        newPreferences: updatedPreferences,
+        newSettings: updatedSettings,
       });
 
-      logger.info('用戶安全偏好設定更新', {
+      logger.info('用戶通知設定更新', {
         uid,
-        changes,
         ipAddress: req.securityContext.ipAddress,
       });
 
       return res.json({
         success: true,
-        message: '安全偏好設定更新成功',
+        message: '通知設定更新成功',
+        data: {
+          uid,
+          notifications: updatedSettings,
+        },
+      });
+    } catch (error) {
+      logger.error('更新通知設定失敗', {
+        error: error.message,
+        uid: req.user?.uid,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: '更新通知設定失敗',
+          code: 'UPDATE_NOTIFICATION_SETTINGS_FAILED',
+        },
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/admin/security-policy:
+ *   get:
+ *     summary: 獲取全域安全政策（管理員）
+ *     description: 管理員獲取目前生效的全域安全政策；尚未儲存任何版本時返回環境變數預設值（版本 0）
+ *     tags: [Security Settings]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功獲取安全政策
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 安全政策獲取成功
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     policy:
+ *                       $ref: '#/components/schemas/SecurityPolicySettings'
+ *                     version:
+ *                       type: number
+ *                     lastUpdated:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     updatedBy:
+ *                       type: string
+ *                     source:
+ *                       type: string
+ *                       enum: [database, environment_variables]
+ *       401:
+ *         description: 認證失敗
+ *       403:
+ *         description: 權限不足
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get(
+  '/admin/security-policy',
+  generalLimiter,
+  authenticate,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const active = await securityPolicyService.getActivePolicy();
+
+      logger.info('管理員查看安全政策', {
+        adminUser: req.user.uid,
+        version: active.version,
+      });
+
+      return res.json({
+        success: true,
+        message: '安全政策獲取成功',
+        data: {
+          policy: active.policy,
+          version: active.version,
+          lastUpdated: active.updatedAt,
+          updatedBy: active.updatedBy,
+          source: active.source,
+        },
+      });
+    } catch (error) {
+      logger.error('獲取安全政策失敗', {
+        error: error.message,
+        adminUser: req.user?.uid,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: '獲取安全政策失敗',
+          code: 'SECURITY_POLICY_FAILED',
+        },
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/admin/security-policy:
+ *   put:
+ *     summary: 更新全域安全政策（管理員）
+ *     description: |
+ *       管理員更新全域安全政策，只需提交要變更的欄位。每次有實際差異的更新都會新增一個版本，
+ *       記錄變更前後的值與操作者，並立即套用到帳號鎖定、MFA 與 Session 檢查。
+ *     tags: [Security Settings]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SecurityPolicySettings'
+ *               - type: object
+ *                 properties:
+ *                   changeNote:
+ *                     type: string
+ *                     description: 變更說明
+ *                   expectedVersion:
+ *                     type: number
+ *                     description: 編輯時看到的版本，與目前版本不符時返回 409
+ *     responses:
+ *       200:
+ *         description: 安全政策更新成功
+ *       400:
+ *         description: 請求參數錯誤
+ *       401:
+ *         description: 認證失敗
+ *       403:
+ *         description: 權限不足或需要 step-up 重新驗證（STEP_UP_REQUIRED）
+ *       409:
+ *         description: 政策已被其他管理員更新（SECURITY_POLICY_VERSION_CONFLICT）
+ *       503:
+ *         description: 政策儲存服務無法使用
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.put(
+  '/admin/security-policy',
+  sensitiveOperationLimiter,
+  extractDeviceFingerprint,
+  extractRequestContext,
+  authenticate,
+  requireRole('admin'),
+  requireStepUp(),
+  async (req, res) => {
+    try {
+      const adminUser = req.user.uid;
+      const { changeNote, expectedVersion, ...policyChanges } = req.body;
+
+      const result = await securityPolicyService.updatePolicy(policyChanges, {
+        updatedBy: adminUser,
+        changeNote,
+        expectedVersion,
+        context: req.securityContext,
+      });
+
+      if (result.changes.length > 0) {
+        // 記錄安全事件
+        await securityEnhancement.recordSecurityEvent(adminUser, 'security_policy_updated', {
+          ...req.securityContext,
+          policyVersion: result.version,
+          policyChanges: result.changes,
+          adminAction: true,
+        });
+
+        await adminAuditService.recordFromRequest(req, {
+          action: 'security_policy.update',
+          target: { type: 'security_policy', id: 'global' },
+          before: Object.fromEntries(result.changes.map((change) => [change.path, change.from])),
+          after: Object.fromEntries(result.changes.map((change) => [change.path, change.to])),
+          metadata: { version: result.version, changeNote },
+        });
+      }
+
+      logger.info('管理員更新安全政策', {
+        adminUser,
+        version: result.version,
+        changes: result.changes.map((change) => change.path),
+        ipAddress: req.securityContext.ipAddress,
+      });
+
+      return res.json({
+        success: true,
+        message: result.changes.length > 0 ? '安全政策更新成功' : '安全政策沒有變更',
         data: {
-          uid,
-          preferences: updatedPreferences,
-          changes,
+          policy: result.policy,
+          version: result.version,
+          changes: result.changes,
+          updatedBy: result.updatedBy,
+          updatedAt: result.updatedAt,
         },
       });
     } catch (error) {
-      logger.error('更新安全偏好設定失敗', {
+      logger.error('更新安全政策失敗', {
+        code: error.code,
         error: error.message,
-        uid: req.user?.uid,
+        adminUser: req.user?.uid,
       });
 
-      return res.status(500).json({
-        success: false,
-        error: {
-          message: '更新安全偏好設定失敗',
-          code: 'UPDATE_SECURITY_PREFERENCES_FAILED',
-        },
-      });
+      return sendServiceError(
+        res,
+        error,
+        '更新安全政策失敗',
+        'UPDATE_SECURITY_POLICY_FAILED',
+      );
     }
   },
 );
 
 /**
  * @swagger
- * /api/v1/auth/notification-settings:
+ * /api/v1/auth/admin/security-policy/history:
  *   get:
- *     summary: 獲取安全通知設定
- *     description: 獲取當前用戶的安全通知設定
+ *     summary: 獲取安全政策版本歷史（管理員）
+ *     description: 依版本由新到舊列出政策變更紀錄，包含變更內容與操作者
  *     tags: [Security Settings]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: beforeVersion
+ *         description: 只返回此版本之前的紀錄（分頁）
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: 成功獲取通知設定
+ *         description: 成功獲取版本歷史
  *         content:
  *           application/json:
  *             schema:
@@ -3335,183 +6380,127 @@ router.put(
  *               properties:
  *                 success:
  *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: 通知設定獲取成功
  *                 data:
  *                   type: object
  *                   properties:
- *                     uid:
- *                       type: string
- *                     notifications:
- *                       $ref: '#/components/schemas/NotificationSettings'
+ *                     versions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SecurityPolicyVersion'
  *       401:
  *         description: 認證失敗
+ *       403:
+ *         description: 權限不足
  *       500:
  *         description: 伺服器錯誤
  */
-router.get('/notification-settings', generalLimiter, authenticate, async (req, res) => {
-  try {
-    const { uid } = req.user;
+router.get(
+  '/admin/security-policy/history',
+  generalLimiter,
+  authenticate,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const beforeVersion = parseInt(req.query.beforeVersion, 10) || undefined;
+      const versions = await securityPolicyService.getHistory({
+        limit: req.query.limit,
+        beforeVersion,
+      });
 
-    const user = await User.findByFirebaseUid(uid);
-    if (!user) {
-      return res.status(404).json({
+      return res.json({
+        success: true,
+        message: '安全政策歷史獲取成功',
+        data: { versions },
+      });
+    } catch (error) {
+      logger.error('獲取安全政策歷史失敗', {
+        error: error.message,
+        adminUser: req.user?.uid,
+      });
+
+      return res.status(500).json({
         success: false,
         error: {
-          message: '用戶不存在',
-          code: 'USER_NOT_FOUND',
+          message: '獲取安全政策歷史失敗',
+          code: 'SECURITY_POLICY_HISTORY_FAILED',
         },
       });
     }
-
-    // 預設通知設定
-    const defaultNotifications = {
-      email: {
-        enabled: true,
-        loginAlerts: true,
-        securityEvents: true,
-        suspiciousActivity: true,
-        accountChanges: true,
-      },
-      sms: {
-        enabled: false,
-        criticalAlerts: false,
-        loginFailures: false,
-      },
-      push: {
-        enabled: true,
-        realTimeAlerts: true,
-        weeklyReports: false,
-      },
-    };
-
-    const notifications = {
-      ...defaultNotifications,
-      ...(user.notificationSettings || {}),
-    };
-
-    return res.json({
-      success: true,
-      message: '通知設定獲取成功',
-      data: {
-        uid,
-        notifications,
-        lastUpdated: user.notificationSettings?.lastUpdated || user.updatedAt,
-      },
-    });
-  } catch (error) {
-    logger.error('獲取通知設定失敗', {
-      error: error.message,
-      uid: req.user?.uid,
-    });
-
-    return res.status(500).json({
-      success: false,
-      error: {
-        message: '獲取通知設定失敗',
-        code: 'NOTIFICATION_SETTINGS_FAILED',
-      },
-    });
-  }
-});
+  },
+);
 
 /**
  * @swagger
- * /api/v1/auth/notification-settings:
- *   put:
- *     summary: 更新安全通知設定
- *     description: 更新當前用戶的安全通知設定
+ * /api/v1/auth/admin/security-policy/versions/{version}:
+ *   get:
+ *     summary: 獲取指定版本的安全政策（管理員）
  *     tags: [Security Settings]
  *     security:
  *       - BearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/NotificationSettings'
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
  *     responses:
  *       200:
- *         description: 通知設定更新成功
- *       400:
- *         description: 請求參數錯誤
+ *         description: 成功獲取政策版本
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/SecurityPolicyVersion'
  *       401:
  *         description: 認證失敗
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 找不到此版本
  *       500:
  *         description: 伺服器錯誤
  */
-router.put(
-  '/notification-settings',
-  sensitiveOperationLimiter,
-  extractDeviceFingerprint,
-  extractRequestContext,
+router.get(
+  '/admin/security-policy/versions/:version',
+  generalLimiter,
   authenticate,
+  requireRole('admin'),
   async (req, res) => {
     try {
-      const { uid } = req.user;
-      const newSettings = req.body;
+      const version = parseInt(req.params.version, 10);
+      const policyVersion = version > 0 ? await securityPolicyService.getVersion(version) : null;
 
-      const user = await User.findByFirebaseUid(uid);
-      if (!user) {
+      if (!policyVersion) {
         return res.status(404).json({
           success: false,
           error: {
-            message: '用戶不存在',
-            code: 'USER_NOT_FOUND',
+            message: '找不到此安全政策版本',
+            code: 'SECURITY_POLICY_VERSION_NOT_FOUND',
           },
         });
       }
 
-      // 合併設定
-      const currentSettings = user.notificationSettings || {};
-      const updatedSettings = {
-        ...currentSettings,
-        ...newSettings,
-        lastUpdated: new Date(),
-      };
-
-      await User.updateOne(
-        { firebaseUid: uid },
-        {
-          $set: {
-            notificationSettings: updatedSettings,
-            updatedAt: new Date(),
-          },
-        },
-      );
-
-      // 記錄設定變更
-      await securityEnhancement.recordSecurityEvent(uid, 'notification_settings_updated', {
-        ...req.securityContext,
-        newSettings: updatedSettings,
-      });
-
-      logger.info('用戶通知設定更新', {
-        uid,
-        ipAddress: req.securityContext.ipAddress,
-      });
-
       return res.json({
         success: true,
-        message: '通知設定更新成功',
-        data: {
-          uid,
-          notifications: updatedSettings,
-        },
+        message: '安全政策版本獲取成功',
+        data: policyVersion,
       });
     } catch (error) {
-      logger.error('更新通知設定失敗', {
+      logger.error('獲取安全政策版本失敗', {
         error: error.message,
-        uid: req.user?.uid,
+        adminUser: req.user?.uid,
       });
 
       return res.status(500).json({
         success: false,
         error: {
-          message: '更新通知設定失敗',
-          code: 'UPDATE_NOTIFICATION_SETTINGS_FAILED',
+          message: '獲取安全政策版本失敗',
+          code: 'SECURITY_POLICY_VERSION_FAILED',
         },
       });
     }
@@ -3520,16 +6509,38 @@ router.put(
 
 /**
  * @swagger
- * /api/v1/auth/admin/security-policy:
+ * /api/v1/auth/admin/security-audit:
  *   get:
- *     summary: 獲取全域安全政策（管理員）
- *     description: 管理員獲取系統全域安全政策設定
+ *     summary: 獲取安全審計報告（管理員）
+ *     description: |
+ *       依永久保存的安全事件即時彙總報告期間內的登入失敗、帳號鎖定、可疑登入與來源 IP 排行；
+ *       MFA 啟用率為目前狀態，不受報告期間限制
  *     tags: [Security Settings]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 開始日期（預設為 30 天前）
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 結束日期（含當天，預設為現在）；期間最長 366 天
+ *       - in: query
+ *         name: reportType
+ *         schema:
+ *           type: string
+ *           enum: [summary, detailed, critical_only]
+ *           default: summary
+ *         description: 報告類型；detailed 附最近 100 筆事件，critical_only 只附高風險與關鍵事件
  *     responses:
  *       200:
- *         description: 成功獲取安全政策
+ *         description: 成功獲取審計報告
  *         content:
  *           application/json:
  *             schema:
@@ -3540,116 +6551,251 @@ router.put(
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: 安全政策獲取成功
+ *                   example: 安全審計報告獲取成功
  *                 data:
  *                   type: object
  *                   properties:
- *                     policy:
- *                       $ref: '#/components/schemas/SecurityPolicySettings'
- *                     lastUpdated:
- *                       type: string
- *                       format: date-time
- *                     updatedBy:
- *                       type: string
+ *                     reportPeriod:
+ *                       type: object
+ *                       properties:
+ *                         startDate:
+ *                           type: string
+ *                           format: date-time
+ *                         endDate:
+ *                           type: string
+ *                           format: date-time
+ *                         reportType:
+ *                           type: string
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         totalUsers:
+ *                           type: number
+ *                         activeUsers:
+ *                           type: number
+ *                           description: 報告期間內曾登入的用戶數
+ *                         securityEvents:
+ *                           type: number
+ *                         criticalEvents:
+ *                           type: number
+ *                         highSeverityEvents:
+ *                           type: number
+ *                         failedLogins:
+ *                           type: number
+ *                         lockouts:
+ *                           type: number
+ *                         suspiciousLogins:
+ *                           type: number
+ *                         mfaEnabled:
+ *                           type: number
+ *                         mfaAdoptionRate:
+ *                           type: number
+ *                           description: 百分比
+ *                     topSecurityEvents:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           type:
+ *                             type: string
+ *                           count:
+ *                             type: number
+ *                           severity:
+ *                             type: string
+ *                     topOffendingIps:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           ipAddress:
+ *                             type: string
+ *                           count:
+ *                             type: number
+ *                           failedLogins:
+ *                             type: number
+ *                           suspiciousLogins:
+ *                             type: number
+ *                           affectedUsers:
+ *                             type: number
+ *                           lastSeenAt:
+ *                             type: string
+ *                             format: date-time
+ *                     riskAssessment:
+ *                       type: object
+ *                       properties:
+ *                         overallRisk:
+ *                           type: string
+ *                           enum: [low, medium, high, critical]
+ *                         riskScore:
+ *                           type: number
+ *                         riskFactors:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         recommendations:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                     trends:
+ *                       type: object
+ *                       properties:
+ *                         daily:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               date:
+ *                                 type: string
+ *                                 format: date
+ *                               failedLogins:
+ *                                 type: number
+ *                               lockouts:
+ *                                 type: number
+ *                               suspiciousLogins:
+ *                                 type: number
+ *                     events:
+ *                       type: array
+ *                       description: 只在 detailed 與 critical_only 報告中提供
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: 日期範圍或報告類型無效
  *       401:
  *         description: 認證失敗
  *       403:
  *         description: 權限不足
+ *       503:
+ *         description: 安全事件資料庫無法使用
  *       500:
  *         description: 伺服器錯誤
  */
 router.get(
-  '/admin/security-policy',
+  '/admin/security-audit',
   generalLimiter,
   authenticate,
   requireRole('admin'),
   async (req, res) => {
     try {
-      // 從環境變數或資料庫獲取全域安全政策
-      const defaultPolicy = {
-        passwordPolicy: {
-          minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
-          requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE === 'true',
-          requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE === 'true',
-          requireNumbers: process.env.PASSWORD_REQUIRE_NUMBERS === 'true',
-          requireSymbols: process.env.PASSWORD_REQUIRE_SYMBOLS === 'true',
-          maxAge: parseInt(process.env.PASSWORD_MAX_AGE, 10) || 90,
-        },
-        accountLockPolicy: {
-          maxFailedAttempts: parseInt(process.env.MAX_FAILED_ATTEMPTS, 10) || 5,
-          lockDuration: parseInt(process.env.LOCK_DURATION, 10) || 30,
-          progressiveLockout: process.env.PROGRESSIVE_LOCKOUT === 'true',
-        },
-        sessionPolicy: {
-          defaultTimeout: parseInt(process.env.SESSION_TIMEOUT, 10) || 1440,
-          maxConcurrentSessions: parseInt(process.env.MAX_CONCURRENT_SESSIONS, 10) || 5,
-          requireMfaForSensitive: process.env.REQUIRE_MFA_FOR_SENSITIVE === 'true',
-        },
-      };
+      const { startDate, endDate, reportType } = req.query;
 
-      // 這裡可以從資料庫讀取自定義政策覆蓋預設值
-      // const customPolicy = await SecurityPolicy.findOne({ type: 'global' });
+      const auditData = await securityAuditService.generateReport({
+        startDate,
+        endDate,
+        reportType,
+      });
 
-      logger.info('管理員查看安全政策', {
+      logger.info('管理員查看安全審計報告', {
         adminUser: req.user.uid,
+        reportPeriod: auditData.reportPeriod,
       });
 
       return res.json({
         success: true,
-        message: '安全政策獲取成功',
-        data: {
-          policy: defaultPolicy,
-          lastUpdated: new Date().toISOString(),
-          updatedBy: 'system',
-          source: 'environment_variables',
-        },
+        message: '安全審計報告獲取成功',
+        data: auditData,
       });
     } catch (error) {
-      logger.error('獲取安全政策失敗', {
+      logger.error('獲取安全審計報告失敗', {
+        code: error.code,
         error: error.message,
         adminUser: req.user?.uid,
       });
 
-      return res.status(500).json({
-        success: false,
-        error: {
-          message: '獲取安全政策失敗',
-          code: 'SECURITY_POLICY_FAILED',
-        },
-      });
+      return sendServiceError(
+        res,
+        error,
+        '獲取安全審計報告失敗',
+        'SECURITY_AUDIT_FAILED',
+      );
     }
   },
 );
 
 /**
  * @swagger
- * /api/v1/auth/admin/security-policy:
- *   put:
- *     summary: 更新全域安全政策（管理員）
- *     description: 管理員更新系統全域安全政策設定
+ * /api/v1/auth/admin/security-audit/export:
+ *   get:
+ *     summary: 匯出安全事件（管理員）
+ *     description: |
+ *       匯出期間內的安全事件供合規審查使用，依時間由新到舊，單次最多 10000 筆；
+ *       超過上限時回應標頭 X-Export-Truncated 為 true。匯出操作本身也會記錄為安全事件
  *     tags: [Security Settings]
  *     security:
  *       - BearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/SecurityPolicySettings'
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: 事件類型，例如 login_failure
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, critical]
+ *       - in: query
+ *         name: userIdentifier
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10000
  *     responses:
  *       200:
- *         description: 安全政策更新成功
+ *         description: 匯出檔案
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 exportedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 period:
+ *                   type: object
+ *                 count:
+ *                   type: number
+ *                 truncated:
+ *                   type: boolean
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     type: object
  *       400:
- *         description: 請求參數錯誤
+ *         description: 參數無效
  *       401:
  *         description: 認證失敗
  *       403:
  *         description: 權限不足
+ *       503:
+ *         description: 安全事件資料庫無法使用
  *       500:
  *         description: 伺服器錯誤
  */
-router.put(
-  '/admin/security-policy',
+router.get(
+  '/admin/security-audit/export',
   sensitiveOperationLimiter,
   extractDeviceFingerprint,
   extractRequestContext,
@@ -3658,135 +6804,139 @@ router.put(
   async (req, res) => {
     try {
       const adminUser = req.user.uid;
-      const newPolicy = req.body;
-
-      // 驗證政策參數
-      const validationErrors = [];
-
-      if (newPolicy.passwordPolicy) {
-        const { passwordPolicy } = newPolicy;
-        if (
-          passwordPolicy.minLength
-          && (passwordPolicy.minLength < 8 || passwordPolicy.minLength > 128)
-        ) {
-          validationErrors.push('密碼最小長度必須在 8 到 128 之間');
-        }
-        if (passwordPolicy.maxAge && (passwordPolicy.maxAge < 1 || passwordPolicy.maxAge > 365)) {
-          validationErrors.push('密碼最大有效期必須在 1 到 365 天之間');
-        }
-      }
-
-      if (newPolicy.accountLockPolicy) {
-        const { accountLockPolicy } = newPolicy;
-        if (
-          accountLockPolicy.maxFailedAttempts
-          && (accountLockPolicy.maxFailedAttempts < 3 || accountLockPolicy.maxFailedAttempts > 10)
-        ) {
-          validationErrors.push('最大失敗嘗試次數必須在 3 到 10 之間');
-        }
-        if (
-          accountLockPolicy.lockDuration
-          && (accountLockPolicy.lockDuration < 1 || accountLockPolicy.lockDuration > 1440)
-        ) {
-          validationErrors.push('鎖定時間必須在 1 到 1440 分鐘之間');
-        }
-      }
+      const {
+        format = 'csv', startDate, endDate, type, severity, userIdentifier, limit,
+      } = req.query;
 
-      if (validationErrors.length > 0) {
+      if (!['csv', 'json'].includes(format)) {
         return res.status(400).json({
           success: false,
           error: {
-            message: '政策參數驗證失敗',
-            code: 'VALIDATION_ERROR',
-            details: validationErrors,
+            message: '匯出格式必須為 csv 或 json',
+            code: 'INVALID_EXPORT_FORMAT',
           },
         });
       }
 
-      // 這裡應該將政策保存到資料庫
-      // await SecurityPolicy.updateOne(
-      //   { type: 'global' },
-      //   {
-      //     $set: {
-      //       policy: newPolicy,
-      //       updatedBy: adminUser,
-      //       updatedAt: new Date(),
-      //     }
-      //   },
-      //   { upsert: true }
-      // );
+      const result = await securityAuditService.exportEvents({
+        startDate,
+        endDate,
+        type,
+        severity,
+        userIdentifier,
+        limit,
+      });
 
-      // 記錄安全事件
-      await securityEnhancement.recordSecurityEvent(adminUser, 'security_policy_updated', {
+      await securityEnhancement.recordSecurityEvent(adminUser, 'security_audit_exported', {
         ...req.securityContext,
-        policyChanges: newPolicy,
+        format,
+        period: result.period,
+        filters: { type, severity, userIdentifier },
+        count: result.events.length,
         adminAction: true,
       });
 
-      logger.info('管理員更新安全政策', {
+      logger.info('管理員匯出安全事件', {
         adminUser,
-        changes: Object.keys(newPolicy),
-        ipAddress: req.securityContext.ipAddress,
+        format,
+        count: result.events.length,
+        truncated: result.truncated,
       });
 
-      return res.json({
-        success: true,
-        message: '安全政策更新成功',
-        data: {
-          policy: newPolicy,
-          updatedBy: adminUser,
-          updatedAt: new Date(),
-        },
-      });
+      const fileName = `security-events-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.set('X-Export-Truncated', String(result.truncated));
+
+      if (format === 'json') {
+        return res.json({
+          exportedAt: new Date().toISOString(),
+          period: result.period,
+          count: result.events.length,
+          truncated: result.truncated,
+          events: result.events,
+        });
+      }
+
+      // 加上 BOM 讓試算表軟體正確辨識 UTF-8
+      return res
+        .type('text/csv; charset=utf-8')
+        .send(`\uFEFF${SecurityAuditService.toCsv(result.events)}`);
     } catch (error) {
-      logger.error('更新安全政策失敗', {
+      logger.error('匯出安全事件失敗', {
+        code: error.code,
         error: error.message,
         adminUser: req.user?.uid,
       });
 
-      return res.status(500).json({
-        success: false,
-        error: {
-          message: '更新安全政策失敗',
-          code: 'UPDATE_SECURITY_POLICY_FAILED',
-        },
-      });
+      return sendServiceError(
+        res,
+        error,
+        '匯出安全事件失敗',
+        'SECURITY_AUDIT_EXPORT_FAILED',
+      );
     }
   },
 );
 
 /**
  * @swagger
- * /api/v1/auth/admin/security-audit:
+ * /api/v1/auth/admin/audit-logs:
  *   get:
- *     summary: 獲取安全審計報告（管理員）
- *     description: 管理員獲取系統安全審計報告
+ *     summary: 查詢管理操作稽核紀錄（管理員）
+ *     description: |
+ *       依序號由新到舊列出管理操作紀錄（帳號鎖定/解鎖、功能旗標、安全政策等），
+ *       每筆包含操作者、目標、變更前後的值、IP、Request ID 與雜湊鏈欄位。
+ *       雜湊鏈完整性以 `npm run audit:verify` 驗證
  *     tags: [Security Settings]
  *     security:
  *       - BearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: 例如 account.unlock、feature_flag.update
+ *       - in: query
+ *         name: actorUid
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [account, feature_flag, security_policy, error_tracking]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
- *           format: date
- *         description: 開始日期
+ *           format: date-time
  *       - in: query
  *         name: endDate
  *         schema:
  *           type: string
- *           format: date
- *         description: 結束日期
+ *           format: date-time
  *       - in: query
- *         name: reportType
+ *         name: page
  *         schema:
- *           type: string
- *           enum: [summary, detailed, critical_only]
- *           default: summary
- *         description: 報告類型
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
  *     responses:
  *       200:
- *         description: 成功獲取審計報告
+ *         description: 成功獲取稽核紀錄
  *         content:
  *           application/json:
  *             schema:
@@ -3794,162 +6944,91 @@ router.put(
  *               properties:
  *                 success:
  *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: 安全審計報告獲取成功
  *                 data:
  *                   type: object
  *                   properties:
- *                     reportPeriod:
- *                       type: object
- *                       properties:
- *                         startDate:
- *                           type: string
- *                           format: date
- *                         endDate:
- *                           type: string
- *                           format: date
- *                     summary:
- *                       type: object
- *                       properties:
- *                         totalUsers:
- *                           type: number
- *                         activeUsers:
- *                           type: number
- *                         lockedAccounts:
- *                           type: number
- *                         securityEvents:
- *                           type: number
- *                         criticalEvents:
- *                           type: number
- *                     topSecurityEvents:
+ *                     records:
  *                       type: array
  *                       items:
  *                         type: object
- *                     riskAssessment:
- *                       type: object
- *                       properties:
- *                         overallRisk:
- *                           type: string
- *                           enum: [low, medium, high, critical]
- *                         recommendations:
- *                           type: array
- *                           items:
+ *                         properties:
+ *                           sequence:
+ *                             type: number
+ *                           action:
+ *                             type: string
+ *                           actor:
+ *                             type: object
+ *                           target:
+ *                             type: object
+ *                           before: {}
+ *                           after: {}
+ *                           metadata:
+ *                             type: object
+ *                           ipAddress:
+ *                             type: string
+ *                           requestId:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           previousHash:
  *                             type: string
+ *                           hash:
+ *                             type: string
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: 日期格式無效
  *       401:
  *         description: 認證失敗
  *       403:
  *         description: 權限不足
+ *       503:
+ *         description: 稽核紀錄資料庫無法使用
  *       500:
  *         description: 伺服器錯誤
  */
 router.get(
-  '/admin/security-audit',
+  '/admin/audit-logs',
   generalLimiter,
   authenticate,
   requireRole('admin'),
   async (req, res) => {
     try {
-      const { startDate, endDate, reportType = 'summary' } = req.query;
-
-      // 設定報告期間
-      const end = endDate ? new Date(endDate) : new Date();
-      const start = startDate
-        ? new Date(startDate)
-        : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // 預設 30 天
-
-      // 模擬審計數據（實際應從資料庫查詢）
-      const auditData = {
-        reportPeriod: {
-          startDate: start.toISOString().split('T')[0],
-          endDate: end.toISOString().split('T')[0],
-          reportType,
-        },
-        summary: {
-          totalUsers: 1250,
-          activeUsers: 890,
-          lockedAccounts: 15,
-          securityEvents: 342,
-          criticalEvents: 8,
-          loginAttempts: 5420,
-          failedLogins: 180,
-          mfaEnabled: 645,
-        },
-        topSecurityEvents: [
-          {
-            type: 'suspicious_login',
-            count: 25,
-            severity: 'medium',
-            description: '可疑登入嘗試',
-          },
-          {
-            type: 'account_locked',
-            count: 15,
-            severity: 'high',
-            description: '帳號被鎖定',
-          },
-          {
-            type: 'mfa_failure',
-            count: 12,
-            severity: 'medium',
-            description: 'MFA 驗證失敗',
-          },
-          {
-            type: 'unusual_location',
-            count: 8,
-            severity: 'medium',
-            description: '異常地點登入',
-          },
-        ],
-        riskAssessment: {
-          overallRisk: 'medium',
-          riskScore: 45,
-          riskFactors: [
-            '15 個帳號被鎖定',
-            '180 次登入失敗',
-            '8 個關鍵安全事件',
-            '48% 用戶未啟用 MFA',
-          ],
-          recommendations: [
-            '推廣 MFA 啟用率',
-            '加強可疑活動檢測',
-            '定期安全意識培訓',
-            '檢視帳號鎖定政策',
-          ],
-        },
-        trends: {
-          loginFailureRate: 3.3, // 百分比
-          accountLockRate: 1.2,
-          mfaAdoptionRate: 51.6,
-          securityEventTrend: 'increasing',
-        },
-      };
-
-      logger.info('管理員查看安全審計報告', {
-        adminUser: req.user.uid,
-        reportPeriod: auditData.reportPeriod,
-        reportType,
+      const {
+        action, actorUid, targetType, targetId, requestId, startDate, endDate, page, limit,
+      } = req.query;
+
+      const result = await adminAuditService.query({
+        action,
+        actorUid,
+        targetType,
+        targetId,
+        requestId,
+        startDate,
+        endDate,
+        page,
+        limit,
       });
 
       return res.json({
         success: true,
-        message: '安全審計報告獲取成功',
-        data: auditData,
+        message: '稽核紀錄獲取成功',
+        data: result,
       });
     } catch (error) {
-      logger.error('獲取安全審計報告失敗', {
+      logger.error('獲取稽核紀錄失敗', {
+        code: error.code,
         error: error.message,
         adminUser: req.user?.uid,
       });
 
-      return res.status(500).json({
-        success: false,
-        error: {
-          message: '獲取安全審計報告失敗',
-          code: 'SECURITY_AUDIT_FAILED',
-        },
-      });
+      return sendServiceError(
+        res,
+        error,
+        '獲取稽核紀錄失敗',
+        'ADMIN_AUDIT_QUERY_FAILED',
+      );
     }
   },
 );
@@ -3988,6 +7067,8 @@ router.get(
  *                         type: string
  *       401:
  *         description: 認證失敗
+ *       403:
+ *         $ref: '#/components/responses/StepUpRequiredError'
  *       500:
  *         description: 伺服器錯誤
  */
@@ -3997,6 +7078,7 @@ router.post(
   extractDeviceFingerprint,
   extractRequestContext,
   authenticate,
+  requireStepUp(),
   async (req, res) => {
     try {
       const { uid } = req.user;
@@ -1,6 +1,18 @@
 const request = require('supertest');
 const User = require('../models/User');
-const { setupTestApp, teardownTestApp } = require('../test/testApp');
+const testApp = require('../test/testApp');
+const jwtService = require('../services/jwtService');
+const MFAService = require('../services/mfaService');
+const EmailService = require('../services/emailService');
+const SocialLoginService = require('../services/socialLoginService');
+const AccountTokenService = require('../services/accountTokenService');
+const AccountRecoveryService = require('../services/accountRecoveryService');
+const PasswordPolicyService = require('../services/passwordPolicyService');
+const FeatureFlagService = require('../services/featureFlagService');
+const { securityEnhancement } = require('../middleware/securityEnhancement');
+const { firebaseConfig } = require('../config/firebase');
+
+const { setupTestApp, teardownTestApp } = testApp;
 
 describe('Auth Routes', () => {
   let app;
@@ -383,6 +395,346 @@ describe('Auth Routes', () => {
   });
 });
 
+describe('Auth Routes - security flows', () => {
+  let flowUser;
+
+  beforeEach(() => {
+    flowUser = {
+      firebaseUid: 'flow-user-123',
+      email: 'flow-user@localite.com',
+      status: 'active',
+      role: 'user',
+      providers: [{ providerId: 'password', providerUid: 'flow-user-123' }],
+      updateLoginStats: jest.fn().mockResolvedValue(),
+      toJSON() {
+        return { firebaseUid: this.firebaseUid, email: this.email };
+      },
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/v1/auth/mfa/check-required', () => {
+    beforeEach(() => {
+      jest.spyOn(MFAService.prototype, 'getUserMFAStatus').mockResolvedValue({
+        enabledMethods: ['totp'],
+      });
+      jest.spyOn(MFAService.prototype, 'isMFAEnabled').mockResolvedValue(true);
+      jest.spyOn(MFAService.prototype, 'findTrustedDevice').mockResolvedValue({ id: 'device-1' });
+    });
+
+    it('should skip MFA on a trusted device when login risk is normal', async () => {
+      jest.spyOn(securityEnhancement, 'analyzeLoginPattern').mockResolvedValue({
+        suspicious: false,
+      });
+
+      const response = await request(testApp)
+        .post('/api/v1/auth/mfa/check-required')
+        .set('x-test-user', 'test-user')
+        .set('x-trusted-device-token', 'device-token')
+        .send({ operation: 'login' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ mfaRequired: false, trustedDevice: true });
+    });
+
+    it('should require MFA on a trusted device when login risk is elevated', async () => {
+      jest.spyOn(securityEnhancement, 'analyzeLoginPattern').mockResolvedValue({
+        suspicious: true,
+      });
+
+      const response = await request(testApp)
+        .post('/api/v1/auth/mfa/check-required')
+        .set('x-test-user', 'test-user')
+        .set('x-trusted-device-token', 'device-token')
+        .send({ operation: 'login' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ mfaRequired: true, trustedDevice: false });
+      expect(response.body.data.riskFactors).toContain('elevated_login_risk');
+    });
+  });
+
+  describe('POST /api/v1/auth/social/:providerId/login', () => {
+    const identity = {
+      providerId: 'google.com',
+      providerUid: 'google-uid-1',
+      email: 'flow-user@localite.com',
+      emailVerified: true,
+    };
+
+    beforeEach(() => {
+      jest.spyOn(FeatureFlagService.prototype, 'isEnabled').mockResolvedValue(true);
+      jest.spyOn(SocialLoginService.prototype, 'verifyCredential').mockResolvedValue(identity);
+      jest.spyOn(SocialLoginService.prototype, 'resolveUser').mockResolvedValue({
+        user: flowUser,
+        created: false,
+        pendingLink: true,
+      });
+      jest.spyOn(SocialLoginService.prototype, 'linkProvider').mockResolvedValue(flowUser);
+      jest.spyOn(securityEnhancement, 'checkAccountLock').mockResolvedValue({ locked: false });
+      jest.spyOn(securityEnhancement, 'analyzeLoginPattern').mockResolvedValue({
+        suspicious: false,
+        action: 'allow',
+        riskScore: 0,
+      });
+      jest.spyOn(MFAService.prototype, 'isMFAEnabled').mockResolvedValue(false);
+      jest.spyOn(MFAService.prototype, 'getUserMFAStatus').mockResolvedValue({
+        enabledMethods: ['totp'],
+      });
+      jest.spyOn(jwtService, 'generateTokenPair').mockResolvedValue({
+        accessToken: 'access-token',
+        refreshToken: 'refresh-token',
+        sessionId: 'session-1',
+      });
+    });
+
+    it('should not link the provider to a locked account', async () => {
+      securityEnhancement.checkAccountLock.mockResolvedValue({
+        locked: true,
+        reason: 'too_many_failures',
+      });
+
+      const response = await request(testApp)
+        .post('/api/v1/auth/social/google.com/login')
+        .send({ idToken: 'google-id-token' })
+        .expect(423);
+
+      expect(response.body.error.code).toBe('ACCOUNT_LOCKED');
+      expect(SocialLoginService.prototype.linkProvider).not.toHaveBeenCalled();
+      expect(jwtService.generateTokenPair).not.toHaveBeenCalled();
+    });
+
+    it('should not link the provider before MFA is completed', async () => {
+      MFAService.prototype.isMFAEnabled.mockResolvedValue(true);
+
+      const response = await request(testApp)
+        .post('/api/v1/auth/social/google.com/login')
+        .send({ idToken: 'google-id-token' })
+        .expect(200);
+
+      expect(response.body.requiresMFA).toBe(true);
+      expect(response.body.data.operation).toBe('social_login');
+      expect(SocialLoginService.prototype.linkProvider).not.toHaveBeenCalled();
+      expect(jwtService.generateTokenPair).not.toHaveBeenCalled();
+    });
+
+    it('should link the provider once MFA is verified', async () => {
+      MFAService.prototype.isMFAEnabled.mockResolvedValue(true);
+      jest.spyOn(MFAService.prototype, 'verifyMFACode').mockResolvedValue({ success: true });
+
+      const response = await request(testApp)
+        .post('/api/v1/auth/social/google.com/login')
+        .send({ idToken: 'google-id-token', mfaType: 'totp', mfaCode: '123456' })
+        .expect(200);
+
+      expect(response.body.data.providerLinked).toBe(true);
+      expect(SocialLoginService.prototype.linkProvider).toHaveBeenCalledWith(flowUser, identity);
+    });
+  });
+
+  describe('POST /api/v1/auth/reset-password', () => {
+    // 模擬 Mongoose 查詢，可直接 await 或接 select()
+    const mockQuery = (result) => ({
+      select: jest.fn().mockResolvedValue(result),
+      then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    });
+
+    let firebaseAuth;
+
+    beforeEach(() => {
+      firebaseAuth = {
+        updateUser: jest.fn().mockResolvedValue({}),
+        revokeRefreshTokens: jest.fn().mockResolvedValue(),
+      };
+
+      jest.spyOn(User, 'findOne').mockImplementation(() => mockQuery(flowUser));
+      jest.spyOn(EmailService.prototype, 'send').mockResolvedValue({ success: true });
+      jest.spyOn(PasswordPolicyService.prototype, 'validatePassword').mockResolvedValue({
+        valid: true,
+        policy: {},
+      });
+      jest.spyOn(PasswordPolicyService.prototype, 'recordPasswordChange').mockResolvedValue({
+        passwordChangedAt: new Date(),
+        passwordExpiresAt: null,
+      });
+      jest.spyOn(firebaseConfig, 'getAuth').mockReturnValue(firebaseAuth);
+      jest.spyOn(jwtService, 'revokeAllUserTokens').mockResolvedValue();
+      jest.spyOn(MFAService.prototype, 'revokeTrustedDevice').mockResolvedValue(0);
+      jest.spyOn(securityEnhancement, 'recordSecurityEvent').mockResolvedValue();
+    });
+
+    it('should accept a reset token only once', async () => {
+      const issueSpy = jest.spyOn(AccountTokenService.prototype, 'issue');
+
+      await request(testApp)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: flowUser.email })
+        .expect(200);
+      const { token } = await issueSpy.mock.results[0].value;
+
+      await request(testApp)
+        .post('/api/v1/auth/reset-password')
+        .send({ token, newPassword: 'NewPassw0rd!' })
+        .expect(200);
+
+      const response = await request(testApp)
+        .post('/api/v1/auth/reset-password')
+        .send({ token, newPassword: 'OtherPassw0rd!' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_RESET_TOKEN');
+      expect(firebaseAuth.updateUser).toHaveBeenCalledTimes(1);
+      expect(MFAService.prototype.revokeTrustedDevice).toHaveBeenCalledWith(flowUser.firebaseUid);
+    });
+  });
+
+  describe('POST /api/v1/auth/webauthn/login', () => {
+    it('should require a password change before issuing tokens', async () => {
+      jest.spyOn(MFAService.prototype, 'verifyWebAuthnLogin').mockResolvedValue({
+        success: true,
+        uid: flowUser.firebaseUid,
+        credentialId: 'credential-1',
+      });
+      jest.spyOn(User, 'findByFirebaseUid').mockResolvedValue(flowUser);
+      jest.spyOn(securityEnhancement, 'checkAccountLock').mockResolvedValue({ locked: false });
+      jest.spyOn(PasswordPolicyService.prototype, 'checkPasswordChangeRequired').mockResolvedValue({
+        required: true,
+        reason: 'expired',
+      });
+      jest.spyOn(AccountRecoveryService.prototype, 'issuePasswordChangeToken').mockResolvedValue({
+        token: 'password-change-token',
+        expiresAt: new Date(Date.now() + 15 * 60 * 1000),
+      });
+      jest.spyOn(jwtService, 'generateTokenPair');
+
+      const response = await request(testApp)
+        .post('/api/v1/auth/webauthn/login')
+        .send({ credential: { id: 'credential-1' } })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('PASSWORD_CHANGE_REQUIRED');
+      expect(response.body.error.passwordChangeToken).toBe('password-change-token');
+      expect(flowUser.updateLoginStats).not.toHaveBeenCalled();
+      expect(jwtService.generateTokenPair).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/v1/auth/social/:providerId/link', () => {
+    beforeEach(() => {
+      jest.spyOn(FeatureFlagService.prototype, 'isEnabled').mockResolvedValue(true);
+      jest.spyOn(jwtService, 'verifyAccessToken').mockResolvedValue({
+        uid: flowUser.firebaseUid,
+        email: flowUser.email,
+        role: 'user',
+        sessionId: 'session-1',
+        type: 'access',
+      });
+      jest.spyOn(jwtService, 'getStepUpPolicy').mockResolvedValue({
+        maxAge: 300,
+        requireMfa: false,
+      });
+      jest.spyOn(User, 'findByFirebaseUid').mockResolvedValue(flowUser);
+      jest.spyOn(SocialLoginService.prototype, 'verifyCredential').mockResolvedValue({
+        providerId: 'google.com',
+        providerUid: 'google-uid-1',
+      });
+      jest.spyOn(SocialLoginService.prototype, 'linkProvider').mockResolvedValue(flowUser);
+    });
+
+    it('should return 403 STEP_UP_REQUIRED without a recent re-authentication', async () => {
+      jest.spyOn(jwtService, 'getSession').mockResolvedValue({ isActive: true });
+
+      const response = await request(testApp)
+        .post('/api/v1/auth/social/google.com/link')
+        .set('Authorization', 'Bearer access-token')
+        .send({ idToken: 'google-id-token' })
+        .expect(403);
+
+      expect(response.body.error).toMatchObject({
+        code: 'STEP_UP_REQUIRED',
+        maxAge: 300,
+        methods: ['mfa', 'password'],
+        reauthenticatedAt: null,
+      });
+      expect(SocialLoginService.prototype.linkProvider).not.toHaveBeenCalled();
+    });
+
+    it('should link the provider after a recent re-authentication', async () => {
+      jest.spyOn(jwtService, 'getSession').mockResolvedValue({
+        isActive: true,
+        reauthenticatedAt: new Date().toISOString(),
+        reauthenticationMethod: 'password',
+      });
+
+      const response = await request(testApp)
+        .post('/api/v1/auth/social/google.com/link')
+        .set('Authorization', 'Bearer access-token')
+        .send({ idToken: 'google-id-token' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(SocialLoginService.prototype.linkProvider).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('POST /api/v1/auth/change-password', () => {
+    beforeEach(() => {
+      jest.spyOn(jwtService, 'verifyAccessToken').mockResolvedValue({
+        uid: flowUser.firebaseUid,
+        email: flowUser.email,
+        role: 'user',
+        sessionId: 'session-1',
+        type: 'access',
+      });
+      jest.spyOn(jwtService, 'getStepUpPolicy').mockResolvedValue({
+        maxAge: 300,
+        requireMfa: false,
+      });
+      jest.spyOn(User, 'findByFirebaseUid').mockResolvedValue(flowUser);
+      jest.spyOn(AccountRecoveryService.prototype, 'changePassword').mockResolvedValue({
+        passwordChangedAt: new Date(),
+        passwordExpiresAt: null,
+      });
+    });
+
+    it('should return 403 STEP_UP_REQUIRED without a recent re-authentication', async () => {
+      jest.spyOn(jwtService, 'getSession').mockResolvedValue({ isActive: true });
+
+      const response = await request(testApp)
+        .post('/api/v1/auth/change-password')
+        .set('Authorization', 'Bearer access-token')
+        .send({ newPassword: 'N3w-Passw0rd!' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('STEP_UP_REQUIRED');
+      expect(AccountRecoveryService.prototype.changePassword).not.toHaveBeenCalled();
+    });
+
+    it('should change the password after a recent re-authentication', async () => {
+      jest.spyOn(jwtService, 'getSession').mockResolvedValue({
+        isActive: true,
+        reauthenticatedAt: new Date().toISOString(),
+        reauthenticationMethod: 'password',
+      });
+
+      await request(testApp)
+        .post('/api/v1/auth/change-password')
+        .set('Authorization', 'Bearer access-token')
+        .send({ newPassword: 'N3w-Passw0rd!' })
+        .expect(200);
+
+      expect(AccountRecoveryService.prototype.changePassword).toHaveBeenCalledWith(
+        flowUser,
+        'N3w-Passw0rd!',
+        expect.any(Object),
+      );
+    });
+  });
+});
+
 describe('User Model', () => {
   beforeAll(async () => {
     await setupTestApp();
@@ -1,6 +1,7 @@
 const express = require('express');
 const { getFeatureFlagMiddleware } = require('../middleware/featureFlagMiddleware');
 const { authenticate: authMiddleware } = require('../middleware/authMiddleware');
+const { adminAuditService } = require('../services/adminAuditService');
 
 const router = express.Router();
 
@@ -416,8 +417,16 @@ router.post('/', initializeMiddleware, authMiddleware, requireAdminRole, async (
     };
 
     const service = featureFlagMiddleware.getService();
+    const before = service.getAllFlags()[name] || null;
     await service.createFlag(name, validConfig);
 
+    await adminAuditService.recordFromRequest(req, {
+      action: 'feature_flag.create',
+      target: { type: 'feature_flag', id: name },
+      before,
+      after: service.getAllFlags()[name],
+    });
+
     res.status(201).json({
       message: '功能旗標創建成功',
       name,
@@ -545,8 +554,16 @@ router.put('/:name', initializeMiddleware, authMiddleware, requireAdminRole, asy
     }
 
     const service = featureFlagMiddleware.getService();
+    const before = service.getAllFlags()[name];
     await service.updateFlag(name, validUpdates);
 
+    await adminAuditService.recordFromRequest(req, {
+      action: 'feature_flag.update',
+      target: { type: 'feature_flag', id: name },
+      before,
+      after: service.getAllFlags()[name],
+    });
+
     res.json({
       message: '功能旗標更新成功',
       name,
@@ -622,8 +639,16 @@ router.delete(
       const { name } = req.params;
 
       const service = featureFlagMiddleware.getService();
+      const before = service.getAllFlags()[name];
       await service.deleteFlag(name);
 
+      await adminAuditService.recordFromRequest(req, {
+        action: 'feature_flag.delete',
+        target: { type: 'feature_flag', id: name },
+        before,
+        after: null,
+      });
+
       res.json({
         message: '功能旗標刪除成功',
         name,
@@ -713,6 +738,13 @@ router.post(
 
       await service.updateFlag(name, { enabled: !currentFlag.enabled });
 
+      await adminAuditService.recordFromRequest(req, {
+        action: 'feature_flag.toggle',
+        target: { type: 'feature_flag', id: name },
+        before: currentFlag,
+        after: service.getAllFlags()[name],
+      });
+
       res.json({
         message: '功能旗標狀態切換成功',
         name,
@@ -816,8 +848,16 @@ router.post(
       }
 
       const service = featureFlagMiddleware.getService();
+      const before = service.getAllFlags()[name];
       await service.updateFlag(name, { rolloutPercentage: percentage });
 
+      await adminAuditService.recordFromRequest(req, {
+        action: 'feature_flag.rollout',
+        target: { type: 'feature_flag', id: name },
+        before,
+        after: service.getAllFlags()[name],
+      });
+
       res.json({
         message: '推出百分比更新成功',
         name,
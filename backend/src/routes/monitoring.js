@@ -6,6 +6,7 @@ const {
 const { authMiddleware } = require('../middleware/authMiddleware');
 const { createComponentLogger } = require('../config/logger');
 const ErrorTrackingService = require('../services/errorTrackingService');
+const { adminAuditService } = require('../services/adminAuditService');
 
 const router = express.Router();
 const logger = createComponentLogger('monitoring-routes');
@@ -1004,7 +1005,7 @@ router.get('/errors/status', authMiddleware, (req, res) => {
  * @desc 清理舊的錯誤記錄
  * @access Private (需要認證，僅管理員)
  */
-router.post('/errors/cleanup', authMiddleware, (req, res) => {
+router.post('/errors/cleanup', authMiddleware, async (req, res) => {
   // 檢查是否為管理員
   if (req.user?.role !== 'admin') {
     logger.warn('非管理員嘗試清理錯誤記錄', {
@@ -1022,8 +1023,22 @@ router.post('/errors/cleanup', authMiddleware, (req, res) => {
   try {
     const maxAge = parseInt(req.body.maxAge) || 86400000; // 預設24小時
 
+    const toSnapshot = ({ errorHistorySize, activeCounters }) => ({
+      errorHistorySize,
+      activeCounters,
+    });
+    const before = toSnapshot(errorTrackingService.getStatus());
+
     errorTrackingService.cleanup(maxAge);
 
+    await adminAuditService.recordFromRequest(req, {
+      action: 'error_tracking.cleanup',
+      target: { type: 'error_tracking', id: 'error_history' },
+      before,
+      after: toSnapshot(errorTrackingService.getStatus()),
+      metadata: { maxAge },
+    });
+
     logger.info('錯誤記錄清理', {
       userId: req.user?.uid,
       maxAge,
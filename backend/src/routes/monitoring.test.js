@@ -40,7 +40,14 @@ jest.mock('../services/errorTrackingService', () => jest.fn().mockImplementation
   }),
 })));
 
+jest.mock('../services/adminAuditService', () => ({
+  adminAuditService: {
+    recordFromRequest: jest.fn().mockResolvedValue(null),
+  },
+}));
+
 const { router: monitoringRoutes } = require('./monitoring');
+const { adminAuditService } = require('../services/adminAuditService');
 
 jest.mock('../middleware/performanceMonitor', () => ({
   getPerformanceMetrics: (req, res) => {
@@ -91,4 +98,30 @@ describe('Monitoring Routes', () => {
       expect(response.body.data).toHaveProperty('responseTime');
     });
   });
+
+  describe('POST /errors/cleanup', () => {
+    test('should reject non-admin users', async () => {
+      await request(app).post('/api/v1/monitoring/errors/cleanup').send({}).expect(403);
+
+      expect(adminAuditService.recordFromRequest).not.toHaveBeenCalled();
+    });
+
+    test('should record an admin audit entry', async () => {
+      await request(app)
+        .post('/api/v1/monitoring/errors/cleanup')
+        .set('x-test-role', 'admin')
+        .send({ maxAge: 3600000 })
+        .expect(200);
+
+      expect(adminAuditService.recordFromRequest).toHaveBeenCalledWith(
+        expect.objectContaining({ user: expect.objectContaining({ uid: 'test-user-123' }) }),
+        expect.objectContaining({
+          action: 'error_tracking.cleanup',
+          target: { type: 'error_tracking', id: 'error_history' },
+          before: { errorHistorySize: 0, activeCounters: 0 },
+          metadata: { maxAge: 3600000 },
+        }),
+      );
+    });
+  });
 });
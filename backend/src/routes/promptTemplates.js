@@ -0,0 +1,423 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
+const { promptTemplateService } = require('../services/promptTemplateService');
+const { createComponentLogger } = require('../config/logger');
+
+const router = express.Router();
+const logger = createComponentLogger('prompt-template-routes');
+
+// 所有端點皆限內容管理者
+router.use(authMiddleware, requirePermission('content.manage'));
+
+/**
+ * 解析路徑中的版本號（0 為內建模板）
+ */
+const parseVersion = (value) => {
+  const version = Number(value);
+  return Number.isInteger(version) && version >= 0 ? version : null;
+};
+
+const invalidVersion = (res) => res.status(400).json({
+  success: false,
+  error: {
+    message: '版本號必須為非負整數',
+    code: 'INVALID_TEMPLATE_VERSION',
+  },
+});
+
+/**
+ * 統一處理服務錯誤、Mongoose 驗證錯誤與伺服器錯誤
+ */
+const handleTemplateError = (res, error, message, code) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        message: error.message,
+        code: error.code,
+      },
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: '資料驗證失敗',
+        code: 'VALIDATION_ERROR',
+        details: Object.values(error.errors).map((err) => err.message),
+      },
+    });
+  }
+
+  // 同時建立相同版本號時觸發唯一索引
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        message: '模板版本衝突，請重試',
+        code: 'PROMPT_TEMPLATE_CONFLICT',
+      },
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: {
+      message,
+      code,
+    },
+  });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PromptTemplateInput:
+ *       type: object
+ *       required:
+ *         - variants
+ *       properties:
+ *         description:
+ *           type: string
+ *         defaultLanguage:
+ *           type: string
+ *           enum: ['zh-TW', 'zh-CN', 'en-US']
+ *         changeNote:
+ *           type: string
+ *           description: 版本變更說明
+ *         variables:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [string, number, integer, boolean, array]
+ *               required:
+ *                 type: boolean
+ *               defaultValue: {}
+ *               description:
+ *                 type: string
+ *         variants:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - language
+ *               - template
+ *             properties:
+ *               language:
+ *                 type: string
+ *                 enum: ['zh-TW', 'zh-CN', 'en-US']
+ *               template:
+ *                 type: string
+ *                 description: 以 {{變數名稱}} 表示佔位符
+ */
+
+/**
+ * @swagger
+ * /api/v1/prompt-templates:
+ *   get:
+ *     summary: 列出提示詞模板
+ *     description: 列出所有模板的最新版本與啟用版本（啟用版本 0 表示使用內建模板）
+ *     tags: [Prompt Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功獲取模板列表
+ *       403:
+ *         description: 權限不足
+ */
+router.get('/', async (req, res) => {
+  try {
+    const templates = await promptTemplateService.listTemplates();
+
+    return res.json({
+      success: true,
+      data: {
+        templates,
+      },
+    });
+  } catch (error) {
+    logger.error('獲取提示詞模板列表失敗', {
+      error: error.message,
+    });
+    return handleTemplateError(res, error, '獲取提示詞模板列表失敗', 'PROMPT_TEMPLATE_LIST_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/prompt-templates/{name}/versions:
+ *   get:
+ *     summary: 獲取模板版本歷史
+ *     tags: [Prompt Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 成功獲取版本歷史（新到舊）
+ */
+router.get('/:name/versions', async (req, res) => {
+  try {
+    const versions = await promptTemplateService.getVersions(req.params.name);
+
+    return res.json({
+      success: true,
+      data: {
+        versions: versions.map((template) => template.toJSON()),
+      },
+    });
+  } catch (error) {
+    logger.error('獲取提示詞模板版本失敗', {
+      error: error.message,
+      name: req.params.name,
+    });
+    return handleTemplateError(res, error, '獲取提示詞模板版本失敗', 'PROMPT_TEMPLATE_FETCH_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/prompt-templates/{name}/versions/{version}:
+ *   get:
+ *     summary: 獲取指定模板版本
+ *     description: 版本 0 為內建模板
+ *     tags: [Prompt Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 成功獲取模板版本
+ *       404:
+ *         description: 模板版本不存在
+ */
+router.get('/:name/versions/:version', async (req, res) => {
+  const version = parseVersion(req.params.version);
+  if (version === null) {
+    return invalidVersion(res);
+  }
+
+  try {
+    const template = await promptTemplateService.getVersion(req.params.name, version);
+
+    return res.json({
+      success: true,
+      data: {
+        template: template.toJSON(),
+      },
+    });
+  } catch (error) {
+    logger.error('獲取提示詞模板版本失敗', {
+      error: error.message,
+      name: req.params.name,
+      version,
+    });
+    return handleTemplateError(res, error, '獲取提示詞模板版本失敗', 'PROMPT_TEMPLATE_FETCH_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/prompt-templates/{name}/versions:
+ *   post:
+ *     summary: 建立模板新版本
+ *     description: 版本號自動遞增；activate 為 true 時建立後立即啟用
+ *     tags: [Prompt Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PromptTemplateInput'
+ *               - type: object
+ *                 properties:
+ *                   activate:
+ *                     type: boolean
+ *                     default: false
+ *     responses:
+ *       201:
+ *         description: 版本建立成功
+ *       400:
+ *         description: 資料驗證失敗
+ *       409:
+ *         description: 版本衝突
+ */
+router.post('/:name/versions', async (req, res) => {
+  try {
+    const template = await promptTemplateService.createVersion(
+      req.params.name,
+      req.body,
+      req.user.uid,
+      { activate: req.body.activate === true },
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: '提示詞模板版本建立成功',
+      data: {
+        template: template.toJSON(),
+      },
+    });
+  } catch (error) {
+    logger.error('建立提示詞模板版本失敗', {
+      error: error.message,
+      name: req.params.name,
+      userId: req.user?.uid,
+    });
+    return handleTemplateError(res, error, '建立提示詞模板版本失敗', 'PROMPT_TEMPLATE_CREATE_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/prompt-templates/{name}/versions/{version}/activate:
+ *   post:
+ *     summary: 啟用模板版本
+ *     description: 啟用指定版本，可用於回滾；版本 0 表示回到內建模板
+ *     tags: [Prompt Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 版本已啟用
+ *       404:
+ *         description: 模板版本不存在
+ */
+router.post('/:name/versions/:version/activate', async (req, res) => {
+  const version = parseVersion(req.params.version);
+  if (version === null) {
+    return invalidVersion(res);
+  }
+
+  try {
+    const template = await promptTemplateService.activateVersion(
+      req.params.name,
+      version,
+      req.user.uid,
+    );
+
+    return res.json({
+      success: true,
+      message: '提示詞模板版本已啟用',
+      data: {
+        template: template.toJSON(),
+      },
+    });
+  } catch (error) {
+    logger.error('啟用提示詞模板版本失敗', {
+      error: error.message,
+      name: req.params.name,
+      version,
+      userId: req.user?.uid,
+    });
+    return handleTemplateError(res, error, '啟用提示詞模板版本失敗', 'PROMPT_TEMPLATE_ACTIVATE_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/prompt-templates/{name}/preview:
+ *   post:
+ *     summary: 預覽渲染結果
+ *     description: 以指定版本（預設為啟用版本）與變數渲染提示詞，不呼叫 AI 服務
+ *     tags: [Prompt Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               version:
+ *                 type: integer
+ *               language:
+ *                 type: string
+ *                 enum: ['zh-TW', 'zh-CN', 'en-US']
+ *               variables:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: 渲染成功
+ *       400:
+ *         description: 變數驗證失敗
+ */
+router.post('/:name/preview', async (req, res) => {
+  const { language, variables = {} } = req.body;
+  const version = req.body.version === undefined ? null : parseVersion(req.body.version);
+  if (req.body.version !== undefined && version === null) {
+    return invalidVersion(res);
+  }
+
+  try {
+    const template = version === null
+      ? await promptTemplateService.getActiveTemplate(req.params.name)
+      : await promptTemplateService.getVersion(req.params.name, version);
+    const result = promptTemplateService.renderTemplate(template, language, variables);
+
+    return res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('預覽提示詞模板失敗', {
+      error: error.message,
+      name: req.params.name,
+    });
+    return handleTemplateError(res, error, '預覽提示詞模板失敗', 'PROMPT_TEMPLATE_PREVIEW_FAILED');
+  }
+});
+
+module.exports = router;
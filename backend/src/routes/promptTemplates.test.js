@@ -0,0 +1,209 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock dependencies before importing prompt template routes
+jest.mock('../middleware/authMiddleware', () => ({
+  authMiddleware: (req, res, next) => {
+    // 模擬認證成功的用戶，角色由標頭決定
+    const role = req.headers['x-test-role'] || 'admin';
+    req.user = {
+      uid: `${role}-uid`,
+      role,
+    };
+    next();
+  },
+}));
+
+jest.mock('../config/logger', () => ({
+  createComponentLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  }),
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const PromptTemplate = require('../models/PromptTemplate');
+const promptTemplateRoutes = require('./promptTemplates');
+const { promptTemplateService } = require('../services/promptTemplateService');
+
+const buildTemplate = (overrides = {}) => new PromptTemplate({
+  name: 'stop_narration',
+  version: 1,
+  variables: [{ name: 'stopName', type: 'string', required: true }],
+  variants: [{ language: 'zh-TW', template: '請介紹 {{stopName}}' }],
+  ...overrides,
+});
+
+describe('Prompt Template Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/prompt-templates', promptTemplateRoutes);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(PromptTemplate, 'findActive').mockResolvedValue(null);
+    jest.spyOn(PromptTemplate.prototype, 'save').mockImplementation(function mockSave() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    promptTemplateService.clearCache();
+  });
+
+  test('should require content.manage permission', async () => {
+    const response = await request(app)
+      .get('/api/v1/prompt-templates')
+      .set('x-test-role', 'merchant')
+      .expect(403);
+
+    expect(response.body.success).toBe(false);
+  });
+
+  describe('GET /', () => {
+    test('should include built-in templates without stored versions', async () => {
+      jest.spyOn(PromptTemplate, 'aggregate').mockResolvedValue([
+        {
+          _id: 'stop_narration',
+          latestVersion: 2,
+          versionCount: 2,
+          activeVersion: 1,
+          description: '站點解說',
+        },
+      ]);
+
+      const response = await request(app).get('/api/v1/prompt-templates').expect(200);
+
+      expect(response.body.data.templates).toEqual([
+        expect.objectContaining({
+          name: 'stop_narration',
+          latestVersion: 2,
+          activeVersion: 1,
+        }),
+        expect.objectContaining({
+          name: 'tour_generation',
+          latestVersion: 0,
+          activeVersion: 0,
+        }),
+      ]);
+    });
+  });
+
+  describe('GET /:name/versions/:version', () => {
+    test('should return the built-in template as version 0', async () => {
+      const response = await request(app)
+        .get('/api/v1/prompt-templates/tour_generation/versions/0')
+        .expect(200);
+
+      expect(response.body.data.template.version).toBe(0);
+      expect(response.body.data.template.variants).toHaveLength(3);
+    });
+
+    test('should reject invalid version numbers', async () => {
+      const response = await request(app)
+        .get('/api/v1/prompt-templates/tour_generation/versions/latest')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_TEMPLATE_VERSION');
+    });
+
+    test('should return 404 for unknown versions', async () => {
+      jest.spyOn(PromptTemplate, 'findOne').mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/v1/prompt-templates/tour_generation/versions/5')
+        .expect(404);
+
+      expect(response.body.error.code).toBe('PROMPT_TEMPLATE_NOT_FOUND');
+    });
+  });
+
+  describe('POST /:name/versions', () => {
+    test('should create and activate a new version', async () => {
+      jest.spyOn(PromptTemplate, 'getLatestVersion').mockResolvedValue(1);
+      jest.spyOn(PromptTemplate, 'findOne').mockImplementation(({ version }) => Promise.resolve(
+        buildTemplate({ version }),
+      ));
+
+      const response = await request(app)
+        .post('/api/v1/prompt-templates/stop_narration/versions')
+        .send({
+          activate: true,
+          changeNote: '縮短解說',
+          variables: [{ name: 'stopName', required: true }],
+          variants: [{ language: 'zh-TW', template: '簡短介紹 {{stopName}}' }],
+        })
+        .expect(201);
+
+      const { template } = response.body.data;
+      expect(template.version).toBe(2);
+      expect(template.isActive).toBe(true);
+      expect(template.activatedBy).toBe('admin-uid');
+    });
+
+    test('should reject templates with undeclared placeholders', async () => {
+      jest.spyOn(PromptTemplate, 'getLatestVersion').mockResolvedValue(0);
+      PromptTemplate.prototype.save.mockRestore();
+
+      const response = await request(app)
+        .post('/api/v1/prompt-templates/stop_narration/versions')
+        .send({
+          variants: [{ language: 'zh-TW', template: '介紹 {{stopName}}' }],
+        })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details[0]).toContain('stopName');
+    });
+  });
+
+  describe('POST /:name/versions/:version/activate', () => {
+    test('should roll back to the built-in template', async () => {
+      const previous = buildTemplate({ isActive: true });
+      PromptTemplate.findActive.mockResolvedValue(previous);
+
+      const response = await request(app)
+        .post('/api/v1/prompt-templates/stop_narration/versions/0/activate')
+        .expect(200);
+
+      expect(response.body.data.template.version).toBe(0);
+      expect(previous.isActive).toBe(false);
+    });
+  });
+
+  describe('POST /:name/preview', () => {
+    test('should render the requested version', async () => {
+      jest.spyOn(PromptTemplate, 'findOne').mockResolvedValue(buildTemplate());
+
+      const response = await request(app)
+        .post('/api/v1/prompt-templates/stop_narration/preview')
+        .send({ version: 1, language: 'en-US', variables: { stopName: '迪化街' } })
+        .expect(200);
+
+      expect(response.body.data).toEqual({
+        prompt: '請介紹 迪化街',
+        template: { name: 'stop_narration', version: 1, language: 'zh-TW' },
+      });
+    });
+
+    test('should report missing variables', async () => {
+      const response = await request(app)
+        .post('/api/v1/prompt-templates/stop_narration/preview')
+        .send({ language: 'zh-TW', variables: {} })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('PROMPT_VARIABLE_INVALID');
+    });
+  });
+});
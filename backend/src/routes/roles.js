@@ -0,0 +1,528 @@
+const express = require('express');
+const { authMiddleware, requireStepUp } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
+const { roleService } = require('../services/roleService');
+const { adminAuditService } = require('../services/adminAuditService');
+const { createComponentLogger } = require('../config/logger');
+
+const router = express.Router();
+const logger = createComponentLogger('role-routes');
+
+// 所有端點皆需角色管理權限
+router.use(authMiddleware, requirePermission('role.manage'));
+
+/**
+ * 操作者（由 requirePermission 解析的角色與有效權限），用於防止自行提升權限
+ */
+const getActor = (req) => ({
+  uid: req.user.uid,
+  role: req.userRole,
+  permissions: req.userPermissions,
+});
+
+/**
+ * 統一處理服務錯誤與伺服器錯誤
+ */
+const handleRoleError = (res, error, message, code) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        message: error.message,
+        code: error.code,
+        ...(error.details && { details: error.details }),
+      },
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: {
+      message,
+      code,
+    },
+  });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: content_moderator
+ *         displayName:
+ *           type: string
+ *         description:
+ *           type: string
+ *         level:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 99
+ *           description: 數字越小權限越高（superadmin 0、admin 10、merchant 20、user 30、guest 40）
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ['content.moderate']
+ *         inherits:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ['user']
+ *         isSystem:
+ *           type: boolean
+ *           description: 內建角色不可刪除，層級不可修改
+ *         effectivePermissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: 含繼承的所有權限
+ *     UserAccess:
+ *       type: object
+ *       properties:
+ *         role:
+ *           type: string
+ *         granted:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: 個別授予的權限
+ *         denied:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: 個別拒絕的權限（優先於角色與授予的權限）
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: 有效權限
+ *         source:
+ *           type: string
+ *           enum: [database, token]
+ */
+
+/**
+ * @swagger
+ * /api/v1/roles:
+ *   get:
+ *     summary: 列出角色
+ *     description: 列出內建與自訂角色（依層級排序）及其有效權限
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功獲取角色列表
+ *       403:
+ *         description: 權限不足
+ */
+router.get('/', async (req, res) => {
+  try {
+    const roles = await roleService.listRoles();
+
+    return res.json({
+      success: true,
+      data: {
+        roles,
+      },
+    });
+  } catch (error) {
+    logger.error('獲取角色列表失敗', {
+      error: error.message,
+    });
+    return handleRoleError(res, error, '獲取角色列表失敗', 'ROLE_LIST_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/roles:
+ *   post:
+ *     summary: 建立自訂角色
+ *     description: 角色層級必須低於操作者，權限（含繼承）不得超出操作者擁有的權限
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - level
+ *             properties:
+ *               name:
+ *                 type: string
+ *               displayName:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               level:
+ *                 type: integer
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               inherits:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: 角色建立成功
+ *       400:
+ *         description: 資料驗證失敗
+ *       403:
+ *         description: 權限不足、超出操作者權限（ROLE_ESCALATION_DENIED）或需要 step-up 驗證
+ *       409:
+ *         description: 角色已存在
+ *       503:
+ *         description: 角色儲存服務無法使用
+ */
+router.post('/', requireStepUp(), async (req, res) => {
+  try {
+    const role = await roleService.createRole(req.body, { actor: getActor(req) });
+
+    await adminAuditService.recordFromRequest(req, {
+      action: 'role.create',
+      target: { type: 'role', id: role.name },
+      before: null,
+      after: role,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: '角色建立成功',
+      data: {
+        role,
+      },
+    });
+  } catch (error) {
+    logger.error('建立角色失敗', {
+      error: error.message,
+      name: req.body?.name,
+      userId: req.user?.uid,
+    });
+    return handleRoleError(res, error, '建立角色失敗', 'ROLE_CREATE_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/roles/users/{uid}:
+ *   get:
+ *     summary: 獲取用戶的角色與權限
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 成功獲取用戶權限
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     access:
+ *                       $ref: '#/components/schemas/UserAccess'
+ *       404:
+ *         description: 用戶不存在
+ */
+router.get('/users/:uid', async (req, res) => {
+  try {
+    const access = await roleService.getUserAccess(req.params.uid, { useCache: false });
+    if (access.source !== 'database') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: '用戶不存在',
+          code: 'USER_NOT_FOUND',
+        },
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        access,
+      },
+    });
+  } catch (error) {
+    logger.error('獲取用戶權限失敗', {
+      error: error.message,
+      uid: req.params.uid,
+    });
+    return handleRoleError(res, error, '獲取用戶權限失敗', 'USER_ACCESS_FETCH_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/roles/users/{uid}:
+ *   put:
+ *     summary: 變更用戶的角色與個別權限
+ *     description: |
+ *       granted / denied 為完整清單（會取代原有設定）；拒絕優先於角色與授予的權限。
+ *       變更後立即清除該用戶的角色與權限檢查快取。不能變更自己或層級不低於自己的用戶
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *               granted:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               denied:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: 用戶權限已更新
+ *       400:
+ *         description: 資料驗證失敗
+ *       403:
+ *         description: 權限不足、超出操作者權限（ROLE_ESCALATION_DENIED）或需要 step-up 驗證
+ *       404:
+ *         description: 用戶或角色不存在
+ */
+router.put('/users/:uid', requireStepUp(), async (req, res) => {
+  try {
+    const { previous, access } = await roleService.updateUserAccess(req.params.uid, req.body, {
+      actor: getActor(req),
+    });
+
+    await adminAuditService.recordFromRequest(req, {
+      action: 'user.access_update',
+      target: { type: 'user', id: req.params.uid },
+      before: previous,
+      after: { role: access.role, granted: access.granted, denied: access.denied },
+    });
+
+    return res.json({
+      success: true,
+      message: '用戶權限已更新',
+      data: {
+        access,
+      },
+    });
+  } catch (error) {
+    logger.error('更新用戶權限失敗', {
+      error: error.message,
+      uid: req.params.uid,
+      userId: req.user?.uid,
+    });
+    return handleRoleError(res, error, '更新用戶權限失敗', 'USER_ACCESS_UPDATE_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/roles/{name}:
+ *   get:
+ *     summary: 獲取角色
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 成功獲取角色
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     role:
+ *                       $ref: '#/components/schemas/Role'
+ *       404:
+ *         description: 角色不存在
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    const role = await roleService.getRole(req.params.name);
+
+    return res.json({
+      success: true,
+      data: {
+        role,
+      },
+    });
+  } catch (error) {
+    logger.error('獲取角色失敗', {
+      error: error.message,
+      name: req.params.name,
+    });
+    return handleRoleError(res, error, '獲取角色失敗', 'ROLE_FETCH_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/roles/{name}:
+ *   put:
+ *     summary: 更新角色
+ *     description: 內建角色可調整顯示名稱、說明、權限與繼承（superadmin 不可修改）；變更後立即清除所有權限檢查快取
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               displayName:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               level:
+ *                 type: integer
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               inherits:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: 角色更新成功
+ *       400:
+ *         description: 資料驗證失敗
+ *       403:
+ *         description: 角色不可修改、超出操作者權限或需要 step-up 驗證
+ *       404:
+ *         description: 角色不存在
+ */
+router.put('/:name', requireStepUp(), async (req, res) => {
+  try {
+    const { previous, role } = await roleService.updateRole(req.params.name, req.body, {
+      actor: getActor(req),
+    });
+
+    await adminAuditService.recordFromRequest(req, {
+      action: 'role.update',
+      target: { type: 'role', id: role.name },
+      before: previous,
+      after: role,
+    });
+
+    return res.json({
+      success: true,
+      message: '角色更新成功',
+      data: {
+        role,
+      },
+    });
+  } catch (error) {
+    logger.error('更新角色失敗', {
+      error: error.message,
+      name: req.params.name,
+      userId: req.user?.uid,
+    });
+    return handleRoleError(res, error, '更新角色失敗', 'ROLE_UPDATE_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/roles/{name}:
+ *   delete:
+ *     summary: 刪除自訂角色
+ *     description: 內建角色不可刪除；仍有用戶使用或被其他角色繼承時回應 409 ROLE_IN_USE
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 角色已刪除
+ *       403:
+ *         description: 內建角色、超出操作者權限或需要 step-up 驗證
+ *       404:
+ *         description: 角色不存在
+ *       409:
+ *         description: 角色仍在使用中
+ */
+router.delete('/:name', requireStepUp(), async (req, res) => {
+  try {
+    const role = await roleService.deleteRole(req.params.name, { actor: getActor(req) });
+
+    await adminAuditService.recordFromRequest(req, {
+      action: 'role.delete',
+      target: { type: 'role', id: role.name },
+      before: role,
+      after: null,
+    });
+
+    return res.json({
+      success: true,
+      message: '角色已刪除',
+    });
+  } catch (error) {
+    logger.error('刪除角色失敗', {
+      error: error.message,
+      name: req.params.name,
+      userId: req.user?.uid,
+    });
+    return handleRoleError(res, error, '刪除角色失敗', 'ROLE_DELETE_FAILED');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock dependencies before importing role routes
+jest.mock('../middleware/authMiddleware', () => ({
+  authMiddleware: (req, res, next) => {
+    // 模擬認證成功的用戶，角色由標頭決定
+    const role = req.headers['x-test-role'] || 'admin';
+    req.user = {
+      uid: `${role}-uid`,
+      role,
+    };
+    next();
+  },
+  requireStepUp: () => (req, res, next) => next(),
+}));
+
+jest.mock('../config/logger', () => ({
+  createComponentLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  }),
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+jest.mock('../services/adminAuditService', () => ({
+  adminAuditService: {
+    recordFromRequest: jest.fn().mockResolvedValue(null),
+  },
+}));
+
+const roleRoutes = require('./roles');
+const { roleService } = require('../services/roleService');
+const { adminAuditService } = require('../services/adminAuditService');
+const { AppError } = require('../middleware/errorHandler');
+
+const moderator = {
+  name: 'content_moderator',
+  displayName: '內容審核員',
+  level: 25,
+  permissions: ['content.moderate'],
+  inherits: ['user'],
+  isSystem: false,
+};
+
+describe('Role Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/roles', roleRoutes);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    adminAuditService.recordFromRequest.mockClear();
+  });
+
+  test('should require role.manage permission', async () => {
+    const response = await request(app)
+      .get('/api/v1/roles')
+      .set('x-test-role', 'merchant')
+      .expect(403);
+
+    expect(response.body.success).toBe(false);
+  });
+
+  test('GET / should list built-in roles with effective permissions', async () => {
+    const response = await request(app)
+      .get('/api/v1/roles')
+      .expect(200);
+
+    const names = response.body.data.roles.map((role) => role.name);
+    expect(names).toEqual(['superadmin', 'admin', 'merchant', 'user', 'guest']);
+    expect(response.body.data.roles[1].effectivePermissions).toContain('product.manage');
+  });
+
+  test('POST / should create a role with the caller as actor and audit it', async () => {
+    const createRole = jest.spyOn(roleService, 'createRole').mockResolvedValue({
+      ...moderator,
+      effectivePermissions: ['content.moderate', 'content.read'],
+    });
+
+    const response = await request(app)
+      .post('/api/v1/roles')
+      .send(moderator)
+      .expect(201);
+
+    expect(response.body.data.role.name).toBe('content_moderator');
+    expect(createRole).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'content_moderator' }),
+      {
+        actor: expect.objectContaining({
+          uid: 'admin-uid',
+          role: 'admin',
+          permissions: expect.arrayContaining(['role.manage']),
+        }),
+      },
+    );
+    expect(adminAuditService.recordFromRequest).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        action: 'role.create',
+        target: { type: 'role', id: 'content_moderator' },
+      }),
+    );
+  });
+
+  test('DELETE /:name should surface service errors with details', async () => {
+    const error = new AppError('角色仍在使用中，無法刪除', 409, 'ROLE_IN_USE');
+    error.details = { inheritedBy: [], userCount: 2 };
+    jest.spyOn(roleService, 'deleteRole').mockRejectedValue(error);
+
+    const response = await request(app)
+      .delete('/api/v1/roles/content_moderator')
+      .expect(409);
+
+    expect(response.body.error).toEqual({
+      message: '角色仍在使用中，無法刪除',
+      code: 'ROLE_IN_USE',
+      details: { inheritedBy: [], userCount: 2 },
+    });
+    expect(adminAuditService.recordFromRequest).not.toHaveBeenCalled();
+  });
+
+  test('PUT /users/:uid should update user access and audit the change', async () => {
+    jest.spyOn(roleService, 'updateUserAccess').mockResolvedValue({
+      previous: { role: 'user', granted: [], denied: [] },
+      access: {
+        role: 'content_moderator',
+        granted: [],
+        denied: ['rating.create'],
+        permissions: ['content.moderate'],
+        source: 'database',
+      },
+    });
+
+    const response = await request(app)
+      .put('/api/v1/roles/users/user-1')
+      .send({ role: 'content_moderator', denied: ['rating.create'] })
+      .expect(200);
+
+    expect(response.body.data.access.role).toBe('content_moderator');
+    expect(adminAuditService.recordFromRequest).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        action: 'user.access_update',
+        target: { type: 'user', id: 'user-1' },
+        before: { role: 'user', granted: [], denied: [] },
+        after: { role: 'content_moderator', granted: [], denied: ['rating.create'] },
+      }),
+    );
+  });
+});
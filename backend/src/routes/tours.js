@@ -0,0 +1,1011 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Tour = require('../models/Tour');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
+const { requireFeature } = require('../middleware/featureFlagMiddleware');
+const { tourGenerationService } = require('../services/tourGenerationService');
+const { createComponentLogger } = require('../config/logger');
+
+const router = express.Router();
+const logger = createComponentLogger('tour-routes');
+
+// 分頁預設值
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// 允許透過 API 寫入的欄位
+const WRITABLE_FIELDS = [
+  'title',
+  'description',
+  'defaultLanguage',
+  'translations',
+  'stops',
+  'city',
+  'theme',
+  'tags',
+  'durationMinutes',
+];
+
+/**
+ * 解析分頁參數
+ */
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE,
+  );
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * 依語言參數輸出導覽內容
+ */
+const serializeTour = (tour, language) => {
+  if (language && Tour.SUPPORTED_LANGUAGES.includes(language)) {
+    return tour.getLocalizedContent(language);
+  }
+  return tour.toJSON();
+};
+
+/**
+ * 檢查用戶是否可管理指定導覽（擁有者或具 content.manage 權限）
+ */
+const canManageTour = (req, tour) => {
+  const permissions = req.userPermissions || [];
+  return tour.isOwnedBy(req.user.uid) || permissions.includes('content.manage');
+};
+
+/**
+ * 從請求內容挑選可寫入欄位
+ */
+const pickWritableFields = (body) => WRITABLE_FIELDS.reduce((result, field) => {
+  if (body[field] !== undefined) {
+    // eslint-disable-next-line no-param-reassign
+    result[field] = body[field];
+  }
+  return result;
+}, {});
+
+/**
+ * 統一處理 Mongoose 驗證錯誤與伺服器錯誤
+ */
+const handleTourError = (res, error, message, code) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: '資料驗證失敗',
+        code: 'VALIDATION_ERROR',
+        details: Object.values(error.errors).map((err) => err.message),
+      },
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: {
+      message,
+      code,
+    },
+  });
+};
+
+const tourNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: '導覽不存在',
+    code: 'TOUR_NOT_FOUND',
+  },
+});
+
+const tourHasNoStops = (res) => res.status(400).json({
+  success: false,
+  error: {
+    message: '導覽至少需要一個站點才能發布',
+    code: 'TOUR_HAS_NO_STOPS',
+  },
+});
+
+/**
+ * 寫入一則 Server-Sent Event
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * 載入導覽並附加到 req.tour
+ */
+const loadTour = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return tourNotFound(res);
+    }
+
+    const tour = await Tour.findById(req.params.id);
+    if (!tour) {
+      return tourNotFound(res);
+    }
+
+    req.tour = tour;
+    return next();
+  } catch (error) {
+    logger.error('載入導覽失敗', {
+      error: error.message,
+      tourId: req.params.id,
+    });
+    return handleTourError(res, error, '獲取導覽失敗', 'TOUR_FETCH_FAILED');
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GeoPoint:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [Point]
+ *         coordinates:
+ *           type: array
+ *           description: "[經度, 緯度]"
+ *           items:
+ *             type: number
+ *           example: [121.5654, 25.0330]
+ *     TourStop:
+ *       type: object
+ *       required:
+ *         - order
+ *         - name
+ *         - location
+ *       properties:
+ *         order:
+ *           type: number
+ *         name:
+ *           type: string
+ *         narration:
+ *           type: string
+ *         location:
+ *           $ref: '#/components/schemas/GeoPoint'
+ *         address:
+ *           type: string
+ *         durationMinutes:
+ *           type: number
+ *         translations:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               language:
+ *                 type: string
+ *                 enum: ['zh-TW', 'zh-CN', 'en-US']
+ *               name:
+ *                 type: string
+ *               narration:
+ *                 type: string
+ *     TourInput:
+ *       type: object
+ *       required:
+ *         - title
+ *       properties:
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         defaultLanguage:
+ *           type: string
+ *           enum: ['zh-TW', 'zh-CN', 'en-US']
+ *         translations:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               language:
+ *                 type: string
+ *                 enum: ['zh-TW', 'zh-CN', 'en-US']
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *         stops:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TourStop'
+ *         city:
+ *           type: string
+ *         theme:
+ *           type: string
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *         durationMinutes:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [draft, published]
+ */
+
+/**
+ * @swagger
+ * /api/v1/tours:
+ *   get:
+ *     summary: 獲取導覽列表
+ *     description: 獲取已發布的導覽列表，支援城市、主題、商戶、地理位置篩選與分頁
+ *     tags: [Tours]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: theme
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: merchantId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           enum: ['zh-TW', 'zh-CN', 'en-US']
+ *       - in: query
+ *         name: near
+ *         description: "經度,緯度"
+ *         schema:
+ *           type: string
+ *           example: "121.5654,25.0330"
+ *       - in: query
+ *         name: radius
+ *         description: 搜尋半徑（公尺）
+ *         schema:
+ *           type: integer
+ *           default: 5000
+ *       - in: query
+ *         name: mine
+ *         description: 僅列出自己建立的導覽（包含草稿）
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: 成功獲取導覽列表
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', authMiddleware, requirePermission('tour.use'), async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const {
+      city, theme, merchantId, language, near, radius, mine,
+    } = req.query;
+
+    const filter = {};
+    if (mine === 'true') {
+      filter.createdBy = req.user.uid;
+    } else {
+      filter.status = 'published';
+    }
+    // 查詢參數一律轉為字串，避免 ?city[$ne]= 之類的運算子注入
+    if (city) filter.city = String(city);
+    if (theme) filter.theme = String(theme);
+    if (merchantId) filter.merchantId = String(merchantId);
+
+    if (near) {
+      const [lng, lat] = String(near).split(',').map(Number);
+      if (Number.isNaN(lng) || Number.isNaN(lat)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'near 參數格式應為 "經度,緯度"',
+            code: 'INVALID_LOCATION',
+          },
+        });
+      }
+      filter.location = {
+        $geoWithin: {
+          $centerSphere: [[lng, lat], (parseInt(radius, 10) || 5000) / 6378100],
+        },
+      };
+    }
+
+    const [tours, total] = await Promise.all([
+      Tour.find(filter).sort({ publishedAt: -1, createdAt: -1 }).skip(skip).limit(limit),
+      Tour.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      data: {
+        tours: tours.map((tour) => serializeTour(tour, language)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('獲取導覽列表失敗', {
+      error: error.message,
+      userId: req.user?.uid,
+    });
+    return handleTourError(res, error, '獲取導覽列表失敗', 'TOUR_LIST_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/tours/search:
+ *   get:
+ *     summary: 搜尋導覽
+ *     description: 以關鍵字全文搜尋已發布的導覽（標題、描述、多語言內容、標籤與城市）
+ *     tags: [Tours, Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           enum: ['zh-TW', 'zh-CN', 'en-US']
+ *     responses:
+ *       200:
+ *         description: 搜尋結果
+ *       400:
+ *         description: 缺少搜尋關鍵字或關鍵字不是單一字串
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/search', authMiddleware, requirePermission('tour.use'), async (req, res) => {
+  // 重複的 q 或 q[$ne] 會被解析成陣列或物件，不可直接放進查詢
+  const { q = '' } = req.query;
+  if (typeof q !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: '搜尋關鍵字必須是單一字串',
+        code: 'INVALID_SEARCH_QUERY',
+      },
+    });
+  }
+
+  const query = q.trim();
+  try {
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: '請提供搜尋關鍵字',
+          code: 'MISSING_SEARCH_QUERY',
+        },
+      });
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { status: 'published', $text: { $search: query } };
+
+    const [tours, total] = await Promise.all([
+      Tour.find(filter, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } })
+        .skip(skip)
+        .limit(limit),
+      Tour.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      data: {
+        query,
+        tours: tours.map((tour) => serializeTour(tour, req.query.language)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('搜尋導覽失敗', {
+      error: error.message,
+      query,
+    });
+    return handleTourError(res, error, '搜尋導覽失敗', 'TOUR_SEARCH_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/tours/{id}:
+ *   get:
+ *     summary: 獲取導覽詳情
+ *     description: 獲取單一導覽內容；草稿僅擁有者或內容管理者可見
+ *     tags: [Tours]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           enum: ['zh-TW', 'zh-CN', 'en-US']
+ *     responses:
+ *       200:
+ *         description: 成功獲取導覽
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tour:
+ *                       $ref: '#/components/schemas/Tour'
+ *       404:
+ *         description: 導覽不存在
+ */
+router.get('/:id', authMiddleware, requirePermission('tour.use'), loadTour, async (req, res) => {
+  const { tour } = req;
+
+  // 未發布的導覽對非擁有者視為不存在
+  if (!tour.isPublished && !canManageTour(req, tour)) {
+    return tourNotFound(res);
+  }
+
+  return res.json({
+    success: true,
+    data: {
+      tour: serializeTour(tour, req.query.language),
+    },
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/tours/{id}/stops/{stopId}/narration/stream:
+ *   get:
+ *     summary: 串流生成站點導覽解說
+ *     description: |
+ *       以 Server-Sent Events 逐段回傳 AI 生成的站點解說（需啟用 ai_tour_generation 功能）。
+ *       事件類型：start（開始）、chunk（解說片段，data.text）、done（完成，data.length）、
+ *       error（生成失敗，data.partial 表示是否已傳送部分內容）。
+ *       start 事件的 data.template 為產生解說的提示詞模板版本
+ *     tags: [Tours, AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: stopId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           enum: ['zh-TW', 'zh-CN', 'en-US']
+ *     responses:
+ *       200:
+ *         description: 解說事件串流
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: 不支援的語言
+ *       404:
+ *         description: 導覽或站點不存在
+ *       429:
+ *         description: 已達 AI 用量配額
+ *       503:
+ *         description: AI 服務無法使用
+ */
+router.get(
+  '/:id/stops/:stopId/narration/stream',
+  authMiddleware,
+  requirePermission('tour.use'),
+  requireFeature('ai_tour_generation'),
+  loadTour,
+  async (req, res) => {
+    const { tour } = req;
+
+    if (!tour.isPublished && !canManageTour(req, tour)) {
+      return tourNotFound(res);
+    }
+
+    const stop = tour.stops.id(req.params.stopId);
+    if (!stop) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: '站點不存在',
+          code: 'STOP_NOT_FOUND',
+        },
+      });
+    }
+
+    const language = req.query.language || tour.defaultLanguage;
+    let stream;
+    let template;
+    try {
+      ({ stream, template } = await tourGenerationService.streamNarration(tour, stop, {
+        language,
+        userId: req.user.uid,
+        userRole: req.userRole,
+      }));
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            message: error.message,
+            code: error.code,
+          },
+        });
+      }
+      return handleTourError(res, error, '導覽解說生成失敗', 'NARRATION_STREAM_FAILED');
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    // 用戶中斷連線時停止讀取串流
+    let closed = false;
+    req.on('close', () => {
+      closed = true;
+    });
+
+    writeEvent(res, 'start', {
+      tourId: tour.id,
+      stopId: stop.id,
+      language,
+      template,
+    });
+
+    let length = 0;
+    try {
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const text of stream) {
+        if (closed) break;
+        length += text.length;
+        writeEvent(res, 'chunk', { text });
+      }
+
+      if (!closed) {
+        writeEvent(res, 'done', { length });
+      }
+    } catch (error) {
+      logger.error('導覽解說串流失敗', {
+        error: error.message,
+        type: error.type,
+        tourId: tour.id,
+        stopId: stop.id,
+        userId: req.user.uid,
+      });
+      writeEvent(res, 'error', {
+        message: '導覽解說生成失敗',
+        code: error.code || 'NARRATION_STREAM_FAILED',
+        type: error.type,
+        partial: length > 0,
+      });
+    }
+
+    return res.end();
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/tours:
+ *   post:
+ *     summary: 建立導覽
+ *     description: 建立新的導覽（需要 content.create 權限），預設為草稿
+ *     tags: [Tours]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TourInput'
+ *     responses:
+ *       201:
+ *         description: 導覽建立成功
+ *       400:
+ *         description: 資料驗證失敗
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/', authMiddleware, requirePermission('content.create'), async (req, res) => {
+  try {
+    const tourData = pickWritableFields(req.body);
+    tourData.createdBy = req.user.uid;
+
+    // 商戶建立的導覽歸屬於自己，管理者可指定商戶
+    const permissions = req.userPermissions || [];
+    if (permissions.includes('content.manage') && req.body.merchantId) {
+      tourData.merchantId = req.body.merchantId;
+    } else if (req.userRole === 'merchant') {
+      tourData.merchantId = req.user.uid;
+    }
+
+    const tour = new Tour(tourData);
+    if (req.body.status === 'published') {
+      if (tour.stops.length === 0) {
+        return tourHasNoStops(res);
+      }
+      await tour.publish();
+    } else {
+      await tour.save();
+    }
+
+    logger.info('導覽建立成功', {
+      tourId: tour.id,
+      userId: req.user.uid,
+      status: tour.status,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: '導覽建立成功',
+      data: {
+        tour: tour.toJSON(),
+      },
+    });
+  } catch (error) {
+    logger.error('建立導覽失敗', {
+      error: error.message,
+      userId: req.user?.uid,
+    });
+    return handleTourError(res, error, '建立導覽失敗', 'TOUR_CREATE_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/tours/generate:
+ *   post:
+ *     summary: AI 生成導覽
+ *     description: 依地點、主題、時長與語言由 AI 生成導覽路線，並儲存為草稿（需啟用 ai_tour_generation 功能）
+ *     tags: [Tours, AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - location
+ *             properties:
+ *               location:
+ *                 oneOf:
+ *                   - type: string
+ *                     example: 大稻埕
+ *                   - type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       latitude:
+ *                         type: number
+ *                       longitude:
+ *                         type: number
+ *               theme:
+ *                 type: string
+ *                 example: 歷史建築
+ *               duration:
+ *                 type: integer
+ *                 description: 導覽總時長（分鐘，30-480）
+ *                 default: 120
+ *               language:
+ *                 type: string
+ *                 enum: ['zh-TW', 'zh-CN', 'en-US']
+ *                 default: zh-TW
+ *     responses:
+ *       201:
+ *         description: 導覽生成成功並儲存為草稿
+ *       400:
+ *         description: 生成參數無效
+ *       403:
+ *         description: 功能未開放或權限不足
+ *       429:
+ *         description: AI 服務請求過於頻繁或已達用量配額
+ *       500:
+ *         description: 導覽生成失敗
+ *       502:
+ *         description: AI 回應格式無效
+ *       503:
+ *         description: AI 服務無法使用或已達使用預算上限
+ */
+router.post(
+  '/generate',
+  authMiddleware,
+  requirePermission('tour.use'),
+  requireFeature('ai_tour_generation'),
+  async (req, res) => {
+    try {
+      const {
+        tourData,
+        parameters,
+        template,
+      } = await tourGenerationService.generateTour(req.body, {
+        userId: req.user.uid,
+        userRole: req.userRole,
+      });
+
+      const tour = new Tour({
+        ...tourData,
+        createdBy: req.user.uid,
+        ...(req.userRole === 'merchant' && { merchantId: req.user.uid }),
+        generation: {
+          source: 'ai',
+          parameters,
+          template,
+          generatedAt: new Date(),
+        },
+      });
+      await tour.save();
+
+      logger.info('AI 導覽已儲存為草稿', {
+        tourId: tour.id,
+        userId: req.user.uid,
+        stopCount: tour.stops.length,
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: '導覽生成成功',
+        data: {
+          tour: tour.toJSON(),
+        },
+      });
+    } catch (error) {
+      logger.error('AI 導覽生成失敗', {
+        error: error.message,
+        code: error.code,
+        userId: req.user?.uid,
+      });
+
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            message: error.message,
+            code: error.code,
+          },
+        });
+      }
+
+      if (['ALL_KEYS_RATE_LIMITED', 'ALL_KEYS_QUOTA_EXCEEDED'].includes(error.code)) {
+        return res.status(429).json({
+          success: false,
+          error: {
+            message: 'AI 服務請求過於頻繁，請稍後再試',
+            code: error.code,
+          },
+        });
+      }
+
+      if (error.code === 'BUDGET_EXCEEDED') {
+        return res.status(503).json({
+          success: false,
+          error: {
+            message: 'AI 服務已達使用預算上限，請稍後再試',
+            code: error.code,
+          },
+        });
+      }
+
+      return handleTourError(res, error, 'AI 導覽生成失敗', 'TOUR_GENERATION_FAILED');
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/tours/{id}:
+ *   put:
+ *     summary: 更新導覽
+ *     description: 更新導覽內容或發布狀態（僅擁有者或內容管理者）
+ *     tags: [Tours]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TourInput'
+ *     responses:
+ *       200:
+ *         description: 導覽更新成功
+ *       400:
+ *         description: 資料驗證失敗
+ *       403:
+ *         description: 非導覽擁有者
+ *       404:
+ *         description: 導覽不存在
+ */
+router.put(
+  '/:id',
+  authMiddleware,
+  requirePermission('content.update'),
+  loadTour,
+  async (req, res) => {
+    const { tour } = req;
+
+    try {
+      if (!canManageTour(req, tour)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: '只有導覽擁有者可以修改此導覽',
+            code: 'NOT_TOUR_OWNER',
+          },
+        });
+      }
+
+      tour.set(pickWritableFields(req.body));
+
+      const { status } = req.body;
+      if (status && !Tour.TOUR_STATUS.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: `無效的導覽狀態: ${status}`,
+            code: 'INVALID_TOUR_STATUS',
+          },
+        });
+      }
+
+      if (status === 'published' && !tour.isPublished) {
+        if (tour.stops.length === 0) {
+          return tourHasNoStops(res);
+        }
+        await tour.publish();
+      } else {
+        if (status) tour.status = status;
+        await tour.save();
+      }
+
+      logger.info('導覽更新成功', {
+        tourId: tour.id,
+        userId: req.user.uid,
+        status: tour.status,
+      });
+
+      return res.json({
+        success: true,
+        message: '導覽更新成功',
+        data: {
+          tour: tour.toJSON(),
+        },
+      });
+    } catch (error) {
+      logger.error('更新導覽失敗', {
+        error: error.message,
+        tourId: tour.id,
+        userId: req.user?.uid,
+      });
+      return handleTourError(res, error, '更新導覽失敗', 'TOUR_UPDATE_FAILED');
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/v1/tours/{id}:
+ *   delete:
+ *     summary: 刪除導覽
+ *     description: 軟刪除導覽（僅擁有者或內容管理者）
+ *     tags: [Tours]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 導覽已刪除
+ *       403:
+ *         description: 非導覽擁有者
+ *       404:
+ *         description: 導覽不存在
+ */
+router.delete(
+  '/:id',
+  authMiddleware,
+  requirePermission('content.delete'),
+  loadTour,
+  async (req, res) => {
+    const { tour } = req;
+
+    try {
+      if (!canManageTour(req, tour)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: '只有導覽擁有者可以刪除此導覽',
+            code: 'NOT_TOUR_OWNER',
+          },
+        });
+      }
+
+      await tour.softDelete();
+
+      logger.info('導覽已刪除', {
+        tourId: tour.id,
+        userId: req.user.uid,
+      });
+
+      return res.json({
+        success: true,
+        message: '導覽已刪除',
+      });
+    } catch (error) {
+      logger.error('刪除導覽失敗', {
+        error: error.message,
+        tourId: tour.id,
+        userId: req.user?.uid,
+      });
+      return handleTourError(res, error, '刪除導覽失敗', 'TOUR_DELETE_FAILED');
+    }
+  },
+);
+
+module.exports = router;
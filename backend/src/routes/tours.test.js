@@ -0,0 +1,561 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock dependencies before importing tour routes
+jest.mock('../middleware/authMiddleware', () => ({
+  authMiddleware: (req, res, next) => {
+    // 模擬認證成功的用戶，角色由標頭決定
+    const role = req.headers['x-test-role'] || 'user';
+    req.user = {
+      uid: req.headers['x-test-uid'] || `${role}-uid`,
+      role,
+    };
+    next();
+  },
+}));
+
+jest.mock('../config/logger', () => ({
+  createComponentLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  }),
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+jest.mock('../middleware/featureFlagMiddleware', () => ({
+  requireFeature: (flagName) => (req, res, next) => {
+    // 以標頭模擬功能旗標關閉
+    if (req.headers['x-test-disabled-feature'] === flagName) {
+      return res.status(403).json({ error: `功能 ${flagName} 目前未開放`, feature: flagName });
+    }
+    return next();
+  },
+}));
+
+const Tour = require('../models/Tour');
+const PromptTemplate = require('../models/PromptTemplate');
+const tourRoutes = require('./tours');
+const { tourGenerationService } = require('../services/tourGenerationService');
+const { promptTemplateService } = require('../services/promptTemplateService');
+const { aiQuotaService } = require('../services/aiQuotaService');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * 模擬 Mongoose 查詢鏈
+ */
+const mockQuery = (result) => {
+  const query = {
+    sort: jest.fn(() => query),
+    skip: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return query;
+};
+
+const buildTour = (overrides = {}) => new Tour({
+  title: '大稻埕老街散步',
+  description: '走訪百年老街',
+  city: 'Taipei',
+  createdBy: 'merchant-uid',
+  merchantId: 'merchant-uid',
+  stops: [
+    {
+      order: 0,
+      name: '霞海城隍廟',
+      narration: '建於 1859 年',
+      location: { type: 'Point', coordinates: [121.5101, 25.0557] },
+      translations: [{ language: 'en-US', name: 'Xiahai City God Temple' }],
+    },
+  ],
+  translations: [{ language: 'en-US', title: 'Dadaocheng Old Street Walk' }],
+  ...overrides,
+});
+
+describe('Tour Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/tours', tourRoutes);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Tour.prototype, 'save').mockImplementation(function mockSave() {
+      return Promise.resolve(this);
+    });
+    // 使用內建提示詞模板
+    jest.spyOn(PromptTemplate, 'findActive').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    promptTemplateService.clearCache();
+  });
+
+  describe('GET /', () => {
+    test('should list published tours with pagination', async () => {
+      const tour = buildTour({ status: 'published' });
+      const findSpy = jest.spyOn(Tour, 'find').mockReturnValue(mockQuery([tour]));
+      jest.spyOn(Tour, 'countDocuments').mockResolvedValue(1);
+
+      const response = await request(app).get('/api/v1/tours?city=Taipei').expect(200);
+
+      expect(findSpy).toHaveBeenCalledWith({ status: 'published', city: 'Taipei' });
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.tours).toHaveLength(1);
+      expect(response.body.data.pagination).toEqual({
+        page: 1,
+        limit: 20,
+        total: 1,
+        totalPages: 1,
+      });
+    });
+
+    test('should return localized content when language is given', async () => {
+      jest.spyOn(Tour, 'find').mockReturnValue(mockQuery([buildTour({ status: 'published' })]));
+      jest.spyOn(Tour, 'countDocuments').mockResolvedValue(1);
+
+      const response = await request(app).get('/api/v1/tours?language=en-US').expect(200);
+
+      const [tour] = response.body.data.tours;
+      expect(tour.title).toBe('Dadaocheng Old Street Walk');
+      expect(tour.stops[0].name).toBe('Xiahai City God Temple');
+      expect(tour.stops[0].narration).toBe('建於 1859 年');
+    });
+
+    test('should coerce filter parameters to strings', async () => {
+      const findSpy = jest.spyOn(Tour, 'find').mockReturnValue(mockQuery([]));
+      const countSpy = jest.spyOn(Tour, 'countDocuments').mockResolvedValue(0);
+
+      await request(app)
+        .get('/api/v1/tours?mine=true&city[$ne]=Taipei&theme[$gt]=&merchantId=m-1')
+        .expect(200);
+
+      const [filter] = findSpy.mock.calls[0];
+      expect(filter).toEqual({
+        createdBy: 'user-uid',
+        city: expect.any(String),
+        theme: expect.any(String),
+        merchantId: 'm-1',
+      });
+      expect(countSpy).toHaveBeenCalledWith(filter);
+    });
+
+    test('should reject malformed near parameter', async () => {
+      const response = await request(app).get('/api/v1/tours?near=abc').expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_LOCATION');
+    });
+  });
+
+  describe('GET /search', () => {
+    test('should require a search query', async () => {
+      const response = await request(app).get('/api/v1/tours/search').expect(400);
+
+      expect(response.body.error.code).toBe('MISSING_SEARCH_QUERY');
+    });
+
+    test.each(['q=老街&q=廟口', 'q[$ne]=老街'])('should reject a non-string query (%s)', async (qs) => {
+      const findSpy = jest.spyOn(Tour, 'find');
+
+      const response = await request(app).get(`/api/v1/tours/search?${encodeURI(qs)}`).expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_SEARCH_QUERY');
+      expect(findSpy).not.toHaveBeenCalled();
+    });
+
+    test('should run a text search over published tours', async () => {
+      const findSpy = jest.spyOn(Tour, 'find').mockReturnValue(mockQuery([buildTour()]));
+      jest.spyOn(Tour, 'countDocuments').mockResolvedValue(1);
+
+      const response = await request(app)
+        .get('/api/v1/tours/search')
+        .query({ q: '老街' })
+        .expect(200);
+
+      expect(findSpy.mock.calls[0][0]).toEqual({
+        status: 'published',
+        $text: { $search: '老街' },
+      });
+      expect(response.body.data.query).toBe('老街');
+    });
+  });
+
+  describe('GET /:id', () => {
+    test('should return 404 for an invalid id', async () => {
+      const response = await request(app).get('/api/v1/tours/not-an-id').expect(404);
+
+      expect(response.body.error.code).toBe('TOUR_NOT_FOUND');
+    });
+
+    test('should hide drafts from users who do not own them', async () => {
+      const tour = buildTour();
+      jest.spyOn(Tour, 'findById').mockResolvedValue(tour);
+
+      await request(app).get(`/api/v1/tours/${tour.id}`).expect(404);
+    });
+
+    test('should show drafts to their owner', async () => {
+      const tour = buildTour();
+      jest.spyOn(Tour, 'findById').mockResolvedValue(tour);
+
+      const response = await request(app)
+        .get(`/api/v1/tours/${tour.id}`)
+        .set('x-test-role', 'merchant')
+        .expect(200);
+
+      expect(response.body.data.tour.title).toBe('大稻埕老街散步');
+      expect(response.body.data.tour.status).toBe('draft');
+    });
+  });
+
+  describe('POST /', () => {
+    test('should reject users without content.create permission', async () => {
+      const response = await request(app)
+        .post('/api/v1/tours')
+        .send({ title: '測試導覽' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSION');
+    });
+
+    test('should create a draft tour owned by the merchant', async () => {
+      const response = await request(app)
+        .post('/api/v1/tours')
+        .set('x-test-role', 'merchant')
+        .set('x-test-uid', 'merchant-creator')
+        .send({ title: '測試導覽', createdBy: 'someone-else' })
+        .expect(201);
+
+      expect(response.body.data.tour.status).toBe('draft');
+      expect(response.body.data.tour.createdBy).toBe('merchant-creator');
+      expect(response.body.data.tour.merchantId).toBe('merchant-creator');
+    });
+
+    test('should refuse to publish a tour without stops', async () => {
+      const response = await request(app)
+        .post('/api/v1/tours')
+        .set('x-test-role', 'merchant')
+        .send({ title: '測試導覽', status: 'published' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('TOUR_HAS_NO_STOPS');
+    });
+
+    test('should report validation errors', async () => {
+      jest.spyOn(Tour.prototype, 'save').mockImplementation(function mockSave() {
+        const error = this.validateSync();
+        return error ? Promise.reject(error) : Promise.resolve(this);
+      });
+
+      const response = await request(app)
+        .post('/api/v1/tours')
+        .set('x-test-role', 'merchant')
+        .send({ description: '缺少標題' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('PUT /:id', () => {
+    test('should let the owner publish the tour', async () => {
+      const tour = buildTour();
+      jest.spyOn(Tour, 'findById').mockResolvedValue(tour);
+
+      const response = await request(app)
+        .put(`/api/v1/tours/${tour.id}`)
+        .set('x-test-role', 'merchant')
+        .send({ status: 'published', theme: '歷史' })
+        .expect(200);
+
+      expect(response.body.data.tour.status).toBe('published');
+      expect(response.body.data.tour.theme).toBe('歷史');
+      expect(response.body.data.tour.publishedAt).toBeTruthy();
+    });
+
+    test('should forbid other merchants from editing', async () => {
+      const tour = buildTour();
+      jest.spyOn(Tour, 'findById').mockResolvedValue(tour);
+
+      const response = await request(app)
+        .put(`/api/v1/tours/${tour.id}`)
+        .set('x-test-role', 'merchant')
+        .set('x-test-uid', 'another-merchant')
+        .send({ title: '改標題' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('NOT_TOUR_OWNER');
+    });
+
+    test('should allow admins to edit any tour', async () => {
+      const tour = buildTour();
+      jest.spyOn(Tour, 'findById').mockResolvedValue(tour);
+
+      await request(app)
+        .put(`/api/v1/tours/${tour.id}`)
+        .set('x-test-role', 'admin')
+        .send({ title: '管理員修改' })
+        .expect(200);
+    });
+  });
+
+  describe('DELETE /:id', () => {
+    test('should soft delete the tour', async () => {
+      const tour = buildTour();
+      jest.spyOn(Tour, 'findById').mockResolvedValue(tour);
+
+      await request(app)
+        .delete(`/api/v1/tours/${tour.id}`)
+        .set('x-test-role', 'merchant')
+        .expect(200);
+
+      expect(tour.deletedAt).toBeInstanceOf(Date);
+      expect(tour.status).toBe('archived');
+    });
+  });
+
+  describe('POST /generate', () => {
+    const generatedResponse = {
+      title: '大稻埕老街散步',
+      description: '走訪百年老街',
+      city: '台北',
+      tags: ['歷史'],
+      stops: [
+        {
+          name: '霞海城隍廟',
+          narration: '建於 1859 年',
+          latitude: 25.0557,
+          longitude: 121.5101,
+          durationMinutes: 20,
+        },
+        {
+          name: '迪化街',
+          narration: '南北貨集散地',
+          latitude: 25.0573,
+          longitude: 121.5098,
+          durationMinutes: 30,
+        },
+      ],
+    };
+
+    beforeEach(() => {
+      tourGenerationService.aiService = {
+        generateStructured: jest.fn().mockResolvedValue(generatedResponse),
+      };
+    });
+
+    afterEach(() => {
+      tourGenerationService.aiService = null;
+    });
+
+    test('should generate and store a draft tour', async () => {
+      const response = await request(app)
+        .post('/api/v1/tours/generate')
+        .set('x-test-uid', 'traveller')
+        .send({
+          location: '大稻埕', theme: '歷史', duration: 90, language: 'zh-TW',
+        })
+        .expect(201);
+
+      const { tour } = response.body.data;
+      expect(tour.status).toBe('draft');
+      expect(tour.createdBy).toBe('traveller');
+      expect(tour.stops).toHaveLength(2);
+      expect(tour.stops[0].location.coordinates).toEqual([121.5101, 25.0557]);
+      expect(tour.durationMinutes).toBe(90);
+      expect(tour.generation.source).toBe('ai');
+      expect(tour.generation.template).toEqual({
+        name: 'tour_generation',
+        version: 0,
+        language: 'zh-TW',
+      });
+      expect(Tour.prototype.save).toHaveBeenCalled();
+      expect(tourGenerationService.aiService.generateStructured).toHaveBeenCalledWith(
+        expect.stringContaining('大稻埕'),
+        expect.objectContaining({ type: 'object' }),
+        {
+          priority: 'high',
+          caller: 'tour_generator',
+          userId: 'traveller',
+          userRole: 'user',
+        },
+      );
+    });
+
+    test('should reject invalid generation parameters', async () => {
+      const response = await request(app)
+        .post('/api/v1/tours/generate')
+        .send({ location: '大稻埕', duration: 5 })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_DURATION');
+      expect(tourGenerationService.aiService.generateStructured).not.toHaveBeenCalled();
+    });
+
+    test('should return 502 when the model output fails schema validation', async () => {
+      const error = new Error('Structured response failed schema validation after 3 attempts');
+      error.code = 'RESPONSE_PARSING';
+      tourGenerationService.aiService.generateStructured.mockRejectedValue(error);
+
+      const response = await request(app)
+        .post('/api/v1/tours/generate')
+        .send({ location: '大稻埕' })
+        .expect(502);
+
+      expect(response.body.error.code).toBe('INVALID_AI_RESPONSE');
+      expect(Tour.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test('should return 429 when all API keys are rate limited', async () => {
+      const error = new Error('Rate limit exceeded: All API keys are rate limited');
+      error.code = 'ALL_KEYS_RATE_LIMITED';
+      tourGenerationService.aiService.generateStructured.mockRejectedValue(error);
+
+      const response = await request(app)
+        .post('/api/v1/tours/generate')
+        .send({ location: '大稻埕' })
+        .expect(429);
+
+      expect(response.body.error.code).toBe('ALL_KEYS_RATE_LIMITED');
+    });
+
+    test('should return 503 when the AI budget is exhausted', async () => {
+      const error = new Error('Budget exceeded: Budget exceeded');
+      error.code = 'BUDGET_EXCEEDED';
+      tourGenerationService.aiService.generateStructured.mockRejectedValue(error);
+
+      const response = await request(app)
+        .post('/api/v1/tours/generate')
+        .send({ location: '大稻埕' })
+        .expect(503);
+
+      expect(response.body.error.code).toBe('BUDGET_EXCEEDED');
+    });
+
+    test('should be blocked when the feature flag is disabled', async () => {
+      await request(app)
+        .post('/api/v1/tours/generate')
+        .set('x-test-disabled-feature', 'ai_tour_generation')
+        .send({ location: '大稻埕' })
+        .expect(403);
+
+      expect(tourGenerationService.aiService.generateStructured).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /:id/stops/:stopId/narration/stream', () => {
+    const streamOf = (chunks, error = null) => async function* narration() {
+      yield* chunks;
+      if (error) throw error;
+    };
+
+    afterEach(() => {
+      tourGenerationService.aiService = null;
+    });
+
+    test('should stream narration chunks as server-sent events', async () => {
+      const tour = buildTour({ status: 'published' });
+      jest.spyOn(Tour, 'findById').mockResolvedValue(tour);
+      tourGenerationService.aiService = {
+        generateContentStream: jest.fn(streamOf(['Built in ', '1859.'])),
+      };
+
+      const response = await request(app)
+        .get(`/api/v1/tours/${tour.id}/stops/${tour.stops[0].id}/narration/stream`)
+        .query({ language: 'en-US' })
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+      expect(response.text).toContain('event: start');
+      expect(response.text).toContain(
+        '"template":{"name":"stop_narration","version":0,"language":"en-US"}',
+      );
+      expect(response.text).toContain('event: chunk\ndata: {"text":"Built in "}');
+      expect(response.text).toContain('event: chunk\ndata: {"text":"1859."}');
+      expect(response.text).toContain('event: done\ndata: {"length":14}');
+      expect(tourGenerationService.aiService.generateContentStream).toHaveBeenCalledWith(
+        expect.stringContaining('English'),
+        {
+          priority: 'high',
+          caller: 'tour_narration',
+          userId: 'user-uid',
+          userRole: 'user',
+        },
+      );
+    });
+
+    test('should return 429 before streaming when the AI quota is exceeded', async () => {
+      const tour = buildTour({ status: 'published' });
+      jest.spyOn(Tour, 'findById').mockResolvedValue(tour);
+      jest.spyOn(aiQuotaService, 'checkQuota').mockRejectedValue(
+        new AppError('AI 用量已達配額上限，請稍後再試', 429, 'AI_QUOTA_EXCEEDED'),
+      );
+      tourGenerationService.aiService = {
+        generateContentStream: jest.fn(streamOf(['Built in 1859.'])),
+      };
+
+      const response = await request(app)
+        .get(`/api/v1/tours/${tour.id}/stops/${tour.stops[0].id}/narration/stream`)
+        .expect(429);
+
+      expect(response.body.error.code).toBe('AI_QUOTA_EXCEEDED');
+      expect(aiQuotaService.checkQuota).toHaveBeenCalledWith('user-uid', 'user');
+      expect(tourGenerationService.aiService.generateContentStream).not.toHaveBeenCalled();
+    });
+
+    test('should emit an error event when the stream fails midway', async () => {
+      const tour = buildTour({ status: 'published' });
+      jest.spyOn(Tour, 'findById').mockResolvedValue(tour);
+      const error = new Error('network connection reset');
+      error.code = 'NETWORK';
+      error.type = 'NETWORK';
+      tourGenerationService.aiService = {
+        generateContentStream: jest.fn(streamOf(['霞海城隍廟'], error)),
+      };
+
+      const response = await request(app)
+        .get(`/api/v1/tours/${tour.id}/stops/${tour.stops[0].id}/narration/stream`)
+        .expect(200);
+
+      expect(response.text).toContain('event: chunk');
+      expect(response.text).toContain('event: error');
+      expect(response.text).toContain('"partial":true');
+      expect(response.text).not.toContain('event: done');
+    });
+
+    test('should return 404 for an unknown stop', async () => {
+      const tour = buildTour({ status: 'published' });
+      jest.spyOn(Tour, 'findById').mockResolvedValue(tour);
+
+      const response = await request(app)
+        .get(`/api/v1/tours/${tour.id}/stops/${tour.id}/narration/stream`)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('STOP_NOT_FOUND');
+    });
+
+    test('should reject unsupported languages before streaming', async () => {
+      const tour = buildTour({ status: 'published' });
+      jest.spyOn(Tour, 'findById').mockResolvedValue(tour);
+      tourGenerationService.aiService = { generateContentStream: jest.fn() };
+
+      const response = await request(app)
+        .get(`/api/v1/tours/${tour.id}/stops/${tour.stops[0].id}/narration/stream`)
+        .query({ language: 'ja-JP' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('UNSUPPORTED_LANGUAGE');
+      expect(tourGenerationService.aiService.generateContentStream).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const express = require('express');
+const jwtService = require('../services/jwtService');
+const { logger } = require('../middleware/requestLogger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: 取得 JWT 驗證公鑰（JWKS）
+ *     description: |
+ *       提供驗證本服務簽發之 access / refresh token 所需的公鑰。
+ *       token header 的 kid 對應此列表中的金鑰；輪替後的舊金鑰會保留到其簽發的 token 過期。
+ *     tags: [JWT Management]
+ *     responses:
+ *       200:
+ *         description: JWKS
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       kid:
+ *                         type: string
+ *                       kty:
+ *                         type: string
+ *                         example: RSA
+ *                       alg:
+ *                         type: string
+ *                         example: RS256
+ *                       use:
+ *                         type: string
+ *                         example: sig
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/jwks.json', async (req, res) => {
+  try {
+    const jwks = await jwtService.getJWKS();
+
+    // 允許驗證方短暫快取；遇到未知的 kid 時驗證方應重新取得
+    res.set('Cache-Control', 'public, max-age=300');
+    return res.json(jwks);
+  } catch (error) {
+    logger.error('取得 JWKS 失敗', { error: error.message });
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: '取得 JWKS 失敗',
+        code: 'JWKS_UNAVAILABLE',
+      },
+    });
+  }
+});
+
+module.exports = router;
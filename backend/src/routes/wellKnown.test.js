@@ -0,0 +1,44 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+const wellKnownRoutes = require('./wellKnown');
+const jwtService = require('../services/jwtService');
+
+describe('Well-known Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use('/.well-known', wellKnownRoutes);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /jwks.json', () => {
+    test('should publish keys that verify issued access tokens', async () => {
+      const token = await jwtService.generateAccessToken({ uid: 'test-user-123' });
+
+      const response = await request(app).get('/.well-known/jwks.json').expect(200);
+
+      const { header } = jwt.decode(token, { complete: true });
+      const jwk = response.body.keys.find((key) => key.kid === header.kid);
+      const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+      expect(response.headers['cache-control']).toBe('public, max-age=300');
+      expect(jwk).not.toHaveProperty('d');
+      expect(jwt.verify(token, publicKey, { algorithms: [jwk.alg] }).uid).toBe('test-user-123');
+    });
+
+    test('should return 500 when keys cannot be loaded', async () => {
+      jest.spyOn(jwtService, 'getJWKS').mockRejectedValue(new Error('unavailable'));
+
+      const response = await request(app).get('/.well-known/jwks.json').expect(500);
+
+      expect(response.body.error.code).toBe('JWKS_UNAVAILABLE');
+    });
+  });
+});
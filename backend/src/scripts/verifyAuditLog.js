@@ -0,0 +1,38 @@
+/* eslint-disable no-console */
+/**
+ * 驗證管理操作稽核紀錄的雜湊鏈
+ *
+ * 用法：npm run audit:verify
+ * 鏈完整時結束碼為 0，發現竄改、缺漏或無法連線時為 1。
+ * 輸出的 lastSequence / lastHash 可另行保存，下次比對以偵測尾端紀錄被截斷
+ */
+const { mongoConnection } = require('../config/database');
+const { adminAuditService } = require('../services/adminAuditService');
+
+async function main() {
+  await mongoConnection.connect();
+
+  try {
+    const result = await adminAuditService.verifyChain();
+    console.log(JSON.stringify(result, null, 2));
+
+    if (!result.valid) {
+      console.error(`❌ 稽核紀錄雜湊鏈驗證失敗（序號 ${result.error.sequence}）：${result.error.message}`);
+      return 1;
+    }
+
+    console.log(`✅ 稽核紀錄雜湊鏈完整，共驗證 ${result.checkedRecords} 筆`);
+    return 0;
+  } finally {
+    await mongoConnection.disconnect();
+  }
+}
+
+main()
+  .then((exitCode) => {
+    process.exitCode = exitCode;
+  })
+  .catch((error) => {
+    console.error('❌ 稽核紀錄驗證無法完成:', error.message);
+    process.exitCode = 1;
+  });
@@ -4,6 +4,7 @@ require('dotenv').config();
 
 // 導入配置和中間件
 const { configManager } = require('./config');
+const { redisConnection } = require('./config/redis');
 const { requestLogger, logger } = require('./middleware/requestLogger');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 const {
@@ -14,6 +15,12 @@ const {
 } = require('./middleware/security');
 const { performanceMonitorMiddleware } = require('./middleware/performanceMonitor');
 const swaggerSetup = require('./config/swagger');
+const jwtService = require('./services/jwtService');
+const tourRoutes = require('./routes/tours');
+const promptTemplateRoutes = require('./routes/promptTemplates');
+const aiUsageRoutes = require('./routes/aiUsage');
+const roleRoutes = require('./routes/roles');
+const wellKnownRoutes = require('./routes/wellKnown');
 
 const app = express();
 const PORT = process.env.PORT || 8000;
@@ -94,6 +101,7 @@ async function initializeApp() {
           health: '/health',
           apiDocs: '/api-docs',
           api: '/api/v1',
+          jwks: '/.well-known/jwks.json',
         },
       });
     });
@@ -106,6 +114,11 @@ async function initializeApp() {
     app.use('/api/v1/feature-flags', featureFlagRoutes);
     app.use('/api/v1/monitoring', monitoringRoutes);
     app.use('/api/v1/auth', authRoutes);
+    app.use('/api/v1/tours', tourRoutes);
+    app.use('/api/v1/prompt-templates', promptTemplateRoutes);
+    app.use('/api/v1/ai-usage', aiUsageRoutes);
+    app.use('/api/v1/roles', roleRoutes);
+    app.use('/.well-known', wellKnownRoutes);
 
     // API 基本資訊端點
     app.get('/api/v1', (req, res) => {
@@ -114,6 +127,10 @@ async function initializeApp() {
         version: '1.0.0',
         availableEndpoints: {
           auth: '/api/v1/auth',
+          tours: '/api/v1/tours',
+          'prompt-templates': '/api/v1/prompt-templates',
+          'ai-usage': '/api/v1/ai-usage',
+          roles: '/api/v1/roles',
           'feature-flags': '/api/v1/feature-flags',
           monitoring: '/api/v1/monitoring',
           health: '/health',
@@ -143,6 +160,11 @@ async function startServer() {
   try {
     await initializeApp();
 
+    // 簽章公鑰發布到 Redis 後才開始接受請求，其他實例才能驗證本實例簽發的 token
+    if (redisConnection.isConnected) {
+      await jwtService.initializeSigningKey();
+    }
+
     const server = app.listen(PORT, () => {
       logger.info(`🚀 Localite Backend Server 已啟動在端口 ${PORT}`);
       logger.info(`📱 健康檢查: http://localhost:${PORT}/health`);
@@ -0,0 +1,450 @@
+const crypto = require('crypto');
+const AccountTokenService = require('./accountTokenService');
+const PasswordPolicyService = require('./passwordPolicyService');
+const jwtService = require('./jwtService');
+const MFAService = require('./mfaService');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { getAuth } = require('../config/firebase');
+const { securityEnhancement } = require('../middleware/securityEnhancement');
+const { logger } = require('../middleware/requestLogger');
+
+const PASSWORD_RESET_PURPOSE = 'password_reset';
+const PASSWORD_CHANGE_PURPOSE = 'password_change';
+const EMAIL_CHANGE_PURPOSE = 'email_change';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const appendToken = (baseUrl, token) => {
+  const separator = baseUrl.includes('?') ? '&' : '?';
+  return `${baseUrl}${separator}token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * 帳號復原服務：忘記密碼、密碼變更與 Email 變更
+ * 密碼由 Firebase 管理，只有具 password 登入方式的帳號可以重設密碼
+ */
+class AccountRecoveryService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.emailService - 郵件服務
+   * @param {Object} options.tokenService - 帳號操作權杖服務
+   * @param {Object} options.passwordPolicyService - 密碼政策服務
+   * @param {Object} options.userModel - 用戶模型
+   * @param {Function} options.getAuth - 取得 Firebase Auth
+   * @param {Object} options.jwtService - JWT 服務
+   * @param {Object} options.mfaService - MFA 服務（撤銷受信任設備）
+   * @param {Object} options.securityEnhancement - 安全事件記錄
+   */
+  constructor(options = {}) {
+    this.emailService = options.emailService;
+    this.tokenService = options.tokenService || new AccountTokenService();
+    this.passwordPolicyService = options.passwordPolicyService || new PasswordPolicyService();
+    this.User = options.userModel || User;
+    this.getAuth = options.getAuth || getAuth;
+    this.jwtService = options.jwtService || jwtService;
+    this.mfaService = options.mfaService || new MFAService({ emailService: this.emailService });
+    this.securityEnhancement = options.securityEnhancement || securityEnhancement;
+
+    this.config = {
+      resetTokenTtl: parseInt(process.env.PASSWORD_RESET_TOKEN_TTL, 10) || 3600,
+      resetUrl: process.env.PASSWORD_RESET_URL || 'http://localhost:3000/auth/reset-password',
+      changeTokenTtl: parseInt(process.env.PASSWORD_CHANGE_TOKEN_TTL, 10) || 900,
+      emailChangeTokenTtl: parseInt(process.env.EMAIL_CHANGE_TOKEN_TTL, 10) || 86400,
+      emailChangeUrl:
+        process.env.EMAIL_CHANGE_CONFIRM_URL || 'http://localhost:3000/auth/confirm-email-change',
+    };
+  }
+
+  static hasPasswordProvider(user) {
+    return user.providers.some((provider) => provider.providerId === 'password');
+  }
+
+  // ============ 忘記密碼 ============
+
+  /**
+   * 寄出密碼重設連結
+   * 為避免洩漏帳號是否存在，呼叫端對任何結果都應回應相同訊息
+   * @param {string} email - 帳號 Email
+   * @param {Object} context - 請求上下文
+   * @returns {Promise<Object>} { sent, resetLink? }
+   */
+  async requestPasswordReset(email, context = {}) {
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+    const user = await this.User.findOne({ email: normalizedEmail });
+
+    if (!user || user.status !== 'active' || !AccountRecoveryService.hasPasswordProvider(user)) {
+      logger.info('略過密碼重設請求', {
+        email: normalizedEmail,
+        reason: user ? 'not_eligible' : 'user_not_found',
+        ipAddress: context.ipAddress,
+      });
+      return { sent: false };
+    }
+
+    const { token } = await this.tokenService.issue(
+      PASSWORD_RESET_PURPOSE,
+      user.firebaseUid,
+      { email: user.email },
+      this.config.resetTokenTtl,
+    );
+    const resetLink = appendToken(this.config.resetUrl, token);
+
+    const sendResult = await this.emailService.send({
+      to: user.email,
+      template: 'password_reset',
+      language: user.preferences?.language,
+      variables: {
+        displayName: user.fullName,
+        resetLink,
+        expiryMinutes: Math.round(this.config.resetTokenTtl / 60),
+      },
+    });
+
+    await this.securityEnhancement.recordSecurityEvent(
+      user.firebaseUid,
+      'password_reset_requested',
+      {
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        emailSent: sendResult.success,
+      },
+    );
+
+    return { sent: sendResult.success, resetLink };
+  }
+
+  /**
+   * 以重設權杖設定新密碼
+   * 新密碼不符合政策時不會消耗權杖，用戶可以修正後重試
+   * @param {string} token - 重設權杖
+   * @param {string} newPassword - 新密碼
+   * @param {Object} context - 請求上下文
+   * @returns {Promise<Object>} { uid, passwordChangedAt, passwordExpiresAt }
+   */
+  async resetPassword(token, newPassword, context = {}) {
+    return this.redeemPasswordToken(PASSWORD_RESET_PURPOSE, token, newPassword, context, {
+      errorMessage: '重設連結無效或已過期',
+      errorCode: 'INVALID_RESET_TOKEN',
+      eventType: 'password_reset',
+    });
+  }
+
+  // ============ 密碼變更 ============
+
+  /**
+   * 簽發密碼過期時的變更權杖
+   * 登入時發現密碼已過期，改發此權杖讓用戶在取得 session 前先設定新密碼
+   * @param {Object} user - 用戶文件
+   * @returns {Promise<Object>} { token, expiresAt }
+   */
+  async issuePasswordChangeToken(user) {
+    return this.tokenService.issue(
+      PASSWORD_CHANGE_PURPOSE,
+      user.firebaseUid,
+      { email: user.email },
+      this.config.changeTokenTtl,
+    );
+  }
+
+  /**
+   * 以變更權杖設定新密碼（密碼過期流程）
+   * @param {string} token - 登入時取得的變更權杖
+   * @param {string} newPassword - 新密碼
+   * @param {Object} context - 請求上下文
+   * @returns {Promise<Object>} { uid, passwordChangedAt, passwordExpiresAt }
+   */
+  async changeExpiredPassword(token, newPassword, context = {}) {
+    return this.redeemPasswordToken(PASSWORD_CHANGE_PURPOSE, token, newPassword, context, {
+      errorMessage: '密碼變更權杖無效或已過期，請重新登入',
+      errorCode: 'INVALID_PASSWORD_CHANGE_TOKEN',
+      eventType: 'password_changed',
+    });
+  }
+
+  /**
+   * 已登入用戶變更密碼
+   * 呼叫端需先確認用戶剛完成登入；變更後所有 session 都會被撤銷，需以新密碼重新取得 Token
+   * @param {Object} user - 用戶文件
+   * @param {string} newPassword - 新密碼
+   * @param {Object} context - 請求上下文
+   * @returns {Promise<Object>} { uid, passwordChangedAt, passwordExpiresAt }
+   */
+  async changePassword(user, newPassword, context = {}) {
+    if (!AccountRecoveryService.hasPasswordProvider(user)) {
+      throw new AppError('此帳號未使用密碼登入', 400, 'PASSWORD_NOT_SET');
+    }
+
+    const userWithHistory = await this.User.findOne({ firebaseUid: user.firebaseUid }).select(
+      '+security.passwordHistory',
+    );
+    const validation = await this.validateNewPassword(userWithHistory, newPassword);
+
+    return this.applyNewPassword(userWithHistory, newPassword, validation, context, {
+      eventType: 'password_changed',
+    });
+  }
+
+  /**
+   * 依政策檢查新密碼，不符合時拋出 PASSWORD_POLICY_VIOLATION
+   */
+  async validateNewPassword(user, newPassword) {
+    const validation = await this.passwordPolicyService.validatePassword(newPassword, { user });
+    if (!validation.valid) {
+      const error = new AppError('新密碼不符合密碼政策', 400, 'PASSWORD_POLICY_VIOLATION');
+      error.details = validation.errors;
+      throw error;
+    }
+    return validation;
+  }
+
+  /**
+   * 使用一次性權杖設定新密碼（重設與過期變更共用）
+   * 權杖在新密碼通過政策檢查後才會被消耗
+   */
+  async redeemPasswordToken(purpose, token, newPassword, context, options) {
+    const invalidToken = () => new AppError(options.errorMessage, 400, options.errorCode);
+
+    const pending = await this.tokenService.peek(purpose, token);
+    if (!pending) {
+      throw invalidToken();
+    }
+
+    const user = await this.User.findOne({ firebaseUid: pending.uid }).select(
+      '+security.passwordHistory',
+    );
+    if (!user || user.status !== 'active' || user.email !== pending.data?.email) {
+      throw invalidToken();
+    }
+
+    const validation = await this.validateNewPassword(user, newPassword);
+
+    const consumed = await this.tokenService.consume(purpose, token);
+    if (!consumed) {
+      throw invalidToken();
+    }
+
+    return this.applyNewPassword(user, newPassword, validation, context, {
+      eventType: options.eventType,
+    });
+  }
+
+  /**
+   * 更新 Firebase 密碼、記錄密碼歷史並撤銷既有 session 與受信任設備
+   * @param {Object} options
+   * @param {string} options.eventType - 安全事件類型
+   */
+  async applyNewPassword(user, newPassword, validation, context, options) {
+    const firebaseAuth = this.getAuth();
+    await firebaseAuth.updateUser(user.firebaseUid, { password: newPassword });
+    await firebaseAuth.revokeRefreshTokens(user.firebaseUid);
+
+    const passwordChange = await this.passwordPolicyService.recordPasswordChange(
+      user,
+      newPassword,
+      validation.policy,
+    );
+
+    // 舊密碼可能已外洩，撤銷所有既有 session，受信任設備也需重新完成 MFA
+    await this.jwtService.revokeAllUserTokens(user.firebaseUid);
+    await this.mfaService.revokeTrustedDevice(user.firebaseUid);
+
+    await this.securityEnhancement.recordSecurityEvent(user.firebaseUid, options.eventType, {
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+    });
+
+    logger.info('密碼已更新', {
+      uid: user.firebaseUid,
+      eventType: options.eventType,
+      ipAddress: context.ipAddress,
+    });
+
+    return {
+      uid: user.firebaseUid,
+      ...passwordChange,
+    };
+  }
+
+  // ============ Email 變更 ============
+
+  /**
+   * 申請變更 Email，分別寄送確認連結至新舊地址
+   * 重新申請會取代尚未完成的變更
+   * @param {Object} user - 用戶文件
+   * @param {string} newEmail - 新 Email
+   * @param {Object} context - 請求上下文
+   * @returns {Promise<Object>} { newEmail, expiresAt, confirmLinks }
+   */
+  async requestEmailChange(user, newEmail, context = {}) {
+    const normalizedEmail = String(newEmail || '').trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(normalizedEmail)) {
+      throw new AppError('請輸入有效的 Email 地址', 400, 'INVALID_EMAIL');
+    }
+    if (normalizedEmail === user.email) {
+      throw new AppError('新 Email 與目前的 Email 相同', 400, 'EMAIL_UNCHANGED');
+    }
+    if (await this.User.findOne({ email: normalizedEmail })) {
+      throw new AppError('此 Email 已被使用', 409, 'EMAIL_ALREADY_IN_USE');
+    }
+
+    const ttl = this.config.emailChangeTokenTtl;
+    const changeId = crypto.randomUUID();
+    const requestedAt = new Date();
+    const expiresAt = new Date(requestedAt.getTime() + ttl * 1000);
+
+    await this.User.updateOne(
+      { firebaseUid: user.firebaseUid },
+      {
+        $set: {
+          pendingEmailChange: {
+            changeId,
+            newEmail: normalizedEmail,
+            requestedAt,
+            expiresAt,
+          },
+        },
+      },
+    );
+
+    const confirmLinks = {};
+    const recipients = { old: user.email, new: normalizedEmail };
+    const results = await Promise.all(
+      Object.entries(recipients).map(async ([address, to]) => {
+        const { token } = await this.tokenService.issue(
+          EMAIL_CHANGE_PURPOSE,
+          user.firebaseUid,
+          { changeId, address },
+          ttl,
+          { scope: address },
+        );
+        confirmLinks[address] = appendToken(this.config.emailChangeUrl, token);
+
+        return this.emailService.send({
+          to,
+          template: 'email_change_confirmation',
+          language: user.preferences?.language,
+          variables: {
+            displayName: user.fullName,
+            oldEmail: user.email,
+            newEmail: normalizedEmail,
+            confirmLink: confirmLinks[address],
+            expiryMinutes: Math.round(ttl / 60),
+          },
+        });
+      }),
+    );
+
+    if (results.some((result) => !result.success)) {
+      await this.User.updateOne(
+        { firebaseUid: user.firebaseUid, 'pendingEmailChange.changeId': changeId },
+        { $unset: { pendingEmailChange: 1 } },
+      );
+      throw new AppError('確認信件發送失敗', 502, 'EMAIL_SEND_FAILED');
+    }
+
+    await this.securityEnhancement.recordSecurityEvent(
+      user.firebaseUid,
+      'email_change_requested',
+      {
+        oldEmail: user.email,
+        newEmail: normalizedEmail,
+        ipAddress: context.ipAddress,
+      },
+    );
+
+    return { newEmail: normalizedEmail, expiresAt, confirmLinks };
+  }
+
+  /**
+   * 確認 Email 變更，新舊地址都確認後才更新帳號 Email
+   * @param {string} token - 確認權杖
+   * @returns {Promise<Object>} { status: 'pending'|'completed', email, confirmed: { old, new } }
+   */
+  async confirmEmailChange(token) {
+    const record = await this.tokenService.consume(EMAIL_CHANGE_PURPOSE, token);
+    if (!record) {
+      throw new AppError('確認連結無效或已過期', 400, 'INVALID_EMAIL_CHANGE_TOKEN');
+    }
+
+    const { changeId, address } = record.data;
+    const confirmedField = address === 'old' ? 'oldConfirmedAt' : 'newConfirmedAt';
+
+    // 以 changeId 為條件的原子更新，確保只套用到同一次變更申請
+    const user = await this.User.findOneAndUpdate(
+      {
+        firebaseUid: record.uid,
+        'pendingEmailChange.changeId': changeId,
+        'pendingEmailChange.expiresAt': { $gt: new Date() },
+      },
+      { $set: { [`pendingEmailChange.${confirmedField}`]: new Date() } },
+      { new: true },
+    );
+    if (!user) {
+      throw new AppError('確認連結無效或已過期', 400, 'INVALID_EMAIL_CHANGE_TOKEN');
+    }
+
+    const pending = user.pendingEmailChange;
+    const confirmed = {
+      old: Boolean(pending.oldConfirmedAt),
+      new: Boolean(pending.newConfirmedAt),
+    };
+    if (!confirmed.old || !confirmed.new) {
+      return { status: 'pending', email: user.email, confirmed };
+    }
+
+    return this.completeEmailChange(user, changeId, confirmed);
+  }
+
+  /**
+   * 套用已確認的 Email 變更
+   */
+  async completeEmailChange(user, changeId, confirmed) {
+    const oldEmail = user.email;
+    const { newEmail } = user.pendingEmailChange;
+
+    const owner = await this.User.findOne({ email: newEmail });
+    if (owner && owner.firebaseUid !== user.firebaseUid) {
+      await this.User.updateOne(
+        { firebaseUid: user.firebaseUid, 'pendingEmailChange.changeId': changeId },
+        { $unset: { pendingEmailChange: 1 } },
+      );
+      throw new AppError('此 Email 已被使用', 409, 'EMAIL_ALREADY_IN_USE');
+    }
+
+    // Firebase 的 Email 是密碼登入的帳號，先更新以免兩邊不一致
+    if (AccountRecoveryService.hasPasswordProvider(user)) {
+      await this.getAuth().updateUser(user.firebaseUid, {
+        email: newEmail,
+        emailVerified: true,
+      });
+    }
+
+    const updated = await this.User.findOneAndUpdate(
+      { firebaseUid: user.firebaseUid, 'pendingEmailChange.changeId': changeId },
+      {
+        $set: { email: newEmail, emailVerified: true },
+        $unset: { pendingEmailChange: 1 },
+      },
+      { new: true },
+    );
+    if (!updated) {
+      // 另一個確認請求已完成變更
+      return { status: 'completed', email: newEmail, confirmed };
+    }
+
+    // Token 內含舊 Email，撤銷既有 session 與受信任設備，讓用戶以新 Email 重新登入
+    await this.jwtService.revokeAllUserTokens(updated.firebaseUid);
+    await this.mfaService.revokeTrustedDevice(updated.firebaseUid);
+
+    await this.securityEnhancement.recordSecurityEvent(updated.firebaseUid, 'email_changed', {
+      oldEmail,
+      newEmail,
+    });
+
+    logger.info('Email 變更完成', { uid: updated.firebaseUid, oldEmail, newEmail });
+
+    return { status: 'completed', email: newEmail, confirmed };
+  }
+}
+
+module.exports = AccountRecoveryService;
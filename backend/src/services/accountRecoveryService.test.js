@@ -0,0 +1,345 @@
+const AccountRecoveryService = require('./accountRecoveryService');
+const AccountTokenService = require('./accountTokenService');
+const PasswordPolicyService = require('./passwordPolicyService');
+const { redisConnection } = require('../config/redis');
+
+jest.mock('../config/redis', () => ({
+  redisConnection: {
+    set: jest.fn(),
+    get: jest.fn(),
+    delete: jest.fn(),
+  },
+}));
+
+jest.mock('../config/firebase', () => ({
+  getAuth: jest.fn(),
+}));
+
+jest.mock('../middleware/requestLogger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+/**
+ * 以記憶體模擬 User 模型（只支援本服務使用的查詢與更新）
+ */
+const createUserModel = () => {
+  const users = [];
+  const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+  const setPath = (doc, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((current, key) => {
+      // eslint-disable-next-line no-param-reassign
+      current[key] = current[key] || {};
+      return current[key];
+    }, doc);
+    target[last] = value;
+  };
+  const matches = (doc, filter) => Object.entries(filter).every(([path, expected]) => {
+    const value = getPath(doc, path);
+    return expected?.$gt ? value > expected.$gt : value === expected;
+  });
+  const query = (result) => ({
+    select: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  });
+
+  return {
+    users,
+    create(data) {
+      const user = {
+        status: 'active',
+        preferences: { language: 'zh-TW' },
+        security: { passwordHistory: [] },
+        fullName: 'Test User',
+        save: jest.fn().mockResolvedValue(true),
+        ...data,
+      };
+      users.push(user);
+      return user;
+    },
+    findOne: (filter) => query(users.find((user) => matches(user, filter)) || null),
+    async updateOne(filter, update) {
+      const user = users.find((item) => matches(item, filter));
+      if (user) {
+        Object.entries(update.$set || {}).forEach(([path, value]) => setPath(user, path, value));
+        Object.keys(update.$unset || {}).forEach((path) => setPath(user, path, undefined));
+      }
+      return { matchedCount: user ? 1 : 0 };
+    },
+    async findOneAndUpdate(filter, update) {
+      const user = users.find((item) => matches(item, filter));
+      if (!user) {
+        return null;
+      }
+      await this.updateOne({ firebaseUid: user.firebaseUid }, update);
+      return user;
+    },
+  };
+};
+
+describe('AccountRecoveryService', () => {
+  let store;
+  let UserModel;
+  let emailService;
+  let firebaseAuth;
+  let jwtService;
+  let mfaService;
+  let securityEnhancement;
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = new Map();
+    redisConnection.set.mockImplementation(async (key, value) => {
+      store.set(key, value);
+      return 'OK';
+    });
+    redisConnection.get.mockImplementation(async (key) => store.get(key) ?? null);
+    redisConnection.delete.mockImplementation(async (key) => store.delete(key));
+
+    UserModel = createUserModel();
+    emailService = { send: jest.fn().mockResolvedValue({ success: true }) };
+    firebaseAuth = {
+      updateUser: jest.fn().mockResolvedValue({}),
+      revokeRefreshTokens: jest.fn().mockResolvedValue(),
+    };
+    jwtService = { revokeAllUserTokens: jest.fn().mockResolvedValue(true) };
+    mfaService = { revokeTrustedDevice: jest.fn().mockResolvedValue({ success: true }) };
+    securityEnhancement = { recordSecurityEvent: jest.fn().mockResolvedValue({}) };
+
+    service = new AccountRecoveryService({
+      emailService,
+      userModel: UserModel,
+      tokenService: new AccountTokenService({ secret: 'test-secret' }),
+      passwordPolicyService: new PasswordPolicyService({
+        policyProvider: async () => ({
+          minLength: 8,
+          requireUppercase: true,
+          requireNumbers: true,
+          maxAge: 90,
+          historyCount: 5,
+        }),
+      }),
+      getAuth: () => firebaseAuth,
+      jwtService,
+      mfaService,
+      securityEnhancement,
+    });
+  });
+
+  const getToken = (link) => new URL(link).searchParams.get('token');
+
+  describe('密碼重設', () => {
+    beforeEach(() => {
+      UserModel.create({
+        firebaseUid: 'user-1',
+        email: 'user@example.com',
+        providers: [{ providerId: 'password', providerUid: 'user-1' }],
+      });
+    });
+
+    it('應該寄出重設連結', async () => {
+      const result = await service.requestPasswordReset('User@Example.com');
+
+      expect(result.sent).toBe(true);
+      expect(emailService.send).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'user@example.com',
+        template: 'password_reset',
+        variables: expect.objectContaining({ resetLink: result.resetLink, expiryMinutes: 60 }),
+      }));
+    });
+
+    it('應該對不存在或沒有密碼登入方式的帳號靜默略過', async () => {
+      UserModel.create({
+        firebaseUid: 'social-1',
+        email: 'social@example.com',
+        providers: [{ providerId: 'google.com', providerUid: 'g-1' }],
+      });
+
+      expect(await service.requestPasswordReset('missing@example.com')).toEqual({ sent: false });
+      expect(await service.requestPasswordReset('social@example.com')).toEqual({ sent: false });
+      expect(emailService.send).not.toHaveBeenCalled();
+    });
+
+    it('應該更新密碼、記錄歷史並撤銷所有 Token 與受信任設備', async () => {
+      const { resetLink } = await service.requestPasswordReset('user@example.com');
+
+      const result = await service.resetPassword(getToken(resetLink), 'NewPassw0rd', {
+        ipAddress: '127.0.0.1',
+      });
+
+      expect(result.uid).toBe('user-1');
+      expect(result.passwordExpiresAt).toBeInstanceOf(Date);
+      expect(firebaseAuth.updateUser).toHaveBeenCalledWith('user-1', { password: 'NewPassw0rd' });
+      expect(firebaseAuth.revokeRefreshTokens).toHaveBeenCalledWith('user-1');
+      expect(jwtService.revokeAllUserTokens).toHaveBeenCalledWith('user-1');
+      expect(mfaService.revokeTrustedDevice).toHaveBeenCalledWith('user-1');
+      expect(UserModel.users[0].security.passwordHistory).toHaveLength(1);
+      expect(securityEnhancement.recordSecurityEvent).toHaveBeenCalledWith(
+        'user-1',
+        'password_reset',
+        expect.objectContaining({ ipAddress: '127.0.0.1' }),
+      );
+    });
+
+    it('應該在密碼不符政策時保留權杖', async () => {
+      const { resetLink } = await service.requestPasswordReset('user@example.com');
+      const token = getToken(resetLink);
+
+      await expect(service.resetPassword(token, 'weak')).rejects.toMatchObject({
+        statusCode: 400,
+        code: 'PASSWORD_POLICY_VIOLATION',
+        details: [expect.objectContaining({ code: 'PASSWORD_TOO_SHORT' })],
+      });
+      await expect(service.resetPassword(token, 'NewPassw0rd')).resolves.toBeDefined();
+    });
+
+    it('應該拒絕重複使用權杖與最近用過的密碼', async () => {
+      const first = await service.requestPasswordReset('user@example.com');
+      await service.resetPassword(getToken(first.resetLink), 'NewPassw0rd');
+
+      await expect(
+        service.resetPassword(getToken(first.resetLink), 'Another1Passw0rd'),
+      ).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_RESET_TOKEN' });
+
+      const second = await service.requestPasswordReset('user@example.com');
+      await expect(
+        service.resetPassword(getToken(second.resetLink), 'NewPassw0rd'),
+      ).rejects.toMatchObject({
+        code: 'PASSWORD_POLICY_VIOLATION',
+        details: [expect.objectContaining({ code: 'PASSWORD_REUSED' })],
+      });
+    });
+  });
+
+  describe('密碼變更', () => {
+    let user;
+
+    beforeEach(() => {
+      user = UserModel.create({
+        firebaseUid: 'user-1',
+        email: 'user@example.com',
+        providers: [{ providerId: 'password', providerUid: 'user-1' }],
+        security: { passwordHistory: [], passwordChangeRequired: true },
+      });
+    });
+
+    it('應該以變更權杖設定新密碼並解除過期標記', async () => {
+      const { token } = await service.issuePasswordChangeToken(user);
+
+      await service.changeExpiredPassword(token, 'NewPassw0rd');
+
+      expect(user.security.passwordChangeRequired).toBe(false);
+      expect(firebaseAuth.updateUser).toHaveBeenCalledWith('user-1', { password: 'NewPassw0rd' });
+      expect(jwtService.revokeAllUserTokens).toHaveBeenCalledWith('user-1');
+      expect(securityEnhancement.recordSecurityEvent).toHaveBeenCalledWith(
+        'user-1',
+        'password_changed',
+        expect.any(Object),
+      );
+      await expect(service.changeExpiredPassword(token, 'Another1Passw0rd')).rejects.toMatchObject({
+        statusCode: 400, code: 'INVALID_PASSWORD_CHANGE_TOKEN',
+      });
+    });
+
+    it('應該拒絕以重設權杖變更過期密碼', async () => {
+      const { resetLink } = await service.requestPasswordReset('user@example.com');
+
+      await expect(
+        service.changeExpiredPassword(getToken(resetLink), 'NewPassw0rd'),
+      ).rejects.toMatchObject({ code: 'INVALID_PASSWORD_CHANGE_TOKEN' });
+    });
+
+    it('應該拒絕沒有密碼登入方式的帳號變更密碼', async () => {
+      const socialUser = UserModel.create({
+        firebaseUid: 'social-1',
+        email: 'social@example.com',
+        providers: [{ providerId: 'google.com', providerUid: 'g-1' }],
+      });
+
+      await expect(service.changePassword(socialUser, 'NewPassw0rd')).rejects.toMatchObject({
+        statusCode: 400, code: 'PASSWORD_NOT_SET',
+      });
+      await expect(service.changePassword(user, 'NewPassw0rd')).resolves.toMatchObject({
+        uid: 'user-1',
+      });
+    });
+  });
+
+  describe('Email 變更', () => {
+    let user;
+
+    beforeEach(() => {
+      user = UserModel.create({
+        firebaseUid: 'user-1',
+        email: 'old@example.com',
+        providers: [{ providerId: 'password', providerUid: 'user-1' }],
+      });
+    });
+
+    it('應該拒絕已被使用的 Email', async () => {
+      UserModel.create({ firebaseUid: 'user-2', email: 'taken@example.com', providers: [] });
+
+      await expect(service.requestEmailChange(user, 'Taken@example.com')).rejects.toMatchObject({
+        code: 'EMAIL_ALREADY_IN_USE',
+      });
+    });
+
+    it('應該在新舊地址都確認後才變更 Email', async () => {
+      const { confirmLinks } = await service.requestEmailChange(user, 'new@example.com');
+
+      expect(emailService.send).toHaveBeenCalledTimes(2);
+      expect(emailService.send.mock.calls.map(([message]) => message.to).sort()).toEqual([
+        'new@example.com',
+        'old@example.com',
+      ]);
+
+      const pending = await service.confirmEmailChange(getToken(confirmLinks.new));
+      expect(pending).toEqual({
+        status: 'pending',
+        email: 'old@example.com',
+        confirmed: { old: false, new: true },
+      });
+      expect(user.email).toBe('old@example.com');
+      expect(mfaService.revokeTrustedDevice).not.toHaveBeenCalled();
+
+      const completed = await service.confirmEmailChange(getToken(confirmLinks.old));
+      expect(completed).toEqual({
+        status: 'completed',
+        email: 'new@example.com',
+        confirmed: { old: true, new: true },
+      });
+      expect(user.email).toBe('new@example.com');
+      expect(user.pendingEmailChange).toBeUndefined();
+      expect(firebaseAuth.updateUser).toHaveBeenCalledWith('user-1', {
+        email: 'new@example.com',
+        emailVerified: true,
+      });
+      expect(jwtService.revokeAllUserTokens).toHaveBeenCalledWith('user-1');
+      expect(mfaService.revokeTrustedDevice).toHaveBeenCalledWith('user-1');
+    });
+
+    it('應該讓新的變更申請取代舊的申請', async () => {
+      const first = await service.requestEmailChange(user, 'first@example.com');
+      await service.requestEmailChange(user, 'second@example.com');
+
+      await expect(
+        service.confirmEmailChange(getToken(first.confirmLinks.old)),
+      ).rejects.toMatchObject({ code: 'INVALID_EMAIL_CHANGE_TOKEN' });
+    });
+
+    it('應該在寄送失敗時取消變更申請', async () => {
+      emailService.send.mockResolvedValueOnce({ success: false, error: 'smtp down' });
+
+      await expect(service.requestEmailChange(user, 'new@example.com')).rejects.toMatchObject({
+        code: 'EMAIL_SEND_FAILED',
+      });
+      expect(user.pendingEmailChange).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { redisConnection } = require('../config/redis');
+const { logger } = require('../middleware/requestLogger');
+
+/**
+ * 帳號操作權杖服務（密碼重設、Email 變更確認）
+ *
+ * 權杖格式為 <id>.<signature>，簽章以 HMAC-SHA256 綁定用途，偽造的權杖不需查詢 Redis 即可拒絕。
+ * Redis 只保存 id 的 SHA-256 雜湊，權杖在 consume 時以 DEL 的結果確保只能使用一次；
+ * 同一用戶同一用途只保留最新的權杖。
+ */
+class AccountTokenService {
+  /**
+   * @param {Object} options
+   * @param {string} options.secret - 簽章密鑰，預設為 ACCOUNT_TOKEN_SECRET
+   */
+  constructor(options = {}) {
+    this.tokenPrefix = 'account_token:';
+    this.userIndexPrefix = 'account_token_user:';
+
+    const secret = options.secret || process.env.ACCOUNT_TOKEN_SECRET;
+    if (!secret) {
+      // 未設定時每個實例使用隨機密鑰，多實例部署下其他實例簽發的權杖會被拒絕
+      logger.warn('未設定 ACCOUNT_TOKEN_SECRET，帳號操作權杖僅在本實例有效');
+    }
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+  }
+
+  sign(purpose, id) {
+    return crypto.createHmac('sha256', this.secret).update(`${purpose}:${id}`).digest('base64url');
+  }
+
+  static hashId(id) {
+    return crypto.createHash('sha256').update(id).digest('hex');
+  }
+
+  /**
+   * 驗證簽章並取得 Redis 鍵，格式或簽章錯誤時為 null
+   */
+  getTokenKey(purpose, token) {
+    if (typeof token !== 'string') {
+      return null;
+    }
+
+    const [id, signature, extra] = token.split('.');
+    if (!id || !signature || extra !== undefined) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(purpose, id));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    return `${this.tokenPrefix}${purpose}:${AccountTokenService.hashId(id)}`;
+  }
+
+  /**
+   * 簽發權杖，並使同一用戶同一用途的舊權杖失效
+   * @param {string} purpose - 用途（password_reset、email_change）
+   * @param {string} uid - 用戶 ID
+   * @param {Object} data - 附帶資料
+   * @param {number} ttl - 有效期（秒）
+   * @param {Object} options
+   * @param {string} options.scope - 區分同一用途的多個權杖（例如新舊 Email），預設為 default
+   * @returns {Promise<Object>} { token, expiresAt }
+   */
+  async issue(purpose, uid, data, ttl, options = {}) {
+    const scope = options.scope || 'default';
+    const id = crypto.randomBytes(24).toString('base64url');
+    const token = `${id}.${this.sign(purpose, id)}`;
+    const key = `${this.tokenPrefix}${purpose}:${AccountTokenService.hashId(id)}`;
+    const indexKey = `${this.userIndexPrefix}${purpose}:${scope}:${uid}`;
+    const expiresAt = new Date(Date.now() + ttl * 1000).toISOString();
+
+    const previousKey = await redisConnection.get(indexKey);
+    if (previousKey) {
+      await redisConnection.delete(previousKey);
+    }
+
+    await redisConnection.set(
+      key,
+      {
+        uid,
+        purpose,
+        data,
+        createdAt: new Date().toISOString(),
+        expiresAt,
+      },
+      { ttl },
+    );
+    await redisConnection.set(indexKey, key, { ttl });
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * 查詢權杖但不使用（例如先檢查新密碼是否符合政策）
+   * @returns {Promise<Object|null>} { uid, purpose, data, createdAt, expiresAt }
+   */
+  async peek(purpose, token) {
+    const key = this.getTokenKey(purpose, token);
+    if (!key) {
+      return null;
+    }
+    return redisConnection.get(key);
+  }
+
+  /**
+   * 使用權杖，只有第一個成功刪除的請求會取得資料
+   * @returns {Promise<Object|null>} 權杖資料，無效、過期或已使用時為 null
+   */
+  async consume(purpose, token) {
+    const key = this.getTokenKey(purpose, token);
+    if (!key) {
+      return null;
+    }
+
+    const record = await redisConnection.get(key);
+    if (!record) {
+      return null;
+    }
+
+    const deleted = await redisConnection.delete(key);
+    if (!deleted) {
+      logger.warn('帳號操作權杖已被使用', { purpose, uid: record.uid });
+      return null;
+    }
+
+    return record;
+  }
+}
+
+module.exports = AccountTokenService;
@@ -0,0 +1,100 @@
+const AccountTokenService = require('./accountTokenService');
+const { redisConnection } = require('../config/redis');
+
+jest.mock('../config/redis', () => ({
+  redisConnection: {
+    set: jest.fn(),
+    get: jest.fn(),
+    delete: jest.fn(),
+  },
+}));
+
+jest.mock('../middleware/requestLogger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+describe('AccountTokenService', () => {
+  let store;
+  let service;
+
+  // 以 Map 模擬 Redis，delete 只有第一次會成功
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = new Map();
+    redisConnection.set.mockImplementation(async (key, value) => {
+      store.set(key, value);
+      return 'OK';
+    });
+    redisConnection.get.mockImplementation(async (key) => store.get(key) ?? null);
+    redisConnection.delete.mockImplementation(async (key) => store.delete(key));
+    service = new AccountTokenService({ secret: 'test-secret' });
+  });
+
+  it('應該簽發權杖並只保存 id 的雜湊', async () => {
+    const { token, expiresAt } = await service.issue('password_reset', 'user-1', { a: 1 }, 600);
+    const [id] = token.split('.');
+
+    expect(new Date(expiresAt).getTime()).toBeGreaterThan(Date.now());
+    expect(Array.from(store.keys()).some((key) => key.includes(id))).toBe(false);
+    expect(redisConnection.set).toHaveBeenCalledWith(
+      expect.stringMatching(/^account_token:password_reset:[0-9a-f]{64}$/),
+      expect.objectContaining({ uid: 'user-1', data: { a: 1 } }),
+      { ttl: 600 },
+    );
+  });
+
+  it('應該只允許使用一次', async () => {
+    const { token } = await service.issue('password_reset', 'user-1', {}, 600);
+
+    expect(await service.peek('password_reset', token)).toEqual(
+      expect.objectContaining({ uid: 'user-1' }),
+    );
+    expect(await service.consume('password_reset', token)).toEqual(
+      expect.objectContaining({ uid: 'user-1' }),
+    );
+    expect(await service.consume('password_reset', token)).toBeNull();
+  });
+
+  it('應該在並行使用時只讓一個請求成功', async () => {
+    const { token } = await service.issue('password_reset', 'user-1', {}, 600);
+
+    const results = await Promise.all([
+      service.consume('password_reset', token),
+      service.consume('password_reset', token),
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+  });
+
+  it('應該拒絕簽章錯誤或用途不符的權杖', async () => {
+    const { token } = await service.issue('password_reset', 'user-1', {}, 600);
+    const [id] = token.split('.');
+    redisConnection.get.mockClear();
+
+    expect(await service.consume('email_change', token)).toBeNull();
+    expect(await service.consume('password_reset', `${id}.forged`)).toBeNull();
+    const otherService = new AccountTokenService({ secret: 'other' });
+    expect(await otherService.peek('password_reset', token)).toBeNull();
+    expect(redisConnection.get).not.toHaveBeenCalled();
+  });
+
+  it('應該在重新簽發時使舊權杖失效', async () => {
+    const first = await service.issue('password_reset', 'user-1', {}, 600);
+    const second = await service.issue('password_reset', 'user-1', {}, 600);
+
+    expect(await service.consume('password_reset', first.token)).toBeNull();
+    expect(await service.consume('password_reset', second.token)).not.toBeNull();
+  });
+
+  it('應該讓不同 scope 的權杖同時有效', async () => {
+    const oldAddress = await service.issue('email_change', 'user-1', {}, 600, { scope: 'old' });
+    const newAddress = await service.issue('email_change', 'user-1', {}, 600, { scope: 'new' });
+
+    expect(await service.consume('email_change', oldAddress.token)).not.toBeNull();
+    expect(await service.consume('email_change', newAddress.token)).not.toBeNull();
+  });
+});
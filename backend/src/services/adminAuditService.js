@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const { logger } = require('../middleware/requestLogger');
+const { AppError } = require('../middleware/errorHandler');
+
+// 第一筆紀錄的 previousHash
+const GENESIS_HASH = '0'.repeat(64);
+
+// 並行寫入搶到同一序號時的重試次數
+const MAX_APPEND_RETRIES = 5;
+
+/**
+ * 轉為純 JSON 值（Date 轉 ISO 字串、移除 undefined），保存與計算雜湊都使用同一份資料
+ */
+const toPlainJson = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * 鍵依字母排序的 JSON，確保同一內容永遠產生相同字串
+ */
+const canonicalStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalStringify).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * 管理操作稽核服務
+ *
+ * 記錄管理員對帳號、功能旗標、安全政策等狀態的變更（操作者、目標、變更前後的值、IP 與 Request ID），
+ * 紀錄以序號串成雜湊鏈，可用 verifyChain（或 npm run audit:verify）檢查是否遭竄改
+ */
+class AdminAuditService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.auditModel - 稽核紀錄模型
+   */
+  constructor(options = {}) {
+    this.AdminAuditLog = options.auditModel || AdminAuditLog;
+  }
+
+  /**
+   * 計算紀錄雜湊（涵蓋除 hash 以外的所有欄位）
+   * @param {Object} record - 保存的紀錄
+   * @returns {string} SHA-256 hex
+   */
+  static computeHash(record) {
+    const payload = {
+      sequence: record.sequence,
+      action: record.action,
+      actor: {
+        uid: record.actor.uid,
+        email: record.actor.email ?? null,
+        role: record.actor.role ?? null,
+      },
+      target: { type: record.target.type, id: record.target.id },
+      before: toPlainJson(record.before),
+      after: toPlainJson(record.after),
+      metadata: toPlainJson(record.metadata),
+      ipAddress: record.ipAddress ?? null,
+      userAgent: record.userAgent ?? null,
+      requestId: record.requestId ?? null,
+      createdAt: new Date(record.createdAt).toISOString(),
+      previousHash: record.previousHash,
+    };
+
+    return crypto.createHash('sha256').update(canonicalStringify(payload)).digest('hex');
+  }
+
+  /**
+   * 從請求取出操作者與來源資訊
+   * @param {Object} req - Express 請求（需已通過認證）
+   * @returns {Object} { actor, context }
+   */
+  static fromRequest(req) {
+    return {
+      actor: {
+        uid: req.user?.uid,
+        email: req.user?.email,
+        role: req.user?.role || req.user?.custom_claims?.role,
+      },
+      context: {
+        ipAddress: req.securityContext?.ipAddress || req.ip,
+        userAgent: req.securityContext?.userAgent || req.get?.('user-agent'),
+        requestId: req.id,
+      },
+    };
+  }
+
+  isDatabaseReady() {
+    return this.AdminAuditLog.db?.readyState === 1;
+  }
+
+  /**
+   * 新增稽核紀錄並接在雜湊鏈尾端
+   *
+   * 管理操作已完成才呼叫，因此寫入失敗不會拋出錯誤（避免回應與實際狀態不一致），
+   * 而是將完整內容寫入錯誤日誌以便補登
+   * @param {Object} entry
+   * @param {string} entry.action - 動作，例如 account.unlock、feature_flag.update
+   * @param {Object} entry.actor - { uid, email, role }
+   * @param {Object} entry.target - { type, id }
+   * @param {*} entry.before - 變更前的值
+   * @param {*} entry.after - 變更後的值
+   * @param {Object} entry.metadata - 其他資訊（原因、參數等）
+   * @param {Object} entry.context - { ipAddress, userAgent, requestId }
+   * @returns {Promise<Object|null>} 保存的紀錄
+   */
+  async record(entry) {
+    if (!this.isDatabaseReady()) {
+      logger.error('管理操作稽核紀錄未保存：資料庫未連線', { auditEntry: entry });
+      return null;
+    }
+
+    for (let attempt = 1; attempt <= MAX_APPEND_RETRIES; attempt += 1) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const latest = await this.AdminAuditLog.findLatest();
+        const record = {
+          sequence: (latest?.sequence || 0) + 1,
+          action: entry.action,
+          actor: entry.actor,
+          target: { type: entry.target.type, id: String(entry.target.id) },
+          before: toPlainJson(entry.before),
+          after: toPlainJson(entry.after),
+          metadata: toPlainJson(entry.metadata),
+          ipAddress: entry.context?.ipAddress,
+          userAgent: entry.context?.userAgent,
+          requestId: entry.context?.requestId,
+          createdAt: new Date(),
+          previousHash: latest?.hash || GENESIS_HASH,
+        };
+        record.hash = AdminAuditService.computeHash(record);
+
+        // eslint-disable-next-line no-await-in-loop
+        return await this.AdminAuditLog.create(record);
+      } catch (error) {
+        // 序號被其他請求搶先使用，重新讀取鏈尾後再試
+        if (error.code !== 11000 || attempt === MAX_APPEND_RETRIES) {
+          logger.error('保存管理操作稽核紀錄失敗', {
+            error: error.message,
+            auditEntry: entry,
+          });
+          return null;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 以請求中的操作者與來源資訊新增紀錄
+   * @param {Object} req - Express 請求
+   * @param {Object} entry - { action, target, before, after, metadata }
+   */
+  recordFromRequest(req, entry) {
+    return this.record({ ...entry, ...AdminAuditService.fromRequest(req) });
+  }
+
+  /**
+   * 依序驗證整條雜湊鏈
+   * @param {Object} options
+   * @param {number} options.batchSize - 每次讀取筆數
+   * @returns {Promise<Object>} { valid, checkedRecords, lastSequence, lastHash, error? }
+   */
+  async verifyChain(options = {}) {
+    if (!this.isDatabaseReady()) {
+      throw new AppError('稽核紀錄儲存服務無法使用', 503, 'ADMIN_AUDIT_STORE_UNAVAILABLE');
+    }
+
+    const batchSize = options.batchSize || 500;
+    let previousHash = GENESIS_HASH;
+    let expectedSequence = 1;
+    let checkedRecords = 0;
+
+    const fail = (sequence, reason, message) => ({
+      valid: false,
+      checkedRecords,
+      lastSequence: expectedSequence - 1,
+      lastHash: previousHash,
+      error: { sequence, reason, message },
+    });
+
+    for (;;) {
+      // eslint-disable-next-line no-await-in-loop
+      const records = await this.AdminAuditLog.find({ sequence: { $gte: expectedSequence } })
+        .sort({ sequence: 1 })
+        .limit(batchSize)
+        .lean();
+
+      if (records.length === 0) {
+        break;
+      }
+
+      for (let i = 0; i < records.length; i += 1) {
+        const record = records[i];
+        if (record.sequence !== expectedSequence) {
+          return fail(expectedSequence, 'sequence_gap', `缺少序號 ${expectedSequence} 的紀錄`);
+        }
+        if (record.previousHash !== previousHash) {
+          return fail(record.sequence, 'previous_hash_mismatch', '與前一筆紀錄的雜湊不一致');
+        }
+        if (AdminAuditService.computeHash(record) !== record.hash) {
+          return fail(record.sequence, 'hash_mismatch', '紀錄內容與雜湊不一致');
+        }
+
+        previousHash = record.hash;
+        expectedSequence += 1;
+        checkedRecords += 1;
+      }
+    }
+
+    return {
+      valid: true,
+      checkedRecords,
+      lastSequence: expectedSequence - 1,
+      lastHash: previousHash,
+    };
+  }
+
+  /**
+   * 查詢稽核紀錄（新到舊）
+   * @param {Object} filters
+   * @param {string} filters.action
+   * @param {string} filters.actorUid
+   * @param {string} filters.targetType
+   * @param {string} filters.targetId
+   * @param {string} filters.requestId
+   * @param {string} filters.startDate
+   * @param {string} filters.endDate
+   * @param {number} filters.page
+   * @param {number} filters.limit - 最多 100
+   * @returns {Promise<Object>} { records, pagination }
+   */
+  async query(filters = {}) {
+    if (!this.isDatabaseReady()) {
+      throw new AppError('稽核紀錄儲存服務無法使用', 503, 'ADMIN_AUDIT_STORE_UNAVAILABLE');
+    }
+
+    const query = {};
+    if (filters.action) {
+      query.action = filters.action;
+    }
+    if (filters.actorUid) {
+      query['actor.uid'] = filters.actorUid;
+    }
+    if (filters.targetType) {
+      query['target.type'] = filters.targetType;
+    }
+    if (filters.targetId) {
+      query['target.id'] = filters.targetId;
+    }
+    if (filters.requestId) {
+      query.requestId = filters.requestId;
+    }
+    if (filters.startDate || filters.endDate) {
+      query.createdAt = {};
+      if (filters.startDate) {
+        query.createdAt.$gte = new Date(filters.startDate);
+      }
+      if (filters.endDate) {
+        query.createdAt.$lte = new Date(filters.endDate);
+      }
+      if (Object.values(query.createdAt).some((date) => Number.isNaN(date.getTime()))) {
+        throw new AppError('日期格式無效', 400, 'INVALID_DATE_RANGE');
+      }
+    }
+
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+
+    const [records, total] = await Promise.all([
+      this.AdminAuditLog.find(query)
+        .sort({ sequence: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      this.AdminAuditLog.countDocuments(query),
+    ]);
+
+    return {
+      records,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+// 創建單例實例
+const adminAuditService = new AdminAuditService();
+
+module.exports = {
+  AdminAuditService,
+  adminAuditService,
+  GENESIS_HASH,
+};
@@ -0,0 +1,273 @@
+const { AdminAuditService, GENESIS_HASH } = require('./adminAuditService');
+
+jest.mock('../middleware/requestLogger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+/**
+ * 模擬 AdminAuditLog 模型：紀錄保存在陣列中，序號重複時拋出 E11000
+ */
+const createAuditModel = () => {
+  const records = [];
+  const matches = (record, filter) => Object.entries(filter).every(([key, value]) => {
+    const actual = key.split('.').reduce((obj, part) => obj?.[part], record);
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return (value.$gte === undefined || actual >= value.$gte)
+        && (value.$lte === undefined || actual <= value.$lte);
+    }
+    return actual === value;
+  });
+  const cursor = (result) => {
+    const chain = {
+      sort: (spec) => {
+        const direction = Object.values(spec)[0];
+        result.sort((a, b) => (a.sequence - b.sequence) * direction);
+        return chain;
+      },
+      skip: (count) => {
+        result.splice(0, count);
+        return chain;
+      },
+      limit: (limit) => {
+        result.splice(limit);
+        return chain;
+      },
+      lean: async () => result.map((record) => ({ ...record })),
+    };
+    return chain;
+  };
+
+  return {
+    records,
+    db: { readyState: 1 },
+    findLatest: jest.fn(async () => records.reduce(
+      (latest, record) => (!latest || record.sequence > latest.sequence ? record : latest),
+      null,
+    )),
+    create: jest.fn(async (doc) => {
+      if (records.some((record) => record.sequence === doc.sequence)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      records.push(doc);
+      return doc;
+    }),
+    find: jest.fn((filter) => cursor(records.filter((record) => matches(record, filter)))),
+    countDocuments: jest.fn(async (filter) => records.filter((record) => matches(record, filter))
+      .length),
+  };
+};
+
+const actor = { uid: 'admin-1', email: 'admin@example.com', role: 'admin' };
+const context = { ipAddress: '203.0.113.5', userAgent: 'Chrome', requestId: 'req-1' };
+
+const recordSamples = async (service) => {
+  await service.record({
+    action: 'account.lock',
+    actor,
+    target: { type: 'account', id: 'user@example.com' },
+    before: { locked: false },
+    after: { locked: true, lockedUntil: new Date('2026-01-01T01:00:00Z') },
+    metadata: { reason: 'suspicious' },
+    context,
+  });
+  await service.record({
+    action: 'feature_flag.toggle',
+    actor,
+    target: { type: 'feature_flag', id: 'newTourFlow' },
+    before: { enabled: false },
+    after: { enabled: true },
+    context: { ...context, requestId: 'req-2' },
+  });
+  await service.record({
+    action: 'account.unlock',
+    actor: { uid: 'admin-2' },
+    target: { type: 'account', id: 'user@example.com' },
+    before: { locked: true },
+    after: { locked: false },
+    context,
+  });
+};
+
+describe('AdminAuditService', () => {
+  describe('record', () => {
+    it('應該以序號與前一筆雜湊串成鏈', async () => {
+      const auditModel = createAuditModel();
+      const service = new AdminAuditService({ auditModel });
+
+      await recordSamples(service);
+
+      const [first, second, third] = auditModel.records;
+      expect(first).toEqual(expect.objectContaining({
+        sequence: 1,
+        previousHash: GENESIS_HASH,
+        ipAddress: '203.0.113.5',
+        requestId: 'req-1',
+        after: { locked: true, lockedUntil: '2026-01-01T01:00:00.000Z' },
+      }));
+      expect(second.previousHash).toBe(first.hash);
+      expect(third.previousHash).toBe(second.hash);
+      expect(third.metadata).toBeNull();
+      expect(AdminAuditService.computeHash(first)).toBe(first.hash);
+    });
+
+    it('應該在序號衝突時重新讀取鏈尾後重試', async () => {
+      const auditModel = createAuditModel();
+      const service = new AdminAuditService({ auditModel });
+      await recordSamples(service);
+
+      // 第一次讀到過期的鏈尾，模擬另一個請求已搶先寫入
+      auditModel.findLatest.mockResolvedValueOnce(auditModel.records[1]);
+
+      const saved = await service.record({
+        action: 'account.clear_login_failures',
+        actor,
+        target: { type: 'account', id: 'user@example.com' },
+        context,
+      });
+
+      expect(auditModel.create).toHaveBeenCalledTimes(5);
+      expect(saved).toEqual(expect.objectContaining({
+        sequence: 4,
+        previousHash: auditModel.records[2].hash,
+      }));
+    });
+
+    it('應該在資料庫未連線或寫入失敗時返回 null', async () => {
+      const auditModel = createAuditModel();
+      const service = new AdminAuditService({ auditModel });
+      const entry = {
+        action: 'account.unlock',
+        actor,
+        target: { type: 'account', id: 'user@example.com' },
+      };
+
+      auditModel.db.readyState = 0;
+      await expect(service.record(entry)).resolves.toBeNull();
+      expect(auditModel.create).not.toHaveBeenCalled();
+
+      auditModel.db.readyState = 1;
+      auditModel.create.mockRejectedValueOnce(new Error('write failed'));
+      await expect(service.record(entry)).resolves.toBeNull();
+    });
+  });
+
+  describe('verifyChain', () => {
+    it('應該驗證完整的鏈並返回鏈尾資訊', async () => {
+      const auditModel = createAuditModel();
+      const service = new AdminAuditService({ auditModel });
+      await recordSamples(service);
+
+      const result = await service.verifyChain({ batchSize: 2 });
+
+      expect(result).toEqual({
+        valid: true,
+        checkedRecords: 3,
+        lastSequence: 3,
+        lastHash: auditModel.records[2].hash,
+      });
+    });
+
+    it('應該偵測被修改的紀錄內容', async () => {
+      const auditModel = createAuditModel();
+      const service = new AdminAuditService({ auditModel });
+      await recordSamples(service);
+
+      auditModel.records[1].after = { enabled: false };
+
+      const result = await service.verifyChain();
+
+      expect(result.valid).toBe(false);
+      expect(result.checkedRecords).toBe(1);
+      expect(result.error).toEqual(
+        expect.objectContaining({ sequence: 2, reason: 'hash_mismatch' }),
+      );
+    });
+
+    it('應該偵測重新計算雜湊後的竄改與被刪除的紀錄', async () => {
+      const auditModel = createAuditModel();
+      const service = new AdminAuditService({ auditModel });
+      await recordSamples(service);
+
+      const tampered = auditModel.records[1];
+      tampered.actor = { uid: 'someone-else' };
+      tampered.hash = AdminAuditService.computeHash(tampered);
+
+      await expect(service.verifyChain()).resolves.toMatchObject({
+        valid: false,
+        error: { sequence: 3, reason: 'previous_hash_mismatch' },
+      });
+
+      auditModel.records.splice(1, 1);
+
+      await expect(service.verifyChain()).resolves.toMatchObject({
+        valid: false,
+        lastSequence: 1,
+        error: { sequence: 2, reason: 'sequence_gap' },
+      });
+    });
+
+    it('應該在資料庫未連線時拋出錯誤', async () => {
+      const auditModel = createAuditModel();
+      auditModel.db.readyState = 0;
+      const service = new AdminAuditService({ auditModel });
+
+      await expect(service.verifyChain()).rejects.toMatchObject({
+        statusCode: 503, code: 'ADMIN_AUDIT_STORE_UNAVAILABLE',
+      });
+    });
+  });
+
+  describe('query', () => {
+    it('應該套用篩選條件並由新到舊分頁', async () => {
+      const auditModel = createAuditModel();
+      const service = new AdminAuditService({ auditModel });
+      await recordSamples(service);
+
+      const result = await service.query({
+        targetType: 'account',
+        targetId: 'user@example.com',
+        limit: '1',
+      });
+
+      expect(result.records.map((record) => record.sequence)).toEqual([3]);
+      expect(result.pagination).toEqual({
+        page: 1,
+        limit: 1,
+        total: 2,
+        totalPages: 2,
+      });
+
+      const byActor = await service.query({ actorUid: 'admin-1', action: 'feature_flag.toggle' });
+      expect(byActor.records.map((record) => record.sequence)).toEqual([2]);
+    });
+
+    it('應該拒絕無效的日期', async () => {
+      const service = new AdminAuditService({ auditModel: createAuditModel() });
+
+      await expect(service.query({ startDate: 'not-a-date' })).rejects.toMatchObject({
+        statusCode: 400, code: 'INVALID_DATE_RANGE',
+      });
+    });
+  });
+
+  describe('fromRequest', () => {
+    it('應該從請求取出操作者、IP 與 Request ID', () => {
+      const req = {
+        id: 'req-9',
+        ip: '10.0.0.1',
+        user: { uid: 'admin-1', email: 'admin@example.com', custom_claims: { role: 'admin' } },
+        securityContext: { ipAddress: '203.0.113.5', userAgent: 'Chrome' },
+        get: () => 'Firefox',
+      };
+
+      expect(AdminAuditService.fromRequest(req)).toEqual({
+        actor: { uid: 'admin-1', email: 'admin@example.com', role: 'admin' },
+        context: { ipAddress: '203.0.113.5', userAgent: 'Chrome', requestId: 'req-9' },
+      });
+    });
+  });
+});
@@ -0,0 +1,305 @@
+const GoogleAIService = require('./googleAIService');
+const LocalAIService = require('./localAIService');
+const { logger } = require('../config/logger');
+
+// AI 供應商必須實作的方法（GoogleAIService 與其子類別皆符合）
+const AI_PROVIDER_METHODS = [
+  'generateContent',
+  'generateContentWithQueue',
+  'generateContentStream',
+  'generateStructured',
+  'getHealthStatus',
+  'getKeyStatistics',
+  'getErrorStatistics',
+  'getUsageStatistics',
+  'getCostStatistics',
+];
+
+// 觸發切換至下一個供應商的錯誤碼與錯誤類型（包含服務預算用盡）
+const FALLBACK_ERROR_CODES = [
+  'ALL_KEYS_RATE_LIMITED',
+  'ALL_KEYS_QUOTA_EXCEEDED',
+  'BUDGET_EXCEEDED',
+];
+const FALLBACK_ERROR_TYPES = ['API_QUOTA'];
+
+// 保留的切換紀錄筆數
+const MAX_RECENT_FALLBACKS = 20;
+
+// 可用的供應商，名稱對應 AI_PROVIDERS 環境變數
+const AI_PROVIDER_FACTORIES = {
+  google: (options) => new GoogleAIService(null, options),
+  local: (options) => new LocalAIService(options),
+};
+
+/**
+ * AI 供應商路由
+ * 依序使用設定的供應商，主要供應商所有金鑰皆被限速或配額用盡時改用下一個供應商。
+ * 本身同樣實作 AI 供應商介面，呼叫端不需區分單一供應商或路由
+ */
+class AIProviderRouter {
+  /**
+   * @param {Array<Object>} providers - 依優先順序排列的供應商實例
+   */
+  constructor(providers) {
+    if (!Array.isArray(providers) || providers.length === 0) {
+      throw new Error('At least one AI provider is required.');
+    }
+
+    providers.forEach((provider) => {
+      const missing = AI_PROVIDER_METHODS.filter(
+        (method) => typeof provider[method] !== 'function',
+      );
+      if (missing.length > 0) {
+        throw new Error(
+          `AI provider ${provider.providerName || 'unknown'} is missing: ${missing.join(', ')}`,
+        );
+      }
+    });
+
+    this.providerName = 'router';
+    this.providers = providers;
+    this.routingStats = {
+      requestsByProvider: {},
+      fallbacks: 0,
+      recentFallbacks: [],
+    };
+  }
+
+  /**
+   * 判斷錯誤是否應切換至下一個供應商
+   * 串流已產出部分內容時無法透明切換
+   */
+  // eslint-disable-next-line class-methods-use-this
+  shouldFallback(error) {
+    if (!error || error.context?.partial) {
+      return false;
+    }
+    return FALLBACK_ERROR_CODES.includes(error.code) || FALLBACK_ERROR_TYPES.includes(error.type);
+  }
+
+  recordServed(provider) {
+    const { requestsByProvider } = this.routingStats;
+    const { providerName } = provider;
+    requestsByProvider[providerName] = (requestsByProvider[providerName] || 0) + 1;
+  }
+
+  recordFallback(operation, provider, nextProvider, error) {
+    const record = {
+      operation,
+      from: provider.providerName,
+      to: nextProvider.providerName,
+      code: error.code,
+      type: error.type,
+      timestamp: new Date().toISOString(),
+    };
+
+    this.routingStats.fallbacks += 1;
+    this.routingStats.recentFallbacks.unshift(record);
+    this.routingStats.recentFallbacks.splice(MAX_RECENT_FALLBACKS);
+
+    logger.warn('AI provider unavailable, falling back', record);
+  }
+
+  /**
+   * 依序呼叫供應商，符合條件的錯誤改用下一個供應商
+   */
+  async route(operation, invoke, index = 0) {
+    const provider = this.providers[index];
+    try {
+      const result = await invoke(provider);
+      this.recordServed(provider);
+      return result;
+    } catch (error) {
+      const nextProvider = this.providers[index + 1];
+      if (!nextProvider || !this.shouldFallback(error)) {
+        throw error;
+      }
+      this.recordFallback(operation, provider, nextProvider, error);
+      return this.route(operation, invoke, index + 1);
+    }
+  }
+
+  async generateContent(prompt, options = {}) {
+    return this.route('generateContent', (provider) => provider.generateContent(prompt, options));
+  }
+
+  async generateContentWithQueue(prompt, options = {}) {
+    return this.route(
+      'generateContentWithQueue',
+      (provider) => provider.generateContentWithQueue(prompt, options),
+    );
+  }
+
+  async generateStructured(prompt, jsonSchema, options = {}) {
+    return this.route(
+      'generateStructured',
+      (provider) => provider.generateStructured(prompt, jsonSchema, options),
+    );
+  }
+
+  /**
+   * 串流生成內容，尚未產出任何片段前可切換供應商
+   */
+  async* generateContentStream(prompt, options = {}) {
+    yield* this.streamFrom(0, prompt, options);
+  }
+
+  async* streamFrom(index, prompt, options) {
+    const provider = this.providers[index];
+    let chunkCount = 0;
+    try {
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const chunk of provider.generateContentStream(prompt, options)) {
+        chunkCount += 1;
+        yield chunk;
+      }
+      this.recordServed(provider);
+    } catch (error) {
+      const nextProvider = this.providers[index + 1];
+      if (chunkCount > 0 || !nextProvider || !this.shouldFallback(error)) {
+        throw error;
+      }
+      this.recordFallback('generateContentStream', provider, nextProvider, error);
+      yield* this.streamFrom(index + 1, prompt, options);
+    }
+  }
+
+  /**
+   * 綜合健康狀態
+   * 主要供應商無法使用但有其他供應商可接手時為 degraded，全部無法使用時為 critical
+   */
+  async getHealthStatus() {
+    const providers = await Promise.all(
+      this.providers.map((provider) => provider.getHealthStatus()),
+    );
+    const available = providers.find((status) => status.overall !== 'critical');
+
+    let { overall } = providers[0];
+    if (overall === 'critical') {
+      overall = available ? 'degraded' : 'critical';
+    }
+
+    return {
+      overall,
+      timestamp: new Date().toISOString(),
+      activeProvider: available ? available.provider : null,
+      providers,
+    };
+  }
+
+  /**
+   * 依供應商名稱收集統計
+   */
+  collect(method) {
+    return this.providers.reduce((result, provider) => ({
+      ...result,
+      [provider.providerName]: provider[method](),
+    }), {});
+  }
+
+  getKeyStatistics() {
+    return this.collect('getKeyStatistics');
+  }
+
+  getErrorStatistics() {
+    return this.collect('getErrorStatistics');
+  }
+
+  getUsageStatistics() {
+    const providers = this.collect('getUsageStatistics');
+    return {
+      totalRequests: Object.values(providers).reduce((sum, stats) => sum + stats.totalRequests, 0),
+      providers,
+    };
+  }
+
+  getCostStatistics() {
+    const providers = this.collect('getCostStatistics');
+    const sum = (field) => Object.values(providers).reduce(
+      (total, stats) => total + stats[field],
+      0,
+    );
+    return {
+      totalCost: sum('totalCost'),
+      dailyCost: sum('dailyCost'),
+      monthlyCost: sum('monthlyCost'),
+      providers,
+    };
+  }
+
+  getRoutingStatistics() {
+    return {
+      providers: this.providers.map((provider) => provider.providerName),
+      requestsByProvider: { ...this.routingStats.requestsByProvider },
+      fallbacks: this.routingStats.fallbacks,
+      recentFallbacks: [...this.routingStats.recentFallbacks],
+    };
+  }
+
+  cleanup() {
+    this.providers.forEach((provider) => {
+      if (typeof provider.cleanup === 'function') {
+        provider.cleanup();
+      }
+    });
+  }
+}
+
+/**
+ * 註冊額外的供應商
+ * @param {string} name - 供應商名稱（用於 AI_PROVIDERS）
+ * @param {Function} factory - (options) => 供應商實例
+ */
+const registerAIProvider = (name, factory) => {
+  AI_PROVIDER_FACTORIES[name] = factory;
+};
+
+/**
+ * 依名稱建立供應商路由，預設讀取 AI_PROVIDERS（逗號分隔，預設 google）
+ * 無法初始化的供應商（如未設定金鑰）會被略過，全部失敗時拋出錯誤
+ * @param {Array<string>} names - 依優先順序排列的供應商名稱
+ * @param {Object} providerOptions - 各供應商的選項，以名稱為鍵
+ */
+const createAIProviderRouter = (names = null, providerOptions = {}) => {
+  const providerNames = names || (process.env.AI_PROVIDERS || 'google')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  const failures = [];
+  const providers = providerNames.reduce((result, name) => {
+    const factory = AI_PROVIDER_FACTORIES[name];
+    if (!factory) {
+      failures.push(`${name}: unknown provider`);
+      return result;
+    }
+
+    try {
+      return [...result, factory(providerOptions[name] || {})];
+    } catch (error) {
+      failures.push(`${name}: ${error.message}`);
+      return result;
+    }
+  }, []);
+
+  if (failures.length > 0) {
+    logger.warn('Some AI providers could not be initialized', { failures });
+  }
+  if (providers.length === 0) {
+    throw new Error(`No AI provider available (${failures.join('; ')})`);
+  }
+
+  logger.info('AI provider router initialized', {
+    providers: providers.map((provider) => provider.providerName),
+  });
+  return new AIProviderRouter(providers);
+};
+
+module.exports = {
+  AIProviderRouter,
+  createAIProviderRouter,
+  registerAIProvider,
+  AI_PROVIDER_METHODS,
+  FALLBACK_ERROR_CODES,
+};
@@ -0,0 +1,141 @@
+jest.mock('../config/logger', () => ({
+  logger: {
+    error: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const LocalAIService = require('./localAIService');
+const {
+  AIProviderRouter,
+  createAIProviderRouter,
+  registerAIProvider,
+} = require('./aiProviderRouter');
+
+describe('AIProviderRouter', () => {
+  // 以本地供應商模擬第三方服務錯誤，沿用共用的錯誤分類
+  const failingProvider = (message) => {
+    const provider = new LocalAIService({
+      responder: () => {
+        throw new Error(message);
+      },
+    });
+    provider.providerName = 'primary';
+    return provider;
+  };
+
+  const collect = async (iterator) => {
+    const chunks = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const chunk of iterator) {
+      chunks.push(chunk);
+    }
+    return chunks;
+  };
+
+  it('should reject providers that do not implement the interface', () => {
+    expect(() => new AIProviderRouter([{ providerName: 'broken', generateContent: jest.fn() }]))
+      .toThrow('AI provider broken is missing');
+  });
+
+  it('should fall back when every key of the primary provider is rate limited', async () => {
+    const fallback = new LocalAIService({ responder: () => 'fallback text' });
+    const router = new AIProviderRouter([
+      failingProvider('429 Too Many Requests: rate limit exceeded'),
+      fallback,
+    ]);
+
+    const text = await router.generateContent('prompt', {
+      maxRetries: 1,
+      caller: 'tour_narration',
+    });
+
+    expect(text).toBe('fallback text');
+    expect(fallback.getCostHistory()[0].caller).toBe('tour_narration');
+    expect(router.getRoutingStatistics()).toMatchObject({
+      requestsByProvider: { local: 1 },
+      fallbacks: 1,
+      recentFallbacks: [
+        expect.objectContaining({ from: 'primary', to: 'local', code: 'ALL_KEYS_RATE_LIMITED' }),
+      ],
+    });
+  });
+
+  it('should fall back on quota errors for structured generation', async () => {
+    const router = new AIProviderRouter([
+      failingProvider('Resource has been exhausted (e.g. check quota)'),
+      new LocalAIService(),
+    ]);
+
+    const data = await router.generateStructured(
+      'prompt',
+      { type: 'object', properties: { title: { type: 'string' } } },
+      { maxRetries: 1 },
+    );
+
+    expect(data).toEqual({ title: 'local title' });
+  });
+
+  it('should not fall back on other errors', async () => {
+    const fallback = new LocalAIService();
+    jest.spyOn(fallback, 'generateContent');
+    const router = new AIProviderRouter([
+      failingProvider('Content blocked by safety policy'),
+      fallback,
+    ]);
+
+    await expect(router.generateContent('prompt', { maxRetries: 1 })).rejects.toMatchObject({
+      type: 'CONTENT_POLICY',
+    });
+    expect(fallback.generateContent).not.toHaveBeenCalled();
+  });
+
+  it('should fall back before the first streamed chunk only', async () => {
+    const router = new AIProviderRouter([
+      failingProvider('429 Too Many Requests: rate limit exceeded'),
+      new LocalAIService({ responder: () => '霞海城隍廟' }),
+    ]);
+
+    await expect(collect(router.generateContentStream('narrate', { maxRetries: 1 })))
+      .resolves.toEqual(['霞海城隍廟']);
+
+    const partial = new AIProviderRouter([new LocalAIService(), new LocalAIService()]);
+    const error = new Error('quota exceeded');
+    error.type = 'API_QUOTA';
+    error.context = { partial: true };
+    expect(partial.shouldFallback(error)).toBe(false);
+  });
+
+  it('should report degraded health while a fallback provider is available', async () => {
+    const primary = new LocalAIService();
+    primary.providerName = 'primary';
+    primary.setKeyStatus(0, 'disabled');
+    const router = new AIProviderRouter([primary, new LocalAIService()]);
+
+    const health = await router.getHealthStatus();
+
+    expect(health.overall).toBe('degraded');
+    expect(health.activeProvider).toBe('local');
+    expect(health.providers.map((status) => status.overall)).toEqual(['critical', 'healthy']);
+  });
+
+  describe('createAIProviderRouter', () => {
+    it('should skip providers that fail to initialize', () => {
+      registerAIProvider('unconfigured', () => {
+        throw new Error('At least one API key is required.');
+      });
+
+      const router = createAIProviderRouter(['unconfigured', 'local']);
+
+      expect(router.getRoutingStatistics().providers).toEqual(['local']);
+    });
+
+    it('should throw when no provider is available', () => {
+      expect(() => createAIProviderRouter(['unconfigured', 'unknown'])).toThrow(
+        'No AI provider available',
+      );
+    });
+  });
+});
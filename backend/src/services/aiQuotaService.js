@@ -0,0 +1,464 @@
+const { redisConnection } = require('../config/redis');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../config/logger');
+
+const parseLimit = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// 各角色預設 AI 用量配額（null 表示不限制），成本單位為美元
+const AI_QUOTA_DEFAULTS = {
+  user: {
+    dailyRequests: parseLimit(process.env.AI_QUOTA_USER_DAILY_REQUESTS, 50),
+    monthlyRequests: parseLimit(process.env.AI_QUOTA_USER_MONTHLY_REQUESTS, 1000),
+    dailyCost: parseLimit(process.env.AI_QUOTA_USER_DAILY_COST, 0.5),
+    monthlyCost: parseLimit(process.env.AI_QUOTA_USER_MONTHLY_COST, 10),
+  },
+  merchant: {
+    dailyRequests: parseLimit(process.env.AI_QUOTA_MERCHANT_DAILY_REQUESTS, 200),
+    monthlyRequests: parseLimit(process.env.AI_QUOTA_MERCHANT_MONTHLY_REQUESTS, 5000),
+    dailyCost: parseLimit(process.env.AI_QUOTA_MERCHANT_DAILY_COST, 2),
+    monthlyCost: parseLimit(process.env.AI_QUOTA_MERCHANT_MONTHLY_COST, 50),
+  },
+  admin: {
+    dailyRequests: null,
+    monthlyRequests: null,
+    dailyCost: null,
+    monthlyCost: null,
+  },
+};
+
+// 未列出的角色對應的配額
+const ROLE_QUOTA_ALIASES = {
+  superadmin: 'admin',
+  guest: 'user',
+};
+
+const QUOTA_FIELDS = ['dailyRequests', 'monthlyRequests', 'dailyCost', 'monthlyCost'];
+
+// Redis 鍵前綴與計數保留時間（秒）
+const KEY_PREFIX = {
+  USAGE: 'ai_quota:',
+  OVERRIDE: 'ai_quota_override:',
+};
+const USAGE_TTL = {
+  day: 2 * 24 * 60 * 60,
+  month: 32 * 24 * 60 * 60,
+};
+
+/**
+ * AI 用量配額服務
+ * 依用戶與角色追蹤每日、每月的請求數與成本，管理者可針對單一帳號覆寫配額。
+ * Redis 未連線時改用記憶體計數（僅限單一實例）
+ */
+class AIQuotaService {
+  constructor() {
+    this.memoryStore = new Map();
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  useRedis() {
+    return Boolean(redisConnection && redisConnection.isConnected);
+  }
+
+  /**
+   * 取得目前的日、月週期識別（UTC）
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getPeriods(now = new Date()) {
+    const day = now.toISOString().slice(0, 10);
+    const month = day.slice(0, 7);
+    const year = now.getUTCFullYear();
+    const monthIndex = now.getUTCMonth();
+    const nextDay = new Date(Date.UTC(year, monthIndex, now.getUTCDate() + 1));
+    const nextMonth = new Date(Date.UTC(year, monthIndex + 1, 1));
+
+    return {
+      day,
+      month,
+      resetsAt: {
+        day: nextDay.toISOString(),
+        month: nextMonth.toISOString(),
+      },
+    };
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  getUsageKeys(userId, now = new Date()) {
+    const { day, month } = this.getPeriods(now);
+    return {
+      dailyRequests: `${KEY_PREFIX.USAGE}${userId}:day:${day}:requests`,
+      dailyCost: `${KEY_PREFIX.USAGE}${userId}:day:${day}:cost`,
+      monthlyRequests: `${KEY_PREFIX.USAGE}${userId}:month:${month}:requests`,
+      monthlyCost: `${KEY_PREFIX.USAGE}${userId}:month:${month}:cost`,
+    };
+  }
+
+  async readValue(key) {
+    if (this.useRedis()) {
+      return redisConnection.get(key);
+    }
+    return this.memoryStore.has(key) ? this.memoryStore.get(key) : null;
+  }
+
+  /**
+   * 取得角色預設配額
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getRoleDefaults(role) {
+    const quotaRole = ROLE_QUOTA_ALIASES[role] || role;
+    return { ...(AI_QUOTA_DEFAULTS[quotaRole] || AI_QUOTA_DEFAULTS.user) };
+  }
+
+  /**
+   * 取得帳號的配額覆寫設定
+   */
+  async getOverride(userId) {
+    try {
+      return await this.readValue(`${KEY_PREFIX.OVERRIDE}${userId}`);
+    } catch (error) {
+      logger.error('讀取 AI 配額覆寫失敗', { userId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 取得帳號實際適用的配額（角色預設值 + 覆寫）
+   */
+  async getLimits(userId, role = 'user') {
+    const override = await this.getOverride(userId);
+    const limits = this.getRoleDefaults(role);
+
+    if (override && override.limits) {
+      QUOTA_FIELDS.forEach((field) => {
+        if (override.limits[field] !== undefined) {
+          limits[field] = override.limits[field];
+        }
+      });
+    }
+
+    return { limits, override };
+  }
+
+  /**
+   * 取得帳號本日與本月用量
+   */
+  async getUsage(userId, now = new Date()) {
+    const keys = this.getUsageKeys(userId, now);
+    const values = await Promise.all(QUOTA_FIELDS.map((field) => this.readValue(keys[field])));
+
+    return QUOTA_FIELDS.reduce((usage, field, index) => {
+      // eslint-disable-next-line no-param-reassign
+      usage[field] = Number(values[index]) || 0;
+      return usage;
+    }, {});
+  }
+
+  /**
+   * 取得帳號剩餘額度
+   * @param {string} userId - 用戶 UID
+   * @param {string} role - 用戶角色
+   * @returns {Promise<Object>} { limits, usage, remaining, resetsAt, override }
+   */
+  async getAllowance(userId, role = 'user') {
+    const now = new Date();
+    const [{ limits, override }, usage] = await Promise.all([
+      this.getLimits(userId, role),
+      this.getUsage(userId, now),
+    ]);
+
+    const remaining = QUOTA_FIELDS.reduce((result, field) => {
+      // eslint-disable-next-line no-param-reassign
+      result[field] = limits[field] === null ? null : Math.max(limits[field] - usage[field], 0);
+      return result;
+    }, {});
+
+    return {
+      role,
+      limits,
+      usage,
+      remaining,
+      resetsAt: this.getPeriods(now).resetsAt,
+      override: override || null,
+    };
+  }
+
+  /**
+   * 建立超過配額的 429 錯誤
+   */
+  // eslint-disable-next-line class-methods-use-this
+  createQuotaError(field, limits, used, resetsAt) {
+    const error = new AppError('AI 用量已達配額上限，請稍後再試', 429, 'AI_QUOTA_EXCEEDED');
+    error.details = {
+      quota: field,
+      limit: limits[field],
+      used,
+      resetsAt: field.startsWith('daily') ? resetsAt.day : resetsAt.month,
+    };
+    return error;
+  }
+
+  /**
+   * 檢查帳號是否仍有額度，超過任一配額時拋出 429 錯誤
+   * 只讀取用量，不預留額度（供串流開始前提早回應 429）；實際請求請使用 reserve
+   * Redis 讀取失敗時放行，避免配額儲存故障中斷 AI 功能
+   */
+  async checkQuota(userId, role = 'user') {
+    let allowance;
+    try {
+      allowance = await this.getAllowance(userId, role);
+    } catch (error) {
+      logger.error('檢查 AI 配額失敗，暫時放行', { userId, error: error.message });
+      return null;
+    }
+
+    const { limits, usage } = allowance;
+    const exceeded = QUOTA_FIELDS.find(
+      (field) => limits[field] !== null && usage[field] >= limits[field],
+    );
+    if (exceeded) {
+      logger.warn('AI 用量超過配額', {
+        userId,
+        role,
+        quota: exceeded,
+        limit: limits[exceeded],
+        used: usage[exceeded],
+      });
+      throw this.createQuotaError(exceeded, limits, usage[exceeded], allowance.resetsAt);
+    }
+
+    return allowance;
+  }
+
+  /**
+   * 原子地增加請求計數，返回增加後的每日與每月請求數
+   */
+  async incrementRequests(keys, amount) {
+    if (this.useRedis()) {
+      const step = amount > 0 ? 'incr' : 'decr';
+      const [dailyRequests, monthlyRequests] = await Promise.all([
+        redisConnection[step](keys.dailyRequests),
+        redisConnection[step](keys.monthlyRequests),
+      ]);
+      await Promise.all([
+        redisConnection.expire(keys.dailyRequests, USAGE_TTL.day),
+        redisConnection.expire(keys.monthlyRequests, USAGE_TTL.month),
+      ]);
+      return { dailyRequests: Number(dailyRequests), monthlyRequests: Number(monthlyRequests) };
+    }
+
+    // 記憶體計數在同一個事件迴圈步驟內完成，不會與其他請求交錯
+    return ['dailyRequests', 'monthlyRequests'].reduce((result, field) => {
+      const value = (this.memoryStore.get(keys[field]) || 0) + amount;
+      this.memoryStore.set(keys[field], value);
+      return { ...result, [field]: value };
+    }, {});
+  }
+
+  /**
+   * 預留一次請求的額度
+   *
+   * 先以 INCR 原子地增加請求數，再與配額比較；超過時回滾並拋出 429，
+   * 因此同時送出的請求不會一起通過同一個剩餘額度檢查。成本在請求完成後才知道，
+   * 以預留當下已累計的成本判斷（超出幅度最多為進行中的請求成本）。
+   * 配額儲存故障時放行，與 checkQuota 相同
+   * @param {string} userId - 用戶 UID
+   * @param {string} role - 用戶角色
+   * @returns {Promise<Object>} 預留憑證，交給 charge / release 使用
+   */
+  async reserve(userId, role = 'user') {
+    const now = new Date();
+    const keys = this.getUsageKeys(userId, now);
+    const reservation = {
+      userId,
+      keys,
+      counted: false,
+      charged: false,
+    };
+
+    let limits;
+    let usage;
+    try {
+      ({ limits } = await this.getLimits(userId, role));
+      const requests = await this.incrementRequests(keys, 1);
+      reservation.counted = true;
+      const [dailyCost, monthlyCost] = await Promise.all([
+        this.readValue(keys.dailyCost),
+        this.readValue(keys.monthlyCost),
+      ]);
+      usage = {
+        // 扣除本次請求，與 checkQuota 的「已使用量」一致
+        dailyRequests: requests.dailyRequests - 1,
+        monthlyRequests: requests.monthlyRequests - 1,
+        dailyCost: Number(dailyCost) || 0,
+        monthlyCost: Number(monthlyCost) || 0,
+      };
+    } catch (error) {
+      logger.error('預留 AI 配額失敗，暫時放行', { userId, error: error.message });
+      return reservation;
+    }
+
+    const exceeded = QUOTA_FIELDS.find(
+      (field) => limits[field] !== null && usage[field] >= limits[field],
+    );
+    if (exceeded) {
+      await this.release(reservation);
+      logger.warn('AI 用量超過配額', {
+        userId,
+        role,
+        quota: exceeded,
+        limit: limits[exceeded],
+        used: usage[exceeded],
+      });
+      throw this.createQuotaError(exceeded, limits, usage[exceeded], this.getPeriods(now).resetsAt);
+    }
+
+    return reservation;
+  }
+
+  /**
+   * 將請求成本計入預留的額度（同一次預留可多次計入，例如結構化輸出的重新提示）
+   * @param {Object} reservation - reserve 返回的憑證
+   * @param {number} cost - 成本（美元）
+   */
+  async charge(reservation, cost = 0) {
+    const { userId, keys } = reservation;
+    // eslint-disable-next-line no-param-reassign
+    reservation.charged = true;
+
+    try {
+      if (this.useRedis()) {
+        await Promise.all([
+          redisConnection.incrByFloat(keys.dailyCost, cost),
+          redisConnection.incrByFloat(keys.monthlyCost, cost),
+        ]);
+        await Promise.all([
+          redisConnection.expire(keys.dailyCost, USAGE_TTL.day),
+          redisConnection.expire(keys.monthlyCost, USAGE_TTL.month),
+        ]);
+        return;
+      }
+
+      [keys.dailyCost, keys.monthlyCost].forEach((key) => {
+        this.memoryStore.set(key, (this.memoryStore.get(key) || 0) + cost);
+      });
+    } catch (error) {
+      logger.error('記錄 AI 用量失敗', { userId, cost, error: error.message });
+    }
+  }
+
+  /**
+   * 釋放未產生任何用量的預留（請求失敗或被拒絕）；已計入成本的預留不會釋放
+   * @param {Object} reservation - reserve 返回的憑證
+   */
+  async release(reservation) {
+    if (!reservation || !reservation.counted || reservation.charged) {
+      return;
+    }
+    // eslint-disable-next-line no-param-reassign
+    reservation.counted = false;
+
+    try {
+      await this.incrementRequests(reservation.keys, -1);
+    } catch (error) {
+      logger.error('釋放 AI 配額失敗', { userId: reservation.userId, error: error.message });
+    }
+  }
+
+  /**
+   * 記錄一次請求的用量（不檢查配額）
+   * @param {string} userId - 用戶 UID
+   * @param {number} cost - 請求成本（美元）
+   */
+  async recordUsage(userId, cost = 0) {
+    const reservation = {
+      userId,
+      keys: this.getUsageKeys(userId),
+      counted: false,
+      charged: false,
+    };
+
+    try {
+      await this.incrementRequests(reservation.keys, 1);
+      reservation.counted = true;
+    } catch (error) {
+      logger.error('記錄 AI 用量失敗', { userId, cost, error: error.message });
+      return;
+    }
+    await this.charge(reservation, cost);
+  }
+
+  /**
+   * 覆寫帳號配額
+   * @param {string} userId - 目標帳號 UID
+   * @param {Object} limits - 要覆寫的配額欄位，null 表示不限制
+   * @param {string} adminId - 操作的管理者 UID
+   * @param {string} reason - 覆寫原因
+   */
+  async setOverride(userId, limits, adminId, reason = '') {
+    const fields = Object.keys(limits || {});
+    const invalidFields = fields.filter((field) => !QUOTA_FIELDS.includes(field));
+    if (fields.length === 0 || invalidFields.length > 0) {
+      throw new AppError(
+        `配額欄位必須為 ${QUOTA_FIELDS.join(', ')} 之一`,
+        400,
+        'INVALID_QUOTA_OVERRIDE',
+      );
+    }
+
+    const invalidValues = fields.filter((field) => {
+      const value = limits[field];
+      return value !== null && !(typeof value === 'number' && Number.isFinite(value) && value >= 0);
+    });
+    if (invalidValues.length > 0) {
+      throw new AppError(
+        `配額必須為非負數或 null: ${invalidValues.join(', ')}`,
+        400,
+        'INVALID_QUOTA_OVERRIDE',
+      );
+    }
+
+    const override = {
+      limits: fields.reduce((result, field) => ({ ...result, [field]: limits[field] }), {}),
+      reason,
+      updatedBy: adminId,
+      updatedAt: new Date().toISOString(),
+    };
+
+    const key = `${KEY_PREFIX.OVERRIDE}${userId}`;
+    if (this.useRedis()) {
+      await redisConnection.set(key, override);
+    } else {
+      this.memoryStore.set(key, override);
+    }
+
+    logger.info('AI 配額已覆寫', { userId, limits: override.limits, updatedBy: adminId });
+    return override;
+  }
+
+  /**
+   * 移除帳號配額覆寫，回到角色預設值
+   */
+  async clearOverride(userId, adminId) {
+    const key = `${KEY_PREFIX.OVERRIDE}${userId}`;
+    let removed;
+    if (this.useRedis()) {
+      removed = await redisConnection.delete(key);
+    } else {
+      removed = this.memoryStore.delete(key);
+    }
+
+    logger.info('AI 配額覆寫已移除', { userId, updatedBy: adminId });
+    return removed;
+  }
+}
+
+// 建立單例實例
+const aiQuotaService = new AIQuotaService();
+
+module.exports = {
+  aiQuotaService,
+  AIQuotaService, // 導出類別以便測試
+  AI_QUOTA_DEFAULTS,
+};
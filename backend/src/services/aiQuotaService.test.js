@@ -0,0 +1,165 @@
+jest.mock('../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { redisConnection } = require('../config/redis');
+const { AIQuotaService, AI_QUOTA_DEFAULTS } = require('./aiQuotaService');
+
+describe('AIQuotaService', () => {
+  let service;
+
+  beforeEach(async () => {
+    service = new AIQuotaService();
+    await redisConnection.flushdb();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getAllowance', () => {
+    test('應該依角色回傳預設配額與剩餘額度', async () => {
+      await service.recordUsage('user-1', 0.1);
+      await service.recordUsage('user-1', 0.05);
+
+      const allowance = await service.getAllowance('user-1', 'user');
+
+      expect(allowance.limits).toEqual(AI_QUOTA_DEFAULTS.user);
+      expect(allowance.usage.dailyRequests).toBe(2);
+      expect(allowance.usage.monthlyCost).toBeCloseTo(0.15);
+      expect(allowance.remaining.dailyRequests).toBe(AI_QUOTA_DEFAULTS.user.dailyRequests - 2);
+      expect(allowance.override).toBeNull();
+      expect(new Date(allowance.resetsAt.day).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('商家應該使用商家配額，管理者不受限制', async () => {
+      const merchant = await service.getAllowance('merchant-1', 'merchant');
+      const superadmin = await service.getAllowance('superadmin-1', 'superadmin');
+
+      expect(merchant.limits).toEqual(AI_QUOTA_DEFAULTS.merchant);
+      expect(superadmin.remaining.monthlyCost).toBeNull();
+    });
+
+    test('Redis 未連線時應該使用記憶體計數', async () => {
+      jest.spyOn(service, 'useRedis').mockReturnValue(false);
+
+      await service.recordUsage('user-1', 0.2);
+      const allowance = await service.getAllowance('user-1', 'user');
+
+      expect(allowance.usage.dailyRequests).toBe(1);
+      expect(allowance.usage.dailyCost).toBeCloseTo(0.2);
+      expect(await redisConnection.get(service.getUsageKeys('user-1').dailyRequests)).toBeNull();
+    });
+  });
+
+  describe('checkQuota', () => {
+    test('超過每日請求數時應該回報 429', async () => {
+      await service.setOverride('user-1', { dailyRequests: 1 }, 'admin-uid');
+      await service.recordUsage('user-1', 0.01);
+
+      await expect(service.checkQuota('user-1', 'user')).rejects.toMatchObject({
+        statusCode: 429,
+        code: 'AI_QUOTA_EXCEEDED',
+        details: expect.objectContaining({ quota: 'dailyRequests', limit: 1, used: 1 }),
+      });
+    });
+
+    test('超過每月成本時應該回報月配額的重設時間', async () => {
+      await service.setOverride('user-1', { monthlyCost: 0.05 }, 'admin-uid');
+      await service.recordUsage('user-1', 0.06);
+
+      const error = await service.checkQuota('user-1', 'user').catch((err) => err);
+
+      expect(error.details.quota).toBe('monthlyCost');
+      expect(error.details.resetsAt).toBe(service.getPeriods().resetsAt.month);
+    });
+
+    test('讀取用量失敗時應該放行', async () => {
+      jest.spyOn(service, 'getUsage').mockRejectedValue(new Error('connection lost'));
+
+      await expect(service.checkQuota('user-1', 'user')).resolves.toBeNull();
+    });
+  });
+
+  describe('reserve', () => {
+    test('同時送出的請求不應該超過請求數配額', async () => {
+      await service.setOverride('user-1', { dailyRequests: 2 }, 'admin-uid');
+
+      const results = await Promise.allSettled(
+        Array.from({ length: 5 }, () => service.reserve('user-1', 'user')),
+      );
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(2);
+      expect(results.filter((result) => result.status === 'rejected')
+        .every((result) => result.reason.code === 'AI_QUOTA_EXCEEDED')).toBe(true);
+      expect((await service.getUsage('user-1')).dailyRequests).toBe(2);
+    });
+
+    test('釋放未計入成本的預留應該回滾請求數，已計入成本的預留不回滾', async () => {
+      const failed = await service.reserve('user-1', 'user');
+      await service.release(failed);
+      await service.release(failed);
+
+      const succeeded = await service.reserve('user-1', 'user');
+      await service.charge(succeeded, 0.01);
+      await service.charge(succeeded, 0.02);
+      await service.release(succeeded);
+
+      const usage = await service.getUsage('user-1');
+      expect(usage.dailyRequests).toBe(1);
+      expect(usage.monthlyRequests).toBe(1);
+      expect(usage.dailyCost).toBeCloseTo(0.03);
+    });
+
+    test('讀取配額失敗時應該放行', async () => {
+      jest.spyOn(service, 'getLimits').mockRejectedValue(new Error('connection lost'));
+
+      const reservation = await service.reserve('user-1', 'user');
+
+      expect(reservation.counted).toBe(false);
+      await service.release(reservation);
+      expect((await service.getUsage('user-1')).dailyRequests).toBe(0);
+    });
+  });
+
+  describe('setOverride', () => {
+    test('應該只覆寫指定欄位並可解除限制', async () => {
+      await service.setOverride(
+        'user-1',
+        { dailyRequests: 500, monthlyCost: null },
+        'admin-uid',
+        '活動',
+      );
+
+      const { limits, override } = await service.getAllowance('user-1', 'user');
+
+      expect(limits.dailyRequests).toBe(500);
+      expect(limits.monthlyCost).toBeNull();
+      expect(limits.dailyCost).toBe(AI_QUOTA_DEFAULTS.user.dailyCost);
+      expect(override).toMatchObject({ reason: '活動', updatedBy: 'admin-uid' });
+    });
+
+    test('應該拒絕未知欄位與負數', async () => {
+      await expect(
+        service.setOverride('user-1', { hourlyRequests: 5 }, 'admin-uid'),
+      ).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_QUOTA_OVERRIDE' });
+      await expect(
+        service.setOverride('user-1', { dailyCost: -1 }, 'admin-uid'),
+      ).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_QUOTA_OVERRIDE' });
+    });
+
+    test('移除覆寫後應該回到角色預設值', async () => {
+      await service.setOverride('user-1', { dailyRequests: 500 }, 'admin-uid');
+      await service.clearOverride('user-1', 'admin-uid');
+
+      const { limits } = await service.getLimits('user-1', 'user');
+
+      expect(limits).toEqual(AI_QUOTA_DEFAULTS.user);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../middleware/requestLogger');
+
+// 簡訊送達狀態
+const DELIVERY_STATUS = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  UNDELIVERED: 'undelivered',
+  FAILED: 'failed',
+};
+
+// 閘道回報的狀態別名
+const DELIVERY_STATUS_ALIASES = {
+  accepted: DELIVERY_STATUS.QUEUED,
+  pending: DELIVERY_STATUS.QUEUED,
+  submitted: DELIVERY_STATUS.SENT,
+  success: DELIVERY_STATUS.DELIVERED,
+  delivrd: DELIVERY_STATUS.DELIVERED,
+  expired: DELIVERY_STATUS.UNDELIVERED,
+  rejected: DELIVERY_STATUS.FAILED,
+  error: DELIVERY_STATUS.FAILED,
+};
+
+const generateMessageId = (prefix) => (
+  `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`
+);
+
+/**
+ * 將閘道回報的狀態轉為 DELIVERY_STATUS
+ */
+const normalizeDeliveryStatus = (status) => {
+  const value = String(status || '').toLowerCase();
+  if (Object.values(DELIVERY_STATUS).includes(value)) {
+    return value;
+  }
+  return DELIVERY_STATUS_ALIASES[value] || null;
+};
+
+/**
+ * 遮蔽簡訊中的驗證碼（連續 4 位以上的數字），避免驗證碼出現在日誌中
+ */
+const redactCodes = (message) => (
+  String(message).replace(/\d{4,}/g, (digits) => '*'.repeat(digits.length))
+);
+
+/**
+ * 本地開發與測試用的簡訊供應商
+ * 不實際發送，將遮蔽驗證碼後的簡訊寫入日誌；設定 filePath 時另以 JSON Lines 將完整簡訊附加至檔案，
+ * 供本地開發讀取驗證碼。正式環境不可使用（見 smsGateway.createSMSProvider）
+ */
+class ConsoleSMSProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - 簡訊輸出檔案
+   */
+  constructor(options = {}) {
+    this.providerName = 'console';
+    this.filePath = options.filePath || null;
+  }
+
+  /**
+   * 發送簡訊
+   * @param {string} to - E.164 手機號碼
+   * @param {string} message - 簡訊內容
+   * @returns {Promise<Object>} { success, messageId, status }
+   */
+  async send(to, message) {
+    const record = {
+      messageId: generateMessageId('console'),
+      to,
+      message,
+      sentAt: new Date().toISOString(),
+    };
+
+    logger.info('SMS 簡訊（console 供應商，未實際發送）', {
+      ...record,
+      message: redactCodes(message),
+    });
+
+    if (this.filePath) {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, `${JSON.stringify(record)}\n`);
+    }
+
+    return {
+      success: true,
+      messageId: record.messageId,
+      status: DELIVERY_STATUS.DELIVERED,
+    };
+  }
+
+  /**
+   * 本地供應商不會有外部送達回報，回報端點不開放
+   */
+  // eslint-disable-next-line class-methods-use-this
+  acceptsCallbacks() {
+    return false;
+  }
+
+  /**
+   * 驗證送達回報來源（本地供應商沒有回報密鑰，一律拒絕）
+   */
+  // eslint-disable-next-line class-methods-use-this
+  verifyCallback() {
+    return false;
+  }
+
+  /**
+   * 解析送達回報
+   * @param {Object} payload - { messageId, status, errorCode, timestamp }
+   */
+  // eslint-disable-next-line class-methods-use-this
+  parseDeliveryReport(payload = {}) {
+    return {
+      messageId: payload.messageId,
+      status: normalizeDeliveryStatus(payload.status),
+      errorCode: payload.errorCode || null,
+      reportedAt: payload.timestamp || new Date().toISOString(),
+    };
+  }
+}
+
+module.exports = ConsoleSMSProvider;
+module.exports.DELIVERY_STATUS = DELIVERY_STATUS;
+module.exports.normalizeDeliveryStatus = normalizeDeliveryStatus;
+module.exports.redactCodes = redactCodes;
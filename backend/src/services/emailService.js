@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const FileEmailTransport = require('./fileEmailTransport');
+const SmtpEmailTransport = require('./smtpEmailTransport');
+const { EMAIL_TEMPLATES } = require('../config/emailTemplates');
+const { logger } = require('../middleware/requestLogger');
+
+// 模板佔位符語法：{{variableName}}
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_]\w*)\s*\}\}/g;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * 以 RFC 2047 編碼含非 ASCII 字元的標頭
+ */
+const encodeHeader = (value) => (
+  /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`
+);
+
+/**
+ * 編碼 "名稱 <address>" 格式的地址，只有名稱部分可以編碼
+ */
+const encodeAddress = (value) => {
+  const match = /^\s*(.*?)\s*<([^>]+)>\s*$/.exec(value);
+  if (!match || !match[1]) {
+    return value;
+  }
+  return `${encodeHeader(match[1].replace(/^"|"$/g, ''))} <${match[2]}>`;
+};
+
+/**
+ * Base64 內容每 76 字元換行
+ */
+const toBase64Lines = (value) => Buffer.from(value, 'utf8')
+  .toString('base64')
+  .replace(/.{76}/g, '$&\r\n');
+
+// 可用的傳送方式，名稱對應 EMAIL_TRANSPORT 環境變數
+const EMAIL_TRANSPORT_FACTORIES = {
+  file: (options) => new FileEmailTransport({
+    directory: process.env.EMAIL_OUTBOX_DIR,
+    ...options,
+  }),
+  smtp: (options) => new SmtpEmailTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || undefined,
+    secure: process.env.SMTP_SECURE === 'true',
+    requireTLS: process.env.SMTP_REQUIRE_TLS !== 'false',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    ...options,
+  }),
+};
+
+/**
+ * 註冊額外的郵件傳送方式
+ * @param {string} name - 名稱（用於 EMAIL_TRANSPORT）
+ * @param {Function} factory - (options) => 傳送方式實例，需實作 send(envelope)
+ */
+const registerEmailTransport = (name, factory) => {
+  EMAIL_TRANSPORT_FACTORIES[name] = factory;
+};
+
+/**
+ * 依名稱建立郵件傳送方式，預設讀取 EMAIL_TRANSPORT（預設 file）
+ * @param {string} name - 名稱
+ * @param {Object} options - 傳送方式選項
+ */
+const createEmailTransport = (name = null, options = {}) => {
+  const transportName = name || process.env.EMAIL_TRANSPORT || 'file';
+  const factory = EMAIL_TRANSPORT_FACTORIES[transportName];
+  if (!factory) {
+    throw new Error(`Unknown email transport: ${transportName}`);
+  }
+
+  const transport = factory(options);
+  if (transport.transportName === 'file' && process.env.NODE_ENV === 'production') {
+    logger.warn('Email 使用 file 傳送方式，郵件不會實際寄出');
+  }
+  return transport;
+};
+
+/**
+ * 郵件服務
+ * 渲染多語系模板並透過設定的傳送方式寄出
+ */
+class EmailService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.transport - 傳送方式，預設依 EMAIL_TRANSPORT 建立
+   * @param {string} options.from - 寄件者
+   * @param {Object} options.templates - 模板定義，預設為內建模板
+   */
+  constructor(options = {}) {
+    this.transport = options.transport || createEmailTransport();
+    this.from = options.from || process.env.EMAIL_FROM || 'Localite <no-reply@localite.app>';
+    this.appName = options.appName || process.env.MFA_ISSUER || 'Localite';
+    this.templates = options.templates || EMAIL_TEMPLATES;
+  }
+
+  /**
+   * 渲染模板，缺少指定語言時回退至模板的預設語言
+   * @param {string} name - 模板名稱
+   * @param {string} language - 語言
+   * @param {Object} variables - 變數值
+   * @returns {Object} { subject, text, html, language }
+   */
+  renderTemplate(name, language, variables = {}) {
+    const template = this.templates[name];
+    if (!template) {
+      const error = new Error(`找不到郵件模板: ${name}`);
+      error.code = 'EMAIL_TEMPLATE_NOT_FOUND';
+      throw error;
+    }
+
+    const variant = template.variants.find((item) => item.language === language)
+      || template.variants.find((item) => item.language === template.defaultLanguage)
+      || template.variants[0];
+
+    const values = { appName: this.appName, ...variables };
+    const fill = (source, escape) => source.replace(PLACEHOLDER_PATTERN, (match, key) => {
+      const value = values[key] ?? '';
+      return escape ? escapeHtml(value) : String(value);
+    });
+
+    return {
+      subject: fill(variant.subject, false),
+      text: fill(variant.text, false),
+      html: variant.html ? fill(variant.html, true) : null,
+      language: variant.language,
+    };
+  }
+
+  /**
+   * 組成 MIME 郵件
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Object} { messageId, raw }
+   */
+  buildMessage(message) {
+    const domain = (/@([^>\s]+)/.exec(this.from) || [null, 'localhost'])[1];
+    const messageId = `<${crypto.randomUUID()}@${domain}>`;
+    const recipients = Array.isArray(message.to) ? message.to : [message.to];
+
+    const headers = [
+      `From: ${encodeAddress(this.from)}`,
+      `To: ${recipients.map(encodeAddress).join(', ')}`,
+      `Subject: ${encodeHeader(message.subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: ${messageId}`,
+      'MIME-Version: 1.0',
+    ];
+
+    const textPart = [
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      toBase64Lines(message.text),
+    ];
+
+    let body;
+    if (message.html) {
+      const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+      body = [
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        ...textPart,
+        `--${boundary}`,
+        'Content-Type: text/html; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        toBase64Lines(message.html),
+        `--${boundary}--`,
+      ];
+    } else {
+      body = textPart;
+    }
+
+    return {
+      messageId,
+      raw: [...headers, ...body].join('\r\n'),
+    };
+  }
+
+  /**
+   * 以模板寄出郵件
+   * @param {Object} params
+   * @param {string|Array<string>} params.to - 收件者
+   * @param {string} params.template - 模板名稱
+   * @param {string} params.language - 語言（zh-TW、zh-CN、en-US）
+   * @param {Object} params.variables - 模板變數
+   * @returns {Promise<Object>} { success, messageId, language }
+   */
+  async send({
+    to, template, language, variables,
+  }) {
+    try {
+      const rendered = this.renderTemplate(template, language, variables);
+      const { messageId, raw } = this.buildMessage({ to, ...rendered });
+
+      await this.transport.send({
+        from: this.from,
+        to,
+        subject: rendered.subject,
+        messageId,
+        raw,
+      });
+
+      logger.info('Email 寄送成功', {
+        to,
+        template,
+        language: rendered.language,
+        transport: this.transport.transportName,
+        messageId,
+      });
+
+      return {
+        success: true,
+        messageId,
+        language: rendered.language,
+      };
+    } catch (error) {
+      logger.error('Email 寄送失敗', {
+        to,
+        template,
+        transport: this.transport.transportName,
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+module.exports = EmailService;
+module.exports.createEmailTransport = createEmailTransport;
+module.exports.registerEmailTransport = registerEmailTransport;
@@ -0,0 +1,295 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const EmailService = require('./emailService');
+const SmtpEmailTransport = require('./smtpEmailTransport');
+
+const { createEmailTransport, registerEmailTransport } = EmailService;
+
+jest.mock('../middleware/requestLogger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+/**
+ * 模擬 SMTP 伺服器，記錄收到的指令與郵件內容
+ */
+const startFakeSmtpServer = (options = {}) => new Promise((resolve) => {
+  const session = { commands: [], data: null };
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 fake.smtp ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index = buffer.indexOf('\r\n');
+      while (index !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        index = buffer.indexOf('\r\n');
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 2.0.0 queued as ABC123\r\n');
+          } else {
+            session.data = session.data === null ? line : `${session.data}\r\n${line}`;
+          }
+        } else {
+          session.commands.push(line);
+          if (line.startsWith('EHLO')) {
+            socket.write('250-fake.smtp\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+          } else if (line === 'STARTTLS') {
+            socket.write('454 4.7.0 TLS not available\r\n');
+          } else if (line.startsWith('AUTH PLAIN')) {
+            socket.write('235 2.7.0 Authentication successful\r\n');
+          } else if (line.startsWith('RCPT TO') && options.rejectRecipient) {
+            socket.write('550 5.1.1 User unknown\r\n');
+          } else if (line === 'DATA') {
+            inData = true;
+            socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+          } else if (line === 'QUIT') {
+            socket.end('221 Bye\r\n');
+          } else {
+            socket.write('250 OK\r\n');
+          }
+        }
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({ server, session, port: server.address().port });
+  });
+});
+
+describe('EmailService', () => {
+  describe('renderTemplate', () => {
+    const service = new EmailService({ transport: { send: jest.fn() }, appName: 'Localite' });
+
+    it('應該依語言渲染驗證碼模板', () => {
+      const rendered = service.renderTemplate('mfa_code', 'en-US', {
+        code: '123456',
+        expiryMinutes: 10,
+      });
+
+      expect(rendered.language).toBe('en-US');
+      expect(rendered.subject).toBe('[Localite] Your verification code: 123456');
+      expect(rendered.text).toContain('It expires in 10 minutes.');
+    });
+
+    it('應該在找不到語言時回退至預設語言', () => {
+      const rendered = service.renderTemplate('mfa_code', 'ja-JP', {
+        code: '123456',
+        expiryMinutes: 10,
+      });
+
+      expect(rendered.language).toBe('zh-TW');
+      expect(rendered.subject).toBe('【Localite】您的驗證碼：123456');
+    });
+
+    it('應該跳脫 HTML 版本中的變數值', () => {
+      const rendered = service.renderTemplate('email_verification', 'zh-CN', {
+        displayName: '<script>alert(1)</script>',
+        verificationLink: 'https://localite.app/verify?a=1&b=2',
+      });
+
+      expect(rendered.text).toContain('<script>alert(1)</script> 您好');
+      expect(rendered.html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+      expect(rendered.html).toContain('href="https://localite.app/verify?a=1&amp;b=2"');
+    });
+
+    it('應該拒絕未知的模板', () => {
+      expect(() => service.renderTemplate('unknown', 'zh-TW')).toThrow('找不到郵件模板: unknown');
+    });
+  });
+
+  describe('send', () => {
+    it('應該組成 MIME 郵件並交給傳送方式', async () => {
+      const transport = { transportName: 'mock', send: jest.fn().mockResolvedValue({}) };
+      const service = new EmailService({ transport, from: '在地人 <no-reply@localite.app>' });
+
+      const result = await service.send({
+        to: 'user@example.com',
+        template: 'mfa_code',
+        language: 'zh-TW',
+        variables: { code: '654321', expiryMinutes: 10 },
+      });
+
+      expect(result).toEqual({
+        success: true,
+        messageId: expect.stringMatching(/^<.+@localite\.app>$/),
+        language: 'zh-TW',
+      });
+
+      const envelope = transport.send.mock.calls[0][0];
+      expect(envelope.to).toBe('user@example.com');
+      expect(envelope.raw).toContain(
+        `From: =?UTF-8?B?${Buffer.from('在地人').toString('base64')}?= <no-reply@localite.app>`,
+      );
+      expect(envelope.raw).toContain('Content-Type: multipart/alternative');
+      expect(envelope.raw).toContain(
+        `Subject: =?UTF-8?B?${Buffer.from('【Localite】您的驗證碼：654321').toString('base64')}?=`,
+      );
+    });
+
+    it('應該在傳送失敗時返回失敗', async () => {
+      const transport = { send: jest.fn().mockRejectedValue(new Error('connection refused')) };
+      const service = new EmailService({ transport });
+
+      const result = await service.send({
+        to: 'user@example.com',
+        template: 'mfa_code',
+        language: 'zh-TW',
+        variables: { code: '654321', expiryMinutes: 10 },
+      });
+
+      expect(result).toEqual({ success: false, error: 'connection refused' });
+    });
+  });
+
+  describe('file 傳送方式', () => {
+    it('應該將郵件寫入 outbox 目錄', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'email-'));
+      const service = new EmailService({ transport: createEmailTransport('file', { directory }) });
+
+      const result = await service.send({
+        to: 'user@example.com',
+        template: 'email_verification',
+        language: 'en-US',
+        variables: { displayName: 'Amy', verificationLink: 'https://localite.app/verify' },
+      });
+
+      const files = fs.readdirSync(directory);
+      expect(result.success).toBe(true);
+      expect(files).toHaveLength(1);
+      expect(files[0]).toMatch(/\.eml$/);
+      expect(fs.readFileSync(path.join(directory, files[0]), 'utf8')).toContain(
+        'Subject: [Localite] Verify your email address',
+      );
+
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+  });
+
+  describe('smtp 傳送方式', () => {
+    let fake;
+
+    beforeEach(() => {
+      fake = null;
+    });
+
+    afterEach(async () => {
+      if (fake) {
+        await new Promise((resolve) => {
+          fake.server.close(resolve);
+        });
+      }
+    });
+
+    it('應該要求 SMTP 主機', () => {
+      expect(() => createEmailTransport('smtp', { host: '' })).toThrow('SMTP host is required.');
+    });
+
+    it('應該在明確關閉 TLS 要求時以未加密連線寄出郵件', async () => {
+      fake = await startFakeSmtpServer();
+      const transport = createEmailTransport('smtp', {
+        host: '127.0.0.1',
+        port: fake.port,
+        requireTLS: false,
+        clientName: 'test.local',
+      });
+
+      const result = await transport.send({
+        from: 'Localite <no-reply@localite.app>',
+        to: 'User <user@example.com>',
+        subject: 'Test',
+        messageId: '<1@localite.app>',
+        raw: 'Subject: Test\r\n\r\n.leading dot\r\nbody',
+      });
+
+      expect(transport).toBeInstanceOf(SmtpEmailTransport);
+      expect(result).toEqual({
+        accepted: ['user@example.com'],
+        response: '250 2.0.0 queued as ABC123',
+      });
+      expect(fake.session.commands).toEqual([
+        'EHLO test.local',
+        'MAIL FROM:<no-reply@localite.app>',
+        'RCPT TO:<user@example.com>',
+        'DATA',
+      ]);
+      expect(fake.session.data).toBe('Subject: Test\r\n\r\n..leading dot\r\nbody');
+    });
+
+    it('應該在伺服器拒絕收件者時拋出 SMTP 錯誤', async () => {
+      fake = await startFakeSmtpServer({ rejectRecipient: true });
+      const transport = createEmailTransport('smtp', {
+        host: '127.0.0.1',
+        port: fake.port,
+        requireTLS: false,
+      });
+
+      await expect(transport.send({
+        from: 'no-reply@localite.app',
+        to: 'missing@example.com',
+        subject: 'Test',
+        messageId: '<2@localite.app>',
+        raw: 'Subject: Test\r\n\r\nbody',
+      })).rejects.toMatchObject({ code: 'SMTP_ERROR', responseCode: 550 });
+    });
+
+    it('應該預設要求 TLS 並在伺服器不支援 STARTTLS 時拒絕傳送', async () => {
+      fake = await startFakeSmtpServer();
+      const transport = createEmailTransport('smtp', { host: '127.0.0.1', port: fake.port });
+
+      expect(transport.requireTLS).toBe(true);
+      await expect(transport.send({
+        from: 'no-reply@localite.app',
+        to: 'user@example.com',
+        subject: 'Test',
+        messageId: '<3@localite.app>',
+        raw: 'Subject: Test\r\n\r\nbody',
+      })).rejects.toMatchObject({ code: 'SMTP_ERROR' });
+      expect(fake.session.commands).not.toContain('DATA');
+    });
+
+    it('應該在設定帳號時一律要求 TLS，不以明文傳送帳號密碼', async () => {
+      fake = await startFakeSmtpServer();
+      const transport = createEmailTransport('smtp', {
+        host: '127.0.0.1',
+        port: fake.port,
+        requireTLS: false,
+        user: 'mailer',
+        pass: 'secret',
+      });
+
+      expect(transport.requireTLS).toBe(true);
+      await expect(transport.send({
+        from: 'no-reply@localite.app',
+        to: 'user@example.com',
+        subject: 'Test',
+        messageId: '<4@localite.app>',
+        raw: 'Subject: Test\r\n\r\nbody',
+      })).rejects.toMatchObject({ code: 'SMTP_ERROR' });
+      expect(fake.session.commands.some((command) => command.startsWith('AUTH'))).toBe(false);
+    });
+  });
+
+  describe('createEmailTransport', () => {
+    it('應該使用註冊的傳送方式', () => {
+      const transport = { transportName: 'custom', send: jest.fn() };
+      registerEmailTransport('custom', () => transport);
+
+      expect(createEmailTransport('custom')).toBe(transport);
+    });
+
+    it('應該拒絕未知的傳送方式', () => {
+      expect(() => createEmailTransport('unknown')).toThrow('Unknown email transport: unknown');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { logger } = require('../middleware/requestLogger');
+const { AppError } = require('../middleware/errorHandler');
+
+const createVerificationError = (message) => new AppError(message, 401, 'SOCIAL_TOKEN_INVALID');
+
+/**
+ * Facebook Login 存取權杖驗證
+ * Facebook 不提供 ID Token，改以 Graph API 的 debug_token 確認權杖屬於本應用程式，
+ * 再以 /me 取得用戶資料
+ */
+class FacebookTokenVerifier {
+  /**
+   * @param {Object} options
+   * @param {string} options.appId - Facebook 應用程式 ID
+   * @param {string} options.appSecret - Facebook 應用程式密鑰
+   * @param {string} options.graphUrl - Graph API 網址
+   * @param {number} options.timeout - 請求逾時（毫秒）
+   */
+  constructor(options = {}) {
+    if (!options.appId || !options.appSecret) {
+      throw new Error('Facebook app ID and secret are required.');
+    }
+
+    this.providerId = 'facebook.com';
+    this.appId = String(options.appId);
+    this.appSecret = options.appSecret;
+    this.graphUrl = (options.graphUrl || 'https://graph.facebook.com/v19.0').replace(/\/$/, '');
+    this.timeout = options.timeout || 10000;
+  }
+
+  /**
+   * 驗證存取權杖
+   * @param {Object} credential - { accessToken }
+   * @returns {Promise<Object>} 標準化的身分資訊
+   */
+  async verify(credential = {}) {
+    const { accessToken } = credential;
+    if (typeof accessToken !== 'string' || !accessToken) {
+      throw createVerificationError('缺少 accessToken');
+    }
+
+    let tokenInfo;
+    let profile;
+    try {
+      const debugResponse = await axios.get(`${this.graphUrl}/debug_token`, {
+        params: {
+          input_token: accessToken,
+          access_token: `${this.appId}|${this.appSecret}`,
+        },
+        timeout: this.timeout,
+      });
+      tokenInfo = debugResponse.data?.data || {};
+
+      if (!tokenInfo.is_valid || String(tokenInfo.app_id) !== this.appId || !tokenInfo.user_id) {
+        throw createVerificationError('accessToken 無效或不屬於本應用程式');
+      }
+
+      const profileResponse = await axios.get(`${this.graphUrl}/me`, {
+        params: {
+          fields: 'id,name,email,picture',
+          access_token: accessToken,
+          appsecret_proof: crypto
+            .createHmac('sha256', this.appSecret)
+            .update(accessToken)
+            .digest('hex'),
+        },
+        timeout: this.timeout,
+      });
+      profile = profileResponse.data || {};
+    } catch (error) {
+      if (error.code === 'SOCIAL_TOKEN_INVALID') {
+        throw error;
+      }
+      logger.error('Facebook 權杖驗證失敗', {
+        status: error.response?.status,
+        error: error.message,
+      });
+      throw createVerificationError('無法向 Facebook 驗證 accessToken');
+    }
+
+    if (String(profile.id) !== String(tokenInfo.user_id)) {
+      throw createVerificationError('Facebook 用戶資料與 accessToken 不符');
+    }
+
+    // Facebook 不保證 email 已驗證，不可用來自動合併既有帳號，需登入後手動連結
+    return {
+      providerId: this.providerId,
+      providerUid: String(profile.id),
+      email: profile.email ? String(profile.email).toLowerCase() : null,
+      emailVerified: false,
+      displayName: profile.name || null,
+      avatar: profile.picture?.data?.url || null,
+    };
+  }
+}
+
+module.exports = FacebookTokenVerifier;
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('../middleware/requestLogger');
+
+/**
+ * 本地開發與測試用的郵件傳送方式
+ * 不實際寄出，將完整的 MIME 內容寫入 outbox 目錄（每封一個 .eml 檔，可直接以郵件軟體開啟）
+ */
+class FileEmailTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - outbox 目錄
+   */
+  constructor(options = {}) {
+    this.transportName = 'file';
+    this.directory = options.directory || path.join(os.tmpdir(), 'localite-email-outbox');
+  }
+
+  /**
+   * 寫入郵件
+   * @param {Object} envelope - { from, to, subject, messageId, raw }
+   * @returns {Promise<Object>} { accepted, path }
+   */
+  async send(envelope) {
+    const safeId = envelope.messageId.replace(/[^\w.-]/g, '_');
+    const filePath = path.join(this.directory, `${Date.now()}-${safeId}.eml`);
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(filePath, envelope.raw);
+
+    logger.info('Email 已寫入 outbox（file 傳送方式，未實際寄出）', {
+      to: envelope.to,
+      subject: envelope.subject,
+      path: filePath,
+    });
+
+    return {
+      accepted: envelope.to,
+      path: filePath,
+    };
+  }
+}
+
+module.exports = FileEmailTransport;
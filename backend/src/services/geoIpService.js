@@ -0,0 +1,116 @@
+const maxmind = require('maxmind');
+const { logger } = require('../middleware/requestLogger');
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * 離線 GeoIP 查詢服務
+ *
+ * 讀取本機的 MaxMind GeoLite2/GeoIP2 City 資料庫（.mmdb，路徑由 GEOIP_DATABASE_PATH 指定），
+ * 不呼叫外部 API。未設定或無法開啟資料庫時所有查詢返回 null，不影響登入流程
+ */
+class GeoIpService {
+  /**
+   * @param {Object} options
+   * @param {string} options.databasePath - 資料庫檔案路徑，預設為 GEOIP_DATABASE_PATH
+   * @param {Function} options.openDatabase - async (path) => reader，預設為 maxmind.open
+   */
+  constructor(options = {}) {
+    this.databasePath = options.databasePath !== undefined
+      ? options.databasePath
+      : process.env.GEOIP_DATABASE_PATH;
+    this.openDatabase = options.openDatabase
+      || ((databasePath) => maxmind.open(databasePath, {
+        // 資料庫檔案更新後自動重新載入，不阻止程序結束
+        watchForUpdates: true,
+        watchForUpdatesNonPersistent: true,
+      }));
+    this.readerPromise = null;
+  }
+
+  /**
+   * 計算兩個座標間的大圓距離
+   * @param {Object} from - { latitude, longitude }
+   * @param {Object} to - { latitude, longitude }
+   * @returns {number} 距離（公里）
+   */
+  static distanceKm(from, to) {
+    const deltaLatitude = toRadians(to.latitude - from.latitude);
+    const deltaLongitude = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(deltaLatitude / 2) ** 2
+      + Math.cos(toRadians(from.latitude))
+        * Math.cos(toRadians(to.latitude))
+        * Math.sin(deltaLongitude / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  /**
+   * 取得資料庫讀取器（首次使用時開啟並快取）
+   * @returns {Promise<Object|null>}
+   */
+  async getReader() {
+    if (!this.databasePath) {
+      return null;
+    }
+
+    if (!this.readerPromise) {
+      this.readerPromise = this.openDatabase(this.databasePath).catch((error) => {
+        logger.warn('GeoIP 資料庫無法開啟，略過地理位置分析', {
+          databasePath: this.databasePath,
+          error: error.message,
+        });
+        return null;
+      });
+    }
+
+    return this.readerPromise;
+  }
+
+  /**
+   * 查詢 IP 的地理位置
+   * @param {string} ipAddress - IPv4 或 IPv6 地址
+   * @returns {Promise<Object|null>}
+   *   { country, countryName, city, latitude, longitude, accuracyRadius }；
+   *   私有地址、查無資料或資料庫無法使用時返回 null
+   */
+  async lookup(ipAddress) {
+    if (!ipAddress || !maxmind.validate(ipAddress)) {
+      return null;
+    }
+
+    const reader = await this.getReader();
+    if (!reader) {
+      return null;
+    }
+
+    try {
+      const result = reader.get(ipAddress);
+      if (!result?.location) {
+        return null;
+      }
+
+      return {
+        country: result.country?.iso_code || null,
+        countryName: result.country?.names?.en || null,
+        city: result.city?.names?.en || null,
+        latitude: result.location.latitude,
+        longitude: result.location.longitude,
+        accuracyRadius: result.location.accuracy_radius || 0,
+      };
+    } catch (error) {
+      logger.warn('GeoIP 查詢失敗', { ipAddress, error: error.message });
+      return null;
+    }
+  }
+}
+
+// 創建單例實例
+const geoIpService = new GeoIpService();
+
+module.exports = {
+  GeoIpService,
+  geoIpService,
+};
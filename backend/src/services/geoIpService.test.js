@@ -0,0 +1,64 @@
+const { GeoIpService } = require('./geoIpService');
+
+jest.mock('../middleware/requestLogger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+const cityRecord = {
+  city: { names: { en: 'Taipei', 'zh-TW': '台北市' } },
+  country: { iso_code: 'TW', names: { en: 'Taiwan' } },
+  location: { latitude: 25.05, longitude: 121.53, accuracy_radius: 20 },
+};
+
+describe('GeoIpService', () => {
+  describe('lookup', () => {
+    it('應該從本機資料庫查詢位置並只開啟一次', async () => {
+      const reader = { get: jest.fn((ip) => (ip === '1.34.0.1' ? cityRecord : null)) };
+      const openDatabase = jest.fn(async () => reader);
+      const service = new GeoIpService({ databasePath: '/data/city.mmdb', openDatabase });
+
+      await expect(service.lookup('1.34.0.1')).resolves.toEqual({
+        country: 'TW',
+        countryName: 'Taiwan',
+        city: 'Taipei',
+        latitude: 25.05,
+        longitude: 121.53,
+        accuracyRadius: 20,
+      });
+      await expect(service.lookup('10.0.0.1')).resolves.toBeNull();
+      await expect(service.lookup('not-an-ip')).resolves.toBeNull();
+
+      expect(openDatabase).toHaveBeenCalledTimes(1);
+      expect(openDatabase).toHaveBeenCalledWith('/data/city.mmdb');
+      expect(reader.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('應該在未設定或無法開啟資料庫時返回 null', async () => {
+      const openDatabase = jest.fn().mockRejectedValue(new Error('ENOENT'));
+
+      const disabled = new GeoIpService({ databasePath: '', openDatabase });
+      await expect(disabled.lookup('1.34.0.1')).resolves.toBeNull();
+      expect(openDatabase).not.toHaveBeenCalled();
+
+      const missing = new GeoIpService({ databasePath: '/missing.mmdb', openDatabase });
+      await expect(missing.lookup('1.34.0.1')).resolves.toBeNull();
+      await expect(missing.lookup('1.34.0.2')).resolves.toBeNull();
+      expect(openDatabase).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('distanceKm', () => {
+    it('應該計算兩地的大圓距離', () => {
+      const taipei = { latitude: 25.05, longitude: 121.53 };
+      const london = { latitude: 51.51, longitude: -0.13 };
+
+      expect(GeoIpService.distanceKm(taipei, taipei)).toBe(0);
+      expect(GeoIpService.distanceKm(taipei, london)).toBeGreaterThan(9700);
+      expect(GeoIpService.distanceKm(taipei, london)).toBeLessThan(9900);
+    });
+  });
+});
@@ -1,5 +1,7 @@
+const crypto = require('crypto');
 const { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } = require('@google/generative-ai');
 const { logger } = require('../config/logger');
+const { aiQuotaService } = require('./aiQuotaService');
 
 // 新增 Redis 連接
 let redisConnection;
@@ -44,6 +46,16 @@ const ERROR_HANDLING_CONFIG = {
   enableDetailedErrorLogging: process.env.NODE_ENV === 'development',
 };
 
+// 結構化輸出配置
+const STRUCTURED_OUTPUT_CONFIG = {
+  // 驗證失敗時重新提示的次數上限
+  maxRepairAttempts: parseInt(process.env.GOOGLE_AI_STRUCTURED_MAX_REPAIR_ATTEMPTS, 10) || 2,
+  // 重新提示時附帶的原始回應長度上限
+  maxEchoedResponseLength: 2000,
+  // 提示詞中附帶 JSON Schema 的說明行（本地供應商據此辨識結構化請求）
+  schemaInstruction: 'The JSON must conform to this JSON Schema:',
+};
+
 // 速率限制和配額配置
 const RATE_LIMIT_CONFIG = {
   // 每分鐘請求限制
@@ -60,10 +72,62 @@ const RATE_LIMIT_CONFIG = {
   quotaResetHours: parseInt(process.env.GOOGLE_AI_QUOTA_RESET_HOURS, 10) || 24,
 };
 
+// 各模型每百萬 token 價格（美元），輸入與輸出分開計價
+const MODEL_PRICING = {
+  'gemini-pro': { inputPerMillionTokens: 0.5, outputPerMillionTokens: 1.5 },
+  'gemini-1.5-flash': { inputPerMillionTokens: 0.075, outputPerMillionTokens: 0.3 },
+  'gemini-1.5-pro': { inputPerMillionTokens: 1.25, outputPerMillionTokens: 5.0 },
+};
+
+/**
+ * 解析 GOOGLE_AI_MODEL_PRICING 覆寫的模型價格
+ * JSON 格式錯誤時記錄錯誤並只使用內建價格；價格不是非負數字的模型會被略過，避免設定錯誤導致服務無法啟動
+ * @param {string} raw - JSON 字串，例如 {"gemini-2.0-flash":{"inputPerMillionTokens":0.1,...}}
+ * @returns {Object} 合併後的模型價格表
+ */
+function parseModelPricing(raw) {
+  if (!raw) {
+    return { ...MODEL_PRICING };
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(raw);
+  } catch (error) {
+    logger.error('GOOGLE_AI_MODEL_PRICING 不是有效的 JSON，改用內建模型價格', {
+      error: error.message,
+    });
+    return { ...MODEL_PRICING };
+  }
+
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    logger.error('GOOGLE_AI_MODEL_PRICING 必須為物件，改用內建模型價格');
+    return { ...MODEL_PRICING };
+  }
+
+  const isPrice = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  return Object.entries(overrides).reduce((pricing, [model, price]) => {
+    if (!isPrice(price?.inputPerMillionTokens) || !isPrice(price?.outputPerMillionTokens)) {
+      logger.error('GOOGLE_AI_MODEL_PRICING 的模型價格無效，已略過', { model });
+      return pricing;
+    }
+    return {
+      ...pricing,
+      [model]: {
+        inputPerMillionTokens: price.inputPerMillionTokens,
+        outputPerMillionTokens: price.outputPerMillionTokens,
+      },
+    };
+  }, { ...MODEL_PRICING });
+}
+
 // 成本控制配置
 const COST_CONFIG = {
-  // 基礎成本計算（每1000個字符的成本，單位：美元）
-  costPerThousandChars: parseFloat(process.env.GOOGLE_AI_COST_PER_1K_CHARS) || 0.001,
+  // 模型價格表（可由 GOOGLE_AI_MODEL_PRICING 以 JSON 覆寫或新增模型）
+  modelPricing: parseModelPricing(process.env.GOOGLE_AI_MODEL_PRICING),
+  // 模型未回傳 usageMetadata 時，非 CJK 字元每 token 約略字元數
+  estimatedCharsPerToken: 4,
   // 每日預算限制（美元）
   dailyBudget: parseFloat(process.env.GOOGLE_AI_DAILY_BUDGET) || 100,
   // 每月預算限制（美元）
@@ -74,9 +138,100 @@ const COST_CONFIG = {
   costMonitoringInterval: parseInt(process.env.GOOGLE_AI_COST_MONITORING_INTERVAL, 10) || 60000,
 };
 
+// 回應快取配置
+const RESPONSE_CACHE_CONFIG = {
+  // 是否啟用回應快取
+  enabled: process.env.GOOGLE_AI_RESPONSE_CACHE_ENABLED !== 'false',
+  // 快取存活時間（秒）
+  ttlSeconds: parseInt(process.env.GOOGLE_AI_RESPONSE_CACHE_TTL, 10) || 3600,
+  // 記憶體備援最多保留的回應數
+  maxMemoryEntries: parseInt(process.env.GOOGLE_AI_RESPONSE_CACHE_MAX_ENTRIES, 10) || 500,
+  // 快取鍵前綴（與速率限制的 {provider}_ai_* 鍵分開）
+  keyPrefix: 'ai_response_cache:',
+};
+
+// 跨實例共享狀態配置：成本、錯誤與金鑰統計以及背景佇列保存在 Redis，
+// 多個後端實例共用同一份預算，重新部署也不會遺失
+const SHARED_STATE_CONFIG = {
+  enabled: process.env.GOOGLE_AI_SHARED_STATE_ENABLED !== 'false',
+  // 鍵前綴（與速率限制的 {provider}_ai_* 鍵分開，重設速率限制時不受影響）
+  keyPrefix: 'ai_state:',
+  // 重新讀取其他實例累計成本的間隔（毫秒）
+  syncInterval: parseInt(process.env.GOOGLE_AI_SHARED_STATE_SYNC_INTERVAL, 10) || 5000,
+  // 每日與每月計數的存活時間（秒）
+  dailyTtl: 2 * 24 * 60 * 60,
+  monthlyTtl: 32 * 24 * 60 * 60,
+  // 實例心跳存活時間（秒），心跳過期的實例所留下的背景請求由其他實例接手
+  instanceTtl: parseInt(process.env.GOOGLE_AI_INSTANCE_TTL, 10) || 60,
+  // 背景請求最長保留時間（秒）
+  backgroundJobTtl: parseInt(process.env.GOOGLE_AI_BACKGROUND_JOB_TTL, 10) || 7 * 24 * 60 * 60,
+};
+
+// 共享成本計數，對應 costTracking 與 usageStats 的欄位；scope 決定計數的期間
+const SHARED_COST_COUNTERS = [
+  {
+    target: 'costTracking', field: 'totalCost', metric: 'cost', scope: 'total',
+  },
+  {
+    target: 'costTracking', field: 'dailyCost', metric: 'cost', scope: 'day',
+  },
+  {
+    target: 'costTracking', field: 'monthlyCost', metric: 'cost', scope: 'month',
+  },
+  {
+    target: 'costTracking', field: 'totalCharacters', metric: 'characters', scope: 'total',
+  },
+  {
+    target: 'costTracking', field: 'dailyCharacters', metric: 'characters', scope: 'day',
+  },
+  {
+    target: 'costTracking', field: 'monthlyCharacters', metric: 'characters', scope: 'month',
+  },
+  {
+    target: 'costTracking', field: 'inputTokens', metric: 'input_tokens', scope: 'total',
+  },
+  {
+    target: 'costTracking', field: 'outputTokens', metric: 'output_tokens', scope: 'total',
+  },
+  {
+    target: 'costTracking', field: 'totalTokens', metric: 'tokens', scope: 'total',
+  },
+  {
+    target: 'usageStats', field: 'totalRequests', metric: 'requests', scope: 'total',
+  },
+  {
+    target: 'usageStats', field: 'dailyRequests', metric: 'requests', scope: 'day',
+  },
+  {
+    target: 'usageStats', field: 'monthlyRequests', metric: 'requests', scope: 'month',
+  },
+];
+
+// 各計數項目每次請求的增量
+const SHARED_COST_INCREMENTS = {
+  cost: (costInfo) => costInfo.cost,
+  characters: (costInfo) => costInfo.totalChars,
+  input_tokens: (costInfo) => costInfo.inputTokens,
+  output_tokens: (costInfo) => costInfo.outputTokens,
+  tokens: (costInfo) => costInfo.totalTokens,
+  requests: () => 1,
+};
+
+// 預設使用的模型
+const DEFAULT_MODEL = 'gemini-pro';
+
 // 記憶體快取用於備援
 const memoryCache = new Map();
 
+/**
+ * 清除記憶體中的回應快取（保留速率限制計數）
+ */
+const clearMemoryResponseCache = () => {
+  Array.from(memoryCache.keys())
+    .filter((key) => key.startsWith(RESPONSE_CACHE_CONFIG.keyPrefix))
+    .forEach((key) => memoryCache.delete(key));
+};
+
 // 請求佇列和批次處理配置
 const QUEUE_CONFIG = {
   maxQueueSize: parseInt(process.env.GOOGLE_AI_MAX_QUEUE_SIZE, 10) || 1000,
@@ -95,8 +250,17 @@ const PRIORITY_LEVELS = {
   BACKGROUND: 'background',
 };
 
+/**
+ * Google Gemini 服務，實作 AIProviderRouter 使用的 AI 供應商介面
+ * （generateContent、generateContentWithQueue、generateContentStream、generateStructured、
+ * getHealthStatus 與各項統計）。其他供應商可繼承此類別並覆寫 createModelClient，
+ * 沿用金鑰輪替、速率限制、錯誤分類與成本追蹤
+ */
 class GoogleAIService {
   constructor(apiKeys = null, options = {}) {
+    // 供應商名稱，用於速率限制鍵與路由統計
+    this.providerName = this.constructor.PROVIDER_NAME;
+
     // 從參數或環境變數中載入 API 金鑰
     this.apiKeys = this._loadApiKeys(apiKeys);
     if (!this.apiKeys || this.apiKeys.length === 0) {
@@ -110,6 +274,9 @@ class GoogleAIService {
       useRedis: options.useRedis !== false && redisConnection,
       enableRequestQueue: options.enableRequestQueue !== false,
       enableBatchProcessing: options.enableBatchProcessing !== false,
+      enableResponseCache: options.enableResponseCache !== false && RESPONSE_CACHE_CONFIG.enabled,
+      enableSharedState: options.enableSharedState !== false && SHARED_STATE_CONFIG.enabled,
+      model: DEFAULT_MODEL,
       ...options,
     };
 
@@ -174,6 +341,12 @@ class GoogleAIService {
       totalCharacters: 0,
       dailyCharacters: 0,
       monthlyCharacters: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      totalTokens: 0,
+      costByModel: {},
+      costByPriority: {},
+      costByCaller: {},
       lastDailyReset: new Date().toDateString(),
       lastMonthlyReset: new Date().getMonth(),
       costHistory: [],
@@ -200,6 +373,28 @@ class GoogleAIService {
       costEfficiency: 0,
     };
 
+    // 回應快取統計與進行中的相同請求
+    this.inFlightRequests = new Map();
+    this.responseCacheStats = {
+      hits: 0,
+      misses: 0,
+      deduplicated: 0,
+      writes: 0,
+      errors: 0,
+      savedCost: 0,
+      savedCharacters: 0,
+      savedTokens: 0,
+    };
+
+    // 跨實例共享狀態：實例識別碼用於認領背景請求
+    this.instanceId = `${process.pid}-${crypto.randomBytes(6).toString('hex')}`;
+    this.sharedState = {
+      lastSyncedAt: null,
+      lastHeartbeatAt: null,
+      restoredJobs: 0,
+      errors: 0,
+    };
+
     // 為每個金鑰初始化統計和客戶端
     this._initializeKeys();
 
@@ -212,12 +407,17 @@ class GoogleAIService {
     // 新增：初始化請求佇列系統
     this._initializeRequestQueue();
 
+    // 載入其他實例累計的成本與統計，並接手已停止實例留下的背景請求
+    this.sharedStateReady = this.loadSharedState();
+
     logger.info(`GoogleAIService initialized with ${this.apiKeys.length} API keys`, {
       rateLimit: this.options.enableRateLimit,
       quotaManagement: this.options.enableQuotaManagement,
       useRedis: this.options.useRedis,
       requestQueue: this.options.enableRequestQueue,
       batchProcessing: this.options.enableBatchProcessing,
+      responseCache: this.options.enableResponseCache,
+      sharedState: this.options.enableSharedState,
       queueConfig: QUEUE_CONFIG,
     });
   }
@@ -340,6 +540,7 @@ class GoogleAIService {
     // 更新全局錯誤統計
     this.errorStats.totalErrors++;
     this.errorStats.errorsByType[errorInfo.type]++;
+    this.persistErrorStats(errorInfo);
 
     // 保持最近錯誤記錄（最多100個）
     this.errorStats.recentErrors.unshift(errorInfo);
@@ -480,6 +681,7 @@ class GoogleAIService {
         processingTime,
         keyIndex,
         warnings: validation.warnings,
+        usageMetadata: response.response.usageMetadata || null,
       };
     } catch (error) {
       const processingTime = Date.now() - startTime;
@@ -593,7 +795,7 @@ class GoogleAIService {
         timeKey = 'unknown';
     }
 
-    return `google_ai_${type}:${keyIndex}:${timeKey}`;
+    return `${this.providerName}_ai_${type}:${keyIndex}:${timeKey}`;
   }
 
   /**
@@ -811,22 +1013,7 @@ class GoogleAIService {
   _initializeKeys() {
     this.apiKeys.forEach((key, index) => {
       try {
-        const client = new GoogleGenerativeAI(key);
-        const model = client.getGenerativeModel({
-          model: 'gemini-pro',
-          safetySettings: [
-            {
-              category: HarmCategory.HARM_CATEGORY_HARASSMENT,
-              threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE,
-            },
-            {
-              category: HarmCategory.HARM_CATEGORY_HATE_SPEECH,
-              threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE,
-            },
-          ],
-        });
-
-        this.keyClients.set(index, { client, model });
+        this.keyClients.set(index, this.createModelClient(key));
         this.keyStats.set(index, {
           totalRequests: 0,
           successfulRequests: 0,
@@ -875,6 +1062,30 @@ class GoogleAIService {
     });
   }
 
+  /**
+   * 以金鑰建立模型客戶端
+   * 回傳的 model 需提供 generateContent(request) 與 generateContentStream(prompt)，
+   * 回應格式與 @google/generative-ai 相同（response.text()、usageMetadata）
+   */
+  createModelClient(apiKey) {
+    const client = new GoogleGenerativeAI(apiKey);
+    const model = client.getGenerativeModel({
+      model: this.options.model,
+      safetySettings: [
+        {
+          category: HarmCategory.HARM_CATEGORY_HARASSMENT,
+          threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE,
+        },
+        {
+          category: HarmCategory.HARM_CATEGORY_HATE_SPEECH,
+          threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE,
+        },
+      ],
+    });
+
+    return { client, model };
+  }
+
   /**
    * 取得下一個可用的 API 金鑰
    */
@@ -978,6 +1189,7 @@ class GoogleAIService {
 
     stats.totalRequests++;
     stats.lastUsed = Date.now();
+    this.persistKeyStats(keyIndex, success);
 
     // 更新每分鐘和每小時請求數統計
     const now = Date.now();
@@ -1063,6 +1275,10 @@ class GoogleAIService {
 
   /**
    * 增強版：生成內容的主要方法，帶有完整的錯誤處理和回應處理機制
+   * 啟用回應快取時，相同的提示詞、模型與 generationConfig 直接回傳快取內容，
+   * 進行中的相同請求會合併為一次 API 呼叫；options.cache 為 false 時略過快取。
+   * options.caller 標示呼叫來源（如 tour_generator），用於成本分類；
+   * 帶有 options.userId 時依 options.userRole 檢查並累計該帳號的 AI 用量配額
    */
   async generateContent(prompt, options = {}) {
     const maxRetries = options.maxRetries || this.apiKeys.length;
@@ -1082,6 +1298,18 @@ class GoogleAIService {
       throw error;
     }
 
+    if (this.isResponseCacheEnabled(options)) {
+      return this.generateContentCached(prompt, options);
+    }
+
+    if (this.needsUserQuota(options)) {
+      return this.withUserQuota(options, (reservedOptions) => (
+        this.generateContent(prompt, reservedOptions)
+      ));
+    }
+
+    await this.checkServiceBudget();
+
     logger.info('Starting content generation', {
       promptLength: prompt.length,
       maxRetries,
@@ -1148,10 +1376,11 @@ class GoogleAIService {
         logger.debug(`Using API key ${keyIndex} for content generation (attempt ${attempt + 1})`);
 
         // 設定超時處理
+        const request = this.buildGenerateRequest(prompt, options);
         let result;
         if (enableTimeout) {
           result = await Promise.race([
-            model.generateContent(prompt),
+            model.generateContent(request),
             new Promise((_, reject) => {
               setTimeout(() => {
                 reject(new Error(`Request timeout after ${ERROR_HANDLING_CONFIG.timeoutMs}ms`));
@@ -1159,14 +1388,22 @@ class GoogleAIService {
             }),
           ]);
         } else {
-          result = await model.generateContent(prompt);
+          result = await model.generateContent(request);
         }
 
         // 處理 API 回應
         const processedResponse = await this._processResponse(result, keyIndex);
 
-        // 增加速率限制和配額計數
-        await this._incrementRateLimitAndQuota(keyIndex);
+        // 增加速率限制和配額計數，並依模型回傳的 token 用量更新成本追蹤
+        await Promise.all([
+          this._incrementRateLimitAndQuota(keyIndex),
+          this.recordRequestCost(
+            prompt,
+            processedResponse.text,
+            processedResponse.usageMetadata,
+            options,
+          ),
+        ]);
 
         // 成功時更新統計
         this._updateKeyStats(keyIndex, true);
@@ -1276,174 +1513,679 @@ class GoogleAIService {
   }
 
   /**
-   * 初始化請求佇列系統
+   * 串流生成內容，逐段產出回應文字
+   * 在收到第一段內容前可切換金鑰重試；串流中途失敗時經 _analyzeError 分類後拋出，
+   * 錯誤的 context.partial 標示是否已產出部分內容。串流結束時更新配額計數與成本追蹤
    */
-  _initializeRequestQueue() {
-    if (!this.options.enableRequestQueue) {
-      logger.info('Request queue disabled');
+  async* generateContentStream(prompt, options = {}) {
+    const maxRetries = options.maxRetries || this.apiKeys.length;
+    const requestStartTime = Date.now();
+
+    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+      const error = new Error('Invalid prompt: must be a non-empty string');
+      error.code = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    if (this.needsUserQuota(options)) {
+      const quotaReservation = await aiQuotaService.reserve(options.userId, options.userRole);
+      try {
+        yield* this.generateContentStream(prompt, { ...options, quotaReservation });
+      } finally {
+        // 未產出任何內容（失敗或呼叫端提早結束）時釋放預留
+        await aiQuotaService.release(quotaReservation);
+      }
       return;
     }
 
-    // 重設佇列統計
-    this.queueStats.totalQueued = 0;
-    this.queueStats.totalProcessed = 0;
-    this.queueStats.totalCompleted = 0;
-    this.queueStats.totalFailed = 0;
-    this.queueStats.averageWaitTime = 0;
-    this.queueStats.averageProcessingTime = 0;
+    await this.checkServiceBudget();
 
-    // 初始化佇列大小統計
-    QUEUE_CONFIG.priorityLevels.forEach(priority => {
-      this.queueStats.queueSizes[priority] = 0;
+    logger.info('Starting streaming content generation', {
+      promptLength: prompt.length,
+      maxRetries,
     });
 
-    // 啟動背景處理器
-    this._startBackgroundProcessor();
-
-    logger.info('Request queue system initialized', {
-      maxQueueSize: QUEUE_CONFIG.maxQueueSize,
-      batchSize: QUEUE_CONFIG.batchSize,
-      maxConcurrency: QUEUE_CONFIG.maxConcurrency,
-      backgroundProcessingInterval: QUEUE_CONFIG.backgroundProcessingInterval,
+    yield* this.streamWithRetry(prompt, options, {
+      attempt: 0,
+      maxRetries,
+      requestStartTime,
+      rateLimitedKeys: [],
+      quotaExceededKeys: [],
+      lastErrorInfo: null,
     });
   }
 
+  // 串流重試沿用 generateContent 的金鑰輪替、限流與錯誤分析私有方法
+  /* eslint-disable no-underscore-dangle */
   /**
-   * 啟動背景處理器
+   * 執行一次串流嘗試，可重試的失敗在延遲後換下一把金鑰再試
+   * @param {Object} state - 嘗試次數、已受限的金鑰與最後一次錯誤
    */
-  _startBackgroundProcessor() {
-    if (this.backgroundProcessorInterval) {
-      clearInterval(this.backgroundProcessorInterval);
+  async* streamWithRetry(prompt, options, state) {
+    const outcome = yield* this.streamAttempt(prompt, options, state);
+    if (outcome.completed) {
+      return;
     }
 
-    this.backgroundProcessorInterval = setInterval(() => {
-      this._processBackgroundQueue();
-    }, QUEUE_CONFIG.backgroundProcessingInterval);
+    const lastErrorInfo = outcome.errorInfo || state.lastErrorInfo;
+    if (state.attempt >= state.maxRetries - 1) {
+      throw this.createStreamFailedError(prompt, { ...state, lastErrorInfo });
+    }
 
-    logger.debug('Background processor started');
+    if (outcome.retryDelay) {
+      await this._delayRetry(outcome.retryDelay);
+    }
+    yield* this.streamWithRetry(prompt, options, {
+      ...state,
+      attempt: state.attempt + 1,
+      lastErrorInfo,
+    });
   }
 
   /**
-   * 處理背景佇列
+   * 以下一把可用金鑰串流一次
+   * @returns {Promise<Object>} 完成時為 { completed: true }，可重試時為 { errorInfo, retryDelay }
    */
-  async _processBackgroundQueue() {
-    if (this.batchProcessing.isProcessing) {
-      return;
-    }
+  async* streamAttempt(prompt, options, state) {
+    const {
+      attempt, requestStartTime, rateLimitedKeys, quotaExceededKeys,
+    } = state;
+    let keyIndex = null;
+    let text = '';
+    let chunkCount = 0;
+    let usageMetadata = null;
 
-    const backgroundQueue = this.requestQueue.background;
-    if (backgroundQueue.length === 0) {
-      return;
-    }
+    try {
+      keyIndex = this._getNextAvailableKey();
 
-    const batchSize = Math.min(QUEUE_CONFIG.batchSize, backgroundQueue.length);
-    const batch = backgroundQueue.splice(0, batchSize);
+      if (rateLimitedKeys.includes(keyIndex) || quotaExceededKeys.includes(keyIndex)) {
+        return {};
+      }
 
-    if (batch.length > 0) {
-      logger.debug(`Processing background batch of ${batch.length} requests`);
-      await this._processBatch(batch, PRIORITY_LEVELS.BACKGROUND);
-    }
-  }
+      const rateLimitCheck = await this._checkRateLimit(keyIndex);
+      if (!rateLimitCheck.allowed) {
+        const error = new Error(`Rate limit exceeded: ${rateLimitCheck.reason}`);
+        error.code = 'RATE_LIMIT_EXCEEDED';
+        error.details = rateLimitCheck;
+        this.rateLimitStats.rateLimitedRequests += 1;
+        rateLimitedKeys.push(keyIndex);
+        const stats = this.keyStats.get(keyIndex);
+        if (stats) {
+          stats.status = 'rate_limited';
+        }
+        return { errorInfo: this._analyzeError(error, keyIndex) };
+      }
 
-  /**
-   * 新增請求到佇列
-   */
-  async _enqueueRequest(request) {
-    const priority = request.priority || PRIORITY_LEVELS.MEDIUM;
-    const queue = this.requestQueue[priority];
+      const quotaCheck = await this._checkQuotaLimit(keyIndex);
+      if (!quotaCheck.allowed) {
+        const error = new Error(`Quota exceeded: ${quotaCheck.reason}`);
+        error.code = 'QUOTA_EXCEEDED';
+        error.details = quotaCheck;
+        this.rateLimitStats.quotaExceededRequests += 1;
+        quotaExceededKeys.push(keyIndex);
+        const stats = this.keyStats.get(keyIndex);
+        if (stats) {
+          stats.status = 'quota_exceeded';
+        }
+        return { errorInfo: this._analyzeError(error, keyIndex) };
+      }
 
-    if (!queue) {
-      throw new Error(`Invalid priority level: ${priority}`);
-    }
+      const { model } = this.keyClients.get(keyIndex);
+      const result = await model.generateContentStream(prompt);
 
-    // 檢查佇列大小限制
-    const totalQueueSize = Object.values(this.requestQueue).reduce((sum, q) => sum + q.length, 0);
+      // 串流只能依序讀取
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const chunk of result.stream) {
+        // 最後一段會帶有整次請求的累計用量
+        if (chunk.usageMetadata) {
+          ({ usageMetadata } = chunk);
+        }
+        const chunkText = chunk.text();
+        if (chunkText) {
+          text += chunkText;
+          chunkCount += 1;
+          yield chunkText;
+        }
+      }
 
-    if (totalQueueSize >= QUEUE_CONFIG.maxQueueSize) {
-      throw new Error(`Queue full: ${totalQueueSize}/${QUEUE_CONFIG.maxQueueSize}`);
-    }
+      if (text.trim().length === 0) {
+        const error = new Error('Empty response text');
+        error.code = 'EMPTY_RESPONSE';
+        throw error;
+      }
 
-    // 添加到佇列
-    request.queuedAt = Date.now();
-    queue.push(request);
+      await this._incrementRateLimitAndQuota(keyIndex);
+      this._updateKeyStats(keyIndex, true);
+      await this.recordRequestCost(prompt, text, usageMetadata, options);
 
-    // 更新統計
-    this.queueStats.totalQueued++;
-    this.queueStats.queueSizes[priority]++;
+      logger.info('Streaming content generation successful', {
+        keyIndex,
+        chunkCount,
+        totalTime: Date.now() - requestStartTime,
+        textLength: text.length,
+      });
 
-    logger.debug(`Request queued with priority ${priority}`, {
-      queueSize: queue.length,
-      totalQueueSize: totalQueueSize + 1,
-    });
+      return { completed: true };
+    } catch (error) {
+      const errorInfo = this._analyzeError(error, keyIndex);
+      this._updateKeyStats(keyIndex, false, errorInfo.message);
 
-    return request;
+      logger.warn(`Streaming with API key ${keyIndex} failed (attempt ${attempt + 1})`, {
+        error: errorInfo.message,
+        errorType: errorInfo.type,
+        chunkCount,
+      });
+
+      // 已產出部分內容時無法透明重試，記錄已消耗的用量後拋出
+      if (chunkCount > 0) {
+        await this._incrementRateLimitAndQuota(keyIndex);
+        await this.recordRequestCost(prompt, text, usageMetadata, options);
+
+        throw this._createDetailedError(errorInfo, {
+          prompt: prompt.substring(0, 100),
+          attempt: attempt + 1,
+          partial: true,
+          chunkCount,
+          receivedLength: text.length,
+        });
+      }
+
+      if (!errorInfo.isRetryable) {
+        throw this._createDetailedError(errorInfo, {
+          prompt: prompt.substring(0, 100),
+          attempt: attempt + 1,
+          totalAttempts: state.maxRetries,
+          partial: false,
+        });
+      }
+
+      if (errorInfo.type === ERROR_TYPES.RATE_LIMIT) {
+        rateLimitedKeys.push(keyIndex);
+      } else if (errorInfo.type === ERROR_TYPES.API_QUOTA) {
+        quotaExceededKeys.push(keyIndex);
+      }
+
+      return { errorInfo, retryDelay: this._calculateRetryDelay(attempt, errorInfo) };
+    }
   }
 
   /**
-   * 從佇列中獲取下一個請求
+   * 所有串流嘗試都失敗時拋出的錯誤
    */
-  _dequeueRequest() {
-    // 按優先級順序處理
-    for (const priority of QUEUE_CONFIG.priorityLevels) {
-      const queue = this.requestQueue[priority];
-      if (queue.length > 0) {
-        const request = queue.shift();
-        this.queueStats.queueSizes[priority]--;
-        return request;
-      }
+  createStreamFailedError(prompt, {
+    maxRetries, rateLimitedKeys, quotaExceededKeys, lastErrorInfo,
+  }) {
+    if (rateLimitedKeys.length === this.apiKeys.length) {
+      const error = new Error('Rate limit exceeded: All API keys are rate limited');
+      error.code = 'ALL_KEYS_RATE_LIMITED';
+      error.rateLimitedKeys = rateLimitedKeys;
+      return error;
     }
-    return null;
+
+    if (quotaExceededKeys.length === this.apiKeys.length) {
+      const error = new Error('Quota exceeded: All API keys have exceeded their quota');
+      error.code = 'ALL_KEYS_QUOTA_EXCEEDED';
+      error.quotaExceededKeys = quotaExceededKeys;
+      return error;
+    }
+
+    return this._createDetailedError(
+      {
+        type: ERROR_TYPES.GENERIC,
+        message: `Failed to stream content from Google AI after ${maxRetries} attempts`,
+        isRetryable: false,
+        originalError: lastErrorInfo?.originalError,
+      },
+      {
+        prompt: prompt.substring(0, 100),
+        totalAttempts: maxRetries,
+        partial: false,
+      },
+    );
   }
+  /* eslint-enable no-underscore-dangle */
 
   /**
-   * 處理批次請求
+   * 生成符合 JSON Schema 的結構化內容
+   * 每次嘗試都經由 generateContentWithQueue，沿用既有的重試、金鑰輪替與成本追蹤；
+   * 解析或驗證失敗時附上錯誤重新提示，超過次數後拋出 RESPONSE_PARSING 錯誤
    */
-  async _processBatch(batch, priority) {
-    if (batch.length === 0) {
-      return;
+  async generateStructured(prompt, jsonSchema, options = {}) {
+    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+      const error = new Error('Invalid prompt: must be a non-empty string');
+      error.code = 'VALIDATION_ERROR';
+      throw error;
     }
 
-    this.batchProcessing.isProcessing = true;
-    this.batchProcessing.currentBatch = batch;
-    this.batchProcessing.lastProcessTime = Date.now();
+    if (!jsonSchema || typeof jsonSchema !== 'object') {
+      const error = new Error('Invalid schema: must be a JSON Schema object');
+      error.code = 'VALIDATION_ERROR';
+      throw error;
+    }
 
-    const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const batchStartTime = Date.now();
+    // 重新提示屬於同一次請求，只預留一次額度並累計所有嘗試的成本
+    if (this.needsUserQuota(options)) {
+      return this.withUserQuota(options, (reservedOptions) => (
+        this.generateStructured(prompt, jsonSchema, reservedOptions)
+      ));
+    }
 
-    logger.info(`Processing batch ${batchId}`, {
-      batchSize: batch.length,
-      priority,
-      concurrentRequests: this.batchProcessing.concurrentRequests,
+    const {
+      maxRepairAttempts = STRUCTURED_OUTPUT_CONFIG.maxRepairAttempts,
+      ...generateOptions
+    } = options;
+
+    return this.generateStructuredAttempt(prompt, jsonSchema, generateOptions, {
+      attempt: 0,
+      totalAttempts: maxRepairAttempts + 1,
+      currentPrompt: this.buildStructuredPrompt(prompt, jsonSchema),
     });
+  }
 
+  /**
+   * 結構化生成的單次嘗試，驗證失敗且仍有次數時以附帶錯誤的提示詞再試
+   * @param {Object} state - { attempt, totalAttempts, currentPrompt }
+   */
+  async generateStructuredAttempt(prompt, jsonSchema, generateOptions, state) {
+    const { attempt, totalAttempts, currentPrompt } = state;
+    const text = await this.generateContentWithQueue(currentPrompt, generateOptions);
+
+    let data;
+    let validationErrors;
     try {
-      // 更新批次統計
-      this.queueStats.batchStats.totalBatches++;
-      this.queueStats.batchStats.averageBatchSize =
-        (this.queueStats.batchStats.averageBatchSize *
-          (this.queueStats.batchStats.totalBatches - 1) +
-          batch.length) /
-        this.queueStats.batchStats.totalBatches;
+      data = this.parseJsonResponse(text);
+      validationErrors = this.validateAgainstSchema(data, jsonSchema);
+    } catch (error) {
+      validationErrors = [error.message];
+    }
 
-      // 控制並發數量
-      const concurrencyLimit = Math.min(
-        QUEUE_CONFIG.maxConcurrency - this.batchProcessing.concurrentRequests,
-        batch.length
-      );
+    if (validationErrors.length === 0) {
+      logger.info('Structured content generation successful', {
+        attempts: attempt + 1,
+      });
+      return data;
+    }
 
-      const processingPromises = [];
-      for (let i = 0; i < concurrencyLimit; i++) {
-        if (batch[i]) {
-          processingPromises.push(this._processQueuedRequest(batch[i]));
-        }
-      }
+    // 記錄解析錯誤統計（歸類為 RESPONSE_PARSING）
+    const parsingError = new Error(
+      `Structured response parse failed: ${validationErrors.slice(0, 5).join('; ')}`,
+    );
+    parsingError.code = ERROR_TYPES.RESPONSE_PARSING;
+    // eslint-disable-next-line no-underscore-dangle
+    this._analyzeError(parsingError);
 
-      const results = await Promise.allSettled(processingPromises);
-      const successCount = results.filter(r => r.status === 'fulfilled').length;
-      const failureCount = results.filter(r => r.status === 'rejected').length;
+    logger.warn(`Structured response invalid (attempt ${attempt + 1}/${totalAttempts})`, {
+      validationErrors: validationErrors.slice(0, 10),
+    });
 
-      // 更新統計
-      this.queueStats.totalProcessed += batch.length;
+    if (attempt + 1 < totalAttempts) {
+      return this.generateStructuredAttempt(prompt, jsonSchema, generateOptions, {
+        attempt: attempt + 1,
+        totalAttempts,
+        currentPrompt: this.buildRepairPrompt(prompt, jsonSchema, text, validationErrors),
+      });
+    }
+
+    // eslint-disable-next-line no-underscore-dangle
+    throw this._createDetailedError(
+      {
+        type: ERROR_TYPES.RESPONSE_PARSING,
+        code: ERROR_TYPES.RESPONSE_PARSING,
+        message: `Structured response failed schema validation after ${totalAttempts} attempts`,
+        isRetryable: false,
+        timestamp: new Date().toISOString(),
+      },
+      {
+        prompt: prompt.substring(0, 100),
+        totalAttempts,
+        validationErrors,
+      },
+    );
+  }
+
+  /**
+   * 組合要求 JSON 輸出的提示詞
+   */
+  // eslint-disable-next-line class-methods-use-this
+  buildStructuredPrompt(prompt, jsonSchema) {
+    return [
+      prompt,
+      '',
+      'Respond with a single JSON value only, without Markdown code fences or any other text.',
+      STRUCTURED_OUTPUT_CONFIG.schemaInstruction,
+      JSON.stringify(jsonSchema, null, 2),
+    ].join('\n');
+  }
+
+  /**
+   * 組合附帶驗證錯誤的重新提示詞
+   */
+  buildRepairPrompt(prompt, jsonSchema, previousResponse, validationErrors) {
+    const echoedResponse = String(previousResponse || '').substring(
+      0,
+      STRUCTURED_OUTPUT_CONFIG.maxEchoedResponseLength,
+    );
+
+    return [
+      this.buildStructuredPrompt(prompt, jsonSchema),
+      '',
+      'Your previous response was rejected:',
+      echoedResponse,
+      '',
+      'Validation errors:',
+      ...validationErrors.slice(0, 20).map((error) => `- ${error}`),
+      '',
+      'Return a corrected JSON value that fixes every error above.',
+    ].join('\n');
+  }
+
+  /**
+   * 從模型回應中解析 JSON（容許 Markdown 程式碼區塊與前後說明文字）
+   */
+  // eslint-disable-next-line class-methods-use-this
+  parseJsonResponse(text) {
+    const trimmed = String(text || '').trim();
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    let candidate = fenced ? fenced[1].trim() : trimmed;
+
+    // 擷取第一個 JSON 物件或陣列
+    if (!/^[[{]/.test(candidate)) {
+      const start = candidate.search(/[[{]/);
+      if (start !== -1) {
+        candidate = candidate.substring(start);
+      }
+    }
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (end !== -1) {
+      candidate = candidate.substring(0, end + 1);
+    }
+
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      throw new Error(`Response is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * 以 JSON Schema 子集驗證資料
+   * 支援 type、enum、const、required、properties、additionalProperties、items、
+   * minItems、maxItems、minLength、maxLength、pattern、minimum、maximum
+   * @returns {Array<string>} 驗證錯誤列表，空陣列表示通過
+   */
+  validateAgainstSchema(value, schema, path = '$') {
+    const errors = [];
+    if (!schema || typeof schema !== 'object') {
+      return errors;
+    }
+
+    let actualType = typeof value;
+    if (Array.isArray(value)) {
+      actualType = 'array';
+    } else if (value === null) {
+      actualType = 'null';
+    } else if (Number.isInteger(value)) {
+      actualType = 'integer';
+    }
+
+    if (schema.type) {
+      const expectedTypes = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const matches = expectedTypes.some(
+        (type) => type === actualType || (type === 'number' && actualType === 'integer'),
+      );
+      if (!matches) {
+        errors.push(`${path}: expected ${expectedTypes.join(' or ')}, got ${actualType}`);
+        return errors;
+      }
+    }
+
+    if (schema.enum && !schema.enum.some((option) => option === value)) {
+      errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+    }
+
+    if (schema.const !== undefined && schema.const !== value) {
+      errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path}: must have at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${path}: must have at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path}: must match pattern ${schema.pattern}`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path}: must be <= ${schema.maximum}`);
+      }
+    }
+
+    if (actualType === 'array') {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path}: must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path}: must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(...this.validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+        });
+      }
+    }
+
+    if (actualType === 'object') {
+      const properties = schema.properties || {};
+
+      (schema.required || []).forEach((key) => {
+        if (value[key] === undefined) {
+          errors.push(`${path}.${key}: is required`);
+        }
+      });
+
+      Object.keys(value).forEach((key) => {
+        if (properties[key]) {
+          errors.push(
+            ...this.validateAgainstSchema(value[key], properties[key], `${path}.${key}`),
+          );
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key}: is not allowed`);
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(
+            ...this.validateAgainstSchema(
+              value[key],
+              schema.additionalProperties,
+              `${path}.${key}`,
+            ),
+          );
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * 初始化請求佇列系統
+   */
+  _initializeRequestQueue() {
+    if (!this.options.enableRequestQueue) {
+      logger.info('Request queue disabled');
+      return;
+    }
+
+    // 重設佇列統計
+    this.queueStats.totalQueued = 0;
+    this.queueStats.totalProcessed = 0;
+    this.queueStats.totalCompleted = 0;
+    this.queueStats.totalFailed = 0;
+    this.queueStats.averageWaitTime = 0;
+    this.queueStats.averageProcessingTime = 0;
+
+    // 初始化佇列大小統計
+    QUEUE_CONFIG.priorityLevels.forEach(priority => {
+      this.queueStats.queueSizes[priority] = 0;
+    });
+
+    // 啟動背景處理器
+    this._startBackgroundProcessor();
+
+    logger.info('Request queue system initialized', {
+      maxQueueSize: QUEUE_CONFIG.maxQueueSize,
+      batchSize: QUEUE_CONFIG.batchSize,
+      maxConcurrency: QUEUE_CONFIG.maxConcurrency,
+      backgroundProcessingInterval: QUEUE_CONFIG.backgroundProcessingInterval,
+    });
+  }
+
+  /**
+   * 啟動背景處理器
+   */
+  _startBackgroundProcessor() {
+    if (this.backgroundProcessorInterval) {
+      clearInterval(this.backgroundProcessorInterval);
+    }
+
+    this.backgroundProcessorInterval = setInterval(() => {
+      this.maintainSharedQueue();
+      this._processBackgroundQueue();
+    }, QUEUE_CONFIG.backgroundProcessingInterval);
+
+    logger.debug('Background processor started');
+  }
+
+  /**
+   * 處理背景佇列
+   */
+  async _processBackgroundQueue() {
+    if (this.batchProcessing.isProcessing) {
+      return;
+    }
+
+    const backgroundQueue = this.requestQueue.background;
+    if (backgroundQueue.length === 0) {
+      return;
+    }
+
+    const batchSize = Math.min(QUEUE_CONFIG.batchSize, backgroundQueue.length);
+    const batch = backgroundQueue.splice(0, batchSize);
+
+    if (batch.length > 0) {
+      logger.debug(`Processing background batch of ${batch.length} requests`);
+      await this._processBatch(batch, PRIORITY_LEVELS.BACKGROUND);
+    }
+  }
+
+  /**
+   * 新增請求到佇列
+   */
+  async _enqueueRequest(request) {
+    const priority = request.priority || PRIORITY_LEVELS.MEDIUM;
+    const queue = this.requestQueue[priority];
+
+    if (!queue) {
+      throw new Error(`Invalid priority level: ${priority}`);
+    }
+
+    // 檢查佇列大小限制
+    const totalQueueSize = Object.values(this.requestQueue).reduce((sum, q) => sum + q.length, 0);
+
+    if (totalQueueSize >= QUEUE_CONFIG.maxQueueSize) {
+      throw new Error(`Queue full: ${totalQueueSize}/${QUEUE_CONFIG.maxQueueSize}`);
+    }
+
+    // 添加到佇列，背景請求同時保存到 Redis 以便重新啟動後繼續處理
+    request.queuedAt = Date.now();
+    queue.push(request);
+    if (priority === PRIORITY_LEVELS.BACKGROUND) {
+      await this.persistBackgroundJob(request);
+    }
+
+    // 更新統計
+    this.queueStats.totalQueued++;
+    this.queueStats.queueSizes[priority]++;
+
+    logger.debug(`Request queued with priority ${priority}`, {
+      queueSize: queue.length,
+      totalQueueSize: totalQueueSize + 1,
+    });
+
+    return request;
+  }
+
+  /**
+   * 從佇列中獲取下一個請求
+   */
+  _dequeueRequest() {
+    // 按優先級順序處理
+    for (const priority of QUEUE_CONFIG.priorityLevels) {
+      const queue = this.requestQueue[priority];
+      if (queue.length > 0) {
+        const request = queue.shift();
+        this.queueStats.queueSizes[priority]--;
+        return request;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 處理批次請求
+   */
+  async _processBatch(batch, priority) {
+    if (batch.length === 0) {
+      return;
+    }
+
+    this.batchProcessing.isProcessing = true;
+    this.batchProcessing.currentBatch = batch;
+    this.batchProcessing.lastProcessTime = Date.now();
+
+    const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const batchStartTime = Date.now();
+
+    logger.info(`Processing batch ${batchId}`, {
+      batchSize: batch.length,
+      priority,
+      concurrentRequests: this.batchProcessing.concurrentRequests,
+    });
+
+    try {
+      // 更新批次統計
+      this.queueStats.batchStats.totalBatches++;
+      this.queueStats.batchStats.averageBatchSize =
+        (this.queueStats.batchStats.averageBatchSize *
+          (this.queueStats.batchStats.totalBatches - 1) +
+          batch.length) /
+        this.queueStats.batchStats.totalBatches;
+
+      // 控制並發數量
+      const concurrencyLimit = Math.min(
+        QUEUE_CONFIG.maxConcurrency - this.batchProcessing.concurrentRequests,
+        batch.length
+      );
+
+      const processingPromises = [];
+      for (let i = 0; i < concurrencyLimit; i++) {
+        if (batch[i]) {
+          processingPromises.push(this._processQueuedRequest(batch[i]));
+        }
+      }
+
+      const results = await Promise.allSettled(processingPromises);
+      const successCount = results.filter(r => r.status === 'fulfilled').length;
+      const failureCount = results.filter(r => r.status === 'rejected').length;
+
+      // 更新統計
+      this.queueStats.totalProcessed += batch.length;
       this.queueStats.totalCompleted += successCount;
       this.queueStats.totalFailed += failureCount;
 
@@ -1514,6 +2256,7 @@ class GoogleAIService {
       throw error;
     } finally {
       this.batchProcessing.concurrentRequests--;
+      await this.removeBackgroundJob(request);
     }
   }
 
@@ -1532,6 +2275,25 @@ class GoogleAIService {
     const priority = options.priority || PRIORITY_LEVELS.MEDIUM;
     const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
+    // 快取命中時不需排隊
+    if (this.isResponseCacheEnabled(options) && typeof prompt === 'string' && prompt.trim()) {
+      const cachedText = await this.readResponseCache(
+        this.buildResponseCacheKey(prompt, options),
+      );
+      if (cachedText !== null) {
+        this.recordCacheHit(prompt, cachedText);
+        return cachedText;
+      }
+    }
+
+    // 超過用戶配額的請求不進入佇列；預留的額度在排隊期間保留
+    if (this.needsUserQuota(options)) {
+      return this.withUserQuota(options, (reservedOptions) => (
+        this.generateContentWithQueue(prompt, reservedOptions)
+      ));
+    }
+    await this.checkServiceBudget();
+
     // 如果未啟用佇列，直接調用原始方法
     if (!this.options.enableRequestQueue) {
       return await this.generateContent(prompt, options);
@@ -1798,6 +2560,7 @@ class GoogleAIService {
     const rateLimitStatus = await this.getCurrentRateLimitStatus();
 
     const healthStatus = {
+      provider: this.providerName,
       overall: 'healthy',
       timestamp: new Date().toISOString(),
       keys: {
@@ -1867,8 +2630,7 @@ class GoogleAIService {
    */
   async addApiKey(apiKey) {
     try {
-      const client = new GoogleGenerativeAI(apiKey);
-      const model = client.getGenerativeModel({ model: 'gemini-pro' });
+      const { client, model } = this.createModelClient(apiKey);
 
       // 測試金鑰是否有效
       await model.generateContent('Test');
@@ -2057,7 +2819,7 @@ class GoogleAIService {
     if (this.options.useRedis) {
       try {
         // 清除 Redis 中的速率限制資料
-        const keys = await redisConnection.keys('google_ai_*');
+        const keys = await redisConnection.keys(`${this.providerName}_ai_*`);
         if (keys.length > 0) {
           await redisConnection.del(...keys);
         }
@@ -2287,25 +3049,70 @@ class GoogleAIService {
   }
 
   /**
-   * 計算請求成本
+   * 估算文字的 token 數（CJK 字元約一字一 token，其餘依 estimatedCharsPerToken 估算）
    */
-  _calculateRequestCost(prompt, response) {
-    const inputChars = prompt.length;
-    const outputChars = response ? response.length : 0;
-    const totalChars = inputChars + outputChars;
+  // eslint-disable-next-line class-methods-use-this
+  estimateTokens(text) {
+    if (!text) {
+      return 0;
+    }
+    const cjkChars = (text.match(/[\u3000-\u9fff\uf900-\ufaff\uff00-\uffef]/g) || []).length;
+    const otherChars = text.length - cjkChars;
+    return cjkChars + Math.ceil(otherChars / COST_CONFIG.estimatedCharsPerToken);
+  }
 
-    const cost = (totalChars / 1000) * COST_CONFIG.costPerThousandChars;
+  /**
+   * 取得模型價格，未列於價格表的模型使用預設模型價格
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getModelPricing(model) {
+    const pricing = COST_CONFIG.modelPricing[model];
+    if (pricing) {
+      return pricing;
+    }
+    logger.warn(`No pricing configured for model ${model}, using ${DEFAULT_MODEL} pricing`);
+    return COST_CONFIG.modelPricing[DEFAULT_MODEL];
+  }
+
+  /**
+   * 計算請求成本
+   * 優先使用模型回傳的 usageMetadata token 數，缺少時以文字估算並標記 estimated
+   */
+  _calculateRequestCost(prompt, response, usageMetadata = null, model = this.options.model) {
+    const inputChars = prompt.length;
+    const outputChars = response ? response.length : 0;
+    const totalChars = inputChars + outputChars;
+
+    const hasUsage = Boolean(usageMetadata && Number.isFinite(usageMetadata.promptTokenCount));
+    const inputTokens = hasUsage ? usageMetadata.promptTokenCount : this.estimateTokens(prompt);
+    const outputTokens = hasUsage
+      ? usageMetadata.candidatesTokenCount || 0
+      : this.estimateTokens(response);
+
+    const pricing = this.getModelPricing(model);
+    const inputCost = (inputTokens / 1000000) * pricing.inputPerMillionTokens;
+    const outputCost = (outputTokens / 1000000) * pricing.outputPerMillionTokens;
+    const cost = inputCost + outputCost;
 
     logger.debug('Request cost calculated', {
-      inputChars,
-      outputChars,
-      totalChars,
+      model,
+      inputTokens,
+      outputTokens,
+      inputCost,
+      outputCost,
       cost,
-      costPerThousandChars: COST_CONFIG.costPerThousandChars,
+      estimated: !hasUsage,
     });
 
     return {
       cost,
+      inputCost,
+      outputCost,
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens,
+      estimated: !hasUsage,
+      model,
       inputChars,
       outputChars,
       totalChars,
@@ -2313,14 +3120,84 @@ class GoogleAIService {
   }
 
   /**
-   * 更新成本追蹤
+   * 累加成本分類統計
    */
-  _updateCostTracking(costInfo, priority) {
-    const now = new Date();
+  // eslint-disable-next-line class-methods-use-this
+  addCostBreakdown(breakdown, key, costInfo) {
+    const bucket = breakdown[key] || {
+      requests: 0,
+      cost: 0,
+      inputCost: 0,
+      outputCost: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+    };
+    bucket.requests += 1;
+    bucket.cost += costInfo.cost;
+    bucket.inputCost += costInfo.inputCost;
+    bucket.outputCost += costInfo.outputCost;
+    bucket.inputTokens += costInfo.inputTokens;
+    bucket.outputTokens += costInfo.outputTokens;
+    // eslint-disable-next-line no-param-reassign
+    breakdown[key] = bucket;
+  }
+
+  /**
+   * 是否需要為這次呼叫預留用戶配額
+   * 未帶 userId 的系統呼叫不受限制；已帶 quotaReservation 表示外層呼叫已預留（例如佇列、
+   * 結構化輸出的重新提示），整個呼叫只算一次請求
+   */
+  // eslint-disable-next-line class-methods-use-this
+  needsUserQuota(options = {}) {
+    return Boolean(options.userId) && !options.quotaReservation;
+  }
+
+  /**
+   * 預留呼叫者的一次請求額度後執行 task，超過配額時拋出 AI_QUOTA_EXCEEDED（statusCode 429）
+   * task 沒有計入任何成本就結束（失敗、快取命中）時釋放預留
+   * @param {Object} options - 呼叫選項
+   * @param {Function} task - 接收帶有 quotaReservation 的選項
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async withUserQuota(options, task) {
+    const quotaReservation = await aiQuotaService.reserve(options.userId, options.userRole);
+    try {
+      return await task({ ...options, quotaReservation });
+    } finally {
+      await aiQuotaService.release(quotaReservation);
+    }
+  }
+
+  /**
+   * 將成本計入呼叫者預留的額度
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async recordUserUsage(options = {}, cost = 0) {
+    if (!options.quotaReservation) {
+      return;
+    }
+    await aiQuotaService.charge(options.quotaReservation, cost);
+  }
+
+  /**
+   * 依 token 用量計價，更新成本追蹤並計入呼叫者的額度
+   */
+  async recordRequestCost(prompt, text, usageMetadata, options = {}) {
+    // eslint-disable-next-line no-underscore-dangle
+    const costInfo = this._calculateRequestCost(prompt, text, usageMetadata);
+    // eslint-disable-next-line no-underscore-dangle
+    this._updateCostTracking(costInfo, options.priority || PRIORITY_LEVELS.MEDIUM, options.caller);
+    await this.persistCostTracking(costInfo);
+    await this.recordUserUsage(options, costInfo.cost);
+    return costInfo;
+  }
+
+  /**
+   * 跨日或跨月時重設每日與每月統計
+   */
+  resetCostPeriods(now = new Date()) {
     const currentDateString = now.toDateString();
     const currentMonth = now.getMonth();
-    const currentHour = now.getHours();
-    const currentDay = now.getDay();
 
     // 檢查是否需要重設每日統計
     if (this.costTracking.lastDailyReset !== currentDateString) {
@@ -2339,6 +3216,17 @@ class GoogleAIService {
       this.usageStats.monthlyRequests = 0;
       logger.info('Monthly cost tracking reset');
     }
+  }
+
+  /**
+   * 更新成本追蹤
+   */
+  _updateCostTracking(costInfo, priority, caller = 'unknown') {
+    const now = new Date();
+    const currentHour = now.getHours();
+    const currentDay = now.getDay();
+
+    this.resetCostPeriods(now);
 
     // 更新成本追蹤
     this.costTracking.totalCost += costInfo.cost;
@@ -2347,6 +3235,14 @@ class GoogleAIService {
     this.costTracking.totalCharacters += costInfo.totalChars;
     this.costTracking.dailyCharacters += costInfo.totalChars;
     this.costTracking.monthlyCharacters += costInfo.totalChars;
+    this.costTracking.inputTokens += costInfo.inputTokens;
+    this.costTracking.outputTokens += costInfo.outputTokens;
+    this.costTracking.totalTokens += costInfo.totalTokens;
+
+    // 依模型、優先級與呼叫來源分類
+    this.addCostBreakdown(this.costTracking.costByModel, costInfo.model, costInfo);
+    this.addCostBreakdown(this.costTracking.costByPriority, priority, costInfo);
+    this.addCostBreakdown(this.costTracking.costByCaller, caller, costInfo);
 
     // 更新使用量統計
     this.usageStats.totalRequests++;
@@ -2369,7 +3265,14 @@ class GoogleAIService {
     // 添加到成本歷史
     this.costTracking.costHistory.push({
       timestamp: now.toISOString(),
+      model: costInfo.model,
+      caller,
       cost: costInfo.cost,
+      inputCost: costInfo.inputCost,
+      outputCost: costInfo.outputCost,
+      inputTokens: costInfo.inputTokens,
+      outputTokens: costInfo.outputTokens,
+      estimated: costInfo.estimated,
       characters: costInfo.totalChars,
       priority,
       dailyTotal: this.costTracking.dailyCost,
@@ -2486,6 +3389,585 @@ class GoogleAIService {
     return { allowed: true };
   }
 
+  /**
+   * 檢查服務整體預算，超過時拋出 BUDGET_EXCEEDED
+   * 先同步其他實例累計的成本，讓所有實例共用同一份預算
+   */
+  async checkServiceBudget() {
+    await this.syncSharedCostTracking();
+
+    // eslint-disable-next-line no-underscore-dangle
+    const budget = this._canProcessRequest();
+    if (!budget.allowed) {
+      const error = new Error(`Budget exceeded: ${budget.reason}`);
+      error.code = 'BUDGET_EXCEEDED';
+      error.details = budget.details;
+      throw error;
+    }
+  }
+
+  /**
+   * 是否以 Redis 保存跨實例共享狀態
+   */
+  isSharedStateEnabled() {
+    return Boolean(
+      this.options.enableSharedState
+      && this.options.useRedis
+      && redisConnection
+      && redisConnection.isConnected,
+    );
+  }
+
+  /**
+   * 生成共享狀態 Redis 鍵
+   */
+  sharedStateKey(...parts) {
+    return `${SHARED_STATE_CONFIG.keyPrefix}${this.providerName}:${parts.join(':')}`;
+  }
+
+  /**
+   * 共享成本計數的 Redis 鍵（每日與每月計數依本地時間分期，與成本追蹤的重設時間一致）
+   */
+  sharedCostKey(counter, now = new Date()) {
+    const periods = {
+      total: 'total',
+      day: `day:${now.getFullYear()}-${now.getMonth()}-${now.getDate()}`,
+      month: `month:${now.getFullYear()}-${now.getMonth()}`,
+    };
+    return this.sharedStateKey('cost', counter.metric, periods[counter.scope]);
+  }
+
+  /**
+   * 記錄共享狀態讀寫失敗；Redis 異常時沿用本實例的統計，不影響請求
+   */
+  handleSharedStateError(operation, error) {
+    this.sharedState.errors += 1;
+    logger.warn(`Shared AI state ${operation} failed, using local state`, {
+      provider: this.providerName,
+      error: error.message,
+    });
+  }
+
+  /**
+   * 套用所有實例的累計數值
+   * 計數只增不減，避免並行請求較晚回傳的舊總數覆蓋較新的值
+   */
+  applySharedCostTotals(totals) {
+    SHARED_COST_COUNTERS.forEach((counter, index) => {
+      const target = this[counter.target];
+      target[counter.field] = Math.max(target[counter.field], Number(totals[index]) || 0);
+    });
+
+    this.usageStats.averageRequestSize = this.usageStats.totalRequests > 0
+      ? this.costTracking.totalCharacters / this.usageStats.totalRequests
+      : 0;
+    this.usageStats.costEfficiency = this.costTracking.totalCost > 0
+      ? this.costTracking.totalCharacters / this.costTracking.totalCost
+      : 0;
+
+    // eslint-disable-next-line no-underscore-dangle
+    this._checkBudgetStatus();
+  }
+
+  /**
+   * 以原子遞增累計所有實例的成本與用量，並同步回本實例
+   */
+  async persistCostTracking(costInfo) {
+    if (!this.isSharedStateEnabled()) {
+      return;
+    }
+
+    const now = new Date();
+    try {
+      const totals = await Promise.all(
+        SHARED_COST_COUNTERS.map(async (counter) => {
+          const key = this.sharedCostKey(counter, now);
+          const total = await redisConnection.incrByFloat(
+            key,
+            SHARED_COST_INCREMENTS[counter.metric](costInfo),
+          );
+          if (counter.scope !== 'total') {
+            await redisConnection.expire(
+              key,
+              counter.scope === 'day'
+                ? SHARED_STATE_CONFIG.dailyTtl
+                : SHARED_STATE_CONFIG.monthlyTtl,
+            );
+          }
+          return total;
+        }),
+      );
+
+      this.applySharedCostTotals(totals);
+      this.sharedState.lastSyncedAt = Date.now();
+    } catch (error) {
+      this.handleSharedStateError('cost update', error);
+    }
+  }
+
+  /**
+   * 讀取其他實例累計的成本（間隔內不重複讀取）
+   */
+  async syncSharedCostTracking(force = false) {
+    if (!this.isSharedStateEnabled()) {
+      return;
+    }
+
+    const { lastSyncedAt } = this.sharedState;
+    if (!force && lastSyncedAt && Date.now() - lastSyncedAt < SHARED_STATE_CONFIG.syncInterval) {
+      return;
+    }
+
+    const now = new Date();
+    try {
+      const totals = await Promise.all(
+        SHARED_COST_COUNTERS.map(
+          (counter) => redisConnection.get(this.sharedCostKey(counter, now)),
+        ),
+      );
+
+      this.resetCostPeriods(now);
+      this.applySharedCostTotals(totals);
+      this.sharedState.lastSyncedAt = Date.now();
+    } catch (error) {
+      this.handleSharedStateError('cost sync', error);
+    }
+  }
+
+  /**
+   * 累計所有實例的錯誤次數
+   */
+  async persistErrorStats(errorInfo) {
+    if (!this.isSharedStateEnabled()) {
+      return;
+    }
+
+    try {
+      const [totalErrors, typeErrors] = await Promise.all([
+        redisConnection.incr(this.sharedStateKey('errors', 'total')),
+        redisConnection.incr(this.sharedStateKey('errors', errorInfo.type)),
+      ]);
+
+      this.errorStats.totalErrors = Math.max(this.errorStats.totalErrors, totalErrors);
+      this.errorStats.errorsByType[errorInfo.type] = Math.max(
+        this.errorStats.errorsByType[errorInfo.type] || 0,
+        typeErrors,
+      );
+    } catch (error) {
+      this.handleSharedStateError('error stats update', error);
+    }
+  }
+
+  /**
+   * 金鑰的共享識別碼（金鑰雜湊，各實例的金鑰順序不同時仍對應同一組統計）
+   */
+  getKeyFingerprint(keyIndex) {
+    return crypto.createHash('sha256').update(this.apiKeys[keyIndex]).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * 累計所有實例對同一金鑰的請求次數
+   */
+  async persistKeyStats(keyIndex, success) {
+    const stats = this.keyStats.get(keyIndex);
+    if (!stats || !this.isSharedStateEnabled()) {
+      return;
+    }
+
+    const fingerprint = this.getKeyFingerprint(keyIndex);
+    const outcome = success ? 'successfulRequests' : 'failedRequests';
+    try {
+      const [totalRequests, outcomeRequests] = await Promise.all([
+        redisConnection.incr(this.sharedStateKey('keys', fingerprint, 'totalRequests')),
+        redisConnection.incr(this.sharedStateKey('keys', fingerprint, outcome)),
+      ]);
+
+      stats.totalRequests = Math.max(stats.totalRequests, totalRequests);
+      stats[outcome] = Math.max(stats[outcome], outcomeRequests);
+    } catch (error) {
+      this.handleSharedStateError('key stats update', error);
+    }
+  }
+
+  /**
+   * 載入所有實例累計的成本、錯誤與金鑰統計，並接手已停止實例的背景請求
+   */
+  async loadSharedState() {
+    if (!this.isSharedStateEnabled()) {
+      return;
+    }
+
+    try {
+      await this.syncSharedCostTracking(true);
+
+      const errorTypes = Object.values(ERROR_TYPES);
+      const [totalErrors, ...typeErrors] = await Promise.all(
+        ['total', ...errorTypes].map(
+          (type) => redisConnection.get(this.sharedStateKey('errors', type)),
+        ),
+      );
+      this.errorStats.totalErrors = Math.max(this.errorStats.totalErrors, Number(totalErrors) || 0);
+      errorTypes.forEach((type, index) => {
+        this.errorStats.errorsByType[type] = Math.max(
+          this.errorStats.errorsByType[type] || 0,
+          Number(typeErrors[index]) || 0,
+        );
+      });
+
+      await Promise.all(
+        Array.from(this.keyStats.entries()).map(async ([keyIndex, stats]) => {
+          const fingerprint = this.getKeyFingerprint(keyIndex);
+          const fields = ['totalRequests', 'successfulRequests', 'failedRequests'];
+          const values = await Promise.all(
+            fields.map(
+              (field) => redisConnection.get(this.sharedStateKey('keys', fingerprint, field)),
+            ),
+          );
+          Object.assign(stats, Object.fromEntries(fields.map(
+            (field, index) => [field, Math.max(stats[field], Number(values[index]) || 0)],
+          )));
+        }),
+      );
+
+      await this.maintainSharedQueue(true);
+    } catch (error) {
+      this.handleSharedStateError('load', error);
+    }
+  }
+
+  /**
+   * 背景請求的 Redis 鍵
+   */
+  backgroundJobKey(requestId = '') {
+    return this.sharedStateKey('queue', PRIORITY_LEVELS.BACKGROUND, requestId);
+  }
+
+  /**
+   * 保存背景請求，僅保留可序列化的提示詞與選項
+   */
+  async persistBackgroundJob(request) {
+    if (!this.isSharedStateEnabled()) {
+      return;
+    }
+
+    try {
+      const job = {
+        id: request.id,
+        prompt: request.prompt,
+        options: JSON.parse(JSON.stringify(request.options || {})),
+        instanceId: this.instanceId,
+        createdAt: request.createdAt || request.queuedAt,
+      };
+      await redisConnection.set(this.backgroundJobKey(request.id), job, {
+        ttl: SHARED_STATE_CONFIG.backgroundJobTtl,
+      });
+      request.persisted = true;
+    } catch (error) {
+      this.handleSharedStateError('background job save', error);
+    }
+  }
+
+  /**
+   * 背景請求處理完成（成功或失敗）後移除保存的紀錄
+   */
+  async removeBackgroundJob(request) {
+    if (!request.persisted) {
+      return;
+    }
+
+    try {
+      await redisConnection.delete(this.backgroundJobKey(request.id));
+      request.persisted = false;
+    } catch (error) {
+      this.handleSharedStateError('background job removal', error);
+    }
+  }
+
+  /**
+   * 更新本實例心跳，並接手心跳已過期實例留下的背景請求
+   * 依心跳存活時間的三分之一為間隔執行
+   */
+  async maintainSharedQueue(force = false) {
+    if (!this.options.enableRequestQueue || !this.isSharedStateEnabled()) {
+      return;
+    }
+
+    const { lastHeartbeatAt } = this.sharedState;
+    const heartbeatInterval = (SHARED_STATE_CONFIG.instanceTtl * 1000) / 3;
+    if (!force && lastHeartbeatAt && Date.now() - lastHeartbeatAt < heartbeatInterval) {
+      return;
+    }
+
+    try {
+      await redisConnection.set(this.sharedStateKey('instances', this.instanceId), Date.now(), {
+        ttl: SHARED_STATE_CONFIG.instanceTtl,
+      });
+      this.sharedState.lastHeartbeatAt = Date.now();
+
+      await this.restoreBackgroundJobs();
+    } catch (error) {
+      this.handleSharedStateError('queue maintenance', error);
+    }
+  }
+
+  /**
+   * 將已停止實例留下的背景請求加入本實例的佇列
+   * 以 SET NX 認領鍵確保多個實例同時接手時只有一個會執行；加入佇列時以本實例身分重新保存，
+   * 加入失敗（例如佇列已滿）時保留原紀錄並釋放認領，留待下次維護再處理。
+   * 原呼叫者已不存在，結果寫入回應快取並記錄在日誌中
+   */
+  async restoreBackgroundJobs() {
+    const prefix = this.backgroundJobKey();
+    const keys = (await redisConnection.scan(`${prefix}*`)).filter((key) => key.startsWith(prefix));
+
+    // 各請求以獨立的認領鍵接手，可同時處理
+    const results = await Promise.all(
+      keys.map((key) => this.restoreBackgroundJob(key).catch((error) => {
+        logger.warn('Failed to restore background request', { key, error: error.message });
+        return false;
+      })),
+    );
+    const restored = results.filter(Boolean).length;
+
+    if (restored > 0) {
+      this.sharedState.restoredJobs += restored;
+      logger.info(`Restored ${restored} background requests from stopped instances`);
+    }
+    return restored;
+  }
+
+  /**
+   * 接手單一背景請求，返回是否已加入本實例的佇列
+   */
+  async restoreBackgroundJob(key) {
+    const job = await redisConnection.get(key);
+    if (!job || job.instanceId === this.instanceId) {
+      return false;
+    }
+
+    const ownerAlive = await redisConnection.exists(
+      this.sharedStateKey('instances', job.instanceId),
+    );
+    if (ownerAlive) {
+      return false;
+    }
+
+    const claimKey = this.sharedStateKey('claims', job.id);
+    const claimed = await redisConnection.setIfNotExists(claimKey, this.instanceId, {
+      ttl: SHARED_STATE_CONFIG.instanceTtl,
+    });
+    if (!claimed) {
+      return false;
+    }
+
+    try {
+      // 背景請求加入佇列時會以本實例身分覆寫原紀錄，處理完成後才刪除
+      // eslint-disable-next-line no-underscore-dangle
+      await this._enqueueRequest({
+        id: job.id,
+        prompt: job.prompt,
+        options: job.options,
+        priority: PRIORITY_LEVELS.BACKGROUND,
+        createdAt: job.createdAt,
+        recovered: true,
+        resolve: () => {
+          logger.info('Recovered background request completed', { requestId: job.id });
+        },
+        reject: (error) => {
+          logger.warn('Recovered background request failed', {
+            requestId: job.id,
+            error: error.message,
+          });
+        },
+      });
+    } catch (error) {
+      await redisConnection.delete(claimKey);
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+   * 組合送往模型的請求，有 generationConfig 時改用完整請求格式
+   */
+  // eslint-disable-next-line class-methods-use-this
+  buildGenerateRequest(prompt, options = {}) {
+    if (!options.generationConfig) {
+      return prompt;
+    }
+    return {
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: options.generationConfig,
+    };
+  }
+
+  /**
+   * 檢查此請求是否使用回應快取
+   */
+  isResponseCacheEnabled(options = {}) {
+    return Boolean(this.options.enableResponseCache) && options.cache !== false;
+  }
+
+  /**
+   * 以提示詞、模型與 generationConfig 產生內容定址的快取鍵
+   */
+  buildResponseCacheKey(prompt, options = {}) {
+    const generationConfig = options.generationConfig || {};
+    const hash = crypto
+      .createHash('sha256')
+      .update(
+        JSON.stringify({
+          prompt,
+          model: this.options.model,
+          generationConfig: JSON.stringify(generationConfig, Object.keys(generationConfig).sort()),
+        }),
+      )
+      .digest('hex');
+
+    return `${RESPONSE_CACHE_CONFIG.keyPrefix}${hash}`;
+  }
+
+  /**
+   * 讀取快取回應，未命中或讀取失敗時回傳 null
+   */
+  async readResponseCache(cacheKey) {
+    if (this.options.useRedis) {
+      try {
+        const cached = await redisConnection.get(cacheKey);
+        return typeof cached === 'string' ? cached : null;
+      } catch (error) {
+        this.responseCacheStats.errors += 1;
+        logger.warn('Failed to read response cache from Redis', { error: error.message });
+        return null;
+      }
+    }
+
+    const entry = memoryCache.get(cacheKey);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      memoryCache.delete(cacheKey);
+      return null;
+    }
+    return entry.value;
+  }
+
+  /**
+   * 寫入快取回應，Redis 寫入失敗時改存記憶體
+   */
+  async writeResponseCache(cacheKey, text, ttlSeconds = RESPONSE_CACHE_CONFIG.ttlSeconds) {
+    if (this.options.useRedis) {
+      try {
+        await redisConnection.set(cacheKey, text, { ttl: ttlSeconds });
+        this.responseCacheStats.writes += 1;
+        return;
+      } catch (error) {
+        this.responseCacheStats.errors += 1;
+        logger.warn('Failed to write response cache to Redis, using memory cache', {
+          error: error.message,
+        });
+      }
+    }
+
+    memoryCache.set(cacheKey, { value: text, expiresAt: Date.now() + ttlSeconds * 1000 });
+    this.responseCacheStats.writes += 1;
+
+    // 超過上限時淘汰最早寫入的回應
+    const responseKeys = Array.from(memoryCache.keys())
+      .filter((key) => key.startsWith(RESPONSE_CACHE_CONFIG.keyPrefix));
+    responseKeys
+      .slice(0, Math.max(responseKeys.length - RESPONSE_CACHE_CONFIG.maxMemoryEntries, 0))
+      .forEach((key) => memoryCache.delete(key));
+  }
+
+  /**
+   * 記錄快取命中並累計節省的成本
+   */
+  recordCacheHit(prompt, text) {
+    // eslint-disable-next-line no-underscore-dangle
+    const costInfo = this._calculateRequestCost(prompt, text);
+    this.responseCacheStats.hits += 1;
+    this.responseCacheStats.savedCost += costInfo.cost;
+    this.responseCacheStats.savedCharacters += costInfo.totalChars;
+    this.responseCacheStats.savedTokens += costInfo.totalTokens;
+
+    logger.debug('Response cache hit', {
+      promptLength: prompt.length,
+      savedCost: costInfo.cost,
+    });
+  }
+
+  /**
+   * 經由回應快取生成內容，合併進行中的相同請求
+   */
+  async generateContentCached(prompt, options = {}) {
+    const cacheKey = this.buildResponseCacheKey(prompt, options);
+
+    const inFlight = this.inFlightRequests.get(cacheKey);
+    if (inFlight) {
+      this.responseCacheStats.deduplicated += 1;
+      logger.debug('Joined in-flight identical request', { promptLength: prompt.length });
+      return inFlight;
+    }
+
+    const request = (async () => {
+      const cachedText = await this.readResponseCache(cacheKey);
+      if (cachedText !== null) {
+        this.recordCacheHit(prompt, cachedText);
+        return cachedText;
+      }
+
+      this.responseCacheStats.misses += 1;
+      const text = await this.generateContent(prompt, { ...options, cache: false });
+      await this.writeResponseCache(cacheKey, text, options.cacheTtl);
+      return text;
+    })();
+
+    this.inFlightRequests.set(cacheKey, request);
+    try {
+      return await request;
+    } finally {
+      this.inFlightRequests.delete(cacheKey);
+    }
+  }
+
+  /**
+   * 獲取回應快取統計
+   */
+  getResponseCacheStatistics() {
+    const { hits, misses, deduplicated } = this.responseCacheStats;
+    const lookups = hits + misses + deduplicated;
+
+    return {
+      enabled: Boolean(this.options.enableResponseCache),
+      store: this.options.useRedis ? 'redis' : 'memory',
+      ttlSeconds: RESPONSE_CACHE_CONFIG.ttlSeconds,
+      ...this.responseCacheStats,
+      inFlight: this.inFlightRequests.size,
+      hitRate: lookups > 0 ? (hits + deduplicated) / lookups : 0,
+    };
+  }
+
+  /**
+   * 清除回應快取
+   */
+  async clearResponseCache() {
+    if (this.options.useRedis) {
+      try {
+        const keys = await redisConnection.keys(`${RESPONSE_CACHE_CONFIG.keyPrefix}*`);
+        if (keys.length > 0) {
+          await redisConnection.del(...keys);
+        }
+      } catch (error) {
+        logger.error('Failed to clear Redis response cache', { error: error.message });
+      }
+    }
+    clearMemoryResponseCache();
+
+    logger.info('Response cache cleared');
+  }
+
   /**
    * 獲取成本統計
    */
@@ -2497,6 +3979,16 @@ class GoogleAIService {
       totalCharacters: this.costTracking.totalCharacters,
       dailyCharacters: this.costTracking.dailyCharacters,
       monthlyCharacters: this.costTracking.monthlyCharacters,
+      tokens: {
+        input: this.costTracking.inputTokens,
+        output: this.costTracking.outputTokens,
+        total: this.costTracking.totalTokens,
+      },
+      breakdown: {
+        byModel: this.cloneBreakdown(this.costTracking.costByModel),
+        byPriority: this.cloneBreakdown(this.costTracking.costByPriority),
+        byCaller: this.cloneBreakdown(this.costTracking.costByCaller),
+      },
       budgetStatus: {
         isOverBudget: this.costTracking.isOverBudget,
         isBudgetWarning: this.costTracking.isBudgetWarning,
@@ -2506,12 +3998,38 @@ class GoogleAIService {
       configuration: {
         dailyBudget: COST_CONFIG.dailyBudget,
         monthlyBudget: COST_CONFIG.monthlyBudget,
-        costPerThousandChars: COST_CONFIG.costPerThousandChars,
+        model: this.options.model,
+        modelPricing: { ...COST_CONFIG.modelPricing },
         budgetWarningThreshold: COST_CONFIG.budgetWarningThreshold,
       },
+      cacheSavings: {
+        cacheHits: this.responseCacheStats.hits,
+        deduplicatedRequests: this.responseCacheStats.deduplicated,
+        savedCost: this.responseCacheStats.savedCost,
+        savedCharacters: this.responseCacheStats.savedCharacters,
+        savedTokens: this.responseCacheStats.savedTokens,
+      },
+      // 總額與每日、每月數值為所有實例的累計；分類與歷史僅含本實例
+      sharedState: {
+        enabled: this.isSharedStateEnabled(),
+        instanceId: this.instanceId,
+        lastSyncedAt: this.sharedState.lastSyncedAt,
+        restoredJobs: this.sharedState.restoredJobs,
+        errors: this.sharedState.errors,
+      },
     };
   }
 
+  /**
+   * 複製成本分類統計，避免外部修改內部狀態
+   */
+  // eslint-disable-next-line class-methods-use-this
+  cloneBreakdown(breakdown) {
+    return Object.fromEntries(
+      Object.entries(breakdown).map(([key, bucket]) => [key, { ...bucket }]),
+    );
+  }
+
   /**
    * 獲取使用量統計
    */
@@ -2526,14 +4044,67 @@ class GoogleAIService {
       peakUsageTime: this.usageStats.peakUsageTime,
       averageRequestSize: this.usageStats.averageRequestSize,
       costEfficiency: this.usageStats.costEfficiency,
+      cacheHits: this.responseCacheStats.hits,
+      cacheMisses: this.responseCacheStats.misses,
+      deduplicatedRequests: this.responseCacheStats.deduplicated,
+      responseCache: this.getResponseCacheStatistics(),
     };
   }
 
   /**
    * 獲取成本歷史
+   * 可依 model、priority、caller 與時間範圍過濾
    */
   getCostHistory(options = {}) {
-    const { limit = 100, startTime, endTime } = options;
+    const { limit = 100 } = options;
+    let history = this.filterCostHistory(options);
+
+    // 限制返回數量
+    if (limit > 0) {
+      history = history.slice(-limit);
+    }
+
+    return history;
+  }
+
+  /**
+   * 依 model、priority 或 caller 彙總成本歷史，供對帳使用
+   * @param {Object} options - 與 getCostHistory 相同的過濾條件，groupBy 指定分類欄位
+   * @returns {Object} { groupBy, totals, groups }，每組含 requests、cost、inputCost、outputCost、
+   *   inputTokens 與 outputTokens
+   */
+  getCostBreakdown(options = {}) {
+    const { groupBy = 'model' } = options;
+    if (!['model', 'priority', 'caller'].includes(groupBy)) {
+      throw new Error('Invalid groupBy. Must be "model", "priority" or "caller"');
+    }
+
+    const groups = {};
+    const totals = {};
+    this.filterCostHistory(options).forEach((record) => {
+      this.addCostBreakdown(groups, record[groupBy] || 'unknown', record);
+      this.addCostBreakdown(totals, 'all', record);
+    });
+
+    return {
+      groupBy,
+      totals: totals.all || {
+        requests: 0,
+        cost: 0,
+        inputCost: 0,
+        outputCost: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+      },
+      groups,
+    };
+  }
+
+  /**
+   * 依時間與分類欄位過濾成本歷史
+   */
+  filterCostHistory(options = {}) {
+    const { startTime, endTime } = options;
     let history = [...this.costTracking.costHistory];
 
     // 時間過濾
@@ -2544,10 +4115,12 @@ class GoogleAIService {
       history = history.filter(record => new Date(record.timestamp) <= new Date(endTime));
     }
 
-    // 限制返回數量
-    if (limit > 0) {
-      history = history.slice(-limit);
-    }
+    // 分類過濾
+    ['model', 'priority', 'caller'].forEach((field) => {
+      if (options[field]) {
+        history = history.filter((record) => record[field] === options[field]);
+      }
+    });
 
     return history;
   }
@@ -2582,6 +4155,12 @@ class GoogleAIService {
     this.costTracking.totalCharacters = 0;
     this.costTracking.dailyCharacters = 0;
     this.costTracking.monthlyCharacters = 0;
+    this.costTracking.inputTokens = 0;
+    this.costTracking.outputTokens = 0;
+    this.costTracking.totalTokens = 0;
+    this.costTracking.costByModel = {};
+    this.costTracking.costByPriority = {};
+    this.costTracking.costByCaller = {};
     this.costTracking.costHistory = [];
     this.costTracking.budgetAlerts = [];
     this.costTracking.isOverBudget = false;
@@ -2602,6 +4181,17 @@ class GoogleAIService {
     this.usageStats.averageRequestSize = 0;
     this.usageStats.costEfficiency = 0;
 
+    this.responseCacheStats = {
+      hits: 0,
+      misses: 0,
+      deduplicated: 0,
+      writes: 0,
+      errors: 0,
+      savedCost: 0,
+      savedCharacters: 0,
+      savedTokens: 0,
+    };
+
     logger.info('Cost statistics reset');
   }
 
@@ -2680,6 +4270,12 @@ class GoogleAIService {
   }
 }
 
+GoogleAIService.PROVIDER_NAME = 'google';
+
 module.exports = GoogleAIService;
 module.exports.ERROR_TYPES = ERROR_TYPES;
 module.exports.ERROR_RECOVERY_STRATEGIES = ERROR_RECOVERY_STRATEGIES;
+module.exports.STRUCTURED_OUTPUT_CONFIG = STRUCTURED_OUTPUT_CONFIG;
+module.exports.RESPONSE_CACHE_CONFIG = RESPONSE_CACHE_CONFIG;
+module.exports.MODEL_PRICING = MODEL_PRICING;
+module.exports.parseModelPricing = parseModelPricing;
@@ -13,8 +13,10 @@ jest.mock('../config/logger', () => ({
 // Mock the @google/generative-ai library
 jest.mock('@google/generative-ai', () => {
   const mockGenerateContent = jest.fn();
+  const mockGenerateContentStream = jest.fn();
   const mockGetGenerativeModel = jest.fn(() => ({
     generateContent: mockGenerateContent,
+    generateContentStream: mockGenerateContentStream,
   }));
   const mockGoogleGenerativeAI = jest.fn(() => ({
     getGenerativeModel: mockGetGenerativeModel,
@@ -31,6 +33,7 @@ jest.mock('@google/generative-ai', () => {
     },
     mockGetGenerativeModel,
     mockGenerateContent,
+    mockGenerateContentStream,
   };
 });
 
@@ -38,7 +41,10 @@ const {
   GoogleGenerativeAI,
   mockGetGenerativeModel,
   mockGenerateContent,
+  mockGenerateContentStream,
 } = require('@google/generative-ai');
+const { redisConnection } = require('../config/redis');
+const { aiQuotaService } = require('./aiQuotaService');
 
 describe('GoogleAIService', () => {
   const singleApiKey = 'test-api-key';
@@ -49,12 +55,16 @@ describe('GoogleAIService', () => {
     GoogleGenerativeAI.mockClear();
     mockGetGenerativeModel.mockClear();
     mockGenerateContent.mockClear();
+    mockGenerateContentStream.mockReset();
 
     // Clear environment variables
     delete process.env.GOOGLE_AI_API_KEY;
     delete process.env.GOOGLE_AI_API_KEY_1;
     delete process.env.GOOGLE_AI_API_KEY_2;
     delete process.env.GOOGLE_AI_API_KEYS;
+
+    // 避免回應快取跨測試共用
+    redisConnection.flushdb();
   });
 
   describe('constructor', () => {
@@ -457,6 +467,709 @@ describe('GoogleAIService', () => {
     });
   });
 
+  describe('response cache', () => {
+    let service;
+
+    const mockResponse = (text) => ({ response: { text: () => text } });
+
+    beforeEach(() => {
+      service = new GoogleAIService(multipleApiKeys, { enableAutoRotation: false });
+    });
+
+    it('should serve identical prompts from the cache', async () => {
+      mockGenerateContent.mockResolvedValue(mockResponse('大稻埕導覽'));
+
+      const first = await service.generateContent('describe Dadaocheng');
+      const second = await service.generateContent('describe Dadaocheng');
+
+      expect(first).toBe('大稻埕導覽');
+      expect(second).toBe('大稻埕導覽');
+      expect(mockGenerateContent).toHaveBeenCalledTimes(1);
+
+      const usage = service.getUsageStatistics();
+      expect(usage.totalRequests).toBe(1);
+      expect(usage.cacheHits).toBe(1);
+      expect(usage.cacheMisses).toBe(1);
+      expect(usage.responseCache.hitRate).toBe(0.5);
+      expect(service.getCostStatistics().cacheSavings.savedCost).toBeGreaterThan(0);
+    });
+
+    it('should key the cache on generation options', async () => {
+      mockGenerateContent.mockResolvedValue(mockResponse('response'));
+
+      await service.generateContent('prompt', { generationConfig: { temperature: 0.2 } });
+      await service.generateContent('prompt', { generationConfig: { temperature: 0.9 } });
+      await service.generateContent('prompt', { generationConfig: { temperature: 0.2 } });
+
+      expect(mockGenerateContent).toHaveBeenCalledTimes(2);
+      expect(mockGenerateContent).toHaveBeenCalledWith({
+        contents: [{ role: 'user', parts: [{ text: 'prompt' }] }],
+        generationConfig: { temperature: 0.2 },
+      });
+    });
+
+    it('should collapse concurrent identical requests into one API call', async () => {
+      let resolveResponse;
+      mockGenerateContent.mockReturnValue(
+        new Promise((resolve) => {
+          resolveResponse = resolve;
+        }),
+      );
+
+      const requests = [
+        service.generateContent('same prompt'),
+        service.generateContent('same prompt'),
+        service.generateContent('same prompt'),
+      ];
+      await new Promise((resolve) => { setImmediate(resolve); });
+      resolveResponse(mockResponse('shared'));
+
+      await expect(Promise.all(requests)).resolves.toEqual(['shared', 'shared', 'shared']);
+      expect(mockGenerateContent).toHaveBeenCalledTimes(1);
+      expect(service.getResponseCacheStatistics().deduplicated).toBe(2);
+      expect(service.inFlightRequests.size).toBe(0);
+    });
+
+    it('should not cache failed requests', async () => {
+      mockGenerateContent
+        .mockRejectedValueOnce(new Error('Invalid API key'))
+        .mockResolvedValueOnce(mockResponse('recovered'));
+
+      await expect(service.generateContent('prompt', { maxRetries: 1 })).rejects.toThrow();
+      await expect(service.generateContent('prompt')).resolves.toBe('recovered');
+    });
+
+    it('should bypass the cache when cache is false', async () => {
+      mockGenerateContent.mockResolvedValue(mockResponse('fresh'));
+
+      await service.generateContent('prompt');
+      await service.generateContent('prompt', { cache: false });
+
+      expect(mockGenerateContent).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fall back to memory and expire entries after the TTL', async () => {
+      service = new GoogleAIService(multipleApiKeys, { useRedis: false });
+      mockGenerateContent.mockResolvedValue(mockResponse('memory'));
+
+      await service.generateContent('ttl prompt', { cacheTtl: 0 });
+      await service.generateContent('ttl prompt');
+      await service.generateContent('ttl prompt');
+
+      expect(mockGenerateContent).toHaveBeenCalledTimes(2);
+      expect(service.getResponseCacheStatistics().store).toBe('memory');
+      await service.clearResponseCache();
+    });
+
+    it('should answer queued requests from the cache without queueing', async () => {
+      mockGenerateContent.mockResolvedValue(mockResponse('cached'));
+      await service.generateContent('queued prompt');
+
+      const result = await service.generateContentWithQueue('queued prompt', {
+        priority: 'background',
+      });
+
+      expect(result).toBe('cached');
+      expect(service.queueStats.totalQueued).toBe(0);
+      expect(mockGenerateContent).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('token cost accounting', () => {
+    let service;
+
+    const mockResponse = (text, usageMetadata) => ({
+      response: { text: () => text, usageMetadata },
+    });
+
+    beforeEach(() => {
+      service = new GoogleAIService(multipleApiKeys, { enableAutoRotation: false });
+    });
+
+    it('should merge valid model pricing overrides and skip invalid entries', () => {
+      const pricing = GoogleAIService.parseModelPricing(
+        JSON.stringify({
+          'gemini-2.0-flash': { inputPerMillionTokens: 0.1, outputPerMillionTokens: 0.4 },
+          'gemini-pro': { inputPerMillionTokens: '0.5', outputPerMillionTokens: 1.5 },
+          broken: null,
+        }),
+      );
+
+      expect(pricing['gemini-2.0-flash']).toEqual({
+        inputPerMillionTokens: 0.1,
+        outputPerMillionTokens: 0.4,
+      });
+      expect(pricing['gemini-pro']).toEqual(GoogleAIService.MODEL_PRICING['gemini-pro']);
+      expect(pricing).not.toHaveProperty('broken');
+    });
+
+    it('should fall back to built-in pricing when the override is malformed', () => {
+      expect(GoogleAIService.parseModelPricing('{not json')).toEqual(GoogleAIService.MODEL_PRICING);
+      expect(GoogleAIService.parseModelPricing('[1, 2]')).toEqual(GoogleAIService.MODEL_PRICING);
+      expect(GoogleAIService.parseModelPricing(undefined)).toEqual(GoogleAIService.MODEL_PRICING);
+    });
+
+    it('should price input and output tokens from usageMetadata', async () => {
+      mockGenerateContent.mockResolvedValue(
+        mockResponse('導覽內容', { promptTokenCount: 1000, candidatesTokenCount: 2000 }),
+      );
+
+      await service.generateContent('prompt', { caller: 'tour_generator' });
+
+      const [record] = service.getCostHistory();
+      expect(record).toEqual(
+        expect.objectContaining({
+          model: 'gemini-pro',
+          caller: 'tour_generator',
+          priority: 'medium',
+          inputTokens: 1000,
+          outputTokens: 2000,
+          estimated: false,
+        }),
+      );
+      expect(record.inputCost).toBeCloseTo(0.0005);
+      expect(record.outputCost).toBeCloseTo(0.003);
+      expect(service.getCostStatistics().tokens).toEqual({
+        input: 1000,
+        output: 2000,
+        total: 3000,
+      });
+    });
+
+    it('should estimate CJK text at one token per character when usage is missing', () => {
+      // eslint-disable-next-line no-underscore-dangle
+      const costInfo = service._calculateRequestCost('大稻埕老街', 'walk tour');
+
+      expect(costInfo.estimated).toBe(true);
+      expect(costInfo.inputTokens).toBe(5);
+      expect(costInfo.outputTokens).toBe(3);
+    });
+
+    it('should use the pricing of the configured model', () => {
+      const flash = new GoogleAIService(singleApiKey, { model: 'gemini-1.5-flash' });
+      const usage = { promptTokenCount: 1000000, candidatesTokenCount: 1000000 };
+
+      // eslint-disable-next-line no-underscore-dangle
+      expect(flash._calculateRequestCost('p', 'r', usage).cost).toBeCloseTo(0.375);
+      // eslint-disable-next-line no-underscore-dangle
+      expect(service._calculateRequestCost('p', 'r', usage).cost).toBeCloseTo(2.0);
+    });
+
+    it('should break down cost history by caller, model and priority', async () => {
+      mockGenerateContent.mockResolvedValue(
+        mockResponse('text', { promptTokenCount: 100, candidatesTokenCount: 100 }),
+      );
+
+      await service.generateContent('tour', { caller: 'tour_generator', priority: 'high' });
+      await service.generateContent('copy one', { caller: 'merchant_copy' });
+      await service.generateContent('copy two', { caller: 'merchant_copy' });
+
+      const byCaller = service.getCostBreakdown({ groupBy: 'caller' });
+      expect(byCaller.totals.requests).toBe(3);
+      expect(byCaller.groups.merchant_copy.requests).toBe(2);
+      expect(byCaller.groups.merchant_copy.inputTokens).toBe(200);
+      expect(byCaller.groups.tour_generator.cost).toBeCloseTo(0.0002);
+
+      expect(service.getCostHistory({ caller: 'merchant_copy' })).toHaveLength(2);
+      expect(service.getCostBreakdown({ groupBy: 'priority' }).groups.high.requests).toBe(1);
+      expect(service.getCostStatistics().breakdown.byModel['gemini-pro'].requests).toBe(3);
+      expect(() => service.getCostBreakdown({ groupBy: 'keyIndex' })).toThrow('Invalid groupBy');
+    });
+
+    it('should use streamed usageMetadata for streaming requests', async () => {
+      mockGenerateContentStream.mockResolvedValue({
+        stream: (async function* streamChunks() {
+          yield { text: () => '霞海' };
+          yield {
+            text: () => '城隍廟',
+            usageMetadata: { promptTokenCount: 40, candidatesTokenCount: 5 },
+          };
+        }()),
+      });
+
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const chunk of service.generateContentStream('narrate', {
+        caller: 'tour_narration',
+      })) {
+        expect(chunk).toBeTruthy();
+      }
+
+      const [record] = service.getCostHistory({ caller: 'tour_narration' });
+      expect(record.inputTokens).toBe(40);
+      expect(record.outputTokens).toBe(5);
+    });
+  });
+
+  describe('user AI quotas', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new GoogleAIService(multipleApiKeys, { enableAutoRotation: false });
+      mockGenerateContent.mockResolvedValue({
+        response: {
+          text: () => 'text',
+          usageMetadata: { promptTokenCount: 1000, candidatesTokenCount: 1000 },
+        },
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should record requests and cost against the caller', async () => {
+      await service.generateContent('prompt', { userId: 'user-1', userRole: 'user' });
+
+      const { usage } = await aiQuotaService.getAllowance('user-1', 'user');
+      expect(usage.dailyRequests).toBe(1);
+      expect(usage.dailyCost).toBeCloseTo(0.002);
+    });
+
+    it('should reject requests over quota before calling the model', async () => {
+      await aiQuotaService.setOverride('user-1', { dailyRequests: 1 }, 'admin-uid');
+      await service.generateContent('first', { userId: 'user-1' });
+      mockGenerateContent.mockClear();
+
+      await expect(
+        service.generateContentWithQueue('second', { userId: 'user-1' }),
+      ).rejects.toMatchObject({ statusCode: 429, code: 'AI_QUOTA_EXCEEDED' });
+      expect(mockGenerateContent).not.toHaveBeenCalled();
+    });
+
+    it('should serve cached responses without consuming quota', async () => {
+      await service.generateContent('same prompt', { userId: 'user-1' });
+      await aiQuotaService.setOverride('user-1', { dailyRequests: 1 }, 'admin-uid');
+
+      await expect(
+        service.generateContentWithQueue('same prompt', { userId: 'user-1' }),
+      ).resolves.toBe('text');
+      expect(mockGenerateContent).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not apply quotas to system calls without a userId', async () => {
+      const reserve = jest.spyOn(aiQuotaService, 'reserve');
+
+      await service.generateContent('prompt');
+
+      expect(reserve).not.toHaveBeenCalled();
+    });
+
+    it('should not let concurrent requests overshoot the request quota', async () => {
+      await aiQuotaService.setOverride('user-1', { dailyRequests: 2 }, 'admin-uid');
+
+      const results = await Promise.allSettled(
+        ['a', 'b', 'c', 'd', 'e'].map((prompt) => (
+          service.generateContent(prompt, { userId: 'user-1', cache: false })
+        )),
+      );
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(2);
+      expect(results.filter((result) => result.status === 'rejected')).toHaveLength(3);
+      const { usage } = await aiQuotaService.getAllowance('user-1', 'user');
+      expect(usage.dailyRequests).toBe(2);
+      expect(mockGenerateContent).toHaveBeenCalledTimes(2);
+    });
+
+    it('should release the reservation when the request fails', async () => {
+      const error = new Error('API key not valid');
+      error.status = 401;
+      mockGenerateContent.mockRejectedValue(error);
+
+      await expect(
+        service.generateContent('prompt', { userId: 'user-1', cache: false, maxRetries: 1 }),
+      ).rejects.toThrow();
+
+      const { usage } = await aiQuotaService.getAllowance('user-1', 'user');
+      expect(usage.dailyRequests).toBe(0);
+    });
+
+    it('should charge a structured call once across repair attempts', async () => {
+      mockGenerateContent
+        .mockResolvedValueOnce({
+          response: {
+            text: () => 'not json',
+            usageMetadata: { promptTokenCount: 1000, candidatesTokenCount: 1000 },
+          },
+        })
+        .mockResolvedValueOnce({
+          response: {
+            text: () => '{"title":"ok"}',
+            usageMetadata: { promptTokenCount: 1000, candidatesTokenCount: 1000 },
+          },
+        });
+      service = new GoogleAIService(multipleApiKeys, { enableRequestQueue: false });
+
+      await service.generateStructured(
+        'prompt',
+        { type: 'object', required: ['title'], properties: { title: { type: 'string' } } },
+        { userId: 'user-1', cache: false },
+      );
+
+      const { usage } = await aiQuotaService.getAllowance('user-1', 'user');
+      expect(usage.dailyRequests).toBe(1);
+      expect(usage.dailyCost).toBeCloseTo(0.004);
+    });
+  });
+
+  describe('shared state across instances', () => {
+    const mockResponse = (text) => ({
+      response: {
+        text: () => text,
+        usageMetadata: { promptTokenCount: 1000, candidatesTokenCount: 1000 },
+      },
+    });
+
+    const createService = async () => {
+      const service = new GoogleAIService(['key1'], { enableResponseCache: false });
+      await service.sharedStateReady;
+      return service;
+    };
+
+    it('should aggregate cost from every instance and keep it across restarts', async () => {
+      mockGenerateContent.mockResolvedValue(mockResponse('導覽內容'));
+      const first = await createService();
+      const second = await createService();
+
+      await first.generateContent('prompt one');
+      await second.generateContent('prompt two');
+
+      const cost = second.getCostStatistics();
+      expect(cost.totalCost).toBeCloseTo(0.002);
+      expect(cost.dailyCost).toBeCloseTo(0.002);
+      expect(cost.tokens.total).toBe(4000);
+      expect(cost.sharedState.enabled).toBe(true);
+
+      const restarted = await createService();
+      expect(restarted.getCostStatistics().monthlyCost).toBeCloseTo(0.002);
+      expect(restarted.getUsageStatistics().dailyRequests).toBe(2);
+      expect(restarted.getKeyStatistics()[0].successfulRequests).toBe(2);
+    });
+
+    it('should enforce the daily budget with cost recorded by other instances', async () => {
+      const service = await createService();
+      const now = new Date();
+      await redisConnection.incrByFloat(
+        `ai_state:google:cost:cost:day:${now.getFullYear()}-${now.getMonth()}-${now.getDate()}`,
+        1000,
+      );
+      service.sharedState.lastSyncedAt = null;
+
+      await expect(service.generateContent('prompt')).rejects.toMatchObject({
+        code: 'BUDGET_EXCEEDED',
+      });
+      expect(mockGenerateContent).not.toHaveBeenCalled();
+      expect(service.getCostStatistics().budgetStatus.isOverBudget).toBe(true);
+    });
+
+    it('should load error statistics recorded before a restart', async () => {
+      mockGenerateContent.mockRejectedValue(new Error('401 unauthorized'));
+      const service = await createService();
+
+      await expect(service.generateContent('prompt', { maxRetries: 1 })).rejects.toThrow();
+
+      const restarted = await createService();
+      expect(restarted.getErrorStatistics().errorsByType.AUTHENTICATION).toBe(1);
+      expect(restarted.getKeyStatistics()[0].failedRequests).toBe(1);
+    });
+
+    it('should resume background requests left by a stopped instance', async () => {
+      mockGenerateContent.mockResolvedValue(mockResponse('背景內容'));
+      const stopped = await createService();
+      stopped.generateContentWithQueue('warm cache', { priority: 'background' });
+      await new Promise((resolve) => { setImmediate(resolve); });
+      stopped.cleanup();
+
+      // 其他實例仍在運作時不接手
+      const running = await createService();
+      expect(running.requestQueue.background).toHaveLength(0);
+      running.cleanup();
+
+      // 心跳過期後由下一個實例接手
+      await redisConnection.delete(`ai_state:google:instances:${stopped.instanceId}`);
+      const restarted = await createService();
+      expect(restarted.requestQueue.background).toEqual([
+        expect.objectContaining({ prompt: 'warm cache', recovered: true }),
+      ]);
+
+      // eslint-disable-next-line no-underscore-dangle
+      await restarted._processBackgroundQueue();
+      restarted.cleanup();
+
+      expect(mockGenerateContent).toHaveBeenCalledTimes(1);
+      expect(await redisConnection.keys('ai_state:google:queue:*')).not.toContainEqual(
+        expect.stringContaining('ai_state:google:queue:'),
+      );
+    });
+
+    it('should keep background requests that cannot be queued for a later attempt', async () => {
+      const jobKey = (id) => `ai_state:google:queue:background:${id}`;
+      const service = await createService();
+
+      await redisConnection.set(jobKey('job-3'), {
+        id: 'job-3',
+        prompt: 'third',
+        options: {},
+        instanceId: 'stopped-instance',
+      });
+      await redisConnection.set(jobKey('job-4'), {
+        id: 'job-4',
+        prompt: 'fourth',
+        options: {},
+        instanceId: 'stopped-instance',
+      });
+      const enqueue = jest
+        .spyOn(service, '_enqueueRequest')
+        .mockRejectedValueOnce(new Error('Queue full: 1000/1000'));
+
+      await expect(service.restoreBackgroundJobs()).resolves.toBe(1);
+      enqueue.mockRestore();
+      service.cleanup();
+
+      // 加入佇列失敗的請求保留原紀錄並釋放認領
+      expect(await redisConnection.get(jobKey('job-3'))).toMatchObject({
+        instanceId: 'stopped-instance',
+      });
+      expect(await redisConnection.exists('ai_state:google:claims:job-3')).toBe(0);
+      expect(await redisConnection.get(jobKey('job-4'))).toMatchObject({
+        instanceId: service.instanceId,
+      });
+      expect(redisConnection.scan).toHaveBeenCalledWith('ai_state:google:queue:background:*');
+    });
+  });
+
+  describe('generateContentStream', () => {
+    let service;
+
+    // 建立模擬串流，可在指定段落後拋出錯誤
+    const mockStream = (chunks, failAfter = null) => ({
+      stream: (async function* streamChunks() {
+        for (let i = 0; i < chunks.length; i += 1) {
+          if (failAfter === i) {
+            throw new Error('network connection reset');
+          }
+          yield { text: () => chunks[i] };
+        }
+      }()),
+    });
+
+    const collect = async (iterator) => {
+      const chunks = [];
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const chunk of iterator) {
+        chunks.push(chunk);
+      }
+      return chunks;
+    };
+
+    beforeEach(() => {
+      service = new GoogleAIService(['key1', 'key2'], { enableRequestQueue: false });
+    });
+
+    it('should yield chunks and track usage when the stream finishes', async () => {
+      mockGenerateContentStream.mockResolvedValueOnce(
+        mockStream(['霞海', '城隍廟', '建於 1859 年']),
+      );
+
+      const chunks = await collect(service.generateContentStream('Narrate', { priority: 'high' }));
+
+      expect(chunks).toEqual(['霞海', '城隍廟', '建於 1859 年']);
+      expect(service.usageStats.requestsByPriority.high).toBe(1);
+      expect(service.costTracking.totalCost).toBeGreaterThan(0);
+      expect(service.rateLimitStats.totalRequests).toBe(1);
+    });
+
+    it('should switch keys when the stream fails before the first chunk', async () => {
+      mockGenerateContentStream
+        .mockRejectedValueOnce(new Error('network timeout'))
+        .mockResolvedValueOnce(mockStream(['ok']));
+      jest.spyOn(service, '_delayRetry').mockResolvedValue();
+
+      const chunks = await collect(service.generateContentStream('Narrate'));
+
+      expect(chunks).toEqual(['ok']);
+      expect(mockGenerateContentStream).toHaveBeenCalledTimes(2);
+    });
+
+    it('should classify partial-stream failures through _analyzeError', async () => {
+      mockGenerateContentStream.mockResolvedValueOnce(mockStream(['第一段', '第二段'], 1));
+      const analyzeSpy = jest.spyOn(service, '_analyzeError');
+
+      const received = [];
+      let caught;
+      try {
+        // eslint-disable-next-line no-restricted-syntax
+        for await (const chunk of service.generateContentStream('Narrate')) {
+          received.push(chunk);
+        }
+      } catch (error) {
+        caught = error;
+      }
+
+      expect(received).toEqual(['第一段']);
+      expect(analyzeSpy).toHaveBeenCalled();
+      expect(caught.type).toBe('NETWORK');
+      expect(caught.context).toMatchObject({ partial: true, chunkCount: 1, receivedLength: 3 });
+      expect(mockGenerateContentStream).toHaveBeenCalledTimes(1);
+      expect(service.usageStats.totalRequests).toBe(1);
+    });
+
+    it('should not retry non-retryable errors', async () => {
+      mockGenerateContentStream.mockRejectedValue(new Error('Content blocked by safety policy'));
+
+      await expect(collect(service.generateContentStream('Narrate'))).rejects.toMatchObject({
+        type: 'CONTENT_POLICY',
+        context: expect.objectContaining({ partial: false }),
+      });
+      expect(mockGenerateContentStream).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject when every key is rate limited', async () => {
+      jest.spyOn(service, '_checkRateLimit').mockResolvedValue({
+        allowed: false,
+        reason: 'minute_limit',
+      });
+
+      await expect(collect(service.generateContentStream('Narrate'))).rejects.toMatchObject({
+        code: 'ALL_KEYS_RATE_LIMITED',
+      });
+      expect(mockGenerateContentStream).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('generateStructured', () => {
+    let service;
+
+    const schema = {
+      type: 'object',
+      required: ['title', 'stops'],
+      properties: {
+        title: { type: 'string', minLength: 1 },
+        stops: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['name', 'latitude'],
+            properties: {
+              name: { type: 'string' },
+              latitude: { type: 'number', minimum: -90, maximum: 90 },
+            },
+          },
+        },
+      },
+    };
+
+    const mockText = (text) => ({ response: { text: () => text } });
+
+    beforeEach(() => {
+      service = new GoogleAIService(['key1'], { enableRequestQueue: false });
+    });
+
+    it('should return parsed data when the response matches the schema', async () => {
+      mockGenerateContent.mockResolvedValueOnce(
+        mockText('```json\n{"title":"Walk","stops":[{"name":"Temple","latitude":25.05}]}\n```'),
+      );
+
+      const result = await service.generateStructured('Plan a walk', schema);
+
+      expect(result).toEqual({ title: 'Walk', stops: [{ name: 'Temple', latitude: 25.05 }] });
+      expect(mockGenerateContent).toHaveBeenCalledTimes(1);
+      expect(mockGenerateContent.mock.calls[0][0]).toContain('JSON Schema');
+    });
+
+    it('should re-prompt with validation errors and succeed on a later attempt', async () => {
+      mockGenerateContent
+        .mockResolvedValueOnce(mockText('{"title":"Walk","stops":[{"name":"Temple"}]}'))
+        .mockResolvedValueOnce(
+          mockText('{"title":"Walk","stops":[{"name":"Temple","latitude":25.05}]}'),
+        );
+
+      const result = await service.generateStructured('Plan a walk', schema);
+
+      expect(result.stops[0].latitude).toBe(25.05);
+      expect(mockGenerateContent).toHaveBeenCalledTimes(2);
+      const repairPrompt = mockGenerateContent.mock.calls[1][0];
+      expect(repairPrompt).toContain('$.stops[0].latitude: is required');
+      expect(repairPrompt).toContain('{"title":"Walk","stops":[{"name":"Temple"}]}');
+    });
+
+    it('should fail with RESPONSE_PARSING after exhausting repair attempts', async () => {
+      mockGenerateContent.mockResolvedValue(mockText('not json at all'));
+
+      await expect(
+        service.generateStructured('Plan a walk', schema, { maxRepairAttempts: 1 }),
+      ).rejects.toMatchObject({
+        code: 'RESPONSE_PARSING',
+        type: 'RESPONSE_PARSING',
+        isRetryable: false,
+      });
+
+      expect(mockGenerateContent).toHaveBeenCalledTimes(2);
+      expect(service.errorStats.errorsByType.RESPONSE_PARSING).toBe(2);
+    });
+
+    it('should track cost for every attempt', async () => {
+      mockGenerateContent
+        .mockResolvedValueOnce(mockText('{"title":""}'))
+        .mockResolvedValueOnce(
+          mockText('{"title":"Walk","stops":[{"name":"Temple","latitude":25.05}]}'),
+        );
+
+      await service.generateStructured('Plan a walk', schema);
+
+      expect(service.usageStats.totalRequests).toBe(2);
+      expect(service.costTracking.totalCost).toBeGreaterThan(0);
+    });
+
+    it('should propagate generation errors without re-prompting', async () => {
+      mockGenerateContent.mockRejectedValue(new Error('Content blocked by safety policy'));
+
+      await expect(service.generateStructured('Plan a walk', schema)).rejects.toMatchObject({
+        type: 'CONTENT_POLICY',
+      });
+      expect(mockGenerateContent).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject a missing schema', async () => {
+      await expect(service.generateStructured('Plan a walk')).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+      });
+    });
+
+    describe('validateAgainstSchema', () => {
+      it('should report type, enum, range and additional property errors', () => {
+        const errors = service.validateAgainstSchema(
+          {
+            level: 'extreme',
+            count: 1.5,
+            score: 11,
+            extra: true,
+          },
+          {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              level: { enum: ['low', 'high'] },
+              count: { type: 'integer' },
+              score: { type: 'number', maximum: 10 },
+            },
+          },
+        );
+
+        expect(errors).toEqual([
+          '$.level: must be one of ["low","high"]',
+          '$.count: expected integer, got number',
+          '$.score: must be <= 10',
+          '$.extra: is not allowed',
+        ]);
+      });
+
+      it('should accept integers where numbers are expected', () => {
+        expect(service.validateAgainstSchema(3, { type: 'number' })).toEqual([]);
+      });
+    });
+  });
+
   describe('Rate Limiting and Quota Management', () => {
     let service;
 
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const ConsoleSMSProvider = require('./consoleSMSProvider');
+const { logger } = require('../middleware/requestLogger');
+
+const { DELIVERY_STATUS, normalizeDeliveryStatus } = ConsoleSMSProvider;
+
+/**
+ * 遮蔽手機號碼（日誌用）
+ */
+const maskPhoneNumber = (phone) => (phone ? `${phone.slice(0, -6)}***${phone.slice(-3)}` : phone);
+
+/**
+ * HTTP 簡訊閘道供應商
+ * 以 JSON POST { to, message, sender, callbackUrl } 至閘道，
+ * 回應需包含 messageId（或 id），送達回報以 callbackToken 驗證來源
+ */
+class HttpSMSProvider extends ConsoleSMSProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - 閘道發送網址
+   * @param {string} options.apiKey - 閘道 API 金鑰（以 Bearer 傳送）
+   * @param {string} options.sender - 發送者名稱或號碼
+   * @param {string} options.callbackUrl - 送達回報網址
+   * @param {string} options.callbackToken - 送達回報驗證權杖
+   * @param {number} options.timeout - 請求逾時（毫秒）
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.url) {
+      throw new Error('SMS gateway URL is required.');
+    }
+
+    this.providerName = 'http';
+    this.url = options.url;
+    this.apiKey = options.apiKey || null;
+    this.sender = options.sender || null;
+    this.callbackUrl = options.callbackUrl || null;
+    this.callbackToken = options.callbackToken || null;
+    this.timeout = options.timeout || 10000;
+  }
+
+  async send(to, message) {
+    try {
+      const response = await axios.post(
+        this.url,
+        {
+          to,
+          message,
+          sender: this.sender,
+          callbackUrl: this.callbackUrl,
+        },
+        {
+          timeout: this.timeout,
+          headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+        },
+      );
+
+      const messageId = response.data?.messageId || response.data?.id;
+      if (!messageId) {
+        throw new Error('SMS gateway response is missing messageId');
+      }
+
+      return {
+        success: true,
+        messageId: String(messageId),
+        status: normalizeDeliveryStatus(response.data.status) || DELIVERY_STATUS.QUEUED,
+      };
+    } catch (error) {
+      logger.error('SMS 閘道發送失敗', {
+        to: maskPhoneNumber(to),
+        status: error.response?.status,
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * 是否接受送達回報（未設定回報密鑰時不開放回報端點）
+   */
+  acceptsCallbacks() {
+    return Boolean(this.callbackToken);
+  }
+
+  /**
+   * 驗證送達回報的 X-SMS-Callback-Token 標頭
+   * @param {Object} headers - 請求標頭（小寫鍵）
+   */
+  verifyCallback(headers = {}) {
+    const token = headers['x-sms-callback-token'];
+    if (!this.callbackToken || typeof token !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.callbackToken);
+    const received = Buffer.from(token);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+}
+
+module.exports = HttpSMSProvider;
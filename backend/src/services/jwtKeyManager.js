@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const { redisConnection } = require('../config/redis');
+const { logger } = require('../middleware/requestLogger');
+
+// 支援的非對稱簽章演算法與對應的金鑰參數
+const SIGNING_ALGORITHMS = {
+  RS256: { type: 'rsa', options: { modulusLength: 2048 } },
+  ES256: { type: 'ec', options: { namedCurve: 'P-256' } },
+};
+
+/**
+ * JWT 簽章金鑰管理
+ *
+ * 每個服務實例在記憶體中持有自己的私鑰，只有公鑰（JWK）會寫入 Redis，
+ * 讓其他實例與 JWKS 端點都能依 kid 找到驗證金鑰。
+ * 金鑰在 rotationInterval 後停止簽發新 token，並保留 retention 秒供驗證既有 token，
+ * 之後自動從 Redis 過期。
+ */
+class JwtKeyManager {
+  /**
+   * @param {Object} options
+   * @param {string} options.algorithm - 簽章演算法（RS256、ES256）
+   * @param {number} options.rotationInterval - 金鑰簽發期限（秒）
+   * @param {number} options.retention - 金鑰停止簽發後保留驗證的時間（秒），應不小於 token 最長效期
+   * @param {number} options.publishRetries - 發布公鑰的嘗試次數
+   * @param {number} options.publishRetryDelay - 發布失敗後的重試間隔（毫秒），每次遞增
+   */
+  constructor(options = {}) {
+    this.algorithm = options.algorithm || 'RS256';
+    if (!SIGNING_ALGORITHMS[this.algorithm]) {
+      throw new Error(`Unsupported JWT signing algorithm: ${this.algorithm}`);
+    }
+
+    this.rotationInterval = options.rotationInterval || 30 * 86400;
+    this.retention = options.retention || 7 * 86400;
+    this.keyPrefix = 'jwt_signing_key:';
+    this.publishRetries = options.publishRetries || 3;
+    this.publishRetryDelay = options.publishRetryDelay ?? 500;
+
+    // kid -> { kid, alg, privateKey?, publicKey, publicJwk, createdAt, retireAt, expiresAt }
+    this.keys = new Map();
+    this.currentKid = null;
+
+    // 進行中的輪替，並行的呼叫共用同一把新金鑰
+    this.rotation = null;
+  }
+
+  /**
+   * 啟動時建立第一把簽章金鑰，公鑰發布成功後才返回
+   */
+  async initialize() {
+    await this.getSigningKey();
+  }
+
+  /**
+   * 產生新的簽章金鑰並設為目前金鑰，舊金鑰停止簽發但保留驗證
+   * 新公鑰發布到 Redis 後才開始簽發，發布失敗時拋出錯誤並繼續使用原金鑰
+   * @returns {Promise<Object>} 新金鑰
+   */
+  rotate() {
+    if (!this.rotation) {
+      this.rotation = this.createSigningKey().finally(() => {
+        this.rotation = null;
+      });
+    }
+    return this.rotation;
+  }
+
+  /**
+   * 產生並發布新金鑰，完成後才切換目前金鑰
+   * @private
+   */
+  async createSigningKey() {
+    const { type, options } = SIGNING_ALGORITHMS[this.algorithm];
+    const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+    const kid = crypto.randomBytes(12).toString('base64url');
+    const createdAt = Date.now();
+    const retireAt = createdAt + this.rotationInterval * 1000;
+
+    const key = {
+      kid,
+      alg: this.algorithm,
+      privateKey,
+      publicKey,
+      publicJwk: {
+        ...publicKey.export({ format: 'jwk' }),
+        kid,
+        alg: this.algorithm,
+        use: 'sig',
+      },
+      createdAt,
+      retireAt,
+      expiresAt: retireAt + this.retention * 1000,
+    };
+
+    // 其他實例與 JWKS 必須能取得公鑰，才能驗證新金鑰簽發的 token
+    await this.publish(key);
+
+    const previous = this.keys.get(this.currentKid);
+    this.keys.set(kid, key);
+    this.currentKid = kid;
+
+    const now = Date.now();
+    if (previous && previous.retireAt > now) {
+      previous.retireAt = now;
+      previous.expiresAt = now + this.retention * 1000;
+      // 舊公鑰縮短期限失敗時，Redis 中的紀錄只是較晚過期，不影響新金鑰
+      await this.publish(previous).catch(() => {});
+    }
+
+    logger.info('JWT 簽章金鑰已輪替', {
+      kid,
+      alg: this.algorithm,
+      previousKid: previous?.kid || null,
+      retireAt: new Date(retireAt).toISOString(),
+    });
+
+    return key;
+  }
+
+  /**
+   * 將公鑰寫入 Redis，TTL 與金鑰的驗證期限一致
+   * 失敗時以遞增的間隔重試，用盡 publishRetries 次後拋出錯誤
+   * @param {Object} key - 金鑰
+   * @param {number} attempt - 目前的嘗試次數
+   */
+  async publish(key, attempt = 1) {
+    const ttl = Math.ceil((key.expiresAt - Date.now()) / 1000);
+    try {
+      await redisConnection.set(
+        `${this.keyPrefix}${key.kid}`,
+        {
+          jwk: key.publicJwk,
+          createdAt: key.createdAt,
+          retireAt: key.retireAt,
+          expiresAt: key.expiresAt,
+        },
+        { ttl },
+      );
+    } catch (error) {
+      if (attempt >= this.publishRetries) {
+        logger.error('發布 JWT 公鑰失敗', { kid: key.kid, attempts: attempt, error: error.message });
+        throw error;
+      }
+
+      logger.warn('發布 JWT 公鑰失敗，稍後重試', {
+        kid: key.kid,
+        attempt,
+        error: error.message,
+      });
+      await new Promise((resolve) => {
+        setTimeout(resolve, this.publishRetryDelay * attempt);
+      });
+      await this.publish(key, attempt + 1);
+    }
+  }
+
+  /**
+   * 取得目前的簽章金鑰，到期時先輪替並發布新金鑰
+   * @returns {Promise<Object>} { kid, alg, privateKey }
+   */
+  async getSigningKey() {
+    const key = this.keys.get(this.currentKid);
+    if (!key || key.retireAt <= Date.now()) {
+      return this.rotate();
+    }
+    return key;
+  }
+
+  /**
+   * 依 kid 取得驗證用公鑰，本實例沒有時從 Redis 載入
+   * @param {string} kid - 金鑰 ID
+   * @returns {Promise<Object|null>} { kid, alg, publicKey }，找不到或已過期時為 null
+   */
+  async getVerificationKey(kid) {
+    if (!kid) {
+      return null;
+    }
+
+    const cached = this.keys.get(kid);
+    if (cached) {
+      if (cached.expiresAt > Date.now()) {
+        return cached;
+      }
+      this.keys.delete(kid);
+      return null;
+    }
+
+    try {
+      const stored = await redisConnection.get(`${this.keyPrefix}${kid}`);
+      if (!stored || stored.expiresAt <= Date.now()) {
+        return null;
+      }
+
+      const key = {
+        kid,
+        alg: stored.jwk.alg,
+        publicKey: crypto.createPublicKey({ key: stored.jwk, format: 'jwk' }),
+        publicJwk: stored.jwk,
+        createdAt: stored.createdAt,
+        retireAt: stored.retireAt,
+        expiresAt: stored.expiresAt,
+      };
+      this.keys.set(kid, key);
+      return key;
+    } catch (error) {
+      logger.error('載入 JWT 驗證金鑰失敗', { kid, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 取得所有仍在驗證期限內的公鑰（JWKS 格式）
+   * @returns {Promise<Object>} { keys: [...] }
+   */
+  async getJWKS() {
+    // 確保至少有一把金鑰，讓驗證方在第一個 token 簽發前也能取得 JWKS
+    await this.getSigningKey();
+
+    const now = Date.now();
+    const jwks = new Map();
+
+    try {
+      const storedKeys = await redisConnection.scan(`${this.keyPrefix}*`);
+      const records = await Promise.all(
+        storedKeys.map((redisKey) => redisConnection.get(redisKey)),
+      );
+      records
+        .filter((record) => record && record.expiresAt > now)
+        .forEach((record) => jwks.set(record.jwk.kid, record.jwk));
+    } catch (error) {
+      logger.error('讀取 JWT 公鑰列表失敗', { error: error.message });
+    }
+
+    this.keys.forEach((key) => {
+      if (key.expiresAt > now) {
+        jwks.set(key.kid, key.publicJwk);
+      }
+    });
+
+    return { keys: Array.from(jwks.values()) };
+  }
+}
+
+module.exports = JwtKeyManager;
+module.exports.SIGNING_ALGORITHMS = SIGNING_ALGORITHMS;
@@ -0,0 +1,167 @@
+const jwt = require('jsonwebtoken');
+const JwtKeyManager = require('./jwtKeyManager');
+const { redisConnection } = require('../config/redis');
+
+jest.mock('../config/redis', () => ({
+  redisConnection: {
+    set: jest.fn(),
+    get: jest.fn(),
+    scan: jest.fn(),
+  },
+}));
+
+jest.mock('../middleware/requestLogger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+describe('JwtKeyManager', () => {
+  let store;
+
+  // 以 Map 模擬 Redis，讓不同實例共享已發布的公鑰
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = new Map();
+    redisConnection.set.mockImplementation(async (key, value) => {
+      store.set(key, value);
+      return 'OK';
+    });
+    redisConnection.get.mockImplementation(async (key) => (store.has(key) ? store.get(key) : null));
+    redisConnection.scan.mockImplementation(async (pattern) => Array.from(store.keys())
+      .filter((key) => key.startsWith(pattern.replace('*', ''))));
+  });
+
+  it('應該拒絕不支援的演算法', () => {
+    expect(() => new JwtKeyManager({ algorithm: 'HS256' })).toThrow(
+      'Unsupported JWT signing algorithm: HS256',
+    );
+  });
+
+  it.each(['RS256', 'ES256'])('應該以 %s 簽章並可依 kid 驗證', async (algorithm) => {
+    const manager = new JwtKeyManager({ algorithm });
+    const signingKey = await manager.getSigningKey();
+    const token = jwt.sign({ uid: 'user-1' }, signingKey.privateKey, {
+      algorithm,
+      keyid: signingKey.kid,
+    });
+
+    const { header } = jwt.decode(token, { complete: true });
+    const verificationKey = await manager.getVerificationKey(header.kid);
+
+    expect(header.alg).toBe(algorithm);
+    expect(jwt.verify(token, verificationKey.publicKey, { algorithms: [algorithm] }).uid).toBe(
+      'user-1',
+    );
+  });
+
+  it('應該只發布公鑰並設定 TTL', async () => {
+    const manager = new JwtKeyManager({ rotationInterval: 3600, retention: 900 });
+    const { kid } = await manager.getSigningKey();
+
+    const [redisKey, record, options] = redisConnection.set.mock.calls[0];
+    expect(redisKey).toBe(`jwt_signing_key:${kid}`);
+    expect(record.jwk).toEqual(expect.objectContaining({
+      kid, kty: 'RSA', alg: 'RS256', use: 'sig',
+    }));
+    expect(record.jwk).not.toHaveProperty('d');
+    expect(options).toEqual({ ttl: 4500 });
+  });
+
+  it('應該讓其他實例從 Redis 載入驗證金鑰', async () => {
+    const issuer = new JwtKeyManager({ algorithm: 'ES256' });
+    const verifier = new JwtKeyManager({ algorithm: 'ES256' });
+    const signingKey = await issuer.getSigningKey();
+    const token = jwt.sign({ uid: 'user-1' }, signingKey.privateKey, {
+      algorithm: 'ES256',
+      keyid: signingKey.kid,
+    });
+
+    const key = await verifier.getVerificationKey(signingKey.kid);
+
+    expect(key.privateKey).toBeUndefined();
+    expect(jwt.verify(token, key.publicKey, { algorithms: ['ES256'] }).uid).toBe('user-1');
+    expect(await verifier.getVerificationKey('unknown-kid')).toBeNull();
+  });
+
+  it('應該在簽發期限到期後自動輪替並保留舊金鑰供驗證', async () => {
+    const manager = new JwtKeyManager({ rotationInterval: 60, retention: 900 });
+    const first = await manager.getSigningKey();
+    const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(first.retireAt + 1000);
+
+    const second = await manager.getSigningKey();
+
+    expect(second.kid).not.toBe(first.kid);
+    expect(await manager.getVerificationKey(first.kid)).toBe(first);
+
+    nowSpy.mockReturnValue(first.expiresAt + 1000);
+    expect(await manager.getVerificationKey(first.kid)).toBeNull();
+    nowSpy.mockRestore();
+  });
+
+  it('應該在公鑰發布成功後才以新金鑰簽發', async () => {
+    const manager = new JwtKeyManager({ publishRetryDelay: 0 });
+    redisConnection.set.mockRejectedValueOnce(new Error('Redis connection failed'));
+
+    const key = await manager.getSigningKey();
+
+    expect(redisConnection.set).toHaveBeenCalledTimes(2);
+    expect(store.get(`jwt_signing_key:${key.kid}`).jwk.kid).toBe(key.kid);
+  });
+
+  it('應該在公鑰無法發布時保留原金鑰', async () => {
+    const manager = new JwtKeyManager({ publishRetries: 2, publishRetryDelay: 0 });
+    const first = await manager.getSigningKey();
+    redisConnection.set.mockRejectedValue(new Error('Redis connection failed'));
+
+    await expect(manager.rotate()).rejects.toThrow('Redis connection failed');
+
+    expect(redisConnection.set).toHaveBeenCalledTimes(3);
+    expect(manager.currentKid).toBe(first.kid);
+    expect(await manager.getSigningKey()).toBe(first);
+  });
+
+  it('應該讓並行的輪替共用同一把新金鑰', async () => {
+    const manager = new JwtKeyManager();
+
+    const [first, second] = await Promise.all([manager.getSigningKey(), manager.getSigningKey()]);
+
+    expect(first).toBe(second);
+    expect(redisConnection.set).toHaveBeenCalledTimes(1);
+  });
+
+  it('應該在手動輪替時縮短舊金鑰的驗證期限', async () => {
+    const manager = new JwtKeyManager({ rotationInterval: 86400, retention: 900 });
+    const first = await manager.getSigningKey();
+
+    const second = await manager.rotate();
+
+    expect(await manager.getSigningKey()).toBe(second);
+    expect(first.retireAt).toBeLessThanOrEqual(Date.now());
+    expect(first.expiresAt).toBeLessThanOrEqual(Date.now() + 900 * 1000);
+  });
+
+  it('應該在 JWKS 中列出所有仍有效的公鑰', async () => {
+    const instanceA = new JwtKeyManager();
+    const instanceB = new JwtKeyManager();
+    const keyA = await instanceA.getSigningKey();
+    const keyB = await instanceB.getSigningKey();
+
+    const jwks = await instanceA.getJWKS();
+
+    expect(jwks.keys.map((key) => key.kid).sort()).toEqual([keyA.kid, keyB.kid].sort());
+    jwks.keys.forEach((key) => expect(key).not.toHaveProperty('d'));
+  });
+
+  it('應該在 Redis 無法使用時仍返回本實例的公鑰', async () => {
+    redisConnection.scan.mockRejectedValue(new Error('Redis connection failed'));
+    const manager = new JwtKeyManager();
+    const { kid } = await manager.getSigningKey();
+
+    const jwks = await manager.getJWKS();
+
+    expect(jwks.keys.map((key) => key.kid)).toEqual([kid]);
+  });
+});
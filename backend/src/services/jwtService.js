@@ -2,6 +2,10 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { redisConnection } = require('../config/redis');
 const { logger } = require('../middleware/requestLogger');
+const JwtKeyManager = require('./jwtKeyManager');
+const { securityEnhancement } = require('../middleware/securityEnhancement');
+const { securityPolicyService } = require('./securityPolicyService');
+const { AppError } = require('../middleware/errorHandler');
 
 /**
  * JWT Token 管理服務
@@ -9,23 +13,36 @@ const { logger } = require('../middleware/requestLogger');
  */
 class JWTService {
   constructor() {
-    this.secret = process.env.JWT_SECRET || 'localite-jwt-secret-key';
-    this.refreshSecret = process.env.JWT_REFRESH_SECRET || 'localite-refresh-secret-key';
-
     // Token 配置
     this.accessTokenExpiry = process.env.JWT_ACCESS_EXPIRY || '15m';
     this.refreshTokenExpiry = process.env.JWT_REFRESH_EXPIRY || '7d';
 
+    // 非對稱簽章金鑰（RS256 / ES256），公鑰透過 /.well-known/jwks.json 提供
+    this.keyManager = new JwtKeyManager({
+      algorithm: process.env.JWT_SIGNING_ALGORITHM || 'RS256',
+      rotationInterval: JWTService.parseExpiry(process.env.JWT_KEY_ROTATION_INTERVAL || '30d'),
+      // 金鑰停止簽發後需保留到最後簽發的 token 過期
+      retention: Math.max(
+        JWTService.parseExpiry(this.accessTokenExpiry),
+        JWTService.parseExpiry(this.refreshTokenExpiry),
+      ),
+    });
+
+    // 舊版 HS256 token（無 kid）只在明確設定密鑰時接受，用於升級期間的過渡
+    this.acceptLegacyTokens = process.env.JWT_ACCEPT_LEGACY_HS256 !== 'false';
+    this.legacySecret = process.env.JWT_SECRET || null;
+    this.legacyRefreshSecret = process.env.JWT_REFRESH_SECRET || null;
+
     // Redis 鍵前綴
     this.tokenBlacklistPrefix = 'token_blacklist:';
     this.refreshTokenPrefix = 'refresh_token:';
+    this.refreshTokenFamilyPrefix = 'refresh_token:family:'; // 同一登入衍生的 refresh token 家族
+    this.refreshTokenClaimPrefix = 'refresh_token:claim:'; // 輪替認領，確保一個 token 只能換一次
     this.sessionPrefix = 'session:';
     this.userSessionsPrefix = 'user_sessions:'; // 用戶的活躍 session 列表
     this.deviceSessionsPrefix = 'device_sessions:'; // 設備 session 映射
 
-    // Session 配置
-    this.maxConcurrentSessions = parseInt(process.env.MAX_CONCURRENT_SESSIONS, 10) || 5;
-    this.sessionInactivityTimeout = process.env.SESSION_INACTIVITY_TIMEOUT || '24h';
+    // Session 配置（並發上限與閒置逾時來自全域安全政策的 sessionPolicy，使用時才讀取）
     this.enableDeviceTracking = process.env.ENABLE_DEVICE_TRACKING !== 'false';
     this.enableIPTracking = process.env.ENABLE_IP_TRACKING !== 'false';
 
@@ -38,7 +55,7 @@ class JWTService {
    * @param {Object} payload - Token 載荷
    * @param {Object} options - Token 選項
    */
-  generateAccessToken(payload, options = {}) {
+  async generateAccessToken(payload, options = {}) {
     const tokenPayload = {
       ...payload,
       type: 'access',
@@ -53,14 +70,14 @@ class JWTService {
       ...options,
     };
 
-    return jwt.sign(tokenPayload, this.secret, tokenOptions);
+    return this.signToken(tokenPayload, tokenOptions);
   }
 
   /**
    * 生成 Refresh Token
    * @param {Object} payload - Token 載荷
    */
-  generateRefreshToken(payload) {
+  async generateRefreshToken(payload) {
     const tokenPayload = {
       uid: payload.uid,
       email: payload.email,
@@ -75,13 +92,83 @@ class JWTService {
       audience: 'localite-users',
     };
 
-    return jwt.sign(tokenPayload, this.refreshSecret, tokenOptions);
+    return this.signToken(tokenPayload, tokenOptions);
+  }
+
+  /**
+   * 以目前的簽章金鑰簽發 token，header 帶上 kid
+   * @param {Object} payload - Token 載荷
+   * @param {Object} options - jsonwebtoken 選項
+   */
+  async signToken(payload, options) {
+    const key = await this.keyManager.getSigningKey();
+    return jwt.sign(payload, key.privateKey, {
+      ...options,
+      algorithm: key.alg,
+      keyid: key.kid,
+    });
+  }
+
+  /**
+   * 依 header 的 kid 選擇公鑰驗證簽章；沒有 kid 時視為舊版 HS256 token
+   * @param {string} token - JWT Token
+   * @param {string|null} legacySecret - 舊版 HS256 密鑰
+   */
+  async verifySignature(token, legacySecret) {
+    const verifyOptions = {
+      issuer: 'localite',
+      audience: 'localite-users',
+    };
+    const { header } = jwt.decode(token, { complete: true }) || {};
+
+    if (header?.kid) {
+      const key = await this.keyManager.getVerificationKey(header.kid);
+      if (!key) {
+        throw new jwt.JsonWebTokenError('unknown key id');
+      }
+      return jwt.verify(token, key.publicKey, { ...verifyOptions, algorithms: [key.alg] });
+    }
+
+    if (this.acceptLegacyTokens && legacySecret) {
+      return jwt.verify(token, legacySecret, { ...verifyOptions, algorithms: ['HS256'] });
+    }
+
+    throw new jwt.JsonWebTokenError('missing key id');
+  }
+
+  /**
+   * 啟動時建立簽章金鑰，公鑰發布到 Redis 後才開始簽發 token
+   */
+  async initializeSigningKey() {
+    await this.keyManager.initialize();
+  }
+
+  /**
+   * 取得 JWKS（供行動裝置與其他服務驗證 token）
+   */
+  async getJWKS() {
+    return this.keyManager.getJWKS();
+  }
+
+  /**
+   * 立即輪替簽章金鑰，舊金鑰保留至其簽發的 token 過期
+   * @returns {Promise<Object>} { kid, alg, retireAt }
+   */
+  async rotateSigningKey() {
+    const key = await this.keyManager.rotate();
+    return {
+      kid: key.kid,
+      alg: key.alg,
+      retireAt: new Date(key.retireAt).toISOString(),
+    };
   }
 
   /**
    * 生成 Token 對（Access + Refresh）
    * @param {Object} user - 用戶資訊
    * @param {Object} context - 請求上下文（IP、設備指紋等）
+   * @param {number} context.authenticatedAt - 本次登入完成驗證的時間（毫秒），未提供時需先 step-up
+   * @param {string} context.authenticationMethod - 完成的驗證方式：mfa、password（主要登入憑證）
    */
   async generateTokenPair(user, context = {}) {
     try {
@@ -93,18 +180,31 @@ class JWTService {
         sessionId: crypto.randomUUID(),
       };
 
-      const accessToken = this.generateAccessToken(payload);
-      const refreshToken = this.generateRefreshToken(payload);
+      const [accessToken, refreshToken] = await Promise.all([
+        this.generateAccessToken(payload),
+        this.generateRefreshToken(payload),
+      ]);
 
       // 解析 token 以獲取過期時間
       const decodedAccess = jwt.decode(accessToken);
       const decodedRefresh = jwt.decode(refreshToken);
 
-      // 在 Redis 中存儲 refresh token
+      // 在 Redis 中存儲 refresh token，並建立 token 家族供輪替與重複使用偵測
+      const familyId = crypto.randomUUID();
       await this.storeRefreshToken(decodedRefresh.jti, {
         uid: payload.uid,
         email: payload.email,
+        role: payload.role,
         sessionId: payload.sessionId,
+        familyId,
+        status: 'active',
+        createdAt: new Date().toISOString(),
+      });
+      await this.storeRefreshTokenFamily(familyId, {
+        uid: payload.uid,
+        sessionId: payload.sessionId,
+        currentJti: decodedRefresh.jti,
+        rotationCount: 0,
         createdAt: new Date().toISOString(),
       });
 
@@ -120,6 +220,13 @@ class JWTService {
         deviceFingerprint: context.deviceFingerprint,
         userAgent: context.userAgent,
         loginMethod: context.loginMethod || 'jwt',
+        // 取得 token 時已完成的身分驗證，作為敏感操作 step-up 的起點
+        reauthenticatedAt: context.authenticatedAt
+          ? new Date(context.authenticatedAt).toISOString()
+          : null,
+        reauthenticationMethod: context.authenticatedAt
+          ? context.authenticationMethod || 'password'
+          : null,
       });
 
       logger.info('Token 對生成成功', {
@@ -160,11 +267,8 @@ class JWTService {
         throw new Error('Token 已被撤銷');
       }
 
-      // 驗證 token 簽名和有效性
-      const verified = jwt.verify(token, this.secret, {
-        issuer: 'localite',
-        audience: 'localite-users',
-      });
+      // 依 kid 選擇金鑰，驗證 token 簽名和有效性
+      const verified = await this.verifySignature(token, this.legacySecret);
 
       if (verified.type !== 'access') {
         throw new Error('Token 類型錯誤');
@@ -190,9 +294,12 @@ class JWTService {
 
   /**
    * 驗證 Refresh Token
+   * 已輪替過的 refresh token 再次出現時視為遭竊，撤銷整個 token 家族；
+   * 家族已撤銷、session 已失效，或 token 不是家族目前的 token 時一律拒絕
    * @param {string} token - Refresh Token
+   * @param {Object} context - 請求上下文（IP、設備指紋等）
    */
-  async verifyRefreshToken(token) {
+  async verifyRefreshToken(token, context = {}) {
     try {
       const decoded = jwt.decode(token);
       if (!decoded || !decoded.jti) {
@@ -206,15 +313,29 @@ class JWTService {
       }
 
       // 驗證 token 簽名
-      const verified = jwt.verify(token, this.refreshSecret, {
-        issuer: 'localite',
-        audience: 'localite-users',
-      });
+      const verified = await this.verifySignature(token, this.legacyRefreshSecret);
 
       if (verified.type !== 'refresh') {
         throw new Error('Token 類型錯誤');
       }
 
+      const family = storedToken.familyId
+        ? await this.getRefreshTokenFamily(storedToken.familyId)
+        : null;
+      if (family?.revokedAt) {
+        throw new AppError('Refresh token 已被撤銷', 401, 'REFRESH_TOKEN_REVOKED');
+      }
+
+      if (storedToken.status === 'rotated' || (family && family.currentJti !== decoded.jti)) {
+        await this.handleRefreshTokenReuse(decoded.jti, storedToken, context);
+        throw new AppError('Refresh token 已被使用，Session 已撤銷', 401, 'REFRESH_TOKEN_REUSED');
+      }
+
+      const session = await this.getSession(storedToken.sessionId);
+      if (!session || session.isActive === false) {
+        throw new AppError('Session 已失效', 401, 'REFRESH_TOKEN_REVOKED');
+      }
+
       return verified;
     } catch (error) {
       if (error instanceof jwt.JsonWebTokenError) {
@@ -228,11 +349,14 @@ class JWTService {
 
   /**
    * 刷新 Access Token
+   * 每次刷新都會輪替 refresh token：舊 token 標記為已輪替，只保留用於重複使用偵測。
+   * 輪替前以 SET NX 認領舊 token，並發的刷新請求只有一個能成功，其餘視為重複使用
    * @param {string} refreshToken - Refresh Token
+   * @param {Object} context - 請求上下文（IP、設備指紋等）
    */
-  async refreshAccessToken(refreshToken) {
+  async refreshAccessToken(refreshToken, context = {}) {
     try {
-      const verified = await this.verifyRefreshToken(refreshToken);
+      const verified = await this.verifyRefreshToken(refreshToken, context);
 
       // 從 Redis 獲取完整的用戶資訊
       const storedToken = await this.getRefreshToken(verified.jti);
@@ -240,6 +364,18 @@ class JWTService {
         throw new Error('Refresh token 無效');
       }
 
+      // 舊 token 的紀錄保留到它原本過期為止；即將過期時至少保留 1 秒，避免 TTL 為 0 或負數
+      const remainingTtl = Math.max(verified.exp - Math.floor(Date.now() / 1000), 1);
+      const claimed = await redisConnection.setIfNotExists(
+        `${this.refreshTokenClaimPrefix}${verified.jti}`,
+        { claimedAt: new Date().toISOString() },
+        { ttl: remainingTtl },
+      );
+      if (!claimed) {
+        await this.handleRefreshTokenReuse(verified.jti, storedToken, context);
+        throw new AppError('Refresh token 已被使用，Session 已撤銷', 401, 'REFRESH_TOKEN_REUSED');
+      }
+
       // 生成新的 access token
       const newPayload = {
         uid: verified.uid,
@@ -248,23 +384,62 @@ class JWTService {
         sessionId: storedToken.sessionId,
       };
 
-      const newAccessToken = this.generateAccessToken(newPayload);
+      const newAccessToken = await this.generateAccessToken(newPayload);
       const decoded = jwt.decode(newAccessToken);
 
+      // 輪替 refresh token
+      const newRefreshToken = await this.generateRefreshToken(newPayload);
+      const decodedRefresh = jwt.decode(newRefreshToken);
+      const familyId = storedToken.familyId || crypto.randomUUID();
+      const rotatedAt = new Date().toISOString();
+
+      await this.storeRefreshToken(decodedRefresh.jti, {
+        ...storedToken,
+        familyId,
+        status: 'active',
+        createdAt: rotatedAt,
+      });
+      await this.storeRefreshToken(
+        verified.jti,
+        {
+          ...storedToken,
+          familyId,
+          status: 'rotated',
+          rotatedAt,
+          replacedBy: decodedRefresh.jti,
+        },
+        remainingTtl,
+      );
+
+      const family = await this.getRefreshTokenFamily(familyId);
+      await this.storeRefreshTokenFamily(familyId, {
+        uid: verified.uid,
+        sessionId: storedToken.sessionId,
+        createdAt: rotatedAt,
+        ...family,
+        currentJti: decodedRefresh.jti,
+        rotationCount: (family?.rotationCount || 0) + 1,
+        lastRotatedAt: rotatedAt,
+      });
+
       // 更新 session 資訊
       await this.updateSession(storedToken.sessionId, {
         accessTokenId: decoded.jti,
-        lastActivity: new Date().toISOString(),
+        refreshTokenId: decodedRefresh.jti,
+        lastActivity: rotatedAt,
       });
 
       logger.info('Access token 刷新成功', {
         uid: verified.uid,
         email: verified.email,
         sessionId: storedToken.sessionId,
+        familyId,
+        ipAddress: context.ipAddress,
       });
 
       return {
         accessToken: newAccessToken,
+        refreshToken: newRefreshToken,
         tokenType: 'Bearer',
         expiresIn: JWTService.parseExpiry(this.accessTokenExpiry),
       };
@@ -367,9 +542,8 @@ class JWTService {
   /**
    * 存儲 Refresh Token
    */
-  async storeRefreshToken(jti, tokenData) {
+  async storeRefreshToken(jti, tokenData, ttl = JWTService.parseExpiry(this.refreshTokenExpiry)) {
     try {
-      const ttl = JWTService.parseExpiry(this.refreshTokenExpiry);
       await redisConnection.set(`${this.refreshTokenPrefix}${jti}`, tokenData, { ttl });
     } catch (error) {
       logger.error('存儲 refresh token 失敗', { error: error.message, jti });
@@ -400,6 +574,71 @@ class JWTService {
     }
   }
 
+  /**
+   * 存儲 Refresh Token 家族
+   */
+  async storeRefreshTokenFamily(familyId, familyData) {
+    try {
+      const ttl = JWTService.parseExpiry(this.refreshTokenExpiry);
+      await redisConnection.set(`${this.refreshTokenFamilyPrefix}${familyId}`, familyData, {
+        ttl,
+      });
+    } catch (error) {
+      logger.error('存儲 refresh token 家族失敗', { error: error.message, familyId });
+      throw error;
+    }
+  }
+
+  /**
+   * 獲取 Refresh Token 家族
+   */
+  async getRefreshTokenFamily(familyId) {
+    try {
+      return await redisConnection.get(`${this.refreshTokenFamilyPrefix}${familyId}`);
+    } catch (error) {
+      logger.warn('獲取 refresh token 家族失敗', { error: error.message, familyId });
+      return null;
+    }
+  }
+
+  /**
+   * 處理已輪替 refresh token 的重複使用：撤銷整個家族所屬的 session 並記錄安全事件
+   * 合法用戶與攻擊者其中一方必然持有舊 token，無法分辨時一律撤銷
+   */
+  async handleRefreshTokenReuse(jti, storedToken, context = {}) {
+    const { uid, sessionId, familyId } = storedToken;
+
+    logger.warn('偵測到 refresh token 重複使用，撤銷 token 家族', {
+      uid,
+      sessionId,
+      familyId,
+      jti,
+      ipAddress: context.ipAddress,
+    });
+
+    await this.revokeSession(sessionId, 'refresh_token_reuse');
+
+    const family = await this.getRefreshTokenFamily(familyId);
+    if (family) {
+      await this.storeRefreshTokenFamily(familyId, {
+        ...family,
+        revokedAt: new Date().toISOString(),
+        revokedReason: 'refresh_token_reuse',
+      });
+    }
+
+    await securityEnhancement.recordSecurityEvent(uid, 'refresh_token_reuse', {
+      sessionId,
+      familyId,
+      jti,
+      replacedBy: storedToken.replacedBy,
+      rotatedAt: storedToken.rotatedAt,
+      ipAddress: context.ipAddress,
+      deviceFingerprint: context.deviceFingerprint,
+      userAgent: context.userAgent,
+    });
+  }
+
   // --- Session 管理方法 ---
 
   /**
@@ -425,7 +664,7 @@ class JWTService {
         loginMethod: sessionData.loginMethod || 'unknown',
         securityFlags: {
           ipVerified: false,
-          deviceVerified: false,
+          deviceVerified: Boolean(sessionData.trustedDeviceId),
           anomalyDetected: false,
         },
       };
@@ -440,7 +679,12 @@ class JWTService {
 
       // 如果啟用設備追蹤，記錄設備映射
       if (this.enableDeviceTracking && deviceFingerprint) {
-        await this.recordDeviceSession(deviceFingerprint, sessionId, uid);
+        await this.recordDeviceSession(
+          deviceFingerprint,
+          sessionId,
+          uid,
+          sessionData.trustedDeviceId ? 'trusted' : 'unknown',
+        );
       }
 
       logger.info('增強 Session 創建成功', {
@@ -483,6 +727,29 @@ class JWTService {
     }
   }
 
+  /**
+   * 記錄 Session 完成重新驗證（MFA 或密碼）的時間，供敏感操作的 step-up 檢查
+   * @param {string} sessionId - Session ID
+   * @param {string} method - 驗證方式：mfa、password
+   * @returns {Promise<string|null>} 重新驗證時間（ISO）；session 不存在或已撤銷時返回 null
+   */
+  async recordReauthentication(sessionId, method) {
+    const session = await this.getSession(sessionId);
+    if (!session || !session.isActive) {
+      return null;
+    }
+
+    const reauthenticatedAt = new Date().toISOString();
+    await this.updateSession(sessionId, {
+      reauthenticatedAt,
+      reauthenticationMethod: method,
+    });
+
+    logger.info('Session 重新驗證成功', { sessionId, uid: session.uid, method });
+
+    return reauthenticatedAt;
+  }
+
   /**
    * 更新 Session 活動時間
    */
@@ -498,8 +765,10 @@ class JWTService {
 
   /**
    * 撤銷 Session（增強版）
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - 撤銷原因
    */
-  async revokeSession(sessionId) {
+  async revokeSession(sessionId, reason = 'user_revocation') {
     try {
       const session = await this.getSession(sessionId);
       if (session) {
@@ -520,7 +789,7 @@ class JWTService {
         await this.updateSession(sessionId, {
           isActive: false,
           revokedAt: new Date().toISOString(),
-          revokedReason: 'user_revocation',
+          revokedReason: reason,
         });
 
         // 30 分鐘後完全刪除
@@ -582,14 +851,41 @@ class JWTService {
 
   // --- 新增的 Session 管理方法 ---
 
+  /**
+   * 取得敏感操作的 step-up 要求
+   * @returns {Promise<Object>} { maxAge（秒）, requireMfa（只接受 MFA 重新驗證） }
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async getStepUpPolicy() {
+    const sessionPolicy = await securityPolicyService.getSection('sessionPolicy');
+    return {
+      maxAge: sessionPolicy.stepUpMaxAge * 60,
+      requireMfa: sessionPolicy.requireMfaForSensitive,
+    };
+  }
+
+  /**
+   * 取得生效的 Session 限制
+   * @returns {Promise<Object>} { maxConcurrentSessions, inactivityTimeout（秒） }
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async getSessionLimits() {
+    const sessionPolicy = await securityPolicyService.getSection('sessionPolicy');
+    return {
+      maxConcurrentSessions: sessionPolicy.maxConcurrentSessions,
+      inactivityTimeout: sessionPolicy.defaultTimeout * 60,
+    };
+  }
+
   /**
    * 檢查並發 Session 限制
    */
   async enforceConcurrentSessionLimit(uid) {
     try {
       const activeSessions = await this.getUserSessions(uid);
+      const { maxConcurrentSessions } = await this.getSessionLimits();
 
-      if (activeSessions.length >= this.maxConcurrentSessions) {
+      if (activeSessions.length >= maxConcurrentSessions) {
         // 找到最舊的 session 並撤銷
         const oldestSession = activeSessions.sort(
           (a, b) => new Date(a.lastActivity) - new Date(b.lastActivity),
@@ -600,7 +896,7 @@ class JWTService {
           logger.info('撤銷最舊 Session 以維持並發限制', {
             uid,
             revokedSessionId: oldestSession.sessionId,
-            limit: this.maxConcurrentSessions,
+            limit: maxConcurrentSessions,
           });
         }
       }
@@ -664,15 +960,16 @@ class JWTService {
 
   /**
    * 記錄設備 Session 映射
+   * @param {string} trustLevel - 設備信任等級（unknown、trusted）
    */
-  async recordDeviceSession(deviceFingerprint, sessionId, uid) {
+  async recordDeviceSession(deviceFingerprint, sessionId, uid, trustLevel = 'unknown') {
     try {
       const key = `${this.deviceSessionsPrefix}${deviceFingerprint}`;
       const deviceData = {
         sessionId,
         uid,
         lastSeen: new Date().toISOString(),
-        trustLevel: 'unknown',
+        trustLevel,
       };
 
       const ttl = JWTService.parseExpiry(this.refreshTokenExpiry);
@@ -737,7 +1034,8 @@ class JWTService {
 
       // 檢查 Session 閒置時間
       const lastActivity = new Date(session.lastActivity);
-      const inactivityLimit = JWTService.parseExpiry(this.sessionInactivityTimeout) * 1000;
+      const { inactivityTimeout } = await this.getSessionLimits();
+      const inactivityLimit = inactivityTimeout * 1000;
       const timeSinceLastActivity = Date.now() - lastActivity.getTime();
 
       if (timeSinceLastActivity > inactivityLimit) {
@@ -746,7 +1044,7 @@ class JWTService {
         logger.info('Session 因閒置過久被標記為無效', {
           sessionId,
           lastActivity: session.lastActivity,
-          inactivityLimit: this.sessionInactivityTimeout,
+          inactivityLimit: inactivityTimeout,
         });
       }
 
@@ -817,7 +1115,8 @@ class JWTService {
     try {
       const client = redisConnection.getClient();
       const sessionKeys = await client.keys(`${this.sessionPrefix}*`);
-      const inactivityLimit = JWTService.parseExpiry(this.sessionInactivityTimeout) * 1000;
+      const { inactivityTimeout } = await this.getSessionLimits();
+      const inactivityLimit = inactivityTimeout * 1000;
       const cleanupResults = await Promise.all(
         sessionKeys.map(async (key) => {
           try {
@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 const jwtService = require('./jwtService');
 const { redisConnection } = require('../config/redis');
+const { securityEnhancement } = require('../middleware/securityEnhancement');
+const { securityPolicyService } = require('./securityPolicyService');
 
 // 模擬 Redis 連接
 jest.mock('../config/redis', () => ({
@@ -9,12 +11,19 @@ jest.mock('../config/redis', () => ({
     set: jest.fn(),
     get: jest.fn(),
     delete: jest.fn(),
+    setIfNotExists: jest.fn(),
     getClient: jest.fn().mockReturnValue({
       keys: jest.fn(),
     }),
   },
 }));
 
+jest.mock('./securityPolicyService', () => ({
+  securityPolicyService: {
+    getSection: jest.fn(),
+  },
+}));
+
 describe('JWT Service', () => {
   const mockUser = {
     firebaseUid: 'test-firebase-uid',
@@ -30,6 +39,11 @@ describe('JWT Service', () => {
     redisConnection.set.mockResolvedValue(true);
     redisConnection.get.mockResolvedValue(null);
     redisConnection.delete.mockResolvedValue(true);
+    redisConnection.setIfNotExists.mockResolvedValue(true);
+    securityPolicyService.getSection.mockResolvedValue({
+      defaultTimeout: 1440,
+      maxConcurrentSessions: 5,
+    });
   });
 
   afterAll(() => {
@@ -40,8 +54,8 @@ describe('JWT Service', () => {
   });
 
   describe('Token Generation', () => {
-    it('should generate access token with correct payload', () => {
-      const token = jwtService.generateAccessToken({
+    it('should generate access token with correct payload', async () => {
+      const token = await jwtService.generateAccessToken({
         uid: mockUser.firebaseUid,
         email: mockUser.email,
         role: mockUser.role,
@@ -58,8 +72,8 @@ describe('JWT Service', () => {
       expect(decoded.jti).toBeDefined();
     });
 
-    it('should generate refresh token with correct payload', () => {
-      const token = jwtService.generateRefreshToken({
+    it('should generate refresh token with correct payload', async () => {
+      const token = await jwtService.generateRefreshToken({
         uid: mockUser.firebaseUid,
         email: mockUser.email,
       });
@@ -83,8 +97,8 @@ describe('JWT Service', () => {
       expect(tokenPair).toHaveProperty('expiresIn');
       expect(tokenPair).toHaveProperty('sessionId');
 
-      // 檢查 Redis 呼叫（refresh token + session + user sessions list）
-      expect(redisConnection.set).toHaveBeenCalledTimes(3);
+      // 檢查 Redis 呼叫（refresh token + token 家族 + session + user sessions list）
+      expect(redisConnection.set).toHaveBeenCalledTimes(4);
     });
   });
 
@@ -170,16 +184,18 @@ describe('JWT Service', () => {
         sessionId,
         createdAt: new Date().toISOString(),
       };
+      const sessionData = {
+        uid: mockUser.firebaseUid,
+        email: mockUser.email,
+        role: mockUser.role,
+        sessionId,
+        isActive: true,
+      };
       redisConnection.get
         .mockResolvedValueOnce(refreshTokenData) // verifyRefreshToken 調用
+        .mockResolvedValueOnce(sessionData) // verifyRefreshToken 檢查 session
         .mockResolvedValueOnce(refreshTokenData) // refreshAccessToken 調用
-        .mockResolvedValueOnce({
-          // getSession 調用
-          uid: mockUser.firebaseUid,
-          email: mockUser.email,
-          role: mockUser.role,
-          sessionId,
-        });
+        .mockResolvedValueOnce(sessionData); // updateSession 調用
 
       const result = await jwtService.refreshAccessToken(validRefreshToken);
 
@@ -201,6 +217,185 @@ describe('JWT Service', () => {
     });
   });
 
+  describe('Refresh Token Rotation', () => {
+    let store;
+
+    // 以 Map 模擬 Redis，讓輪替前後的 refresh token 紀錄可以被讀回
+    beforeEach(() => {
+      store = new Map();
+      redisConnection.set.mockImplementation(async (key, value) => {
+        store.set(key, value);
+        return true;
+      });
+      redisConnection.get.mockImplementation(async (key) => store.get(key) ?? null);
+      redisConnection.delete.mockImplementation(async (key) => store.delete(key));
+      redisConnection.setIfNotExists.mockImplementation(async (key, value) => {
+        if (store.has(key)) {
+          return false;
+        }
+        store.set(key, value);
+        return true;
+      });
+      jest.spyOn(securityEnhancement, 'recordSecurityEvent').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      securityEnhancement.recordSecurityEvent.mockRestore();
+    });
+
+    it('should issue a new refresh token and mark the old one as rotated', async () => {
+      const tokenPair = await jwtService.generateTokenPair(mockUser);
+      const oldJti = jwt.decode(tokenPair.refreshToken).jti;
+
+      const result = await jwtService.refreshAccessToken(tokenPair.refreshToken);
+      const newJti = jwt.decode(result.refreshToken).jti;
+
+      expect(newJti).not.toBe(oldJti);
+      expect(store.get(`refresh_token:${oldJti}`)).toEqual(
+        expect.objectContaining({ status: 'rotated', replacedBy: newJti }),
+      );
+
+      const newRecord = store.get(`refresh_token:${newJti}`);
+      expect(newRecord).toEqual(expect.objectContaining({
+        status: 'active',
+        sessionId: tokenPair.sessionId,
+      }));
+      expect(store.get(`refresh_token:family:${newRecord.familyId}`)).toEqual(
+        expect.objectContaining({ currentJti: newJti, rotationCount: 1 }),
+      );
+      expect(store.get(`session:${tokenPair.sessionId}`).refreshTokenId).toBe(newJti);
+    });
+
+    it('should keep the rotated record for at least one second near expiry', async () => {
+      const tokenPair = await jwtService.generateTokenPair(mockUser);
+      const verified = jwt.decode(tokenPair.refreshToken);
+      jest.spyOn(jwtService, 'verifyRefreshToken').mockResolvedValueOnce({
+        ...verified,
+        exp: Math.floor(Date.now() / 1000),
+      });
+
+      await jwtService.refreshAccessToken(tokenPair.refreshToken);
+
+      expect(redisConnection.setIfNotExists).toHaveBeenCalledWith(
+        `refresh_token:claim:${verified.jti}`,
+        expect.any(Object),
+        { ttl: 1 },
+      );
+      expect(redisConnection.set).toHaveBeenCalledWith(
+        `refresh_token:${verified.jti}`,
+        expect.objectContaining({ status: 'rotated' }),
+        { ttl: 1 },
+      );
+    });
+
+    it('should allow the rotated refresh token to be refreshed again', async () => {
+      const tokenPair = await jwtService.generateTokenPair(mockUser);
+      const first = await jwtService.refreshAccessToken(tokenPair.refreshToken);
+
+      const second = await jwtService.refreshAccessToken(first.refreshToken);
+
+      expect(second.refreshToken).not.toBe(first.refreshToken);
+      expect(securityEnhancement.recordSecurityEvent).not.toHaveBeenCalled();
+    });
+
+    it('should revoke the whole family when a rotated refresh token is reused', async () => {
+      const tokenPair = await jwtService.generateTokenPair(mockUser);
+      const rotated = await jwtService.refreshAccessToken(tokenPair.refreshToken);
+      const newJti = jwt.decode(rotated.refreshToken).jti;
+      const { familyId } = store.get(`refresh_token:${newJti}`);
+      const context = { ipAddress: '203.0.113.9', deviceFingerprint: 'attacker-device' };
+
+      await expect(
+        jwtService.refreshAccessToken(tokenPair.refreshToken, context),
+      ).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+
+      expect(store.has(`refresh_token:${newJti}`)).toBe(false);
+      expect(store.get(`session:${tokenPair.sessionId}`)).toEqual(
+        expect.objectContaining({ isActive: false, revokedReason: 'refresh_token_reuse' }),
+      );
+      expect(store.get(`refresh_token:family:${familyId}`)).toEqual(
+        expect.objectContaining({ revokedReason: 'refresh_token_reuse' }),
+      );
+      expect(securityEnhancement.recordSecurityEvent).toHaveBeenCalledWith(
+        mockUser.firebaseUid,
+        'refresh_token_reuse',
+        expect.objectContaining({
+          sessionId: tokenPair.sessionId,
+          familyId,
+          ipAddress: '203.0.113.9',
+          deviceFingerprint: 'attacker-device',
+        }),
+      );
+
+      // 家族已撤銷，最新的 refresh token 也不能再使用
+      await expect(jwtService.refreshAccessToken(rotated.refreshToken)).rejects.toThrow(
+        'Refresh token 不存在或已過期',
+      );
+    });
+
+    it('should let only one of two concurrent refreshes rotate the token', async () => {
+      const tokenPair = await jwtService.generateTokenPair(mockUser);
+
+      const results = await Promise.allSettled([
+        jwtService.refreshAccessToken(tokenPair.refreshToken),
+        jwtService.refreshAccessToken(tokenPair.refreshToken),
+      ]);
+
+      const fulfilled = results.filter((result) => result.status === 'fulfilled');
+      const rejected = results.filter((result) => result.status === 'rejected');
+      expect(fulfilled).toHaveLength(1);
+      expect(rejected).toHaveLength(1);
+      expect(rejected[0].reason).toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+
+      // 並發的刷新視為重複使用，整個 session 被撤銷，勝出的 token 也無法再刷新
+      expect(store.get(`session:${tokenPair.sessionId}`)).toEqual(
+        expect.objectContaining({ isActive: false, revokedReason: 'refresh_token_reuse' }),
+      );
+      await expect(
+        jwtService.refreshAccessToken(fulfilled[0].value.refreshToken),
+      ).rejects.toBeDefined();
+    });
+
+    it('should reject a refresh token whose family has been revoked', async () => {
+      const tokenPair = await jwtService.generateTokenPair(mockUser);
+      const { familyId } = store.get(`refresh_token:${jwt.decode(tokenPair.refreshToken).jti}`);
+      store.set(`refresh_token:family:${familyId}`, {
+        ...store.get(`refresh_token:family:${familyId}`),
+        revokedAt: new Date().toISOString(),
+      });
+
+      await expect(jwtService.refreshAccessToken(tokenPair.refreshToken)).rejects.toMatchObject({
+        statusCode: 401,
+        code: 'REFRESH_TOKEN_REVOKED',
+      });
+    });
+
+    it('should reject a refresh token that is not the current token of its family', async () => {
+      const tokenPair = await jwtService.generateTokenPair(mockUser);
+      const { familyId } = store.get(`refresh_token:${jwt.decode(tokenPair.refreshToken).jti}`);
+      store.set(`refresh_token:family:${familyId}`, {
+        ...store.get(`refresh_token:family:${familyId}`),
+        currentJti: 'another-jti',
+      });
+
+      await expect(jwtService.refreshAccessToken(tokenPair.refreshToken)).rejects.toMatchObject({
+        code: 'REFRESH_TOKEN_REUSED',
+      });
+    });
+
+    it('should reject a refresh token when its session is no longer active', async () => {
+      const tokenPair = await jwtService.generateTokenPair(mockUser);
+      store.set(`session:${tokenPair.sessionId}`, {
+        ...store.get(`session:${tokenPair.sessionId}`),
+        isActive: false,
+      });
+
+      await expect(jwtService.refreshAccessToken(tokenPair.refreshToken)).rejects.toMatchObject({
+        code: 'REFRESH_TOKEN_REVOKED',
+      });
+    });
+  });
+
   describe('Token Revocation', () => {
     let validAccessToken;
     let validRefreshToken;
@@ -344,6 +539,132 @@ describe('JWT Service', () => {
       // 新的撤銷邏輯不立即刪除，而是標記為撤銷狀態
       expect(redisConnection.delete).toHaveBeenCalledTimes(1); // 刪除 refresh token
     });
+
+    it('should enforce the concurrent session limit from the live security policy', async () => {
+      securityPolicyService.getSection.mockResolvedValue({
+        defaultTimeout: 30,
+        maxConcurrentSessions: 2,
+      });
+      const getUserSessions = jest.spyOn(jwtService, 'getUserSessions').mockResolvedValue([
+        { sessionId: 'newer', lastActivity: new Date().toISOString() },
+        { sessionId: 'older', lastActivity: new Date(Date.now() - 60000).toISOString() },
+      ]);
+      const revokeSession = jest.spyOn(jwtService, 'revokeSession').mockResolvedValue(true);
+
+      await jwtService.enforceConcurrentSessionLimit(mockUser.firebaseUid);
+
+      expect(securityPolicyService.getSection).toHaveBeenCalledWith('sessionPolicy');
+      expect(revokeSession).toHaveBeenCalledWith('older');
+      expect(await jwtService.getSessionLimits()).toEqual({
+        maxConcurrentSessions: 2,
+        inactivityTimeout: 30 * 60,
+      });
+
+      getUserSessions.mockRestore();
+      revokeSession.mockRestore();
+    });
+  });
+
+  describe('Step-up Reauthentication', () => {
+    it('should record the reauthentication time on an active session', async () => {
+      redisConnection.get.mockResolvedValue({ uid: mockUser.firebaseUid, isActive: true });
+
+      const reauthenticatedAt = await jwtService.recordReauthentication('session-1', 'mfa');
+
+      expect(new Date(reauthenticatedAt).getTime()).toBeLessThanOrEqual(Date.now());
+      expect(redisConnection.set).toHaveBeenCalledWith(
+        'session:session-1',
+        expect.objectContaining({ reauthenticatedAt, reauthenticationMethod: 'mfa' }),
+        expect.any(Object),
+      );
+
+      redisConnection.get.mockResolvedValue({ uid: mockUser.firebaseUid, isActive: false });
+      await expect(jwtService.recordReauthentication('session-1', 'mfa')).resolves.toBeNull();
+    });
+
+    it('should read the step-up window from the live security policy', async () => {
+      securityPolicyService.getSection.mockResolvedValue({
+        stepUpMaxAge: 10,
+        requireMfaForSensitive: true,
+      });
+
+      await expect(jwtService.getStepUpPolicy()).resolves.toEqual({
+        maxAge: 10 * 60,
+        requireMfa: true,
+      });
+    });
+  });
+
+  describe('Signing Keys', () => {
+    it('should sign tokens with an asymmetric key identified by kid', async () => {
+      const token = await jwtService.generateAccessToken({ uid: mockUser.firebaseUid });
+
+      const { header } = jwt.decode(token, { complete: true });
+      expect(header.alg).toBe('RS256');
+      expect(header.kid).toBe(jwtService.keyManager.currentKid);
+    });
+
+    it('should keep verifying tokens signed before a key rotation', async () => {
+      const token = await jwtService.generateAccessToken({ uid: mockUser.firebaseUid });
+      const rotated = await jwtService.rotateSigningKey();
+
+      const verified = await jwtService.verifyAccessToken(token);
+
+      expect(verified.uid).toBe(mockUser.firebaseUid);
+      expect(jwt.decode(token, { complete: true }).header.kid).not.toBe(rotated.kid);
+    });
+
+    it('should reject tokens with an unknown kid', async () => {
+      const token = await jwtService.generateAccessToken({ uid: mockUser.firebaseUid });
+      const [, payload, signature] = token.split('.');
+      const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: 'unknown' }))
+        .toString('base64url');
+
+      await expect(
+        jwtService.verifyAccessToken(`${header}.${payload}.${signature}`),
+      ).rejects.toThrow('Token 驗證失敗');
+    });
+
+    it('should not accept HS256 tokens that claim a kid', async () => {
+      const forged = jwt.sign(
+        { uid: mockUser.firebaseUid, type: 'access', jti: 'forged-jti' },
+        jwtService.legacySecret || 'localite-jwt-secret-key',
+        {
+          issuer: 'localite',
+          audience: 'localite-users',
+          keyid: jwtService.keyManager.currentKid,
+        },
+      );
+
+      await expect(jwtService.verifyAccessToken(forged)).rejects.toThrow('Token 驗證失敗');
+    });
+
+    it('should reject legacy HS256 tokens when no legacy secret is configured', async () => {
+      const { legacySecret } = jwtService;
+      const legacy = jwt.sign(
+        { uid: mockUser.firebaseUid, type: 'access', jti: 'legacy-jti' },
+        legacySecret || 'localite-jwt-secret-key',
+        { issuer: 'localite', audience: 'localite-users' },
+      );
+      jwtService.legacySecret = null;
+
+      try {
+        await expect(jwtService.verifyAccessToken(legacy)).rejects.toThrow('Token 驗證失敗');
+      } finally {
+        jwtService.legacySecret = legacySecret;
+      }
+    });
+
+    it('should expose public keys as JWKS', async () => {
+      const jwks = await jwtService.getJWKS();
+
+      expect(jwks.keys).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ kid: jwtService.keyManager.currentKid, use: 'sig' }),
+        ]),
+      );
+      jwks.keys.forEach((key) => expect(key).not.toHaveProperty('d'));
+    });
   });
 
   describe('Utility Methods', () => {
@@ -372,7 +693,7 @@ describe('JWT Service', () => {
       redisConnection.exists.mockRejectedValue(new Error('Redis connection failed'));
 
       // 應該不阻止 token 驗證流程
-      const token = jwtService.generateAccessToken({
+      const token = await jwtService.generateAccessToken({
         uid: mockUser.firebaseUid,
         email: mockUser.email,
       });
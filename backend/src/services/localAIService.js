@@ -0,0 +1,227 @@
+const GoogleAIService = require('./googleAIService');
+
+const { STRUCTURED_OUTPUT_CONFIG } = GoogleAIService;
+
+// 本地模擬供應商預設選項：完全離線執行，不需要速率限制、配額與回應快取
+const LOCAL_PROVIDER_DEFAULTS = {
+  model: 'local-mock',
+  enableRateLimit: false,
+  enableQuotaManagement: false,
+  enableRequestQueue: false,
+  enableBatchProcessing: false,
+  enableResponseCache: false,
+  // 本地回應不計入共享預算與統計
+  enableSharedState: false,
+  // 每次回應前的模擬延遲（毫秒）
+  latencyMs: 0,
+  // 串流時每段文字長度
+  streamChunkSize: 32,
+  // 每百萬 token 價格（美元），預設不計費
+  pricing: { inputPerMillionTokens: 0, outputPerMillionTokens: 0 },
+};
+
+/**
+ * 本地模擬 AI 供應商
+ * 繼承 GoogleAIService 並以離線客戶端取代 @google/generative-ai，
+ * 金鑰統計、錯誤分類、成本追蹤與用量配額的行為與 Gemini 相同。
+ * 預設回應為確定性內容：結構化請求依提示詞中的 JSON Schema 產生範例資料，
+ * 其他請求回傳固定格式文字；可透過 options.responder 自訂回應
+ */
+class LocalAIService extends GoogleAIService {
+  /**
+   * @param {Object} options - GoogleAIService 選項與本地供應商選項
+   * @param {Array<string>} options.keys - 模擬金鑰（預設一組，用於測試金鑰輪替）
+   * @param {Function} options.responder - (prompt, { schema }) => 回應文字或物件
+   */
+  constructor(options = {}) {
+    const { keys = ['local-key'], ...serviceOptions } = options;
+    super(keys, { ...LOCAL_PROVIDER_DEFAULTS, ...serviceOptions });
+  }
+
+  /**
+   * 建立離線模型客戶端，回應格式與 @google/generative-ai 相同
+   */
+  createModelClient(apiKey) {
+    const model = {
+      generateContent: async (request) => {
+        const prompt = this.extractPromptText(request);
+        const text = await this.respond(prompt);
+        return {
+          response: {
+            text: () => text,
+            usageMetadata: this.buildUsageMetadata(prompt, text),
+          },
+        };
+      },
+      generateContentStream: async (request) => {
+        const prompt = this.extractPromptText(request);
+        const text = await this.respond(prompt);
+        const usageMetadata = this.buildUsageMetadata(prompt, text);
+        const chunks = this.splitIntoChunks(text);
+
+        return {
+          stream: (async function* localStream() {
+            // eslint-disable-next-line no-restricted-syntax
+            for (const [index, chunk] of chunks.entries()) {
+              yield {
+                text: () => chunk,
+                // 最後一段附上整次請求的用量，與 Gemini 串流一致
+                ...(index === chunks.length - 1 && { usageMetadata }),
+              };
+            }
+          }()),
+        };
+      },
+    };
+
+    return { client: { apiKey }, model };
+  }
+
+  /**
+   * 本地模型使用設定的價格（預設為 0）
+   */
+  getModelPricing() {
+    return this.options.pricing;
+  }
+
+  /**
+   * 取出請求中的提示詞（字串或含 contents 的完整請求）
+   */
+  // eslint-disable-next-line class-methods-use-this
+  extractPromptText(request) {
+    if (typeof request === 'string') {
+      return request;
+    }
+    return (request.contents || [])
+      .flatMap((content) => content.parts || [])
+      .map((part) => part.text || '')
+      .join('\n');
+  }
+
+  /**
+   * 產生回應文字
+   */
+  async respond(prompt) {
+    if (this.options.latencyMs > 0) {
+      await new Promise((resolve) => {
+        setTimeout(resolve, this.options.latencyMs);
+      });
+    }
+
+    const schema = this.extractSchema(prompt);
+    let response;
+    if (typeof this.options.responder === 'function') {
+      response = await this.options.responder(prompt, { schema });
+    } else if (schema) {
+      response = this.buildSampleFromSchema(schema);
+    } else {
+      const [firstLine] = prompt.trim().split('\n');
+      response = `[${this.options.model}] ${firstLine.substring(0, 200)}`;
+    }
+
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  /**
+   * 從結構化提示詞取出 JSON Schema
+   * Schema 以 JSON.stringify(schema, null, 2) 附在說明行之後，頂層物件以獨立一行的 } 結尾
+   */
+  // eslint-disable-next-line class-methods-use-this
+  extractSchema(prompt) {
+    const start = prompt.indexOf(STRUCTURED_OUTPUT_CONFIG.schemaInstruction);
+    if (start === -1) {
+      return null;
+    }
+
+    const rest = prompt.substring(start + STRUCTURED_OUTPUT_CONFIG.schemaInstruction.length).trim();
+    const end = rest.indexOf('\n}');
+    try {
+      return JSON.parse(end === -1 ? rest : rest.substring(0, end + 2));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 依 JSON Schema 產生符合限制的最小範例資料
+   * 支援 const、enum、type、properties、items、minItems、maxItems、minLength、maxLength、
+   * minimum、maximum
+   */
+  buildSampleFromSchema(schema, name = 'value') {
+    if (!schema || typeof schema !== 'object') {
+      return null;
+    }
+    if (schema.const !== undefined) {
+      return schema.const;
+    }
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+      return schema.enum[0];
+    }
+
+    const type = Array.isArray(schema.type)
+      ? schema.type.find((candidate) => candidate !== 'null')
+      : schema.type;
+
+    switch (type) {
+      case 'object':
+        return Object.entries(schema.properties || {}).reduce(
+          (result, [key, propertySchema]) => ({
+            ...result,
+            [key]: this.buildSampleFromSchema(propertySchema, key),
+          }),
+          {},
+        );
+      case 'array': {
+        const count = Math.min(Math.max(schema.minItems || 1, 1), schema.maxItems || Infinity);
+        return Array.from({ length: count }, (_, index) => this.buildSampleFromSchema(
+          schema.items,
+          `${name} ${index + 1}`,
+        ));
+      }
+      case 'number':
+      case 'integer': {
+        const minimum = schema.minimum !== undefined ? schema.minimum : 0;
+        const value = schema.maximum !== undefined ? Math.min(minimum, schema.maximum) : minimum;
+        return type === 'integer' ? Math.ceil(value) : value;
+      }
+      case 'boolean':
+        return false;
+      case 'string': {
+        const text = `local ${name}`.padEnd(schema.minLength || 0, '.');
+        return schema.maxLength !== undefined ? text.substring(0, schema.maxLength) : text;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 產生與 Gemini 相同格式的 usageMetadata
+   */
+  buildUsageMetadata(prompt, text) {
+    const promptTokenCount = this.estimateTokens(prompt);
+    const candidatesTokenCount = this.estimateTokens(text);
+    return {
+      promptTokenCount,
+      candidatesTokenCount,
+      totalTokenCount: promptTokenCount + candidatesTokenCount,
+    };
+  }
+
+  /**
+   * 將回應切成串流片段
+   */
+  splitIntoChunks(text) {
+    const size = Math.max(this.options.streamChunkSize, 1);
+    const chunks = [];
+    for (let index = 0; index < text.length; index += size) {
+      chunks.push(text.substring(index, index + size));
+    }
+    return chunks;
+  }
+}
+
+LocalAIService.PROVIDER_NAME = 'local';
+
+module.exports = LocalAIService;
+module.exports.LOCAL_PROVIDER_DEFAULTS = LOCAL_PROVIDER_DEFAULTS;
@@ -0,0 +1,112 @@
+const LocalAIService = require('./localAIService');
+
+// Mock the logger
+jest.mock('../config/logger', () => ({
+  logger: {
+    error: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('LocalAIService', () => {
+  const schema = {
+    type: 'object',
+    required: ['title', 'stops'],
+    properties: {
+      title: { type: 'string', minLength: 1, maxLength: 20 },
+      stops: {
+        type: 'array',
+        minItems: 2,
+        items: {
+          type: 'object',
+          required: ['name', 'latitude'],
+          properties: {
+            name: { type: 'string' },
+            latitude: { type: 'number', minimum: -90, maximum: 90 },
+            durationMinutes: { type: 'integer', minimum: 5 },
+            kind: { enum: ['temple', 'market'] },
+          },
+        },
+      },
+    },
+  };
+
+  const collect = async (iterator) => {
+    const chunks = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const chunk of iterator) {
+      chunks.push(chunk);
+    }
+    return chunks;
+  };
+
+  it('should identify itself as the local provider', async () => {
+    const service = new LocalAIService();
+
+    expect(service.providerName).toBe('local');
+    expect((await service.getHealthStatus()).provider).toBe('local');
+  });
+
+  it('should synthesize schema-valid data for structured requests', async () => {
+    const service = new LocalAIService();
+
+    const data = await service.generateStructured('規劃大稻埕導覽', schema);
+
+    expect(data.title).toBe('local title');
+    expect(data.stops).toHaveLength(2);
+    expect(data.stops[0]).toEqual({
+      name: 'local name',
+      latitude: -90,
+      durationMinutes: 5,
+      kind: 'temple',
+    });
+    expect(service.buildSampleFromSchema(schema)).toEqual(data);
+  });
+
+  it('should track tokens and cost like any other provider', async () => {
+    const service = new LocalAIService({
+      pricing: { inputPerMillionTokens: 1000000, outputPerMillionTokens: 0 },
+    });
+
+    await service.generateContent('四個字元', { caller: 'tour_narration' });
+
+    const [record] = service.getCostHistory();
+    expect(record).toEqual(
+      expect.objectContaining({
+        model: 'local-mock',
+        caller: 'tour_narration',
+        inputTokens: 4,
+        estimated: false,
+      }),
+    );
+    expect(record.inputCost).toBeCloseTo(4);
+    expect(service.getKeyStatistics()[0].successfulRequests).toBe(1);
+  });
+
+  it('should stream the response in chunks', async () => {
+    const service = new LocalAIService({
+      streamChunkSize: 4,
+      responder: () => 'Built in 1859.',
+    });
+
+    const chunks = await collect(service.generateContentStream('narrate'));
+
+    expect(chunks).toEqual(['Buil', 't in', ' 185', '9.']);
+    expect(service.getCostHistory()[0].outputTokens).toBeGreaterThan(0);
+  });
+
+  it('should classify responder errors with the shared error handling', async () => {
+    const service = new LocalAIService({
+      responder: () => {
+        throw new Error('429 Too Many Requests: rate limit exceeded');
+      },
+    });
+
+    await expect(service.generateContent('prompt', { maxRetries: 1 })).rejects.toMatchObject({
+      code: 'ALL_KEYS_RATE_LIMITED',
+    });
+    expect(service.getErrorStatistics().errorsByType.RATE_LIMIT).toBe(1);
+  });
+});
@@ -3,13 +3,25 @@ const { authenticator } = require('otplib');
 const QRCode = require('qrcode');
 const { redisConnection } = require('../config/redis');
 const { logger } = require('../middleware/requestLogger');
+const WebAuthnService = require('./webauthnService');
+const { createSMSProvider, normalizePhoneNumber, DELIVERY_STATUS } = require('./smsGateway');
+const EmailService = require('./emailService');
+const { securityPolicyService } = require('./securityPolicyService');
+const { securityEnhancement } = require('../middleware/securityEnhancement');
 
 /**
  * MFA (Multi-Factor Authentication) 服務
- * 提供多重驗證功能，包括 TOTP、SMS 驗證碼和備用碼系統
+ * 提供多重驗證功能，包括 TOTP、SMS 驗證碼、備用碼系統與 WebAuthn（passkey）
  */
 class MFAService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.smsProvider - 簡訊供應商，預設依 SMS_PROVIDER 建立
+   * @param {Object} options.emailService - 郵件服務，預設依 EMAIL_TRANSPORT 建立
+   * @param {Function} options.mfaPolicyProvider - async () => mfaPolicy，預設讀取生效的全域安全政策
+   * @param {Object} options.securityEnhancement - 記錄 MFA 啟用/停用安全事件
+   */
+  constructor(options = {}) {
     // MFA 配置
     this.totpConfig = {
       algorithm: 'sha1',
@@ -26,6 +38,16 @@ class MFAService {
       resendInterval: 60, // 60 秒後可重新發送
       maxAttempts: 3, // 最多嘗試 3 次
       maxDailyAttempts: 10, // 每日最多 10 次
+      defaultCountry: process.env.SMS_DEFAULT_COUNTRY || 'TW', // 未帶國碼時的國家
+      deliveryReportExpiry: 86400, // 送達回報 24 小時內有效
+    };
+
+    this.emailConfig = {
+      codeLength: 6,
+      expiry: 600, // 10 分鐘有效期
+      resendInterval: 60, // 60 秒後可重新發送
+      maxAttempts: 3, // 最多嘗試 3 次
+      maxDailyAttempts: 10, // 每日最多 10 次
     };
 
     this.backupCodeConfig = {
@@ -34,15 +56,40 @@ class MFAService {
       usageLimit: 1, // 每個備用碼只能使用一次
     };
 
+    this.webauthnConfig = {
+      rpId: process.env.WEBAUTHN_RP_ID || 'localhost',
+      rpName: process.env.WEBAUTHN_RP_NAME || process.env.MFA_ISSUER || 'Localite',
+      origins: (process.env.WEBAUTHN_ORIGINS || process.env.FRONTEND_URL || 'http://localhost:3000')
+        .split(',')
+        .map((origin) => origin.trim())
+        .filter(Boolean),
+      timeout: 60000, // 瀏覽器等待 60 秒
+      challengeExpiry: 300, // challenge 5 分鐘有效期
+      maxAttempts: 5, // 最多嘗試 5 次
+      maxCredentials: 10, // 每個用戶最多 10 個憑證
+    };
+
+    this.trustedDeviceConfig = {
+      trustDays: parseInt(process.env.MFA_TRUSTED_DEVICE_DAYS, 10) || 30, // 預設信任 30 天
+      maxTrustDays: 90, // 最長信任 90 天
+      maxDevices: 10, // 每個用戶最多 10 個受信任設備
+    };
+
     // Redis 鍵前綴
     this.mfaPrefix = 'mfa:';
     this.totpSecretPrefix = 'totp_secret:';
     this.smsCodePrefix = 'sms_code:';
+    this.smsMessagePrefix = 'sms_message:';
+    this.emailCodePrefix = 'email_code:';
     this.backupCodesPrefix = 'backup_codes:';
     this.mfaStatusPrefix = 'mfa_status:';
     this.attemptCounterPrefix = 'mfa_attempts:';
     this.dailyAttemptCounterPrefix = 'mfa_daily_attempts:';
     this.resendCounterPrefix = 'mfa_resend:';
+    this.webauthnCredentialsPrefix = 'webauthn_credentials:';
+    this.webauthnCredentialOwnerPrefix = 'webauthn_credential_owner:';
+    this.webauthnChallengePrefix = 'webauthn_challenge:';
+    this.trustedDevicesPrefix = 'mfa_trusted_devices:';
 
     // MFA 狀態常數
     this.MFA_STATUS = {
@@ -56,6 +103,8 @@ class MFAService {
       TOTP: 'totp',
       SMS: 'sms',
       BACKUP_CODE: 'backup_code',
+      WEBAUTHN: 'webauthn',
+      EMAIL: 'email',
     };
 
     // 驗證結果常數
@@ -72,6 +121,28 @@ class MFAService {
       smsConfig: this.smsConfig,
       backupCodeConfig: this.backupCodeConfig,
     });
+
+    this.webauthn = new WebAuthnService(this.webauthnConfig);
+    this.smsProvider = options.smsProvider || createSMSProvider();
+    this.emailService = options.emailService || new EmailService();
+    this.mfaPolicyProvider = options.mfaPolicyProvider
+      || (() => securityPolicyService.getSection('mfaPolicy'));
+    this.securityEnhancement = options.securityEnhancement || securityEnhancement;
+  }
+
+  /**
+   * 套用生效的 MFA 政策（驗證嘗試次數、每日發送上限、受信任設備天數）
+   * 在讀取這些設定前呼叫，管理員調整全域安全政策後不需重啟服務
+   */
+  async applyMfaPolicy() {
+    const mfaPolicy = await this.mfaPolicyProvider();
+
+    this.totpConfig.maxAttempts = mfaPolicy.maxAttempts;
+    this.smsConfig.maxAttempts = mfaPolicy.maxAttempts;
+    this.emailConfig.maxAttempts = mfaPolicy.maxAttempts;
+    this.smsConfig.maxDailyAttempts = mfaPolicy.maxDailyAttempts;
+    this.emailConfig.maxDailyAttempts = mfaPolicy.maxDailyAttempts;
+    this.trustedDeviceConfig.trustDays = mfaPolicy.trustedDeviceDays;
   }
 
   /**
@@ -126,7 +197,10 @@ class MFAService {
         lastUpdated: new Date().toISOString(),
       };
 
+      // 讀取舊狀態只為判斷是否需記錄啟用/停用事件，失敗時不影響狀態更新
+      const previous = await redisConnection.get(statusKey).catch(() => null);
       await redisConnection.set(statusKey, JSON.stringify(mfaStatus));
+      await this.recordMFAStatusChange(uid, previous ? JSON.parse(previous) : null, mfaStatus);
 
       logger.info('用戶 MFA 狀態更新成功', {
         uid,
@@ -143,6 +217,24 @@ class MFAService {
     }
   }
 
+  /**
+   * MFA 啟用或停用時記錄安全事件（稽核報告依此計算 MFA 啟用率）
+   * @private
+   */
+  async recordMFAStatusChange(uid, previousStatus, mfaStatus) {
+    const wasEnabled = previousStatus?.status === this.MFA_STATUS.ENABLED;
+    const isEnabled = mfaStatus.status === this.MFA_STATUS.ENABLED;
+    if (wasEnabled === isEnabled) {
+      return;
+    }
+
+    await this.securityEnhancement.recordSecurityEvent(
+      uid,
+      isEnabled ? 'mfa_enabled' : 'mfa_disabled',
+      { enabledMethods: mfaStatus.enabledMethods || [] },
+    );
+  }
+
   /**
    * 檢查用戶是否啟用 MFA
    * @param {string} uid - 用戶 ID
@@ -206,6 +298,7 @@ class MFAService {
    */
   async isAttemptLimitExceeded(uid, type) {
     try {
+      await this.applyMfaPolicy();
       const counterKey = `${this.attemptCounterPrefix}${uid}:${type}`;
       const dailyCounterKey = `${this.dailyAttemptCounterPrefix}${uid}:${type}:${this.getDateString()}`;
 
@@ -218,12 +311,25 @@ class MFAService {
             return this.smsConfig.maxAttempts;
           case this.MFA_TYPE.TOTP:
             return this.totpConfig.maxAttempts;
+          case this.MFA_TYPE.WEBAUTHN:
+            return this.webauthnConfig.maxAttempts;
+          case this.MFA_TYPE.EMAIL:
+            return this.emailConfig.maxAttempts;
           default:
             return this.backupCodeConfig.usageLimit;
         }
       })();
 
-      const maxDailyAttempts = type === this.MFA_TYPE.SMS ? this.smsConfig.maxDailyAttempts : 20; // 其他類型的每日限制
+      const maxDailyAttempts = (() => {
+        switch (type) {
+          case this.MFA_TYPE.SMS:
+            return this.smsConfig.maxDailyAttempts;
+          case this.MFA_TYPE.EMAIL:
+            return this.emailConfig.maxDailyAttempts;
+          default:
+            return 20; // 其他類型的每日限制
+        }
+      })();
 
       return (
         parseInt(currentAttempts, 10) >= maxAttempts
@@ -396,7 +502,7 @@ class MFAService {
   /**
    * 驗證 MFA 代碼的通用方法
    * @param {string} uid - 用戶 ID
-   * @param {string} code - 驗證碼
+   * @param {string|Object} code - 驗證碼（WebAuthn 為 assertion 回應）
    * @param {string} type - MFA 類型
    * @returns {Promise<Object>} 驗證結果
    */
@@ -427,6 +533,12 @@ class MFAService {
         case this.MFA_TYPE.BACKUP_CODE:
           verificationResult = await this.verifyBackupCode(uid, code);
           break;
+        case this.MFA_TYPE.WEBAUTHN:
+          verificationResult = await this.verifyWebAuthnAssertion(uid, code);
+          break;
+        case this.MFA_TYPE.EMAIL:
+          verificationResult = await this.verifyEmailCode(uid, code);
+          break;
         default:
           throw new Error('不支援的 MFA 類型');
       }
@@ -529,6 +641,7 @@ class MFAService {
    */
   async verifySMSCode(uid, code) {
     try {
+      await this.applyMfaPolicy();
       // 驗證輸入
       if (!uid || !code) {
         return {
@@ -727,40 +840,46 @@ class MFAService {
   }
 
   /**
-   * 模擬 SMS 發送服務
-   * @param {string} phone - 手機號碼
+   * 產生驗證碼簡訊內容
+   * @param {string} code - 驗證碼
+   * @returns {string} 簡訊內容
+   */
+  buildSMSMessage(code) {
+    const minutes = Math.ceil(this.smsConfig.expiry / 60);
+    return `【${this.totpConfig.issuer}】您的驗證碼為 ${code}，${minutes} 分鐘內有效，請勿提供給他人。`;
+  }
+
+  /**
+   * 透過簡訊供應商發送驗證碼
+   * @param {string} phone - E.164 手機號碼
    * @param {string} code - 驗證碼
    * @returns {Promise<Object>} 發送結果
    */
-  async simulateSMSService(phone, _code) {
+  async deliverSMS(phone, code) {
     try {
-      // 在生產環境中，這裡會整合真正的 SMS 服務
-      // 如 AWS SNS、Twilio、阿里雲短信等
-
-      // 模擬發送延遲
-      await new Promise((resolve) => setTimeout(resolve, 500));
+      const result = await this.smsProvider.send(phone, this.buildSMSMessage(code));
 
-      // 模擬 10% 的發送失敗率（用於測試）
-      const shouldFail = Math.random() < 0.1;
-
-      if (shouldFail) {
-        throw new Error('SMS 服務暫時不可用');
+      if (!result.success) {
+        throw new Error(result.error || 'SMS 服務暫時不可用');
       }
 
-      logger.info('SMS 驗證碼模擬發送', {
+      logger.info('SMS 驗證碼已交由供應商發送', {
         phone,
         code: '***',
-        timestamp: new Date().toISOString(),
+        provider: this.smsProvider.providerName,
+        messageId: result.messageId,
       });
 
       return {
         success: true,
-        messageId: `sim_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+        messageId: result.messageId,
+        status: result.status || DELIVERY_STATUS.QUEUED,
         message: '驗證碼發送成功',
       };
     } catch (error) {
       logger.error('SMS 發送失敗', {
         phone,
+        provider: this.smsProvider.providerName,
         error: error.message,
       });
 
@@ -830,9 +949,9 @@ class MFAService {
         };
       }
 
-      // 檢查手機號碼格式
-      const phoneRegex = /^[+]?[0-9]{10,15}$/;
-      if (!phoneRegex.test(phone)) {
+      // 檢查手機號碼格式並正規化為 E.164
+      const normalizedPhone = normalizePhoneNumber(phone, this.smsConfig.defaultCountry);
+      if (!normalizedPhone) {
         return {
           success: false,
           message: '手機號碼格式不正確',
@@ -840,6 +959,7 @@ class MFAService {
       }
 
       // 檢查每日發送限制
+      await this.applyMfaPolicy();
       const dailyCounterKey = `${this.dailyAttemptCounterPrefix}${uid}:${
         this.MFA_TYPE.SMS
       }:${this.getDateString()}`;
@@ -872,7 +992,7 @@ class MFAService {
       const smsCodeKey = `${this.smsCodePrefix}${uid}`;
       const codeData = {
         code,
-        phone,
+        phone: normalizedPhone,
         createdAt: currentTime,
         expiresAt,
         attempts: 0,
@@ -882,7 +1002,7 @@ class MFAService {
       await redisConnection.set(smsCodeKey, JSON.stringify(codeData));
 
       // 發送 SMS
-      const sendResult = await this.simulateSMSService(phone, code);
+      const sendResult = await this.deliverSMS(normalizedPhone, code);
 
       if (!sendResult.success) {
         // 發送失敗，清除驗證碼
@@ -893,6 +1013,20 @@ class MFAService {
         };
       }
 
+      // 記錄簡訊 ID 與送達狀態，供送達回報對應
+      await redisConnection.set(
+        smsCodeKey,
+        JSON.stringify({
+          ...codeData,
+          messageId: sendResult.messageId,
+          deliveryStatus: sendResult.status,
+          deliveryUpdatedAt: new Date().toISOString(),
+        }),
+      );
+      const messageKey = `${this.smsMessagePrefix}${sendResult.messageId}`;
+      await redisConnection.set(messageKey, JSON.stringify({ uid }));
+      await redisConnection.expire(messageKey, this.smsConfig.deliveryReportExpiry);
+
       // 更新重送計數器
       const resendKey = `${this.resendCounterPrefix}${uid}`;
       await redisConnection.set(resendKey, currentTime.toString());
@@ -904,7 +1038,7 @@ class MFAService {
 
       logger.info('SMS 驗證碼發送成功', {
         uid,
-        phone,
+        phone: normalizedPhone,
         messageId: sendResult.messageId,
         expiresAt: new Date(expiresAt).toISOString(),
         isResend,
@@ -914,6 +1048,7 @@ class MFAService {
         success: true,
         message: '驗證碼已發送',
         messageId: sendResult.messageId,
+        deliveryStatus: sendResult.status,
         expiresIn: this.smsConfig.expiry,
       };
     } catch (error) {
@@ -931,6 +1066,77 @@ class MFAService {
     }
   }
 
+  /**
+   * 記錄簡訊送達回報
+   * 僅更新仍為目前驗證碼的紀錄，重送後舊簡訊的回報只記錄日誌
+   * @param {Object} payload - 供應商回報內容
+   * @returns {Promise<Object>} 記錄結果
+   */
+  async recordSMSDeliveryStatus(payload) {
+    try {
+      const report = this.smsProvider.parseDeliveryReport(payload);
+      if (!report.messageId || !report.status) {
+        return {
+          success: false,
+          message: '送達回報格式不正確',
+        };
+      }
+
+      const messageData = await redisConnection.get(`${this.smsMessagePrefix}${report.messageId}`);
+      if (!messageData) {
+        return {
+          success: false,
+          message: '簡訊不存在或回報已過期',
+        };
+      }
+
+      const { uid } = JSON.parse(messageData);
+      const smsCodeKey = `${this.smsCodePrefix}${uid}`;
+      const codeData = await redisConnection.get(smsCodeKey);
+      const parsedData = codeData ? JSON.parse(codeData) : null;
+
+      if (parsedData && parsedData.messageId === report.messageId) {
+        await redisConnection.set(
+          smsCodeKey,
+          JSON.stringify({
+            ...parsedData,
+            deliveryStatus: report.status,
+            deliveryErrorCode: report.errorCode,
+            deliveryUpdatedAt: report.reportedAt,
+          }),
+        );
+      }
+
+      const logMethod = [DELIVERY_STATUS.FAILED, DELIVERY_STATUS.UNDELIVERED].includes(
+        report.status,
+      )
+        ? 'warn'
+        : 'info';
+      logger[logMethod]('SMS 送達回報', {
+        uid,
+        messageId: report.messageId,
+        status: report.status,
+        errorCode: report.errorCode,
+        current: Boolean(parsedData && parsedData.messageId === report.messageId),
+      });
+
+      return {
+        success: true,
+        uid,
+        status: report.status,
+      };
+    } catch (error) {
+      logger.error('SMS 送達回報記錄失敗', {
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        message: '送達回報記錄失敗',
+      };
+    }
+  }
+
   /**
    * 設置 SMS 驗證
    * @param {string} uid - 用戶 ID
@@ -1114,428 +1320,504 @@ class MFAService {
   }
 
   // ======================
-  // 備用碼相關方法
+  // Email 驗證碼相關方法
   // ======================
 
   /**
-   * 生成備用碼數組
-   * @returns {Array<string>} 備用碼數組
+   * 生成 Email 驗證碼
+   * @returns {string} Email 驗證碼
    */
-  generateBackupCodes() {
-    try {
-      const codes = [];
-      for (let i = 0; i < this.backupCodeConfig.totalCodes; i++) {
-        const code = this.generateSecureAlphanumericCode(this.backupCodeConfig.codeLength);
-        codes.push(code);
-      }
-
-      logger.info('備用碼生成成功', {
-        totalCodes: this.backupCodeConfig.totalCodes,
-        codeLength: this.backupCodeConfig.codeLength,
-      });
-
-      return codes;
-    } catch (error) {
-      logger.error('生成備用碼失敗', { error: error.message });
-      throw new Error('生成備用碼失敗');
-    }
+  generateEmailCode() {
+    return this.generateSecureCode(this.emailConfig.codeLength);
   }
 
   /**
-   * 存儲備用碼到 Redis
+   * 檢查 Email 重送間隔
    * @param {string} uid - 用戶 ID
-   * @param {Array<string>} codes - 備用碼數組
-   * @returns {Promise<boolean>} 是否成功
+   * @returns {Promise<Object>} 重送檢查結果
    */
-  async storeBackupCodes(uid, codes) {
+  async checkEmailResendInterval(uid) {
     try {
-      const backupCodesKey = `${this.backupCodesPrefix}${uid}`;
-      const backupCodesData = {
-        codes: codes.map((code) => ({
-          code,
-          used: false,
-          usedAt: null,
-        })),
-        createdAt: new Date().toISOString(),
-        lastUsedAt: null,
-        enabled: false, // 預設為未啟用，需要用戶確認後才啟用
-      };
+      const resendKey = `${this.resendCounterPrefix}${uid}:${this.MFA_TYPE.EMAIL}`;
+      const lastSentTime = await redisConnection.get(resendKey);
 
-      await redisConnection.set(backupCodesKey, JSON.stringify(backupCodesData));
+      if (!lastSentTime) {
+        return {
+          canResend: true,
+          remainingTime: 0,
+        };
+      }
 
-      logger.info('備用碼存儲成功', {
-        uid,
-        totalCodes: codes.length,
-      });
+      const remainingTime = Math.max(
+        0,
+        this.emailConfig.resendInterval * 1000 - (Date.now() - parseInt(lastSentTime, 10)),
+      );
 
-      return true;
+      return {
+        canResend: remainingTime === 0,
+        remainingTime: Math.ceil(remainingTime / 1000),
+      };
     } catch (error) {
-      logger.error('存儲備用碼失敗', {
+      logger.error('檢查 Email 重送間隔失敗', {
         uid,
         error: error.message,
       });
-      return false;
+
+      return {
+        canResend: false,
+        remainingTime: this.emailConfig.resendInterval,
+      };
     }
   }
 
   /**
-   * 設置備用碼（用戶首次生成）
+   * 發送 Email 驗證碼
    * @param {string} uid - 用戶 ID
-   * @returns {Promise<Object>} 設置結果包含備用碼
+   * @param {string} email - Email 地址
+   * @param {boolean} isResend - 是否為重送
+   * @param {string} language - 郵件語言（zh-TW、zh-CN、en-US）
+   * @returns {Promise<Object>} 發送結果
    */
-  async setupBackupCodes(uid) {
+  async sendEmailCode(uid, email, isResend = false, language = 'zh-TW') {
     try {
-      // 檢查是否已經設置備用碼
-      const existingCodes = await this.getBackupCodes(uid);
-      if (existingCodes.success && existingCodes.enabled) {
+      if (!uid || !email) {
         return {
           success: false,
-          message: '備用碼已經設置並啟用',
+          message: '用戶 ID 和 Email 不能為空',
         };
       }
 
-      // 生成備用碼
-      const codes = this.generateBackupCodes();
-
-      // 存儲備用碼
-      const stored = await this.storeBackupCodes(uid, codes);
-      if (!stored) {
-        throw new Error('存儲備用碼失敗');
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return {
+          success: false,
+          message: 'Email 格式不正確',
+        };
       }
 
-      // 更新 MFA 狀態為 pending
-      const currentStatus = await this.getUserMFAStatus(uid);
-      const pendingMethods = currentStatus.pendingMethods || [];
+      // 檢查每日發送限制
+      await this.applyMfaPolicy();
+      const dailyCounterKey = `${this.dailyAttemptCounterPrefix}${uid}:${
+        this.MFA_TYPE.EMAIL
+      }:${this.getDateString()}`;
+      const dailyAttempts = await redisConnection.get(dailyCounterKey);
 
-      if (!pendingMethods.includes(this.MFA_TYPE.BACKUP_CODE)) {
-        pendingMethods.push(this.MFA_TYPE.BACKUP_CODE);
+      if (dailyAttempts && parseInt(dailyAttempts, 10) >= this.emailConfig.maxDailyAttempts) {
+        return {
+          success: false,
+          message: '今日發送次數已達上限',
+        };
       }
 
-      await this.setUserMFAStatus(uid, {
-        ...currentStatus,
-        pendingMethods,
+      // 檢查重送間隔
+      if (isResend) {
+        const resendCheck = await this.checkEmailResendInterval(uid);
+        if (!resendCheck.canResend) {
+          return {
+            success: false,
+            message: `請等待 ${resendCheck.remainingTime} 秒後再重送`,
+          };
+        }
+      }
+
+      // 生成驗證碼
+      const code = this.generateEmailCode();
+      const currentTime = Date.now();
+      const expiresAt = currentTime + this.emailConfig.expiry * 1000;
+
+      // 存儲驗證碼
+      const emailCodeKey = `${this.emailCodePrefix}${uid}`;
+      await redisConnection.set(
+        emailCodeKey,
+        JSON.stringify({
+          code,
+          email,
+          createdAt: currentTime,
+          expiresAt,
+          attempts: 0,
+          isResend,
+        }),
+      );
+
+      // 發送 Email
+      const sendResult = await this.emailService.send({
+        to: email,
+        template: 'mfa_code',
+        language,
+        variables: {
+          code,
+          expiryMinutes: Math.ceil(this.emailConfig.expiry / 60),
+        },
       });
 
-      logger.info('備用碼設置成功', { uid });
+      if (!sendResult.success) {
+        // 發送失敗，清除驗證碼
+        await redisConnection.del(emailCodeKey);
+        return {
+          success: false,
+          message: 'Email 發送失敗',
+        };
+      }
+
+      // 更新重送計數器
+      const resendKey = `${this.resendCounterPrefix}${uid}:${this.MFA_TYPE.EMAIL}`;
+      await redisConnection.set(resendKey, currentTime.toString());
+      await redisConnection.expire(resendKey, this.emailConfig.resendInterval);
+
+      // 更新每日發送計數器
+      await redisConnection.incr(dailyCounterKey);
+      await redisConnection.expire(dailyCounterKey, 86400);
+
+      logger.info('Email 驗證碼發送成功', {
+        uid,
+        email,
+        messageId: sendResult.messageId,
+        expiresAt: new Date(expiresAt).toISOString(),
+        isResend,
+      });
 
       return {
         success: true,
-        message: '備用碼設置成功',
-        codes,
-        warning: '請安全保存這些備用碼，它們只會顯示一次',
+        message: '驗證碼已發送',
+        messageId: sendResult.messageId,
+        expiresIn: this.emailConfig.expiry,
       };
     } catch (error) {
-      logger.error('設置備用碼失敗', {
+      logger.error('Email 驗證碼發送失敗', {
         uid,
+        email,
         error: error.message,
       });
 
       return {
         success: false,
-        message: '設置備用碼失敗',
+        message: '發送失敗',
       };
     }
   }
 
   /**
-   * 重新生成備用碼
+   * 驗證 Email 驗證碼
    * @param {string} uid - 用戶 ID
-   * @returns {Promise<Object>} 重新生成結果包含新備用碼
+   * @param {string} code - Email 驗證碼
+   * @returns {Promise<Object>} 驗證結果
    */
-  async regenerateBackupCodes(uid) {
+  async verifyEmailCode(uid, code) {
     try {
-      // 生成新的備用碼
-      const codes = this.generateBackupCodes();
-
-      // 存儲新的備用碼
-      const stored = await this.storeBackupCodes(uid, codes);
-      if (!stored) {
-        throw new Error('存儲新備用碼失敗');
+      await this.applyMfaPolicy();
+      if (!uid || !code) {
+        return {
+          success: false,
+          result: this.VERIFICATION_RESULT.INVALID_CODE,
+          message: '用戶 ID 和驗證碼不能為空',
+        };
       }
 
-      // 如果之前已啟用，自動啟用新的備用碼
-      const currentStatus = await this.getUserMFAStatus(uid);
-      const wasEnabled = currentStatus.enabledMethods.includes(this.MFA_TYPE.BACKUP_CODE);
-
-      if (wasEnabled) {
-        await this.enableBackupCodes(uid);
+      // 檢查嘗試次數限制
+      const isExceeded = await this.isAttemptLimitExceeded(uid, this.MFA_TYPE.EMAIL);
+      if (isExceeded) {
+        return {
+          success: false,
+          result: this.VERIFICATION_RESULT.TOO_MANY_ATTEMPTS,
+          message: '嘗試次數過多，請稍後再試',
+        };
       }
 
-      logger.info('備用碼重新生成成功', { uid, wasEnabled });
+      const emailCodeKey = `${this.emailCodePrefix}${uid}`;
+      const storedCodeData = await redisConnection.get(emailCodeKey);
 
-      return {
+      if (!storedCodeData) {
+        await this.incrementAttemptCounter(uid, this.MFA_TYPE.EMAIL);
+        return {
+          success: false,
+          result: this.VERIFICATION_RESULT.EXPIRED,
+          message: '驗證碼已過期或不存在',
+        };
+      }
+
+      const codeData = JSON.parse(storedCodeData);
+
+      // 檢查是否已過期
+      if (Date.now() > codeData.expiresAt) {
+        await redisConnection.del(emailCodeKey);
+        await this.incrementAttemptCounter(uid, this.MFA_TYPE.EMAIL);
+        return {
+          success: false,
+          result: this.VERIFICATION_RESULT.EXPIRED,
+          message: '驗證碼已過期',
+        };
+      }
+
+      // 檢查此驗證碼的嘗試次數
+      if (codeData.attempts >= this.emailConfig.maxAttempts) {
+        await redisConnection.del(emailCodeKey);
+        return {
+          success: false,
+          result: this.VERIFICATION_RESULT.TOO_MANY_ATTEMPTS,
+          message: '此驗證碼嘗試次數已達上限',
+        };
+      }
+
+      if (codeData.code !== String(code)) {
+        codeData.attempts += 1;
+        await redisConnection.set(emailCodeKey, JSON.stringify(codeData));
+        await this.incrementAttemptCounter(uid, this.MFA_TYPE.EMAIL);
+
+        return {
+          success: false,
+          result: this.VERIFICATION_RESULT.INVALID_CODE,
+          message: '驗證碼不正確',
+        };
+      }
+
+      // 驗證成功，清除驗證碼
+      await redisConnection.del(emailCodeKey);
+      await this.resetAttemptCounter(uid, this.MFA_TYPE.EMAIL);
+
+      logger.info('Email 驗證碼驗證成功', { uid, email: codeData.email });
+
+      return {
         success: true,
-        message: '備用碼重新生成成功',
-        codes,
-        warning: '舊的備用碼已失效，請安全保存這些新的備用碼',
+        result: this.VERIFICATION_RESULT.SUCCESS,
+        message: '驗證成功',
       };
     } catch (error) {
-      logger.error('重新生成備用碼失敗', {
+      logger.error('Email 驗證碼驗證失敗', {
         uid,
         error: error.message,
       });
 
       return {
         success: false,
-        message: '重新生成備用碼失敗',
+        result: this.VERIFICATION_RESULT.INVALID_CODE,
+        message: '驗證失敗',
       };
     }
   }
 
   /**
-   * 獲取備用碼（用於顯示給用戶）
+   * 設置 Email 驗證
    * @param {string} uid - 用戶 ID
-   * @param {boolean} includeUsed - 是否包含已使用的備用碼
-   * @returns {Promise<Object>} 備用碼信息
+   * @param {string} email - Email 地址
+   * @param {string} language - 郵件語言
+   * @returns {Promise<Object>} 設置結果
    */
-  async getBackupCodes(uid, includeUsed = false) {
+  async setupEmail(uid, email, language = 'zh-TW') {
     try {
-      const backupCodesKey = `${this.backupCodesPrefix}${uid}`;
-      const backupCodesData = await redisConnection.get(backupCodesKey);
-
-      if (!backupCodesData) {
+      const currentStatus = await this.getUserMFAStatus(uid);
+      if (currentStatus.enabledMethods.includes(this.MFA_TYPE.EMAIL)) {
         return {
           success: false,
-          message: '備用碼不存在',
-          codes: [],
-          enabled: false,
+          message: 'Email 驗證已經設置並啟用',
         };
       }
 
-      const backupCodes = JSON.parse(backupCodesData);
+      const sendResult = await this.sendEmailCode(uid, email, false, language);
+      if (!sendResult.success) {
+        return sendResult;
+      }
 
-      // 過濾備用碼
-      const filteredCodes = backupCodes.codes.filter((codeObj) => {
-        if (includeUsed) {
-          return true;
-        }
-        return !codeObj.used;
+      // 更新 MFA 狀態為 pending
+      const pendingMethods = currentStatus.pendingMethods || [];
+      if (!pendingMethods.includes(this.MFA_TYPE.EMAIL)) {
+        pendingMethods.push(this.MFA_TYPE.EMAIL);
+      }
+
+      await this.setUserMFAStatus(uid, {
+        ...currentStatus,
+        status: currentStatus.enabledMethods.length > 0
+          ? this.MFA_STATUS.ENABLED
+          : this.MFA_STATUS.PENDING,
+        pendingMethods,
       });
 
+      logger.info('Email 驗證設置開始', { uid, email });
+
       return {
         success: true,
-        codes: filteredCodes,
-        enabled: backupCodes.enabled,
-        totalCodes: backupCodes.codes.length,
-        usedCodes: backupCodes.codes.filter((c) => c.used).length,
-        remainingCodes: backupCodes.codes.filter((c) => !c.used).length,
-        createdAt: backupCodes.createdAt,
-        lastUsedAt: backupCodes.lastUsedAt,
+        message: '驗證碼已發送，請輸入驗證碼以完成設置',
+        expiresIn: this.emailConfig.expiry,
       };
     } catch (error) {
-      logger.error('獲取備用碼失敗', {
+      logger.error('Email 驗證設置失敗', {
         uid,
+        email,
         error: error.message,
       });
 
       return {
         success: false,
-        message: '獲取備用碼失敗',
-        codes: [],
-        enabled: false,
+        message: 'Email 驗證設置失敗',
       };
     }
   }
 
   /**
-   * 啟用備用碼
+   * 啟用 Email 驗證
    * @param {string} uid - 用戶 ID
+   * @param {string} code - 驗證碼
    * @returns {Promise<Object>} 啟用結果
    */
-  async enableBackupCodes(uid) {
+  async enableEmail(uid, code) {
     try {
-      // 檢查備用碼是否存在
-      const backupCodesKey = `${this.backupCodesPrefix}${uid}`;
-      const backupCodesData = await redisConnection.get(backupCodesKey);
-
-      if (!backupCodesData) {
-        return {
-          success: false,
-          message: '備用碼不存在，請先設置備用碼',
-        };
+      const verifyResult = await this.verifyEmailCode(uid, code);
+      if (!verifyResult.success) {
+        return verifyResult;
       }
 
-      // 更新備用碼狀態為啟用
-      const backupCodes = JSON.parse(backupCodesData);
-      backupCodes.enabled = true;
-      backupCodes.enabledAt = new Date().toISOString();
-
-      await redisConnection.set(backupCodesKey, JSON.stringify(backupCodes));
-
-      // 更新 MFA 狀態
       const currentStatus = await this.getUserMFAStatus(uid);
       const enabledMethods = currentStatus.enabledMethods || [];
-      const pendingMethods = currentStatus.pendingMethods || [];
-
-      // 從待處理列表移除並添加到啟用列表
-      const updatedPendingMethods = pendingMethods.filter(
-        (method) => method !== this.MFA_TYPE.BACKUP_CODE,
+      const pendingMethods = (currentStatus.pendingMethods || []).filter(
+        (method) => method !== this.MFA_TYPE.EMAIL,
       );
 
-      if (!enabledMethods.includes(this.MFA_TYPE.BACKUP_CODE)) {
-        enabledMethods.push(this.MFA_TYPE.BACKUP_CODE);
+      if (!enabledMethods.includes(this.MFA_TYPE.EMAIL)) {
+        enabledMethods.push(this.MFA_TYPE.EMAIL);
       }
 
       await this.setUserMFAStatus(uid, {
         ...currentStatus,
         status: this.MFA_STATUS.ENABLED,
         enabledMethods,
-        pendingMethods: updatedPendingMethods,
+        pendingMethods,
       });
 
-      logger.info('備用碼啟用成功', { uid, enabledMethods });
+      logger.info('Email 驗證啟用成功', { uid, enabledMethods });
 
       return {
         success: true,
-        message: '備用碼已啟用',
+        message: 'Email 驗證已成功啟用',
         enabledMethods,
       };
     } catch (error) {
-      logger.error('啟用備用碼失敗', {
+      logger.error('Email 驗證啟用失敗', {
         uid,
         error: error.message,
       });
 
       return {
         success: false,
-        message: '啟用備用碼失敗',
+        message: '啟用失敗',
       };
     }
   }
 
   /**
-   * 禁用備用碼
+   * 禁用 Email 驗證
    * @param {string} uid - 用戶 ID
    * @returns {Promise<Object>} 禁用結果
    */
-  async disableBackupCodes(uid) {
+  async disableEmail(uid) {
     try {
       const currentStatus = await this.getUserMFAStatus(uid);
-      const enabledMethods = currentStatus.enabledMethods || [];
-      const pendingMethods = currentStatus.pendingMethods || [];
-
-      // 從啟用列表移除
-      const updatedEnabledMethods = enabledMethods.filter(
-        (method) => method !== this.MFA_TYPE.BACKUP_CODE,
+      const enabledMethods = (currentStatus.enabledMethods || []).filter(
+        (method) => method !== this.MFA_TYPE.EMAIL,
       );
-
-      // 從待處理列表移除
-      const updatedPendingMethods = pendingMethods.filter(
-        (method) => method !== this.MFA_TYPE.BACKUP_CODE,
+      const pendingMethods = (currentStatus.pendingMethods || []).filter(
+        (method) => method !== this.MFA_TYPE.EMAIL,
       );
 
-      // 決定整體狀態
-      const newStatus = updatedEnabledMethods.length > 0 ? this.MFA_STATUS.ENABLED : this.MFA_STATUS.DISABLED;
-
       await this.setUserMFAStatus(uid, {
         ...currentStatus,
-        status: newStatus,
-        enabledMethods: updatedEnabledMethods,
-        pendingMethods: updatedPendingMethods,
+        status: enabledMethods.length > 0 ? this.MFA_STATUS.ENABLED : this.MFA_STATUS.DISABLED,
+        enabledMethods,
+        pendingMethods,
       });
 
-      // 清除備用碼數據
-      const backupCodesKey = `${this.backupCodesPrefix}${uid}`;
-      await redisConnection.del(backupCodesKey);
+      await redisConnection.del(`${this.emailCodePrefix}${uid}`);
 
-      logger.info('備用碼禁用成功', { uid, enabledMethods: updatedEnabledMethods });
+      logger.info('Email 驗證禁用成功', { uid, enabledMethods });
 
       return {
         success: true,
-        message: '備用碼已禁用',
-        enabledMethods: updatedEnabledMethods,
+        message: 'Email 驗證已禁用',
+        enabledMethods,
       };
     } catch (error) {
-      logger.error('禁用備用碼失敗', {
+      logger.error('Email 驗證禁用失敗', {
         uid,
         error: error.message,
       });
 
       return {
         success: false,
-        message: '禁用備用碼失敗',
+        message: '禁用失敗',
       };
     }
   }
 
   /**
-   * 檢查是否已啟用備用碼
+   * 檢查是否已啟用 Email 驗證
    * @param {string} uid - 用戶 ID
    * @returns {Promise<boolean>} 是否已啟用
    */
-  async isBackupCodeEnabled(uid) {
+  async isEmailEnabled(uid) {
     try {
       const status = await this.getUserMFAStatus(uid);
-      return status.enabledMethods.includes(this.MFA_TYPE.BACKUP_CODE);
+      return status.enabledMethods.includes(this.MFA_TYPE.EMAIL);
     } catch (error) {
-      logger.error('檢查備用碼狀態失敗', { uid, error: error.message });
+      logger.error('檢查 Email 驗證狀態失敗', { uid, error: error.message });
       return false;
     }
   }
 
   // ======================
-  // TOTP 相關方法
+  // 備用碼相關方法
   // ======================
 
   /**
-   * 生成 TOTP 秘鑰
-   * @returns {string} Base32 編碼的秘鑰
-   */
-  generateTOTPSecret() {
-    try {
-      return authenticator.generateSecret();
-    } catch (error) {
-      logger.error('生成 TOTP 秘鑰失敗', { error: error.message });
-      throw new Error('生成 TOTP 秘鑰失敗');
-    }
-  }
-
-  /**
-   * 獲取用戶的 TOTP 秘鑰
-   * @param {string} uid - 用戶 ID
-   * @returns {Promise<string|null>} TOTP 秘鑰或 null
+   * 生成備用碼數組
+   * @returns {Array<string>} 備用碼數組
    */
-  async getTOTPSecret(uid) {
+  generateBackupCodes() {
     try {
-      const secretKey = `${this.totpSecretPrefix}${uid}`;
-      const secretData = await redisConnection.get(secretKey);
-
-      if (!secretData) {
-        return null;
+      const codes = [];
+      for (let i = 0; i < this.backupCodeConfig.totalCodes; i++) {
+        const code = this.generateSecureAlphanumericCode(this.backupCodeConfig.codeLength);
+        codes.push(code);
       }
 
-      const parsedData = JSON.parse(secretData);
-      return parsedData.secret;
-    } catch (error) {
-      logger.error('獲取 TOTP 秘鑰失敗', {
-        uid,
-        error: error.message,
+      logger.info('備用碼生成成功', {
+        totalCodes: this.backupCodeConfig.totalCodes,
+        codeLength: this.backupCodeConfig.codeLength,
       });
-      return null;
+
+      return codes;
+    } catch (error) {
+      logger.error('生成備用碼失敗', { error: error.message });
+      throw new Error('生成備用碼失敗');
     }
   }
 
   /**
-   * 存儲用戶的 TOTP 秘鑰
+   * 存儲備用碼到 Redis
    * @param {string} uid - 用戶 ID
-   * @param {string} secret - TOTP 秘鑰
+   * @param {Array<string>} codes - 備用碼數組
    * @returns {Promise<boolean>} 是否成功
    */
-  async storeTOTPSecret(uid, secret) {
+  async storeBackupCodes(uid, codes) {
     try {
-      const secretKey = `${this.totpSecretPrefix}${uid}`;
-      const secretData = {
-        secret,
+      const backupCodesKey = `${this.backupCodesPrefix}${uid}`;
+      const backupCodesData = {
+        codes: codes.map((code) => ({
+          code,
+          used: false,
+          usedAt: null,
+        })),
         createdAt: new Date().toISOString(),
-        enabled: false, // 預設為未啟用，需要驗證後才啟用
+        lastUsedAt: null,
+        enabled: false, // 預設為未啟用，需要用戶確認後才啟用
       };
 
-      await redisConnection.set(secretKey, JSON.stringify(secretData));
+      await redisConnection.set(backupCodesKey, JSON.stringify(backupCodesData));
+
+      logger.info('備用碼存儲成功', {
+        uid,
+        totalCodes: codes.length,
+      });
 
-      logger.info('TOTP 秘鑰存儲成功', { uid });
       return true;
     } catch (error) {
-      logger.error('存儲 TOTP 秘鑰失敗', {
+      logger.error('存儲備用碼失敗', {
         uid,
         error: error.message,
       });
@@ -1544,261 +1826,1414 @@ class MFAService {
   }
 
   /**
-   * 生成 TOTP QR 碼
+   * 設置備用碼（用戶首次生成）
    * @param {string} uid - 用戶 ID
-   * @param {string} email - 用戶 Email
-   * @param {string} secret - TOTP 秘鑰
-   * @returns {Promise<string>} QR 碼 Data URL
+   * @returns {Promise<Object>} 設置結果包含備用碼
    */
-  async generateTOTPQRCode(uid, email, secret) {
+  async setupBackupCodes(uid) {
     try {
-      // 構建 TOTP URI
-      const otpauth = authenticator.keyuri(
-        email, // 帳號標識符
-        this.totpConfig.issuer, // 發行者
-        secret,
-      );
-
-      // 生成 QR 碼
-      const qrCodeDataURL = await QRCode.toDataURL(otpauth, {
-        width: 200,
-        margin: 2,
-        color: {
+      // 檢查是否已經設置備用碼
+      const existingCodes = await this.getBackupCodes(uid);
+      if (existingCodes.success && existingCodes.enabled) {
+        return {
+          success: false,
+          message: '備用碼已經設置並啟用',
+        };
+      }
+
+      // 生成備用碼
+      const codes = this.generateBackupCodes();
+
+      // 存儲備用碼
+      const stored = await this.storeBackupCodes(uid, codes);
+      if (!stored) {
+        throw new Error('存儲備用碼失敗');
+      }
+
+      // 更新 MFA 狀態為 pending
+      const currentStatus = await this.getUserMFAStatus(uid);
+      const pendingMethods = currentStatus.pendingMethods || [];
+
+      if (!pendingMethods.includes(this.MFA_TYPE.BACKUP_CODE)) {
+        pendingMethods.push(this.MFA_TYPE.BACKUP_CODE);
+      }
+
+      await this.setUserMFAStatus(uid, {
+        ...currentStatus,
+        pendingMethods,
+      });
+
+      logger.info('備用碼設置成功', { uid });
+
+      return {
+        success: true,
+        message: '備用碼設置成功',
+        codes,
+        warning: '請安全保存這些備用碼，它們只會顯示一次',
+      };
+    } catch (error) {
+      logger.error('設置備用碼失敗', {
+        uid,
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        message: '設置備用碼失敗',
+      };
+    }
+  }
+
+  /**
+   * 重新生成備用碼
+   * @param {string} uid - 用戶 ID
+   * @returns {Promise<Object>} 重新生成結果包含新備用碼
+   */
+  async regenerateBackupCodes(uid) {
+    try {
+      // 生成新的備用碼
+      const codes = this.generateBackupCodes();
+
+      // 存儲新的備用碼
+      const stored = await this.storeBackupCodes(uid, codes);
+      if (!stored) {
+        throw new Error('存儲新備用碼失敗');
+      }
+
+      // 如果之前已啟用，自動啟用新的備用碼
+      const currentStatus = await this.getUserMFAStatus(uid);
+      const wasEnabled = currentStatus.enabledMethods.includes(this.MFA_TYPE.BACKUP_CODE);
+
+      if (wasEnabled) {
+        await this.enableBackupCodes(uid);
+      }
+
+      logger.info('備用碼重新生成成功', { uid, wasEnabled });
+
+      return {
+        success: true,
+        message: '備用碼重新生成成功',
+        codes,
+        warning: '舊的備用碼已失效，請安全保存這些新的備用碼',
+      };
+    } catch (error) {
+      logger.error('重新生成備用碼失敗', {
+        uid,
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        message: '重新生成備用碼失敗',
+      };
+    }
+  }
+
+  /**
+   * 獲取備用碼（用於顯示給用戶）
+   * @param {string} uid - 用戶 ID
+   * @param {boolean} includeUsed - 是否包含已使用的備用碼
+   * @returns {Promise<Object>} 備用碼信息
+   */
+  async getBackupCodes(uid, includeUsed = false) {
+    try {
+      const backupCodesKey = `${this.backupCodesPrefix}${uid}`;
+      const backupCodesData = await redisConnection.get(backupCodesKey);
+
+      if (!backupCodesData) {
+        return {
+          success: false,
+          message: '備用碼不存在',
+          codes: [],
+          enabled: false,
+        };
+      }
+
+      const backupCodes = JSON.parse(backupCodesData);
+
+      // 過濾備用碼
+      const filteredCodes = backupCodes.codes.filter((codeObj) => {
+        if (includeUsed) {
+          return true;
+        }
+        return !codeObj.used;
+      });
+
+      return {
+        success: true,
+        codes: filteredCodes,
+        enabled: backupCodes.enabled,
+        totalCodes: backupCodes.codes.length,
+        usedCodes: backupCodes.codes.filter((c) => c.used).length,
+        remainingCodes: backupCodes.codes.filter((c) => !c.used).length,
+        createdAt: backupCodes.createdAt,
+        lastUsedAt: backupCodes.lastUsedAt,
+      };
+    } catch (error) {
+      logger.error('獲取備用碼失敗', {
+        uid,
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        message: '獲取備用碼失敗',
+        codes: [],
+        enabled: false,
+      };
+    }
+  }
+
+  /**
+   * 啟用備用碼
+   * @param {string} uid - 用戶 ID
+   * @returns {Promise<Object>} 啟用結果
+   */
+  async enableBackupCodes(uid) {
+    try {
+      // 檢查備用碼是否存在
+      const backupCodesKey = `${this.backupCodesPrefix}${uid}`;
+      const backupCodesData = await redisConnection.get(backupCodesKey);
+
+      if (!backupCodesData) {
+        return {
+          success: false,
+          message: '備用碼不存在，請先設置備用碼',
+        };
+      }
+
+      // 更新備用碼狀態為啟用
+      const backupCodes = JSON.parse(backupCodesData);
+      backupCodes.enabled = true;
+      backupCodes.enabledAt = new Date().toISOString();
+
+      await redisConnection.set(backupCodesKey, JSON.stringify(backupCodes));
+
+      // 更新 MFA 狀態
+      const currentStatus = await this.getUserMFAStatus(uid);
+      const enabledMethods = currentStatus.enabledMethods || [];
+      const pendingMethods = currentStatus.pendingMethods || [];
+
+      // 從待處理列表移除並添加到啟用列表
+      const updatedPendingMethods = pendingMethods.filter(
+        (method) => method !== this.MFA_TYPE.BACKUP_CODE,
+      );
+
+      if (!enabledMethods.includes(this.MFA_TYPE.BACKUP_CODE)) {
+        enabledMethods.push(this.MFA_TYPE.BACKUP_CODE);
+      }
+
+      await this.setUserMFAStatus(uid, {
+        ...currentStatus,
+        status: this.MFA_STATUS.ENABLED,
+        enabledMethods,
+        pendingMethods: updatedPendingMethods,
+      });
+
+      logger.info('備用碼啟用成功', { uid, enabledMethods });
+
+      return {
+        success: true,
+        message: '備用碼已啟用',
+        enabledMethods,
+      };
+    } catch (error) {
+      logger.error('啟用備用碼失敗', {
+        uid,
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        message: '啟用備用碼失敗',
+      };
+    }
+  }
+
+  /**
+   * 禁用備用碼
+   * @param {string} uid - 用戶 ID
+   * @returns {Promise<Object>} 禁用結果
+   */
+  async disableBackupCodes(uid) {
+    try {
+      const currentStatus = await this.getUserMFAStatus(uid);
+      const enabledMethods = currentStatus.enabledMethods || [];
+      const pendingMethods = currentStatus.pendingMethods || [];
+
+      // 從啟用列表移除
+      const updatedEnabledMethods = enabledMethods.filter(
+        (method) => method !== this.MFA_TYPE.BACKUP_CODE,
+      );
+
+      // 從待處理列表移除
+      const updatedPendingMethods = pendingMethods.filter(
+        (method) => method !== this.MFA_TYPE.BACKUP_CODE,
+      );
+
+      // 決定整體狀態
+      const newStatus = updatedEnabledMethods.length > 0 ? this.MFA_STATUS.ENABLED : this.MFA_STATUS.DISABLED;
+
+      await this.setUserMFAStatus(uid, {
+        ...currentStatus,
+        status: newStatus,
+        enabledMethods: updatedEnabledMethods,
+        pendingMethods: updatedPendingMethods,
+      });
+
+      // 清除備用碼數據
+      const backupCodesKey = `${this.backupCodesPrefix}${uid}`;
+      await redisConnection.del(backupCodesKey);
+
+      logger.info('備用碼禁用成功', { uid, enabledMethods: updatedEnabledMethods });
+
+      return {
+        success: true,
+        message: '備用碼已禁用',
+        enabledMethods: updatedEnabledMethods,
+      };
+    } catch (error) {
+      logger.error('禁用備用碼失敗', {
+        uid,
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        message: '禁用備用碼失敗',
+      };
+    }
+  }
+
+  /**
+   * 檢查是否已啟用備用碼
+   * @param {string} uid - 用戶 ID
+   * @returns {Promise<boolean>} 是否已啟用
+   */
+  async isBackupCodeEnabled(uid) {
+    try {
+      const status = await this.getUserMFAStatus(uid);
+      return status.enabledMethods.includes(this.MFA_TYPE.BACKUP_CODE);
+    } catch (error) {
+      logger.error('檢查備用碼狀態失敗', { uid, error: error.message });
+      return false;
+    }
+  }
+
+  // ======================
+  // TOTP 相關方法
+  // ======================
+
+  /**
+   * 生成 TOTP 秘鑰
+   * @returns {string} Base32 編碼的秘鑰
+   */
+  generateTOTPSecret() {
+    try {
+      return authenticator.generateSecret();
+    } catch (error) {
+      logger.error('生成 TOTP 秘鑰失敗', { error: error.message });
+      throw new Error('生成 TOTP 秘鑰失敗');
+    }
+  }
+
+  /**
+   * 獲取用戶的 TOTP 秘鑰
+   * @param {string} uid - 用戶 ID
+   * @returns {Promise<string|null>} TOTP 秘鑰或 null
+   */
+  async getTOTPSecret(uid) {
+    try {
+      const secretKey = `${this.totpSecretPrefix}${uid}`;
+      const secretData = await redisConnection.get(secretKey);
+
+      if (!secretData) {
+        return null;
+      }
+
+      const parsedData = JSON.parse(secretData);
+      return parsedData.secret;
+    } catch (error) {
+      logger.error('獲取 TOTP 秘鑰失敗', {
+        uid,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 存儲用戶的 TOTP 秘鑰
+   * @param {string} uid - 用戶 ID
+   * @param {string} secret - TOTP 秘鑰
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async storeTOTPSecret(uid, secret) {
+    try {
+      const secretKey = `${this.totpSecretPrefix}${uid}`;
+      const secretData = {
+        secret,
+        createdAt: new Date().toISOString(),
+        enabled: false, // 預設為未啟用，需要驗證後才啟用
+      };
+
+      await redisConnection.set(secretKey, JSON.stringify(secretData));
+
+      logger.info('TOTP 秘鑰存儲成功', { uid });
+      return true;
+    } catch (error) {
+      logger.error('存儲 TOTP 秘鑰失敗', {
+        uid,
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * 生成 TOTP QR 碼
+   * @param {string} uid - 用戶 ID
+   * @param {string} email - 用戶 Email
+   * @param {string} secret - TOTP 秘鑰
+   * @returns {Promise<string>} QR 碼 Data URL
+   */
+  async generateTOTPQRCode(uid, email, secret) {
+    try {
+      // 構建 TOTP URI
+      const otpauth = authenticator.keyuri(
+        email, // 帳號標識符
+        this.totpConfig.issuer, // 發行者
+        secret,
+      );
+
+      // 生成 QR 碼
+      const qrCodeDataURL = await QRCode.toDataURL(otpauth, {
+        width: 200,
+        margin: 2,
+        color: {
           dark: '#000000',
           light: '#FFFFFF',
         },
       });
 
-      logger.info('TOTP QR 碼生成成功', { uid, email });
-      return qrCodeDataURL;
+      logger.info('TOTP QR 碼生成成功', { uid, email });
+      return qrCodeDataURL;
+    } catch (error) {
+      logger.error('生成 TOTP QR 碼失敗', {
+        uid,
+        email,
+        error: error.message,
+      });
+      throw new Error('生成 QR 碼失敗');
+    }
+  }
+
+  /**
+   * 設置 TOTP（生成秘鑰並返回 QR 碼）
+   * @param {string} uid - 用戶 ID
+   * @param {string} email - 用戶 Email
+   * @returns {Promise<Object>} 設置結果包含 QR 碼和秘鑰
+   */
+  async setupTOTP(uid, email) {
+    try {
+      // 檢查是否已經設置 TOTP
+      const existingSecret = await this.getTOTPSecret(uid);
+      if (existingSecret) {
+        const secretData = await redisConnection.get(`${this.totpSecretPrefix}${uid}`);
+        const parsedData = JSON.parse(secretData);
+
+        if (parsedData.enabled) {
+          return {
+            success: false,
+            message: 'TOTP 已經設置並啟用',
+          };
+        }
+      }
+
+      // 生成新的 TOTP 秘鑰
+      const secret = this.generateTOTPSecret();
+
+      // 存儲秘鑰
+      const stored = await this.storeTOTPSecret(uid, secret);
+      if (!stored) {
+        throw new Error('存儲 TOTP 秘鑰失敗');
+      }
+
+      // 生成 QR 碼
+      const qrCodeDataURL = await this.generateTOTPQRCode(uid, email, secret);
+
+      // 更新 MFA 狀態為 pending
+      const currentStatus = await this.getUserMFAStatus(uid);
+      const pendingMethods = currentStatus.pendingMethods || [];
+      if (!pendingMethods.includes(this.MFA_TYPE.TOTP)) {
+        pendingMethods.push(this.MFA_TYPE.TOTP);
+      }
+
+      await this.setUserMFAStatus(uid, {
+        ...currentStatus,
+        status: this.MFA_STATUS.PENDING,
+        pendingMethods,
+      });
+
+      logger.info('TOTP 設置完成', { uid, email });
+
+      return {
+        success: true,
+        secret,
+        qrCode: qrCodeDataURL,
+        message: '請使用驗證器應用掃描 QR 碼並輸入驗證碼以啟用 TOTP',
+      };
+    } catch (error) {
+      logger.error('TOTP 設置失敗', {
+        uid,
+        email,
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        message: 'TOTP 設置失敗',
+      };
+    }
+  }
+
+  /**
+   * 啟用 TOTP（驗證用戶輸入的代碼後啟用）
+   * @param {string} uid - 用戶 ID
+   * @param {string} code - 用戶輸入的 TOTP 代碼
+   * @returns {Promise<Object>} 啟用結果
+   */
+  async enableTOTP(uid, code) {
+    try {
+      // 檢查是否有待啟用的 TOTP
+      const secretKey = `${this.totpSecretPrefix}${uid}`;
+      const secretData = await redisConnection.get(secretKey);
+
+      if (!secretData) {
+        return {
+          success: false,
+          message: 'TOTP 尚未設置',
+        };
+      }
+
+      const parsedData = JSON.parse(secretData);
+      if (parsedData.enabled) {
+        return {
+          success: false,
+          message: 'TOTP 已經啟用',
+        };
+      }
+
+      // 驗證 TOTP 代碼
+      const verificationResult = await this.verifyTOTPCode(uid, code);
+      if (!verificationResult.success) {
+        return {
+          success: false,
+          message: 'TOTP 驗證碼無效，無法啟用',
+        };
+      }
+
+      // 啟用 TOTP
+      parsedData.enabled = true;
+      parsedData.enabledAt = new Date().toISOString();
+      await redisConnection.set(secretKey, JSON.stringify(parsedData));
+
+      // 更新 MFA 狀態
+      const currentStatus = await this.getUserMFAStatus(uid);
+      const enabledMethods = currentStatus.enabledMethods || [];
+      let pendingMethods = currentStatus.pendingMethods || [];
+
+      // 移動 TOTP 從 pending 到 enabled
+      pendingMethods = pendingMethods.filter((method) => method !== this.MFA_TYPE.TOTP);
+      if (!enabledMethods.includes(this.MFA_TYPE.TOTP)) {
+        enabledMethods.push(this.MFA_TYPE.TOTP);
+      }
+
+      await this.setUserMFAStatus(uid, {
+        ...currentStatus,
+        status: this.MFA_STATUS.ENABLED,
+        enabledMethods,
+        pendingMethods,
+      });
+
+      logger.info('TOTP 啟用成功', { uid });
+
+      return {
+        success: true,
+        message: 'TOTP 啟用成功',
+      };
+    } catch (error) {
+      logger.error('TOTP 啟用失敗', {
+        uid,
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        message: 'TOTP 啟用失敗',
+      };
+    }
+  }
+
+  /**
+   * 禁用 TOTP
+   * @param {string} uid - 用戶 ID
+   * @returns {Promise<Object>} 禁用結果
+   */
+  async disableTOTP(uid) {
+    try {
+      const secretKey = `${this.totpSecretPrefix}${uid}`;
+
+      // 刪除 TOTP 秘鑰
+      await redisConnection.del(secretKey);
+
+      // 更新 MFA 狀態
+      const currentStatus = await this.getUserMFAStatus(uid);
+      let enabledMethods = currentStatus.enabledMethods || [];
+      let pendingMethods = currentStatus.pendingMethods || [];
+
+      // 移除 TOTP
+      enabledMethods = enabledMethods.filter((method) => method !== this.MFA_TYPE.TOTP);
+      pendingMethods = pendingMethods.filter((method) => method !== this.MFA_TYPE.TOTP);
+
+      const newStatus = enabledMethods.length > 0 ? this.MFA_STATUS.ENABLED : this.MFA_STATUS.DISABLED;
+
+      await this.setUserMFAStatus(uid, {
+        ...currentStatus,
+        status: newStatus,
+        enabledMethods,
+        pendingMethods,
+      });
+
+      logger.info('TOTP 禁用成功', { uid });
+
+      return {
+        success: true,
+        message: 'TOTP 禁用成功',
+      };
+    } catch (error) {
+      logger.error('TOTP 禁用失敗', {
+        uid,
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        message: 'TOTP 禁用失敗',
+      };
+    }
+  }
+
+  /**
+   * 檢查用戶是否啟用了 TOTP
+   * @param {string} uid - 用戶 ID
+   * @returns {Promise<boolean>} 是否啟用 TOTP
+   */
+  async isTOTPEnabled(uid) {
+    try {
+      const secretKey = `${this.totpSecretPrefix}${uid}`;
+      const secretData = await redisConnection.get(secretKey);
+
+      if (!secretData) {
+        return false;
+      }
+
+      const parsedData = JSON.parse(secretData);
+      return parsedData.enabled === true;
+    } catch (error) {
+      logger.error('檢查 TOTP 狀態失敗', {
+        uid,
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  // ======================
+  // WebAuthn 相關方法
+  // ======================
+
+  /**
+   * 獲取用戶的 WebAuthn 憑證
+   * @param {string} uid - 用戶 ID
+   * @returns {Promise<Array<Object>>} 憑證列表
+   */
+  async getWebAuthnCredentials(uid) {
+    try {
+      const credentialsKey = `${this.webauthnCredentialsPrefix}${uid}`;
+      const credentialsData = await redisConnection.get(credentialsKey);
+
+      if (!credentialsData) {
+        return [];
+      }
+
+      return JSON.parse(credentialsData);
+    } catch (error) {
+      logger.error('獲取 WebAuthn 憑證失敗', {
+        uid,
+        error: error.message,
+      });
+      return [];
+    }
+  }
+
+  /**
+   * 存儲用戶的 WebAuthn 憑證
+   * @param {string} uid - 用戶 ID
+   * @param {Array<Object>} credentials - 憑證列表
+   */
+  async storeWebAuthnCredentials(uid, credentials) {
+    const credentialsKey = `${this.webauthnCredentialsPrefix}${uid}`;
+    await redisConnection.set(credentialsKey, JSON.stringify(credentials));
+  }
+
+  /**
+   * 存儲 WebAuthn challenge
+   * @param {string} scope - challenge 範圍（如 register:uid、login:challenge）
+   * @param {Object} challengeData - challenge 資料
+   */
+  async storeWebAuthnChallenge(scope, challengeData) {
+    const challengeKey = `${this.webauthnChallengePrefix}${scope}`;
+    await redisConnection.set(challengeKey, JSON.stringify({
+      ...challengeData,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + this.webauthnConfig.challengeExpiry * 1000,
+    }));
+    await redisConnection.expire(challengeKey, this.webauthnConfig.challengeExpiry);
+  }
+
+  /**
+   * 取出並刪除 WebAuthn challenge（每個 challenge 只能使用一次）
+   * @param {string} scope - challenge 範圍
+   * @returns {Promise<Object|null>} challenge 資料，不存在或已過期時為 null
+   */
+  async consumeWebAuthnChallenge(scope) {
+    const challengeKey = `${this.webauthnChallengePrefix}${scope}`;
+    const challengeData = await redisConnection.get(challengeKey);
+
+    if (!challengeData) {
+      return null;
+    }
+
+    // 以刪除結果判斷是否由本次請求取得，避免同一個 challenge 被並行使用
+    const deleted = await redisConnection.del(challengeKey);
+    if (!deleted) {
+      return null;
+    }
+
+    const parsedData = JSON.parse(challengeData);
+    if (Date.now() > parsedData.expiresAt) {
+      return null;
+    }
+
+    return parsedData;
+  }
+
+  /**
+   * 產生 WebAuthn 註冊選項
+   * @param {string} uid - 用戶 ID
+   * @param {Object} user - { email, displayName }
+   * @returns {Promise<Object>} 註冊選項
+   */
+  async generateWebAuthnRegistrationOptions(uid, user = {}) {
+    try {
+      const credentials = await this.getWebAuthnCredentials(uid);
+      if (credentials.length >= this.webauthnConfig.maxCredentials) {
+        return {
+          success: false,
+          message: 'WebAuthn 憑證數量已達上限',
+        };
+      }
+
+      const challenge = this.webauthn.generateChallenge();
+      const options = this.webauthn.buildRegistrationOptions(
+        { uid, name: user.email, displayName: user.displayName },
+        challenge,
+        credentials,
+      );
+
+      await this.storeWebAuthnChallenge(`register:${uid}`, { challenge });
+
+      // 更新 MFA 狀態為 pending
+      const currentStatus = await this.getUserMFAStatus(uid);
+      const pendingMethods = currentStatus.pendingMethods || [];
+      if (
+        !currentStatus.enabledMethods.includes(this.MFA_TYPE.WEBAUTHN)
+        && !pendingMethods.includes(this.MFA_TYPE.WEBAUTHN)
+      ) {
+        pendingMethods.push(this.MFA_TYPE.WEBAUTHN);
+        await this.setUserMFAStatus(uid, {
+          ...currentStatus,
+          status: currentStatus.enabledMethods.length > 0
+            ? this.MFA_STATUS.ENABLED
+            : this.MFA_STATUS.PENDING,
+          pendingMethods,
+        });
+      }
+
+      logger.info('WebAuthn 註冊選項產生成功', { uid });
+
+      return {
+        success: true,
+        options,
+        expiresIn: this.webauthnConfig.challengeExpiry,
+      };
+    } catch (error) {
+      logger.error('WebAuthn 註冊選項產生失敗', {
+        uid,
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        message: 'WebAuthn 註冊選項產生失敗',
+      };
+    }
+  }
+
+  /**
+   * 啟用 WebAuthn（驗證註冊回應後保存憑證）
+   * @param {string} uid - 用戶 ID
+   * @param {Object} response - navigator.credentials.create 的結果
+   * @param {string} name - 憑證名稱（如「MacBook Touch ID」）
+   * @returns {Promise<Object>} 啟用結果
+   */
+  async enableWebAuthn(uid, response, name = null) {
+    try {
+      const challengeData = await this.consumeWebAuthnChallenge(`register:${uid}`);
+      if (!challengeData) {
+        return {
+          success: false,
+          result: this.VERIFICATION_RESULT.EXPIRED,
+          message: 'WebAuthn 註冊已過期，請重新開始',
+        };
+      }
+
+      let verified;
+      try {
+        verified = this.webauthn.verifyRegistration(response, challengeData.challenge);
+      } catch (error) {
+        logger.warn('WebAuthn 註冊驗證失敗', { uid, code: error.code });
+        return {
+          success: false,
+          result: this.VERIFICATION_RESULT.INVALID_CODE,
+          message: 'WebAuthn 註冊驗證失敗',
+        };
+      }
+
+      // 同一個憑證只能綁定一個用戶
+      const ownerKey = `${this.webauthnCredentialOwnerPrefix}${verified.id}`;
+      const existingOwner = await redisConnection.get(ownerKey);
+      if (existingOwner) {
+        return {
+          success: false,
+          message: '此認證器已經註冊',
+        };
+      }
+
+      const credential = {
+        ...verified,
+        name: name || `Passkey ${new Date().toISOString().slice(0, 10)}`,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+      };
+
+      const credentials = await this.getWebAuthnCredentials(uid);
+      credentials.push(credential);
+      await this.storeWebAuthnCredentials(uid, credentials);
+      await redisConnection.set(ownerKey, JSON.stringify(uid));
+
+      // 更新 MFA 狀態
+      const currentStatus = await this.getUserMFAStatus(uid);
+      const enabledMethods = currentStatus.enabledMethods || [];
+      const pendingMethods = (currentStatus.pendingMethods || []).filter(
+        (method) => method !== this.MFA_TYPE.WEBAUTHN,
+      );
+      if (!enabledMethods.includes(this.MFA_TYPE.WEBAUTHN)) {
+        enabledMethods.push(this.MFA_TYPE.WEBAUTHN);
+      }
+
+      await this.setUserMFAStatus(uid, {
+        ...currentStatus,
+        status: this.MFA_STATUS.ENABLED,
+        enabledMethods,
+        pendingMethods,
+      });
+
+      logger.info('WebAuthn 憑證註冊成功', {
+        uid,
+        credentialId: credential.id,
+        algorithm: credential.algorithm,
+      });
+
+      return {
+        success: true,
+        message: 'WebAuthn 憑證註冊成功',
+        credential: {
+          id: credential.id,
+          name: credential.name,
+          createdAt: credential.createdAt,
+        },
+      };
+    } catch (error) {
+      logger.error('WebAuthn 啟用失敗', {
+        uid,
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        message: 'WebAuthn 啟用失敗',
+      };
+    }
+  }
+
+  /**
+   * 產生 WebAuthn 驗證選項（作為第二因素）
+   * @param {string} uid - 用戶 ID
+   * @returns {Promise<Object>} 驗證選項
+   */
+  async generateWebAuthnAuthenticationOptions(uid) {
+    try {
+      const credentials = await this.getWebAuthnCredentials(uid);
+      if (credentials.length === 0) {
+        return {
+          success: false,
+          message: 'WebAuthn 未設置',
+        };
+      }
+
+      const challenge = this.webauthn.generateChallenge();
+      const options = this.webauthn.buildAuthenticationOptions(challenge, credentials);
+
+      await this.storeWebAuthnChallenge(`authenticate:${uid}`, { challenge });
+
+      return {
+        success: true,
+        options,
+        expiresIn: this.webauthnConfig.challengeExpiry,
+      };
+    } catch (error) {
+      logger.error('WebAuthn 驗證選項產生失敗', {
+        uid,
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        message: 'WebAuthn 驗證選項產生失敗',
+      };
+    }
+  }
+
+  /**
+   * 驗證憑證的 assertion 並更新簽章計數器
+   * @param {string} uid - 用戶 ID
+   * @param {Object} assertion - navigator.credentials.get 的結果
+   * @param {string} expectedChallenge - challenge
+   * @param {boolean} requireUserVerification - 是否要求使用者驗證
+   * @returns {Promise<Object>} 驗證結果
+   */
+  async checkWebAuthnAssertion(uid, assertion, expectedChallenge, requireUserVerification) {
+    const credentials = await this.getWebAuthnCredentials(uid);
+    const credential = credentials.find((item) => item.id === assertion?.id);
+
+    if (!credential) {
+      return {
+        success: false,
+        result: this.VERIFICATION_RESULT.INVALID_CODE,
+        message: 'WebAuthn 憑證不存在',
+      };
+    }
+
+    let verified;
+    try {
+      verified = this.webauthn.verifyAuthentication(assertion, credential, expectedChallenge, {
+        requireUserVerification,
+      });
+    } catch (error) {
+      logger.warn('WebAuthn 驗證失敗', {
+        uid,
+        credentialId: credential.id,
+        code: error.code,
+        timestamp: new Date().toISOString(),
+      });
+
+      return {
+        success: false,
+        result: this.VERIFICATION_RESULT.INVALID_CODE,
+        message: 'WebAuthn 驗證失敗',
+      };
+    }
+
+    credential.signCount = verified.signCount;
+    credential.lastUsedAt = new Date().toISOString();
+    await this.storeWebAuthnCredentials(uid, credentials);
+
+    logger.info('WebAuthn 驗證成功', {
+      uid,
+      credentialId: credential.id,
+      userVerified: verified.userVerified,
+      timestamp: new Date().toISOString(),
+    });
+
+    return {
+      success: true,
+      result: this.VERIFICATION_RESULT.SUCCESS,
+      message: 'WebAuthn 驗證成功',
+      credentialId: credential.id,
+      userVerified: verified.userVerified,
+    };
+  }
+
+  /**
+   * 驗證 WebAuthn assertion（作為第二因素）
+   * @param {string} uid - 用戶 ID
+   * @param {Object|string} assertion - navigator.credentials.get 的結果（物件或 JSON 字串）
+   * @returns {Promise<Object>} 驗證結果
+   */
+  async verifyWebAuthnAssertion(uid, assertion) {
+    try {
+      const parsedAssertion = typeof assertion === 'string' ? JSON.parse(assertion) : assertion;
+
+      const challengeData = await this.consumeWebAuthnChallenge(`authenticate:${uid}`);
+      if (!challengeData) {
+        return {
+          success: false,
+          result: this.VERIFICATION_RESULT.EXPIRED,
+          message: 'WebAuthn 驗證已過期，請重新取得驗證選項',
+        };
+      }
+
+      return await this.checkWebAuthnAssertion(
+        uid,
+        parsedAssertion,
+        challengeData.challenge,
+        false,
+      );
     } catch (error) {
-      logger.error('生成 TOTP QR 碼失敗', {
+      logger.error('WebAuthn 驗證過程發生錯誤', {
         uid,
-        email,
         error: error.message,
       });
-      throw new Error('生成 QR 碼失敗');
+
+      return {
+        success: false,
+        result: this.VERIFICATION_RESULT.INVALID_CODE,
+        message: 'WebAuthn 驗證失敗',
+      };
     }
   }
 
   /**
-   * 設置 TOTP（生成秘鑰並返回 QR 碼）
-   * @param {string} uid - 用戶 ID
-   * @param {string} email - 用戶 Email
-   * @returns {Promise<Object>} 設置結果包含 QR 碼和秘鑰
+   * 產生 passkey 無密碼登入選項（不指定用戶，由認證器選擇可探索憑證）
+   * @returns {Promise<Object>} 驗證選項
    */
-  async setupTOTP(uid, email) {
+  async generateWebAuthnLoginOptions() {
     try {
-      // 檢查是否已經設置 TOTP
-      const existingSecret = await this.getTOTPSecret(uid);
-      if (existingSecret) {
-        const secretData = await redisConnection.get(`${this.totpSecretPrefix}${uid}`);
-        const parsedData = JSON.parse(secretData);
-
-        if (parsedData.enabled) {
-          return {
-            success: false,
-            message: 'TOTP 已經設置並啟用',
-          };
-        }
-      }
-
-      // 生成新的 TOTP 秘鑰
-      const secret = this.generateTOTPSecret();
-
-      // 存儲秘鑰
-      const stored = await this.storeTOTPSecret(uid, secret);
-      if (!stored) {
-        throw new Error('存儲 TOTP 秘鑰失敗');
-      }
-
-      // 生成 QR 碼
-      const qrCodeDataURL = await this.generateTOTPQRCode(uid, email, secret);
-
-      // 更新 MFA 狀態為 pending
-      const currentStatus = await this.getUserMFAStatus(uid);
-      const pendingMethods = currentStatus.pendingMethods || [];
-      if (!pendingMethods.includes(this.MFA_TYPE.TOTP)) {
-        pendingMethods.push(this.MFA_TYPE.TOTP);
-      }
-
-      await this.setUserMFAStatus(uid, {
-        ...currentStatus,
-        status: this.MFA_STATUS.PENDING,
-        pendingMethods,
-      });
+      const challenge = this.webauthn.generateChallenge();
+      const options = this.webauthn.buildAuthenticationOptions(challenge, [], 'required');
 
-      logger.info('TOTP 設置完成', { uid, email });
+      await this.storeWebAuthnChallenge(`login:${challenge}`, { challenge });
 
       return {
         success: true,
-        secret,
-        qrCode: qrCodeDataURL,
-        message: '請使用驗證器應用掃描 QR 碼並輸入驗證碼以啟用 TOTP',
+        options,
+        expiresIn: this.webauthnConfig.challengeExpiry,
       };
     } catch (error) {
-      logger.error('TOTP 設置失敗', {
-        uid,
-        email,
-        error: error.message,
-      });
+      logger.error('WebAuthn 登入選項產生失敗', { error: error.message });
 
       return {
         success: false,
-        message: 'TOTP 設置失敗',
+        message: 'WebAuthn 登入選項產生失敗',
       };
     }
   }
 
   /**
-   * 啟用 TOTP（驗證用戶輸入的代碼後啟用）
-   * @param {string} uid - 用戶 ID
-   * @param {string} code - 用戶輸入的 TOTP 代碼
-   * @returns {Promise<Object>} 啟用結果
+   * 驗證 passkey 無密碼登入
+   * 必須通過使用者驗證（生物辨識或 PIN），才能作為單一登入因素
+   * @param {Object} assertion - navigator.credentials.get 的結果
+   * @returns {Promise<Object>} 驗證結果，成功時包含 uid
    */
-  async enableTOTP(uid, code) {
+  async verifyWebAuthnLogin(assertion) {
     try {
-      // 檢查是否有待啟用的 TOTP
-      const secretKey = `${this.totpSecretPrefix}${uid}`;
-      const secretData = await redisConnection.get(secretKey);
+      const challenge = this.webauthn.readChallenge(assertion);
+      const challengeData = challenge
+        ? await this.consumeWebAuthnChallenge(`login:${challenge}`)
+        : null;
 
-      if (!secretData) {
+      if (!challengeData) {
         return {
           success: false,
-          message: 'TOTP 尚未設置',
+          result: this.VERIFICATION_RESULT.EXPIRED,
+          message: 'WebAuthn 登入已過期，請重新取得登入選項',
         };
       }
 
-      const parsedData = JSON.parse(secretData);
-      if (parsedData.enabled) {
+      const ownerData = assertion?.id
+        ? await redisConnection.get(`${this.webauthnCredentialOwnerPrefix}${assertion.id}`)
+        : null;
+
+      if (!ownerData) {
         return {
           success: false,
-          message: 'TOTP 已經啟用',
+          result: this.VERIFICATION_RESULT.INVALID_CODE,
+          message: 'WebAuthn 憑證不存在',
         };
       }
 
-      // 驗證 TOTP 代碼
-      const verificationResult = await this.verifyTOTPCode(uid, code);
+      const uid = JSON.parse(ownerData);
+
+      // 與第二因素共用嘗試次數限制
+      const isLimited = await this.isAttemptLimitExceeded(uid, this.MFA_TYPE.WEBAUTHN);
+      if (isLimited) {
+        return {
+          success: false,
+          result: this.VERIFICATION_RESULT.TOO_MANY_ATTEMPTS,
+          message: '嘗試次數過多，請稍後再試',
+        };
+      }
+
+      await this.incrementAttemptCounter(uid, this.MFA_TYPE.WEBAUTHN);
+
+      const verificationResult = await this.checkWebAuthnAssertion(
+        uid,
+        assertion,
+        challengeData.challenge,
+        true,
+      );
+
       if (!verificationResult.success) {
+        return verificationResult;
+      }
+
+      await this.resetAttemptCounter(uid, this.MFA_TYPE.WEBAUTHN);
+
+      return {
+        ...verificationResult,
+        uid,
+      };
+    } catch (error) {
+      logger.error('WebAuthn 登入驗證失敗', { error: error.message });
+
+      return {
+        success: false,
+        result: this.VERIFICATION_RESULT.INVALID_CODE,
+        message: 'WebAuthn 登入失敗',
+      };
+    }
+  }
+
+  /**
+   * 移除 WebAuthn 憑證，最後一個憑證移除後禁用 WebAuthn
+   * @param {string} uid - 用戶 ID
+   * @param {string} credentialId - 憑證 ID
+   * @returns {Promise<Object>} 移除結果
+   */
+  async removeWebAuthnCredential(uid, credentialId) {
+    try {
+      const credentials = await this.getWebAuthnCredentials(uid);
+      const remainingCredentials = credentials.filter((item) => item.id !== credentialId);
+
+      if (remainingCredentials.length === credentials.length) {
         return {
           success: false,
-          message: 'TOTP 驗證碼無效，無法啟用',
+          message: 'WebAuthn 憑證不存在',
         };
       }
 
-      // 啟用 TOTP
-      parsedData.enabled = true;
-      parsedData.enabledAt = new Date().toISOString();
-      await redisConnection.set(secretKey, JSON.stringify(parsedData));
+      await this.storeWebAuthnCredentials(uid, remainingCredentials);
+      await redisConnection.del(`${this.webauthnCredentialOwnerPrefix}${credentialId}`);
 
-      // 更新 MFA 狀態
       const currentStatus = await this.getUserMFAStatus(uid);
-      const enabledMethods = currentStatus.enabledMethods || [];
-      let pendingMethods = currentStatus.pendingMethods || [];
+      let { enabledMethods } = currentStatus;
 
-      // 移動 TOTP 從 pending 到 enabled
-      pendingMethods = pendingMethods.filter((method) => method !== this.MFA_TYPE.TOTP);
-      if (!enabledMethods.includes(this.MFA_TYPE.TOTP)) {
-        enabledMethods.push(this.MFA_TYPE.TOTP);
-      }
+      if (remainingCredentials.length === 0) {
+        await redisConnection.del(`${this.webauthnCredentialsPrefix}${uid}`);
+        enabledMethods = enabledMethods.filter((method) => method !== this.MFA_TYPE.WEBAUTHN);
 
-      await this.setUserMFAStatus(uid, {
-        ...currentStatus,
-        status: this.MFA_STATUS.ENABLED,
-        enabledMethods,
-        pendingMethods,
-      });
+        await this.setUserMFAStatus(uid, {
+          ...currentStatus,
+          status: enabledMethods.length > 0 ? this.MFA_STATUS.ENABLED : this.MFA_STATUS.DISABLED,
+          enabledMethods,
+        });
+      }
 
-      logger.info('TOTP 啟用成功', { uid });
+      logger.info('WebAuthn 憑證移除成功', { uid, credentialId });
 
       return {
         success: true,
-        message: 'TOTP 啟用成功',
+        message: 'WebAuthn 憑證已移除',
+        remainingCredentials: remainingCredentials.length,
+        enabledMethods,
       };
     } catch (error) {
-      logger.error('TOTP 啟用失敗', {
+      logger.error('WebAuthn 憑證移除失敗', {
         uid,
+        credentialId,
         error: error.message,
       });
 
       return {
         success: false,
-        message: 'TOTP 啟用失敗',
+        message: '移除失敗',
       };
     }
   }
 
   /**
-   * 禁用 TOTP
+   * 列出用戶的 WebAuthn 憑證（不含公鑰）
    * @param {string} uid - 用戶 ID
-   * @returns {Promise<Object>} 禁用結果
+   * @returns {Promise<Array<Object>>} 憑證摘要
    */
-  async disableTOTP(uid) {
-    try {
-      const secretKey = `${this.totpSecretPrefix}${uid}`;
+  async listWebAuthnCredentials(uid) {
+    const credentials = await this.getWebAuthnCredentials(uid);
+    return credentials.map((credential) => ({
+      id: credential.id,
+      name: credential.name,
+      transports: credential.transports,
+      backupEligible: credential.backupEligible,
+      createdAt: credential.createdAt,
+      lastUsedAt: credential.lastUsedAt,
+    }));
+  }
 
-      // 刪除 TOTP 秘鑰
-      await redisConnection.del(secretKey);
+  // ======================
+  // 受信任設備相關方法
+  // ======================
 
-      // 更新 MFA 狀態
-      const currentStatus = await this.getUserMFAStatus(uid);
-      let enabledMethods = currentStatus.enabledMethods || [];
-      let pendingMethods = currentStatus.pendingMethods || [];
+  /**
+   * 雜湊受信任設備權杖（只保存雜湊值）
+   * @param {string} token - 設備權杖
+   * @returns {string} SHA-256 雜湊
+   */
+  static hashTrustedDeviceToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
 
-      // 移除 TOTP
-      enabledMethods = enabledMethods.filter((method) => method !== this.MFA_TYPE.TOTP);
-      pendingMethods = pendingMethods.filter((method) => method !== this.MFA_TYPE.TOTP);
+  /**
+   * 獲取用戶的受信任設備（已過期的設備會被過濾）
+   * @param {string} uid - 用戶 ID
+   * @returns {Promise<Array<Object>>} 受信任設備列表
+   */
+  async getTrustedDevices(uid) {
+    try {
+      const devicesKey = `${this.trustedDevicesPrefix}${uid}`;
+      const devicesData = await redisConnection.get(devicesKey);
 
-      const newStatus = enabledMethods.length > 0 ? this.MFA_STATUS.ENABLED : this.MFA_STATUS.DISABLED;
+      if (!devicesData) {
+        return [];
+      }
 
-      await this.setUserMFAStatus(uid, {
-        ...currentStatus,
-        status: newStatus,
-        enabledMethods,
-        pendingMethods,
+      const now = Date.now();
+      return JSON.parse(devicesData).filter((device) => device.expiresAt > now);
+    } catch (error) {
+      logger.error('獲取受信任設備失敗', {
+        uid,
+        error: error.message,
       });
+      return [];
+    }
+  }
 
-      logger.info('TOTP 禁用成功', { uid });
+  /**
+   * 存儲用戶的受信任設備，TTL 跟隨最晚到期的設備
+   * @param {string} uid - 用戶 ID
+   * @param {Array<Object>} devices - 受信任設備列表
+   */
+  async storeTrustedDevices(uid, devices) {
+    const devicesKey = `${this.trustedDevicesPrefix}${uid}`;
+
+    if (devices.length === 0) {
+      await redisConnection.del(devicesKey);
+      return;
+    }
+
+    const latestExpiry = Math.max(...devices.map((device) => device.expiresAt));
+    await redisConnection.set(devicesKey, JSON.stringify(devices));
+    await redisConnection.expire(devicesKey, Math.ceil((latestExpiry - Date.now()) / 1000));
+  }
+
+  /**
+   * 將設備標記為受信任（「記住這個設備」），在有效期內登入可略過 MFA
+   * 同一設備指紋重新信任時會取代舊的紀錄；超過數量上限時移除最舊的設備
+   * @param {string} uid - 用戶 ID
+   * @param {string} deviceFingerprint - 設備指紋
+   * @param {Object} options - { trustDays, ipAddress, userAgent }
+   * @returns {Promise<Object>} 信任結果，token 只在此時返回一次
+   */
+  async trustDevice(uid, deviceFingerprint, options = {}) {
+    try {
+      if (!uid || !deviceFingerprint) {
+        return {
+          success: false,
+          message: '用戶 ID 和設備指紋不能為空',
+        };
+      }
+
+      await this.applyMfaPolicy();
+      const requestedDays = parseInt(options.trustDays, 10) || this.trustedDeviceConfig.trustDays;
+      const trustDays = Math.min(Math.max(requestedDays, 1), this.trustedDeviceConfig.maxTrustDays);
+      const token = crypto.randomBytes(32).toString('base64url');
+      const now = Date.now();
+
+      const device = {
+        id: crypto.randomBytes(8).toString('hex'),
+        tokenHash: MFAService.hashTrustedDeviceToken(token),
+        deviceFingerprint,
+        ipAddress: options.ipAddress || null,
+        userAgent: options.userAgent || null,
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: now + trustDays * 24 * 60 * 60 * 1000,
+      };
+
+      const devices = (await this.getTrustedDevices(uid))
+        .filter((item) => item.deviceFingerprint !== deviceFingerprint)
+        .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+        .slice(0, this.trustedDeviceConfig.maxDevices - 1);
+
+      await this.storeTrustedDevices(uid, [device, ...devices]);
+
+      logger.info('設備已設為受信任', {
+        uid,
+        deviceId: device.id,
+        trustDays,
+        expiresAt: new Date(device.expiresAt).toISOString(),
+      });
 
       return {
         success: true,
-        message: 'TOTP 禁用成功',
+        message: '設備已設為受信任',
+        deviceId: device.id,
+        token,
+        expiresAt: new Date(device.expiresAt).toISOString(),
+        trustDays,
       };
     } catch (error) {
-      logger.error('TOTP 禁用失敗', {
+      logger.error('設定受信任設備失敗', {
         uid,
         error: error.message,
       });
 
       return {
         success: false,
-        message: 'TOTP 禁用失敗',
+        message: '設定受信任設備失敗',
       };
     }
   }
 
   /**
-   * 檢查用戶是否啟用了 TOTP
+   * 檢查設備是否受信任：權杖與設備指紋都必須符合且尚未到期
    * @param {string} uid - 用戶 ID
-   * @returns {Promise<boolean>} 是否啟用 TOTP
+   * @param {string} token - 設備權杖
+   * @param {string} deviceFingerprint - 設備指紋
+   * @returns {Promise<Object|null>} 受信任設備（不含權杖雜湊），不受信任時為 null
    */
-  async isTOTPEnabled(uid) {
+  async findTrustedDevice(uid, token, deviceFingerprint) {
     try {
-      const secretKey = `${this.totpSecretPrefix}${uid}`;
-      const secretData = await redisConnection.get(secretKey);
+      if (!uid || !token || !deviceFingerprint) {
+        return null;
+      }
 
-      if (!secretData) {
-        return false;
+      const tokenHash = Buffer.from(MFAService.hashTrustedDeviceToken(token), 'hex');
+      const devices = await this.getTrustedDevices(uid);
+      const device = devices.find(
+        (item) => item.deviceFingerprint === deviceFingerprint
+          && crypto.timingSafeEqual(Buffer.from(item.tokenHash, 'hex'), tokenHash),
+      );
+
+      if (!device) {
+        return null;
       }
 
-      const parsedData = JSON.parse(secretData);
-      return parsedData.enabled === true;
+      device.lastUsedAt = Date.now();
+      await this.storeTrustedDevices(uid, devices);
+
+      return {
+        id: device.id,
+        deviceFingerprint: device.deviceFingerprint,
+        createdAt: device.createdAt,
+        lastUsedAt: device.lastUsedAt,
+        expiresAt: device.expiresAt,
+      };
     } catch (error) {
-      logger.error('檢查 TOTP 狀態失敗', {
+      logger.error('檢查受信任設備失敗', {
         uid,
         error: error.message,
       });
-      return false;
+      return null;
+    }
+  }
+
+  /**
+   * 列出用戶的受信任設備（不含權杖雜湊）
+   * @param {string} uid - 用戶 ID
+   * @param {string} currentFingerprint - 目前請求的設備指紋，用於標記目前設備
+   * @returns {Promise<Array<Object>>} 受信任設備摘要
+   */
+  async listTrustedDevices(uid, currentFingerprint = null) {
+    const devices = await this.getTrustedDevices(uid);
+    return devices.map((device) => ({
+      id: device.id,
+      ipAddress: device.ipAddress,
+      userAgent: device.userAgent,
+      createdAt: new Date(device.createdAt).toISOString(),
+      lastUsedAt: new Date(device.lastUsedAt).toISOString(),
+      expiresAt: new Date(device.expiresAt).toISOString(),
+      current: Boolean(currentFingerprint) && device.deviceFingerprint === currentFingerprint,
+    }));
+  }
+
+  /**
+   * 撤銷受信任設備
+   * @param {string} uid - 用戶 ID
+   * @param {string} deviceId - 設備 ID，未指定時撤銷所有設備
+   * @returns {Promise<Object>} 撤銷結果
+   */
+  async revokeTrustedDevice(uid, deviceId = null) {
+    try {
+      const devices = await this.getTrustedDevices(uid);
+      const revokedDevices = deviceId
+        ? devices.filter((device) => device.id === deviceId)
+        : devices;
+
+      if (deviceId && revokedDevices.length === 0) {
+        return {
+          success: false,
+          message: '受信任設備不存在',
+        };
+      }
+
+      await this.storeTrustedDevices(
+        uid,
+        devices.filter((device) => !revokedDevices.includes(device)),
+      );
+
+      logger.info('受信任設備已撤銷', {
+        uid,
+        deviceIds: revokedDevices.map((device) => device.id),
+      });
+
+      return {
+        success: true,
+        message: '受信任設備已撤銷',
+        revokedCount: revokedDevices.length,
+        revokedFingerprints: revokedDevices.map((device) => device.deviceFingerprint),
+      };
+    } catch (error) {
+      logger.error('撤銷受信任設備失敗', {
+        uid,
+        deviceId,
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        message: '撤銷失敗',
+      };
     }
   }
 }
@@ -3,6 +3,7 @@ const QRCode = require('qrcode');
 const MFAService = require('./mfaService');
 const { redisConnection } = require('../config/redis');
 const { logger } = require('../middleware/requestLogger');
+const { securityEnhancement } = require('../middleware/securityEnhancement');
 
 // Mock dependencies
 jest.mock('../config/redis', () => ({
@@ -26,6 +27,22 @@ jest.mock('../middleware/requestLogger', () => ({
   },
 }));
 
+jest.mock('./securityPolicyService', () => ({
+  securityPolicyService: {
+    getSection: jest.fn().mockResolvedValue({
+      maxAttempts: 3,
+      maxDailyAttempts: 10,
+      trustedDeviceDays: 30,
+    }),
+  },
+}));
+
+jest.mock('../middleware/securityEnhancement', () => ({
+  securityEnhancement: {
+    recordSecurityEvent: jest.fn(),
+  },
+}));
+
 jest.mock('otplib', () => ({
   authenticator: {
     generateSecret: jest.fn(),
@@ -149,6 +166,29 @@ describe('MFAService', () => {
       });
     });
 
+    it('應該只在 MFA 啟用或停用時記錄安全事件', async () => {
+      redisConnection.set.mockResolvedValue('OK');
+      redisConnection.get.mockResolvedValueOnce(null).mockResolvedValueOnce(JSON.stringify({
+        status: 'enabled',
+        enabledMethods: ['totp'],
+      })).mockResolvedValueOnce(JSON.stringify({
+        status: 'enabled',
+        enabledMethods: ['totp', 'sms'],
+      }));
+
+      await mfaService.setUserMFAStatus(testUid, { status: 'enabled', enabledMethods: ['totp'] });
+      await mfaService.setUserMFAStatus(testUid, {
+        status: 'enabled',
+        enabledMethods: ['totp', 'sms'],
+      });
+      await mfaService.setUserMFAStatus(testUid, { status: 'disabled', enabledMethods: [] });
+
+      expect(securityEnhancement.recordSecurityEvent.mock.calls).toEqual([
+        [testUid, 'mfa_enabled', { enabledMethods: ['totp'] }],
+        [testUid, 'mfa_disabled', { enabledMethods: [] }],
+      ]);
+    });
+
     it('應該處理設置錯誤', async () => {
       const error = new Error('Redis 寫入失敗');
       redisConnection.set.mockRejectedValue(error);
@@ -265,6 +305,23 @@ describe('MFAService', () => {
       expect(result).toBe(true);
     });
 
+    it('應該使用生效的 MFA 政策上限', async () => {
+      mfaService = new MFAService({
+        mfaPolicyProvider: async () => ({
+          maxAttempts: 6,
+          maxDailyAttempts: 20,
+          trustedDeviceDays: 7,
+        }),
+      });
+      redisConnection.get.mockResolvedValueOnce('5').mockResolvedValueOnce('15');
+
+      const result = await mfaService.isAttemptLimitExceeded(testUid, 'sms');
+
+      expect(result).toBe(false);
+      expect(mfaService.emailConfig.maxAttempts).toBe(6);
+      expect(mfaService.trustedDeviceConfig.trustDays).toBe(7);
+    });
+
     it('應該處理 Redis 錯誤並返回 false', async () => {
       const error = new Error('Redis 錯誤');
       redisConnection.get.mockRejectedValue(error);
@@ -487,6 +544,35 @@ describe('MFAService', () => {
       expect(result.success).toBe(true);
     });
 
+    it('應該調用對應的驗證方法 - WebAuthn', async () => {
+      const assertion = { id: 'credential-1', type: 'public-key', response: {} };
+      mfaService.verifyWebAuthnAssertion = jest.fn().mockResolvedValue({
+        success: true,
+        result: 'success',
+        message: 'WebAuthn 驗證成功',
+      });
+
+      const result = await mfaService.verifyMFACode(testUid, assertion, 'webauthn');
+
+      expect(mfaService.verifyWebAuthnAssertion).toHaveBeenCalledWith(testUid, assertion);
+      expect(mfaService.resetAttemptCounter).toHaveBeenCalledWith(testUid, 'webauthn');
+      expect(result.success).toBe(true);
+    });
+
+    it('應該調用對應的驗證方法 - Email', async () => {
+      mfaService.verifyEmailCode = jest.fn().mockResolvedValue({
+        success: true,
+        result: 'success',
+        message: '驗證成功',
+      });
+
+      const result = await mfaService.verifyMFACode(testUid, testCode, 'email');
+
+      expect(mfaService.verifyEmailCode).toHaveBeenCalledWith(testUid, testCode);
+      expect(mfaService.resetAttemptCounter).toHaveBeenCalledWith(testUid, 'email');
+      expect(result.success).toBe(true);
+    });
+
     it('應該處理不支援的 MFA 類型', async () => {
       const result = await mfaService.verifyMFACode(testUid, testCode, 'invalid_type');
 
@@ -638,27 +724,46 @@ describe('MFAService', () => {
       });
     });
 
-    describe('simulateSMSService', () => {
-      it('應該模擬成功發送 SMS', async () => {
-        // 臨時禁用隨機失敗，確保測試可預測
-        jest.spyOn(Math, 'random').mockReturnValue(0.5); // 大於 0.1，不會失敗
+    describe('deliverSMS', () => {
+      it('應該透過簡訊供應商發送驗證碼', async () => {
+        const smsProvider = {
+          providerName: 'test',
+          send: jest.fn().mockResolvedValue({
+            success: true,
+            messageId: mockMessageId,
+            status: 'queued',
+          }),
+        };
+        mfaService = new MFAService({ smsProvider });
 
-        const result = await mfaService.simulateSMSService(mockPhone, mockCode);
+        const result = await mfaService.deliverSMS(mockPhone, mockCode);
 
-        expect(result.success).toBe(true);
-        expect(result.messageId).toBeDefined();
-        expect(result.message).toBe('驗證碼發送成功');
-
-        Math.random.mockRestore();
+        expect(smsProvider.send).toHaveBeenCalledWith(
+          mockPhone,
+          expect.stringContaining(`您的驗證碼為 ${mockCode}，5 分鐘內有效`),
+        );
+        expect(result).toEqual({
+          success: true,
+          messageId: mockMessageId,
+          status: 'queued',
+          message: '驗證碼發送成功',
+        });
       });
 
-      it('應該記錄 SMS 發送日誌', async () => {
-        await mfaService.simulateSMSService(mockPhone, mockCode);
+      it('應該在供應商失敗時返回錯誤', async () => {
+        mfaService = new MFAService({
+          smsProvider: {
+            providerName: 'test',
+            send: jest.fn().mockResolvedValue({ success: false, error: 'gateway down' }),
+          },
+        });
+
+        const result = await mfaService.deliverSMS(mockPhone, mockCode);
 
-        expect(logger.info).toHaveBeenCalledWith('SMS 驗證碼模擬發送', {
-          phone: mockPhone,
-          code: '***',
-          timestamp: expect.any(String),
+        expect(result).toEqual({
+          success: false,
+          error: 'gateway down',
+          message: 'SMS 發送失敗',
         });
       });
     });
@@ -700,9 +805,10 @@ describe('MFAService', () => {
 
     describe('sendSMSCode', () => {
       beforeEach(() => {
-        jest.spyOn(mfaService, 'simulateSMSService').mockResolvedValue({
+        jest.spyOn(mfaService, 'deliverSMS').mockResolvedValue({
           success: true,
           messageId: mockMessageId,
+          status: 'queued',
           message: '驗證碼發送成功',
         });
         jest.spyOn(mfaService, 'checkSMSResendInterval').mockResolvedValue({
@@ -724,6 +830,26 @@ describe('MFAService', () => {
         expect(result.messageId).toBe(mockMessageId);
       });
 
+      it('應該將台灣手機號碼正規化為 E.164 並記錄簡訊 ID', async () => {
+        redisConnection.get.mockResolvedValue(null);
+        redisConnection.set.mockResolvedValue('OK');
+        redisConnection.incr.mockResolvedValue(1);
+        redisConnection.expire.mockResolvedValue(1);
+
+        const result = await mfaService.sendSMSCode(testUid, '0912-345-678');
+
+        expect(result.deliveryStatus).toBe('queued');
+        expect(mfaService.deliverSMS).toHaveBeenCalledWith(mockPhone, expect.any(String));
+        expect(redisConnection.set).toHaveBeenCalledWith(
+          `sms_code:${testUid}`,
+          expect.stringContaining(`"messageId":"${mockMessageId}"`),
+        );
+        expect(redisConnection.set).toHaveBeenCalledWith(
+          `sms_message:${mockMessageId}`,
+          JSON.stringify({ uid: testUid }),
+        );
+      });
+
       it('應該驗證手機號碼格式', async () => {
         const invalidPhone = '123';
 
@@ -756,7 +882,7 @@ describe('MFAService', () => {
       });
 
       it('應該處理 SMS 發送失敗', async () => {
-        jest.spyOn(mfaService, 'simulateSMSService').mockResolvedValue({
+        jest.spyOn(mfaService, 'deliverSMS').mockResolvedValue({
           success: false,
           message: 'SMS 服務不可用',
         });
@@ -772,6 +898,68 @@ describe('MFAService', () => {
       });
     });
 
+    describe('recordSMSDeliveryStatus', () => {
+      const storedCode = {
+        code: mockCode,
+        phone: mockPhone,
+        messageId: mockMessageId,
+        deliveryStatus: 'queued',
+      };
+
+      const mockStore = (codeData) => {
+        redisConnection.get.mockImplementation(async (key) => {
+          if (key === `sms_message:${mockMessageId}`) {
+            return JSON.stringify({ uid: testUid });
+          }
+          return key === `sms_code:${testUid}` ? JSON.stringify(codeData) : null;
+        });
+      };
+
+      it('應該將送達狀態記錄到目前的驗證碼', async () => {
+        mockStore(storedCode);
+
+        const result = await mfaService.recordSMSDeliveryStatus({
+          messageId: mockMessageId,
+          status: 'DELIVRD',
+          timestamp: '2024-01-01T00:00:00.000Z',
+        });
+
+        expect(result).toEqual({ success: true, uid: testUid, status: 'delivered' });
+        expect(redisConnection.set).toHaveBeenCalledWith(
+          `sms_code:${testUid}`,
+          JSON.stringify({
+            ...storedCode,
+            deliveryStatus: 'delivered',
+            deliveryErrorCode: null,
+            deliveryUpdatedAt: '2024-01-01T00:00:00.000Z',
+          }),
+        );
+      });
+
+      it('應該忽略已被重送取代的簡訊回報', async () => {
+        mockStore({ ...storedCode, messageId: 'newer-message' });
+
+        const result = await mfaService.recordSMSDeliveryStatus({
+          messageId: mockMessageId,
+          status: 'failed',
+        });
+
+        expect(result.success).toBe(true);
+        expect(redisConnection.set).not.toHaveBeenCalled();
+      });
+
+      it('應該拒絕未知的簡訊 ID 與狀態', async () => {
+        redisConnection.get.mockResolvedValue(null);
+
+        await expect(
+          mfaService.recordSMSDeliveryStatus({ messageId: 'unknown', status: 'delivered' }),
+        ).resolves.toEqual({ success: false, message: '簡訊不存在或回報已過期' });
+        await expect(
+          mfaService.recordSMSDeliveryStatus({ messageId: mockMessageId, status: 'bogus' }),
+        ).resolves.toEqual({ success: false, message: '送達回報格式不正確' });
+      });
+    });
+
     describe('verifySMSCode', () => {
       const mockCodeData = {
         code: mockCode,
@@ -1031,6 +1219,196 @@ describe('MFAService', () => {
     });
   });
 
+  describe('Email 驗證功能', () => {
+    const mockEmail = 'user@example.com';
+    const mockCode = '654321';
+    let emailService;
+
+    beforeEach(() => {
+      emailService = {
+        send: jest.fn().mockResolvedValue({
+          success: true,
+          messageId: '<email-1@localite.app>',
+          language: 'zh-TW',
+        }),
+      };
+      mfaService = new MFAService({ emailService });
+    });
+
+    describe('sendEmailCode', () => {
+      beforeEach(() => {
+        redisConnection.get.mockResolvedValue(null);
+        redisConnection.set.mockResolvedValue('OK');
+        redisConnection.incr.mockResolvedValue(1);
+        redisConnection.expire.mockResolvedValue(1);
+        redisConnection.del.mockResolvedValue(1);
+      });
+
+      it('應該以指定語言寄出驗證碼郵件', async () => {
+        const result = await mfaService.sendEmailCode(testUid, mockEmail, false, 'en-US');
+
+        expect(result.success).toBe(true);
+        expect(result.messageId).toBe('<email-1@localite.app>');
+        expect(emailService.send).toHaveBeenCalledWith({
+          to: mockEmail,
+          template: 'mfa_code',
+          language: 'en-US',
+          variables: { code: expect.stringMatching(/^\d{6}$/), expiryMinutes: 10 },
+        });
+        expect(redisConnection.set).toHaveBeenCalledWith(
+          `email_code:${testUid}`,
+          expect.stringContaining(`"email":"${mockEmail}"`),
+        );
+        expect(redisConnection.incr).toHaveBeenCalledWith(
+          expect.stringMatching(new RegExp(`^mfa_daily_attempts:${testUid}:email:`)),
+        );
+      });
+
+      it('應該驗證 Email 格式', async () => {
+        const result = await mfaService.sendEmailCode(testUid, 'not-an-email');
+
+        expect(result.success).toBe(false);
+        expect(result.message).toBe('Email 格式不正確');
+        expect(emailService.send).not.toHaveBeenCalled();
+      });
+
+      it('應該檢查每日發送限制', async () => {
+        redisConnection.get.mockResolvedValue('10');
+
+        const result = await mfaService.sendEmailCode(testUid, mockEmail);
+
+        expect(result.success).toBe(false);
+        expect(result.message).toBe('今日發送次數已達上限');
+      });
+
+      it('應該檢查重送間隔', async () => {
+        jest.spyOn(mfaService, 'checkEmailResendInterval').mockResolvedValue({
+          canResend: false,
+          remainingTime: 45,
+        });
+
+        const result = await mfaService.sendEmailCode(testUid, mockEmail, true);
+
+        expect(result.success).toBe(false);
+        expect(result.message).toBe('請等待 45 秒後再重送');
+      });
+
+      it('應該在寄送失敗時清除驗證碼', async () => {
+        emailService.send.mockResolvedValue({ success: false, error: 'connection refused' });
+
+        const result = await mfaService.sendEmailCode(testUid, mockEmail);
+
+        expect(result.success).toBe(false);
+        expect(result.message).toBe('Email 發送失敗');
+        expect(redisConnection.del).toHaveBeenCalledWith(`email_code:${testUid}`);
+      });
+    });
+
+    describe('verifyEmailCode', () => {
+      const mockCodeData = {
+        code: mockCode,
+        email: mockEmail,
+        createdAt: Date.now(),
+        expiresAt: Date.now() + 600000,
+        attempts: 0,
+      };
+
+      beforeEach(() => {
+        jest.spyOn(mfaService, 'isAttemptLimitExceeded').mockResolvedValue(false);
+        jest
+          .spyOn(mfaService, 'incrementAttemptCounter')
+          .mockResolvedValue({ currentAttempts: 1, dailyAttempts: 1 });
+        jest.spyOn(mfaService, 'resetAttemptCounter').mockResolvedValue();
+      });
+
+      it('應該成功驗證正確的 Email 驗證碼', async () => {
+        redisConnection.get.mockResolvedValue(JSON.stringify(mockCodeData));
+        redisConnection.del.mockResolvedValue(1);
+
+        const result = await mfaService.verifyEmailCode(testUid, mockCode);
+
+        expect(result.success).toBe(true);
+        expect(redisConnection.del).toHaveBeenCalledWith(`email_code:${testUid}`);
+        expect(mfaService.resetAttemptCounter).toHaveBeenCalledWith(testUid, 'email');
+      });
+
+      it('應該拒絕錯誤的驗證碼並累計嘗試次數', async () => {
+        redisConnection.get.mockResolvedValue(JSON.stringify(mockCodeData));
+        redisConnection.set.mockResolvedValue('OK');
+
+        const result = await mfaService.verifyEmailCode(testUid, '000000');
+
+        expect(result.result).toBe('invalid_code');
+        expect(redisConnection.set).toHaveBeenCalledWith(
+          `email_code:${testUid}`,
+          expect.stringContaining('"attempts":1'),
+        );
+        expect(mfaService.incrementAttemptCounter).toHaveBeenCalledWith(testUid, 'email');
+      });
+
+      it('應該拒絕已過期的驗證碼', async () => {
+        redisConnection.get.mockResolvedValue(
+          JSON.stringify({ ...mockCodeData, expiresAt: Date.now() - 1000 }),
+        );
+        redisConnection.del.mockResolvedValue(1);
+
+        const result = await mfaService.verifyEmailCode(testUid, mockCode);
+
+        expect(result.result).toBe('expired');
+      });
+
+      it('應該拒絕嘗試次數過多的驗證碼', async () => {
+        redisConnection.get.mockResolvedValue(JSON.stringify({ ...mockCodeData, attempts: 3 }));
+        redisConnection.del.mockResolvedValue(1);
+
+        const result = await mfaService.verifyEmailCode(testUid, mockCode);
+
+        expect(result.result).toBe('too_many_attempts');
+        expect(result.message).toBe('此驗證碼嘗試次數已達上限');
+      });
+    });
+
+    describe('setupEmail / enableEmail', () => {
+      it('應該寄出驗證碼並將 Email 標記為待啟用', async () => {
+        jest.spyOn(mfaService, 'getUserMFAStatus').mockResolvedValue({
+          status: 'disabled',
+          enabledMethods: [],
+          pendingMethods: [],
+        });
+        jest.spyOn(mfaService, 'sendEmailCode').mockResolvedValue({ success: true });
+        jest.spyOn(mfaService, 'setUserMFAStatus').mockResolvedValue(true);
+
+        const result = await mfaService.setupEmail(testUid, mockEmail, 'zh-CN');
+
+        expect(result.success).toBe(true);
+        expect(mfaService.sendEmailCode).toHaveBeenCalledWith(testUid, mockEmail, false, 'zh-CN');
+        expect(mfaService.setUserMFAStatus).toHaveBeenCalledWith(
+          testUid,
+          expect.objectContaining({ status: 'pending', pendingMethods: ['email'] }),
+        );
+      });
+
+      it('應該在驗證碼正確時啟用 Email 驗證', async () => {
+        jest.spyOn(mfaService, 'verifyEmailCode').mockResolvedValue({ success: true });
+        jest.spyOn(mfaService, 'getUserMFAStatus').mockResolvedValue({
+          status: 'pending',
+          enabledMethods: ['totp'],
+          pendingMethods: ['email'],
+        });
+        jest.spyOn(mfaService, 'setUserMFAStatus').mockResolvedValue(true);
+
+        const result = await mfaService.enableEmail(testUid, mockCode);
+
+        expect(result.success).toBe(true);
+        expect(result.enabledMethods).toEqual(['totp', 'email']);
+        expect(mfaService.setUserMFAStatus).toHaveBeenCalledWith(
+          testUid,
+          expect.objectContaining({ status: 'enabled', pendingMethods: [] }),
+        );
+      });
+    });
+  });
+
   describe('TOTP 管理功能', () => {
     const mockSecret = 'JBSWY3DPEHPK3PXP';
     const mockEmail = 'test@example.com';
@@ -1617,4 +1995,325 @@ describe('MFAService', () => {
       });
     });
   });
+
+  describe('WebAuthn 功能', () => {
+    let store;
+    const credentialId = 'credential-1';
+    const storedCredential = {
+      id: credentialId,
+      publicKey: {
+        kty: 'EC', crv: 'P-256', x: 'x', y: 'y',
+      },
+      algorithm: -7,
+      signCount: 3,
+      transports: ['internal'],
+      name: 'MacBook',
+      createdAt: '2024-01-01T00:00:00.000Z',
+      lastUsedAt: null,
+    };
+
+    // 以 Map 模擬 Redis，讓 challenge 與憑證在多個步驟間保留
+    beforeEach(() => {
+      store = new Map();
+      redisConnection.get.mockImplementation(async (key) => (
+        store.has(key) ? store.get(key) : null
+      ));
+      redisConnection.set.mockImplementation(async (key, value) => {
+        store.set(key, value);
+        return 'OK';
+      });
+      redisConnection.del.mockImplementation(async (key) => (store.delete(key) ? 1 : 0));
+      redisConnection.incr.mockResolvedValue(1);
+      redisConnection.expire.mockResolvedValue(true);
+    });
+
+    const seedCredential = (overrides = {}) => {
+      store.set(
+        `webauthn_credentials:${testUid}`,
+        JSON.stringify([{ ...storedCredential, ...overrides }]),
+      );
+      store.set(`webauthn_credential_owner:${credentialId}`, JSON.stringify(testUid));
+      store.set(
+        `mfa_status:${testUid}`,
+        JSON.stringify({ status: 'enabled', enabledMethods: ['webauthn'], pendingMethods: [] }),
+      );
+    };
+
+    it('應該完成註冊儀式並啟用 WebAuthn', async () => {
+      jest.spyOn(mfaService.webauthn, 'verifyRegistration').mockReturnValue({
+        id: credentialId,
+        publicKey: storedCredential.publicKey,
+        algorithm: -7,
+        signCount: 0,
+        transports: ['internal'],
+      });
+
+      const optionsResult = await mfaService.generateWebAuthnRegistrationOptions(testUid, {
+        email: 'user@example.com',
+      });
+      expect(optionsResult.success).toBe(true);
+      expect(optionsResult.options.user.name).toBe('user@example.com');
+      expect((await mfaService.getUserMFAStatus(testUid)).pendingMethods).toEqual(['webauthn']);
+
+      const response = { id: credentialId, type: 'public-key', response: {} };
+      const result = await mfaService.enableWebAuthn(testUid, response, 'MacBook');
+
+      expect(mfaService.webauthn.verifyRegistration).toHaveBeenCalledWith(
+        response,
+        optionsResult.options.challenge,
+      );
+      expect(result.success).toBe(true);
+      expect(result.credential).toEqual(
+        expect.objectContaining({ id: credentialId, name: 'MacBook' }),
+      );
+      expect(await mfaService.listWebAuthnCredentials(testUid)).toHaveLength(1);
+      expect(await mfaService.getUserMFAStatus(testUid)).toEqual(
+        expect.objectContaining({
+          status: 'enabled',
+          enabledMethods: ['webauthn'],
+          pendingMethods: [],
+        }),
+      );
+    });
+
+    it('應該拒絕重複使用的註冊 challenge', async () => {
+      jest.spyOn(mfaService.webauthn, 'verifyRegistration').mockReturnValue({
+        ...storedCredential,
+        id: 'credential-2',
+      });
+      await mfaService.generateWebAuthnRegistrationOptions(testUid);
+      await mfaService.enableWebAuthn(testUid, {});
+
+      const result = await mfaService.enableWebAuthn(testUid, {});
+
+      expect(result).toEqual({
+        success: false,
+        result: 'expired',
+        message: 'WebAuthn 註冊已過期，請重新開始',
+      });
+    });
+
+    it('應該拒絕已被其他用戶註冊的認證器', async () => {
+      store.set(`webauthn_credential_owner:${credentialId}`, JSON.stringify('other-user'));
+      jest.spyOn(mfaService.webauthn, 'verifyRegistration').mockReturnValue(storedCredential);
+      await mfaService.generateWebAuthnRegistrationOptions(testUid);
+
+      const result = await mfaService.enableWebAuthn(testUid, {});
+
+      expect(result).toEqual({ success: false, message: '此認證器已經註冊' });
+    });
+
+    it('應該驗證第二因素 assertion 並更新簽章計數器', async () => {
+      seedCredential();
+      jest
+        .spyOn(mfaService.webauthn, 'verifyAuthentication')
+        .mockReturnValue({ signCount: 4, userVerified: false, backedUp: false });
+
+      const optionsResult = await mfaService.generateWebAuthnAuthenticationOptions(testUid);
+      expect(optionsResult.options.allowCredentials).toEqual([
+        { type: 'public-key', id: credentialId, transports: ['internal'] },
+      ]);
+
+      const assertion = { id: credentialId, type: 'public-key', response: {} };
+      const result = await mfaService.verifyWebAuthnAssertion(testUid, JSON.stringify(assertion));
+
+      expect(mfaService.webauthn.verifyAuthentication).toHaveBeenCalledWith(
+        assertion,
+        expect.objectContaining({ id: credentialId }),
+        optionsResult.options.challenge,
+        { requireUserVerification: false },
+      );
+      expect(result).toEqual(
+        expect.objectContaining({ success: true, result: 'success', credentialId }),
+      );
+      const [credential] = await mfaService.getWebAuthnCredentials(testUid);
+      expect(credential.signCount).toBe(4);
+      expect(credential.lastUsedAt).not.toBeNull();
+    });
+
+    it('應該在 assertion 驗證失敗時返回無效結果', async () => {
+      seedCredential();
+      jest.spyOn(mfaService.webauthn, 'verifyAuthentication').mockImplementation(() => {
+        const error = new Error('簽章驗證失敗');
+        error.code = 'WEBAUTHN_INVALID_SIGNATURE';
+        throw error;
+      });
+      await mfaService.generateWebAuthnAuthenticationOptions(testUid);
+
+      const result = await mfaService.verifyWebAuthnAssertion(testUid, { id: credentialId });
+
+      expect(result).toEqual({
+        success: false,
+        result: 'invalid_code',
+        message: 'WebAuthn 驗證失敗',
+      });
+    });
+
+    it('應該以 passkey 完成無密碼登入並要求使用者驗證', async () => {
+      seedCredential();
+      jest
+        .spyOn(mfaService.webauthn, 'verifyAuthentication')
+        .mockReturnValue({ signCount: 4, userVerified: true, backedUp: true });
+
+      const optionsResult = await mfaService.generateWebAuthnLoginOptions();
+      expect(optionsResult.options.allowCredentials).toEqual([]);
+      expect(optionsResult.options.userVerification).toBe('required');
+
+      jest
+        .spyOn(mfaService.webauthn, 'readChallenge')
+        .mockReturnValue(optionsResult.options.challenge);
+      const result = await mfaService.verifyWebAuthnLogin({ id: credentialId });
+
+      expect(result).toEqual(expect.objectContaining({ success: true, uid: testUid }));
+      expect(mfaService.webauthn.verifyAuthentication).toHaveBeenCalledWith(
+        { id: credentialId },
+        expect.any(Object),
+        optionsResult.options.challenge,
+        { requireUserVerification: true },
+      );
+    });
+
+    it('應該拒絕未知憑證的無密碼登入', async () => {
+      const optionsResult = await mfaService.generateWebAuthnLoginOptions();
+      jest
+        .spyOn(mfaService.webauthn, 'readChallenge')
+        .mockReturnValue(optionsResult.options.challenge);
+
+      const result = await mfaService.verifyWebAuthnLogin({ id: 'unknown' });
+
+      expect(result).toEqual({
+        success: false,
+        result: 'invalid_code',
+        message: 'WebAuthn 憑證不存在',
+      });
+    });
+
+    it('應該在移除最後一個憑證後禁用 WebAuthn', async () => {
+      seedCredential();
+
+      const result = await mfaService.removeWebAuthnCredential(testUid, credentialId);
+
+      expect(result).toEqual(
+        expect.objectContaining({ success: true, remainingCredentials: 0, enabledMethods: [] }),
+      );
+      expect(store.has(`webauthn_credential_owner:${credentialId}`)).toBe(false);
+      expect((await mfaService.getUserMFAStatus(testUid)).status).toBe('disabled');
+    });
+  });
+
+  describe('受信任設備功能', () => {
+    let store;
+    const fingerprint = 'a1b2c3d4e5f60718';
+
+    // 以 Map 模擬 Redis，讓受信任設備在多個步驟間保留
+    beforeEach(() => {
+      store = new Map();
+      redisConnection.get.mockImplementation(async (key) => (
+        store.has(key) ? store.get(key) : null
+      ));
+      redisConnection.set.mockImplementation(async (key, value) => {
+        store.set(key, value);
+        return 'OK';
+      });
+      redisConnection.del.mockImplementation(async (key) => (store.delete(key) ? 1 : 0));
+      redisConnection.expire.mockResolvedValue(true);
+    });
+
+    it('應該發放權杖並只保存雜湊值', async () => {
+      const result = await mfaService.trustDevice(testUid, fingerprint, { trustDays: 7 });
+
+      expect(result.success).toBe(true);
+      expect(result.trustDays).toBe(7);
+      expect(result.token).toEqual(expect.any(String));
+
+      const stored = store.get(`mfa_trusted_devices:${testUid}`);
+      expect(stored).not.toContain(result.token);
+      expect(redisConnection.expire).toHaveBeenCalledWith(
+        `mfa_trusted_devices:${testUid}`,
+        7 * 24 * 60 * 60,
+      );
+    });
+
+    it('應該限制信任天數在允許範圍內', async () => {
+      const result = await mfaService.trustDevice(testUid, fingerprint, { trustDays: 365 });
+
+      expect(result.trustDays).toBe(90);
+    });
+
+    it('應該要求權杖與設備指紋同時相符', async () => {
+      const { token, deviceId } = await mfaService.trustDevice(testUid, fingerprint);
+
+      expect(await mfaService.findTrustedDevice(testUid, token, fingerprint)).toEqual(
+        expect.objectContaining({ id: deviceId, deviceFingerprint: fingerprint }),
+      );
+      expect(await mfaService.findTrustedDevice(testUid, token, 'other-device')).toBeNull();
+      expect(await mfaService.findTrustedDevice(testUid, 'forged-token', fingerprint)).toBeNull();
+      expect(await mfaService.findTrustedDevice('other-user', token, fingerprint)).toBeNull();
+      expect(await mfaService.findTrustedDevice(testUid, undefined, fingerprint)).toBeNull();
+    });
+
+    it('應該忽略已過期的設備', async () => {
+      const { token } = await mfaService.trustDevice(testUid, fingerprint);
+      const key = `mfa_trusted_devices:${testUid}`;
+      const devices = JSON.parse(store.get(key));
+      devices[0].expiresAt = Date.now() - 1000;
+      store.set(key, JSON.stringify(devices));
+
+      expect(await mfaService.findTrustedDevice(testUid, token, fingerprint)).toBeNull();
+      expect(await mfaService.listTrustedDevices(testUid)).toEqual([]);
+    });
+
+    it('應該在同一設備重新信任時取代舊權杖', async () => {
+      const first = await mfaService.trustDevice(testUid, fingerprint);
+      const second = await mfaService.trustDevice(testUid, fingerprint);
+
+      expect(await mfaService.findTrustedDevice(testUid, first.token, fingerprint)).toBeNull();
+      expect(await mfaService.findTrustedDevice(testUid, second.token, fingerprint)).not.toBeNull();
+      expect(await mfaService.listTrustedDevices(testUid)).toHaveLength(1);
+    });
+
+    it('應該在超過上限時移除最久未使用的設備', async () => {
+      mfaService.trustedDeviceConfig.maxDevices = 2;
+      const oldest = await mfaService.trustDevice(testUid, 'device-1');
+      await mfaService.trustDevice(testUid, 'device-2');
+      await mfaService.trustDevice(testUid, 'device-3');
+
+      const devices = await mfaService.listTrustedDevices(testUid);
+      expect(devices).toHaveLength(2);
+      expect(devices.map((device) => device.id)).not.toContain(oldest.deviceId);
+    });
+
+    it('應該列出設備並標記目前設備', async () => {
+      await mfaService.trustDevice(testUid, fingerprint, { userAgent: 'Mozilla/5.0' });
+      await mfaService.trustDevice(testUid, 'other-device');
+
+      const devices = await mfaService.listTrustedDevices(testUid, fingerprint);
+
+      expect(devices).toHaveLength(2);
+      expect(devices.find((device) => device.current)).toEqual(
+        expect.objectContaining({ userAgent: 'Mozilla/5.0', current: true }),
+      );
+      expect(devices[0]).not.toHaveProperty('tokenHash');
+      expect(devices[0]).not.toHaveProperty('deviceFingerprint');
+    });
+
+    it('應該撤銷指定設備或所有設備', async () => {
+      const first = await mfaService.trustDevice(testUid, fingerprint);
+      const second = await mfaService.trustDevice(testUid, 'other-device');
+
+      const revokeOne = await mfaService.revokeTrustedDevice(testUid, first.deviceId);
+      expect(revokeOne).toEqual(expect.objectContaining({ success: true, revokedCount: 1 }));
+      expect(await mfaService.findTrustedDevice(testUid, first.token, fingerprint)).toBeNull();
+
+      const missing = await mfaService.revokeTrustedDevice(testUid, first.deviceId);
+      expect(missing).toEqual({ success: false, message: '受信任設備不存在' });
+
+      const revokeAll = await mfaService.revokeTrustedDevice(testUid);
+      expect(revokeAll.revokedCount).toBe(1);
+      expect(
+        await mfaService.findTrustedDevice(testUid, second.token, 'other-device'),
+      ).toBeNull();
+      expect(store.has(`mfa_trusted_devices:${testUid}`)).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { logger } = require('../middleware/requestLogger');
+const { AppError } = require('../middleware/errorHandler');
+
+const createVerificationError = (message) => new AppError(message, 401, 'SOCIAL_TOKEN_INVALID');
+
+/**
+ * OpenID Connect ID Token 驗證
+ * 依 kid 從供應商的 JWKS 取得公鑰驗證簽章，並檢查 issuer、audience 與 nonce。
+ * Google 與 Apple 登入皆使用此驗證方式，測試時可將 jwksUri 指向本機的模擬身分提供者。
+ */
+class OidcTokenVerifier {
+  /**
+   * @param {Object} options
+   * @param {string} options.providerId - 提供者 ID（google.com、apple.com）
+   * @param {string|Array<string>} options.issuer - 允許的 iss
+   * @param {string|Array<string>} options.audience - 允許的 aud（OAuth client ID）
+   * @param {string} options.jwksUri - JWKS 網址
+   * @param {Array<string>} options.algorithms - 允許的簽章演算法
+   * @param {number} options.cacheTtl - JWKS 快取時間（秒）
+   * @param {number} options.timeout - 請求逾時（毫秒）
+   */
+  constructor(options = {}) {
+    if (!options.jwksUri) {
+      throw new Error('OIDC JWKS URI is required.');
+    }
+    if (!options.audience || (Array.isArray(options.audience) && options.audience.length === 0)) {
+      throw new Error(`OAuth client ID is required for ${options.providerId}.`);
+    }
+
+    this.providerId = options.providerId;
+    this.issuer = options.issuer;
+    this.audience = options.audience;
+    this.jwksUri = options.jwksUri;
+    this.algorithms = options.algorithms || ['RS256'];
+    this.cacheTtl = options.cacheTtl || 3600;
+    this.timeout = options.timeout || 10000;
+
+    this.keys = new Map();
+    this.fetchedAt = 0;
+  }
+
+  /**
+   * 下載 JWKS 並更新快取
+   */
+  async refreshKeys() {
+    const response = await axios.get(this.jwksUri, { timeout: this.timeout });
+    const keys = new Map();
+    (response.data?.keys || []).forEach((jwk) => {
+      if (jwk.kid && (!jwk.use || jwk.use === 'sig')) {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      }
+    });
+
+    this.keys = keys;
+    this.fetchedAt = Date.now();
+  }
+
+  /**
+   * 依 kid 取得公鑰；快取過期或找不到 kid 時重新下載（供應商輪替金鑰）
+   * 找不到 kid 時最多每分鐘重新下載一次，避免偽造的 kid 觸發大量請求
+   */
+  async getKey(kid) {
+    const age = Date.now() - this.fetchedAt;
+    const expired = age > this.cacheTtl * 1000;
+    const canRefetch = age > 60 * 1000;
+
+    if (expired || (!this.keys.has(kid) && canRefetch)) {
+      try {
+        await this.refreshKeys();
+      } catch (error) {
+        logger.error('下載 OIDC JWKS 失敗', {
+          providerId: this.providerId,
+          error: error.message,
+        });
+        if (this.keys.size === 0) {
+          throw createVerificationError('無法取得身分提供者的公鑰');
+        }
+      }
+    }
+
+    return this.keys.get(kid) || null;
+  }
+
+  /**
+   * 驗證 ID Token
+   * @param {Object} credential - { idToken, nonce }
+   * @returns {Promise<Object>} 標準化的身分資訊
+   */
+  async verify(credential = {}) {
+    const { idToken, nonce } = credential;
+    if (typeof idToken !== 'string' || !idToken) {
+      throw createVerificationError('缺少 idToken');
+    }
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded?.header?.kid) {
+      throw createVerificationError('無效的 idToken 格式');
+    }
+
+    const key = await this.getKey(decoded.header.kid);
+    if (!key) {
+      throw createVerificationError('找不到 idToken 的簽章金鑰');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: this.algorithms,
+        issuer: this.issuer,
+        audience: this.audience,
+      });
+    } catch (error) {
+      throw createVerificationError(`idToken 驗證失敗: ${error.message}`);
+    }
+
+    if ((nonce || claims.nonce) && claims.nonce !== nonce) {
+      throw createVerificationError('idToken nonce 不符');
+    }
+    if (!claims.sub) {
+      throw createVerificationError('idToken 缺少 sub');
+    }
+
+    // Apple 的 email_verified 為字串 "true"
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+    return {
+      providerId: this.providerId,
+      providerUid: String(claims.sub),
+      email: claims.email ? String(claims.email).toLowerCase() : null,
+      emailVerified: Boolean(claims.email) && emailVerified,
+      displayName: claims.name || null,
+      avatar: claims.picture || null,
+    };
+  }
+}
+
+module.exports = OidcTokenVerifier;
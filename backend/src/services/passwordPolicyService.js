@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { securityPolicyService } = require('./securityPolicyService');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Firebase 密碼長度上限
+const MAX_PASSWORD_LENGTH = 128;
+const HASH_KEY_LENGTH = 32;
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '../config/commonPasswords.txt');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let commonPasswords = null;
+
+/**
+ * 載入內建常見密碼清單（首次使用時讀取並快取）
+ * @returns {Set<string>}
+ */
+const loadCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs
+        .readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#')),
+    );
+  }
+  return commonPasswords;
+};
+
+/**
+ * 密碼政策服務
+ * 依全域安全政策檢查新密碼的複雜度、常見密碼與重複使用，並記錄密碼變更時間供 maxAge 計算
+ */
+class PasswordPolicyService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.policyProvider - async () => passwordPolicy，預設讀取生效的全域安全政策
+   */
+  constructor(options = {}) {
+    this.policyProvider = options.policyProvider
+      || (() => securityPolicyService.getSection('passwordPolicy'));
+  }
+
+  /**
+   * 取得目前生效的密碼政策
+   */
+  async getPolicy() {
+    return this.policyProvider();
+  }
+
+  /**
+   * 檢查密碼複雜度
+   * @param {string} password - 密碼
+   * @param {Object} policy - 密碼政策
+   * @returns {Array<Object>} 未通過的規則 [{ code, message }]
+   */
+  static checkComplexity(password, policy) {
+    const errors = [];
+    const addError = (code, message) => errors.push({ code, message });
+
+    if (typeof password !== 'string' || password.length < policy.minLength) {
+      addError('PASSWORD_TOO_SHORT', `密碼長度至少需要 ${policy.minLength} 個字元`);
+      return errors;
+    }
+    if (password.length > MAX_PASSWORD_LENGTH) {
+      addError('PASSWORD_TOO_LONG', `密碼長度不可超過 ${MAX_PASSWORD_LENGTH} 個字元`);
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+      addError('PASSWORD_MISSING_UPPERCASE', '密碼需包含大寫字母');
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+      addError('PASSWORD_MISSING_LOWERCASE', '密碼需包含小寫字母');
+    }
+    if (policy.requireNumbers && !/\d/.test(password)) {
+      addError('PASSWORD_MISSING_NUMBER', '密碼需包含數字');
+    }
+    if (policy.requireSymbols && !/[^A-Za-z0-9]/.test(password)) {
+      addError('PASSWORD_MISSING_SYMBOL', '密碼需包含符號');
+    }
+
+    return errors;
+  }
+
+  /**
+   * 檢查密碼是否在常見密碼清單中
+   * 同時比對去除結尾數字與符號後的字串，避免 Password123! 這類變形通過
+   */
+  static isCommonPassword(password) {
+    const list = loadCommonPasswords();
+    const normalized = String(password).toLowerCase();
+    const stem = normalized.replace(/[^a-z]+$/, '');
+    return list.has(normalized) || (stem.length >= 4 && list.has(stem));
+  }
+
+  /**
+   * 以 scrypt 雜湊密碼（僅用於歷史比對）
+   * @returns {Promise<string>} scrypt$<salt>$<hash>
+   */
+  static async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, HASH_KEY_LENGTH);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+  }
+
+  /**
+   * 比對密碼與雜湊
+   */
+  static async matchesHash(password, storedHash) {
+    const [scheme, salt, hash] = String(storedHash).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * 檢查密碼是否為最近 historyCount 次使用過的密碼
+   * @param {Object} user - 需包含 security.passwordHistory（select('+security.passwordHistory')）
+   */
+  static async isPasswordReused(user, password, policy) {
+    const history = (user?.security?.passwordHistory || []).slice(0, policy.historyCount || 0);
+    const matches = await Promise.all(
+      history.map((entry) => PasswordPolicyService.matchesHash(password, entry.hash)),
+    );
+    return matches.some(Boolean);
+  }
+
+  /**
+   * 依政策驗證新密碼
+   * @param {string} password - 新密碼
+   * @param {Object} options
+   * @param {Object} options.user - 用戶（提供時檢查密碼歷史）
+   * @param {Object} options.policy - 密碼政策，預設為目前生效的政策
+   * @returns {Promise<Object>} { valid, errors, policy }
+   */
+  async validatePassword(password, options = {}) {
+    const policy = options.policy || (await this.getPolicy());
+    const errors = PasswordPolicyService.checkComplexity(password, policy);
+
+    if (
+      errors.length === 0
+      && policy.blockCommonPasswords !== false
+      && PasswordPolicyService.isCommonPassword(password)
+    ) {
+      errors.push({ code: 'PASSWORD_TOO_COMMON', message: '此密碼過於常見，請改用其他密碼' });
+    }
+
+    if (errors.length === 0 && options.user) {
+      if (await PasswordPolicyService.isPasswordReused(options.user, password, policy)) {
+        errors.push({
+          code: 'PASSWORD_REUSED',
+          message: `不可使用最近 ${policy.historyCount} 次使用過的密碼`,
+        });
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      policy,
+    };
+  }
+
+  /**
+   * 計算密碼到期時間
+   * @returns {Date|null} 未記錄變更時間或未設定 maxAge 時為 null
+   */
+  static getPasswordExpiry(user, policy) {
+    const changedAt = user?.security?.passwordChangedAt;
+    if (!changedAt || !policy.maxAge) {
+      return null;
+    }
+    return new Date(new Date(changedAt).getTime() + policy.maxAge * DAY_MS);
+  }
+
+  /**
+   * 檢查用戶是否必須先變更密碼才能登入
+   * 密碼超過 maxAge 時會標記帳號，之後即使政策放寬也需變更一次密碼才會解除
+   * 沒有 password 登入方式或未記錄變更時間（舊帳號）的用戶不受 maxAge 限制
+   * @param {Object} user - 用戶文件
+   * @returns {Promise<Object>} { required, reason?, expiredAt? }
+   */
+  async checkPasswordChangeRequired(user) {
+    const hasPassword = user.providers?.some((provider) => provider.providerId === 'password');
+    if (!hasPassword) {
+      return { required: false };
+    }
+
+    if (user.security?.passwordChangeRequired) {
+      return { required: true, reason: 'flagged' };
+    }
+
+    const expiredAt = PasswordPolicyService.getPasswordExpiry(user, await this.getPolicy());
+    if (!expiredAt || expiredAt > new Date()) {
+      return { required: false };
+    }
+
+    /* eslint-disable no-param-reassign */
+    user.security.passwordChangeRequired = true;
+    /* eslint-enable no-param-reassign */
+    await user.save();
+
+    return { required: true, reason: 'expired', expiredAt };
+  }
+
+  /**
+   * 記錄密碼變更：加入密碼歷史、更新變更時間並解除強制變更標記
+   * @param {Object} user - 用戶文件（需包含 security.passwordHistory）
+   * @param {string} password - 新密碼
+   * @param {Object} policy - 密碼政策，預設為目前生效的政策
+   * @returns {Promise<Object>} { passwordChangedAt, passwordExpiresAt }
+   */
+  async recordPasswordChange(user, password, policy = null) {
+    const activePolicy = policy || (await this.getPolicy());
+    const changedAt = new Date();
+    const history = user.security?.passwordHistory || [];
+
+    /* eslint-disable no-param-reassign */
+    user.security = user.security || {};
+    user.security.passwordHistory = activePolicy.historyCount > 0
+      ? [
+        { hash: await PasswordPolicyService.hashPassword(password), changedAt },
+        ...history,
+      ].slice(0, activePolicy.historyCount)
+      : [];
+    user.security.passwordChangedAt = changedAt;
+    user.security.passwordChangeRequired = false;
+    /* eslint-enable no-param-reassign */
+
+    await user.save();
+
+    return {
+      passwordChangedAt: changedAt,
+      passwordExpiresAt: PasswordPolicyService.getPasswordExpiry(user, activePolicy),
+    };
+  }
+}
+
+module.exports = PasswordPolicyService;
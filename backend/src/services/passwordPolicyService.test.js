@@ -0,0 +1,147 @@
+const PasswordPolicyService = require('./passwordPolicyService');
+
+describe('PasswordPolicyService', () => {
+  const policy = {
+    minLength: 10,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireNumbers: true,
+    requireSymbols: true,
+    maxAge: 90,
+    historyCount: 3,
+  };
+  const service = new PasswordPolicyService({ policyProvider: async () => policy });
+
+  const createUser = () => ({
+    security: { passwordHistory: [] },
+    save: jest.fn().mockResolvedValue(true),
+  });
+
+  describe('validatePassword', () => {
+    it('應該接受符合政策的密碼', async () => {
+      const result = await service.validatePassword('Str0ng!Passw0rd');
+
+      expect(result).toEqual({ valid: true, errors: [], policy });
+    });
+
+    it('應該列出所有未通過的規則', async () => {
+      const result = await service.validatePassword('alllowercase');
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.map((error) => error.code)).toEqual([
+        'PASSWORD_MISSING_UPPERCASE',
+        'PASSWORD_MISSING_NUMBER',
+        'PASSWORD_MISSING_SYMBOL',
+      ]);
+    });
+
+    it('應該拒絕過短的密碼', async () => {
+      const result = await service.validatePassword('Sh0rt!');
+
+      expect(result.errors).toEqual([
+        { code: 'PASSWORD_TOO_SHORT', message: '密碼長度至少需要 10 個字元' },
+      ]);
+    });
+
+    it('應該拒絕常見密碼與只加上結尾數字符號的變形', async () => {
+      const exact = await service.validatePassword('QwertyUiop', { policy: { minLength: 8 } });
+      const variant = await service.validatePassword('Password123!', { policy });
+
+      expect(exact.errors.map((error) => error.code)).toEqual(['PASSWORD_TOO_COMMON']);
+      expect(variant.errors.map((error) => error.code)).toEqual(['PASSWORD_TOO_COMMON']);
+      expect(PasswordPolicyService.isCommonPassword('Tr4vel!Passw0rd')).toBe(false);
+    });
+
+    it('應該在 blockCommonPasswords 為 false 時允許常見密碼', async () => {
+      const result = await service.validatePassword('Password123!', {
+        policy: { ...policy, blockCommonPasswords: false },
+      });
+
+      expect(result.valid).toBe(true);
+    });
+
+    it('應該只檢查最近 historyCount 個密碼', async () => {
+      const user = createUser();
+      await service.recordPasswordChange(user, 'Oldest!Passw0rd');
+      await service.recordPasswordChange(user, 'Second!Passw0rd');
+      await service.recordPasswordChange(user, 'Third!!Passw0rd');
+      await service.recordPasswordChange(user, 'Latest!Passw0rd');
+
+      const reused = await service.validatePassword('Second!Passw0rd', { user });
+      const expired = await service.validatePassword('Oldest!Passw0rd', { user });
+
+      expect(user.security.passwordHistory).toHaveLength(3);
+      expect(reused.errors.map((error) => error.code)).toEqual(['PASSWORD_REUSED']);
+      expect(expired.valid).toBe(true);
+    });
+  });
+
+  describe('recordPasswordChange', () => {
+    it('應該只保存雜湊並計算到期時間', async () => {
+      const user = createUser();
+
+      const result = await service.recordPasswordChange(user, 'Str0ng!Passw0rd');
+
+      const [entry] = user.security.passwordHistory;
+      expect(entry.hash).toMatch(/^scrypt\$/);
+      expect(entry.hash).not.toContain('Str0ng!Passw0rd');
+      expect(user.save).toHaveBeenCalled();
+      expect(result.passwordExpiresAt.getTime() - result.passwordChangedAt.getTime()).toBe(
+        90 * 24 * 60 * 60 * 1000,
+      );
+    });
+
+    it('應該在 historyCount 為 0 時不保存歷史', async () => {
+      const user = createUser();
+
+      await service.recordPasswordChange(user, 'Str0ng!Passw0rd', { ...policy, historyCount: 0 });
+
+      expect(user.security.passwordHistory).toEqual([]);
+      expect(user.security.passwordChangedAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('checkPasswordChangeRequired', () => {
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const createPasswordUser = (passwordChangedAt) => ({
+      ...createUser(),
+      providers: [{ providerId: 'password' }],
+      security: { passwordHistory: [], passwordChangedAt },
+    });
+
+    it('應該標記密碼超過 maxAge 的帳號', async () => {
+      const user = createPasswordUser(daysAgo(91));
+
+      const result = await service.checkPasswordChangeRequired(user);
+
+      expect(result).toEqual(expect.objectContaining({ required: true, reason: 'expired' }));
+      expect(user.security.passwordChangeRequired).toBe(true);
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('應該在變更密碼後解除標記', async () => {
+      const user = createPasswordUser(daysAgo(91));
+      await service.checkPasswordChangeRequired(user);
+
+      await service.recordPasswordChange(user, 'Str0ng!Passw0rd');
+
+      expect(user.security.passwordChangeRequired).toBe(false);
+      expect(await service.checkPasswordChangeRequired(user)).toEqual({ required: false });
+    });
+
+    it('應該略過未過期、舊帳號與沒有密碼登入方式的用戶', async () => {
+      const socialUser = {
+        ...createPasswordUser(daysAgo(365)),
+        providers: [{ providerId: 'google.com' }],
+      };
+
+      expect(await service.checkPasswordChangeRequired(createPasswordUser(daysAgo(30)))).toEqual({
+        required: false,
+      });
+      expect(await service.checkPasswordChangeRequired(createPasswordUser(undefined))).toEqual({
+        required: false,
+      });
+      expect(await service.checkPasswordChangeRequired(socialUser)).toEqual({ required: false });
+    });
+  });
+});
@@ -0,0 +1,279 @@
+const PromptTemplate = require('../models/PromptTemplate');
+const { BUILT_IN_TEMPLATES } = require('../config/promptTemplates');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/requestLogger');
+
+// 啟用版本快取時間（毫秒）
+const ACTIVE_TEMPLATE_CACHE_TTL = 60 * 1000;
+
+// 允許透過 API 寫入的欄位
+const WRITABLE_FIELDS = ['description', 'variables', 'variants', 'defaultLanguage', 'changeNote'];
+
+/**
+ * 提示詞模板服務
+ * 管理具版本的提示詞模板，資料庫沒有啟用版本時回退至內建模板（版本 0）
+ */
+class PromptTemplateService {
+  constructor() {
+    this.activeCache = new Map();
+  }
+
+  /**
+   * 建立內建模板（未儲存的文件，版本 0）
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getBuiltInTemplate(name) {
+    const definition = BUILT_IN_TEMPLATES[name];
+    if (!definition) {
+      return null;
+    }
+    return new PromptTemplate({
+      ...definition,
+      name,
+      version: 0,
+      isActive: true,
+    });
+  }
+
+  /**
+   * 取得啟用中的模板（含快取與內建回退）
+   */
+  async getActiveTemplate(name) {
+    const cached = this.activeCache.get(name);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.template;
+    }
+
+    let template = null;
+    try {
+      template = await PromptTemplate.findActive(name);
+    } catch (error) {
+      logger.warn('讀取提示詞模板失敗，改用內建模板', {
+        name,
+        error: error.message,
+      });
+    }
+
+    if (!template) {
+      template = this.getBuiltInTemplate(name);
+    }
+    if (!template) {
+      throw new AppError(`提示詞模板不存在: ${name}`, 404, 'PROMPT_TEMPLATE_NOT_FOUND');
+    }
+
+    this.activeCache.set(name, {
+      template,
+      expiresAt: Date.now() + ACTIVE_TEMPLATE_CACHE_TTL,
+    });
+    return template;
+  }
+
+  /**
+   * 以啟用版本渲染提示詞
+   * @param {string} name - 模板名稱
+   * @param {string} language - 語言
+   * @param {Object} variables - 變數值
+   * @returns {Promise<Object>} { prompt, template: { name, version, language } }
+   */
+  async render(name, language, variables = {}) {
+    const template = await this.getActiveTemplate(name);
+    return this.renderTemplate(template, language, variables);
+  }
+
+  /**
+   * 渲染指定模板文件，將變數驗證錯誤轉為 400 錯誤
+   */
+  // eslint-disable-next-line class-methods-use-this
+  renderTemplate(template, language, variables = {}) {
+    try {
+      const { prompt } = template.render(language, variables);
+      return {
+        prompt,
+        template: template.toReference(language),
+      };
+    } catch (error) {
+      if (error.code === 'PROMPT_VARIABLE_INVALID') {
+        throw new AppError(error.message, 400, error.code);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 列出所有模板名稱與版本概況
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async listTemplates() {
+    const summaries = await PromptTemplate.aggregate([
+      { $sort: { version: -1 } },
+      {
+        $group: {
+          _id: '$name',
+          latestVersion: { $max: '$version' },
+          versionCount: { $sum: 1 },
+          activeVersion: {
+            $max: { $cond: ['$isActive', '$version', null] },
+          },
+          description: { $first: '$description' },
+          updatedAt: { $max: '$updatedAt' },
+        },
+      },
+    ]);
+
+    const byName = new Map(summaries.map((summary) => [
+      // eslint-disable-next-line no-underscore-dangle
+      summary._id,
+      {
+        // eslint-disable-next-line no-underscore-dangle
+        name: summary._id,
+        description: summary.description,
+        latestVersion: summary.latestVersion,
+        activeVersion: summary.activeVersion ?? 0,
+        versionCount: summary.versionCount,
+        updatedAt: summary.updatedAt,
+      },
+    ]));
+
+    // 補上尚未建立任何版本的內建模板
+    Object.entries(BUILT_IN_TEMPLATES).forEach(([name, definition]) => {
+      if (!byName.has(name)) {
+        byName.set(name, {
+          name,
+          description: definition.description,
+          latestVersion: 0,
+          activeVersion: 0,
+          versionCount: 0,
+        });
+      }
+    });
+
+    return Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * 取得模板所有版本（新到舊）
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async getVersions(name) {
+    return PromptTemplate.find({ name }).sort({ version: -1 });
+  }
+
+  /**
+   * 取得指定版本，版本 0 為內建模板
+   */
+  async getVersion(name, version) {
+    const template = version === 0
+      ? this.getBuiltInTemplate(name)
+      : await PromptTemplate.findOne({ name, version });
+
+    if (!template) {
+      throw new AppError(
+        `提示詞模板版本不存在: ${name}@${version}`,
+        404,
+        'PROMPT_TEMPLATE_NOT_FOUND',
+      );
+    }
+    return template;
+  }
+
+  /**
+   * 建立新版本
+   * @param {string} name - 模板名稱
+   * @param {Object} data - 模板內容（description、variables、variants、defaultLanguage、changeNote）
+   * @param {string} userId - 建立者 UID
+   * @param {Object} options - 選項
+   * @param {boolean} options.activate - 建立後立即啟用
+   */
+  async createVersion(name, data, userId, options = {}) {
+    const fields = WRITABLE_FIELDS.reduce((result, field) => {
+      if (data[field] !== undefined) {
+        // eslint-disable-next-line no-param-reassign
+        result[field] = data[field];
+      }
+      return result;
+    }, {});
+
+    const latestVersion = await PromptTemplate.getLatestVersion(name);
+    const template = new PromptTemplate({
+      ...fields,
+      name,
+      version: latestVersion + 1,
+      isActive: false,
+      createdBy: userId,
+    });
+    await template.save();
+
+    logger.info('提示詞模板版本已建立', {
+      name: template.name,
+      version: template.version,
+      createdBy: userId,
+    });
+
+    if (options.activate) {
+      return this.activateVersion(template.name, template.version, userId);
+    }
+    return template;
+  }
+
+  /**
+   * 啟用指定版本（亦用於回滾），版本 0 表示停用所有版本並回到內建模板
+   */
+  async activateVersion(name, version, userId) {
+    const target = version === 0 ? null : await PromptTemplate.findOne({ name, version });
+    if (version !== 0 && !target) {
+      throw new AppError(
+        `提示詞模板版本不存在: ${name}@${version}`,
+        404,
+        'PROMPT_TEMPLATE_NOT_FOUND',
+      );
+    }
+    if (version === 0 && !BUILT_IN_TEMPLATES[name]) {
+      throw new AppError(`模板 ${name} 沒有內建版本`, 400, 'PROMPT_TEMPLATE_NO_BUILT_IN');
+    }
+
+    const previous = await PromptTemplate.findActive(name);
+    if (previous) {
+      previous.isActive = false;
+      await previous.save();
+    }
+
+    let activated = this.getBuiltInTemplate(name);
+    if (target) {
+      target.isActive = true;
+      target.activatedAt = new Date();
+      target.activatedBy = userId;
+      await target.save();
+      activated = target;
+    }
+
+    this.activeCache.delete(name);
+
+    logger.info('提示詞模板版本已啟用', {
+      name,
+      version,
+      previousVersion: previous ? previous.version : 0,
+      activatedBy: userId,
+    });
+
+    return activated;
+  }
+
+  /**
+   * 清除啟用版本快取
+   */
+  clearCache(name = null) {
+    if (name) {
+      this.activeCache.delete(name);
+    } else {
+      this.activeCache.clear();
+    }
+  }
+}
+
+// 建立單例實例
+const promptTemplateService = new PromptTemplateService();
+
+module.exports = {
+  promptTemplateService,
+  PromptTemplateService, // 導出類別以便測試
+};
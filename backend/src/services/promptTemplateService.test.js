@@ -0,0 +1,179 @@
+jest.mock('../middleware/requestLogger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const PromptTemplate = require('../models/PromptTemplate');
+const { PromptTemplateService } = require('./promptTemplateService');
+
+describe('PromptTemplateService', () => {
+  let service;
+
+  const buildTemplate = (overrides = {}) => new PromptTemplate({
+    name: 'tour_generation',
+    version: 2,
+    variables: [
+      { name: 'location', type: 'string', required: true },
+      { name: 'durationMinutes', type: 'integer', defaultValue: 60 },
+      { name: 'tags', type: 'array' },
+    ],
+    variants: [
+      { language: 'zh-TW', template: '地點 {{location}}，{{durationMinutes}} 分鐘，{{ tags }}' },
+      { language: 'en-US', template: 'Location {{location}}' },
+    ],
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    service = new PromptTemplateService();
+    jest.spyOn(PromptTemplate, 'findActive').mockResolvedValue(null);
+    jest.spyOn(PromptTemplate.prototype, 'save').mockImplementation(function mockSave() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('render', () => {
+    test('資料庫沒有啟用版本時應該使用內建模板', async () => {
+      const { prompt, template } = await service.render('tour_generation', 'en-US', {
+        location: 'Dadaocheng',
+        durationMinutes: 90,
+        minStops: 3,
+        maxStops: 8,
+      });
+
+      expect(prompt).toContain('Location: Dadaocheng');
+      expect(prompt).toContain('about 90 minutes');
+      expect(template).toEqual({ name: 'tour_generation', version: 0, language: 'en-US' });
+    });
+
+    test('應該使用啟用版本並套用預設值', async () => {
+      PromptTemplate.findActive.mockResolvedValue(buildTemplate());
+
+      const { prompt, template } = await service.render('tour_generation', 'zh-TW', {
+        location: '大稻埕',
+        tags: ['歷史', '美食'],
+      });
+
+      expect(prompt).toBe('地點 大稻埕，60 分鐘，歷史, 美食');
+      expect(template.version).toBe(2);
+    });
+
+    test('缺少語言版本時應該回退至預設語言', async () => {
+      PromptTemplate.findActive.mockResolvedValue(buildTemplate());
+
+      const { template } = await service.render('tour_generation', 'zh-CN', { location: '大稻埕' });
+
+      expect(template.language).toBe('zh-TW');
+    });
+
+    test('變數不符合宣告時應該回報 400', async () => {
+      PromptTemplate.findActive.mockResolvedValue(buildTemplate());
+
+      await expect(
+        service.render('tour_generation', 'zh-TW', { durationMinutes: 'long' }),
+      ).rejects.toMatchObject({ statusCode: 400, code: 'PROMPT_VARIABLE_INVALID' });
+    });
+
+    test('應該快取啟用版本', async () => {
+      await service.render('stop_narration', 'zh-TW', {
+        tourTitle: '大稻埕',
+        stopName: '迪化街',
+        latitude: 25.05,
+        longitude: 121.5,
+        durationMinutes: 10,
+      });
+      await service.getActiveTemplate('stop_narration');
+
+      expect(PromptTemplate.findActive).toHaveBeenCalledTimes(1);
+    });
+
+    test('讀取資料庫失敗時應該回退至內建模板', async () => {
+      PromptTemplate.findActive.mockRejectedValue(new Error('connection refused'));
+
+      const template = await service.getActiveTemplate('tour_generation');
+
+      expect(template.version).toBe(0);
+    });
+
+    test('未知模板應該回報 404', async () => {
+      await expect(service.render('unknown', 'zh-TW')).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'PROMPT_TEMPLATE_NOT_FOUND',
+      });
+    });
+  });
+
+  describe('createVersion', () => {
+    test('應該以最新版本號遞增建立版本', async () => {
+      jest.spyOn(PromptTemplate, 'getLatestVersion').mockResolvedValue(2);
+
+      const template = await service.createVersion(
+        'tour_generation',
+        {
+          version: 99,
+          isActive: true,
+          variables: [{ name: 'location', required: true }],
+          variants: [{ language: 'zh-TW', template: '{{location}}' }],
+        },
+        'admin-uid',
+      );
+
+      expect(template.version).toBe(3);
+      expect(template.isActive).toBe(false);
+      expect(template.createdBy).toBe('admin-uid');
+      expect(PromptTemplate.prototype.save).toHaveBeenCalled();
+    });
+
+    test('模板使用未宣告的變數時應該驗證失敗', async () => {
+      const template = buildTemplate({
+        variants: [{ language: 'zh-TW', template: '{{location}} {{unknown}}' }],
+      });
+
+      await expect(template.validate()).rejects.toMatchObject({ name: 'ValidationError' });
+    });
+  });
+
+  describe('activateVersion', () => {
+    test('應該停用舊版本並啟用指定版本', async () => {
+      const previous = buildTemplate({ version: 1, isActive: true });
+      const target = buildTemplate({ version: 2 });
+      PromptTemplate.findActive.mockResolvedValue(previous);
+      jest.spyOn(PromptTemplate, 'findOne').mockResolvedValue(target);
+      service.activeCache.set('tour_generation', { template: previous, expiresAt: Infinity });
+
+      const activated = await service.activateVersion('tour_generation', 2, 'admin-uid');
+
+      expect(previous.isActive).toBe(false);
+      expect(activated).toBe(target);
+      expect(target.isActive).toBe(true);
+      expect(target.activatedBy).toBe('admin-uid');
+      expect(service.activeCache.has('tour_generation')).toBe(false);
+    });
+
+    test('版本 0 應該回滾至內建模板', async () => {
+      const previous = buildTemplate({ version: 1, isActive: true });
+      PromptTemplate.findActive.mockResolvedValue(previous);
+
+      const activated = await service.activateVersion('tour_generation', 0, 'admin-uid');
+
+      expect(previous.isActive).toBe(false);
+      expect(activated.version).toBe(0);
+    });
+
+    test('版本不存在時應該回報 404', async () => {
+      jest.spyOn(PromptTemplate, 'findOne').mockResolvedValue(null);
+
+      await expect(
+        service.activateVersion('tour_generation', 7, 'admin-uid'),
+      ).rejects.toMatchObject({ statusCode: 404, code: 'PROMPT_TEMPLATE_NOT_FOUND' });
+    });
+  });
+});
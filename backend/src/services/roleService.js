@@ -0,0 +1,667 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { redisConnection } = require('../config/redis');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/requestLogger');
+const {
+  SYSTEM_ROLES,
+  IMMUTABLE_ROLES,
+  FALLBACK_ROLE,
+  ROLE_NAME_PATTERN,
+  PERMISSION_PATTERN,
+  ROLE_LEVEL_RANGE,
+} = require('../config/roles');
+
+// Redis 快取前綴（roleMiddleware 共用 user_role: 與 permission_check:）
+const ROLE_CACHE_PREFIX = {
+  USER_ROLE: 'user_role:',
+  ROLE_PERMISSIONS: 'role_permissions:',
+  PERMISSION_CHECK: 'permission_check:',
+};
+
+const ROLE_DEFINITIONS_CACHE_KEY = `${ROLE_CACHE_PREFIX.ROLE_PERMISSIONS}definitions`;
+
+// 允許透過 API 寫入的欄位（內建角色不可修改層級）
+const WRITABLE_FIELDS = ['displayName', 'description', 'level', 'permissions', 'inherits'];
+
+const isPlainObject = (value) => (
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+);
+
+const validationError = (details) => {
+  const error = new AppError('角色資料驗證失敗', 400, 'VALIDATION_ERROR');
+  error.details = details;
+  return error;
+};
+
+const validatePermissionList = (value, field, errors) => {
+  if (value === undefined) {
+    return;
+  }
+  if (!Array.isArray(value)) {
+    errors.push(`${field} 必須為陣列`);
+    return;
+  }
+  value
+    .filter((permission) => typeof permission !== 'string' || !PERMISSION_PATTERN.test(permission))
+    .forEach((permission) => errors.push(`${field} 包含無效的權限: ${permission}`));
+};
+
+/**
+ * 角色與權限服務
+ *
+ * 內建角色定義於 config/roles.js，自訂角色與對內建角色的調整保存在 MongoDB；
+ * 合併後的角色定義快取於 Redis 供所有實例共用。用戶的角色與個別授予/拒絕的權限
+ * 快取於 user_role:<uid>，角色或用戶權限變更時立即清除相關的 user_role: 與 permission_check: 快取
+ */
+class RoleService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.roleModel - 角色模型
+   * @param {Object} options.userModel - 用戶模型
+   * @param {Object} options.cache - Redis 連線
+   * @param {number} options.cacheTtl - 角色定義快取時間（秒）
+   * @param {number} options.userCacheTtl - 用戶角色快取時間（秒）
+   */
+  constructor(options = {}) {
+    this.Role = options.roleModel || Role;
+    this.User = options.userModel || User;
+    this.cache = options.cache || redisConnection;
+    this.cacheTtl = options.cacheTtl || 600;
+    this.userCacheTtl = options.userCacheTtl || 300;
+  }
+
+  /**
+   * 合併內建角色與資料庫中的角色文件
+   * @param {Array<Object>} docs - 角色文件
+   * @returns {Object} 角色名稱 → 角色定義
+   *   { name, displayName, description, level, permissions, inherits, isSystem }
+   */
+  static buildDefinitions(docs = []) {
+    const definitions = Object.entries(SYSTEM_ROLES).reduce((result, [name, role]) => ({
+      ...result,
+      [name]: {
+        name,
+        displayName: role.displayName,
+        description: role.description || '',
+        level: role.level,
+        permissions: [...role.permissions],
+        inherits: [...role.inherits],
+        isSystem: true,
+      },
+    }), {});
+
+    docs.forEach((doc) => {
+      const system = definitions[doc.name];
+      const immutable = IMMUTABLE_ROLES.includes(doc.name);
+      definitions[doc.name] = {
+        name: doc.name,
+        displayName: doc.displayName || system?.displayName || doc.name,
+        description: doc.description || system?.description || '',
+        level: system ? system.level : doc.level,
+        permissions: immutable ? system.permissions : doc.permissions || [],
+        inherits: immutable ? system.inherits : doc.inherits || [],
+        isSystem: Boolean(system),
+        updatedBy: doc.updatedBy,
+        updatedAt: doc.updatedAt,
+      };
+    });
+
+    return definitions;
+  }
+
+  /**
+   * 遞迴合併角色及其繼承角色的權限；未知角色使用訪客權限
+   * @returns {Array<string>} 權限列表
+   */
+  static resolvePermissions(definitions, roleName) {
+    const permissions = new Set();
+    const visited = new Set();
+
+    const visit = (name) => {
+      if (visited.has(name) || !definitions[name]) {
+        return;
+      }
+      visited.add(name);
+      definitions[name].permissions.forEach((permission) => permissions.add(permission));
+      definitions[name].inherits.forEach(visit);
+    };
+
+    visit(definitions[roleName] ? roleName : FALLBACK_ROLE);
+    return Array.from(permissions);
+  }
+
+  /**
+   * 套用個別授予與拒絕的權限（拒絕優先）
+   */
+  static applyOverrides(permissions, { granted = [], denied = [] } = {}) {
+    return Array.from(new Set([...permissions, ...granted]))
+      .filter((permission) => !denied.includes(permission));
+  }
+
+  /**
+   * 檢查管理員提交的角色欄位
+   * @param {Object} input - 角色欄位
+   * @param {Object} options
+   * @param {boolean} options.isNew - 是否為新增（需要 name 與 level）
+   * @param {boolean} options.isSystem - 是否為內建角色
+   * @returns {Array<string>} 錯誤訊息
+   */
+  static validateRole(input, options = {}) {
+    if (!isPlainObject(input)) {
+      return ['請提供角色資料'];
+    }
+
+    const errors = [];
+    const allowedFields = options.isNew ? ['name', ...WRITABLE_FIELDS] : WRITABLE_FIELDS;
+    Object.keys(input)
+      .filter((field) => !allowedFields.includes(field))
+      .forEach((field) => errors.push(`不支援的欄位: ${field}`));
+
+    if (options.isNew && (typeof input.name !== 'string' || !ROLE_NAME_PATTERN.test(input.name))) {
+      errors.push('name 只能包含小寫英文、數字與底線，且需以英文開頭（2 到 50 字元）');
+    }
+
+    if (options.isSystem && input.level !== undefined) {
+      errors.push('內建角色的層級不可修改');
+    } else if (
+      (options.isNew || input.level !== undefined)
+      && (
+        !Number.isInteger(input.level)
+        || input.level < ROLE_LEVEL_RANGE.min
+        || input.level > ROLE_LEVEL_RANGE.max
+      )
+    ) {
+      errors.push(`level 必須是 ${ROLE_LEVEL_RANGE.min} 到 ${ROLE_LEVEL_RANGE.max} 之間的整數`);
+    }
+
+    ['displayName', 'description']
+      .filter((field) => input[field] !== undefined && typeof input[field] !== 'string')
+      .forEach((field) => errors.push(`${field} 必須為字串`));
+
+    validatePermissionList(input.permissions, 'permissions', errors);
+
+    if (input.inherits !== undefined && (
+      !Array.isArray(input.inherits)
+      || input.inherits.some((name) => typeof name !== 'string' || !ROLE_NAME_PATTERN.test(name))
+    )) {
+      errors.push('inherits 必須為角色名稱陣列');
+    }
+
+    return errors;
+  }
+
+  isDatabaseReady() {
+    return this.Role.db?.readyState === 1;
+  }
+
+  /**
+   * 從 MongoDB 載入角色定義（不經快取）
+   */
+  async loadDefinitions() {
+    if (!this.isDatabaseReady()) {
+      return RoleService.buildDefinitions();
+    }
+    return RoleService.buildDefinitions(await this.Role.find().lean());
+  }
+
+  /**
+   * 取得所有角色定義（Redis 快取 → MongoDB → 內建角色）；讀取失敗時回退至內建角色，不會拋出錯誤
+   * @returns {Promise<Object>} 角色名稱 → 角色定義
+   */
+  async getRoleDefinitions() {
+    try {
+      const cached = await this.cache.get(ROLE_DEFINITIONS_CACHE_KEY);
+      if (isPlainObject(cached) && Object.keys(cached).length > 0) {
+        return cached;
+      }
+    } catch (error) {
+      logger.warn('讀取角色定義快取失敗', { error: error.message });
+    }
+
+    try {
+      const definitions = await this.loadDefinitions();
+      if (this.isDatabaseReady()) {
+        await this.cache.set(ROLE_DEFINITIONS_CACHE_KEY, definitions, { ttl: this.cacheTtl });
+      }
+      return definitions;
+    } catch (error) {
+      logger.warn('讀取角色定義失敗，改用內建角色', { error: error.message });
+      return RoleService.buildDefinitions();
+    }
+  }
+
+  /**
+   * 列出所有角色（依層級排序），附上含繼承的有效權限
+   */
+  async listRoles() {
+    const definitions = await this.getRoleDefinitions();
+    return Object.values(definitions)
+      .sort((a, b) => a.level - b.level || a.name.localeCompare(b.name))
+      .map((role) => ({
+        ...role,
+        effectivePermissions: RoleService.resolvePermissions(definitions, role.name),
+      }));
+  }
+
+  /**
+   * 取得單一角色
+   * @throws {AppError} ROLE_NOT_FOUND
+   */
+  async getRole(name) {
+    const definitions = await this.getRoleDefinitions();
+    if (!definitions[name]) {
+      throw new AppError(`角色不存在: ${name}`, 404, 'ROLE_NOT_FOUND');
+    }
+    return {
+      ...definitions[name],
+      effectivePermissions: RoleService.resolvePermissions(definitions, name),
+    };
+  }
+
+  /**
+   * 確認操作者可以管理指定層級的角色並授予這些權限，避免自行提升權限
+   * @param {Object} actor - { uid, role, permissions }；未提供時（系統腳本）不檢查
+   * @param {Object} definitions - 角色定義
+   * @param {Object} target - { levels: 受影響角色的層級, permissions: 將授予的權限 }
+   */
+  static assertCanManage(actor, definitions, { levels = [], permissions = [] }) {
+    if (!actor) {
+      return;
+    }
+
+    const actorLevel = definitions[actor.role]?.level ?? Infinity;
+    if (levels.some((level) => level <= actorLevel)) {
+      throw new AppError('只能管理層級低於自己的角色', 403, 'ROLE_ESCALATION_DENIED');
+    }
+
+    const missing = permissions.filter((permission) => !actor.permissions?.includes(permission));
+    if (missing.length > 0) {
+      const error = new AppError('不能授予自己沒有的權限', 403, 'ROLE_ESCALATION_DENIED');
+      error.details = missing;
+      throw error;
+    }
+  }
+
+  assertStoreReady() {
+    if (!this.isDatabaseReady()) {
+      throw new AppError('角色儲存服務無法使用', 503, 'ROLE_STORE_UNAVAILABLE');
+    }
+  }
+
+  /**
+   * 新增自訂角色
+   * @param {Object} input - { name, displayName, description, level, permissions, inherits }
+   * @param {Object} options
+   * @param {Object} options.actor - 操作者 { uid, role, permissions }
+   */
+  async createRole(input, options = {}) {
+    const errors = RoleService.validateRole(input, { isNew: true });
+    if (errors.length > 0) {
+      throw validationError(errors);
+    }
+    this.assertStoreReady();
+
+    const definitions = await this.loadDefinitions();
+    if (definitions[input.name]) {
+      throw new AppError(`角色已存在: ${input.name}`, 409, 'ROLE_ALREADY_EXISTS');
+    }
+
+    const role = {
+      name: input.name,
+      displayName: input.displayName || input.name,
+      description: input.description || '',
+      level: input.level,
+      permissions: Array.from(new Set(input.permissions || [])),
+      inherits: Array.from(new Set(input.inherits || [])),
+      isSystem: false,
+    };
+    const nextDefinitions = { ...definitions, [role.name]: role };
+    this.assertInheritance(nextDefinitions, role);
+    RoleService.assertCanManage(options.actor, definitions, {
+      levels: [role.level],
+      permissions: RoleService.resolvePermissions(nextDefinitions, role.name),
+    });
+
+    try {
+      await this.Role.create({
+        name: role.name,
+        displayName: role.displayName,
+        description: role.description,
+        level: role.level,
+        permissions: role.permissions,
+        inherits: role.inherits,
+        updatedBy: options.actor?.uid,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError(`角色已存在: ${role.name}`, 409, 'ROLE_ALREADY_EXISTS');
+      }
+      throw error;
+    }
+
+    await this.invalidateRoleCaches();
+
+    logger.info('角色已建立', { role: role.name, updatedBy: options.actor?.uid });
+
+    return {
+      ...role,
+      effectivePermissions: RoleService.resolvePermissions(nextDefinitions, role.name),
+    };
+  }
+
+  /**
+   * 更新角色（內建角色可調整顯示名稱、說明、權限與繼承）
+   * @returns {Promise<Object>} { role, previous }
+   */
+  async updateRole(name, changes, options = {}) {
+    if (IMMUTABLE_ROLES.includes(name)) {
+      throw new AppError(`角色不可修改: ${name}`, 403, 'ROLE_IMMUTABLE');
+    }
+    this.assertStoreReady();
+
+    const definitions = await this.loadDefinitions();
+    const previous = definitions[name];
+    if (!previous) {
+      throw new AppError(`角色不存在: ${name}`, 404, 'ROLE_NOT_FOUND');
+    }
+
+    const errors = RoleService.validateRole(changes, { isSystem: previous.isSystem });
+    if (errors.length > 0) {
+      throw validationError(errors);
+    }
+
+    const role = WRITABLE_FIELDS
+      .filter((field) => changes[field] !== undefined)
+      .reduce((result, field) => ({ ...result, [field]: changes[field] }), { ...previous });
+    role.permissions = Array.from(new Set(role.permissions));
+    role.inherits = Array.from(new Set(role.inherits));
+
+    const nextDefinitions = { ...definitions, [name]: role };
+    this.assertInheritance(nextDefinitions, role);
+    RoleService.assertCanManage(options.actor, definitions, {
+      levels: [previous.level, role.level],
+      permissions: RoleService.resolvePermissions(nextDefinitions, name),
+    });
+
+    // 內建角色第一次調整時建立文件
+    await this.Role.findOneAndUpdate(
+      { name },
+      {
+        $set: {
+          displayName: role.displayName,
+          description: role.description,
+          level: role.level,
+          permissions: role.permissions,
+          inherits: role.inherits,
+          updatedBy: options.actor?.uid,
+        },
+      },
+      { upsert: true, new: true, runValidators: true },
+    );
+
+    await this.invalidateRoleCaches();
+
+    logger.info('角色已更新', {
+      role: name,
+      updatedBy: options.actor?.uid,
+      fields: Object.keys(changes),
+    });
+
+    return {
+      previous,
+      role: {
+        ...role,
+        effectivePermissions: RoleService.resolvePermissions(nextDefinitions, name),
+      },
+    };
+  }
+
+  /**
+   * 刪除自訂角色；仍有用戶使用或被其他角色繼承時拒絕
+   * @returns {Promise<Object>} 被刪除的角色
+   */
+  async deleteRole(name, options = {}) {
+    if (SYSTEM_ROLES[name]) {
+      throw new AppError(`內建角色不可刪除: ${name}`, 403, 'ROLE_IMMUTABLE');
+    }
+    this.assertStoreReady();
+
+    const definitions = await this.loadDefinitions();
+    const role = definitions[name];
+    if (!role) {
+      throw new AppError(`角色不存在: ${name}`, 404, 'ROLE_NOT_FOUND');
+    }
+    RoleService.assertCanManage(options.actor, definitions, { levels: [role.level] });
+
+    const inheritedBy = Object.values(definitions)
+      .filter((definition) => definition.inherits.includes(name))
+      .map((definition) => definition.name);
+    const userCount = await this.User.countDocuments({ role: name });
+    if (inheritedBy.length > 0 || userCount > 0) {
+      const error = new AppError('角色仍在使用中，無法刪除', 409, 'ROLE_IN_USE');
+      error.details = { inheritedBy, userCount };
+      throw error;
+    }
+
+    await this.Role.deleteOne({ name });
+    await this.invalidateRoleCaches();
+
+    logger.info('角色已刪除', { role: name, deletedBy: options.actor?.uid });
+
+    return role;
+  }
+
+  /**
+   * 確認繼承的角色存在且不包含自己
+   */
+  // eslint-disable-next-line class-methods-use-this
+  assertInheritance(definitions, role) {
+    const invalid = role.inherits.filter((name) => name === role.name || !definitions[name]);
+    if (invalid.length > 0) {
+      throw validationError(invalid.map((name) => `inherits 包含無效的角色: ${name}`));
+    }
+  }
+
+  /**
+   * 從 MongoDB 讀取用戶的角色與個別權限
+   * @returns {Promise<Object|null>} { role, granted, denied }；用戶不存在或資料庫無法使用時返回 null
+   */
+  async loadUserProfile(uid) {
+    if (this.User.db?.readyState !== 1) {
+      return null;
+    }
+
+    try {
+      const user = await this.User.findOne({ firebaseUid: uid })
+        .select('role permissionOverrides')
+        .lean();
+      if (!user) {
+        return null;
+      }
+      return {
+        role: user.role || 'user',
+        granted: user.permissionOverrides?.granted || [],
+        denied: user.permissionOverrides?.denied || [],
+      };
+    } catch (error) {
+      logger.warn('讀取用戶角色失敗', { uid, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 取得用戶的角色與有效權限
+   *
+   * 資料庫中的角色優先於 token 內的角色，角色變更不必等 token 過期；
+   * 用戶不在資料庫（或資料庫無法使用）時使用 fallbackRole
+   * @param {string} uid - 用戶 ID
+   * @param {Object} options
+   * @param {string} options.fallbackRole - token 內的角色
+   * @param {boolean} options.useCache - 是否使用 user_role: 快取
+   * @returns {Promise<Object>} { role, granted, denied, permissions, source }
+   */
+  async getUserAccess(uid, options = {}) {
+    const { fallbackRole, useCache = true } = options;
+    const cacheKey = `${ROLE_CACHE_PREFIX.USER_ROLE}${uid}`;
+
+    let profile = null;
+    if (useCache) {
+      try {
+        const cached = await this.cache.get(cacheKey);
+        profile = isPlainObject(cached) && cached.role ? cached : null;
+      } catch (error) {
+        logger.warn('讀取用戶角色快取失敗', { uid, error: error.message });
+      }
+    }
+
+    if (!profile) {
+      profile = await this.loadUserProfile(uid);
+      if (profile && useCache) {
+        await this.cache.set(cacheKey, profile, { ttl: this.userCacheTtl }).catch((error) => {
+          logger.warn('寫入用戶角色快取失敗', { uid, error: error.message });
+        });
+      }
+    }
+
+    const source = profile ? 'database' : 'token';
+    const access = profile || { role: fallbackRole || 'user', granted: [], denied: [] };
+    const definitions = await this.getRoleDefinitions();
+
+    return {
+      ...access,
+      permissions: RoleService.applyOverrides(
+        RoleService.resolvePermissions(definitions, access.role),
+        access,
+      ),
+      source,
+    };
+  }
+
+  /**
+   * 變更用戶的角色或個別授予/拒絕的權限
+   * @param {string} uid - 目標用戶
+   * @param {Object} changes - { role?, granted?, denied? }（granted / denied 為完整清單）
+   * @param {Object} options
+   * @param {Object} options.actor - 操作者 { uid, role, permissions }
+   * @returns {Promise<Object>} { previous, access }
+   */
+  async updateUserAccess(uid, changes, options = {}) {
+    const errors = [];
+    const fields = ['role', 'granted', 'denied'];
+    if (!isPlainObject(changes) || fields.every((field) => changes[field] === undefined)) {
+      errors.push('請提供 role、granted 或 denied');
+    } else {
+      if (changes.role !== undefined && typeof changes.role !== 'string') {
+        errors.push('role 必須為字串');
+      }
+      validatePermissionList(changes.granted, 'granted', errors);
+      validatePermissionList(changes.denied, 'denied', errors);
+    }
+    if (errors.length > 0) {
+      throw validationError(errors);
+    }
+    this.assertStoreReady();
+
+    const definitions = await this.loadDefinitions();
+    if (changes.role !== undefined && !definitions[changes.role]) {
+      throw new AppError(`角色不存在: ${changes.role}`, 404, 'ROLE_NOT_FOUND');
+    }
+
+    const user = await this.User.findByFirebaseUid(uid);
+    if (!user) {
+      throw new AppError('用戶不存在', 404, 'USER_NOT_FOUND');
+    }
+    if (options.actor && options.actor.uid === uid) {
+      throw new AppError('不能變更自己的角色或權限', 403, 'ROLE_ESCALATION_DENIED');
+    }
+
+    const previous = {
+      role: user.role,
+      granted: [...(user.permissionOverrides?.granted || [])],
+      denied: [...(user.permissionOverrides?.denied || [])],
+    };
+    const next = {
+      role: changes.role ?? previous.role,
+      granted: changes.granted ? Array.from(new Set(changes.granted)) : previous.granted,
+      denied: changes.denied ? Array.from(new Set(changes.denied)) : previous.denied,
+    };
+
+    RoleService.assertCanManage(options.actor, definitions, {
+      levels: [definitions[previous.role]?.level, definitions[next.role].level]
+        .filter((level) => level !== undefined),
+      permissions: [
+        ...RoleService.resolvePermissions(definitions, next.role),
+        ...next.granted,
+      ],
+    });
+
+    user.role = next.role;
+    user.permissionOverrides = { granted: next.granted, denied: next.denied };
+    await user.save();
+
+    await this.invalidateUserCache(uid);
+
+    logger.info('用戶角色與權限已更新', {
+      uid,
+      updatedBy: options.actor?.uid,
+      role: next.role,
+    });
+
+    return {
+      previous,
+      access: await this.getUserAccess(uid),
+    };
+  }
+
+  /**
+   * 刪除符合模式的快取鍵，以 SCAN 逐批列出避免 KEYS 阻塞 Redis
+   */
+  async deleteCacheKeys(pattern) {
+    const keys = await this.cache.scan(pattern);
+    if (keys.length > 0) {
+      await this.cache.del(...keys);
+    }
+    return keys.length;
+  }
+
+  /**
+   * 角色定義變更後清除角色定義與所有權限檢查快取
+   * 失敗時只記錄錯誤，快取會在 TTL 後過期
+   */
+  async invalidateRoleCaches() {
+    try {
+      await this.cache.delete(ROLE_DEFINITIONS_CACHE_KEY);
+      const cleared = await this.deleteCacheKeys(`${ROLE_CACHE_PREFIX.PERMISSION_CHECK}*`);
+      logger.info('清除角色權限快取', { permissionChecks: cleared });
+      return true;
+    } catch (error) {
+      logger.error('清除角色權限快取失敗', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * 清除單一用戶的角色與權限檢查快取
+   */
+  async invalidateUserCache(uid) {
+    try {
+      await this.cache.delete(`${ROLE_CACHE_PREFIX.USER_ROLE}${uid}`);
+      await this.deleteCacheKeys(`${ROLE_CACHE_PREFIX.PERMISSION_CHECK}${uid}:*`);
+      logger.info('清理用戶快取', { userId: uid });
+      return true;
+    } catch (error) {
+      logger.error('清理用戶快取失敗', { userId: uid, error: error.message });
+      return false;
+    }
+  }
+}
+
+// 創建單例實例
+const roleService = new RoleService();
+
+module.exports = {
+  RoleService,
+  roleService,
+  ROLE_CACHE_PREFIX,
+};
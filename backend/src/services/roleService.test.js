@@ -0,0 +1,309 @@
+const { RoleService } = require('./roleService');
+
+jest.mock('../middleware/requestLogger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+const createCache = (initial = {}) => {
+  const store = new Map(Object.entries(initial));
+  return {
+    store,
+    get: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+    set: jest.fn(async (key, value) => {
+      store.set(key, value);
+      return true;
+    }),
+    delete: jest.fn(async (key) => store.delete(key)),
+    scan: jest.fn(async (pattern) => {
+      const prefix = pattern.replace(/\*$/, '');
+      return Array.from(store.keys()).filter((key) => key.startsWith(prefix));
+    }),
+    del: jest.fn(async (...keys) => keys.filter((key) => store.delete(key)).length),
+  };
+};
+
+const createRoleModel = (docs = []) => ({
+  db: { readyState: 1 },
+  find: jest.fn(() => ({ lean: jest.fn().mockResolvedValue(docs) })),
+  create: jest.fn().mockResolvedValue({}),
+  findOneAndUpdate: jest.fn().mockResolvedValue({}),
+  deleteOne: jest.fn().mockResolvedValue({ deletedCount: 1 }),
+});
+
+const createUserModel = (users = {}) => ({
+  db: { readyState: 1 },
+  findOne: jest.fn(({ firebaseUid }) => ({
+    select: () => ({ lean: jest.fn().mockResolvedValue(users[firebaseUid] || null) }),
+  })),
+  findByFirebaseUid: jest.fn(async (uid) => {
+    if (!users[uid]) {
+      return null;
+    }
+    const user = users[uid];
+    user.save = jest.fn().mockResolvedValue(user);
+    return user;
+  }),
+  countDocuments: jest.fn().mockResolvedValue(0),
+});
+
+const moderator = {
+  name: 'content_moderator',
+  displayName: '內容審核員',
+  level: 25,
+  permissions: ['content.moderate'],
+  inherits: ['user'],
+};
+
+// 管理員另外被授予 content.moderate，才能建立或指派審核員角色
+const admin = {
+  uid: 'admin-1',
+  role: 'admin',
+  permissions: RoleService.applyOverrides(
+    RoleService.resolvePermissions(RoleService.buildDefinitions(), 'admin'),
+    { granted: ['content.moderate'] },
+  ),
+};
+
+describe('RoleService', () => {
+  describe('resolvePermissions', () => {
+    it('應該遞迴合併繼承的角色權限並回退未知角色至 guest', () => {
+      const definitions = RoleService.buildDefinitions([moderator]);
+
+      const permissions = RoleService.resolvePermissions(definitions, 'content_moderator');
+      expect(permissions).toEqual(expect.arrayContaining([
+        'content.moderate',
+        'profile.update',
+        'tour.use',
+      ]));
+      expect(permissions).not.toContain('content.create');
+      expect(RoleService.resolvePermissions(definitions, 'admin')).toContain('product.manage');
+      expect(RoleService.resolvePermissions(definitions, 'unknown'))
+        .toEqual(RoleService.resolvePermissions(definitions, 'guest'));
+    });
+
+    it('應該保持內建角色的層級與 superadmin 的定義', () => {
+      const definitions = RoleService.buildDefinitions([
+        {
+          name: 'admin', level: 50, permissions: ['user.manage'], inherits: [],
+        },
+        {
+          name: 'superadmin', level: 0, permissions: [], inherits: [],
+        },
+      ]);
+
+      expect(definitions.admin.level).toBe(10);
+      expect(definitions.admin.permissions).toEqual(['user.manage']);
+      expect(definitions.superadmin.inherits).toEqual(['admin']);
+      expect(definitions.superadmin.permissions).toContain('system.admin');
+    });
+  });
+
+  describe('applyOverrides', () => {
+    it('應該加入授予的權限並以拒絕的權限為優先', () => {
+      const permissions = RoleService.applyOverrides(['content.read', 'tour.use'], {
+        granted: ['content.moderate', 'rating.create'],
+        denied: ['tour.use', 'rating.create'],
+      });
+
+      expect(permissions).toEqual(['content.read', 'content.moderate']);
+    });
+  });
+
+  describe('getUserAccess', () => {
+    it('應該以資料庫中的角色為準並寫入 user_role: 快取', async () => {
+      const cache = createCache();
+      const service = new RoleService({
+        roleModel: createRoleModel([moderator]),
+        userModel: createUserModel({
+          'user-1': {
+            role: 'content_moderator',
+            permissionOverrides: { granted: ['order.view'], denied: ['tour.use'] },
+          },
+        }),
+        cache,
+      });
+
+      const access = await service.getUserAccess('user-1', { fallbackRole: 'user' });
+
+      expect(access.role).toBe('content_moderator');
+      expect(access.source).toBe('database');
+      expect(access.permissions)
+        .toEqual(expect.arrayContaining(['content.moderate', 'order.view']));
+      expect(access.permissions).not.toContain('tour.use');
+      expect(cache.store.get('user_role:user-1')).toEqual({
+        role: 'content_moderator',
+        granted: ['order.view'],
+        denied: ['tour.use'],
+      });
+    });
+
+    it('應該在資料庫無法使用時使用 token 內的角色', async () => {
+      const userModel = createUserModel();
+      userModel.db.readyState = 0;
+      const roleModel = createRoleModel();
+      roleModel.db.readyState = 0;
+      const service = new RoleService({ roleModel, userModel, cache: createCache() });
+
+      const access = await service.getUserAccess('user-2', { fallbackRole: 'merchant' });
+
+      expect(access.source).toBe('token');
+      expect(access.role).toBe('merchant');
+      expect(access.permissions).toContain('product.manage');
+      expect(roleModel.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createRole', () => {
+    it('應該建立自訂角色並清除角色定義與權限檢查快取', async () => {
+      const cache = createCache({
+        'role_permissions:definitions': { user: {} },
+        'permission_check:user-1:content.read': true,
+        'user_role:user-1': { role: 'user' },
+      });
+      const roleModel = createRoleModel();
+      const service = new RoleService({ roleModel, userModel: createUserModel(), cache });
+
+      const role = await service.createRole(moderator, { actor: admin });
+
+      expect(role.effectivePermissions).toContain('content.moderate');
+      expect(roleModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'content_moderator',
+        level: 25,
+        updatedBy: 'admin-1',
+      }));
+      expect(cache.store.has('role_permissions:definitions')).toBe(false);
+      expect(cache.store.has('permission_check:user-1:content.read')).toBe(false);
+      expect(cache.store.has('user_role:user-1')).toBe(true);
+    });
+
+    it('應該拒絕無效資料、重複名稱與超出操作者權限的角色', async () => {
+      const roleModel = createRoleModel([moderator]);
+      const service = new RoleService({
+        roleModel,
+        userModel: createUserModel(),
+        cache: createCache(),
+      });
+
+      await expect(service.createRole({ name: 'Bad Name', level: 120 }, { actor: admin }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'VALIDATION_ERROR' });
+      await expect(service.createRole(moderator, { actor: admin }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'ROLE_ALREADY_EXISTS' });
+      await expect(service.createRole({ name: 'ops', level: 5 }, { actor: admin }))
+        .rejects.toMatchObject({ statusCode: 403, code: 'ROLE_ESCALATION_DENIED' });
+      await expect(service.createRole(
+        { name: 'ops', level: 15, permissions: ['system.admin'] },
+        { actor: admin },
+      )).rejects.toMatchObject({ code: 'ROLE_ESCALATION_DENIED', details: ['system.admin'] });
+      expect(roleModel.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateRole', () => {
+    it('應該拒絕修改 superadmin 並以 upsert 保存內建角色的調整', async () => {
+      const roleModel = createRoleModel();
+      const service = new RoleService({
+        roleModel,
+        userModel: createUserModel(),
+        cache: createCache(),
+      });
+
+      await expect(service.updateRole('superadmin', { permissions: [] }))
+        .rejects.toMatchObject({ statusCode: 403, code: 'ROLE_IMMUTABLE' });
+
+      const { previous, role } = await service.updateRole(
+        'merchant',
+        { permissions: ['product.manage'] },
+        { actor: admin },
+      );
+
+      expect(previous.permissions).toContain('order.view');
+      expect(role.effectivePermissions).not.toContain('order.view');
+      expect(roleModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { name: 'merchant' },
+        expect.objectContaining({
+          $set: expect.objectContaining({ level: 20, permissions: ['product.manage'] }),
+        }),
+        expect.objectContaining({ upsert: true }),
+      );
+    });
+  });
+
+  describe('deleteRole', () => {
+    it('應該拒絕刪除內建角色與仍在使用中的角色', async () => {
+      const userModel = createUserModel();
+      userModel.countDocuments.mockResolvedValue(3);
+      const roleModel = createRoleModel([moderator]);
+      const service = new RoleService({ roleModel, userModel, cache: createCache() });
+
+      await expect(service.deleteRole('merchant', { actor: admin }))
+        .rejects.toMatchObject({ statusCode: 403, code: 'ROLE_IMMUTABLE' });
+      await expect(service.deleteRole('content_moderator', { actor: admin }))
+        .rejects.toMatchObject({
+          statusCode: 409,
+          code: 'ROLE_IN_USE',
+          details: { inheritedBy: [], userCount: 3 },
+        });
+      expect(userModel.countDocuments).toHaveBeenCalledWith({ role: 'content_moderator' });
+      expect(roleModel.deleteOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateUserAccess', () => {
+    it('應該更新用戶角色與個別權限並立即清除該用戶的快取', async () => {
+      const user = { firebaseUid: 'user-1', role: 'user', permissionOverrides: {} };
+      const cache = createCache({
+        'user_role:user-1': { role: 'user', granted: [], denied: [] },
+        'permission_check:user-1:content.moderate': false,
+        'permission_check:user-2:content.read': true,
+      });
+      const service = new RoleService({
+        roleModel: createRoleModel([moderator]),
+        userModel: createUserModel({ 'user-1': user }),
+        cache,
+      });
+
+      const { previous, access } = await service.updateUserAccess(
+        'user-1',
+        { role: 'content_moderator', denied: ['rating.create'] },
+        { actor: admin },
+      );
+
+      expect(previous).toEqual({ role: 'user', granted: [], denied: [] });
+      expect(user.save).toHaveBeenCalled();
+      expect(user.permissionOverrides).toEqual({ granted: [], denied: ['rating.create'] });
+      expect(access.role).toBe('content_moderator');
+      expect(access.permissions).toContain('content.moderate');
+      expect(access.permissions).not.toContain('rating.create');
+      expect(cache.store.has('permission_check:user-1:content.moderate')).toBe(false);
+      expect(cache.store.has('permission_check:user-2:content.read')).toBe(true);
+    });
+
+    it('應該拒絕變更自己、授予超出操作者權限的角色與管理同級用戶', async () => {
+      const users = {
+        'admin-1': { role: 'admin', permissionOverrides: {} },
+        'admin-2': { role: 'admin', permissionOverrides: {} },
+        'user-1': { role: 'user', permissionOverrides: {} },
+      };
+      const service = new RoleService({
+        roleModel: createRoleModel(),
+        userModel: createUserModel(users),
+        cache: createCache(),
+      });
+
+      await expect(service.updateUserAccess('admin-1', { role: 'superadmin' }, { actor: admin }))
+        .rejects.toMatchObject({ statusCode: 403, code: 'ROLE_ESCALATION_DENIED' });
+      await expect(service.updateUserAccess('user-1', { role: 'superadmin' }, { actor: admin }))
+        .rejects.toMatchObject({ code: 'ROLE_ESCALATION_DENIED' });
+      await expect(service.updateUserAccess('admin-2', { role: 'user' }, { actor: admin }))
+        .rejects.toMatchObject({ code: 'ROLE_ESCALATION_DENIED' });
+      await expect(service.updateUserAccess('user-1', { role: 'missing_role' }, { actor: admin }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'ROLE_NOT_FOUND' });
+      await expect(service.updateUserAccess('user-1', { granted: ['Not Valid'] }, { actor: admin }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'VALIDATION_ERROR' });
+    });
+  });
+});
@@ -0,0 +1,445 @@
+const SecurityEvent = require('../models/SecurityEvent');
+const User = require('../models/User');
+const { logger } = require('../middleware/requestLogger');
+const { AppError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 報告期間上限，避免一次彙總過多資料
+const MAX_REPORT_DAYS = 366;
+
+// 單次匯出筆數上限
+const MAX_EXPORT_ROWS = 10000;
+
+const REPORT_TYPES = ['summary', 'detailed', 'critical_only'];
+
+const LOCKOUT_EVENT_TYPES = ['account_locked', 'manual_lock'];
+const SUSPICIOUS_EVENT_TYPES = ['high_risk_login', 'suspicious_login_pattern'];
+// 來源 IP 排行只計入登入失敗與可疑登入
+const OFFENDING_EVENT_TYPES = ['login_failure', ...SUSPICIOUS_EVENT_TYPES];
+const MFA_EVENT_TYPES = ['mfa_enabled', 'mfa_disabled'];
+
+const CSV_COLUMNS = [
+  'eventId',
+  'occurredAt',
+  'type',
+  'severity',
+  'userIdentifier',
+  'ipAddress',
+  'userAgent',
+  'data',
+];
+
+const sumCounts = (eventCounts, predicate = () => true) => eventCounts
+  .filter(predicate)
+  .reduce((total, item) => total + item.count, 0);
+
+const ofTypes = (types) => (item) => types.includes(item.type);
+
+const toPercentage = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+/**
+ * 安全稽核服務
+ *
+ * 安全事件永久保存在 SecurityEvent 集合，稽核報告的統計數字都從該集合即時彙總。
+ * MFA 啟用率以每位用戶最後一次 mfa_enabled / mfa_disabled 事件判斷
+ */
+class SecurityAuditService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.eventModel - 安全事件模型
+   * @param {Object} options.userModel - 用戶模型
+   */
+  constructor(options = {}) {
+    this.SecurityEvent = options.eventModel || SecurityEvent;
+    this.User = options.userModel || User;
+  }
+
+  /**
+   * 解析報告或匯出的期間，預設為最近 30 天
+   * @param {string} startDate
+   * @param {string} endDate
+   * @returns {{ start: Date, end: Date }}
+   */
+  static resolvePeriod(startDate, endDate) {
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * DAY_MS);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+      throw new AppError('日期範圍無效', 400, 'INVALID_DATE_RANGE');
+    }
+    if (end.getTime() - start.getTime() > MAX_REPORT_DAYS * DAY_MS) {
+      throw new AppError(`日期範圍不可超過 ${MAX_REPORT_DAYS} 天`, 400, 'INVALID_DATE_RANGE');
+    }
+
+    // 只給日期時包含結束當天
+    if (endDate && /^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+      end.setUTCHours(23, 59, 59, 999);
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * 依統計結果評估整體風險
+   * @param {Object} summary - 報告摘要
+   * @param {Array<Object>} topOffendingIps - 來源 IP 排行
+   * @returns {Object} { overallRisk, riskScore, riskFactors, recommendations }
+   */
+  static assessRisk(summary, topOffendingIps = []) {
+    const riskFactors = [];
+    const recommendations = [];
+    let riskScore = 0;
+
+    if (summary.criticalEvents > 0) {
+      riskScore += 30;
+      riskFactors.push(`${summary.criticalEvents} 個關鍵安全事件`);
+      recommendations.push('立即調查關鍵安全事件（如 Refresh Token 重複使用）');
+    }
+    if (summary.lockouts >= 10) {
+      riskScore += 15;
+      riskFactors.push(`${summary.lockouts} 次帳號鎖定`);
+      recommendations.push('檢視帳號鎖定政策與被鎖定的帳號');
+    }
+    if (summary.failedLogins >= 100) {
+      riskScore += 15;
+      riskFactors.push(`${summary.failedLogins} 次登入失敗`);
+      recommendations.push('留意暴力破解或撞庫攻擊');
+    }
+    if (summary.suspiciousLogins >= 10) {
+      riskScore += 15;
+      riskFactors.push(`${summary.suspiciousLogins} 次可疑登入`);
+      recommendations.push('加強可疑活動檢測並通知受影響用戶');
+    }
+    if (topOffendingIps.some((item) => item.affectedUsers >= 5)) {
+      riskScore += 15;
+      riskFactors.push('單一 IP 針對多個帳號嘗試登入');
+      recommendations.push('封鎖或限制可疑來源 IP');
+    }
+    if (summary.totalUsers > 0 && summary.mfaAdoptionRate < 50) {
+      riskScore += 10;
+      riskFactors.push(`${Math.round(100 - summary.mfaAdoptionRate)}% 用戶未啟用 MFA`);
+      recommendations.push('推廣 MFA 啟用率');
+    }
+
+    let overallRisk = 'low';
+    if (riskScore >= 70) {
+      overallRisk = 'critical';
+    } else if (riskScore >= 45) {
+      overallRisk = 'high';
+    } else if (riskScore >= 20) {
+      overallRisk = 'medium';
+    }
+
+    return {
+      overallRisk,
+      riskScore: Math.min(riskScore, 100),
+      riskFactors,
+      recommendations,
+    };
+  }
+
+  /**
+   * 轉換為 CSV（RFC 4180）；以 = + - @ 開頭的值加上單引號，避免試算表當成公式執行
+   * @param {Array<Object>} events
+   * @returns {string}
+   */
+  static toCsv(events) {
+    const escape = (value) => {
+      if (value === undefined || value === null) {
+        return '';
+      }
+      let text = value instanceof Date ? value.toISOString() : String(value);
+      if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = events.map((event) => CSV_COLUMNS.map((column) => escape(
+      column === 'data' ? JSON.stringify(event.data || {}) : event[column],
+    )).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+  }
+
+  isDatabaseReady() {
+    return this.SecurityEvent.db?.readyState === 1;
+  }
+
+  /**
+   * 保存安全事件；資料庫未連線或寫入失敗時只記錄日誌，不影響呼叫端
+   * @param {Object} event - recordSecurityEvent 產生的事件
+   * @returns {Promise<boolean>} 是否已保存
+   */
+  async append(event) {
+    if (!this.isDatabaseReady()) {
+      logger.warn('安全事件未保存：資料庫未連線', { eventId: event.id, eventType: event.type });
+      return false;
+    }
+
+    try {
+      await this.SecurityEvent.create({
+        eventId: event.id,
+        type: event.type,
+        severity: event.severity,
+        userIdentifier: event.userIdentifier,
+        ipAddress: event.data?.ipAddress,
+        userAgent: event.data?.userAgent,
+        data: event.data || {},
+        occurredAt: new Date(event.timestamp),
+      });
+      return true;
+    } catch (error) {
+      // 同一事件重送時視為已保存
+      if (error.code === 11000) {
+        return true;
+      }
+      logger.error('保存安全事件失敗', {
+        eventId: event.id,
+        eventType: event.type,
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  static buildMatch(filters = {}) {
+    const match = { occurredAt: { $gte: filters.start, $lte: filters.end } };
+    if (filters.type) {
+      match.type = filters.type;
+    }
+    if (filters.severity) {
+      match.severity = Array.isArray(filters.severity)
+        ? { $in: filters.severity }
+        : filters.severity;
+    }
+    if (filters.userIdentifier) {
+      match.userIdentifier = filters.userIdentifier;
+    }
+    return match;
+  }
+
+  async countEventsByType(match) {
+    const results = await this.SecurityEvent.aggregate([
+      { $match: match },
+      { $group: { _id: '$type', count: { $sum: 1 }, severity: { $first: '$severity' } } },
+      { $sort: { count: -1 } },
+    ]);
+    return results.map(({ _id: type, count, severity }) => ({ type, count, severity }));
+  }
+
+  async getTopOffendingIps(match, limit = 10) {
+    const countType = (type) => ({ $sum: { $cond: [{ $eq: ['$type', type] }, 1, 0] } });
+
+    const results = await this.SecurityEvent.aggregate([
+      {
+        $match: {
+          ...match,
+          type: { $in: OFFENDING_EVENT_TYPES },
+          ipAddress: { $nin: [null, ''] },
+        },
+      },
+      {
+        $group: {
+          _id: '$ipAddress',
+          count: { $sum: 1 },
+          failedLogins: countType('login_failure'),
+          users: { $addToSet: '$userIdentifier' },
+          lastSeenAt: { $max: '$occurredAt' },
+        },
+      },
+      { $sort: { count: -1 } },
+      { $limit: limit },
+    ]);
+
+    return results.map(({
+      _id: ipAddress, count, failedLogins, users, lastSeenAt,
+    }) => ({
+      ipAddress,
+      count,
+      failedLogins,
+      suspiciousLogins: count - failedLogins,
+      affectedUsers: users.length,
+      lastSeenAt,
+    }));
+  }
+
+  async getDailyTrend(match) {
+    const trackedTypes = ['login_failure', ...LOCKOUT_EVENT_TYPES, ...SUSPICIOUS_EVENT_TYPES];
+    const results = await this.SecurityEvent.aggregate([
+      { $match: { ...match, type: { $in: trackedTypes } } },
+      {
+        $group: {
+          _id: {
+            date: { $dateToString: { format: '%Y-%m-%d', date: '$occurredAt' } },
+            type: '$type',
+          },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { '_id.date': 1 } },
+    ]);
+
+    const days = new Map();
+    results.forEach(({ _id: { date, type }, count }) => {
+      const day = days.get(date) || {
+        date,
+        failedLogins: 0,
+        lockouts: 0,
+        suspiciousLogins: 0,
+      };
+      if (type === 'login_failure') {
+        day.failedLogins += count;
+      } else if (LOCKOUT_EVENT_TYPES.includes(type)) {
+        day.lockouts += count;
+      } else {
+        day.suspiciousLogins += count;
+      }
+      days.set(date, day);
+    });
+
+    return Array.from(days.values());
+  }
+
+  /**
+   * 目前啟用 MFA 的用戶數（不受報告期間限制）
+   */
+  async countMfaEnabledUsers() {
+    const [result] = await this.SecurityEvent.aggregate([
+      { $match: { type: { $in: MFA_EVENT_TYPES } } },
+      { $sort: { occurredAt: 1 } },
+      { $group: { _id: '$userIdentifier', lastType: { $last: '$type' } } },
+      { $match: { lastType: 'mfa_enabled' } },
+      { $count: 'users' },
+    ]);
+    return result?.users || 0;
+  }
+
+  /**
+   * 產生安全稽核報告
+   * @param {Object} options
+   * @param {string} options.startDate - 開始日期，預設 30 天前
+   * @param {string} options.endDate - 結束日期，預設現在
+   * @param {string} options.reportType - summary、detailed（附最近事件）
+   *   或 critical_only（只附高風險事件）
+   * @returns {Promise<Object>}
+   */
+  async generateReport(options = {}) {
+    const reportType = options.reportType || 'summary';
+    if (!REPORT_TYPES.includes(reportType)) {
+      throw new AppError('不支援的報告類型', 400, 'INVALID_REPORT_TYPE');
+    }
+    const { start, end } = SecurityAuditService.resolvePeriod(options.startDate, options.endDate);
+    if (!this.isDatabaseReady()) {
+      throw new AppError('安全稽核資料無法使用', 503, 'SECURITY_AUDIT_STORE_UNAVAILABLE');
+    }
+
+    const match = SecurityAuditService.buildMatch({ start, end });
+    const [
+      eventCounts,
+      topOffendingIps,
+      daily,
+      mfaEnabled,
+      totalUsers,
+      activeUsers,
+    ] = await Promise.all([
+      this.countEventsByType(match),
+      this.getTopOffendingIps(match),
+      this.getDailyTrend(match),
+      this.countMfaEnabledUsers(),
+      this.User.countDocuments({ deletedAt: null }),
+      this.User.countDocuments({
+        deletedAt: null,
+        'stats.lastLoginAt': { $gte: start, $lte: end },
+      }),
+    ]);
+
+    const summary = {
+      totalUsers,
+      activeUsers,
+      securityEvents: sumCounts(eventCounts),
+      criticalEvents: sumCounts(eventCounts, (item) => item.severity === 'critical'),
+      highSeverityEvents: sumCounts(eventCounts, (item) => item.severity === 'high'),
+      failedLogins: sumCounts(eventCounts, ofTypes(['login_failure'])),
+      lockouts: sumCounts(eventCounts, ofTypes(LOCKOUT_EVENT_TYPES)),
+      suspiciousLogins: sumCounts(eventCounts, ofTypes(SUSPICIOUS_EVENT_TYPES)),
+      mfaEnabled,
+      mfaAdoptionRate: toPercentage(Math.min(mfaEnabled, totalUsers), totalUsers),
+    };
+
+    const report = {
+      reportPeriod: {
+        startDate: start.toISOString(),
+        endDate: end.toISOString(),
+        reportType,
+      },
+      summary,
+      topSecurityEvents: eventCounts.slice(0, 10),
+      topOffendingIps,
+      riskAssessment: SecurityAuditService.assessRisk(summary, topOffendingIps),
+      trends: { daily },
+    };
+
+    if (reportType !== 'summary') {
+      const eventMatch = reportType === 'critical_only'
+        ? SecurityAuditService.buildMatch({ start, end, severity: ['high', 'critical'] })
+        : match;
+      report.events = await this.SecurityEvent.find(eventMatch)
+        .sort({ occurredAt: -1 })
+        .limit(100)
+        .lean();
+    }
+
+    return report;
+  }
+
+  /**
+   * 取得要匯出的安全事件（新到舊）
+   * @param {Object} options
+   * @param {string} options.startDate
+   * @param {string} options.endDate
+   * @param {string} options.type - 事件類型
+   * @param {string} options.severity - 嚴重程度
+   * @param {string} options.userIdentifier - 用戶標識
+   * @param {number} options.limit - 筆數上限（最多 10000）
+   * @returns {Promise<{ events: Array<Object>, truncated: boolean, period: Object }>}
+   */
+  async exportEvents(options = {}) {
+    const { start, end } = SecurityAuditService.resolvePeriod(options.startDate, options.endDate);
+    if (!this.isDatabaseReady()) {
+      throw new AppError('安全稽核資料無法使用', 503, 'SECURITY_AUDIT_STORE_UNAVAILABLE');
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(options.limit, 10) || MAX_EXPORT_ROWS, 1),
+      MAX_EXPORT_ROWS,
+    );
+    const match = SecurityAuditService.buildMatch({
+      type: options.type,
+      severity: options.severity,
+      userIdentifier: options.userIdentifier,
+      start,
+      end,
+    });
+    // 多取一筆判斷是否被截斷
+    const events = await this.SecurityEvent.find(match)
+      .sort({ occurredAt: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    return {
+      events: events.slice(0, limit),
+      truncated: events.length > limit,
+      period: { startDate: start.toISOString(), endDate: end.toISOString() },
+    };
+  }
+}
+
+// 創建單例實例
+const securityAuditService = new SecurityAuditService();
+
+module.exports = {
+  SecurityAuditService,
+  securityAuditService,
+};
@@ -0,0 +1,270 @@
+const { SecurityAuditService } = require('./securityAuditService');
+
+jest.mock('../middleware/requestLogger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+/**
+ * 模擬 SecurityEvent 模型：aggregate 依管線的分組欄位返回預設結果
+ */
+const createEventModel = (aggregates = {}) => {
+  const events = [];
+  const query = (result) => ({
+    sort: () => ({
+      limit: (limit) => ({ lean: async () => result.slice(0, limit) }),
+    }),
+  });
+
+  return {
+    events,
+    db: { readyState: 1 },
+    create: jest.fn(async (doc) => {
+      if (events.some((event) => event.eventId === doc.eventId)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      events.push(doc);
+      return doc;
+    }),
+    aggregate: jest.fn(async (pipeline) => {
+      const { _id: groupKey } = pipeline.find((stage) => stage.$group).$group;
+      if (pipeline.some((stage) => stage.$count)) {
+        return aggregates.mfa || [];
+      }
+      if (groupKey === '$type') {
+        return aggregates.types || [];
+      }
+      if (groupKey === '$ipAddress') {
+        return aggregates.ips || [];
+      }
+      return aggregates.daily || [];
+    }),
+    find: jest.fn(() => query(events)),
+  };
+};
+
+const createUserModel = (totalUsers, activeUsers) => ({
+  countDocuments: jest.fn(async (filter) => (
+    filter['stats.lastLoginAt'] ? activeUsers : totalUsers
+  )),
+});
+
+describe('SecurityAuditService', () => {
+  describe('resolvePeriod', () => {
+    it('應該預設為最近 30 天並包含結束當天', () => {
+      const { start, end } = SecurityAuditService.resolvePeriod('2026-01-01', '2026-01-31');
+
+      expect(start.toISOString()).toBe('2026-01-01T00:00:00.000Z');
+      expect(end.toISOString()).toBe('2026-01-31T23:59:59.999Z');
+
+      const defaults = SecurityAuditService.resolvePeriod();
+      expect(defaults.end.getTime() - defaults.start.getTime()).toBe(30 * 24 * 60 * 60 * 1000);
+    });
+
+    it('應該拒絕無效或過長的日期範圍', () => {
+      expect(() => SecurityAuditService.resolvePeriod('not-a-date')).toThrow(
+        expect.objectContaining({ statusCode: 400, code: 'INVALID_DATE_RANGE' }),
+      );
+      expect(() => SecurityAuditService.resolvePeriod('2026-02-01', '2026-01-01')).toThrow(
+        expect.objectContaining({ code: 'INVALID_DATE_RANGE' }),
+      );
+      expect(() => SecurityAuditService.resolvePeriod('2024-01-01', '2026-01-01')).toThrow(
+        expect.objectContaining({ code: 'INVALID_DATE_RANGE' }),
+      );
+    });
+  });
+
+  describe('append', () => {
+    const event = {
+      id: 'evt-1',
+      type: 'login_failure',
+      severity: 'medium',
+      userIdentifier: 'user@example.com',
+      timestamp: Date.parse('2026-01-02T03:04:05Z'),
+      data: { ipAddress: '203.0.113.5', userAgent: 'Chrome', attempts: 2 },
+    };
+
+    it('應該保存事件並抽出 IP 與 User-Agent', async () => {
+      const eventModel = createEventModel();
+      const service = new SecurityAuditService({ eventModel });
+
+      await expect(service.append(event)).resolves.toBe(true);
+      await expect(service.append(event)).resolves.toBe(true);
+
+      expect(eventModel.events).toEqual([expect.objectContaining({
+        eventId: 'evt-1',
+        ipAddress: '203.0.113.5',
+        userAgent: 'Chrome',
+        occurredAt: new Date('2026-01-02T03:04:05Z'),
+      })]);
+    });
+
+    it('應該在資料庫未連線或寫入失敗時返回 false', async () => {
+      const eventModel = createEventModel();
+      const service = new SecurityAuditService({ eventModel });
+
+      eventModel.db.readyState = 0;
+      await expect(service.append(event)).resolves.toBe(false);
+      expect(eventModel.create).not.toHaveBeenCalled();
+
+      eventModel.db.readyState = 1;
+      eventModel.create.mockRejectedValueOnce(new Error('write failed'));
+      await expect(service.append(event)).resolves.toBe(false);
+    });
+  });
+
+  describe('generateReport', () => {
+    it('應該從事件統計彙總報告', async () => {
+      const eventModel = createEventModel({
+        types: [
+          { _id: 'login_failure', count: 120, severity: 'medium' },
+          { _id: 'account_locked', count: 8, severity: 'high' },
+          { _id: 'manual_lock', count: 2, severity: 'high' },
+          { _id: 'high_risk_login', count: 4, severity: 'high' },
+          { _id: 'refresh_token_reuse', count: 1, severity: 'critical' },
+        ],
+        ips: [{
+          _id: '203.0.113.5',
+          count: 50,
+          failedLogins: 46,
+          users: ['a', 'b', 'c', 'd', 'e', 'f'],
+          lastSeenAt: new Date('2026-01-10T00:00:00Z'),
+        }],
+        daily: [
+          { _id: { date: '2026-01-10', type: 'login_failure' }, count: 20 },
+          { _id: { date: '2026-01-10', type: 'account_locked' }, count: 2 },
+        ],
+        mfa: [{ users: 30 }],
+      });
+      const service = new SecurityAuditService({
+        eventModel,
+        userModel: createUserModel(100, 40),
+      });
+
+      const report = await service.generateReport({
+        startDate: '2026-01-01',
+        endDate: '2026-01-31',
+      });
+
+      expect(report.summary).toEqual({
+        totalUsers: 100,
+        activeUsers: 40,
+        securityEvents: 135,
+        criticalEvents: 1,
+        highSeverityEvents: 14,
+        failedLogins: 120,
+        lockouts: 10,
+        suspiciousLogins: 4,
+        mfaEnabled: 30,
+        mfaAdoptionRate: 30,
+      });
+      expect(report.topOffendingIps).toEqual([{
+        ipAddress: '203.0.113.5',
+        count: 50,
+        failedLogins: 46,
+        suspiciousLogins: 4,
+        affectedUsers: 6,
+        lastSeenAt: new Date('2026-01-10T00:00:00Z'),
+      }]);
+      expect(report.trends.daily).toEqual([
+        {
+          date: '2026-01-10',
+          failedLogins: 20,
+          lockouts: 2,
+          suspiciousLogins: 0,
+        },
+      ]);
+      expect(report.riskAssessment.overallRisk).toBe('critical');
+      expect(report.riskAssessment.riskFactors).toContain('70% 用戶未啟用 MFA');
+      expect(report.events).toBeUndefined();
+      expect(eventModel.aggregate.mock.calls[0][0][0].$match.occurredAt).toEqual({
+        $gte: new Date('2026-01-01T00:00:00.000Z'),
+        $lte: new Date('2026-01-31T23:59:59.999Z'),
+      });
+    });
+
+    it('應該在詳細報告中只附高風險事件（critical_only）', async () => {
+      const eventModel = createEventModel();
+      const service = new SecurityAuditService({ eventModel, userModel: createUserModel(0, 0) });
+
+      const report = await service.generateReport({ reportType: 'critical_only' });
+
+      expect(report.events).toEqual([]);
+      expect(eventModel.find).toHaveBeenCalledWith(expect.objectContaining({
+        severity: { $in: ['high', 'critical'] },
+      }));
+      expect(report.riskAssessment).toEqual(expect.objectContaining({
+        overallRisk: 'low',
+        riskScore: 0,
+      }));
+    });
+
+    it('應該拒絕不支援的報告類型與無法使用的資料庫', async () => {
+      const eventModel = createEventModel();
+      const service = new SecurityAuditService({ eventModel, userModel: createUserModel(0, 0) });
+
+      await expect(service.generateReport({ reportType: 'everything' })).rejects.toMatchObject({
+        statusCode: 400, code: 'INVALID_REPORT_TYPE',
+      });
+
+      eventModel.db.readyState = 0;
+      await expect(service.generateReport()).rejects.toMatchObject({
+        statusCode: 503, code: 'SECURITY_AUDIT_STORE_UNAVAILABLE',
+      });
+    });
+  });
+
+  describe('exportEvents', () => {
+    it('應該套用篩選條件並標示截斷', async () => {
+      const eventModel = createEventModel();
+      eventModel.events.push({ eventId: 'a' }, { eventId: 'b' }, { eventId: 'c' });
+      const service = new SecurityAuditService({ eventModel });
+
+      const result = await service.exportEvents({
+        type: 'login_failure',
+        userIdentifier: 'user@example.com',
+        limit: '2',
+      });
+
+      expect(result.events).toHaveLength(2);
+      expect(result.truncated).toBe(true);
+      expect(eventModel.find).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'login_failure',
+        userIdentifier: 'user@example.com',
+      }));
+    });
+  });
+
+  describe('toCsv', () => {
+    it('應該跳脫特殊字元並避免公式注入', () => {
+      const csv = SecurityAuditService.toCsv([{
+        eventId: 'evt-1',
+        occurredAt: new Date('2026-01-02T03:04:05Z'),
+        type: 'login_failure',
+        severity: 'medium',
+        userIdentifier: '=HYPERLINK("http://evil")',
+        ipAddress: '203.0.113.5',
+        data: { note: 'a,b' },
+      }]);
+
+      const [header, row] = csv.split('\r\n');
+      expect(header.split(',')).toEqual([
+        'eventId',
+        'occurredAt',
+        'type',
+        'severity',
+        'userIdentifier',
+        'ipAddress',
+        'userAgent',
+        'data',
+      ]);
+      expect(row).toBe(
+        'evt-1,2026-01-02T03:04:05.000Z,login_failure,medium,'
+          + '"\'=HYPERLINK(""http://evil"")",203.0.113.5,,"{""note"":""a,b""}"',
+      );
+    });
+  });
+});
@@ -0,0 +1,305 @@
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { redisConnection } = require('../config/redis');
+const { getDefaultSecurityPolicy, SECURITY_POLICY_RULES } = require('../config/securityPolicy');
+const { logger } = require('../middleware/requestLogger');
+const { AppError } = require('../middleware/errorHandler');
+
+const ACTIVE_POLICY_CACHE_KEY = 'security_policy:active';
+
+const isPlainObject = (value) => (
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+);
+
+/**
+ * 全域安全政策服務
+ *
+ * 政策以版本文件保存在 MongoDB，生效版本快取於 Redis 供所有實例共用，
+ * 每個實例另有數秒的記憶體快取，讓登入失敗、MFA 驗證等熱路徑不必每次查詢 Redis。
+ * 資料庫沒有任何版本時使用環境變數預設值（版本 0）；讀取失敗時一律回退，不會拋出錯誤。
+ */
+class SecurityPolicyService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.policyModel - 政策模型
+   * @param {Object} options.cache - Redis 連線
+   * @param {number} options.cacheTtl - Redis 快取時間（秒）
+   * @param {number} options.localCacheTtl - 記憶體快取時間（毫秒）
+   */
+  constructor(options = {}) {
+    this.SecurityPolicy = options.policyModel || SecurityPolicy;
+    this.cache = options.cache || redisConnection;
+    this.cacheTtl = options.cacheTtl || 300;
+    this.localCacheTtl = options.localCacheTtl ?? 5000;
+    this.localCache = null;
+  }
+
+  /**
+   * 以預設值補齊政策，忽略未定義的區段與欄位
+   */
+  static mergePolicy(base, overrides = {}) {
+    return Object.keys(SECURITY_POLICY_RULES).reduce((merged, section) => {
+      const fields = Object.keys(SECURITY_POLICY_RULES[section]);
+      const sectionOverrides = isPlainObject(overrides[section]) ? overrides[section] : {};
+      // eslint-disable-next-line no-param-reassign
+      merged[section] = fields.reduce(
+        (values, field) => ({
+          ...values,
+          [field]: sectionOverrides[field] !== undefined
+            ? sectionOverrides[field]
+            : base[section][field],
+        }),
+        {},
+      );
+      return merged;
+    }, {});
+  }
+
+  /**
+   * 檢查管理員提交的政策變更
+   * @param {Object} changes - { passwordPolicy?, accountLockPolicy?, sessionPolicy?, mfaPolicy? }
+   * @returns {Array<string>} 錯誤訊息
+   */
+  static validateChanges(changes) {
+    if (!isPlainObject(changes) || Object.keys(changes).length === 0) {
+      return ['請提供要更新的政策區段'];
+    }
+
+    const errors = [];
+    Object.entries(changes).forEach(([section, values]) => {
+      const rules = SECURITY_POLICY_RULES[section];
+      if (!rules) {
+        errors.push(`不支援的政策區段: ${section}`);
+        return;
+      }
+      if (!isPlainObject(values)) {
+        errors.push(`${section} 必須為物件`);
+        return;
+      }
+
+      Object.entries(values).forEach(([field, value]) => {
+        const rule = rules[field];
+        const path = `${section}.${field}`;
+        if (!rule) {
+          errors.push(`不支援的政策欄位: ${path}`);
+        } else if (rule.type === 'boolean' && typeof value !== 'boolean') {
+          errors.push(`${path} 必須為布林值`);
+        } else if (
+          rule.type === 'integer'
+          && (!Number.isInteger(value) || value < rule.min || value > rule.max)
+        ) {
+          errors.push(`${path} 必須是 ${rule.min} 到 ${rule.max} 之間的整數`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * 比較兩份政策的差異
+   * @returns {Array<Object>} [{ path, from, to }]
+   */
+  static diffPolicy(before, after) {
+    return Object.keys(SECURITY_POLICY_RULES).flatMap((section) => Object.keys(
+      SECURITY_POLICY_RULES[section],
+    )
+      .filter((field) => before[section][field] !== after[section][field])
+      .map((field) => ({
+        path: `${section}.${field}`,
+        from: before[section][field],
+        to: after[section][field],
+      })));
+  }
+
+  static toActivePolicy(doc) {
+    if (!doc) {
+      return {
+        version: 0,
+        policy: getDefaultSecurityPolicy(),
+        updatedBy: 'system',
+        updatedAt: null,
+        source: 'environment_variables',
+      };
+    }
+
+    return {
+      version: doc.version,
+      policy: SecurityPolicyService.mergePolicy(getDefaultSecurityPolicy(), doc.policy),
+      updatedBy: doc.updatedBy,
+      updatedAt: doc.createdAt,
+      source: 'database',
+    };
+  }
+
+  isDatabaseReady() {
+    return this.SecurityPolicy.db?.readyState === 1;
+  }
+
+  /**
+   * 從 Redis 或 MongoDB 載入生效政策
+   */
+  async loadActivePolicy() {
+    try {
+      const cached = await this.cache.get(ACTIVE_POLICY_CACHE_KEY);
+      if (cached && Number.isInteger(cached.version) && isPlainObject(cached.policy)) {
+        return {
+          ...cached,
+          policy: SecurityPolicyService.mergePolicy(getDefaultSecurityPolicy(), cached.policy),
+        };
+      }
+    } catch (error) {
+      logger.warn('讀取安全政策快取失敗', { error: error.message });
+    }
+
+    // 資料庫未連線時不等待查詢逾時，直接使用預設值
+    if (!this.isDatabaseReady()) {
+      return SecurityPolicyService.toActivePolicy(null);
+    }
+
+    try {
+      const active = SecurityPolicyService.toActivePolicy(await this.SecurityPolicy.findLatest());
+      await this.cacheActivePolicy(active);
+      return active;
+    } catch (error) {
+      logger.warn('讀取安全政策失敗，改用預設值', { error: error.message });
+      return SecurityPolicyService.toActivePolicy(null);
+    }
+  }
+
+  async cacheActivePolicy(active) {
+    this.localCache = { value: active, expiresAt: Date.now() + this.localCacheTtl };
+    try {
+      await this.cache.set(ACTIVE_POLICY_CACHE_KEY, active, { ttl: this.cacheTtl });
+    } catch (error) {
+      logger.warn('寫入安全政策快取失敗', { error: error.message });
+    }
+  }
+
+  /**
+   * 取得生效政策與版本資訊
+   * @returns {Promise<Object>} { version, policy, updatedBy, updatedAt, source }
+   */
+  async getActivePolicy() {
+    if (this.localCache && this.localCache.expiresAt > Date.now()) {
+      return this.localCache.value;
+    }
+
+    const active = await this.loadActivePolicy();
+    this.localCache = { value: active, expiresAt: Date.now() + this.localCacheTtl };
+    return active;
+  }
+
+  /**
+   * 取得生效政策的單一區段
+   * @param {string} section - passwordPolicy、accountLockPolicy、sessionPolicy 或 mfaPolicy
+   */
+  async getSection(section) {
+    const { policy } = await this.getActivePolicy();
+    return policy[section];
+  }
+
+  /**
+   * 更新政策並新增版本
+   * @param {Object} changes - 要變更的區段與欄位
+   * @param {Object} options
+   * @param {string} options.updatedBy - 管理員 uid
+   * @param {string} options.changeNote - 變更說明
+   * @param {number} options.expectedVersion - 預期的目前版本，不符時拒絕更新
+   * @param {Object} options.context - 請求上下文
+   * @returns {Promise<Object>} 生效政策，另附 changes（沒有差異時不新增版本）
+   */
+  async updatePolicy(changes, options = {}) {
+    const errors = SecurityPolicyService.validateChanges(changes);
+    if (errors.length > 0) {
+      const error = new AppError('政策參數驗證失敗', 400, 'VALIDATION_ERROR');
+      error.details = errors;
+      throw error;
+    }
+    if (!this.isDatabaseReady()) {
+      throw new AppError('安全政策儲存服務無法使用', 503, 'SECURITY_POLICY_STORE_UNAVAILABLE');
+    }
+
+    // 以資料庫為準，避免依據過期的快取計算差異
+    const current = SecurityPolicyService.toActivePolicy(await this.SecurityPolicy.findLatest());
+    if (options.expectedVersion !== undefined && options.expectedVersion !== current.version) {
+      throw new AppError(
+        `安全政策已被更新為版本 ${current.version}，請重新載入後再修改`,
+        409,
+        'SECURITY_POLICY_VERSION_CONFLICT',
+      );
+    }
+
+    const nextPolicy = SecurityPolicyService.mergePolicy(current.policy, changes);
+    const diff = SecurityPolicyService.diffPolicy(current.policy, nextPolicy);
+    if (diff.length === 0) {
+      return { ...current, changes: [] };
+    }
+
+    let doc;
+    try {
+      doc = await this.SecurityPolicy.create({
+        version: current.version + 1,
+        policy: nextPolicy,
+        changes: diff,
+        changeNote: options.changeNote,
+        updatedBy: options.updatedBy,
+        ipAddress: options.context?.ipAddress,
+        userAgent: options.context?.userAgent,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError(
+          '安全政策同時被其他管理員更新，請重新載入後再修改',
+          409,
+          'SECURITY_POLICY_VERSION_CONFLICT',
+        );
+      }
+      throw error;
+    }
+
+    const active = SecurityPolicyService.toActivePolicy(doc);
+    await this.cacheActivePolicy(active);
+
+    logger.info('安全政策已更新', {
+      version: active.version,
+      updatedBy: options.updatedBy,
+      changes: diff.map((change) => change.path),
+    });
+
+    return { ...active, changes: diff };
+  }
+
+  /**
+   * 取得政策版本歷史（新到舊）
+   * @param {Object} options
+   * @param {number} options.limit - 筆數
+   * @param {number} options.beforeVersion - 只取此版本之前的紀錄（分頁）
+   */
+  async getHistory(options = {}) {
+    if (!this.isDatabaseReady()) {
+      return [];
+    }
+
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+    const query = options.beforeVersion ? { version: { $lt: options.beforeVersion } } : {};
+    return this.SecurityPolicy.find(query).sort({ version: -1 }).limit(limit);
+  }
+
+  /**
+   * 取得指定版本
+   */
+  async getVersion(version) {
+    if (!this.isDatabaseReady()) {
+      return null;
+    }
+    return this.SecurityPolicy.findOne({ version });
+  }
+}
+
+// 創建單例實例
+const securityPolicyService = new SecurityPolicyService();
+
+module.exports = {
+  SecurityPolicyService,
+  securityPolicyService,
+};
@@ -0,0 +1,190 @@
+const { SecurityPolicyService } = require('./securityPolicyService');
+const { getDefaultSecurityPolicy } = require('../config/securityPolicy');
+
+jest.mock('../config/redis', () => ({
+  redisConnection: {
+    set: jest.fn(),
+    get: jest.fn(),
+  },
+}));
+
+jest.mock('../middleware/requestLogger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+/**
+ * 以記憶體模擬 SecurityPolicy 模型（版本唯一索引以 E11000 錯誤模擬）
+ */
+const createPolicyModel = () => {
+  const versions = [];
+  const sortByVersion = (docs) => [...docs].sort((a, b) => b.version - a.version);
+
+  return {
+    versions,
+    db: { readyState: 1 },
+    async findLatest() {
+      return sortByVersion(versions)[0] || null;
+    },
+    async create(data) {
+      if (versions.some((doc) => doc.version === data.version)) {
+        const error = new Error('E11000 duplicate key error');
+        error.code = 11000;
+        throw error;
+      }
+      const doc = { ...data, createdAt: new Date() };
+      versions.push(doc);
+      return doc;
+    },
+    find(query) {
+      const maxVersion = query.version?.$lt ?? Infinity;
+      const docs = sortByVersion(versions.filter((doc) => doc.version < maxVersion));
+      return {
+        sort: () => ({ limit: async (limit) => docs.slice(0, limit) }),
+      };
+    },
+    async findOne({ version }) {
+      return versions.find((doc) => doc.version === version) || null;
+    },
+  };
+};
+
+const createCache = () => {
+  const store = new Map();
+  return {
+    store,
+    get: jest.fn(async (key) => store.get(key) ?? null),
+    set: jest.fn(async (key, value) => {
+      store.set(key, JSON.parse(JSON.stringify(value)));
+      return 'OK';
+    }),
+  };
+};
+
+describe('SecurityPolicyService', () => {
+  let policyModel;
+  let cache;
+  let service;
+
+  beforeEach(() => {
+    policyModel = createPolicyModel();
+    cache = createCache();
+    service = new SecurityPolicyService({ policyModel, cache, localCacheTtl: 0 });
+  });
+
+  it('應該在沒有任何版本時使用環境變數預設值', async () => {
+    const active = await service.getActivePolicy();
+
+    expect(active).toEqual(expect.objectContaining({
+      version: 0,
+      source: 'environment_variables',
+      policy: getDefaultSecurityPolicy(),
+    }));
+  });
+
+  it('應該拒絕不合法的政策參數', async () => {
+    await expect(service.updatePolicy({
+      accountLockPolicy: { maxFailedAttempts: 1 },
+      sessionPolicy: { requireMfaForSensitive: 'yes' },
+      unknownPolicy: {},
+    }, { updatedBy: 'admin-1' })).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'VALIDATION_ERROR',
+      details: [
+        'accountLockPolicy.maxFailedAttempts 必須是 3 到 10 之間的整數',
+        'sessionPolicy.requireMfaForSensitive 必須為布林值',
+        '不支援的政策區段: unknownPolicy',
+      ],
+    });
+    expect(policyModel.versions).toHaveLength(0);
+  });
+
+  it('應該新增版本並記錄變更內容', async () => {
+    const first = await service.updatePolicy(
+      { accountLockPolicy: { maxFailedAttempts: 4, lockDuration: 10 } },
+      { updatedBy: 'admin-1', changeNote: '調整鎖定政策', context: { ipAddress: '127.0.0.1' } },
+    );
+    const second = await service.updatePolicy(
+      { mfaPolicy: { maxAttempts: 5 } },
+      { updatedBy: 'admin-2', expectedVersion: 1 },
+    );
+
+    expect(first.version).toBe(1);
+    expect(first.changes).toEqual([
+      { path: 'accountLockPolicy.maxFailedAttempts', from: 3, to: 4 },
+      { path: 'accountLockPolicy.lockDuration', from: 5, to: 10 },
+    ]);
+    expect(policyModel.versions[0]).toEqual(expect.objectContaining({
+      updatedBy: 'admin-1',
+      changeNote: '調整鎖定政策',
+      ipAddress: '127.0.0.1',
+    }));
+    expect(second.version).toBe(2);
+    expect(second.policy.accountLockPolicy.maxFailedAttempts).toBe(4);
+    expect(second.policy.mfaPolicy.maxAttempts).toBe(5);
+
+    const history = await service.getHistory();
+    expect(history.map((doc) => doc.version)).toEqual([2, 1]);
+    expect((await service.getHistory({ beforeVersion: 2 })).map((doc) => doc.version)).toEqual([1]);
+    expect((await service.getVersion(1)).updatedBy).toBe('admin-1');
+  });
+
+  it('應該在沒有差異時不新增版本', async () => {
+    const result = await service.updatePolicy(
+      { accountLockPolicy: { maxFailedAttempts: 3 } },
+      { updatedBy: 'admin-1' },
+    );
+
+    expect(result).toEqual(expect.objectContaining({ version: 0, changes: [] }));
+    expect(policyModel.versions).toHaveLength(0);
+  });
+
+  it('應該拒絕基於過期版本的更新', async () => {
+    await service.updatePolicy({ mfaPolicy: { maxAttempts: 5 } }, { updatedBy: 'admin-1' });
+
+    await expect(service.updatePolicy(
+      { mfaPolicy: { maxAttempts: 4 } },
+      { updatedBy: 'admin-2', expectedVersion: 0 },
+    )).rejects.toMatchObject({ statusCode: 409, code: 'SECURITY_POLICY_VERSION_CONFLICT' });
+    expect(policyModel.versions).toHaveLength(1);
+  });
+
+  it('應該將同時寫入同一版本視為衝突', async () => {
+    const duplicateError = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    policyModel.create = jest.fn().mockRejectedValue(duplicateError);
+
+    await expect(service.updatePolicy(
+      { mfaPolicy: { maxAttempts: 5 } },
+      { updatedBy: 'admin-1' },
+    )).rejects.toMatchObject({ code: 'SECURITY_POLICY_VERSION_CONFLICT' });
+  });
+
+  it('應該讓其他實例透過 Redis 快取讀到新政策', async () => {
+    await service.updatePolicy(
+      { sessionPolicy: { maxConcurrentSessions: 2 } },
+      { updatedBy: 'admin-1' },
+    );
+    policyModel.findLatest = jest.fn();
+    const otherInstance = new SecurityPolicyService({ policyModel, cache });
+
+    expect(await otherInstance.getSection('sessionPolicy')).toEqual(
+      expect.objectContaining({ maxConcurrentSessions: 2 }),
+    );
+    expect(policyModel.findLatest).not.toHaveBeenCalled();
+  });
+
+  it('應該在資料庫未連線時回退預設值並拒絕更新', async () => {
+    policyModel.db.readyState = 0;
+    cache.get.mockRejectedValue(new Error('redis down'));
+
+    expect((await service.getActivePolicy()).version).toBe(0);
+    expect(await service.getHistory()).toEqual([]);
+    await expect(service.updatePolicy(
+      { mfaPolicy: { maxAttempts: 5 } },
+      { updatedBy: 'admin-1' },
+    )).rejects.toMatchObject({ statusCode: 503, code: 'SECURITY_POLICY_STORE_UNAVAILABLE' });
+  });
+});
@@ -0,0 +1,121 @@
+const ConsoleSMSProvider = require('./consoleSMSProvider');
+const HttpSMSProvider = require('./httpSMSProvider');
+const { logger } = require('../middleware/requestLogger');
+
+// 各國手機號碼規則，國碼開頭的號碼依此正規化為 E.164
+const PHONE_COUNTRY_RULES = {
+  TW: {
+    callingCode: '886',
+    trunkPrefix: '0',
+    mobilePattern: /^9\d{8}$/,
+  },
+};
+
+// 未列於規則中的國家僅檢查 E.164 長度
+const E164_PATTERN = /^[1-9]\d{7,14}$/;
+
+/**
+ * 將手機號碼正規化為 E.164 格式
+ * 接受 0912-345-678、+886 912 345 678、+8860912345678、00886912345678 等寫法
+ * @param {string} phone - 手機號碼
+ * @param {string} defaultCountry - 未帶國碼時使用的國家
+ * @returns {string|null} E.164 號碼，格式不正確時為 null
+ */
+const normalizePhoneNumber = (phone, defaultCountry = 'TW') => {
+  if (typeof phone !== 'string' && typeof phone !== 'number') {
+    return null;
+  }
+
+  const compact = String(phone).replace(/[\s\-().]/g, '');
+  if (!/^\+?\d+$/.test(compact)) {
+    return null;
+  }
+
+  const toNational = (number, rule) => {
+    const national = number.startsWith(rule.trunkPrefix)
+      ? number.slice(rule.trunkPrefix.length)
+      : number;
+    return rule.mobilePattern.test(national) ? `+${rule.callingCode}${national}` : null;
+  };
+
+  let international = null;
+  if (compact.startsWith('+')) {
+    international = compact.slice(1);
+  } else if (compact.startsWith('00')) {
+    international = compact.slice(2);
+  }
+
+  if (international !== null) {
+    const rule = Object.values(PHONE_COUNTRY_RULES).find(
+      (item) => international.startsWith(item.callingCode),
+    );
+    if (rule) {
+      return toNational(international.slice(rule.callingCode.length), rule);
+    }
+    return E164_PATTERN.test(international) ? `+${international}` : null;
+  }
+
+  const rule = PHONE_COUNTRY_RULES[defaultCountry];
+  if (!rule) {
+    return null;
+  }
+  if (compact.startsWith(rule.callingCode)) {
+    return toNational(compact.slice(rule.callingCode.length), rule);
+  }
+  return toNational(compact, rule);
+};
+
+// 可用的供應商，名稱對應 SMS_PROVIDER 環境變數
+const SMS_PROVIDER_FACTORIES = {
+  console: (options) => new ConsoleSMSProvider({
+    filePath: process.env.SMS_SINK_FILE,
+    ...options,
+  }),
+  http: (options) => new HttpSMSProvider({
+    url: process.env.SMS_GATEWAY_URL,
+    apiKey: process.env.SMS_GATEWAY_API_KEY,
+    sender: process.env.SMS_SENDER,
+    callbackUrl: process.env.SMS_CALLBACK_URL,
+    callbackToken: process.env.SMS_CALLBACK_TOKEN,
+    timeout: parseInt(process.env.SMS_GATEWAY_TIMEOUT, 10) || undefined,
+    ...options,
+  }),
+};
+
+/**
+ * 註冊額外的簡訊供應商
+ * @param {string} name - 供應商名稱（用於 SMS_PROVIDER）
+ * @param {Function} factory - (options) => 供應商實例，
+ *   需實作 send、acceptsCallbacks、verifyCallback、parseDeliveryReport
+ */
+const registerSMSProvider = (name, factory) => {
+  SMS_PROVIDER_FACTORIES[name] = factory;
+};
+
+/**
+ * 依名稱建立簡訊供應商，預設讀取 SMS_PROVIDER（預設 console）
+ * 正式環境拒絕使用 console 供應商，避免驗證碼未實際送出且送達回報端點無法驗證來源
+ * @param {string} name - 供應商名稱
+ * @param {Object} options - 供應商選項
+ */
+const createSMSProvider = (name = null, options = {}) => {
+  const providerName = name || process.env.SMS_PROVIDER || 'console';
+  const factory = SMS_PROVIDER_FACTORIES[providerName];
+  if (!factory) {
+    throw new Error(`Unknown SMS provider: ${providerName}`);
+  }
+
+  const provider = factory(options);
+  if (provider.providerName === 'console' && process.env.NODE_ENV === 'production') {
+    logger.error('正式環境不可使用 console 簡訊供應商，請設定 SMS_PROVIDER');
+    throw new Error('SMS console provider cannot be used in production. Set SMS_PROVIDER.');
+  }
+  return provider;
+};
+
+module.exports = {
+  createSMSProvider,
+  registerSMSProvider,
+  normalizePhoneNumber,
+  DELIVERY_STATUS: ConsoleSMSProvider.DELIVERY_STATUS,
+};
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const {
+  createSMSProvider,
+  registerSMSProvider,
+  normalizePhoneNumber,
+} = require('./smsGateway');
+const HttpSMSProvider = require('./httpSMSProvider');
+const { logger } = require('../middleware/requestLogger');
+
+jest.mock('axios', () => ({
+  post: jest.fn(),
+}));
+
+jest.mock('../middleware/requestLogger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+describe('smsGateway', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('normalizePhoneNumber', () => {
+    it.each([
+      ['0912345678'],
+      ['0912-345-678'],
+      ['912345678'],
+      ['886912345678'],
+      ['+886 912 345 678'],
+      ['+886-0912-345-678'],
+      ['00886912345678'],
+    ])('應該將台灣手機號碼 %s 正規化為 +886912345678', (phone) => {
+      expect(normalizePhoneNumber(phone)).toBe('+886912345678');
+    });
+
+    it('應該拒絕非手機號碼與格式錯誤的號碼', () => {
+      expect(normalizePhoneNumber('0223456789')).toBeNull();
+      expect(normalizePhoneNumber('+88691234567')).toBeNull();
+      expect(normalizePhoneNumber('123')).toBeNull();
+      expect(normalizePhoneNumber('09123abc78')).toBeNull();
+      expect(normalizePhoneNumber(null)).toBeNull();
+    });
+
+    it('應該接受其他國家的 E.164 號碼', () => {
+      expect(normalizePhoneNumber('+81 90-1234-5678')).toBe('+819012345678');
+      expect(normalizePhoneNumber('09012345678', 'JP')).toBeNull();
+    });
+  });
+
+  describe('console 供應商', () => {
+    it('應該將簡訊附加至輸出檔案', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-'));
+      const filePath = path.join(dir, 'outbox.jsonl');
+      const provider = createSMSProvider('console', { filePath });
+
+      const first = await provider.send('+886912345678', '驗證碼 111111');
+      await provider.send('+886912345678', '驗證碼 222222');
+
+      const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(JSON.parse);
+      expect(first).toEqual({
+        success: true,
+        messageId: expect.stringMatching(/^console_/),
+        status: 'delivered',
+      });
+      expect(lines).toHaveLength(2);
+      expect(lines[0]).toEqual(expect.objectContaining({
+        messageId: first.messageId,
+        to: '+886912345678',
+        message: '驗證碼 111111',
+      }));
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('應該在日誌中遮蔽驗證碼並拒絕送達回報', async () => {
+      const provider = createSMSProvider('console');
+
+      await provider.send('+886912345678', '您的驗證碼為 480213，5 分鐘內有效');
+
+      expect(logger.info).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+        message: '您的驗證碼為 ******，5 分鐘內有效',
+      }));
+      expect(JSON.stringify(logger.info.mock.calls)).not.toContain('480213');
+      expect(provider.acceptsCallbacks()).toBe(false);
+      expect(provider.verifyCallback({ 'x-sms-callback-token': 'anything' })).toBe(false);
+    });
+  });
+
+  describe('http 供應商', () => {
+    const options = {
+      url: 'https://sms.example.com/send',
+      apiKey: 'key-123',
+      sender: 'Localite',
+      callbackUrl: 'https://api.example.com/api/v1/auth/mfa/sms/delivery-status',
+      callbackToken: 'callback-secret',
+    };
+
+    it('應該要求閘道網址', () => {
+      expect(() => createSMSProvider('http', { url: '' })).toThrow('SMS gateway URL is required.');
+    });
+
+    it('應該以 JSON 發送簡訊並回傳閘道的簡訊 ID', async () => {
+      axios.post.mockResolvedValue({ data: { id: 98765, status: 'accepted' } });
+      const provider = createSMSProvider('http', options);
+
+      const result = await provider.send('+886912345678', '驗證碼 123456');
+
+      expect(provider).toBeInstanceOf(HttpSMSProvider);
+      expect(axios.post).toHaveBeenCalledWith(
+        options.url,
+        {
+          to: '+886912345678',
+          message: '驗證碼 123456',
+          sender: 'Localite',
+          callbackUrl: options.callbackUrl,
+        },
+        { timeout: 10000, headers: { Authorization: 'Bearer key-123' } },
+      );
+      expect(result).toEqual({ success: true, messageId: '98765', status: 'queued' });
+    });
+
+    it('應該在閘道錯誤時返回失敗', async () => {
+      const error = new Error('Request failed with status code 502');
+      error.response = { status: 502 };
+      axios.post.mockRejectedValue(error);
+      const provider = createSMSProvider('http', options);
+
+      const result = await provider.send('+886912345678', '驗證碼 123456');
+
+      expect(result).toEqual({ success: false, error: 'Request failed with status code 502' });
+    });
+
+    it('應該以權杖驗證送達回報來源', () => {
+      const provider = createSMSProvider('http', options);
+
+      expect(provider.verifyCallback({ 'x-sms-callback-token': 'callback-secret' })).toBe(true);
+      expect(provider.verifyCallback({ 'x-sms-callback-token': 'wrong' })).toBe(false);
+      expect(provider.verifyCallback({})).toBe(false);
+      expect(createSMSProvider('http', { ...options, callbackToken: null }).verifyCallback({
+        'x-sms-callback-token': 'callback-secret',
+      })).toBe(false);
+    });
+
+    it('應該只在設定回報權杖時接受送達回報', () => {
+      expect(createSMSProvider('http', options).acceptsCallbacks()).toBe(true);
+      expect(createSMSProvider('http', { ...options, callbackToken: '' }).acceptsCallbacks())
+        .toBe(false);
+    });
+
+    it('應該正規化送達回報', () => {
+      const provider = createSMSProvider('http', options);
+
+      expect(provider.parseDeliveryReport({
+        messageId: '98765',
+        status: 'UNDELIVERED',
+        errorCode: 'E30',
+        timestamp: '2024-01-01T00:00:00.000Z',
+      })).toEqual({
+        messageId: '98765',
+        status: 'undelivered',
+        errorCode: 'E30',
+        reportedAt: '2024-01-01T00:00:00.000Z',
+      });
+    });
+  });
+
+  describe('createSMSProvider', () => {
+    it('應該使用註冊的供應商', () => {
+      const provider = { providerName: 'custom', send: jest.fn() };
+      registerSMSProvider('custom', () => provider);
+
+      expect(createSMSProvider('custom')).toBe(provider);
+    });
+
+    it('應該拒絕未知的供應商', () => {
+      expect(() => createSMSProvider('unknown')).toThrow('Unknown SMS provider: unknown');
+    });
+
+    it('正式環境應該拒絕 console 供應商', () => {
+      const originalEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+
+      try {
+        expect(() => createSMSProvider('console')).toThrow(
+          'SMS console provider cannot be used in production',
+        );
+        expect(createSMSProvider('http', { url: 'https://sms.example.com/send' }).providerName)
+          .toBe('http');
+      } finally {
+        process.env.NODE_ENV = originalEnv;
+      }
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const os = require('os');
+const nodemailer = require('nodemailer');
+const { logger } = require('../middleware/requestLogger');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * 取出 "名稱 <address>" 中的郵件地址
+ */
+const extractAddress = (value) => {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+};
+
+/**
+ * SMTP 郵件傳送方式
+ * 以 nodemailer 連線，支援 SMTPS（secure）與 STARTTLS
+ */
+class SmtpEmailTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.host - SMTP 主機
+   * @param {number} options.port - 連接埠（預設 secure 為 465，否則 587）
+   * @param {boolean} options.secure - 是否直接以 TLS 連線
+   * @param {boolean} options.requireTLS - 伺服器不支援 STARTTLS 時拒絕傳送（預設 true，設定帳號時一律啟用）
+   * @param {string} options.user - 帳號
+   * @param {string} options.pass - 密碼
+   * @param {number} options.timeout - 逾時（毫秒）
+   * @param {Object} options.tls - 額外的 TLS 選項
+   */
+  constructor(options = {}) {
+    if (!options.host) {
+      throw new Error('SMTP host is required.');
+    }
+
+    this.transportName = 'smtp';
+    this.host = options.host;
+    this.secure = Boolean(options.secure);
+    this.port = options.port || (this.secure ? 465 : 587);
+    this.user = options.user || null;
+    this.pass = options.pass || '';
+    // 帳號密碼不可在未加密的連線上傳送
+    this.requireTLS = options.requireTLS !== false || Boolean(this.user);
+    this.timeout = options.timeout || 15000;
+    this.tlsOptions = { servername: this.host, ...options.tls };
+    this.clientName = options.clientName || os.hostname();
+
+    this.transporter = nodemailer.createTransport({
+      host: this.host,
+      port: this.port,
+      secure: this.secure,
+      requireTLS: this.requireTLS,
+      auth: this.user ? { user: this.user, pass: this.pass } : undefined,
+      name: this.clientName,
+      connectionTimeout: this.timeout,
+      greetingTimeout: this.timeout,
+      socketTimeout: this.timeout,
+      tls: this.tlsOptions,
+    });
+  }
+
+  /**
+   * 寄出郵件
+   * @param {Object} envelope - { from, to, subject, messageId, raw }
+   * @returns {Promise<Object>} { accepted, response }
+   */
+  async send(envelope) {
+    const recipients = (Array.isArray(envelope.to) ? envelope.to : [envelope.to]).map(
+      extractAddress,
+    );
+
+    try {
+      const info = await this.transporter.sendMail({
+        envelope: { from: extractAddress(envelope.from), to: recipients },
+        messageId: envelope.messageId,
+        raw: envelope.raw,
+      });
+
+      return {
+        accepted: info.accepted,
+        response: info.response,
+      };
+    } catch (error) {
+      logger.error('SMTP 寄送失敗', {
+        host: this.host,
+        responseCode: error.responseCode,
+        error: error.message,
+      });
+      const smtpError = new AppError(`SMTP delivery failed: ${error.message}`, 502, 'SMTP_ERROR');
+      smtpError.responseCode = error.responseCode;
+      smtpError.response = error.response;
+      throw smtpError;
+    }
+  }
+}
+
+module.exports = SmtpEmailTransport;
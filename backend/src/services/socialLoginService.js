@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const FacebookTokenVerifier = require('./facebookTokenVerifier');
+const OidcTokenVerifier = require('./oidcTokenVerifier');
+const User = require('../models/User');
+const { logger } = require('../middleware/requestLogger');
+const { AppError } = require('../middleware/errorHandler');
+
+const splitList = (value) => (value || '')
+  .split(',')
+  .map((item) => item.trim())
+  .filter(Boolean);
+
+// 各提供者的權杖驗證方式，鍵為 User.providers 的 providerId
+const SOCIAL_PROVIDER_FACTORIES = {
+  'google.com': (options) => new OidcTokenVerifier({
+    providerId: 'google.com',
+    issuer: ['accounts.google.com', 'https://accounts.google.com'],
+    audience: splitList(process.env.GOOGLE_OAUTH_CLIENT_IDS),
+    jwksUri: 'https://www.googleapis.com/oauth2/v3/certs',
+    ...options,
+  }),
+  'apple.com': (options) => new OidcTokenVerifier({
+    providerId: 'apple.com',
+    issuer: 'https://appleid.apple.com',
+    audience: splitList(process.env.APPLE_OAUTH_CLIENT_IDS),
+    jwksUri: 'https://appleid.apple.com/auth/keys',
+    ...options,
+  }),
+  'facebook.com': (options) => new FacebookTokenVerifier({
+    appId: process.env.FACEBOOK_APP_ID,
+    appSecret: process.env.FACEBOOK_APP_SECRET,
+    graphUrl: process.env.FACEBOOK_GRAPH_URL,
+    ...options,
+  }),
+};
+
+/**
+ * 註冊或替換社群登入提供者的權杖驗證方式
+ * @param {string} providerId - 提供者 ID（google.com、facebook.com、apple.com）
+ * @param {Function} factory - (options) => 驗證方式實例，需實作 verify(credential)
+ */
+const registerSocialProvider = (providerId, factory) => {
+  SOCIAL_PROVIDER_FACTORIES[providerId] = factory;
+};
+
+/**
+ * 建立提供者的權杖驗證方式
+ * @param {string} providerId - 提供者 ID
+ * @param {Object} options - 驗證方式選項
+ */
+const createSocialProvider = (providerId, options = {}) => {
+  const factory = Object.prototype.hasOwnProperty.call(SOCIAL_PROVIDER_FACTORIES, providerId)
+    ? SOCIAL_PROVIDER_FACTORIES[providerId]
+    : null;
+  if (!factory) {
+    throw new Error(`Unknown social login provider: ${providerId}`);
+  }
+  return factory(options);
+};
+
+/**
+ * 社群登入服務
+ * 驗證提供者權杖，並依 providerUid 或已驗證的 email 找到、合併或建立用戶
+ */
+class SocialLoginService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.verifiers - providerId -> 驗證方式實例，未指定時依註冊的方式建立
+   * @param {Object} options.userModel - 用戶模型，預設為 User
+   */
+  constructor(options = {}) {
+    this.verifiers = { ...options.verifiers };
+    this.User = options.userModel || User;
+  }
+
+  /**
+   * 取得提供者 ID 列表
+   */
+  static getSupportedProviders() {
+    return Object.keys(SOCIAL_PROVIDER_FACTORIES);
+  }
+
+  /**
+   * 取得提供者的驗證方式，首次使用時建立（缺少設定時才會拋出錯誤）
+   */
+  getVerifier(providerId) {
+    if (!this.verifiers[providerId]) {
+      try {
+        this.verifiers[providerId] = createSocialProvider(providerId);
+      } catch (error) {
+        logger.error('社群登入提供者無法使用', { providerId, error: error.message });
+        throw new AppError(
+          `不支援或未設定的登入提供者: ${providerId}`,
+          400,
+          'SOCIAL_PROVIDER_UNAVAILABLE',
+        );
+      }
+    }
+    return this.verifiers[providerId];
+  }
+
+  /**
+   * 驗證提供者權杖
+   * @param {string} providerId - 提供者 ID
+   * @param {Object} credential - { idToken, nonce } 或 { accessToken }
+   * @returns {Promise<Object>} { providerId, providerUid, email, emailVerified, displayName }
+   */
+  async verifyCredential(providerId, credential) {
+    const identity = await this.getVerifier(providerId).verify(credential);
+    return { ...identity, providerId };
+  }
+
+  /**
+   * 依提供者帳號查詢已連結的用戶
+   */
+  findUserByProvider(providerId, providerUid) {
+    return this.User.findOne({
+      providers: { $elemMatch: { providerId, providerUid } },
+    });
+  }
+
+  /**
+   * 社群登入：找到已連結的用戶，或同 email 的待合併用戶，或建立新用戶
+   * 只有提供者確認過的 email 才會合併既有帳號，避免以未驗證的 email 接管他人帳號。
+   * 合併不會在此寫入，呼叫端完成鎖定、帳戶狀態與 MFA 檢查後再以 linkProvider 連結
+   * @param {Object} identity - verifyCredential 的結果
+   * @returns {Promise<Object>} { user, created, pendingLink }
+   */
+  async resolveUser(identity) {
+    const { providerId, providerUid, email } = identity;
+
+    const linkedUser = await this.findUserByProvider(providerId, providerUid);
+    if (linkedUser) {
+      return { user: linkedUser, created: false, pendingLink: false };
+    }
+
+    if (!email) {
+      throw new AppError('登入提供者未提供 email，請先以其他方式登入後再連結', 400, 'SOCIAL_EMAIL_REQUIRED');
+    }
+
+    const existingUser = await this.User.findOne({ email });
+    if (existingUser) {
+      if (!identity.emailVerified) {
+        throw new AppError(
+          '此 email 已註冊，請先登入後再連結此登入方式',
+          409,
+          'SOCIAL_ACCOUNT_EXISTS',
+        );
+      }
+
+      return { user: existingUser, created: false, pendingLink: true };
+    }
+
+    const user = new this.User({
+      firebaseUid: `social_${crypto.randomBytes(14).toString('hex')}`,
+      email,
+      emailVerified: Boolean(identity.emailVerified),
+      profile: identity.displayName ? { displayName: identity.displayName.slice(0, 100) } : {},
+      providers: [{ providerId, providerUid, connectedAt: new Date() }],
+    });
+    await user.save();
+
+    logger.info('社群登入建立新帳號', { uid: user.firebaseUid, providerId });
+    return { user, created: true, pendingLink: false };
+  }
+
+  /**
+   * 將提供者帳號連結至用戶
+   * @param {Object} user - 用戶文件
+   * @param {Object} identity - verifyCredential 的結果
+   */
+  async linkProvider(user, identity) {
+    const { providerId, providerUid } = identity;
+
+    const owner = await this.findUserByProvider(providerId, providerUid);
+    if (owner && owner.firebaseUid !== user.firebaseUid) {
+      throw new AppError('此登入方式已連結至其他帳號', 409, 'PROVIDER_ALREADY_LINKED');
+    }
+
+    const existing = user.providers.find((provider) => provider.providerId === providerId);
+    if (existing) {
+      if (existing.providerUid !== providerUid) {
+        throw new AppError(
+          '帳號已連結另一個相同提供者的帳號，請先解除連結',
+          409,
+          'PROVIDER_ALREADY_LINKED',
+        );
+      }
+      return user;
+    }
+
+    return user.addProvider(providerId, providerUid);
+  }
+
+  /**
+   * 解除用戶的提供者連結，至少保留一種登入方式
+   * @param {Object} user - 用戶文件
+   * @param {string} providerId - 提供者 ID
+   */
+  static async unlinkProvider(user, providerId) {
+    if (!user.providers.some((provider) => provider.providerId === providerId)) {
+      throw new AppError('尚未連結此登入方式', 404, 'PROVIDER_NOT_LINKED');
+    }
+    if (user.providers.length <= 1) {
+      throw new AppError('無法解除唯一的登入方式', 400, 'LAST_LOGIN_PROVIDER');
+    }
+
+    return user.removeProvider(providerId);
+  }
+}
+
+module.exports = SocialLoginService;
+module.exports.registerSocialProvider = registerSocialProvider;
+module.exports.createSocialProvider = createSocialProvider;
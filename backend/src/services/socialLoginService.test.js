@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const SocialLoginService = require('./socialLoginService');
+const OidcTokenVerifier = require('./oidcTokenVerifier');
+const FacebookTokenVerifier = require('./facebookTokenVerifier');
+
+const { createSocialProvider, registerSocialProvider } = SocialLoginService;
+
+jest.mock('../middleware/requestLogger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+/**
+ * 本機模擬身分提供者：提供 JWKS、簽發 ID Token，並模擬 Facebook Graph API
+ */
+const startFakeIdentityProvider = () => new Promise((resolve) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'fake-key-1';
+  const facebookUsers = {
+    'fb-access-token': { id: 'fb-123', name: 'FB User', email: 'fb@example.com' },
+  };
+  const stats = { jwksRequests: 0 };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === '/jwks') {
+      stats.jwksRequests += 1;
+      send(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig' }] });
+    } else if (url.pathname === '/debug_token') {
+      const user = facebookUsers[url.searchParams.get('input_token')];
+      const validApp = url.searchParams.get('access_token') === 'fb-app|fb-secret';
+      send(200, {
+        data: user && validApp
+          ? { is_valid: true, app_id: 'fb-app', user_id: user.id }
+          : { is_valid: false },
+      });
+    } else if (url.pathname === '/me') {
+      send(200, facebookUsers[url.searchParams.get('access_token')] || {});
+    } else {
+      send(404, {});
+    }
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve({
+      server,
+      baseUrl,
+      stats,
+      issuer: baseUrl,
+      signIdToken: (claims, options = {}) => jwt.sign(claims, privateKey, {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer: baseUrl,
+        audience: 'test-client',
+        expiresIn: '10m',
+        ...options,
+      }),
+    });
+  });
+});
+
+/**
+ * 以記憶體模擬 User 模型
+ */
+const createUserModel = () => {
+  const users = [];
+
+  class FakeUser {
+    constructor(data) {
+      Object.assign(this, data);
+    }
+
+    static async findOne(query) {
+      return users.find((user) => {
+        if (query.email) {
+          return user.email === query.email;
+        }
+        const { providerId, providerUid } = query.providers.$elemMatch;
+        return user.providers.some(
+          (provider) => provider.providerId === providerId && provider.providerUid === providerUid,
+        );
+      }) || null;
+    }
+
+    async save() {
+      if (!users.includes(this)) {
+        users.push(this);
+      }
+      return this;
+    }
+
+    addProvider(providerId, providerUid) {
+      this.providers.push({ providerId, providerUid, connectedAt: new Date() });
+      return this.save();
+    }
+
+    removeProvider(providerId) {
+      this.providers = this.providers.filter((provider) => provider.providerId !== providerId);
+      return this.save();
+    }
+  }
+
+  FakeUser.users = users;
+  return FakeUser;
+};
+
+describe('SocialLoginService', () => {
+  let idp;
+  let UserModel;
+  let service;
+
+  beforeAll(async () => {
+    idp = await startFakeIdentityProvider();
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => {
+      idp.server.close(resolve);
+    });
+  });
+
+  beforeEach(() => {
+    UserModel = createUserModel();
+    service = new SocialLoginService({
+      userModel: UserModel,
+      verifiers: {
+        'google.com': new OidcTokenVerifier({
+          providerId: 'google.com',
+          issuer: idp.issuer,
+          audience: 'test-client',
+          jwksUri: `${idp.baseUrl}/jwks`,
+        }),
+        'facebook.com': new FacebookTokenVerifier({
+          appId: 'fb-app',
+          appSecret: 'fb-secret',
+          graphUrl: idp.baseUrl,
+        }),
+      },
+    });
+  });
+
+  describe('OIDC ID Token 驗證', () => {
+    it('應該驗證 ID Token 並返回標準化的身分資訊', async () => {
+      const idToken = idp.signIdToken({
+        sub: 'google-1',
+        email: 'User@Example.com',
+        email_verified: true,
+        name: 'Test User',
+        nonce: 'nonce-1',
+      });
+
+      const identity = await service.verifyCredential('google.com', { idToken, nonce: 'nonce-1' });
+
+      expect(identity).toEqual(expect.objectContaining({
+        providerId: 'google.com',
+        providerUid: 'google-1',
+        email: 'user@example.com',
+        emailVerified: true,
+        displayName: 'Test User',
+      }));
+    });
+
+    it('應該快取 JWKS', async () => {
+      const verifier = service.getVerifier('google.com');
+      const before = idp.stats.jwksRequests;
+
+      await verifier.verify({ idToken: idp.signIdToken({ sub: 'google-1' }) });
+      await verifier.verify({ idToken: idp.signIdToken({ sub: 'google-2' }) });
+
+      expect(idp.stats.jwksRequests - before).toBe(1);
+    });
+
+    it.each([
+      ['audience 不符', { sub: 'google-1' }, { audience: 'other-client' }, {}],
+      ['issuer 不符', { sub: 'google-1' }, { issuer: 'https://evil.example.com' }, {}],
+      ['nonce 不符', { sub: 'google-1', nonce: 'nonce-1' }, {}, { nonce: 'nonce-2' }],
+      ['已過期', { sub: 'google-1' }, { expiresIn: -10 }, {}],
+    ])('應該拒絕%s的 ID Token', async (label, claims, signOptions, credential) => {
+      const idToken = idp.signIdToken(claims, signOptions);
+
+      await expect(
+        service.verifyCredential('google.com', { idToken, ...credential }),
+      ).rejects.toMatchObject({ statusCode: 401, code: 'SOCIAL_TOKEN_INVALID' });
+    });
+
+    it('應該拒絕以其他金鑰簽署的 ID Token', async () => {
+      const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const idToken = jwt.sign({ sub: 'google-1' }, privateKey, {
+        algorithm: 'RS256',
+        keyid: 'fake-key-1',
+        issuer: idp.issuer,
+        audience: 'test-client',
+      });
+
+      await expect(service.verifyCredential('google.com', { idToken })).rejects.toMatchObject({
+        code: 'SOCIAL_TOKEN_INVALID',
+      });
+    });
+  });
+
+  describe('Facebook access token 驗證', () => {
+    it('應該透過 debug_token 驗證並取得用戶資料', async () => {
+      const identity = await service.verifyCredential('facebook.com', {
+        accessToken: 'fb-access-token',
+      });
+
+      expect(identity).toEqual(expect.objectContaining({
+        providerId: 'facebook.com',
+        providerUid: 'fb-123',
+        email: 'fb@example.com',
+        emailVerified: false,
+      }));
+    });
+
+    it('應該拒絕以 Facebook 的 email 自動合併既有帳號', async () => {
+      await new UserModel({
+        firebaseUid: 'firebase-1',
+        email: 'fb@example.com',
+        providers: [{ providerId: 'password', providerUid: 'firebase-1' }],
+      }).save();
+
+      const identity = await service.verifyCredential('facebook.com', {
+        accessToken: 'fb-access-token',
+      });
+
+      await expect(service.resolveUser(identity)).rejects.toMatchObject({
+        statusCode: 409, code: 'SOCIAL_ACCOUNT_EXISTS',
+      });
+    });
+
+    it('應該拒絕無效的 access token', async () => {
+      await expect(
+        service.verifyCredential('facebook.com', { accessToken: 'stolen-token' }),
+      ).rejects.toMatchObject({ code: 'SOCIAL_TOKEN_INVALID' });
+    });
+  });
+
+  describe('resolveUser', () => {
+    const identity = {
+      providerId: 'google.com',
+      providerUid: 'google-1',
+      email: 'user@example.com',
+      emailVerified: true,
+      displayName: 'Test User',
+    };
+
+    it('應該在首次登入時建立用戶', async () => {
+      const result = await service.resolveUser(identity);
+
+      expect(result.created).toBe(true);
+      expect(result.user.firebaseUid).toMatch(/^social_[0-9a-f]{28}$/);
+      expect(result.user.providers).toEqual([
+        expect.objectContaining({ providerId: 'google.com', providerUid: 'google-1' }),
+      ]);
+      expect(UserModel.users).toHaveLength(1);
+    });
+
+    it('應該以提供者帳號找到已連結的用戶', async () => {
+      const { user } = await service.resolveUser(identity);
+
+      const result = await service.resolveUser({ ...identity, email: 'changed@example.com' });
+
+      expect(result).toEqual({ user, created: false, pendingLink: false });
+    });
+
+    it('應該以已驗證的 email 找到待合併的既有帳號，但不立即寫入連結', async () => {
+      const existing = new UserModel({
+        firebaseUid: 'firebase-1',
+        email: 'user@example.com',
+        providers: [{ providerId: 'password', providerUid: 'firebase-1' }],
+      });
+      await existing.save();
+
+      const result = await service.resolveUser(identity);
+
+      expect(result).toEqual({ user: existing, created: false, pendingLink: true });
+      expect(existing.providers.map((provider) => provider.providerId)).toEqual(['password']);
+    });
+
+    it('應該拒絕以未驗證的 email 合併既有帳號', async () => {
+      await new UserModel({
+        firebaseUid: 'firebase-1',
+        email: 'user@example.com',
+        providers: [{ providerId: 'password', providerUid: 'firebase-1' }],
+      }).save();
+
+      await expect(service.resolveUser({ ...identity, emailVerified: false }))
+        .rejects.toMatchObject({ code: 'SOCIAL_ACCOUNT_EXISTS' });
+    });
+
+    it('應該要求提供者提供 email', async () => {
+      await expect(service.resolveUser({ ...identity, email: null })).rejects.toMatchObject({
+        statusCode: 400, code: 'SOCIAL_EMAIL_REQUIRED',
+      });
+    });
+  });
+
+  describe('連結與解除連結', () => {
+    let user;
+
+    beforeEach(async () => {
+      user = new UserModel({
+        firebaseUid: 'firebase-1',
+        email: 'user@example.com',
+        providers: [{ providerId: 'password', providerUid: 'firebase-1' }],
+      });
+      await user.save();
+    });
+
+    it('應該拒絕連結已屬於其他用戶的社群帳號', async () => {
+      await new UserModel({
+        firebaseUid: 'firebase-2',
+        email: 'other@example.com',
+        providers: [{ providerId: 'google.com', providerUid: 'google-1' }],
+      }).save();
+
+      await expect(
+        service.linkProvider(user, { providerId: 'google.com', providerUid: 'google-1' }),
+      ).rejects.toMatchObject({ statusCode: 409, code: 'PROVIDER_ALREADY_LINKED' });
+    });
+
+    it('應該保留至少一種登入方式', async () => {
+      await service.linkProvider(user, { providerId: 'google.com', providerUid: 'google-1' });
+
+      await SocialLoginService.unlinkProvider(user, 'google.com');
+
+      expect(user.providers.map((provider) => provider.providerId)).toEqual(['password']);
+      await expect(SocialLoginService.unlinkProvider(user, 'password')).rejects.toMatchObject({
+        statusCode: 400, code: 'LAST_LOGIN_PROVIDER',
+      });
+    });
+  });
+
+  describe('提供者註冊', () => {
+    it('應該在缺少設定時回報提供者無法使用', () => {
+      const unconfigured = new SocialLoginService({ userModel: UserModel });
+
+      expect(() => unconfigured.getVerifier('apple.com')).toThrow(
+        expect.objectContaining({ code: 'SOCIAL_PROVIDER_UNAVAILABLE' }),
+      );
+    });
+
+    it('應該使用註冊的驗證方式', () => {
+      const verifier = { verify: jest.fn() };
+      registerSocialProvider('custom.example', () => verifier);
+
+      expect(createSocialProvider('custom.example')).toBe(verifier);
+      expect(() => createSocialProvider('unknown.example')).toThrow(
+        'Unknown social login provider: unknown.example',
+      );
+    });
+  });
+});
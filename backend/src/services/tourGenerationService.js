@@ -0,0 +1,327 @@
+const GoogleAIService = require('./googleAIService');
+const { AppError } = require('../middleware/errorHandler');
+const { SUPPORTED_LANGUAGES } = require('../models/Tour');
+const { promptTemplateService } = require('./promptTemplateService');
+const { aiQuotaService } = require('./aiQuotaService');
+const { createAIProviderRouter } = require('./aiProviderRouter');
+const { logger } = require('../middleware/requestLogger');
+
+// 生成參數限制
+const GENERATION_LIMITS = {
+  minDurationMinutes: 30,
+  maxDurationMinutes: 480,
+  defaultDurationMinutes: 120,
+  minStops: 2,
+  maxStops: 12,
+  maxThemeLength: 100,
+  maxLocationLength: 200,
+};
+
+// 模型回應的 JSON Schema（交由 GoogleAIService.generateStructured 驗證）
+const TOUR_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['title', 'stops'],
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 200 },
+    description: { type: 'string', maxLength: 5000 },
+    city: { type: 'string' },
+    tags: { type: 'array', items: { type: 'string' } },
+    stops: {
+      type: 'array',
+      minItems: GENERATION_LIMITS.minStops,
+      maxItems: GENERATION_LIMITS.maxStops,
+      items: {
+        type: 'object',
+        required: ['name', 'latitude', 'longitude'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 200 },
+          narration: { type: 'string' },
+          latitude: { type: 'number', minimum: -90, maximum: 90 },
+          longitude: { type: 'number', minimum: -180, maximum: 180 },
+          address: { type: 'string' },
+          durationMinutes: { type: 'integer', minimum: 0, maximum: 1440 },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * AI 導覽生成服務
+ * 負責組合提示詞、透過 AI 供應商路由取得結構化回應並轉換為導覽站點
+ */
+class TourGenerationService {
+  constructor(aiService = null) {
+    this.aiService = aiService;
+  }
+
+  /**
+   * 取得 AI 供應商路由（懶加載，依 AI_PROVIDERS 建立；沒有可用供應商時回報服務不可用）
+   */
+  getAIService() {
+    if (this.aiService) {
+      return this.aiService;
+    }
+
+    try {
+      this.aiService = createAIProviderRouter();
+      return this.aiService;
+    } catch (error) {
+      logger.error('AI 供應商初始化失敗', { error: error.message });
+      throw new AppError('AI 服務目前無法使用', 503, 'AI_SERVICE_UNAVAILABLE');
+    }
+  }
+
+  /**
+   * 驗證並正規化生成參數
+   * @param {Object} params - 請求參數
+   * @returns {Object} 正規化後的參數
+   */
+  // eslint-disable-next-line class-methods-use-this
+  normalizeParams(params = {}) {
+    const {
+      location, theme, duration, language = 'zh-TW',
+    } = params;
+
+    let normalizedLocation;
+    if (typeof location === 'string' && location.trim()) {
+      normalizedLocation = { name: location.trim() };
+    } else if (location && typeof location === 'object') {
+      const latitude = Number(location.latitude ?? location.lat);
+      const longitude = Number(location.longitude ?? location.lng);
+      const hasCoordinates = Number.isFinite(latitude)
+        && Number.isFinite(longitude)
+        && latitude >= -90
+        && latitude <= 90
+        && longitude >= -180
+        && longitude <= 180;
+
+      if (hasCoordinates || (typeof location.name === 'string' && location.name.trim())) {
+        normalizedLocation = {
+          name: typeof location.name === 'string' ? location.name.trim() : undefined,
+          ...(hasCoordinates && { latitude, longitude }),
+        };
+      }
+    }
+
+    if (!normalizedLocation) {
+      throw new AppError('請提供地點名稱或有效的經緯度', 400, 'INVALID_LOCATION');
+    }
+    if (
+      normalizedLocation.name
+      && normalizedLocation.name.length > GENERATION_LIMITS.maxLocationLength
+    ) {
+      throw new AppError('地點名稱過長', 400, 'INVALID_LOCATION');
+    }
+
+    if (
+      theme !== undefined
+      && (typeof theme !== 'string' || theme.length > GENERATION_LIMITS.maxThemeLength)
+    ) {
+      throw new AppError('主題格式無效', 400, 'INVALID_THEME');
+    }
+
+    const durationMinutes = duration === undefined
+      ? GENERATION_LIMITS.defaultDurationMinutes
+      : Number(duration);
+    if (
+      !Number.isInteger(durationMinutes)
+      || durationMinutes < GENERATION_LIMITS.minDurationMinutes
+      || durationMinutes > GENERATION_LIMITS.maxDurationMinutes
+    ) {
+      const { minDurationMinutes, maxDurationMinutes } = GENERATION_LIMITS;
+      throw new AppError(
+        `導覽時長必須介於 ${minDurationMinutes} 到 ${maxDurationMinutes} 分鐘之間`,
+        400,
+        'INVALID_DURATION',
+      );
+    }
+
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      throw new AppError(`不支援的語言: ${language}`, 400, 'UNSUPPORTED_LANGUAGE');
+    }
+
+    return {
+      location: normalizedLocation,
+      theme: theme ? theme.trim() : undefined,
+      durationMinutes,
+      language,
+    };
+  }
+
+  /**
+   * 組合 tour_generation 模板變數
+   * @param {Object} params - 正規化後的參數
+   * @returns {Object} 模板變數
+   */
+  // eslint-disable-next-line class-methods-use-this
+  buildPromptVariables({ location, theme, durationMinutes }) {
+    const locationParts = [];
+    if (location.name) locationParts.push(location.name);
+    if (location.latitude !== undefined) {
+      locationParts.push(`${location.latitude}, ${location.longitude}`);
+    }
+
+    return {
+      location: locationParts.join(' / '),
+      theme,
+      durationMinutes,
+      minStops: GENERATION_LIMITS.minStops,
+      maxStops: GENERATION_LIMITS.maxStops,
+    };
+  }
+
+  /**
+   * 將通過 Schema 驗證的模型回應轉換為導覽資料
+   * @param {Object} data - 模型回應（符合 TOUR_RESPONSE_SCHEMA）
+   * @returns {Object} 導覽資料（title、description、city、tags、stops）
+   */
+  // eslint-disable-next-line class-methods-use-this
+  toTourData(data) {
+    return {
+      title: data.title.trim(),
+      description: data.description?.trim(),
+      city: data.city?.trim(),
+      tags: (data.tags || []).filter((tag) => tag.trim()),
+      stops: data.stops.map((stop, index) => ({
+        order: index,
+        name: stop.name.trim(),
+        narration: stop.narration?.trim(),
+        location: { type: 'Point', coordinates: [stop.longitude, stop.latitude] },
+        address: stop.address?.trim(),
+        ...(stop.durationMinutes !== undefined && { durationMinutes: stop.durationMinutes }),
+      })),
+    };
+  }
+
+  /**
+   * 生成導覽內容
+   * @param {Object} params - 請求參數（location、theme、duration、language）
+   * @param {Object} options - 選項
+   * @param {string} options.priority - 佇列優先級（預設 high，用戶即時等待結果）
+   * @param {string} options.userId - 請求者 UID（用於 AI 用量配額與日誌）
+   * @param {string} options.userRole - 請求者角色（決定預設配額）
+   * @returns {Promise<Object>} 導覽資料、正規化後的生成參數與使用的模板版本
+   */
+  async generateTour(params, options = {}) {
+    const normalized = this.normalizeParams(params);
+    const aiService = this.getAIService();
+    const { prompt, template } = await promptTemplateService.render(
+      'tour_generation',
+      normalized.language,
+      this.buildPromptVariables(normalized),
+    );
+    const startTime = Date.now();
+
+    let data;
+    try {
+      data = await aiService.generateStructured(prompt, TOUR_RESPONSE_SCHEMA, {
+        priority: options.priority || 'high',
+        caller: 'tour_generator',
+        userId: options.userId,
+        userRole: options.userRole,
+      });
+    } catch (error) {
+      if (error.code === GoogleAIService.ERROR_TYPES.RESPONSE_PARSING) {
+        logger.warn('AI 導覽回應格式無效', {
+          userId: options.userId,
+          validationErrors: error.context?.validationErrors,
+        });
+        throw new AppError('AI 回應格式無效，請稍後再試', 502, 'INVALID_AI_RESPONSE');
+      }
+      throw error;
+    }
+    const tourData = this.toTourData(data);
+
+    logger.info('AI 導覽生成成功', {
+      userId: options.userId,
+      stopCount: tourData.stops.length,
+      language: normalized.language,
+      template,
+      generationTime: Date.now() - startTime,
+    });
+
+    return {
+      tourData: {
+        ...tourData,
+        theme: normalized.theme,
+        durationMinutes: normalized.durationMinutes,
+        defaultLanguage: normalized.language,
+      },
+      parameters: normalized,
+      template,
+    };
+  }
+
+  /**
+   * 組合 stop_narration 模板變數
+   * @param {Object} tour - 導覽文件
+   * @param {Object} stop - 站點子文件
+   * @returns {Object} 模板變數
+   */
+  // eslint-disable-next-line class-methods-use-this
+  buildNarrationVariables(tour, stop) {
+    const [longitude, latitude] = stop.location.coordinates;
+
+    return {
+      tourTitle: tour.title,
+      theme: tour.theme,
+      stopName: stop.name,
+      address: stop.address,
+      latitude,
+      longitude,
+      existingNarration: stop.narration,
+      durationMinutes: stop.durationMinutes || 10,
+    };
+  }
+
+  /**
+   * 串流生成站點導覽解說
+   * @param {Object} tour - 導覽文件
+   * @param {Object} stop - 站點子文件
+   * @param {Object} options - 選項
+   * @param {string} options.language - 輸出語言（預設為導覽預設語言）
+   * @param {string} options.userId - 請求者 UID（用於 AI 用量配額）
+   * @param {string} options.userRole - 請求者角色
+   * @returns {Promise<Object>} { stream: 解說文字片段的 AsyncGenerator, template: 使用的模板版本 }
+   */
+  async streamNarration(tour, stop, options = {}) {
+    const language = options.language || tour.defaultLanguage;
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      throw new AppError(`不支援的語言: ${language}`, 400, 'UNSUPPORTED_LANGUAGE');
+    }
+
+    const aiService = this.getAIService();
+
+    // 串流在開始讀取後才會執行，先檢查配額讓路由能直接回應 429
+    if (options.userId) {
+      await aiQuotaService.checkQuota(options.userId, options.userRole);
+    }
+
+    const { prompt, template } = await promptTemplateService.render(
+      'stop_narration',
+      language,
+      this.buildNarrationVariables(tour, stop),
+    );
+
+    return {
+      stream: aiService.generateContentStream(prompt, {
+        priority: options.priority || 'high',
+        caller: 'tour_narration',
+        userId: options.userId,
+        userRole: options.userRole,
+      }),
+      template,
+    };
+  }
+}
+
+// 建立單例實例
+const tourGenerationService = new TourGenerationService();
+
+module.exports = {
+  tourGenerationService,
+  TourGenerationService, // 導出類別以便測試
+  GENERATION_LIMITS,
+  TOUR_RESPONSE_SCHEMA,
+};
@@ -0,0 +1,272 @@
+jest.mock('../middleware/requestLogger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+jest.mock('./googleAIService', () => {
+  const MockGoogleAIService = jest.fn(() => {
+    throw new Error('At least one Google AI API key is required.');
+  });
+  MockGoogleAIService.ERROR_TYPES = { RESPONSE_PARSING: 'RESPONSE_PARSING' };
+  return MockGoogleAIService;
+});
+
+const PromptTemplate = require('../models/PromptTemplate');
+const { promptTemplateService } = require('./promptTemplateService');
+const { aiQuotaService } = require('./aiQuotaService');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  TourGenerationService,
+  GENERATION_LIMITS,
+  TOUR_RESPONSE_SCHEMA,
+} = require('./tourGenerationService');
+
+describe('TourGenerationService', () => {
+  let service;
+  let mockAIService;
+
+  const validResponse = {
+    title: '大稻埕老街散步',
+    description: '走訪百年老街',
+    city: '台北',
+    tags: ['歷史', ' '],
+    stops: [
+      {
+        name: '霞海城隍廟',
+        narration: '建於 1859 年',
+        latitude: 25.0557,
+        longitude: 121.5101,
+        durationMinutes: 20,
+      },
+      {
+        name: '迪化街',
+        latitude: 25.0573,
+        longitude: 121.5098,
+      },
+    ],
+  };
+
+  beforeEach(() => {
+    mockAIService = {
+      generateStructured: jest.fn().mockResolvedValue(validResponse),
+    };
+    service = new TourGenerationService(mockAIService);
+    // 資料庫沒有啟用版本，使用內建模板
+    jest.spyOn(PromptTemplate, 'findActive').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    promptTemplateService.clearCache();
+  });
+
+  describe('normalizeParams', () => {
+    test('應該接受地點名稱並套用預設值', () => {
+      expect(service.normalizeParams({ location: ' 大稻埕 ' })).toEqual({
+        location: { name: '大稻埕' },
+        theme: undefined,
+        durationMinutes: GENERATION_LIMITS.defaultDurationMinutes,
+        language: 'zh-TW',
+      });
+    });
+
+    test('應該接受經緯度物件', () => {
+      const result = service.normalizeParams({
+        location: { lat: 25.0557, lng: 121.5101 },
+        duration: '60',
+        language: 'en-US',
+      });
+
+      expect(result.location).toEqual({ name: undefined, latitude: 25.0557, longitude: 121.5101 });
+      expect(result.durationMinutes).toBe(60);
+    });
+
+    test.each([
+      [{}, 'INVALID_LOCATION'],
+      [{ location: { lat: 100, lng: 121 } }, 'INVALID_LOCATION'],
+      [{ location: '大稻埕', duration: 1000 }, 'INVALID_DURATION'],
+      [{ location: '大稻埕', language: 'ja-JP' }, 'UNSUPPORTED_LANGUAGE'],
+      [{ location: '大稻埕', theme: 123 }, 'INVALID_THEME'],
+    ])('應該拒絕無效參數 %j', (params, code) => {
+      expect(() => service.normalizeParams(params)).toThrow(expect.objectContaining({
+        statusCode: 400,
+        code,
+      }));
+    });
+  });
+
+  describe('buildPromptVariables', () => {
+    test('應該將地點名稱與經緯度組合為模板變數', () => {
+      const variables = service.buildPromptVariables({
+        location: { name: '大稻埕', latitude: 25.0557, longitude: 121.5101 },
+        theme: '歷史建築',
+        durationMinutes: 90,
+        language: 'en-US',
+      });
+
+      expect(variables).toEqual({
+        location: '大稻埕 / 25.0557, 121.5101',
+        theme: '歷史建築',
+        durationMinutes: 90,
+        minStops: GENERATION_LIMITS.minStops,
+        maxStops: GENERATION_LIMITS.maxStops,
+      });
+    });
+  });
+
+  describe('toTourData', () => {
+    test('應該將回應轉換為導覽站點', () => {
+      const result = service.toTourData(validResponse);
+
+      expect(result.title).toBe('大稻埕老街散步');
+      expect(result.tags).toEqual(['歷史']);
+      expect(result.stops).toHaveLength(2);
+      expect(result.stops[0]).toEqual({
+        order: 0,
+        name: '霞海城隍廟',
+        narration: '建於 1859 年',
+        location: { type: 'Point', coordinates: [121.5101, 25.0557] },
+        address: undefined,
+        durationMinutes: 20,
+      });
+      expect(result.stops[1].location.coordinates).toEqual([121.5098, 25.0573]);
+      expect(result.stops[1].durationMinutes).toBeUndefined();
+    });
+  });
+
+  describe('generateTour', () => {
+    test('應該以高優先級請求結構化回應並回傳導覽資料', async () => {
+      const { tourData, parameters, template } = await service.generateTour({
+        location: '大稻埕',
+        theme: '歷史',
+        duration: 90,
+      });
+
+      expect(mockAIService.generateStructured).toHaveBeenCalledWith(
+        expect.stringContaining('大稻埕'),
+        TOUR_RESPONSE_SCHEMA,
+        { priority: 'high', caller: 'tour_generator' },
+      );
+      expect(tourData.theme).toBe('歷史');
+      expect(tourData.durationMinutes).toBe(90);
+      expect(tourData.defaultLanguage).toBe('zh-TW');
+      expect(parameters.location).toEqual({ name: '大稻埕' });
+      expect(template).toEqual({ name: 'tour_generation', version: 0, language: 'zh-TW' });
+    });
+
+    test('應該使用資料庫中的啟用版本', async () => {
+      PromptTemplate.findActive.mockResolvedValue(new PromptTemplate({
+        name: 'tour_generation',
+        version: 3,
+        variables: [{ name: 'location', required: true }],
+        variants: [{ language: 'zh-TW', template: '規劃 {{location}} 的導覽' }],
+      }));
+
+      const { template } = await service.generateTour({ location: '大稻埕' });
+
+      expect(mockAIService.generateStructured.mock.calls[0][0]).toBe('規劃 大稻埕 的導覽');
+      expect(template.version).toBe(3);
+    });
+
+    test('應該傳遞請求者資訊以套用 AI 用量配額', async () => {
+      await service.generateTour({ location: '大稻埕' }, { userId: 'user-1', userRole: 'user' });
+
+      expect(mockAIService.generateStructured.mock.calls[0][2]).toEqual({
+        priority: 'high',
+        caller: 'tour_generator',
+        userId: 'user-1',
+        userRole: 'user',
+      });
+    });
+
+    test('應該允許指定佇列優先級', async () => {
+      await service.generateTour({ location: '大稻埕' }, { priority: 'low' });
+
+      expect(mockAIService.generateStructured).toHaveBeenCalledWith(
+        expect.any(String),
+        TOUR_RESPONSE_SCHEMA,
+        { priority: 'low', caller: 'tour_generator' },
+      );
+    });
+
+    test('回應無法通過驗證時應該回報 INVALID_AI_RESPONSE', async () => {
+      const error = new Error('Structured response failed schema validation after 3 attempts');
+      error.code = 'RESPONSE_PARSING';
+      error.context = { validationErrors: ['$.stops: is required'] };
+      mockAIService.generateStructured.mockRejectedValue(error);
+
+      await expect(service.generateTour({ location: '大稻埕' })).rejects.toMatchObject({
+        statusCode: 502,
+        code: 'INVALID_AI_RESPONSE',
+      });
+    });
+
+    test('未設定 API 金鑰時應該回報服務不可用', async () => {
+      const unconfigured = new TourGenerationService();
+
+      await expect(unconfigured.generateTour({ location: '大稻埕' })).rejects.toMatchObject({
+        statusCode: 503,
+        code: 'AI_SERVICE_UNAVAILABLE',
+      });
+    });
+  });
+
+  describe('streamNarration', () => {
+    const tour = {
+      title: '大稻埕老街散步',
+      theme: '歷史',
+      defaultLanguage: 'zh-TW',
+    };
+    const stop = {
+      name: '霞海城隍廟',
+      narration: '建於 1859 年',
+      location: { type: 'Point', coordinates: [121.5101, 25.0557] },
+      durationMinutes: 15,
+    };
+
+    test('應該以站點資訊組合提示詞並請求串流', async () => {
+      mockAIService.generateContentStream = jest.fn();
+
+      const { template } = await service.streamNarration(tour, stop, { language: 'en-US' });
+
+      const [prompt, options] = mockAIService.generateContentStream.mock.calls[0];
+      expect(prompt).toContain('霞海城隍廟');
+      expect(prompt).toContain('latitude 25.0557, longitude 121.5101');
+      expect(prompt).toContain('建於 1859 年');
+      expect(prompt).toContain('English');
+      expect(options).toEqual({ priority: 'high', caller: 'tour_narration' });
+      expect(template).toEqual({ name: 'stop_narration', version: 0, language: 'en-US' });
+    });
+
+    test('未指定語言時應該使用導覽預設語言', async () => {
+      mockAIService.generateContentStream = jest.fn();
+
+      await service.streamNarration(tour, stop);
+
+      expect(mockAIService.generateContentStream.mock.calls[0][0]).toContain('繁體中文');
+    });
+
+    test('應該拒絕不支援的語言', async () => {
+      await expect(
+        service.streamNarration(tour, stop, { language: 'ja-JP' }),
+      ).rejects.toMatchObject({ statusCode: 400, code: 'UNSUPPORTED_LANGUAGE' });
+    });
+
+    test('超過 AI 配額時應該在建立串流前拒絕', async () => {
+      mockAIService.generateContentStream = jest.fn();
+      jest.spyOn(aiQuotaService, 'checkQuota').mockRejectedValue(
+        new AppError('AI 用量已達配額上限，請稍後再試', 429, 'AI_QUOTA_EXCEEDED'),
+      );
+
+      await expect(
+        service.streamNarration(tour, stop, { userId: 'user-1', userRole: 'merchant' }),
+      ).rejects.toMatchObject({ statusCode: 429, code: 'AI_QUOTA_EXCEEDED' });
+      expect(aiQuotaService.checkQuota).toHaveBeenCalledWith('user-1', 'merchant');
+      expect(mockAIService.generateContentStream).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,498 @@
+const crypto = require('crypto');
+const { AppError } = require('../middleware/errorHandler');
+
+// COSE 演算法識別碼（https://www.iana.org/assignments/cose）
+const COSE_ALGORITHMS = {
+  ES256: -7,
+  EDDSA: -8,
+  RS256: -257,
+};
+
+// COSE 金鑰欄位
+const COSE_KEYS = {
+  KTY: 1,
+  ALG: 3,
+  CRV: -1,
+  X: -2,
+  Y: -3,
+  N: -1,
+  E: -2,
+};
+
+// COSE 金鑰類型與曲線
+const COSE_KEY_TYPES = {
+  OKP: 1,
+  EC2: 2,
+  RSA: 3,
+};
+const COSE_CURVES = {
+  1: 'P-256',
+  6: 'Ed25519',
+};
+
+// authenticatorData 旗標位元
+const AUTHENTICATOR_FLAGS = {
+  USER_PRESENT: 0x01,
+  USER_VERIFIED: 0x04,
+  BACKUP_ELIGIBLE: 0x08,
+  BACKED_UP: 0x10,
+  ATTESTED_CREDENTIAL_DATA: 0x40,
+  EXTENSION_DATA: 0x80,
+};
+
+/**
+ * 檢查 authenticatorData 旗標位元
+ */
+const hasFlag = (flags, flag) => (flags & flag) !== 0; // eslint-disable-line no-bitwise
+
+/**
+ * Base64URL 與 Buffer 互轉
+ */
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+const fromBase64Url = (value) => {
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new AppError('缺少 WebAuthn 回應欄位', 400, 'WEBAUTHN_INVALID_RESPONSE');
+  }
+  return Buffer.from(value, 'base64url');
+};
+
+/**
+ * 解碼 CBOR（RFC 8949）
+ * 僅支援 WebAuthn 會用到的確定長度型別：整數、位元組、字串、陣列、映射、標籤與簡單值
+ * @param {Buffer} buffer - CBOR 資料
+ * @param {number} offset - 起始位置
+ * @returns {{ value: *, offset: number }} 解碼結果與下一個位置
+ */
+const decodeCbor = (buffer, offset = 0) => {
+  if (offset >= buffer.length) {
+    throw new AppError('CBOR 資料不完整', 400, 'WEBAUTHN_INVALID_CBOR');
+  }
+
+  const initialByte = buffer[offset];
+  const majorType = initialByte >> 5; // eslint-disable-line no-bitwise
+  const additionalInfo = initialByte & 0x1f; // eslint-disable-line no-bitwise
+  let position = offset + 1;
+
+  const readLength = () => {
+    if (additionalInfo < 24) {
+      return additionalInfo;
+    }
+    const sizes = {
+      24: 1,
+      25: 2,
+      26: 4,
+      27: 8,
+    };
+    const size = sizes[additionalInfo];
+    if (!size || position + size > buffer.length) {
+      throw new AppError('不支援的 CBOR 長度編碼', 400, 'WEBAUTHN_INVALID_CBOR');
+    }
+    const length = size === 8
+      ? Number(buffer.readBigUInt64BE(position))
+      : buffer.readUIntBE(position, size);
+    position += size;
+    return length;
+  };
+
+  const readBytes = (length) => {
+    if (position + length > buffer.length) {
+      throw new AppError('CBOR 資料不完整', 400, 'WEBAUTHN_INVALID_CBOR');
+    }
+    const bytes = buffer.subarray(position, position + length);
+    position += length;
+    return bytes;
+  };
+
+  switch (majorType) {
+    case 0:
+      return { value: readLength(), offset: position };
+    case 1:
+      return { value: -1 - readLength(), offset: position };
+    case 2:
+      return { value: Buffer.from(readBytes(readLength())), offset: position };
+    case 3:
+      return { value: readBytes(readLength()).toString('utf8'), offset: position };
+    case 4: {
+      const length = readLength();
+      const items = [];
+      for (let i = 0; i < length; i += 1) {
+        const item = decodeCbor(buffer, position);
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    case 5: {
+      const length = readLength();
+      const map = new Map();
+      for (let i = 0; i < length; i += 1) {
+        const key = decodeCbor(buffer, position);
+        const entry = decodeCbor(buffer, key.offset);
+        map.set(key.value, entry.value);
+        position = entry.offset;
+      }
+      return { value: map, offset: position };
+    }
+    case 6:
+      // 標籤只保留內容
+      readLength();
+      return decodeCbor(buffer, position);
+    default: {
+      const simpleValues = {
+        20: false,
+        21: true,
+        22: null,
+        23: undefined,
+      };
+      if (additionalInfo in simpleValues) {
+        return { value: simpleValues[additionalInfo], offset: position };
+      }
+      if (additionalInfo === 25) {
+        return { value: readBytes(2).readUInt16BE(0), offset: position };
+      }
+      if (additionalInfo === 26) {
+        return { value: readBytes(4).readFloatBE(0), offset: position };
+      }
+      if (additionalInfo === 27) {
+        return { value: readBytes(8).readDoubleBE(0), offset: position };
+      }
+      throw new AppError('不支援的 CBOR 型別', 400, 'WEBAUTHN_INVALID_CBOR');
+    }
+  }
+};
+
+/**
+ * WebAuthn（passkey）協定服務
+ * 產生註冊與驗證選項，並驗證瀏覽器回傳的 attestation 與 assertion；
+ * 不保存任何狀態，憑證與 challenge 由 MFAService 存放於 Redis。
+ * 註冊時要求 attestation: 'none'，不驗證認證器的製造商證書鏈
+ */
+class WebAuthnService {
+  /**
+   * @param {Object} config - 依賴方設定
+   * @param {string} config.rpId - 依賴方 ID（網域）
+   * @param {string} config.rpName - 顯示名稱
+   * @param {Array<string>} config.origins - 允許的來源
+   * @param {number} config.timeout - 瀏覽器等待時間（毫秒）
+   */
+  constructor(config) {
+    this.config = config;
+    this.supportedAlgorithms = [
+      COSE_ALGORITHMS.ES256,
+      COSE_ALGORITHMS.EDDSA,
+      COSE_ALGORITHMS.RS256,
+    ];
+  }
+
+  /**
+   * 生成 challenge
+   * @returns {string} Base64URL 編碼的隨機值
+   */
+  // eslint-disable-next-line class-methods-use-this
+  generateChallenge() {
+    return toBase64Url(crypto.randomBytes(32));
+  }
+
+  /**
+   * 產生註冊選項（PublicKeyCredentialCreationOptions 的 JSON 格式）
+   * @param {Object} user - { uid, name, displayName }
+   * @param {string} challenge - challenge
+   * @param {Array<Object>} existingCredentials - 已註冊的憑證，避免重複註冊同一個認證器
+   */
+  buildRegistrationOptions(user, challenge, existingCredentials = []) {
+    return {
+      challenge,
+      rp: {
+        id: this.config.rpId,
+        name: this.config.rpName,
+      },
+      user: {
+        id: toBase64Url(Buffer.from(user.uid, 'utf8')),
+        name: user.name || user.uid,
+        displayName: user.displayName || user.name || user.uid,
+      },
+      pubKeyCredParams: this.supportedAlgorithms.map((alg) => ({ type: 'public-key', alg })),
+      timeout: this.config.timeout,
+      attestation: 'none',
+      excludeCredentials: existingCredentials.map((credential) => ({
+        type: 'public-key',
+        id: credential.id,
+        transports: credential.transports || [],
+      })),
+      authenticatorSelection: {
+        residentKey: 'preferred',
+        userVerification: 'preferred',
+      },
+    };
+  }
+
+  /**
+   * 產生驗證選項（PublicKeyCredentialRequestOptions 的 JSON 格式）
+   * @param {string} challenge - challenge
+   * @param {Array<Object>} credentials - 允許的憑證；空陣列表示由認證器選擇可探索憑證（passkey 登入）
+   * @param {string} userVerification - 'required' | 'preferred' | 'discouraged'
+   */
+  buildAuthenticationOptions(challenge, credentials = [], userVerification = 'preferred') {
+    return {
+      challenge,
+      rpId: this.config.rpId,
+      timeout: this.config.timeout,
+      userVerification,
+      allowCredentials: credentials.map((credential) => ({
+        type: 'public-key',
+        id: credential.id,
+        transports: credential.transports || [],
+      })),
+    };
+  }
+
+  /**
+   * 解析並檢查 clientDataJSON
+   * @returns {{ clientData: Object, clientDataHash: Buffer }}
+   */
+  verifyClientData(clientDataJSON, expectedType, expectedChallenge) {
+    const raw = fromBase64Url(clientDataJSON);
+    let clientData;
+    try {
+      clientData = JSON.parse(raw.toString('utf8'));
+    } catch (error) {
+      throw new AppError('clientDataJSON 格式無效', 400, 'WEBAUTHN_INVALID_RESPONSE');
+    }
+
+    if (clientData.type !== expectedType) {
+      throw new AppError('WebAuthn 儀式類型不符', 400, 'WEBAUTHN_TYPE_MISMATCH');
+    }
+    if (expectedChallenge && clientData.challenge !== expectedChallenge) {
+      throw new AppError('challenge 不符或已過期', 400, 'WEBAUTHN_CHALLENGE_MISMATCH');
+    }
+    if (!this.config.origins.includes(clientData.origin)) {
+      throw new AppError('來源不在允許清單中', 400, 'WEBAUTHN_ORIGIN_MISMATCH');
+    }
+
+    return {
+      clientData,
+      clientDataHash: crypto.createHash('sha256').update(raw).digest(),
+    };
+  }
+
+  /**
+   * 取出 clientDataJSON 中的 challenge（passkey 登入時用於找到對應的 challenge 紀錄）
+   */
+  // eslint-disable-next-line class-methods-use-this
+  readChallenge(response) {
+    try {
+      const raw = fromBase64Url(response?.response?.clientDataJSON);
+      return JSON.parse(raw.toString('utf8')).challenge || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 解析 authenticatorData
+   * @param {Buffer} authData - authenticatorData
+   */
+  // eslint-disable-next-line class-methods-use-this
+  parseAuthenticatorData(authData) {
+    if (authData.length < 37) {
+      throw new AppError('authenticatorData 長度不足', 400, 'WEBAUTHN_INVALID_RESPONSE');
+    }
+
+    const flags = authData[32];
+    const parsed = {
+      rpIdHash: authData.subarray(0, 32),
+      flags,
+      userPresent: hasFlag(flags, AUTHENTICATOR_FLAGS.USER_PRESENT),
+      userVerified: hasFlag(flags, AUTHENTICATOR_FLAGS.USER_VERIFIED),
+      backupEligible: hasFlag(flags, AUTHENTICATOR_FLAGS.BACKUP_ELIGIBLE),
+      backedUp: hasFlag(flags, AUTHENTICATOR_FLAGS.BACKED_UP),
+      signCount: authData.readUInt32BE(33),
+    };
+
+    if (hasFlag(flags, AUTHENTICATOR_FLAGS.ATTESTED_CREDENTIAL_DATA)) {
+      if (authData.length < 55) {
+        throw new AppError('憑證資料長度不足', 400, 'WEBAUTHN_INVALID_RESPONSE');
+      }
+      const credentialIdLength = authData.readUInt16BE(53);
+      const credentialIdEnd = 55 + credentialIdLength;
+      parsed.aaguid = authData.subarray(37, 53).toString('hex');
+      parsed.credentialId = authData.subarray(55, credentialIdEnd);
+      parsed.credentialPublicKey = decodeCbor(authData, credentialIdEnd).value;
+    }
+
+    return parsed;
+  }
+
+  /**
+   * 檢查 rpIdHash 與使用者在場／驗證旗標
+   */
+  verifyAuthenticatorFlags(authenticatorData, requireUserVerification) {
+    const expectedRpIdHash = crypto.createHash('sha256').update(this.config.rpId).digest();
+    if (!authenticatorData.rpIdHash.equals(expectedRpIdHash)) {
+      throw new AppError('依賴方 ID 不符', 400, 'WEBAUTHN_RP_ID_MISMATCH');
+    }
+    if (!authenticatorData.userPresent) {
+      throw new AppError('未確認使用者在場', 400, 'WEBAUTHN_USER_NOT_PRESENT');
+    }
+    if (requireUserVerification && !authenticatorData.userVerified) {
+      throw new AppError('認證器未驗證使用者身分', 400, 'WEBAUTHN_USER_NOT_VERIFIED');
+    }
+  }
+
+  /**
+   * 將 COSE 公鑰轉為 JWK
+   * @param {Map} coseKey - COSE_Key
+   * @returns {{ jwk: Object, algorithm: number }}
+   */
+  coseToJwk(coseKey) {
+    if (!(coseKey instanceof Map)) {
+      throw new AppError('憑證公鑰格式無效', 400, 'WEBAUTHN_INVALID_PUBLIC_KEY');
+    }
+
+    const algorithm = coseKey.get(COSE_KEYS.ALG);
+    if (!this.supportedAlgorithms.includes(algorithm)) {
+      throw new AppError('不支援的憑證演算法', 400, 'WEBAUTHN_UNSUPPORTED_ALGORITHM');
+    }
+
+    const keyType = coseKey.get(COSE_KEYS.KTY);
+    let jwk;
+    if (keyType === COSE_KEY_TYPES.EC2 && algorithm === COSE_ALGORITHMS.ES256) {
+      jwk = {
+        kty: 'EC',
+        crv: COSE_CURVES[coseKey.get(COSE_KEYS.CRV)],
+        x: toBase64Url(coseKey.get(COSE_KEYS.X)),
+        y: toBase64Url(coseKey.get(COSE_KEYS.Y)),
+      };
+    } else if (keyType === COSE_KEY_TYPES.OKP && algorithm === COSE_ALGORITHMS.EDDSA) {
+      jwk = {
+        kty: 'OKP',
+        crv: COSE_CURVES[coseKey.get(COSE_KEYS.CRV)],
+        x: toBase64Url(coseKey.get(COSE_KEYS.X)),
+      };
+    } else if (keyType === COSE_KEY_TYPES.RSA && algorithm === COSE_ALGORITHMS.RS256) {
+      jwk = {
+        kty: 'RSA',
+        n: toBase64Url(coseKey.get(COSE_KEYS.N)),
+        e: toBase64Url(coseKey.get(COSE_KEYS.E)),
+      };
+    } else {
+      throw new AppError('憑證公鑰與演算法不符', 400, 'WEBAUTHN_INVALID_PUBLIC_KEY');
+    }
+
+    // 確認公鑰可被載入
+    try {
+      crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    } catch (error) {
+      throw new AppError('憑證公鑰無效', 400, 'WEBAUTHN_INVALID_PUBLIC_KEY');
+    }
+
+    return { jwk, algorithm };
+  }
+
+  /**
+   * 驗證註冊回應（navigator.credentials.create 的結果）
+   * @param {Object} response - PublicKeyCredential 的 JSON 格式
+   * @param {string} expectedChallenge - 註冊選項中的 challenge
+   * @returns {Object} 可保存的憑證資料
+   */
+  verifyRegistration(response, expectedChallenge) {
+    if (!response || response.type !== 'public-key' || !response.response) {
+      throw new AppError('WebAuthn 回應格式無效', 400, 'WEBAUTHN_INVALID_RESPONSE');
+    }
+
+    this.verifyClientData(response.response.clientDataJSON, 'webauthn.create', expectedChallenge);
+
+    const attestation = decodeCbor(fromBase64Url(response.response.attestationObject)).value;
+    if (!(attestation instanceof Map) || !Buffer.isBuffer(attestation.get('authData'))) {
+      throw new AppError('attestationObject 格式無效', 400, 'WEBAUTHN_INVALID_RESPONSE');
+    }
+
+    const authenticatorData = this.parseAuthenticatorData(attestation.get('authData'));
+    this.verifyAuthenticatorFlags(authenticatorData, false);
+
+    if (!authenticatorData.credentialId) {
+      throw new AppError('註冊回應缺少憑證資料', 400, 'WEBAUTHN_INVALID_RESPONSE');
+    }
+
+    const credentialId = toBase64Url(authenticatorData.credentialId);
+    if (response.id && response.id !== credentialId) {
+      throw new AppError('憑證 ID 不符', 400, 'WEBAUTHN_INVALID_RESPONSE');
+    }
+
+    const { jwk, algorithm } = this.coseToJwk(authenticatorData.credentialPublicKey);
+
+    return {
+      id: credentialId,
+      publicKey: jwk,
+      algorithm,
+      signCount: authenticatorData.signCount,
+      transports: Array.isArray(response.response.transports) ? response.response.transports : [],
+      aaguid: authenticatorData.aaguid,
+      attestationFormat: attestation.get('fmt'),
+      backupEligible: authenticatorData.backupEligible,
+      userVerified: authenticatorData.userVerified,
+    };
+  }
+
+  /**
+   * 驗證登入回應（navigator.credentials.get 的結果）
+   * @param {Object} response - PublicKeyCredential 的 JSON 格式
+   * @param {Object} credential - 已保存的憑證
+   * @param {string} expectedChallenge - 驗證選項中的 challenge
+   * @param {Object} options - { requireUserVerification }
+   * @returns {{ signCount: number, userVerified: boolean }}
+   */
+  verifyAuthentication(response, credential, expectedChallenge, options = {}) {
+    if (!response || response.type !== 'public-key' || !response.response) {
+      throw new AppError('WebAuthn 回應格式無效', 400, 'WEBAUTHN_INVALID_RESPONSE');
+    }
+    if (response.id !== credential.id) {
+      throw new AppError('憑證 ID 不符', 400, 'WEBAUTHN_CREDENTIAL_MISMATCH');
+    }
+
+    const { clientDataHash } = this.verifyClientData(
+      response.response.clientDataJSON,
+      'webauthn.get',
+      expectedChallenge,
+    );
+
+    const authData = fromBase64Url(response.response.authenticatorData);
+    const authenticatorData = this.parseAuthenticatorData(authData);
+    this.verifyAuthenticatorFlags(authenticatorData, options.requireUserVerification);
+
+    const publicKey = crypto.createPublicKey({ key: credential.publicKey, format: 'jwk' });
+    const signedData = Buffer.concat([authData, clientDataHash]);
+    const signature = fromBase64Url(response.response.signature);
+
+    let valid;
+    if (credential.algorithm === COSE_ALGORITHMS.EDDSA) {
+      valid = crypto.verify(null, signedData, publicKey, signature);
+    } else if (credential.algorithm === COSE_ALGORITHMS.ES256) {
+      // WebAuthn 的 ES256 簽章為 DER 編碼
+      const key = { key: publicKey, dsaEncoding: 'der' };
+      valid = crypto.verify('sha256', signedData, key, signature);
+    } else {
+      valid = crypto.verify('sha256', signedData, publicKey, signature);
+    }
+
+    if (!valid) {
+      throw new AppError('簽章驗證失敗', 400, 'WEBAUTHN_INVALID_SIGNATURE');
+    }
+
+    // 簽章計數器未遞增表示憑證可能被複製（計數器皆為 0 的認證器不檢查）
+    const { signCount } = authenticatorData;
+    if ((signCount > 0 || credential.signCount > 0) && signCount <= credential.signCount) {
+      throw new AppError('簽章計數器異常，憑證可能被複製', 400, 'WEBAUTHN_COUNTER_ROLLBACK');
+    }
+
+    return {
+      signCount,
+      userVerified: authenticatorData.userVerified,
+      backedUp: authenticatorData.backedUp,
+    };
+  }
+}
+
+module.exports = WebAuthnService;
+module.exports.decodeCbor = decodeCbor;
+module.exports.COSE_ALGORITHMS = COSE_ALGORITHMS;
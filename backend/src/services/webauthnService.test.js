@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const WebAuthnService = require('./webauthnService');
+
+const { decodeCbor, COSE_ALGORITHMS } = WebAuthnService;
+
+// 測試用的最小 CBOR 編碼器（僅支援認證器會用到的型別）
+const encodeHead = (majorType, length) => {
+  if (length < 24) {
+    return Buffer.from([(majorType << 5) | length]); // eslint-disable-line no-bitwise
+  }
+  if (length < 256) {
+    return Buffer.from([(majorType << 5) | 24, length]); // eslint-disable-line no-bitwise
+  }
+  const head = Buffer.alloc(3);
+  head[0] = (majorType << 5) | 25; // eslint-disable-line no-bitwise
+  head.writeUInt16BE(length, 1);
+  return head;
+};
+
+const encodeCbor = (value) => {
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([encodeHead(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const text = Buffer.from(value, 'utf8');
+    return Buffer.concat([encodeHead(3, text.length), text]);
+  }
+  if (typeof value === 'number') {
+    return value >= 0 ? encodeHead(0, value) : encodeHead(1, -1 - value);
+  }
+  const entries = [...value.entries()];
+  return Buffer.concat([
+    encodeHead(5, entries.length),
+    ...entries.map(([key, item]) => Buffer.concat([encodeCbor(key), encodeCbor(item)])),
+  ]);
+};
+
+const rpId = 'localhost';
+const origin = 'http://localhost:3000';
+
+/**
+ * 模擬 P-256 平台認證器
+ */
+const createAuthenticator = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const credentialId = crypto.randomBytes(16);
+  let counter = 0;
+
+  const authenticatorData = (flags, extra = Buffer.alloc(0)) => {
+    const signCount = Buffer.alloc(4);
+    signCount.writeUInt32BE(counter);
+    return Buffer.concat([
+      crypto.createHash('sha256').update(rpId).digest(),
+      Buffer.from([flags]),
+      signCount,
+      extra,
+    ]);
+  };
+
+  const clientDataJSON = (type, challenge, clientOrigin = origin) => Buffer.from(
+    JSON.stringify({ type, challenge, origin: clientOrigin }),
+  );
+
+  return {
+    id: credentialId.toString('base64url'),
+
+    create(challenge) {
+      const coseKey = new Map([
+        [1, 2],
+        [3, COSE_ALGORITHMS.ES256],
+        [-1, 1],
+        [-2, Buffer.from(jwk.x, 'base64url')],
+        [-3, Buffer.from(jwk.y, 'base64url')],
+      ]);
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      const attested = Buffer.concat([
+        Buffer.alloc(16),
+        idLength,
+        credentialId,
+        encodeCbor(coseKey),
+      ]);
+      const attestationObject = encodeCbor(new Map([
+        ['fmt', 'none'],
+        ['attStmt', new Map()],
+        ['authData', authenticatorData(0x45, attested)],
+      ]));
+
+      return {
+        id: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientDataJSON('webauthn.create', challenge).toString('base64url'),
+          attestationObject: attestationObject.toString('base64url'),
+          transports: ['internal'],
+        },
+      };
+    },
+
+    get(challenge, { flags = 0x05, clientOrigin, keepCounter = false } = {}) {
+      if (!keepCounter) {
+        counter += 1;
+      }
+      const authData = authenticatorData(flags);
+      const clientData = clientDataJSON('webauthn.get', challenge, clientOrigin);
+      const signature = crypto.sign(
+        'sha256',
+        Buffer.concat([authData, crypto.createHash('sha256').update(clientData).digest()]),
+        privateKey,
+      );
+
+      return {
+        id: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientData.toString('base64url'),
+          authenticatorData: authData.toString('base64url'),
+          signature: signature.toString('base64url'),
+        },
+      };
+    },
+  };
+};
+
+describe('WebAuthnService', () => {
+  let service;
+  let authenticator;
+
+  beforeEach(() => {
+    service = new WebAuthnService({
+      rpId,
+      rpName: 'Localite',
+      origins: [origin],
+      timeout: 60000,
+    });
+    authenticator = createAuthenticator();
+  });
+
+  const register = () => {
+    const challenge = service.generateChallenge();
+    return service.verifyRegistration(authenticator.create(challenge), challenge);
+  };
+
+  describe('decodeCbor', () => {
+    it('應該解碼巢狀的 map、負整數與位元組字串', () => {
+      const encoded = encodeCbor(new Map([
+        ['fmt', 'none'],
+        [-2, Buffer.from([1, 2, 3])],
+        [3, -257],
+      ]));
+
+      const { value, offset } = decodeCbor(encoded);
+
+      expect(offset).toBe(encoded.length);
+      expect(value.get('fmt')).toBe('none');
+      expect(value.get(-2)).toEqual(Buffer.from([1, 2, 3]));
+      expect(value.get(3)).toBe(-257);
+    });
+
+    it('應該拒絕截斷的資料', () => {
+      expect(() => decodeCbor(Buffer.from([0x43, 0x01]))).toThrow(
+        expect.objectContaining({ code: 'WEBAUTHN_INVALID_CBOR' }),
+      );
+    });
+  });
+
+  describe('buildRegistrationOptions', () => {
+    it('應該產生註冊選項並排除已註冊的憑證', () => {
+      const options = service.buildRegistrationOptions(
+        { uid: 'user-1', name: 'user@example.com' },
+        'challenge',
+        [{ id: 'existing', transports: ['usb'] }],
+      );
+
+      expect(options.rp).toEqual({ id: rpId, name: 'Localite' });
+      expect(options.user).toEqual({
+        id: Buffer.from('user-1').toString('base64url'),
+        name: 'user@example.com',
+        displayName: 'user@example.com',
+      });
+      expect(options.pubKeyCredParams.map((param) => param.alg)).toEqual([-7, -8, -257]);
+      expect(options.excludeCredentials).toEqual([
+        { type: 'public-key', id: 'existing', transports: ['usb'] },
+      ]);
+    });
+  });
+
+  describe('verifyRegistration', () => {
+    it('應該驗證註冊回應並轉換公鑰為 JWK', () => {
+      const credential = register();
+
+      expect(credential).toEqual(expect.objectContaining({
+        id: authenticator.id,
+        algorithm: COSE_ALGORITHMS.ES256,
+        signCount: 0,
+        transports: ['internal'],
+        attestationFormat: 'none',
+        userVerified: true,
+      }));
+      expect(credential.publicKey).toEqual(expect.objectContaining({ kty: 'EC', crv: 'P-256' }));
+    });
+
+    it('應該拒絕不符的 challenge', () => {
+      const response = authenticator.create(service.generateChallenge());
+
+      expect(() => service.verifyRegistration(response, 'other-challenge')).toThrow(
+        expect.objectContaining({ statusCode: 400, code: 'WEBAUTHN_CHALLENGE_MISMATCH' }),
+      );
+    });
+
+    it('應該拒絕驗證回應被當作註冊回應使用', () => {
+      const challenge = service.generateChallenge();
+      const response = authenticator.get(challenge);
+      response.response.attestationObject = '';
+
+      expect(() => service.verifyRegistration(response, challenge)).toThrow(
+        expect.objectContaining({ code: 'WEBAUTHN_TYPE_MISMATCH' }),
+      );
+    });
+  });
+
+  describe('verifyAuthentication', () => {
+    it('應該驗證簽章並回傳新的簽章計數器', () => {
+      const credential = register();
+      const challenge = service.generateChallenge();
+
+      const result = service.verifyAuthentication(
+        authenticator.get(challenge),
+        credential,
+        challenge,
+      );
+
+      expect(result).toEqual({ signCount: 1, userVerified: true, backedUp: false });
+    });
+
+    it('應該拒絕不在允許清單中的來源', () => {
+      const credential = register();
+      const challenge = service.generateChallenge();
+      const response = authenticator.get(challenge, { clientOrigin: 'https://evil.example' });
+
+      expect(() => service.verifyAuthentication(response, credential, challenge)).toThrow(
+        expect.objectContaining({ code: 'WEBAUTHN_ORIGIN_MISMATCH' }),
+      );
+    });
+
+    it('應該拒絕被竄改的簽章資料', () => {
+      const credential = register();
+      const challenge = service.generateChallenge();
+      const response = authenticator.get(challenge);
+      const authData = Buffer.from(response.response.authenticatorData, 'base64url');
+      authData[36] += 1;
+      response.response.authenticatorData = authData.toString('base64url');
+
+      expect(() => service.verifyAuthentication(response, credential, challenge)).toThrow(
+        expect.objectContaining({ code: 'WEBAUTHN_INVALID_SIGNATURE' }),
+      );
+    });
+
+    it('應該在要求使用者驗證時拒絕僅有使用者在場的回應', () => {
+      const credential = register();
+      const challenge = service.generateChallenge();
+      const response = authenticator.get(challenge, { flags: 0x01 });
+
+      expect(() => service.verifyAuthentication(response, credential, challenge, {
+        requireUserVerification: true,
+      })).toThrow(expect.objectContaining({ code: 'WEBAUTHN_USER_NOT_VERIFIED' }));
+    });
+
+    it('應該偵測簽章計數器未遞增', () => {
+      const credential = register();
+      const challenge = service.generateChallenge();
+      const first = service.verifyAuthentication(
+        authenticator.get(challenge),
+        credential,
+        challenge,
+      );
+      credential.signCount = first.signCount;
+
+      const replayed = authenticator.get(challenge, { keepCounter: true });
+
+      expect(() => service.verifyAuthentication(replayed, credential, challenge)).toThrow(
+        expect.objectContaining({ code: 'WEBAUTHN_COUNTER_ROLLBACK' }),
+      );
+    });
+  });
+
+  describe('readChallenge', () => {
+    it('應該讀取 clientDataJSON 中的 challenge', () => {
+      const response = authenticator.get('login-challenge');
+
+      expect(service.readChallenge(response)).toBe('login-challenge');
+      expect(service.readChallenge({ response: { clientDataJSON: '!!' } })).toBeNull();
+    });
+  });
+});
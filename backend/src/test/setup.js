@@ -68,6 +68,12 @@ jest.mock('../config/redis', () => {
       mockRedisData.set(key, { value: newValue.toString() });
       return Promise.resolve(newValue);
     }),
+    incrByFloat: jest.fn((key, increment) => {
+      const data = mockRedisData.get(key);
+      const newValue = (data ? parseFloat(data.value) || 0 : 0) + increment;
+      mockRedisData.set(key, { value: newValue.toString() });
+      return Promise.resolve(newValue.toString());
+    }),
     decr: jest.fn((key) => {
       const data = mockRedisData.get(key);
       const currentValue = data ? parseInt(data.value) || 0 : 0;
@@ -179,6 +185,14 @@ jest.mock('../config/redis', () => {
     flushdb: jest.fn(() => mockRedisClient.flushdb()),
     info: jest.fn(() => mockRedisClient.info()),
     keys: jest.fn((pattern) => mockRedisClient.keys(pattern)),
+    scan: jest.fn((pattern) => mockRedisClient.keys(pattern)),
+    setIfNotExists: jest.fn((key, value, options = {}) => {
+      if (mockRedisData.has(key)) {
+        return Promise.resolve(false);
+      }
+      mockRedisData.set(key, { value: JSON.stringify(value), ...options });
+      return Promise.resolve(true);
+    }),
     del: jest.fn((...keys) => {
       let deletedCount = 0;
       keys.forEach((key) => {
@@ -193,6 +207,10 @@ jest.mock('../config/redis', () => {
     setex: jest.fn((key, ttl, value) => mockRedisClient.setEx(key, ttl, JSON.stringify(value))),
     // 添加 incr 方法
     incr: jest.fn((key) => mockRedisClient.incr(key)),
+    incrByFloat: jest.fn(async (key, increment) => (
+      parseFloat(await mockRedisClient.incrByFloat(key, increment))
+    )),
+    decr: jest.fn((key) => mockRedisClient.decr(key)),
   };
 
   return {
@@ -27,10 +27,35 @@ apiClient.interceptors.request.use(
   (error) => Promise.reject(error),
 );
 
+// 敏感操作要求 step-up 時的處理函數（由 UI 註冊，顯示 MFA 或密碼重新驗證畫面）
+let stepUpHandler = null;
+
+// handler(stepUp) 收到 { maxAge, methods, reauthenticatedAt }，完成 authAPI.stepUp 後回傳 true 即自動重試原請求
+export const setStepUpHandler = (handler) => {
+  stepUpHandler = handler;
+};
+
 // 回應攔截器
 apiClient.interceptors.response.use(
   (response) => response.data,
-  (error) => {
+  async (error) => {
+    // 敏感操作需要重新驗證身分（403 STEP_UP_REQUIRED），不清除登入狀態
+    const stepUp = error.response?.status === 403
+      && error.response.data?.error?.code === 'STEP_UP_REQUIRED'
+      ? error.response.data.error
+      : null;
+
+    if (stepUp) {
+      if (stepUpHandler && !error.config.stepUpRetried) {
+        const completed = await stepUpHandler(stepUp);
+        if (completed) {
+          return apiClient({ ...error.config, stepUpRetried: true });
+        }
+      }
+
+      return Promise.reject(Object.assign(error, { stepUpRequired: stepUp }));
+    }
+
     // 處理常見錯誤
     if (error.response?.status === 401) {
       // Token 過期或無效，清除本地儲存的 token
@@ -55,6 +80,8 @@ export const authAPI = {
   getProfile: () => apiClient.get('/auth/profile'),
   updateProfile: (data) => apiClient.put('/auth/profile', data),
   deleteAccount: () => apiClient.delete('/auth/account'),
+  // { method: 'mfa', mfaType, mfaCode } 或 { method: 'password', idToken }
+  stepUp: (data) => apiClient.post('/auth/step-up', data),
 };
 
 export const tourAPI = {
@@ -65,6 +92,56 @@ export const tourAPI = {
   deleteTour: (id) => apiClient.delete(`/tours/${id}`),
   generateTour: (params) => apiClient.post('/tours/generate', params),
   searchTours: (query) => apiClient.get('/tours/search', { params: { q: query } }),
+  // 以 Server-Sent Events 串流接收站點解說，每收到一段即呼叫 onChunk，完成時回傳完整解說
+  streamNarration: async (tourId, stopId, { language, onChunk, signal } = {}) => {
+    const token = typeof window !== 'undefined' ? localStorage.getItem('authToken') : null;
+    const query = language ? `?language=${encodeURIComponent(language)}` : '';
+    const response = await fetch(
+      `${API_BASE_URL}/tours/${tourId}/stops/${stopId}/narration/stream${query}`,
+      {
+        headers: {
+          Accept: 'text/event-stream',
+          ...(token && { Authorization: `Bearer ${token}` }),
+        },
+        signal,
+      },
+    );
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error?.message || `HTTP ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let narration = '';
+
+    const readEvents = async () => {
+      const { value, done } = await reader.read();
+      if (done) return narration;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      events.forEach((rawEvent) => {
+        const event = rawEvent.match(/^event: (.+)$/m)?.[1];
+        const data = JSON.parse(rawEvent.match(/^data: (.+)$/m)?.[1] || '{}');
+
+        if (event === 'chunk') {
+          narration += data.text;
+          if (onChunk) onChunk(data.text, narration);
+        } else if (event === 'error') {
+          throw new Error(data.message);
+        }
+      });
+
+      return readEvents();
+    };
+
+    return readEvents();
+  },
 };
 
 export const merchantAPI = {